@@ -12,10 +12,12 @@ const nodeGlobals = {
   fetch: 'readonly',
   FormData: 'readonly',
   global: 'readonly',
+  Headers: 'readonly',
   module: 'readonly',
   process: 'readonly',
   queueMicrotask: 'readonly',
   ReadableStream: 'readonly',
+  Request: 'readonly',
   require: 'readonly',
   Response: 'readonly',
   setImmediate: 'readonly',
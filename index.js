@@ -191,14 +191,25 @@ const _isMemoryObservabilityCommand = _cliCommand === 'memory'
   && ['status', 'doctor'].includes(String(process.argv[3] || '').trim().toLowerCase());
 const _isMemoryReconcileCommand = _cliCommand === 'memory'
   && String(process.argv[3] || '').trim().toLowerCase() === 'reconcile';
+const _isMemoryReembedCommand = _cliCommand === 'memory'
+  && String(process.argv[3] || '').trim().toLowerCase() === 'reembed';
+const _isMemoryBundleCommand = _cliCommand === 'memory'
+  && ['export', 'import'].includes(String(process.argv[3] || '').trim().toLowerCase());
+const _isMemoryForgetCommand = _cliCommand === 'memory'
+  && String(process.argv[3] || '').trim().toLowerCase() === 'forget';
 const _isMemoryArtifactsMigrateCommand = _cliCommand === 'memory'
   && String(process.argv[3] || '').trim().toLowerCase() === 'artifacts'
   && String(process.argv[4] || '').trim().toLowerCase() === 'migrate';
 const _isMemoryUsageCommand = _cliCommand === 'memory'
   && !_isMemoryObservabilityCommand
   && !_isMemoryReconcileCommand
+  && !_isMemoryReembedCommand
+  && !_isMemoryBundleCommand
+  && !_isMemoryForgetCommand
   && !_isMemoryArtifactsMigrateCommand;
-const _isReadOnlyCommand = _isDaemonStatusCommand || _isMemoryObservabilityCommand || _isMemoryReconcileCommand;
+const _isReadOnlyCommand = _isDaemonStatusCommand || _isMemoryObservabilityCommand
+  || _isMemoryReconcileCommand || _isMemoryReembedCommand || _isMemoryBundleCommand
+  || _isMemoryForgetCommand;
 
 // This is intentionally before the first ~/.metame mkdir, runtime sync,
 // hook install, plugin bootstrap, or local activity heartbeat.  Keep status
@@ -214,16 +225,43 @@ if (_isMemoryObservabilityCommand) {
   process.exit(process.exitCode || 0);
 }
 if (_isMemoryReconcileCommand) {
+  require('./scripts/memory-reconcile').main(process.argv.slice(4))
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+  return;
+}
+if (_isMemoryReembedCommand) {
+  require('./scripts/memory-reembed').main(process.argv.slice(4))
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+  return;
+}
+if (_isMemoryBundleCommand) {
   try {
-    require('./scripts/memory-reconcile').main(process.argv.slice(4));
-    process.exit(process.exitCode || 0);
+    require('./scripts/memory-bundle').main(process.argv.slice(3));
   } catch (error) {
     console.error(error.message);
     process.exit(1);
   }
+  process.exit(process.exitCode || 0);
+}
+if (_isMemoryForgetCommand) {
+  try {
+    require('./scripts/memory-forget').main(process.argv.slice(4));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  process.exit(process.exitCode || 0);
 }
 if (_isMemoryUsageCommand) {
-  console.error('Usage: metame memory status|doctor [--json] [--days N] | reconcile --dry-run [--json] | reconcile --stage <plan.json> | reconcile --apply <plan.json> | artifacts migrate <--dry-run|--stage|--apply>');
+  console.error('Usage: metame memory status|doctor [--json] [--days N] | reconcile --dry-run [--json] [--no-embed] | reconcile --stage <plan.json> [--no-embed] | reconcile --apply <plan.json> [--accept <id,...>|all] | reembed --backend <openai|ollama|local> [--json] | export [--out <path>] [--project|--agent <key>] [--since|--until <date>] [--encrypt] | import <bundle> [--dry-run] [--keep-state] | forget <id|query> --dry-run|--yes | artifacts migrate <--dry-run|--stage|--apply>');
   process.exit(1);
 }
 
@@ -2314,6 +2352,15 @@ if (process.argv[2] === 'cognition') {
   process.exit(result.status ?? 1);
 }
 
+if (process.argv[2] === 'session') {
+  const script = process.argv[3] === 'handoff' ? 'session-handoff.js' : 'session-export.js';
+  const result = require('child_process').spawnSync(process.execPath, [
+    path.join(__dirname, 'scripts', script),
+    ...process.argv.slice(3),
+  ], { stdio: 'inherit', env: process.env });
+  process.exit(result.status ?? 1);
+}
+
 const isDaemon = process.argv.includes('daemon');
 if (isDaemon) {
   const daemonIndex = process.argv.indexOf('daemon');
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * attachments.js — pure rules for chat attachments.
+ *
+ * Uploads are kept per chat under ~/.metame/attachments/<chat>/, outside the
+ * project tree, each under a unique stored name so same-named uploads never
+ * overwrite each other. Turn prompts reference them by absolute path; at
+ * turn time the referenced images are handed to engines whose runtime
+ * declares `capabilities.imageInput`, and everything else (or every
+ * attachment, for engines without image input) can carry extracted text.
+ *
+ *   attachments:
+ *     retention_days: 14
+ *     max_files_per_chat: 100
+ *     pdf_text: pdftotext                           # null to disable
+ *     ocr: { command: tesseract, args: ['{input}', 'stdout'] }
+ *
+ * Zero side effects: daemon-attachments.js owns files and processes.
+ */
+
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 14;
+const DEFAULT_MAX_FILES = 100;
+const DEFAULT_MAX_TEXT_CHARS = 20000;
+// Native image blocks above this size are rejected by the model APIs.
+const MAX_NATIVE_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_MEDIA_TYPES = Object.freeze({
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+});
+
+function expandHome(value, home) {
+  const text = String(value);
+  return home && (text === '~' || text.startsWith('~/')) ? home + text.slice(1) : text;
+}
+
+function positive(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * @param {object|undefined} raw - the `attachments` config section
+ * @returns {{ retentionMs: number, maxFiles: number, maxTextChars: number,
+ *             pdfText: string|null, ocr: { command: string, args: string[] }|null }}
+ */
+function normalizeAttachmentsConfig(raw, { home = '' } = {}) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const ocrCommand = src.ocr && typeof src.ocr === 'object' ? String(src.ocr.command || '').trim() : '';
+  return {
+    retentionMs: positive(src.retention_days, DEFAULT_RETENTION_DAYS) * DAY_MS,
+    maxFiles: Math.round(positive(src.max_files_per_chat, DEFAULT_MAX_FILES)),
+    maxTextChars: Math.round(positive(src.max_text_chars, DEFAULT_MAX_TEXT_CHARS)),
+    pdfText: src.pdf_text === null || src.pdf_text === false || src.pdf_text === ''
+      ? null
+      : expandHome(String(src.pdf_text || 'pdftotext').trim(), home),
+    ocr: ocrCommand
+      ? {
+        command: expandHome(ocrCommand, home),
+        args: Array.isArray(src.ocr.args) ? src.ocr.args.map(arg => expandHome(arg, home)) : ['{input}', 'stdout'],
+      }
+      : null,
+  };
+}
+
+function extensionOf(name) {
+  const m = /\.[^./\\]+$/.exec(String(name || ''));
+  return m ? m[0].toLowerCase() : '';
+}
+
+/** @returns {'image'|'pdf'|'document'} */
+function classifyAttachment(name) {
+  const ext = extensionOf(name);
+  if (IMAGE_MEDIA_TYPES[ext]) return 'image';
+  if (ext === '.pdf') return 'pdf';
+  return 'document';
+}
+
+function imageMediaType(name) {
+  return IMAGE_MEDIA_TYPES[extensionOf(name)] || null;
+}
+
+/**
+ * A platform file name made safe to store: no directories, no characters
+ * that shells, Windows or comma-separated CLI flags would misread.
+ */
+function safeFileName(name) {
+  const base = String(name || '').split(/[/\\]/).pop();
+  const cleaned = base
+    .replace(/[\u0000-\u001f\u007f<>:"|?*,]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+  if (!cleaned) return 'file';
+  if (cleaned.length <= 120) return cleaned;
+  const ext = extensionOf(cleaned).slice(0, 16);
+  return cleaned.slice(0, 120 - ext.length) + ext;
+}
+
+/** Directory name for a chat id; thread ids like `oc_x::root` stay readable. */
+function chatDirName(chatId, digest) {
+  const readable = String(chatId || 'chat').replace(/[^A-Za-z0-9_.-]+/g, '_').slice(0, 64) || 'chat';
+  return `${readable}-${digest}`;
+}
+
+function regexEscape(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Absolute stored-attachment paths a prompt mentions, in order, without
+ * repeats. Refs are resolved and must stay strictly inside `root`, so
+ * `<root>/../../elsewhere.pdf` is not an attachment.
+ */
+function findAttachmentRefs(prompt, root) {
+  if (!root) return [];
+  const base = path.resolve(root);
+  const pattern = new RegExp(`${regexEscape(root)}[\\\\/][^\\s"'\`<>]+`, 'g');
+  const seen = new Set();
+  for (const match of String(prompt || '').matchAll(pattern)) {
+    const ref = path.resolve(match[0].replace(/[)\].,;:!?，。；：！？）】]+$/u, ''));
+    if (ref.startsWith(base + path.sep)) seen.add(ref);
+  }
+  return [...seen];
+}
+
+/**
+ * The prompt a bridge upload becomes. The file sits outside the project, so
+ * the engine is told where and that it is not part of the repo.
+ */
+function buildUploadPrompt({ filePath, name, kind, text = '' }) {
+  const what = kind === 'image' ? 'an image' : 'a file';
+  const lines = [`User sent ${what} (${name}), saved outside the project at: ${filePath}`];
+  if (text) lines.push(`User says: "${text}"`);
+  else if (kind === 'image') lines.push('Look at it and respond briefly; ask what to do with it if that is unclear.');
+  else lines.push('Acknowledge receipt. Only read the file if the user asks you to.');
+  return lines.join('\n');
+}
+
+/** Text block appended for engines that cannot open the attachment natively. */
+function buildExtractedTextBlock({ filePath, kind, text, maxChars }) {
+  const body = String(text || '').trim();
+  if (!body) return '';
+  const clipped = body.length > maxChars ? `${body.slice(0, maxChars)}\n…[truncated]` : body;
+  const label = kind === 'image' ? 'Text recognized (OCR) in' : 'Extracted text of';
+  return `[${label} ${filePath}]\n${clipped}\n[end]`;
+}
+
+/**
+ * Entries to delete: anything past retention, then the oldest beyond the cap.
+ * @param {{ id: string, received_at: string }[]} entries
+ */
+function selectPrunable(entries, { now, retentionMs, maxFiles }) {
+  const list = Array.isArray(entries) ? entries : [];
+  const expired = new Set(list
+    .filter(entry => now - Date.parse(entry.received_at || 0) > retentionMs)
+    .map(entry => entry.id));
+  const kept = list
+    .filter(entry => !expired.has(entry.id))
+    .sort((a, b) => Date.parse(b.received_at || 0) - Date.parse(a.received_at || 0));
+  for (const entry of kept.slice(maxFiles)) expired.add(entry.id);
+  return list.filter(entry => expired.has(entry.id));
+}
+
+function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+module.exports = {
+  MAX_NATIVE_IMAGE_BYTES,
+  normalizeAttachmentsConfig,
+  classifyAttachment,
+  imageMediaType,
+  safeFileName,
+  chatDirName,
+  findAttachmentRefs,
+  buildUploadPrompt,
+  buildExtractedTextBlock,
+  selectPrunable,
+  formatBytes,
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * scripts/core/bridge-plugin.js — the Chat Bridge Plugin contract.
+ *
+ * A bridge connects one chat platform to the daemon. It declares what the
+ * platform can do and either hands the daemon a transport (the common case)
+ * or runs its own loop:
+ *
+ *   createBridgePlugin({
+ *     protocolVersion: 1,
+ *     descriptor: { id: 'irc', displayName: 'IRC', configKey: 'irc', capabilities: ['receive', 'send'] },
+ *     createTransport(bridgeConfig, ctx) { return { bot, connect(onInbound), disconnect() }; },
+ *   })
+ *
+ * With a transport, the daemon owns everything after receipt: chat allowlist,
+ * user ACL, reply-to-session mapping, topic threads and team routing. The
+ * transport only turns platform events into inbound messages (see
+ * normalizeInboundMessage) and exposes a `bot` whose send methods the
+ * message pipeline calls. `start(ctx)` is for bridges that answer requests
+ * themselves (e.g. the Siri HTTP endpoint) and must return the bridge handle.
+ *
+ * Pure: shape validation only. Loading and routing live in the daemon.
+ */
+
+const BRIDGE_PLUGIN_PROTOCOL_VERSION = 1;
+const BRIDGE_CAPABILITIES = Object.freeze(['receive', 'send', 'edit', 'buttons', 'files', 'threads']);
+const BRIDGE_ID_RE = /^[a-z][a-z0-9]*(?:[._-][a-z0-9]+)*$/;
+
+// bot methods a transport must provide for each declared capability.
+const CAPABILITY_METHODS = Object.freeze({
+  send: Object.freeze(['sendMessage']),
+  edit: Object.freeze(['editMessage']),
+  buttons: Object.freeze(['sendButtons']),
+  files: Object.freeze(['sendFile']),
+});
+
+const PLUGIN_KEYS = Object.freeze(['protocolVersion', 'descriptor', 'routing', 'createTransport', 'start']);
+const DESCRIPTOR_KEYS = Object.freeze(['id', 'displayName', 'configKey', 'capabilities']);
+const ROUTING_KEYS = Object.freeze(['authorizedByTransport', 'trustAllowedChats']);
+
+const plugins = new WeakSet();
+
+function contractError(code, detail = '') {
+  const error = new TypeError(detail ? `${code}:${detail}` : code);
+  error.code = code;
+  return error;
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function assertKnownKeys(value, allowed, code) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) throw contractError(code, key);
+  }
+}
+
+function normalizeDescriptor(value) {
+  if (!isPlainObject(value)) throw contractError('bridge_descriptor_required');
+  assertKnownKeys(value, DESCRIPTOR_KEYS, 'bridge_descriptor_unknown_key');
+  const id = String(value.id || '').trim();
+  if (!BRIDGE_ID_RE.test(id)) throw contractError('bridge_id_invalid', id || 'missing');
+  const displayName = String(value.displayName || '').trim();
+  if (!displayName) throw contractError('bridge_display_name_required', id);
+  const configKey = String(value.configKey || id).trim();
+  if (!/^[a-z][a-z0-9_]*$/.test(configKey)) throw contractError('bridge_config_key_invalid', configKey);
+  if (!Array.isArray(value.capabilities)) throw contractError('bridge_capabilities_required', id);
+  const capabilities = [];
+  for (const raw of value.capabilities) {
+    const name = String(raw || '').trim();
+    if (!BRIDGE_CAPABILITIES.includes(name)) throw contractError('bridge_capability_unknown', name || 'empty');
+    if (!capabilities.includes(name)) capabilities.push(name);
+  }
+  for (const required of ['receive', 'send']) {
+    if (!capabilities.includes(required)) throw contractError('bridge_capability_required', `${id}:${required}`);
+  }
+  return Object.freeze({
+    id,
+    displayName,
+    configKey,
+    capabilities: Object.freeze(BRIDGE_CAPABILITIES.filter(name => capabilities.includes(name))),
+  });
+}
+
+function normalizeRouting(value) {
+  if (value === undefined || value === null) return Object.freeze({ authorizedByTransport: false, trustAllowedChats: false });
+  if (!isPlainObject(value)) throw contractError('bridge_routing_invalid');
+  assertKnownKeys(value, ROUTING_KEYS, 'bridge_routing_unknown_key');
+  return Object.freeze({
+    authorizedByTransport: value.authorizedByTransport === true,
+    trustAllowedChats: value.trustAllowedChats === true,
+  });
+}
+
+/**
+ * Validate and freeze a Chat Bridge Plugin. Exactly one of createTransport
+ * and start is required.
+ */
+function createBridgePlugin(value) {
+  if (isBridgePlugin(value)) return value;
+  if (!isPlainObject(value)) throw contractError('bridge_plugin_invalid');
+  assertKnownKeys(value, PLUGIN_KEYS, 'bridge_plugin_unknown_key');
+  if (value.protocolVersion !== BRIDGE_PLUGIN_PROTOCOL_VERSION) {
+    throw contractError('bridge_protocol_unsupported', String(value.protocolVersion));
+  }
+  const descriptor = normalizeDescriptor(value.descriptor);
+  const hasTransport = typeof value.createTransport === 'function';
+  const hasStart = typeof value.start === 'function';
+  if (hasTransport === hasStart) throw contractError('bridge_entry_point_required', descriptor.id);
+  const plugin = Object.freeze({
+    protocolVersion: BRIDGE_PLUGIN_PROTOCOL_VERSION,
+    descriptor,
+    routing: normalizeRouting(value.routing),
+    createTransport: hasTransport ? value.createTransport : null,
+    start: hasStart ? value.start : null,
+  });
+  plugins.add(plugin);
+  return plugin;
+}
+
+function isBridgePlugin(value) {
+  return !!value && typeof value === 'object' && plugins.has(value);
+}
+
+/** List contract violations of a transport against the declared capabilities. */
+function checkBridgeTransport(transport, capabilities) {
+  const problems = [];
+  if (!transport || typeof transport !== 'object') return ['transport must be an object'];
+  if (typeof transport.connect !== 'function') problems.push('transport.connect is missing');
+  if (typeof transport.disconnect !== 'function') problems.push('transport.disconnect is missing');
+  const bot = transport.bot;
+  if (!bot || typeof bot !== 'object') {
+    problems.push('transport.bot is missing');
+    return problems;
+  }
+  for (const capability of capabilities || []) {
+    for (const method of CAPABILITY_METHODS[capability] || []) {
+      if (typeof bot[method] !== 'function') problems.push(`${capability} declared but bot.${method} is missing`);
+    }
+  }
+  return problems;
+}
+
+function assertBridgeTransport(transport, capabilities) {
+  const problems = checkBridgeTransport(transport, capabilities);
+  if (problems.length > 0) throw contractError('bridge_transport_invalid', problems.join('; '));
+  return transport;
+}
+
+function optionalId(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Inbound message as a transport delivers it:
+ *   { chatId, text, senderId, messageId, replyToMessageId, threadId,
+ *     kind: 'message' | 'callback', file: { name, download(destPath) },
+ *     voice: { name, download(destPath) }, notice }
+ * `voice` is a voice note the daemon transcribes when `voice` STT is
+ * configured. `notice` is an answer for content the bridge cannot forward
+ * (or a voice note with STT off), sent only once the chat has passed the
+ * allowlist.
+ */
+function normalizeInboundMessage(value) {
+  if (!value || typeof value !== 'object') throw contractError('bridge_message_invalid');
+  const chatId = value.chatId;
+  if (chatId === undefined || chatId === null || String(chatId).trim() === '') {
+    throw contractError('bridge_message_chat_required');
+  }
+  const kind = value.kind === undefined ? 'message' : value.kind;
+  if (kind !== 'message' && kind !== 'callback') throw contractError('bridge_message_kind_invalid', String(kind));
+  let file = null;
+  if (value.file) {
+    const name = String(value.file.name || '').trim();
+    if (!name || typeof value.file.download !== 'function') throw contractError('bridge_message_file_invalid');
+    file = { name, download: value.file.download };
+  }
+  let voice = null;
+  if (value.voice) {
+    const name = String(value.voice.name || '').trim();
+    if (!name || typeof value.voice.download !== 'function') throw contractError('bridge_message_voice_invalid');
+    voice = { name, download: value.voice.download };
+  }
+  return {
+    kind,
+    // Chat ids keep their platform type: numeric Telegram ids match numeric allowlists.
+    chatId,
+    text: String(value.text || '').trim(),
+    senderId: optionalId(value.senderId),
+    messageId: optionalId(value.messageId),
+    replyToMessageId: optionalId(value.replyToMessageId),
+    threadId: optionalId(value.threadId),
+    file,
+    voice,
+    notice: String(value.notice || '').trim(),
+  };
+}
+
+module.exports = {
+  BRIDGE_PLUGIN_PROTOCOL_VERSION,
+  BRIDGE_CAPABILITIES,
+  createBridgePlugin,
+  isBridgePlugin,
+  checkBridgeTransport,
+  assertBridgeTransport,
+  normalizeInboundMessage,
+};
@@ -29,10 +29,13 @@ function factResult(row) {
     project: row.project || '*',
     scope: row.scope || null,
     confidence: Number.isFinite(row.confidence) ? row.confidence : null,
-    freshness: 'current',
+    // Only as-of reads return archived claims: true then, not now.
+    freshness: row.state === 'archived' ? 'historical' : 'current',
     provenance: [row.provenance_root_id || row.source_id].filter(Boolean),
     score: Number.isFinite(row.score) ? row.score : null,
     updated_at: row.updated_at || null,
+    valid_from: row.valid_from || null,
+    valid_until: row.valid_until || null,
   };
 }
 
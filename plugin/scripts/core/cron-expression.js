@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * scripts/core/cron-expression.js — five-field cron parser with timezones.
+ *
+ *   ┌ minute (0-59)  ┌ hour (0-23)  ┌ day of month (1-31)  ┌ month (1-12 | jan-dec)  ┌ day of week (0-7 | sun-sat)
+ *   *                *              *                      *                         *
+ *
+ * Supports `*`, lists (`1,15`), ranges (`9-18`), steps (`*\/15`, `0-30/10`)
+ * and the @yearly/@monthly/@weekly/@daily/@hourly macros. As in Vixie cron,
+ * when both day-of-month and day-of-week are restricted a day matches if
+ * either field does.
+ *
+ * Times are evaluated as wall-clock fields in `timezone` (IANA name, default
+ * the daemon's local zone). Wall-clock times skipped by a DST jump never fire.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MACROS = Object.freeze({
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+});
+
+const FIELDS = Object.freeze([
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+]);
+
+// Bound the search so an impossible expression (e.g. "0 0 31 2 *") cannot spin.
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function parseValue(token, field) {
+  const text = String(token).toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text);
+  if (field.names) {
+    const idx = field.names.indexOf(text);
+    if (idx >= 0) return idx + field.nameOffset;
+  }
+  return NaN;
+}
+
+function parseField(raw, field) {
+  const values = new Set();
+  for (const part of String(raw).split(',')) {
+    const m = part.match(/^([^/]+)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`invalid ${field.name} "${raw}"`);
+    const step = m[2] !== undefined ? Number(m[2]) : 1;
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name} "${raw}"`);
+    let lo;
+    let hi;
+    if (m[1] === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else {
+      const range = m[1].split('-');
+      if (range.length > 2) throw new Error(`invalid ${field.name} "${raw}"`);
+      lo = parseValue(range[0], field);
+      hi = range.length === 2 ? parseValue(range[1], field) : (m[2] !== undefined ? field.max : lo);
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < field.min || hi > field.max || lo > hi) {
+      throw new Error(`${field.name} out of range in "${raw}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message on invalid input
+ * so config loading can report it.
+ */
+function parseCronExpression(expr, { timezone = '' } = {}) {
+  const source = String(expr || '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) throw new Error(`cron expression needs 5 fields, got ${parts.length}: "${source}"`);
+  const sets = parts.map((part, i) => parseField(part, FIELDS[i]));
+  const dayOfWeek = sets[4];
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+  const tz = String(timezone || '').trim();
+  if (tz) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    } catch {
+      throw new Error(`unknown timezone "${tz}"`);
+    }
+  }
+  return {
+    source,
+    timezone: tz,
+    minute: sets[0],
+    hour: sets[1],
+    dayOfMonth: sets[2],
+    month: sets[3],
+    dayOfWeek,
+    domRestricted: parts[2] !== '*',
+    dowRestricted: parts[4] !== '*',
+  };
+}
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  const key = timezone || '';
+  if (!formatterCache.has(key)) {
+    formatterCache.set(key, new Intl.DateTimeFormat('en-US', {
+      ...(timezone ? { timeZone: timezone } : {}),
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatterCache.get(key);
+}
+
+function wallClock(ms, timezone) {
+  const out = {};
+  for (const part of getFormatter(timezone).formatToParts(new Date(ms))) {
+    if (part.type === 'weekday') out.dayOfWeek = DAY_NAMES.indexOf(part.value.slice(0, 3).toLowerCase());
+    else if (part.type !== 'literal') out[part.type] = Number(part.value);
+  }
+  return out;
+}
+
+function dayMatches(cron, wall) {
+  if (!cron.month.has(wall.month)) return false;
+  const dom = cron.dayOfMonth.has(wall.day);
+  const dow = cron.dayOfWeek.has(wall.dayOfWeek);
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+  return dom && dow;
+}
+
+/** Next firing time strictly after `fromMs`, or NaN when none exists within five years. */
+function nextCronRunAfter(cron, fromMs) {
+  const baseMs = Number.isFinite(fromMs) ? fromMs : Date.now();
+  let ms = Math.floor(baseMs / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = baseMs + MAX_SEARCH_MS;
+  while (ms <= limit) {
+    const wall = wallClock(ms, cron.timezone);
+    if (!dayMatches(cron, wall)) {
+      ms += ((23 - wall.hour) * 60 + (60 - wall.minute)) * MINUTE_MS;
+      continue;
+    }
+    if (!cron.hour.has(wall.hour)) {
+      ms += (60 - wall.minute) * MINUTE_MS;
+      continue;
+    }
+    if (!cron.minute.has(wall.minute)) {
+      ms += MINUTE_MS;
+      continue;
+    }
+    return ms;
+  }
+  return NaN;
+}
+
+module.exports = {
+  parseCronExpression,
+  nextCronRunAfter,
+};
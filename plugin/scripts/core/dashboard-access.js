@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * core/dashboard-access.js — Config and access rules for the local dashboard.
+ *
+ * Config shape (daemon.yaml):
+ *   dashboard:
+ *     enabled: true
+ *     host: 127.0.0.1        # loopback only
+ *     port: 8768
+ *     reconcile_dir: ~/.metame/reconcile   # staged `memory reconcile --stage` plans
+ *     clients:
+ *       - name: me
+ *         token_env: METAME_DASHBOARD_TOKEN   # or token: <secret>
+ *         role: viewer          # viewer (default, read-only) | admin
+ *
+ * Every request carries a client token (core/mcp-http-access.js
+ * `authenticateClient`). Viewers only read; approving or rejecting reconcile
+ * plans and skill-evolution items needs an admin token. Requests whose Host
+ * header is not a loopback name are refused, so a rebound DNS name cannot
+ * reach the listener from a browser page.
+ *
+ * Plan names are checked here too: only a plain `*.json` name may reach the
+ * filesystem, so a request path cannot point outside the plan directory.
+ */
+
+const { LOOPBACK_HOSTS, normalizeLoopbackHost, normalizeTokenClients } = require('./mcp-http-access');
+
+const DEFAULT_PORT = 8768;
+const DEFAULT_RECONCILE_DIR = '~/.metame/reconcile';
+const DASHBOARD_ROLES = Object.freeze(['viewer', 'admin']);
+const PLAN_NAME_RE = /^[A-Za-z0-9_.-]{1,128}\.json$/;
+
+function describeClient(raw, label) {
+  const role = String(raw.role || 'viewer').trim();
+  if (!DASHBOARD_ROLES.includes(role)) throw new Error(`${label}: role must be one of ${DASHBOARD_ROLES.join(', ')}`);
+  return { role };
+}
+
+/**
+ * Normalize the `dashboard` config section.
+ *
+ * @param {object} [section]
+ * @param {{ env?: object, home?: string }} [opts]
+ * @returns {{ enabled: boolean, host: string, port: number, reconcileDir: string, clients: object[] }}
+ */
+function normalizeDashboardConfig(section, { env = process.env, home = '' } = {}) {
+  const cfg = section && typeof section === 'object' ? section : {};
+  const expand = value => String(value).trim().replace(/^~(?=$|\/)/, home);
+  const reconcileDir = expand(cfg.reconcile_dir || DEFAULT_RECONCILE_DIR);
+  if (cfg.enabled !== true) return { enabled: false, host: '127.0.0.1', port: DEFAULT_PORT, reconcileDir, clients: [] };
+
+  const host = normalizeLoopbackHost(cfg.host, 'dashboard');
+  const port = cfg.port === undefined ? DEFAULT_PORT : Number(cfg.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('dashboard.port must be an integer 0-65535');
+
+  const clients = normalizeTokenClients('dashboard', cfg.clients, env, describeClient);
+  return { enabled: true, host, port, reconcileDir, clients };
+}
+
+/** Host header names a loopback host (any port); a missing header is refused. */
+function isLoopbackHostHeader(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return false;
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(text);
+  const hostname = bracketed ? bracketed[1] : text.replace(/:\d+$/, '');
+  return LOOPBACK_HOSTS.has(hostname);
+}
+
+function canReview(client) {
+  return Boolean(client && client.role === 'admin');
+}
+
+/** Staged plan file name, or null when it could escape the plan directory. */
+function parsePlanName(value) {
+  const name = String(value || '');
+  return PLAN_NAME_RE.test(name) && !name.startsWith('.') ? name : null;
+}
+
+module.exports = {
+  DASHBOARD_ROLES,
+  DEFAULT_PORT,
+  canReview,
+  isLoopbackHostHeader,
+  normalizeDashboardConfig,
+  parsePlanName,
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * core/embedding-index.js — Per-backend vector indexes over content_chunks.
+ *
+ * chunk_embeddings holds one vector per (chunk, model), so switching the
+ * embedding backend never discards the previous index: the old vectors stay
+ * searchable under their model and the new index is built alongside them.
+ * content_chunks.embedding* remains a mirror of the active backend for
+ * single-index consumers (wiki-cluster, doctor counters).
+ *
+ * Exports:
+ *   upsertChunkEmbedding(db, chunkId, backendInfo, blob)
+ *   enqueueReembed(db, backendInfo)         → { enqueued, reset }
+ *   collectEmbeddingCoverage(db, opts)      → { chunks, active, indexes[] }
+ *
+ * Callers pass a DatabaseSync with applyWikiSchema() applied, except
+ * collectEmbeddingCoverage which tolerates older read-only databases.
+ */
+
+function upsertChunkEmbedding(db, chunkId, backendInfo, blob) {
+  db.prepare(`
+    INSERT INTO chunk_embeddings (chunk_id, model, dim, embedding)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(chunk_id, model) DO UPDATE SET
+      dim = excluded.dim, embedding = excluded.embedding, created_at = datetime('now')
+  `).run(chunkId, backendInfo.model, backendInfo.dimensions, blob);
+}
+
+/**
+ * Queue every chunk that has no vector in backendInfo's index. Rows carry
+ * target_model so the job survives backend switches and interrupted runs;
+ * re-running only revives dead rows and adds chunks written since.
+ */
+function enqueueReembed(db, backendInfo) {
+  const { model, dimensions } = backendInfo;
+  db.prepare('BEGIN').run();
+  try {
+    const reset = db.prepare(`
+      UPDATE embedding_queue SET attempts = 0, last_error = NULL
+      WHERE item_type = 'chunk' AND target_model = ? AND attempts > 0
+    `).run(model).changes;
+    const enqueued = db.prepare(`
+      INSERT INTO embedding_queue (item_type, item_id, model, target_model)
+      SELECT 'chunk', cc.id, ?, ?
+      FROM content_chunks cc
+      WHERE NOT EXISTS (
+          SELECT 1 FROM chunk_embeddings ce
+          WHERE ce.chunk_id = cc.id AND ce.model = ? AND ce.dim = ?
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM embedding_queue eq
+          WHERE eq.item_type = 'chunk' AND eq.item_id = cc.id AND eq.target_model = ?
+        )
+    `).run(model, model, model, dimensions, model).changes;
+    db.prepare('COMMIT').run();
+    return { enqueued, reset };
+  } catch (err) {
+    try { db.prepare('ROLLBACK').run(); } catch { }
+    throw err;
+  }
+}
+
+function tableColumns(db, table) {
+  try {
+    return new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(row => row.name));
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * Coverage of every index present in the database, plus every known backend.
+ *
+ * @param {object} db
+ * @param {object} [opts]
+ * @param {{ backend: string, model: string, dimensions: number }[]} [opts.backends] - known backends
+ * @param {string|null} [opts.activeModel]
+ * @returns {{ chunks: number, active: string|null, indexes: object[] }}
+ */
+function collectEmbeddingCoverage(db, { backends = [], activeModel = null } = {}) {
+  const chunkColumns = tableColumns(db, 'content_chunks');
+  if (chunkColumns.size === 0) return { chunks: 0, active: activeModel, indexes: [] };
+  const chunks = db.prepare('SELECT COUNT(*) AS n FROM content_chunks').get().n;
+
+  const byModel = new Map();
+  const entry = (model, dim) => {
+    if (!byModel.has(model)) {
+      const known = backends.find(b => b.model === model);
+      byModel.set(model, {
+        backend: known ? known.backend : null,
+        model,
+        dimensions: dim || (known ? known.dimensions : null),
+        embedded: 0,
+        queued: 0,
+        failed: 0,
+      });
+    }
+    return byModel.get(model);
+  };
+  for (const known of backends) entry(known.model, known.dimensions);
+
+  const vectors = tableColumns(db, 'chunk_embeddings').size > 0
+    ? db.prepare(`
+      SELECT ce.model, ce.dim, COUNT(*) AS n FROM chunk_embeddings ce
+      JOIN content_chunks cc ON cc.id = ce.chunk_id
+      GROUP BY ce.model, ce.dim
+    `).all()
+    : (chunkColumns.has('embedding_model') ? db.prepare(`
+      SELECT embedding_model AS model, embedding_dim AS dim, COUNT(*) AS n FROM content_chunks
+      WHERE embedding IS NOT NULL AND embedding_model IS NOT NULL
+      GROUP BY embedding_model, embedding_dim
+    `).all() : []);
+  for (const row of vectors) entry(row.model, row.dim).embedded += row.n;
+
+  const queueColumns = tableColumns(db, 'embedding_queue');
+  if (queueColumns.has('attempts')) {
+    // Untargeted rows are built for whichever backend is active.
+    const targetExpr = queueColumns.has('target_model')
+      ? 'COALESCE(target_model, ?)' : '?';
+    const queue = db.prepare(`
+      SELECT ${targetExpr} AS model,
+             SUM(CASE WHEN attempts < 3 THEN 1 ELSE 0 END) AS queued,
+             SUM(CASE WHEN attempts >= 3 THEN 1 ELSE 0 END) AS failed
+      FROM embedding_queue WHERE item_type = 'chunk'
+      GROUP BY 1
+    `).all(activeModel);
+    for (const row of queue) {
+      if (!row.model) continue;
+      const item = entry(row.model, null);
+      item.queued += row.queued;
+      item.failed += row.failed;
+    }
+  }
+
+  const indexes = [...byModel.values()]
+    .filter(item => item.embedded > 0 || item.queued > 0 || item.failed > 0 || item.model === activeModel)
+    .map(item => ({
+      ...item,
+      active: item.model === activeModel,
+      coverage: chunks > 0 ? item.embedded / chunks : null,
+    }))
+    .sort((a, b) => Number(b.active) - Number(a.active) || b.embedded - a.embedded);
+  return { chunks, active: activeModel, indexes };
+}
+
+module.exports = {
+  upsertChunkEmbedding,
+  enqueueReembed,
+  collectEmbeddingCoverage,
+};
@@ -32,6 +32,7 @@ const DEFAULT_CONFIG = {
     snapshot_ttl_minutes: 60,
     max_candidates: 5000,
   },
+  linux_index: { backend: 'auto', ttl_hours: 24, max_entries: 500000, budget_seconds: 30, max_watches: 4096 },
 };
 
 function expandHome(p, home) {
@@ -58,6 +59,7 @@ function normalizeConfig(raw, home) {
   const overview = { ...DEFAULT_CONFIG.overview, ...(src.overview && typeof src.overview === 'object' ? src.overview : {}) };
   const storage = { ...DEFAULT_CONFIG.storage, ...(src.storage && typeof src.storage === 'object' ? src.storage : {}) };
   const maintenance = { ...DEFAULT_CONFIG.maintenance, ...(src.maintenance && typeof src.maintenance === 'object' ? src.maintenance : {}) };
+  const linuxIndex = { ...DEFAULT_CONFIG.linux_index, ...(src.linux_index && typeof src.linux_index === 'object' ? src.linux_index : {}) };
   return {
     roots: stringList(src.roots, DEFAULT_CONFIG.roots).map(p => expandHome(p, home)),
     protectedPatterns: stringList(src.protected, DEFAULT_CONFIG.protected).map(p => expandHome(p, home)),
@@ -88,6 +90,13 @@ function normalizeConfig(raw, home) {
       snapshotTtlMs: clampNumber(maintenance.snapshot_ttl_minutes, 60, 5, 24 * 60) * 60 * 1000,
       maxCandidates: clampNumber(maintenance.max_candidates, 5000, 1, 20000),
     },
+    linuxIndex: {
+      backend: ['plocate', 'walk'].includes(linuxIndex.backend) ? linuxIndex.backend : 'auto',
+      ttlMs: clampNumber(linuxIndex.ttl_hours, 24, 1, 24 * 14) * 3600 * 1000,
+      maxEntries: clampNumber(linuxIndex.max_entries, 500000, 1000, 5000000),
+      budgetMs: clampNumber(linuxIndex.budget_seconds, 30, 1, 600) * 1000,
+      maxWatches: clampNumber(linuxIndex.max_watches, 4096, 0, 65536),
+    },
   };
 }
 
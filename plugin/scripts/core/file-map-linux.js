@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * file-map-linux.js — Linux counterparts of the Spotlight builders/parsers.
+ * Pure: never spawns or reads files; the server layer owns both.
+ *
+ * Linux has no system index with usage dates, so the file map combines:
+ *  - location: plocate (its updatedb database covers the whole disk) when
+ *    installed, otherwise MetaMe's own walk index (file-map-linux-index.js).
+ *    Both match file NAMES only — there is no content index.
+ *  - last used: GTK's recently-used.xbel (files opened through desktop apps)
+ *    and atime. atime only counts when it is strictly later than mtime:
+ *    creating or writing a file sets atime = mtime and noatime mounts freeze
+ *    it, so atime <= mtime means "no use recorded", not "unused". relatime
+ *    still advances atime once a day — ample for thresholds in months.
+ *  - the same confidence split as Spotlight: a recorded last-used date is
+ *    confirmed_stale evidence; no record at all is never_recorded.
+ */
+
+const KIND_EXTENSIONS = {
+  document: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'md', 'xls', 'xlsx', 'ods', 'csv', 'ppt', 'pptx', 'odp', 'epub', 'pages', 'numbers', 'key'],
+  image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'heic', 'bmp', 'tif', 'tiff', 'svg', 'raw', 'cr2', 'nef', 'dng'],
+  audio: ['mp3', 'wav', 'flac', 'aac', 'm4a', 'ogg', 'opus', 'aiff'],
+  video: ['mp4', 'mov', 'mkv', 'avi', 'webm', 'm4v', 'mpg', 'mpeg', 'wmv'],
+  archive: ['zip', 'tar', 'gz', 'tgz', 'bz2', 'xz', 'zst', '7z', 'rar', 'iso', 'dmg', 'deb', 'rpm'],
+  code: ['js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'go', 'rs', 'c', 'h', 'cc', 'cpp', 'hpp', 'java', 'kt', 'rb', 'php', 'sh', 'swift', 'lua', 'sql'],
+  app: ['appimage', 'desktop', 'flatpakref', 'snap'],
+};
+
+const ERE_SPECIALS = /[.[\]{}()\\*+?^$|]/g;
+
+/** Lower-case extension without the dot ('' when there is none). */
+function extensionOf(p) {
+  const base = String(p).slice(String(p).lastIndexOf('/') + 1);
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot + 1).toLowerCase() : '';
+}
+
+function matchesKind(p, kind, isDirectory = false) {
+  if (!kind) return true;
+  if (kind === 'folder') return isDirectory;
+  const exts = KIND_EXTENSIONS[kind];
+  return !!exts && !isDirectory && exts.includes(extensionOf(p));
+}
+
+/**
+ * Name terms for a search (AND-ed). Spotlight expressions (kMDItem…) have no
+ * Linux equivalent and yield null.
+ */
+function searchTerms({ query, name }) {
+  if (query && String(query).includes('kMDItem')) return null;
+  const terms = String(query || '').split(/\s+/).filter(Boolean);
+  if (name) terms.push(String(name));
+  return terms.length ? terms : null;
+}
+
+/**
+ * plocate argv: one case-insensitive POSIX regex per term, anchored to the
+ * root and to the basename so directory names do not match every child.
+ */
+function buildPlocateArgs({ root, terms, countOnly = false }) {
+  const prefix = String(root || '/').replace(/\/+$/, '').replace(ERE_SPECIALS, '\\$&');
+  const args = [countOnly ? '-c' : '-0', '-i', '--regex'];
+  for (const term of terms) {
+    args.push(`^${prefix}/(.*/)?[^/]*${String(term).replace(ERE_SPECIALS, '\\$&')}[^/]*$`);
+  }
+  return args;
+}
+
+function decodeXmlEntities(value) {
+  return String(value)
+    .replace(/&quot;/g, '"').replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function fileUriToPath(uri) {
+  const m = /^file:\/\/(?:localhost)?(\/[^?#]*)/.exec(uri);
+  if (!m) return null;
+  try { return decodeURIComponent(m[1]); } catch { return null; }
+}
+
+/**
+ * Parse recently-used.xbel into Map<path, ISO date of the latest open>.
+ * A bookmark's `visited`/`modified` stamps both mean "opened through an app".
+ */
+function parseRecentlyUsedXbel(xml) {
+  const out = new Map();
+  const tagRe = /<bookmark\b([^>]*)>/g;
+  let tag;
+  while ((tag = tagRe.exec(String(xml || '')))) {
+    const attrs = {};
+    for (const [, key, value] of tag[1].matchAll(/([\w:-]+)="([^"]*)"/g)) attrs[key] = decodeXmlEntities(value);
+    const p = attrs.href ? fileUriToPath(attrs.href) : null;
+    if (!p) continue;
+    const latest = [attrs.visited, attrs.modified]
+      .map(value => Date.parse(value || ''))
+      .filter(ms => Number.isFinite(ms) && ms > 0)
+      .reduce((a, b) => Math.max(a, b), 0);
+    if (!latest) continue;
+    const prev = out.get(p);
+    if (!prev || Date.parse(prev) < latest) out.set(p, new Date(latest).toISOString());
+  }
+  return out;
+}
+
+/**
+ * Last-used date for one file from its stat and its recently-used entry.
+ * @returns {{ last_used: string|null, source: 'recently_used'|'atime'|null }}
+ */
+function resolveLastUsed(stat, recentIso = null) {
+  const recentMs = recentIso ? Date.parse(recentIso) : NaN;
+  const atimeCounts = stat && Number(stat.atimeMs) > Number(stat.mtimeMs) + 1000;
+  const atimeMs = atimeCounts ? Number(stat.atimeMs) : NaN;
+  if (!Number.isFinite(recentMs) && !Number.isFinite(atimeMs)) return { last_used: null, source: null };
+  if (!Number.isFinite(atimeMs) || recentMs >= atimeMs) {
+    return { last_used: new Date(recentMs).toISOString(), source: 'recently_used' };
+  }
+  return { last_used: new Date(atimeMs).toISOString(), source: 'atime' };
+}
+
+module.exports = {
+  KIND_EXTENSIONS,
+  extensionOf,
+  matchesKind,
+  searchTerms,
+  buildPlocateArgs,
+  parseRecentlyUsedXbel,
+  resolveLastUsed,
+  _internal: { fileUriToPath, decodeXmlEntities },
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Pure rules for targeted erasure (`metame memory forget`, `/forget`).
+ *
+ *   parseForgetTarget(text)      exact memory_items id or a substring query
+ *   scrubSourceRefs(refs, ids)   drop recall_audit refs that point at erased ids
+ *   scrubAnchorLabels(labels, q) drop anchor labels that quote the query
+ *   buildErasureReceipt(...)     HMAC-SHA256 signed record of what was erased
+ *   verifyErasureReceipt(r, key) constant-time signature check
+ *
+ * A receipt never carries erased content or the query itself: the selector is
+ * recorded as an HMAC under the same local key, so the receipt proves what was
+ * removed without becoming another copy of it.
+ */
+
+const crypto = require('node:crypto');
+
+const RECEIPT_TYPE = 'metame-erasure-receipt';
+const RECEIPT_SCHEMA_VERSION = 1;
+const MIN_QUERY_CHARS = 3;
+const MAX_FORGET_ITEMS = 200;
+
+function parseForgetTarget(text) {
+  const value = String(text || '').trim();
+  if (!value) throw new Error('forget requires a memory id or a query');
+  if (value.length < MIN_QUERY_CHARS) throw new Error(`forget query must be at least ${MIN_QUERY_CHARS} characters`);
+  return value;
+}
+
+/** `id:<x>`, `memory:<x>`, `fact:<x>` … all end in the memory id. */
+function refTargetsIds(ref, ids) {
+  const text = String(ref || '');
+  const index = text.indexOf(':');
+  return ids.has(index >= 0 ? text.slice(index + 1) : text);
+}
+
+function scrubSourceRefs(refs, ids) {
+  const list = Array.isArray(refs) ? refs : [];
+  const kept = list.filter(ref => !refTargetsIds(ref, ids));
+  return { refs: kept, removed: list.length - kept.length };
+}
+
+function scrubAnchorLabels(labels, query) {
+  const list = Array.isArray(labels) ? labels : [];
+  if (!query) return { labels: list, removed: 0 };
+  const needle = String(query).toLowerCase();
+  const kept = list.filter(label => !String(label || '').toLowerCase().includes(needle));
+  return { labels: kept, removed: list.length - kept.length };
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value, 'utf8').digest('hex');
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function receiptPayload(receipt) {
+  const { signature, ...payload } = receipt;
+  return JSON.stringify(payload);
+}
+
+/**
+ * @param {{ selector: { kind: 'id'|'query', value: string }, erasedAt: string,
+ *           counts: object, memoryItemIds: string[], chunkIds: string[],
+ *           staleArtifactIds: string[], stalePageSlugs: string[] }} erasure
+ * @param {Buffer} key local receipt key
+ */
+function buildErasureReceipt(erasure, key) {
+  const receipt = {
+    receipt_type: RECEIPT_TYPE,
+    schema_version: RECEIPT_SCHEMA_VERSION,
+    receipt_id: `er_${crypto.randomUUID()}`,
+    erased_at: String(erasure.erasedAt),
+    selector: { kind: erasure.selector.kind, hmac: hmac(key, erasure.selector.value) },
+    counts: erasure.counts,
+    memory_item_ids: [...erasure.memoryItemIds].sort(),
+    chunk_ids: [...erasure.chunkIds].sort(),
+    stale_artifact_ids: [...erasure.staleArtifactIds].sort(),
+    stale_page_slugs: [...erasure.stalePageSlugs].sort(),
+    key_id: keyId(key),
+  };
+  return { ...receipt, signature: hmac(key, receiptPayload(receipt)) };
+}
+
+function verifyErasureReceipt(receipt, key) {
+  if (!receipt || receipt.receipt_type !== RECEIPT_TYPE || typeof receipt.signature !== 'string') return false;
+  if (receipt.key_id !== keyId(key)) return false;
+  const expected = Buffer.from(hmac(key, receiptPayload(receipt)), 'hex');
+  const actual = Buffer.from(receipt.signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/** Whether a receipt was issued for this selector (needs the same key). */
+function receiptMatchesSelector(receipt, value, key) {
+  return Boolean(receipt && receipt.selector && receipt.selector.hmac === hmac(key, String(value)));
+}
+
+module.exports = {
+  MAX_FORGET_ITEMS,
+  MIN_QUERY_CHARS,
+  RECEIPT_SCHEMA_VERSION,
+  RECEIPT_TYPE,
+  buildErasureReceipt,
+  parseForgetTarget,
+  receiptMatchesSelector,
+  scrubAnchorLabels,
+  scrubSourceRefs,
+  verifyErasureReceipt,
+};
@@ -196,6 +196,26 @@ function resolveClaimConflict(db, { winnerId, reason = 'conflict_resolution' } =
   }
 }
 
+/**
+ * Archive every live claim whose valid_until has passed (reason 'expired')
+ * and mark artifacts built from them stale. The caller owns the transaction.
+ * Archived rows keep their validity window, so as-of reads still find them.
+ */
+function expireMemoryItems(db, { now = null } = {}) {
+  _validateDb(db, 'expireMemoryItems');
+  if (!_columns(db, 'memory_items').has('valid_until')) return { archivedIds: [], staleArtifactIds: [] };
+  const { normalizeValidityTime } = require('./memory-validity');
+  const cutoff = normalizeValidityTime(now, 'now') || db.prepare(`SELECT datetime('now') AS now`).get().now;
+  const archivedIds = db.prepare(`
+    SELECT id FROM memory_items
+     WHERE state IN ('candidate','active','conflict')
+       AND valid_until IS NOT NULL
+       AND valid_until <= ?
+  `).all(cutoff).map(row => row.id);
+  for (const id of archivedIds) archiveMemoryItem(db, id, { reason: 'expired' });
+  return { archivedIds, staleArtifactIds: _markClaimDependentsStale(db, archivedIds) };
+}
+
 function promoteClaim(db, id) {
   _validateDb(db, 'promoteClaim');
   _validateId(id, 'promoteClaim');
@@ -205,6 +225,7 @@ function promoteClaim(db, id) {
 
 module.exports = {
   archiveMemoryItem,
+  expireMemoryItems,
   mergeClaimLineage,
   promoteClaim,
   recordKnowledgeLineage,
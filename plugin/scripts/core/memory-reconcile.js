@@ -5,8 +5,14 @@
  *
  * Reconciliation has intentionally narrow authority: only rows that share a
  * canonical identity and the exact same normalized content may be planned for
- * archival.  Titles, tags, confidence, recency, and text similarity are
- * reporting signals only and never produce a mutation action.
+ * archival.  Titles, tags and confidence are reporting signals only.
+ *
+ * Near-duplicates (embedding + lexical similarity) and contradictions (a
+ * value or polarity conflict between claims of the same identity or topic)
+ * become `proposals`: the same snapshot-guarded archive step as an action,
+ * but apply only executes the ones an operator accepts by id.  The suggested
+ * survivor of a near-duplicate follows compareRows(); of a contradiction, the
+ * newer claim.
  */
 
 const crypto = require('node:crypto');
@@ -15,6 +21,16 @@ const {
   claimIdentity,
   identityToken,
 } = require('./claim-contract');
+const {
+  SIMILARITY_THRESHOLDS,
+  contradictionSignal,
+  cosineSimilarity,
+  extractFeatures,
+  isNearDuplicate,
+  isSameTopic,
+  lexicalSimilarity,
+  numericValues,
+} = require('./memory-similarity');
 
 const PLAN_SCHEMA_VERSION = 1;
 const PLAN_TYPE = 'memory-reconcile-plan';
@@ -23,6 +39,8 @@ const MAX_REPORT_ENTRIES = 5000;
 const LIVE_STATES = new Set(['candidate', 'active', 'conflict']);
 const CLAIM_KINDS = new Set(['insight', 'convention']);
 const STATE_PRIORITY = { active: 0, candidate: 1, conflict: 2 };
+const MAX_SEMANTIC_BUCKET_ROWS = 1500;
+const PROPOSAL_ACTIONS = new Set(['merge_near_duplicate', 'resolve_contradiction']);
 
 function normalizeTitle(value) {
   return String(value || '').normalize('NFKC').trim().replace(/\s+/gu, ' ').toLowerCase();
@@ -60,6 +78,13 @@ function isReconcileCandidate(row) {
     && Boolean(rowIdentity(row));
 }
 
+function newerFirst(left, right) {
+  const leftCreated = String(left.created_at || '');
+  const rightCreated = String(right.created_at || '');
+  if (leftCreated !== rightCreated) return rightCreated.localeCompare(leftCreated);
+  return compareRows(left, right);
+}
+
 function groupBy(rows, keyFor) {
   const groups = new Map();
   for (const row of rows) {
@@ -83,7 +108,123 @@ function reportGroup(rows, identity = null) {
   };
 }
 
-function buildReconcilePlan(rows = [], { now = new Date().toISOString(), dbPath = null } = {}) {
+function embeddingFor(embeddings, id) {
+  if (!embeddings) return null;
+  const vector = embeddings instanceof Map ? embeddings.get(id) : embeddings[id];
+  return vector && vector.length ? vector : null;
+}
+
+function roundScore(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+function proposalId(action, survivorId, duplicateId) {
+  return crypto.createHash('sha256')
+    .update(`${action}:${survivorId}:${duplicateId}`, 'utf8')
+    .digest('hex')
+    .slice(0, 12);
+}
+
+function classifyPair(left, right, similarity) {
+  const sameIdentity = identityToken(rowIdentity(left)) === identityToken(rowIdentity(right));
+  const conflict = contradictionSignal(left.content, right.content);
+  if (conflict && (sameIdentity || isSameTopic(similarity))) {
+    return { action: 'resolve_contradiction', reason: `conflicting_${conflict.kind}`, conflict };
+  }
+  if (isNearDuplicate(similarity)) return { action: 'merge_near_duplicate', reason: 'semantic_near_duplicate' };
+  // Same identity alone is not a contradiction (claims often refine each
+  // other); it stays a review-only semantic_conflicts report.
+  return null;
+}
+
+/**
+ * Pairwise near-duplicate / contradiction proposals among live claims of the
+ * same project and kind.  Rows already archived by an exact action are left
+ * out, and each row is proposed for archival at most once: contradictions
+ * first, then by descending similarity.
+ */
+function buildSemanticProposals(eligible, actions, { embeddings = null } = {}) {
+  const archivedByActions = new Set(actions.map(action => action.duplicate.id));
+  const rows = eligible.filter(row => !archivedByActions.has(String(row.id)));
+  const buckets = groupBy(rows, row => JSON.stringify([rowIdentity(row).project, String(row.kind).toLowerCase()]));
+  const candidates = [];
+  let comparedRows = 0;
+  let skippedRows = 0;
+  for (const bucket of buckets.values()) {
+    const ordered = [...bucket].sort(compareRows);
+    const compared = ordered.slice(0, MAX_SEMANTIC_BUCKET_ROWS);
+    comparedRows += compared.length;
+    skippedRows += ordered.length - compared.length;
+    const features = compared.map(row => extractFeatures(row.content));
+    for (let i = 0; i < compared.length; i++) {
+      for (let j = i + 1; j < compared.length; j++) {
+        const left = compared[i];
+        const right = compared[j];
+        if (claimContentDigest(left.content) === claimContentDigest(right.content)
+          && identityToken(rowIdentity(left)) === identityToken(rowIdentity(right))) continue;
+        const similarity = {
+          lexical: roundScore(lexicalSimilarity(features[i], features[j])),
+          embedding: roundScore(cosineSimilarity(
+            embeddingFor(embeddings, String(left.id)),
+            embeddingFor(embeddings, String(right.id)),
+          )),
+        };
+        const verdict = classifyPair(left, right, similarity);
+        if (!verdict) continue;
+        const [survivor, duplicate] = [left, right]
+          .sort(verdict.action === 'resolve_contradiction' ? newerFirst : compareRows);
+        candidates.push({ ...verdict, similarity, survivor, duplicate });
+      }
+    }
+  }
+
+  const rank = candidate => (candidate.action === 'resolve_contradiction' ? 0 : 1);
+  const score = candidate => candidate.similarity.embedding ?? candidate.similarity.lexical;
+  candidates.sort((left, right) => rank(left) - rank(right)
+    || score(right) - score(left)
+    || String(left.duplicate.id).localeCompare(String(right.duplicate.id))
+    || String(left.survivor.id).localeCompare(String(right.survivor.id)));
+
+  const archived = new Set();
+  const proposals = [];
+  for (const candidate of candidates) {
+    const survivorId = String(candidate.survivor.id);
+    const duplicateId = String(candidate.duplicate.id);
+    if (archived.has(survivorId) || archived.has(duplicateId)) continue;
+    if (proposals.length >= MAX_PLAN_ROWS) break;
+    archived.add(duplicateId);
+    const survivor = rowSnapshot(candidate.survivor);
+    const duplicate = rowSnapshot(candidate.duplicate);
+    proposals.push({
+      id: proposalId(candidate.action, survivorId, duplicateId),
+      action: candidate.action,
+      reason: candidate.reason,
+      similarity: candidate.similarity,
+      ...(candidate.reason === 'conflicting_values'
+        ? { values: { survivor: numericValues(candidate.survivor.content), duplicate: numericValues(candidate.duplicate.content) } }
+        : {}),
+      survivor,
+      duplicate,
+      preconditions: [survivor, duplicate],
+    });
+  }
+  return {
+    proposals,
+    semantic: {
+      compared_rows: comparedRows,
+      skipped_rows: skippedRows,
+      max_bucket_rows: MAX_SEMANTIC_BUCKET_ROWS,
+      thresholds: { ...SIMILARITY_THRESHOLDS },
+    },
+  };
+}
+
+function buildReconcilePlan(rows = [], {
+  now = new Date().toISOString(),
+  dbPath = null,
+  embeddings = null,
+  embeddingModel = null,
+} = {}) {
   if (!Array.isArray(rows)) throw new TypeError('buildReconcilePlan: rows must be an array');
   if (rows.length > MAX_PLAN_ROWS) {
     throw new Error(`reconcile plan exceeds bounded row limit (${MAX_PLAN_ROWS})`);
@@ -168,6 +309,7 @@ function buildReconcilePlan(rows = [], { now = new Date().toISOString(), dbPath
     unkeyed: capReport(unkeyed),
     invalid_identity: capReport(invalidRows),
   };
+  const { proposals, semantic } = buildSemanticProposals(eligible, actions, { embeddings });
   const plan = {
     schema_version: PLAN_SCHEMA_VERSION,
     plan_type: PLAN_TYPE,
@@ -187,9 +329,13 @@ function buildReconcilePlan(rows = [], { now = new Date().toISOString(), dbPath
       title_duplicate_groups: titleReports.length,
       unkeyed_rows: unkeyed.length,
       invalid_identity_rows: invalidRows.length,
+      near_duplicate_proposals: proposals.filter(proposal => proposal.action === 'merge_near_duplicate').length,
+      contradiction_proposals: proposals.filter(proposal => proposal.action === 'resolve_contradiction').length,
     },
+    semantic: { embedding_model: embeddings && embeddingModel ? String(embeddingModel) : null, ...semantic },
     reports,
     actions,
+    proposals,
   };
   return attachPlanDigest(plan);
 }
@@ -220,6 +366,29 @@ function sameSnapshot(left, right) {
     && JSON.stringify(left.identity) === JSON.stringify(right.identity);
 }
 
+function validateArchiveStep(action) {
+  if (!action.survivor || !action.duplicate || !Array.isArray(action.preconditions)) {
+    throw new Error('incomplete reconcile action preconditions');
+  }
+  if (action.preconditions.length !== 2) throw new Error('reconcile action must have two preconditions');
+  if (action.survivor.id === action.duplicate.id) throw new Error('reconcile action cannot archive its survivor');
+  const preconditionsById = new Map();
+  for (const precondition of action.preconditions) {
+    const id = String(precondition && precondition.id);
+    if (preconditionsById.has(id)) throw new Error('reconcile action preconditions contain duplicate row IDs');
+    preconditionsById.set(id, precondition);
+  }
+  const survivorPrecondition = preconditionsById.get(String(action.survivor.id));
+  const duplicatePrecondition = preconditionsById.get(String(action.duplicate.id));
+  if (!survivorPrecondition || !duplicatePrecondition) {
+    throw new Error('reconcile action preconditions do not cover both rows');
+  }
+  if (!sameSnapshot(action.survivor, survivorPrecondition)
+    || !sameSnapshot(action.duplicate, duplicatePrecondition)) {
+    throw new Error('reconcile action preconditions do not match action snapshots');
+  }
+}
+
 function validatePlan(plan) {
   if (!plan || typeof plan !== 'object') throw new Error('reconcile plan must be an object');
   if (plan.schema_version !== PLAN_SCHEMA_VERSION) throw new Error('unsupported reconcile plan schema_version');
@@ -231,31 +400,29 @@ function validatePlan(plan) {
   if (plan.actions.length > MAX_PLAN_ROWS) throw new Error('reconcile plan actions exceed bounded limit');
   for (const action of plan.actions) {
     if (!action || action.action !== 'archive_exact_duplicate') throw new Error('unsupported reconcile action');
-    if (!action.survivor || !action.duplicate || !Array.isArray(action.preconditions)) {
-      throw new Error('incomplete reconcile action preconditions');
-    }
-    if (action.preconditions.length !== 2) throw new Error('reconcile action must have two preconditions');
-    if (action.survivor.id === action.duplicate.id) throw new Error('reconcile action cannot archive its survivor');
-    const preconditionsById = new Map();
-    for (const precondition of action.preconditions) {
-      const id = String(precondition && precondition.id);
-      if (preconditionsById.has(id)) throw new Error('reconcile action preconditions contain duplicate row IDs');
-      preconditionsById.set(id, precondition);
-    }
-    const survivorPrecondition = preconditionsById.get(String(action.survivor.id));
-    const duplicatePrecondition = preconditionsById.get(String(action.duplicate.id));
-    if (!survivorPrecondition || !duplicatePrecondition) {
-      throw new Error('reconcile action preconditions do not cover both rows');
-    }
-    if (!sameSnapshot(action.survivor, survivorPrecondition)
-      || !sameSnapshot(action.duplicate, duplicatePrecondition)) {
-      throw new Error('reconcile action preconditions do not match action snapshots');
-    }
+    validateArchiveStep(action);
     if (action.survivor.content_digest !== action.duplicate.content_digest
       || JSON.stringify(action.survivor.identity) !== JSON.stringify(action.duplicate.identity)) {
       throw new Error('reconcile action is not an exact identity/content duplicate');
     }
   }
+  const proposals = plan.proposals ?? [];
+  if (!Array.isArray(proposals)) throw new Error('reconcile plan proposals must be an array');
+  if (proposals.length > MAX_PLAN_ROWS) throw new Error('reconcile plan proposals exceed bounded limit');
+  const proposalIds = new Set();
+  for (const proposal of proposals) {
+    if (!proposal || !PROPOSAL_ACTIONS.has(proposal.action)) throw new Error('unsupported reconcile proposal');
+    validateArchiveStep(proposal);
+    if (proposal.id !== proposalId(proposal.action, proposal.survivor.id, proposal.duplicate.id)) {
+      throw new Error('reconcile proposal id does not match its rows');
+    }
+    if (proposalIds.has(proposal.id)) throw new Error('reconcile plan contains duplicate proposal IDs');
+    proposalIds.add(proposal.id);
+    if (!proposal.survivor.identity || !proposal.duplicate.identity
+      || proposal.survivor.identity.project !== proposal.duplicate.identity.project) {
+      throw new Error('reconcile proposal must stay within one project');
+    }
+  }
   return plan;
 }
 
@@ -266,19 +433,24 @@ module.exports = {
   MAX_REPORT_ENTRIES,
   PLAN_SCHEMA_VERSION,
   PLAN_TYPE,
+  PROPOSAL_ACTIONS,
   buildReconcilePlan,
   claimContentDigest,
   computePlanDigest,
+  isReconcileCandidate,
   normalizeTitle,
   rowSnapshot,
   validatePlan,
   _internal: {
+    buildSemanticProposals,
     capReport,
     compareRows,
     digestInput,
     groupBy,
     identityGroups: groupBy,
     isReconcileCandidate,
+    newerFirst,
+    proposalId,
     rowIdentity,
     sameSnapshot,
   },
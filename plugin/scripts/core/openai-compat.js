@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * core/openai-compat.js — request/response shapes for the daemon's
+ * OpenAI-compatible chat-completions endpoint.
+ *
+ * Config shape (daemon.yaml):
+ *   openai_api:
+ *     enabled: true
+ *     host: 127.0.0.1        # loopback only
+ *     port: 8767
+ *     timeout_ms: 300000
+ *     clients:
+ *       - name: vscode
+ *         token_env: METAME_OPENAI_TOKEN_VSCODE   # or token: <secret>
+ *         role: member            # admin | member | stranger (daemon-user-acl roles)
+ *         # user: ou_xxx          # take the role from users.yaml instead
+ *         agents: [metame]        # optional: models this token may use
+ *
+ * `model` in a request is a project key from `projects`. Tokens are held only
+ * as SHA-256 digests (core/mcp-http-access.js `authenticateClient`).
+ *
+ * Everything here maps between OpenAI wire shapes and MetaMe's own: config
+ * to clients, a chat-completions body to one prompt, engine stream payloads
+ * to SSE deltas, failures to OpenAI error objects. daemon-openai-api.js owns
+ * the listener and the agent turn.
+ */
+
+const { normalizeLoopbackHost, normalizeTokenClients } = require('./mcp-http-access');
+
+const DEFAULT_PORT = 8767;
+const DEFAULT_TIMEOUT_MS = 300000;
+const ROLES = Object.freeze(['admin', 'member', 'stranger']);
+const STREAM_TEXT = '__STREAM_TEXT__';
+const TOOL_OVERLAY = '__TOOL_OVERLAY__';
+
+function describeClient(raw, label) {
+  const role = String(raw.role || 'member').trim();
+  if (!ROLES.includes(role)) throw new Error(`${label}: role must be one of ${ROLES.join(', ')}`);
+  const agents = raw.agents === undefined ? null
+    : (Array.isArray(raw.agents) ? raw.agents : [raw.agents]).map(item => String(item).trim()).filter(Boolean);
+  return {
+    role,
+    user: raw.user ? String(raw.user).trim() : null,
+    allowedActions: Array.isArray(raw.allowed_actions) ? raw.allowed_actions.map(String) : [],
+    agents,
+  };
+}
+
+/**
+ * Normalize the `openai_api` config section.
+ * @returns {{ enabled: boolean, host: string, port: number, timeoutMs: number, clients: object[] }}
+ */
+function normalizeOpenAiApiConfig(section, { env = process.env } = {}) {
+  const cfg = section && typeof section === 'object' ? section : {};
+  if (cfg.enabled !== true) return { enabled: false, host: '127.0.0.1', port: DEFAULT_PORT, timeoutMs: DEFAULT_TIMEOUT_MS, clients: [] };
+  const host = normalizeLoopbackHost(cfg.host, 'openai_api');
+  const port = cfg.port === undefined ? DEFAULT_PORT : Number(cfg.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('openai_api.port must be an integer 0-65535');
+  const clients = normalizeTokenClients('openai_api', cfg.clients, env, describeClient);
+  const timeoutMs = Number(cfg.timeout_ms);
+  return {
+    enabled: true,
+    host,
+    port,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS,
+    clients,
+  };
+}
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Validate a chat-completions body. The agent keeps its own session and
+ * memory, so only the latest user message is forwarded; earlier turns in
+ * `messages` are already in that session.
+ *
+ * @returns {{ ok: true, model: string, stream: boolean, text: string }|{ ok: false, error: string }}
+ */
+function parseChatRequest(body) {
+  if (!body || typeof body !== 'object') return { ok: false, error: 'body must be a JSON object' };
+  const model = typeof body.model === 'string' ? body.model.trim() : '';
+  if (!model) return { ok: false, error: 'model is required' };
+  if (!Array.isArray(body.messages) || body.messages.length === 0) return { ok: false, error: 'messages must be a non-empty array' };
+  const lastUser = [...body.messages].reverse().find(message => message && message.role === 'user');
+  const text = lastUser ? contentText(lastUser.content).replace(/\r\n/g, '\n').trim() : '';
+  if (!text) return { ok: false, error: 'messages needs a user message with text content' };
+  return { ok: true, model, stream: body.stream === true, text };
+}
+
+/** Project keys a client may address as `model`. */
+function allowedModels(client, projects) {
+  const keys = Object.keys(projects || {});
+  return client.agents ? keys.filter(key => client.agents.includes(key)) : keys;
+}
+
+/**
+ * Map one core/handoff.js stream payload to what the client should see:
+ * `{ text }` carries the full streamed text so far; tool overlays and plain
+ * status lines become `{ status }` (sent as SSE comments, never as content).
+ */
+function parseStreamPayload(payload) {
+  const value = String(payload || '');
+  if (value.startsWith(STREAM_TEXT)) return { text: value.slice(STREAM_TEXT.length) };
+  if (value.startsWith(TOOL_OVERLAY)) {
+    const overlay = value.slice(TOOL_OVERLAY.length);
+    const split = overlay.lastIndexOf('\n\n> ');
+    return { status: split >= 0 ? overlay.slice(split + 4) : overlay };
+  }
+  return { status: value };
+}
+
+/** Suffix of `full` not yet sent; '' when the text was rewritten rather than extended. */
+function streamDelta(sent, full) {
+  return full.startsWith(sent) ? full.slice(sent.length) : '';
+}
+
+function buildCompletion({ id, created, model, content }) {
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  };
+}
+
+function buildChunk({ id, created, model, delta = {}, finishReason = null }) {
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  };
+}
+
+function buildError(message, type = 'invalid_request_error', code = null) {
+  return { error: { message, type, code } };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  normalizeOpenAiApiConfig,
+  parseChatRequest,
+  allowedModels,
+  parseStreamPayload,
+  streamDelta,
+  buildCompletion,
+  buildChunk,
+  buildError,
+};
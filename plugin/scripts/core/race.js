@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * core/race.js — best-of-N engine races (/race).
+ *
+ * The same prompt runs on two or three trusted engines, each in its own
+ * run_race_* worktree (daemon-race.js); this module holds the pure parts:
+ * command parsing, engine selection and the comparison card text. The git
+ * output parsers live in core/worktree-status.js. Pure: no filesystem, no
+ * processes.
+ */
+
+const { parseEngineList, resolveEngineFallbackChain } = require('./engine-policy');
+
+const RACE_LIMITS = Object.freeze({
+  minEngines: 2,
+  maxEngines: 3,
+  promptChars: 120,
+  summaryChars: 400,
+  testOutputChars: 300,
+});
+const RACE_USAGE = [
+  '用法：',
+  '/race <任务> — 在 2~3 个受信任引擎上各开一个 worktree 并行执行',
+  '/race --engines claude,codex <任务> — 指定参赛引擎',
+  '/race — 查看当前 race',
+  '/race pick <engine> — 把该引擎的结果合并回主工作区',
+  '/race cancel — 终止并清理全部 worktree',
+].join('\n');
+
+/**
+ * @returns {{ action: 'status'|'cancel'|'usage' } | { action: 'pick', engine: string } | { action: 'start', prompt: string, engines: string[]|null } | null}
+ *   null when the text is not a /race command
+ */
+function parseRaceCommand(text) {
+  const match = /^\/race(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  const rest = String(match[1] || '').trim();
+  if (!rest || /^status$/i.test(rest)) return { action: 'status' };
+  if (/^(?:cancel|stop)$/i.test(rest)) return { action: 'cancel' };
+  const pick = /^pick(?:\s+(\S+))?$/i.exec(rest);
+  if (pick) return pick[1] ? { action: 'pick', engine: pick[1].toLowerCase() } : { action: 'usage' };
+  const withEngines = /^--engines(?:=|\s+)(\S+)\s*([\s\S]*)$/i.exec(rest);
+  if (withEngines) {
+    const prompt = withEngines[2].trim();
+    return prompt ? { action: 'start', prompt, engines: parseEngineList(withEngines[1]) } : { action: 'usage' };
+  }
+  return { action: 'start', prompt: rest, engines: null };
+}
+
+/**
+ * Racing engines in order: the explicit --engines list, else the chat's
+ * current engine, then `engine_fallback`, then every registered engine.
+ * Trust goes through the same scoped policy as failover
+ * (resolveEngineFallbackChain), so experimental engines still need their
+ * project allowlist.
+ * @returns {string[]} at most RACE_LIMITS.maxEngines ids
+ */
+function selectRaceEngines({
+  requested = null,
+  current = '',
+  registered = [],
+  projectKey = '',
+  project = null,
+  daemonCfg = {},
+  defaultEngine = 'claude',
+  isAvailable = () => true,
+} = {}) {
+  const candidates = requested && requested.length
+    ? requested
+    : [
+      current,
+      ...parseEngineList((project && project.engine_fallback) || daemonCfg.engine_fallback),
+      ...registered,
+    ].filter(Boolean);
+  return resolveEngineFallbackChain({
+    fallbackList: candidates,
+    projectKey,
+    project,
+    daemonCfg,
+    defaultEngine,
+    isAvailable,
+  }).slice(0, RACE_LIMITS.maxEngines);
+}
+
+function clip(text, maxChars) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value;
+}
+
+/** An entry can be merged when its turn succeeded and left changes behind. */
+function isPickable(entry) {
+  return !!entry && entry.status === 'done' && !!entry.diff && entry.diff.files > 0;
+}
+
+function entryLine(entry, index) {
+  const head = `${index + 1}. ${entry.engine}`;
+  if (entry.status === 'running') return `${head} · ⏳ 运行中`;
+  if (entry.status === 'failed') return `${head} · ❌ 失败：${clip(entry.error || 'unknown', 120)}`;
+  const parts = [head, '✅ 完成'];
+  parts.push(entry.diff && entry.diff.files > 0
+    ? `${entry.diff.files} 个文件 +${entry.diff.insertions} −${entry.diff.deletions}`
+    : '无改动');
+  if (entry.test) {
+    const seconds = Number.isFinite(entry.test.durationMs) ? ` ${Math.round(entry.test.durationMs / 1000)}s` : '';
+    parts.push(entry.test.passed ? `🧪 通过${seconds}` : `🧪 未通过${seconds}`);
+  } else {
+    parts.push('🧪 未配置 test_command');
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Comparison card for a finished (or running) race.
+ * @param {{ id: string, prompt: string, base: string, entries: object[] }} race
+ */
+function formatRaceCard(race) {
+  const lines = [
+    `🏁 Race ${race.id}（基于 ${String(race.base || '').slice(0, 7) || 'HEAD'}）`,
+    `任务：${clip(race.prompt, RACE_LIMITS.promptChars)}`,
+  ];
+  race.entries.forEach((entry, index) => {
+    lines.push('', entryLine(entry, index));
+    if (entry.test && !entry.test.passed && entry.test.output) {
+      lines.push(`   测试输出：${clip(entry.test.output, RACE_LIMITS.testOutputChars)}`);
+    }
+    if (entry.summary) lines.push(`   ${clip(entry.summary, RACE_LIMITS.summaryChars)}`);
+  });
+  const pickable = race.entries.filter(isPickable);
+  lines.push('', pickable.length
+    ? `选择一个结果合并回主工作区：${pickable.map(entry => `/race pick ${entry.engine}`).join('、')}；/race cancel 全部丢弃`
+    : '没有可合并的结果，worktree 已清理。');
+  return lines.join('\n');
+}
+
+module.exports = {
+  RACE_LIMITS,
+  RACE_USAGE,
+  parseRaceCommand,
+  selectRaceEngines,
+  isPickable,
+  formatRaceCard,
+};
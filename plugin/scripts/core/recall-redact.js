@@ -7,14 +7,19 @@
 // Note: base64 char-class excludes '/' to avoid eating filesystem paths;
 // the practical leakage cost is small (JWT, named-secret, hex cover most cases),
 // the false-positive cost of eating paths is severe.
+const JWT = { re: /(?<![A-Za-z0-9_-])[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}(?![A-Za-z0-9_-])/g, to: '<jwt>' };
+const METAME_ID = { re: /\b(?:bot_secret|chat_ou|chat_oc|user_ou|user_oc|app_id_cli)_[A-Za-z0-9_-]{4,}\b/g, to: '<metame>' };
+const FEISHU_ID = { re: /\bo[uc]_[A-Za-z0-9]{20,}\b/g, to: '<feishu>' };
+const EMAIL = { re: /[\w.+-]+@[\w-]+\.[\w.-]+/g, to: '<email>' };
+
 const PATTERNS = [
-  { re: /(?<![A-Za-z0-9_-])[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}(?![A-Za-z0-9_-])/g, to: '<jwt>' },
+  JWT,
   { re: /\b(bot_token|app_secret|access_token|refresh_token|api_key|api_secret|password|secret|chat_id|operator_id)[=:]\S+/gi, to: '<secret>' },
-  { re: /\b(?:bot_secret|chat_ou|chat_oc|user_ou|user_oc|app_id_cli)_[A-Za-z0-9_-]{4,}\b/g,     to: '<metame>' },
-  { re: /\bo[uc]_[A-Za-z0-9]{20,}\b/g,                                                           to: '<feishu>' },
+  METAME_ID,
+  FEISHU_ID,
   { re: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,                    to: '<uuid>'   },
   { re: /\?[^\s]*/g,                                                                             to: ''         },
-  { re: /[\w.+-]+@[\w-]+\.[\w.-]+/g,                                                             to: '<email>'  },
+  EMAIL,
   { re: /\b[a-f0-9]{20,}\b/gi,                                                                   to: '<hex>'    },
   { re: /\b[A-Za-z0-9+=]{24,}\b/g,                                                               to: '<b64>'    },
   { re: /\+?\d[\d\s().-]{5,}\d/g,                                                                to: '<phone>'  },
@@ -32,4 +37,26 @@ function redactSecretsAndPii(label) {
   return s;
 }
 
-module.exports = { redactSecretsAndPii };
+// Full-text variant for exported transcripts: same secret/identity detectors
+// plus key prefixes, Bearer headers and PEM blocks, but no length cap and none
+// of the blob/query/phone patterns, which would eat hashes, URLs and numbers
+// a reviewer needs to read.
+const TEXT_PATTERNS = [
+  { re: /-----BEGIN [^-]+-----[\s\S]*?-----END [^-]+-----/g,                                      to: '<secret>' },
+  JWT,
+  { re: /\b(?:sk-ant-[A-Za-z0-9_-]+|sk-[A-Za-z0-9_-]{16,}|gh[pousr]_[A-Za-z0-9_]{16,}|xox[baprs]-[A-Za-z0-9-]+)\b/g, to: '<secret>' },
+  { re: /\b(Bearer\s+)[A-Za-z0-9._~+/=-]{8,}/gi,                                                   to: '$1<secret>' },
+  { re: /(\b(?:[A-Za-z0-9]+_)*(?:bot_token|app_secret|access_token|refresh_token|auth_token|api_key|api_secret|client_secret|private_key|password|passwd|secret|token)\b["']?\s*[:=]\s*)(["']?)[^\s,"'}]+\2/gi, to: '$1$2<secret>$2' },
+  METAME_ID,
+  FEISHU_ID,
+  EMAIL,
+];
+
+function redactTranscriptText(text) {
+  if (typeof text !== 'string' || text.length === 0) return '';
+  let s = text;
+  for (const { re, to } of TEXT_PATTERNS) s = s.replace(re, to);
+  return s;
+}
+
+module.exports = { redactSecretsAndPii, redactTranscriptText };
@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * core/session-transcript.js — render one session's canonical events (the
+ * `read` stream of engines/*-session-source-adapter.js) as a transcript a
+ * reviewer can read without the engine that produced it.
+ *
+ *   md     Markdown: messages, tool calls (file edits as diffs), results, checkpoints
+ *   html   one self-contained page (inline CSS, no scripts)
+ *   jsonl  the canonical events, one per line
+ *
+ * Every text field goes through core/recall-redact.js `redactTranscriptText`
+ * before it is rendered. Pure: no filesystem.
+ */
+
+const { redactTranscriptText } = require('./recall-redact');
+
+const TRANSCRIPT_FORMATS = Object.freeze(['md', 'html', 'jsonl']);
+const FORMAT_ALIASES = Object.freeze({ markdown: 'md', htm: 'html', json: 'jsonl' });
+const PATCH_START = '*** Begin Patch';
+const ACTOR_LABELS = Object.freeze({ user: '👤 User', assistant: '🤖 Assistant', system: '📌 System' });
+
+/** @returns {string|null} canonical format name, or null when unsupported */
+function normalizeTranscriptFormat(value) {
+  const raw = String(value || 'md').trim().toLowerCase();
+  const format = FORMAT_ALIASES[raw] || raw;
+  return TRANSCRIPT_FORMATS.includes(format) ? format : null;
+}
+
+function parseToolInput(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+function pickString(object, keys) {
+  for (const key of keys) {
+    if (typeof object[key] === 'string') return object[key];
+  }
+  return null;
+}
+
+function prefixLines(text, mark) {
+  return String(text).split('\n').map(line => mark + line).join('\n');
+}
+
+/**
+ * Diff view of a file-editing tool call: Edit/MultiEdit style old/new pairs,
+ * Write-style full content, or an apply_patch body. Null for any other call,
+ * and for inputs the adapter truncated (no longer valid JSON).
+ */
+function toolCallDiff(tool, inputText) {
+  const raw = String(inputText || '');
+  if (raw.startsWith(PATCH_START)) return raw;
+  const input = parseToolInput(raw);
+  if (!input) return null;
+  const patch = pickString(input, ['patch', 'input']);
+  if (patch && patch.startsWith(PATCH_START)) return patch;
+  const file = pickString(input, ['file_path', 'filePath', 'path']);
+  if (!file) return null;
+
+  const hunks = [];
+  for (const edit of Array.isArray(input.edits) ? input.edits : [input]) {
+    if (!edit || typeof edit !== 'object') continue;
+    const before = pickString(edit, ['old_string', 'oldText', 'old_str']);
+    const after = pickString(edit, ['new_string', 'newText', 'new_str']);
+    if (before === null && after === null) continue;
+    hunks.push(['@@', before ? prefixLines(before, '-') : '', after ? prefixLines(after, '+') : ''].filter(Boolean).join('\n'));
+  }
+  if (hunks.length === 0) {
+    const content = pickString(input, ['content']);
+    if (content === null || !/write|create/i.test(String(tool || ''))) return null;
+    hunks.push(`@@ new content @@\n${prefixLines(content, '+')}`);
+  }
+  return `--- ${file}\n+++ ${file}\n${hunks.join('\n')}`;
+}
+
+/**
+ * Redacted, render-ready view of canonical events.
+ * @returns {object[]} `{ sequence, timestamp, actor, kind, tool, text, diff?, error?, exitCode? }`
+ */
+function buildTranscriptEntries(events) {
+  return (Array.isArray(events) ? events : []).map((event) => {
+    const entry = {
+      sequence: event.sequence,
+      timestamp: event.timestamp || null,
+      actor: event.actor,
+      kind: event.kind,
+      tool: event.tool || null,
+      text: redactTranscriptText(String(event.text || '')),
+    };
+    if (event.kind === 'tool_call') {
+      const diff = toolCallDiff(entry.tool, entry.text);
+      if (diff) entry.diff = diff;
+    } else if (event.kind === 'tool_result') {
+      const outcome = event.outcome || {};
+      entry.error = !!outcome.error;
+      if (Number.isFinite(outcome.exitCode)) entry.exitCode = outcome.exitCode;
+    }
+    return entry;
+  });
+}
+
+function transcriptStats(entries) {
+  const count = predicate => entries.filter(predicate).length;
+  return {
+    messages: count(entry => entry.kind === 'message'),
+    toolCalls: count(entry => entry.kind === 'tool_call'),
+    toolErrors: count(entry => entry.kind === 'tool_result' && entry.error),
+    edits: count(entry => !!entry.diff),
+  };
+}
+
+function formatTime(timestamp) {
+  if (!timestamp) return '';
+  const value = String(timestamp);
+  return /^\d{4}-\d{2}-\d{2}T/.test(value) ? value.slice(0, 19).replace('T', ' ') : value;
+}
+
+function entryHeading(entry) {
+  if (entry.kind === 'tool_call') return `🔧 ${entry.tool || 'Tool'}`;
+  if (entry.kind === 'tool_result') {
+    const status = entry.error ? '❌ error' : '✅ result';
+    return `${status}${entry.tool ? ` · ${entry.tool}` : ''}${entry.exitCode !== undefined ? ` · exit ${entry.exitCode}` : ''}`;
+  }
+  if (entry.kind === 'checkpoint') return '📌 Checkpoint';
+  return ACTOR_LABELS[entry.actor] || entry.actor;
+}
+
+function headerLines(meta, stats) {
+  return [
+    ['Engine', meta.engineId],
+    ['Session', meta.sessionId],
+    ['Project', meta.project],
+    ['Directory', meta.cwd],
+    ['Exported', meta.exportedAt],
+    ['Contents', `messages: ${stats.messages} · tool calls: ${stats.toolCalls} · edits: ${stats.edits} · errors: ${stats.toolErrors}`],
+  ].filter(([, value]) => value);
+}
+
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${lang}\n${text}\n${marks}`;
+}
+
+function renderMarkdown(entries, meta) {
+  const stats = transcriptStats(entries);
+  const out = [`# Session transcript — ${meta.title || meta.sessionId || 'unknown'}`, ''];
+  for (const [label, value] of headerLines(meta, stats)) out.push(`- **${label}:** ${value}`);
+  out.push('', '> Secrets and personal identifiers are redacted.', '');
+  for (const entry of entries) {
+    const time = formatTime(entry.timestamp);
+    out.push(`### ${entryHeading(entry)}${time ? ` · ${time}` : ''}`, '');
+    if (entry.kind === 'tool_call') {
+      out.push(entry.diff ? fence(entry.diff, 'diff') : fence(entry.text, 'json'));
+    } else if (entry.kind === 'tool_result') {
+      out.push(fence(entry.text));
+    } else if (entry.kind === 'checkpoint') {
+      out.push(`> ${entry.text}`);
+    } else {
+      out.push(entry.text);
+    }
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlDiff(diff) {
+  return diff.split('\n').map((line, index) => {
+    const header = (index < 2 && /^(?:---|\+\+\+) /.test(line)) || /^(?:@@|\*\*\*)/.test(line);
+    const cls = header ? 'hunk' : line.startsWith('+') ? 'add' : line.startsWith('-') ? 'del' : '';
+    return cls ? `<span class="${cls}">${escapeHtml(line)}</span>` : escapeHtml(line);
+  }).join('\n');
+}
+
+const HTML_STYLE = [
+  'body{font:14px/1.5 -apple-system,system-ui,sans-serif;max-width:960px;margin:2em auto;padding:0 1em;color:#222}',
+  'dl{display:grid;grid-template-columns:max-content 1fr;gap:.2em 1em}dt{font-weight:600}dd{margin:0}',
+  '.entry{border-left:3px solid #ddd;padding:.2em .8em;margin:1em 0}',
+  '.user{border-color:#4a7bd0}.assistant{border-color:#3a9a5b}.tool{border-color:#aaa}.error{border-color:#d04a4a}.checkpoint{border-color:#c9a227}',
+  '.meta{color:#666;font-size:12px}.text{white-space:pre-wrap}',
+  'pre{background:#f6f8fa;padding:.6em;overflow-x:auto;white-space:pre-wrap}',
+  '.add{color:#22863a;background:#f0fff4}.del{color:#b31d28;background:#ffeef0}.hunk{color:#6f42c1}',
+].join('\n');
+
+function renderHtml(entries, meta) {
+  const stats = transcriptStats(entries);
+  const title = escapeHtml(`Session transcript — ${meta.title || meta.sessionId || 'unknown'}`);
+  const body = entries.map((entry) => {
+    const classes = ['entry', entry.kind === 'message' ? entry.actor : entry.kind === 'checkpoint' ? 'checkpoint' : 'tool'];
+    if (entry.error) classes.push('error');
+    const time = formatTime(entry.timestamp);
+    let content;
+    if (entry.kind === 'tool_call') {
+      content = entry.diff ? `<pre>${htmlDiff(entry.diff)}</pre>` : `<pre>${escapeHtml(entry.text)}</pre>`;
+    } else if (entry.kind === 'tool_result') {
+      content = `<details${entry.error ? ' open' : ''}><summary>output (${entry.text.length} chars)</summary><pre>${escapeHtml(entry.text)}</pre></details>`;
+    } else {
+      content = `<div class="text">${escapeHtml(entry.text)}</div>`;
+    }
+    return `<div class="${classes.join(' ')}"><div class="meta">${escapeHtml(entryHeading(entry))}${time ? ` · ${escapeHtml(time)}` : ''}</div>${content}</div>`;
+  });
+  return [
+    '<!doctype html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>${title}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head><body>',
+    `<h1>${title}</h1>`,
+    `<dl>${headerLines(meta, stats).map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`,
+    '<p class="meta">Secrets and personal identifiers are redacted.</p>',
+    ...body,
+    '</body></html>',
+    '',
+  ].join('\n');
+}
+
+function renderJsonl(events) {
+  return (Array.isArray(events) ? events : [])
+    .map(event => JSON.stringify({
+      ...event,
+      text: redactTranscriptText(String(event.text || '')),
+    }))
+    .join('\n') + '\n';
+}
+
+/**
+ * @param {object[]} events - canonical session events, in sequence order
+ * @param {{ engineId?: string, sessionId?: string, title?: string, project?: string, cwd?: string, exportedAt?: string }} meta
+ * @param {string} format - one of TRANSCRIPT_FORMATS
+ * @returns {string}
+ */
+function renderTranscript(events, meta = {}, format = 'md') {
+  const normalized = normalizeTranscriptFormat(format);
+  if (!normalized) throw new Error(`unsupported transcript format: ${format} (use ${TRANSCRIPT_FORMATS.join('|')})`);
+  if (normalized === 'jsonl') return renderJsonl(events);
+  const entries = buildTranscriptEntries(events);
+  return normalized === 'html' ? renderHtml(entries, meta) : renderMarkdown(entries, meta);
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  normalizeTranscriptFormat,
+  toolCallDiff,
+  buildTranscriptEntries,
+  transcriptStats,
+  renderTranscript,
+};
@@ -7,6 +7,9 @@
  *   chatId   = Feishu group chat ID  (e.g. "oc_xxx")
  *   threadId = topic root message ID (e.g. "om_yyy")
  *
+ * Matrix room ids contain ':' themselves ("!room:server"); their thread
+ * roots are event ids, which always start with '$', so ":$" marks the split.
+ *
  * Zero dependencies. Zero side effects.
  */
 
@@ -23,7 +26,8 @@ function parseThreadChatId(compositeId) {
   const id = String(compositeId || '');
   if (!id.startsWith(PREFIX)) return null;
   const firstColon = PREFIX.length;
-  const secondColon = id.indexOf(':', firstColon);
+  const eventSplit = id.indexOf(':$', firstColon);
+  const secondColon = eventSplit !== -1 ? eventSplit : id.indexOf(':', firstColon);
   if (secondColon === -1) return null;
   const chatId = id.slice(firstColon, secondColon);
   const threadId = id.slice(secondColon + 1);
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * voice-config.js — pure rules for voice messages.
+ *
+ * The `voice` section of daemon.yaml names local executables; nothing leaves
+ * the machine:
+ *
+ *   voice:
+ *     enabled: true
+ *     convert: ffmpeg                 # decode ogg/opus to 16 kHz mono wav first
+ *     stt: { command: whisper-cli, args: [-m, ~/models/ggml-base.bin, -nt, -otxt, -of, '{output}', -f, '{input}'] }
+ *     tts: { command: say, args: [-f, '{input}', -o, '{output}'], format: aiff }
+ *
+ * `{input}` / `{output}` are substituted per argument (no shell). For STT the
+ * transcript is `{output}.txt` when the tool writes one, stdout otherwise.
+ * For TTS `{input}` is a UTF-8 text file and `{output}` the audio file.
+ *
+ * Zero side effects: daemon-voice.js runs the processes.
+ */
+
+const DEFAULT_TIMEOUT_MS = 120 * 1000;
+const MAX_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+
+const AUDIO_MIME = Object.freeze({
+  aiff: 'audio/aiff',
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg',
+});
+
+function expandHome(value, home) {
+  const text = String(value);
+  return home && (text === '~' || text.startsWith('~/')) ? home + text.slice(1) : text;
+}
+
+function normalizeTool(raw, home, defaults = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+  const command = String(raw.command || '').trim();
+  if (!command) return null;
+  const args = Array.isArray(raw.args) ? raw.args.map(arg => expandHome(arg, home)) : (defaults.args || []);
+  const seconds = Number(raw.timeout_seconds);
+  return {
+    command: expandHome(command, home),
+    args,
+    timeoutMs: Number.isFinite(seconds) && seconds > 0
+      ? Math.min(MAX_TIMEOUT_MS, Math.round(seconds * 1000))
+      : DEFAULT_TIMEOUT_MS,
+  };
+}
+
+/**
+ * @param {object|undefined} raw - the `voice` config section
+ * @param {{ home?: string }} [opts]
+ * @returns {{ enabled: boolean, stt: object|null, tts: object|null, convert: string|null,
+ *             echoTranscript: boolean, maxBytes: number }}
+ */
+function normalizeVoiceConfig(raw, { home = '' } = {}) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const stt = normalizeTool(src.stt, home, { args: ['{input}'] });
+  let tts = normalizeTool(src.tts, home, { args: ['{input}', '{output}'] });
+  if (tts) {
+    const format = String(src.tts.format || 'wav').trim().toLowerCase();
+    tts = { ...tts, format: AUDIO_MIME[format] ? format : 'wav' };
+  }
+  const convert = src.convert === null || src.convert === false || src.convert === ''
+    ? null
+    : expandHome(String(src.convert || 'ffmpeg').trim(), home);
+  const maxMb = Number(src.max_mb);
+  return {
+    enabled: !!src.enabled && !!stt,
+    stt,
+    tts: src.enabled ? tts : null,
+    convert,
+    echoTranscript: src.echo_transcript !== false,
+    maxBytes: Number.isFinite(maxMb) && maxMb > 0 ? Math.round(maxMb * 1024 * 1024) : DEFAULT_MAX_BYTES,
+  };
+}
+
+/** Substitute `{input}` / `{output}` inside each argument. */
+function fillArgs(args, vars) {
+  return args.map(arg => String(arg).replace(/\{(input|output)\}/g, (_, key) => vars[key] || ''));
+}
+
+/** ffmpeg arguments that turn any container into the 16 kHz mono PCM whisper.cpp expects. */
+function convertArgs(input, output) {
+  return ['-nostdin', '-loglevel', 'error', '-y', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', output];
+}
+
+/** Strip segment timestamps and non-speech markers whisper-style tools print. */
+function cleanTranscript(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line
+      .replace(/^\s*\[\d{2}:\d{2}(?::\d{2})?[.,]\d{3}\s*-->\s*\d{2}:\d{2}(?::\d{2})?[.,]\d{3}\]\s*/, '')
+      .replace(/\[(?:BLANK_AUDIO|MUSIC|NOISE|SILENCE|INAUDIBLE)\]|\((?:music|silence|inaudible)\)/gi, '')
+      .trim())
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+function audioMime(format) {
+  return AUDIO_MIME[format] || 'application/octet-stream';
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  normalizeVoiceConfig,
+  fillArgs,
+  convertArgs,
+  cleanTranscript,
+  audioMime,
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * core/worktree-status.js — pure rules for landing agent worktrees
+ * (/worktree, daemon-worktree-commands.js; /race reuses the git parsers).
+ *
+ * Every actor worktree from daemon-worktrees.js sits on an agent/<key>
+ * branch. This module parses the git output the handler collects, decides
+ * which worktrees are stale, cuts conflict hunks down to chat size and
+ * renders the status text. Pure: no filesystem, no processes.
+ */
+
+const WORKTREE_LIMITS = Object.freeze({
+  staleDays: 14,
+  diffChars: 3000,
+  conflictFiles: 5,
+  conflictHunkChars: 1200,
+  conflictChars: 3500,
+});
+const WORKTREE_USAGE = [
+  '用法：',
+  '/worktree [status] — 当前项目的 agent worktree：领先/落后、改动、是否过期',
+  '/worktree diff [key] — 相对父分支的改动',
+  '/worktree merge [key] — 跑 test_command 后合并进父分支；冲突时交给该 agent 解决',
+  '/worktree rebase [key] — 把 agent 分支变基到父分支最新提交',
+  '/worktree discard <key> — 删除 worktree 与 agent 分支（需确认）',
+  '/worktree prune — 清理过期且没有未合并工作的 worktree',
+].join('\n');
+
+/**
+ * @returns {{ action: string, key: string, confirm: boolean } | null} null
+ *   when the text is not a /worktree command; action 'usage' for bad input
+ */
+function parseWorktreeCommand(text) {
+  const match = /^\/worktrees?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(confirm))?\s*$/i.exec(String(text || '').trim());
+  if (!match) return /^\/worktrees?(\s|$)/i.test(String(text || '').trim()) ? { action: 'usage', key: '', confirm: false } : null;
+  const action = String(match[1] || 'status').toLowerCase();
+  const key = String(match[2] || '');
+  if (!['status', 'diff', 'merge', 'rebase', 'discard', 'prune'].includes(action)) return { action: 'usage', key: '', confirm: false };
+  if (action === 'discard' && !key) return { action: 'usage', key: '', confirm: false };
+  return { action, key, confirm: !!match[3] };
+}
+
+/** Parse `git diff --shortstat` output. */
+function parseShortstat(text) {
+  const value = String(text || '');
+  const count = (re) => {
+    const match = re.exec(value);
+    return match ? Number(match[1]) : 0;
+  };
+  return {
+    files: count(/(\d+) files? changed/),
+    insertions: count(/(\d+) insertions?\(\+\)/),
+    deletions: count(/(\d+) deletions?\(-\)/),
+  };
+}
+
+/** Parse `git rev-list --left-right --count <parent>...<agent>`; unreadable counts are null. */
+function parseAheadBehind(text) {
+  const match = String(text || '').trim().match(/^(\d+)\s+(\d+)$/);
+  return match ? { ahead: Number(match[2]), behind: Number(match[1]) } : { ahead: null, behind: null };
+}
+
+/** Render a commit or file count that may be unknown (null). */
+function formatCount(value) {
+  return value === null || value === undefined ? '?' : String(value);
+}
+
+/**
+ * Parse `git worktree list --porcelain`.
+ * @returns {{ path: string, head: string, branch: string, prunable: boolean }[]}
+ */
+function parseWorktreeList(text) {
+  const entries = [];
+  let current = null;
+  for (const line of String(text || '').split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = { path: line.slice(9), head: '', branch: '', prunable: false };
+      entries.push(current);
+    } else if (current && line.startsWith('HEAD ')) {
+      current.head = line.slice(5);
+    } else if (current && line.startsWith('branch ')) {
+      current.branch = line.slice(7).replace(/^refs\/heads\//, '');
+    } else if (current && line.startsWith('prunable')) {
+      current.prunable = true;
+    }
+  }
+  return entries;
+}
+
+/** Pre-merge test command: the project's `test_command`, else the daemon's. */
+function resolveTestCommand(config, projectKey = '') {
+  const project = projectKey && config && config.projects ? config.projects[projectKey] : null;
+  const daemonCfg = (config && config.daemon) || {};
+  return String((project && project.test_command) || daemonCfg.test_command || '').trim();
+}
+
+/**
+ * 'broken' — the worktree lost its git registration or directory;
+ * 'stale'  — idle longer than staleDays; null otherwise. Only stale
+ * worktrees known to have no unmerged commits and no local edits are
+ * prunable; a null `ahead`/`dirty` (detached parent, failed git call) means
+ * unknown and keeps the worktree.
+ */
+function classifyWorktree({ broken = false, lastActivityMs = 0, nowMs = Date.now(), staleDays = WORKTREE_LIMITS.staleDays } = {}) {
+  if (broken) return 'broken';
+  return lastActivityMs && nowMs - lastActivityMs > staleDays * 24 * 60 * 60 * 1000 ? 'stale' : null;
+}
+
+function isPrunable(worktree) {
+  if (!worktree) return false;
+  if (worktree.state === 'broken') return true;
+  // Strict zeros: null means the count could not be read, not that it is empty.
+  return worktree.state === 'stale' && worktree.ahead === 0 && worktree.dirty === 0;
+}
+
+function clip(text, maxChars) {
+  const value = String(text || '');
+  return value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value;
+}
+
+/**
+ * Keep only the conflicted regions of a `git diff` taken while a merge is
+ * stopped on conflicts: per file, the hunks that contain conflict markers.
+ */
+function extractConflictHunks(diffText, limits = WORKTREE_LIMITS) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  const closeHunk = () => {
+    if (file && hunk && /^[ +-]{1,2}(?:<<<<<<<|>>>>>>>)/m.test(hunk.join('\n'))) file.hunks.push(hunk.join('\n'));
+    hunk = null;
+  };
+  for (const line of String(diffText || '').split('\n')) {
+    if (line.startsWith('diff --cc ') || line.startsWith('diff --git ')) {
+      closeHunk();
+      file = { path: line.replace(/^diff --(?:cc|git) (?:a\/)?/, '').replace(/ b\/.*$/, ''), hunks: [] };
+      files.push(file);
+    } else if (line.startsWith('@@')) {
+      closeHunk();
+      hunk = [line];
+    } else if (hunk) {
+      hunk.push(line);
+    }
+  }
+  closeHunk();
+  const blocks = files
+    .filter(item => item.hunks.length)
+    .slice(0, limits.conflictFiles)
+    .map(item => `--- ${item.path}\n${item.hunks.map(text => clip(text, limits.conflictHunkChars)).join('\n')}`);
+  return clip(blocks.join('\n\n'), limits.conflictChars);
+}
+
+function ageLabel(ms, nowMs) {
+  if (!ms) return '未知';
+  const hours = Math.floor((nowMs - ms) / 3600000);
+  if (hours < 1) return '刚刚';
+  if (hours < 48) return `${hours} 小时前`;
+  return `${Math.floor(hours / 24)} 天前`;
+}
+
+/**
+ * @param {{ parentBranch: string, parentPath: string, worktrees: object[], nowMs?: number }} view
+ */
+function formatWorktreeStatus({ parentBranch, parentPath, worktrees, nowMs = Date.now() }) {
+  if (!worktrees.length) return `📂 ${parentPath} 没有 agent worktree`;
+  const lines = [`🌿 ${parentPath}（父分支 ${parentBranch || '分离 HEAD'}）`];
+  for (const worktree of worktrees) {
+    lines.push('', `• ${worktree.key} · ${worktree.branch || '无分支'}`);
+    if (worktree.state === 'broken') {
+      lines.push('  ⚠️ worktree 已失效（目录或 git 登记丢失），/worktree prune 可清理');
+      continue;
+    }
+    const diff = worktree.diff || { files: 0, insertions: 0, deletions: 0 };
+    lines.push(`  领先 ${formatCount(worktree.ahead)} · 落后 ${formatCount(worktree.behind)} · ${diff.files} 个文件 +${diff.insertions} −${diff.deletions}${worktree.dirty ? ` · 未提交 ${worktree.dirty} 个` : ''}`);
+    lines.push(`  最近活动：${ageLabel(worktree.lastActivityMs, nowMs)}${worktree.state === 'stale' ? (isPrunable(worktree) ? ' · 💤 已过期，可 prune' : ' · 💤 已过期，但有未合并工作') : ''}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  WORKTREE_LIMITS,
+  WORKTREE_USAGE,
+  parseWorktreeCommand,
+  parseShortstat,
+  parseAheadBehind,
+  formatCount,
+  parseWorktreeList,
+  resolveTestCommand,
+  classifyWorktree,
+  isPrunable,
+  extractConflictHunks,
+  formatWorktreeStatus,
+};
@@ -10,6 +10,7 @@ function resolveCloneParentCwd({ isClone, loadConfig, chatId, normalizeCwd }) {
   const agentMap = {
     ...(cfg && cfg.telegram ? cfg.telegram.chat_agent_map : {}),
     ...(cfg && cfg.feishu ? cfg.feishu.chat_agent_map : {}),
+    ...(cfg && cfg.matrix ? cfg.matrix.chat_agent_map : {}),
   };
   const boundKey = agentMap[String(chatId)];
   const boundProj = boundKey && cfg.projects && cfg.projects[boundKey];
@@ -9,6 +9,7 @@ const {
   buildMemorySnapshotContent,
   normalizeEngine: normalizeLayerEngine,
 } = require('./agent-layer');
+const { isMatrixRoomId } = require('./matrix-adapter');
 
 function createAgentTools(deps) {
   const {
@@ -52,7 +53,8 @@ function createAgentTools(deps) {
   }
 
   function getAdapterKey(chatId) {
-    return typeof chatId === 'number' ? 'telegram' : 'feishu';
+    if (typeof chatId === 'number') return 'telegram';
+    return isMatrixRoomId(chatId) ? 'matrix' : 'feishu';
   }
 
   function toProjectKey(agentName, chatId) {
@@ -374,6 +376,7 @@ ${safeDelta}
       const agentMap = {
         ...(cfg.telegram ? cfg.telegram.chat_agent_map : {}),
         ...(cfg.feishu ? cfg.feishu.chat_agent_map : {}),
+        ...(cfg.matrix ? cfg.matrix.chat_agent_map : {}),
       };
       const boundKey = chatId == null ? null : (agentMap[String(chatId)] || null);
 
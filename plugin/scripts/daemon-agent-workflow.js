@@ -1,5 +1,7 @@
 'use strict';
 
+const { isMatrixRoomId } = require('./matrix-adapter');
+
 function buildBoundSessionChatId(projectKey) {
   const key = String(projectKey || '').trim();
   return key ? `_bound_${key}` : '';
@@ -9,6 +11,7 @@ function getBoundProject(chatId, cfg) {
   const agentMap = {
     ...(cfg && cfg.telegram ? cfg.telegram.chat_agent_map : {}),
     ...(cfg && cfg.feishu ? cfg.feishu.chat_agent_map : {}),
+    ...(cfg && cfg.matrix ? cfg.matrix.chat_agent_map : {}),
   };
   const boundKey = agentMap[String(chatId)];
   const boundProj = boundKey && cfg && cfg.projects && cfg.projects[boundKey];
@@ -30,6 +33,7 @@ function listUnboundProjects(cfg) {
   const allBoundKeys = new Set(Object.values({
     ...(cfg && cfg.telegram ? cfg.telegram.chat_agent_map : {}),
     ...(cfg && cfg.feishu ? cfg.feishu.chat_agent_map : {}),
+    ...(cfg && cfg.matrix ? cfg.matrix.chat_agent_map : {}),
   }));
 
   return Object.entries((cfg && cfg.projects) || {})
@@ -156,7 +160,7 @@ async function unbindAgent({ agentTools, chatId, loadConfig, writeConfigSafe, ba
 
   const cfg = loadConfig();
   const isTg = typeof chatId === 'number';
-  const ak = isTg ? 'telegram' : 'feishu';
+  const ak = isTg ? 'telegram' : (isMatrixRoomId(chatId) ? 'matrix' : 'feishu');
   if (!cfg[ak]) cfg[ak] = {};
   if (!cfg[ak].chat_agent_map) cfg[ak].chat_agent_map = {};
   const old = cfg[ak].chat_agent_map[String(chatId)] || null;
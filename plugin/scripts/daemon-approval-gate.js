@@ -0,0 +1,367 @@
+'use strict';
+
+/**
+ * daemon-approval-gate.js — remote tool approval for mobile-initiated runs.
+ *
+ * Claude runs whose project has a gated approval_policy (core/approval-policy.js)
+ * get a PreToolUse hook (hooks/approval-gate.js) through `--settings`, plus a
+ * per-chat run token in their env. The hook asks this gate over a private
+ * socket; the gate answers from policy and saved rules, or posts an
+ * approve/deny card through the chat's bridge and holds the hook until
+ * someone answers `/approve <id>`, `/approve <id> always` or `/deny <id>`,
+ * or the policy timeout fires (deny unless on_timeout: allow).
+ *
+ * Every decision that was not a plain mode allow lands in
+ * ~/.metame/approvals/audit.jsonl; "always" answers become per-project rules
+ * in ~/.metame/approvals/rules.json (listed and revoked with /approvals).
+ */
+
+const crypto = require('crypto');
+const { approvalSocketPath, needsSocketCleanup } = require('./platform');
+const { rawChatId } = require('./core/thread-chat-id');
+const { appendAudit } = require('./core/file-map-audit');
+const {
+  resolveApprovalPolicy,
+  isGated,
+  describeToolCall,
+  evaluateToolCall,
+  alwaysRuleFor,
+} = require('./core/approval-policy');
+
+const HOOK_TIMEOUT_SECONDS = 16 * 60; // above the hook's own 15m20s deadline
+const SUBJECT_PREVIEW_CHARS = 600;
+const DEFAULT_RULES_KEY = '_default';
+
+function createApprovalGate(deps) {
+  const {
+    fs,
+    path,
+    log,
+    loadConfig,
+    metameDir,
+    socketPath = approvalSocketPath(metameDir),
+    hookScript = path.join(__dirname, 'hooks', 'approval-gate.js'),
+    nodeBin = process.execPath,
+    net = require('net'),
+    now = Date.now,
+    randomHex = n => crypto.randomBytes(n).toString('hex'),
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+  } = deps;
+
+  const approvalsDir = path.join(metameDir, 'approvals');
+  const rulesFile = path.join(approvalsDir, 'rules.json');
+  const auditFile = path.join(approvalsDir, 'audit.jsonl');
+
+  const bindings = new Map();   // run token -> { chatId, replyChatId, senderId, projectKey, bot }
+  const chatTokens = new Map(); // sessionChatId -> token ('' while ungated)
+  const pending = new Map();    // approval id -> entry
+  let server = null;
+
+  function rulesKey(projectKey) {
+    return projectKey || DEFAULT_RULES_KEY;
+  }
+
+  function readRules() {
+    try {
+      const data = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+      return data && data.projects && typeof data.projects === 'object' ? data : { version: 1, projects: {} };
+    } catch {
+      return { version: 1, projects: {} };
+    }
+  }
+
+  function writeRules(data) {
+    fs.mkdirSync(approvalsDir, { recursive: true, mode: 0o700 });
+    const tmp = `${rulesFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, rulesFile);
+  }
+
+  function savedRules(projectKey) {
+    const list = readRules().projects[rulesKey(projectKey)];
+    return Array.isArray(list) ? list.map(item => item.rule).filter(Boolean) : [];
+  }
+
+  function addRule(projectKey, rule, senderId) {
+    const data = readRules();
+    const key = rulesKey(projectKey);
+    const list = Array.isArray(data.projects[key]) ? data.projects[key] : [];
+    if (!list.some(item => item.rule === rule)) {
+      list.push({ rule, added_at: new Date(now()).toISOString(), added_by: senderId || null });
+    }
+    data.projects[key] = list;
+    writeRules(data);
+  }
+
+  function audit(entry, fields) {
+    try { fs.mkdirSync(approvalsDir, { recursive: true, mode: 0o700 }); } catch { /* appendAudit reports nothing either */ }
+    appendAudit({ fsx: fs }, auditFile, {
+      ts: new Date(now()).toISOString(),
+      id: entry.id || null,
+      project: entry.projectKey || null,
+      chat_id: entry.chatId || null,
+      tool: entry.call.tool,
+      subject: entry.call.subject.slice(0, 500),
+      ...fields,
+    });
+  }
+
+  /**
+   * Called once per Claude turn. Returns the env and `--settings` payload the
+   * run needs; `changed` means a warm process spawned under the previous
+   * binding must not be reused. Team members run under a virtual chat id
+   * behind a proxy bot; its `replyChatId` is where their cards really land.
+   */
+  function bind({ chatId, sessionChatId, projectKey = '', bot, config, senderId = null }) {
+    const key = String(sessionChatId || chatId);
+    const gated = isGated(resolveApprovalPolicy(config, projectKey));
+    const previous = chatTokens.get(key);
+    let token = '';
+    if (gated) {
+      const current = previous ? bindings.get(previous) : null;
+      token = current && current.projectKey === projectKey ? previous : randomHex(16);
+      const replyChatId = String((bot && bot.replyChatId) || chatId);
+      bindings.set(token, { chatId, replyChatId, senderId: senderId ? String(senderId) : null, projectKey, bot });
+    }
+    if (previous && previous !== token) bindings.delete(previous);
+    chatTokens.set(key, token);
+    const changed = previous !== undefined && previous !== token;
+    if (!gated) return { gated, changed, env: null, settings: null };
+    const hook = { type: 'command', command: `"${nodeBin.replace(/\\/g, '/')}" "${hookScript.replace(/\\/g, '/')}"`, timeout: HOOK_TIMEOUT_SECONDS };
+    return {
+      gated,
+      changed,
+      env: { METAME_APPROVAL_SOCKET: socketPath, METAME_APPROVAL_TOKEN: token },
+      settings: JSON.stringify({ hooks: { PreToolUse: [{ matcher: '*', hooks: [hook] }] } }),
+    };
+  }
+
+  function settle(id, { decision, by, senderId = null, rule = null, notify = true }) {
+    const entry = pending.get(id);
+    if (!entry) return null;
+    pending.delete(id);
+    clearTimer(entry.timer);
+    audit(entry, { decision, by, ...(rule ? { rule } : {}), ...(senderId ? { sender_id: senderId } : {}) });
+    const verdict = decision === 'allow' ? '已允许' : '已拒绝';
+    const reasons = {
+      user: `${verdict}（手机端审批 ${id}）`,
+      timeout: `审批 ${id} 超时，${verdict}`,
+      delivery_failed: `审批卡片发送失败，${verdict}`,
+      abandoned: '运行已结束',
+      stopped: 'daemon 正在停止',
+    };
+    entry.resolve({ decision, reason: reasons[by] || verdict });
+    if (notify && by === 'timeout' && entry.bot) {
+      entry.bot.sendMessage(entry.chatId, `⏱ 审批 ${id} 超时，${verdict}：${entry.call.tool}`).catch(() => {});
+    }
+    return entry;
+  }
+
+  async function sendCard(entry, policy) {
+    const preview = entry.call.subject.length > SUBJECT_PREVIEW_CHARS
+      ? `${entry.call.subject.slice(0, SUBJECT_PREVIEW_CHARS)}…`
+      : entry.call.subject;
+    const onTimeout = policy.onTimeout === 'allow' ? '自动允许' : '自动拒绝';
+    const text = [
+      `🔐 工具调用待审批 [${entry.id}]`,
+      `项目：${entry.projectKey || '-'}`,
+      `工具：${entry.call.tool}`,
+      preview ? `\n${preview}\n` : '',
+      `${Math.round(policy.timeoutMs / 1000)} 秒内未处理将${onTimeout}`,
+    ].filter(Boolean).join('\n');
+    const { bot } = entry;
+    if (typeof bot.sendButtons === 'function') {
+      await bot.sendButtons(entry.chatId, text, [
+        [
+          { text: '✅ 允许', callback_data: `/approve ${entry.id}` },
+          { text: '🚫 拒绝', callback_data: `/deny ${entry.id}` },
+        ],
+        [{ text: '♾️ 本项目始终允许', callback_data: `/approve ${entry.id} always` }],
+      ]);
+      return;
+    }
+    await bot.sendMessage(entry.chatId, `${text}\n\n回复 /approve ${entry.id}、/approve ${entry.id} always 或 /deny ${entry.id}`);
+  }
+
+  /**
+   * Decide one hook request. Resolves with { decision, reason }; asks the
+   * chat when policy says so.
+   */
+  function decide(request, conn = null) {
+    const binding = bindings.get(String(request && request.token || ''));
+    const call = describeToolCall(request && request.tool_name, request && request.tool_input);
+    if (!binding) {
+      return Promise.resolve({ decision: 'deny', reason: 'MetaMe 审批令牌无效（daemon 可能已重启），请重新发起' });
+    }
+    const policy = resolveApprovalPolicy(loadConfig(), binding.projectKey);
+    const verdict = evaluateToolCall(policy, call, savedRules(binding.projectKey));
+    const base = { id: null, projectKey: binding.projectKey, chatId: binding.chatId, call };
+    const origin = { replyChatId: binding.replyChatId, senderId: binding.senderId };
+    if (verdict.decision === 'deny') {
+      audit(base, { decision: 'deny', by: 'policy', rule: verdict.rule });
+      return Promise.resolve({ decision: 'deny', reason: `approval_policy 拒绝规则：${verdict.rule}` });
+    }
+    if (verdict.decision === 'allow') {
+      if (verdict.rule) audit(base, { decision: 'allow', by: 'rule', rule: verdict.rule });
+      return Promise.resolve({ decision: 'allow', reason: verdict.rule ? `规则放行：${verdict.rule}` : '' });
+    }
+    if (!binding.bot) {
+      audit(base, { decision: 'deny', by: 'delivery_failed' });
+      return Promise.resolve({ decision: 'deny', reason: '没有可用的聊天通道发送审批卡片' });
+    }
+    let id = randomHex(4);
+    while (pending.has(id)) id = randomHex(4);
+    return new Promise((resolve) => {
+      const entry = { ...base, ...origin, id, bot: binding.bot, conn, createdAt: now(), resolve, timer: null };
+      entry.timer = setTimer(() => settle(id, { decision: policy.onTimeout, by: 'timeout' }), policy.timeoutMs);
+      pending.set(id, entry);
+      log('INFO', `[APPROVAL] ${id} waiting: ${call.tool} (${binding.projectKey || 'no project'})`);
+      sendCard(entry, policy).catch((err) => {
+        log('WARN', `[APPROVAL] ${id} card delivery failed: ${err.message}`);
+        settle(id, { decision: 'deny', by: 'delivery_failed', notify: false });
+      });
+    });
+  }
+
+  function sameChat(entry, chatId) {
+    return rawChatId(String(entry.replyChatId || '')) === rawChatId(String(chatId || ''));
+  }
+
+  // Only the chat the card was posted to may answer it, and only the sender
+  // who started the run when one is known.
+  function mayAnswer(entry, chatId, senderId) {
+    if (!sameChat(entry, chatId)) return false;
+    return !entry.senderId || entry.senderId === String(senderId || '');
+  }
+
+  function formatRules() {
+    const projects = readRules().projects;
+    const lines = [];
+    for (const [key, list] of Object.entries(projects)) {
+      if (!Array.isArray(list) || !list.length) continue;
+      lines.push(`\n📁 ${key}`);
+      list.forEach((item, i) => lines.push(`${i + 1}. ${item.rule}`));
+    }
+    return lines;
+  }
+
+  /**
+   * Chat commands: /approve <id> [always], /deny <id>, /approvals,
+   * /approvals revoke <project> <n>. Returns null for anything else so the
+   * caller can keep routing. Handled ahead of the message pipeline — the
+   * chat's pipeline is busy with the very run that is waiting.
+   * @returns {string|null} reply text
+   */
+  function handleCommand({ text, chatId, senderId = null, readOnly = false }) {
+    const trimmed = String(text || '').trim();
+    const answer = /^\/(approve|deny)(?:\s+([0-9a-f]+))?(?:\s+(always))?\s*$/i.exec(trimmed);
+    if (answer) {
+      const [, verb, rawId, always] = answer;
+      if (readOnly) return '⛔ 只读用户不能审批工具调用';
+      if (!rawId) return `用法：/${verb.toLowerCase()} <审批编号>${verb.toLowerCase() === 'approve' ? ' [always]' : ''}`;
+      const id = rawId.toLowerCase();
+      const entry = pending.get(id);
+      if (!entry) return `审批 ${id} 不存在或已处理`;
+      if (!mayAnswer(entry, chatId, senderId)) return `审批 ${id} 不属于当前会话`;
+      if (verb.toLowerCase() === 'deny') {
+        settle(id, { decision: 'deny', by: 'user', senderId });
+        return `🚫 已拒绝 ${id}：${entry.call.tool}`;
+      }
+      let rule = null;
+      if (always) {
+        rule = alwaysRuleFor(entry.call);
+        addRule(entry.projectKey, rule, senderId);
+      }
+      settle(id, { decision: 'allow', by: 'user', senderId, rule });
+      return rule
+        ? `♾️ 已允许 ${id}，并为 ${rulesKey(entry.projectKey)} 保存规则：${rule}`
+        : `✅ 已允许 ${id}：${entry.call.tool}`;
+    }
+
+    const list = /^\/approvals(?:\s+revoke\s+(\S+)\s+(\d+))?\s*$/i.exec(trimmed);
+    if (!list) return null;
+    if (list[1]) {
+      if (readOnly) return '⛔ 只读用户不能修改审批规则';
+      const data = readRules();
+      const rules = data.projects[list[1]];
+      const index = Number(list[2]) - 1;
+      if (!Array.isArray(rules) || !rules[index]) return `没有规则 ${list[1]} #${list[2]}`;
+      const [removed] = rules.splice(index, 1);
+      if (!rules.length) delete data.projects[list[1]];
+      writeRules(data);
+      audit({ id: null, projectKey: list[1], chatId, call: { tool: '/approvals', subject: removed.rule } }, {
+        decision: 'revoke', by: 'user', rule: removed.rule, ...(senderId ? { sender_id: senderId } : {}),
+      });
+      return `🗑 已撤销 ${list[1]} 的规则：${removed.rule}`;
+    }
+    const waiting = [...pending.values()]
+      .filter(entry => sameChat(entry, chatId))
+      .map(entry => `• ${entry.id} ${entry.call.tool} ${entry.call.subject.slice(0, 80)}`);
+    const rules = formatRules();
+    return [
+      `🔐 待审批：${waiting.length ? '' : '无'}`,
+      ...waiting,
+      `\n♾️ 始终允许规则：${rules.length ? '' : '无'}`,
+      ...rules,
+      rules.length ? '\n撤销：/approvals revoke <项目> <序号>' : '',
+    ].filter(Boolean).join('\n');
+  }
+
+  function start() {
+    if (server) return server;
+    if (needsSocketCleanup()) { try { fs.unlinkSync(socketPath); } catch { /* not there */ } }
+    server = net.createServer((conn) => {
+      let buf = '';
+      let asked = false;
+      conn.setEncoding('utf8');
+      conn.on('data', (chunk) => {
+        if (asked) return;
+        buf += chunk;
+        const nl = buf.indexOf('\n');
+        if (nl === -1) return;
+        asked = true;
+        let request = null;
+        try { request = JSON.parse(buf.slice(0, nl)); } catch { /* answered as invalid below */ }
+        decide(request, conn)
+          .catch(err => ({ decision: 'deny', reason: `审批出错：${err.message}` }))
+          .then((result) => {
+            if (!conn.destroyed) conn.end(JSON.stringify(result) + '\n');
+          });
+      });
+      conn.on('close', () => {
+        for (const entry of [...pending.values()]) {
+          if (entry.conn === conn) settle(entry.id, { decision: 'deny', by: 'abandoned', notify: false });
+        }
+      });
+      conn.on('error', () => { /* hook went away; close handles cleanup */ });
+    });
+    server.on('error', (err) => {
+      log('WARN', `[APPROVAL] socket error: ${err.message} — gated runs will be denied`);
+    });
+    server.listen(socketPath, () => {
+      if (needsSocketCleanup()) { try { fs.chmodSync(socketPath, 0o600); } catch { /* best effort */ } }
+      log('INFO', `[APPROVAL] gate ready: ${socketPath}`);
+    });
+    return server;
+  }
+
+  function stop() {
+    for (const entry of [...pending.values()]) settle(entry.id, { decision: 'deny', by: 'stopped', notify: false });
+    if (!server) return;
+    try { server.close(); } catch { /* already closed */ }
+    server = null;
+    if (needsSocketCleanup()) { try { fs.unlinkSync(socketPath); } catch { /* gone */ } }
+  }
+
+  return {
+    bind,
+    decide,
+    handleCommand,
+    start,
+    stop,
+    pendingCount: () => pending.size,
+  };
+}
+
+module.exports = { createApprovalGate, HOOK_TIMEOUT_SECONDS };
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * daemon-bridge-registry.js
+ *
+ * Registry of Chat Bridge Plugins (core/bridge-plugin.js). Built-in bridges
+ * register first; trusted local plugins are listed in daemon.yaml:
+ *
+ *   bridges:
+ *     plugins:
+ *       - ~/.metame/bridges/slack.js     # module exporting a bridge plugin
+ *
+ *   slack:                               # the plugin's own section (descriptor.configKey)
+ *     enabled: true
+ *     allowed_chat_ids: ["C0123456789"]
+ *
+ * A local plugin runs in-process with the daemon's privileges, exactly like
+ * a local Engine Plugin: only list files you wrote or reviewed.
+ */
+
+const { createBridgePlugin, isBridgePlugin } = require('./core/bridge-plugin');
+
+function registryError(code, detail = '') {
+  const error = new TypeError(detail ? `${code}:${detail}` : code);
+  error.code = code;
+  return error;
+}
+
+function normalizePlugin(value) {
+  if (isBridgePlugin(value)) return value;
+  try {
+    return createBridgePlugin(value);
+  } catch (error) {
+    throw registryError('bridge_plugin_invalid', error.message);
+  }
+}
+
+function createBridgeRegistry(plugins = []) {
+  const byId = new Map();
+  const byConfigKey = new Map();
+
+  function register(value) {
+    const plugin = normalizePlugin(value);
+    const { id, configKey } = plugin.descriptor;
+    if (byId.has(id)) throw registryError('duplicate_bridge_plugin', id);
+    if (byConfigKey.has(configKey)) throw registryError('duplicate_bridge_config_key', `${id}:${configKey}`);
+    byId.set(id, plugin);
+    byConfigKey.set(configKey, plugin);
+    return plugin;
+  }
+
+  for (const plugin of plugins) register(plugin);
+
+  return Object.freeze({
+    register,
+    lookup: id => byId.get(String(id || '').trim()) || null,
+    list: () => [...byId.values()],
+    configKeys: () => [...byConfigKey.keys()],
+  });
+}
+
+function expandHome(p, HOME) {
+  const text = String(p || '').trim();
+  if (text === '~') return HOME;
+  if (text.startsWith('~/')) return `${HOME}${text.slice(1)}`;
+  return text;
+}
+
+/** Module paths from `bridges.plugins`, expanded and absolute. */
+function listLocalBridgePluginPaths(config, { HOME, path }) {
+  const raw = config && config.bridges && config.bridges.plugins;
+  if (raw === undefined || raw === null) return [];
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list
+    .map(entry => expandHome(entry, HOME))
+    .filter(Boolean)
+    .map(entry => path.resolve(HOME, entry));
+}
+
+/** Config-load check: { ok } or { ok: false, error }. Does not load the modules. */
+function validateBridgePluginConfig(config) {
+  const bridges = config && config.bridges;
+  if (bridges === undefined || bridges === null) return { ok: true };
+  if (typeof bridges !== 'object' || Array.isArray(bridges)) return { ok: false, error: 'bridges must be a mapping' };
+  const raw = bridges.plugins;
+  if (raw === undefined || raw === null) return { ok: true };
+  const list = Array.isArray(raw) ? raw : [raw];
+  for (const entry of list) {
+    if (typeof entry !== 'string' || !entry.trim()) {
+      return { ok: false, error: 'bridges.plugins must be a list of module paths' };
+    }
+  }
+  return { ok: true };
+}
+
+/**
+ * Load and register trusted local plugins. One broken plugin is logged and
+ * skipped; it never stops the built-in bridges. Returns the plugins loaded.
+ */
+function loadLocalBridgePlugins(registry, config, { HOME, path, log, requireFn = require }) {
+  const loaded = [];
+  for (const modulePath of listLocalBridgePluginPaths(config, { HOME, path })) {
+    try {
+      const mod = requireFn(modulePath);
+      const plugin = registry.register(mod && mod.default ? mod.default : mod);
+      log('INFO', `[BRIDGE] local plugin ${plugin.descriptor.id} loaded from ${modulePath}`);
+      loaded.push(plugin);
+    } catch (e) {
+      log('ERROR', `[BRIDGE] local plugin ${modulePath} rejected: ${e.message}`);
+    }
+  }
+  return loaded;
+}
+
+module.exports = {
+  createBridgeRegistry,
+  listLocalBridgePluginPaths,
+  validateBridgePluginConfig,
+  loadLocalBridgePlugins,
+};
@@ -1,410 +1,95 @@
 'use strict';
 
-let userAcl = null;
-try { userAcl = require('./daemon-user-acl'); } catch { /* optional */ }
-const { findTeamMember: _findTeamMember } = require('./daemon-team-dispatch');
-const { isRemoteMember } = require('./daemon-remote-dispatch');
-const { buildThreadChatId, isThreadChatId, rawChatId: _threadRawChatId } = require('./core/thread-chat-id');
-const { isAgentLogicalRouteForMember } = require('./core/team-session-route');
+/**
+ * daemon-bridges.js
+ *
+ * Starts chat bridges. Every bridge is a Chat Bridge Plugin
+ * (core/bridge-plugin.js): Telegram, Feishu, Matrix and iMessage hand inbound
+ * messages to the shared router (daemon-bridge-inbound.js); Siri, the
+ * OpenAI-compatible API and Weixin run their own request loops. Trusted local plugins from `bridges.plugins`
+ * register alongside the built-ins (daemon-bridge-registry.js).
+ */
+
+const {
+  BRIDGE_PLUGIN_PROTOCOL_VERSION,
+  createBridgePlugin,
+  assertBridgeTransport,
+  checkBridgeTransport,
+  normalizeInboundMessage,
+} = require('./core/bridge-plugin');
+const { createBridgeInbound } = require('./daemon-bridge-inbound');
+const { createBridgeRegistry, loadLocalBridgePlugins } = require('./daemon-bridge-registry');
 const imessageIO = (() => { try { return require('./daemon-siri-imessage'); } catch { return null; } })();
 const siriBridgeMod = (() => { try { return require('./daemon-siri-bridge'); } catch { return null; } })();
+const openAiApiMod = (() => { try { return require('./daemon-openai-api'); } catch { return null; } })();
 const weixinBridgeMod = (() => { try { return require('./daemon-weixin-bridge'); } catch { return null; } })();
-const MSG_SESSION_MAX_ENTRIES = 5000;
-const MSG_SESSION_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+const BUILTIN_BRIDGE_IDS = Object.freeze(['telegram', 'feishu', 'matrix', 'imessage', 'siri', 'openai', 'weixin']);
+
+function extractFeishuReplyMessageId(event) {
+  const candidates = [
+    event && event.message && event.message.parent_id,
+    event && event.message && event.message.parent_message_id,
+    event && event.message && event.message.root_id,
+    event && event.message && event.message.reply_in_thread_id,
+    event && event.event && event.event.message && event.event.message.parent_id,
+    event && event.event && event.event.message && event.event.message.parent_message_id,
+    event && event.event && event.event.message && event.event.message.root_id,
+    event && event.event && event.event.message && event.event.message.reply_in_thread_id,
+  ];
+  for (const value of candidates) {
+    const text = String(value || '').trim();
+    if (text) return text;
+  }
+  return null;
+}
+
+/**
+ * Extract the topic root message ID (root_id) from a Feishu event.
+ * Returns non-null ONLY for messages inside a Feishu "话题" thread,
+ * NOT for plain quoted replies in conversation mode.
+ */
+function extractFeishuThreadRootId(event) {
+  const msg = (event && event.message) || (event && event.event && event.event.message);
+  if (!msg) return null;
+  // root_id is set when the message belongs to a topic thread.
+  // In conversation mode, a simple "指定回复" sets parent_id but NOT root_id.
+  const rootId = String(msg.root_id || '').trim();
+  return rootId || null;
+}
 
 function createBridgeStarter(deps) {
   const {
-    fs,
     path,
     HOME,
     log,
     sleep,
     loadConfig,
-    loadState,
-    saveState,
-    getSession,
-    restoreSessionFromReply,
-    releaseWarmPool,
     handleCommand,
     pipeline,            // message pipeline for per-chatId serial execution
-    pendingActivations,  // optional — used to show smart activation hint
     activeProcesses: _activeProcesses, // legacy — now handled by pipeline
     messageQueue: _messageQueue,       // legacy — now handled by pipeline
-    sendRemoteDispatch,          // optional — send packet to remote peer via relay chat
     handleRemoteDispatchMessage, // optional — intercept relay chat messages
     getOrCreateWorktree: _getOrCreateWorktree, // optional — isolated worktree per actor
+    bridgePlugins,               // optional — replaces the built-in set (conformance kit)
+    voice = null,                // optional — local STT / TTS (daemon-voice.js)
   } = deps;
 
-  async function sendAclReply(bot, chatId, text) {
-    if (!text) return;
-    try {
-      if (bot.sendMarkdown) await bot.sendMarkdown(chatId, text);
-      else await bot.sendMessage(chatId, text.replace(/[*_`]/g, ''));
-    } catch { /* non-fatal */ }
-  }
-
-  function normalizeSenderId(senderId) {
-    if (senderId === undefined || senderId === null) return null;
-    const text = String(senderId).trim();
-    return text || null;
-  }
-
-  async function applyUserAcl({ bot, chatId, text, config, senderId, bypassAcl, fromAllowedChat }) {
-    const trimmed = String(text || '').trim();
-    const normalizedSenderId = normalizeSenderId(senderId);
-    if (!trimmed || bypassAcl || !userAcl) {
-      return { blocked: false, readOnly: false, senderId: normalizedSenderId };
-    }
-
-    let userCtx;
-    try {
-      userCtx = userAcl.resolveUserCtx(normalizedSenderId, config || {}, { fromAllowedChat: !!fromAllowedChat });
-    } catch {
-      return { blocked: false, readOnly: false, senderId: normalizedSenderId };
-    }
-    // Audit trail for implicit-admin upgrades — these users are NOT in users.yaml
-    // and gain admin via group-whitelist trust, so make their action visible.
-    if (userCtx && userCtx.implicitAdmin) {
-      try { log('INFO', `[ACL] implicit admin via allowed_chat_ids: chat=${chatId} sender=${normalizedSenderId}`); } catch { /* non-fatal */ }
-    }
-
-    const userCmd = userAcl.handleUserCommand(trimmed, userCtx);
-    if (userCmd && userCmd.handled) {
-      await sendAclReply(bot, chatId, userCmd.reply);
-      return { blocked: true, readOnly: !!userCtx.readOnly, senderId: normalizedSenderId };
-    }
-
-    const publicCmds = Array.isArray(userAcl.PUBLIC_COMMANDS) ? userAcl.PUBLIC_COMMANDS : [];
-    const isPublic = publicCmds.includes(trimmed.toLowerCase());
-    const action = userAcl.classifyCommandAction(trimmed);
-    const allowed = isPublic || (typeof userCtx.can === 'function' && userCtx.can(action));
-    if (!allowed) {
-      await sendAclReply(bot, chatId, `⚠️ 当前权限不足（角色: ${userCtx.role}）\n命令类型: ${action}\n请联系管理员授权。`);
-      return { blocked: true, readOnly: true, senderId: normalizedSenderId };
-    }
-
-    return { blocked: false, readOnly: !!userCtx.readOnly, senderId: normalizedSenderId };
-  }
-
-  // Returns the best pending activation for a given chatId (excludes self-created)
-  function getPendingActivationForChat(chatId) {
-    if (!pendingActivations || pendingActivations.size === 0) return null;
-    const cid = String(chatId);
-    let latest = null;
-    for (const rec of pendingActivations.values()) {
-      if (rec.createdByChatId === cid) continue;
-      if (!latest || rec.createdAt > latest.createdAt) latest = rec;
-    }
-    return latest;
-  }
-
-  function unauthorizedMsg(chatId) {
-    const pending = getPendingActivationForChat(chatId);
-    if (pending) {
-      return `⚠️ 此群未授权\n\n发送以下命令激活 Agent「${pending.agentName}」：\n\`/activate\``;
-    }
-    return '⚠️ 此群未授权\n\n如已创建 Agent，发送 `/activate` 完成绑定。\n否则请先在主群创建 Agent。';
-  }
-
-  function extractFeishuReplyMessageId(event) {
-    const candidates = [
-      event && event.message && event.message.parent_id,
-      event && event.message && event.message.parent_message_id,
-      event && event.message && event.message.root_id,
-      event && event.message && event.message.reply_in_thread_id,
-      event && event.event && event.event.message && event.event.message.parent_id,
-      event && event.event && event.event.message && event.event.message.parent_message_id,
-      event && event.event && event.event.message && event.event.message.root_id,
-      event && event.event && event.event.message && event.event.message.reply_in_thread_id,
-    ];
-    for (const value of candidates) {
-      const text = String(value || '').trim();
-      if (text) return text;
-    }
-    return null;
-  }
-
-  /**
-   * Extract the topic root message ID (root_id) from a Feishu event.
-   * Returns non-null ONLY for messages inside a Feishu "话题" thread,
-   * NOT for plain quoted replies in conversation mode.
-   */
-  function extractFeishuThreadRootId(event) {
-    const msg = (event && event.message) || (event && event.event && event.event.message);
-    if (!msg) return null;
-    // root_id is set when the message belongs to a topic thread.
-    // In conversation mode, a simple "指定回复" sets parent_id but NOT root_id.
-    const rootId = String(msg.root_id || '').trim();
-    return rootId || null;
-  }
-
-  function trackBridgeReplyMapping(messageId, payload = {}) {
-    const safeMessageId = String(messageId || '').trim();
-    if (!safeMessageId) return;
-    const state = loadState();
-    if (!state.msg_sessions) state.msg_sessions = {};
-    state.msg_sessions[safeMessageId] = {
-      ...(state.msg_sessions[safeMessageId] || {}),
-      ...payload,
-      touchedAt: Date.now(),
-    };
-    const now = Date.now();
-    const entries = Object.entries(state.msg_sessions).filter(([, value]) => {
-      const touchedAt = Number(value && value.touchedAt || 0);
-      return !touchedAt || (now - touchedAt) <= MSG_SESSION_MAX_AGE_MS;
-    });
-    state.msg_sessions = Object.fromEntries(
-      (entries.length > MSG_SESSION_MAX_ENTRIES
-        ? entries
-          .sort((a, b) => Number((a[1] && a[1].touchedAt) || 0) - Number((b[1] && b[1].touchedAt) || 0))
-          .slice(entries.length - MSG_SESSION_MAX_ENTRIES)
-        : entries)
-    );
-    saveState(state);
-  }
-
-  function inferSessionMapping(logicalChatId, fallback = {}) {
-    const chatKey = String(logicalChatId || '').trim();
-    if (!chatKey) return { ...fallback };
-    const state = loadState();
-    const raw = state.sessions && state.sessions[chatKey];
-    if (!raw || typeof raw !== 'object') {
-      return {
-        logicalChatId: chatKey,
-        ...fallback,
-      };
-    }
-    const engines = raw.engines && typeof raw.engines === 'object' ? raw.engines : {};
-    const preferredEngine = String(fallback.engine || '').trim().toLowerCase();
-    const slot = (preferredEngine && engines[preferredEngine])
-      || engines.agy
-      || engines.codex
-      || engines.claude
-      || null;
-    return {
-      ...(slot && slot.id ? { id: String(slot.id) } : {}),
-      cwd: raw.cwd || fallback.cwd,
-      engine: preferredEngine || (engines.agy ? 'agy' : engines.codex ? 'codex' : 'claude'),
-      logicalChatId: chatKey,
-      ...((slot && slot.sandboxMode) ? { sandboxMode: slot.sandboxMode } : {}),
-      ...((slot && slot.approvalPolicy) ? { approvalPolicy: slot.approvalPolicy } : {}),
-      ...((slot && slot.permissionMode) ? { permissionMode: slot.permissionMode } : {}),
-      ...fallback,
-    };
-  }
-
-  function resolveReplyStopChatId(targetKey, fallbackChatId, replyMapping) {
-    const resolvedFallback = String(fallbackChatId || '').trim();
-    const mapping = replyMapping && typeof replyMapping === 'object' ? replyMapping : null;
-    const logicalChatId = String(mapping && mapping.logicalChatId || '').trim();
-    if (!logicalChatId) return resolvedFallback;
-    if (!targetKey) return logicalChatId;
-    const expectedPrefix = `_agent_${String(targetKey).trim()}`;
-    if (logicalChatId === expectedPrefix || logicalChatId.startsWith(`${expectedPrefix}::`)) {
-      return logicalChatId;
-    }
-    return resolvedFallback;
-  }
-
-  // ── Team group helpers ─────────────────────────────────────────────────
-  function _getBoundProject(chatId, cfg) {
-    const map = {
-      ...(cfg.telegram  ? cfg.telegram.chat_agent_map  || {} : {}),
-      ...(cfg.feishu    ? cfg.feishu.chat_agent_map    || {} : {}),
-      ...(cfg.imessage  ? cfg.imessage.chat_agent_map  || {} : {}),
-    };
-    const key = map[String(chatId)] || map[_threadRawChatId(chatId)];
-    const proj = key && cfg.projects ? cfg.projects[key] : null;
-    return { key: key || null, project: proj || null };
-  }
-  // _findTeamMember is imported from daemon-team-dispatch.js (shared with admin-commands)
-
-  // Creates a bot proxy that redirects all send methods to replyChatId
-  function _createTeamProxyBot(bot, replyChatId) {
-    const SEND = new Set(['sendMessage', 'sendMarkdown', 'sendCard', 'editMessage', 'deleteMessage', 'sendTyping', 'sendFile', 'sendButtons', 'sendButtonCard']);
-    return new Proxy(bot, {
-      get(target, prop) {
-        const orig = target[prop];
-        if (typeof orig !== 'function') return orig;
-        if (!SEND.has(prop)) return orig.bind(target);
-        return function(_chatId, ...args) { return orig.call(target, replyChatId, ...args); };
-      },
-    });
-  }
-
-  function _createPipelineTarget({ pipelineChatId, effectiveChatId, bot }) {
-    const replyChatId = String(pipelineChatId || '').trim();
-    const processChatId = String(effectiveChatId || pipelineChatId || '').trim();
-    if (!replyChatId || !processChatId) {
-      return { processChatId: replyChatId || processChatId, bot };
-    }
-    if (replyChatId === processChatId) {
-      return { processChatId, bot };
-    }
-    return {
-      processChatId,
-      bot: _createTeamProxyBot(bot, replyChatId),
-    };
-  }
-  // Get team member's working directory inside the source tree, never under ~/.metame.
-  // Creates agents/<key>/ directory by default, or ensures an explicit member.cwd exists.
-  function _getMemberCwd(parentCwd, key, explicitCwd = null) {
-    const { existsSync, mkdirSync, symlinkSync, readFileSync, writeFileSync } = require('fs');
-    const { execFileSync } = require('child_process');
-    const WIN_HIDE = process.platform === 'win32' ? { windowsHide: true } : {};
-
-    // Sanitize key to prevent path traversal
-    const safeKey = String(key).replace(/[^a-zA-Z0-9_\-]/g, '').slice(0, 50);
-    if (safeKey !== key) {
-      log('WARN', `Sanitized team member key: ${key} -> ${safeKey}`);
-    }
-
-    // Use explicit member cwd when provided, otherwise default to agents/<key>/.
-    const agentsDir = path.join(parentCwd, 'agents');
-    const memberDir = explicitCwd
-      ? path.resolve(String(explicitCwd).replace(/^~/, require('os').homedir()))
-      : path.join(agentsDir, safeKey);
-
-    // Create agents directory if using the default layout.
-    if (!explicitCwd && !existsSync(agentsDir)) {
-      mkdirSync(agentsDir, { recursive: true });
-    }
-
-    // Create member directory if not exists
-    if (!existsSync(memberDir)) {
-      mkdirSync(memberDir, { recursive: true });
-      log('INFO', `Created agent directory: ${memberDir}`);
-    }
-
-    // Initialize git for checkpoint support
-    const gitDir = path.join(memberDir, '.git');
-    if (!existsSync(gitDir)) {
-      try {
-        execFileSync('git', ['init'], { cwd: memberDir, stdio: 'ignore', ...WIN_HIDE });
-        log('INFO', `Git repo initialized: ${memberDir}`);
-      } catch (e) {
-        log('WARN', `Failed to init git for ${memberDir}: ${e.message}`);
-      }
-    }
-
-    // Set up CLAUDE.md: use dedicated, or template, or symlink from parent
-    const claudeMd = path.join(memberDir, 'CLAUDE.md');
-    const parentClaudeMd = path.join(parentCwd, 'CLAUDE.md');
-    if (!existsSync(claudeMd)) {
-      // Priority 1: dedicated CLAUDE.md in agents/<key>/ directory
-      const dedicatedPath = path.join(parentCwd, 'agents', safeKey, 'CLAUDE.md');
-      if (existsSync(dedicatedPath)) {
-        try {
-          // Copy instead of symlink to avoid cross-device issues
-          const content = readFileSync(dedicatedPath, 'utf8');
-          writeFileSync(claudeMd, content, 'utf8');
-          log('INFO', `Copied dedicated CLAUDE.md for ${safeKey}`);
-        } catch (e) {
-          log('WARN', `Failed to copy CLAUDE.md for ${safeKey}: ${e.message}`);
-        }
-      } else if (existsSync(parentClaudeMd)) {
-        // Priority 2: symlink to parent CLAUDE.md
-        try {
-          // Use 'junction' on Windows for directories, 'file' for files
-          const linkType = process.platform === 'win32' ? 'junction' : 'file';
-          symlinkSync(parentClaudeMd, claudeMd, linkType);
-          log('INFO', `Symlinked CLAUDE.md for ${safeKey}`);
-        } catch (e) {
-          // Fallback: copy file
-          try {
-            const content = readFileSync(parentClaudeMd, 'utf8');
-            writeFileSync(claudeMd, content, 'utf8');
-            log('INFO', `Copied CLAUDE.md for ${safeKey} (symlink failed)`);
-          } catch (e2) {
-            log('WARN', `Failed to create CLAUDE.md for ${safeKey}: ${e2.message}`);
-          }
-        }
-      }
-    }
-
-    return memberDir;
-  }
+  // Chat → project bindings come from every routed bridge's chat_agent_map.
+  let registry = null;
+  const inbound = createBridgeInbound({
+    ...deps,
+    listChatMapKeys: () => registry.list().filter(p => p.createTransport).map(p => p.descriptor.configKey),
+  });
 
-  function _dispatchToTeamMember(member, boundProj, text, cfg, bot, realChatId, executeTaskByName, acl) {
-    // Remote member → send via relay chat
-    if (isRemoteMember(member) && sendRemoteDispatch) {
-      sendRemoteDispatch({
-        type: 'task',
-        to_peer: member.peer,
-        target_project: member.key,
-        prompt: text,
-        source_chat_id: String(realChatId),
-        source_sender_key: acl.senderId || 'user',
-        source_sender_id: acl.senderId || '',
-      }, cfg).then(res => {
-        if (res.success) {
-          bot.sendMessage(realChatId, `📡 已发送给 ${member.icon || '🤖'} ${member.name} (${member.peer})`).catch(() => {});
-        } else {
-          bot.sendMessage(realChatId, `❌ 远端派发失败: ${res.error}`).catch(() => {});
-        }
-      });
-      return;
-    }
-
-    // When dispatching from a topic thread, include the thread ID in the
-    // virtual session key so each topic gets its own independent session.
-    const realChatIdStr = String(realChatId || '');
-    const state = loadState() || {};
-    const routeMap = state.team_session_route || {};
-    const rawChatKey = _threadRawChatId(realChatIdStr);
-    const preferredLogicalChatId = routeMap[realChatIdStr] || routeMap[rawChatKey] || '';
-    const expectedBaseChatId = `_agent_${member.key}`;
-    const virtualChatId = isAgentLogicalRouteForMember(preferredLogicalChatId, member.key)
-      ? preferredLogicalChatId
-      : (isThreadChatId(realChatIdStr)
-          ? `${expectedBaseChatId}::${realChatIdStr}`
-          : expectedBaseChatId);
-    const parentCwd = member.cwd || boundProj.cwd;
-    const resolvedParentCwd = parentCwd.replace(/^~/, require('os').homedir());
-    const memberCwd = _getMemberCwd(
-      resolvedParentCwd,
-      member.key,
-      member.cwd || null,
-    );
-    if (!memberCwd) {
-      log('ERROR', `Team [${member.key}] cannot start: directory unavailable`);
-      bot.sendMessage(realChatId, `❌ ${member.icon || '🤖'} ${member.name} 启动失败：工作目录创建失败`).catch(() => {});
-      return;
-    }
-    log('INFO', `Team [${member.key}] using cwd: ${memberCwd}`);
-    // Spawn cwd MUST be the actual work directory (worktree/member dir) so that:
-    //   1. Claude CLI operates in the correct directory (git, file edits)
-    //   2. /undo, /redo, /reset target the right repo
-    // Session visibility on desktop is handled by findSessionFile scanning all project dirs,
-    // and by session naming (auto-name with agent label prefix).
-    const teamCfg = {
-      ...cfg,
-      projects: {
-        ...(cfg.projects || {}),
-        [member.key]: {
-          cwd: memberCwd,                                    // actual work directory
-          name: member.name,
-          icon: member.icon || '🤖',
-          color: member.color || 'blue',
-          engine: member.engine || boundProj.engine,
-        },
-      },
-    };
-    const proxyBot = _createTeamProxyBot(bot, realChatId);
-    pipeline.processMessage(virtualChatId, text, { bot: proxyBot, config: teamCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly })
-      .catch(e => log('ERROR', `Team [${member.key}] error: ${e.message}`));
-  }
-  // ────────────────────────────────────────────────────────────────────────
-
-  async function startTelegramBridge(config, executeTaskByName) {
-    if (!config.telegram || !config.telegram.enabled) return null;
-    if (!config.telegram.bot_token) {
+  // ── Telegram ───────────────────────────────────────────────────────────────
+  async function createTelegramTransport(bridgeCfg) {
+    if (!bridgeCfg.bot_token) {
       log('WARN', 'Telegram enabled but no bot_token configured');
       return null;
     }
 
     const { createBot } = require('./telegram-adapter.js');
-    const bot = createBot(config.telegram.bot_token);
+    const bot = createBot(bridgeCfg.bot_token);
 
     try {
       const me = await bot.getMe();
@@ -415,10 +100,38 @@ function createBridgeStarter(deps) {
     }
 
     let offset = 0;
-    let running = true;
+    let running = false;
     let abortController = new AbortController();
     let pollLoopActive = false;
     let reconnectTimer = null;
+    let onInbound = null;
+
+    function toInbound(msg) {
+      const message = {
+        chatId: msg.chat.id,
+        senderId: msg.from && msg.from.id ? String(msg.from.id) : null,
+        messageId: msg.message_id,
+        replyToMessageId: msg.reply_to_message && msg.reply_to_message.message_id,
+        text: msg.text || '',
+      };
+      if ((msg.voice || msg.audio) && !msg.text) {
+        const audio = msg.voice || msg.audio;
+        message.text = msg.caption || '';
+        message.voice = {
+          name: audio.file_name || `voice_${msg.message_id}.ogg`,
+          download: destPath => bot.downloadFile(audio.file_id, destPath),
+        };
+        message.notice = '🎤 Use Telegram voice-to-text (long press → Transcribe), then send as text.';
+      } else if (msg.document || msg.photo) {
+        const fileId = msg.document ? msg.document.file_id : msg.photo[msg.photo.length - 1].file_id;
+        message.text = msg.caption || '';
+        message.file = {
+          name: msg.document ? msg.document.file_name : `photo_${Date.now()}.jpg`,
+          download: destPath => bot.downloadFile(fileId, destPath),
+        };
+      }
+      return message;
+    }
 
     const pollLoop = async (signal) => {
       pollLoopActive = true;
@@ -426,267 +139,27 @@ function createBridgeStarter(deps) {
         while (running && signal === abortController.signal) {
           try {
             const updates = await bot.getUpdates(offset, 30, signal);
-          for (const update of updates) {
-            offset = update.update_id + 1;
-
-            if (update.callback_query) {
-              const cb = update.callback_query;
-              const chatId = cb.message && cb.message.chat.id;
-              const senderId = cb.from && cb.from.id ? String(cb.from.id) : null;
-              bot.answerCallback(cb.id).catch(() => { });
-              if (chatId && cb.data) {
-                const liveCfg = loadConfig();
-                const allowedIds = (liveCfg.telegram && liveCfg.telegram.allowed_chat_ids) || [];
-                if (!allowedIds.includes(chatId)) continue;
-                const isBindCmd = cb.data.startsWith('/agent bind')
-                  || cb.data.startsWith('/agent-bind-dir')
-                  || cb.data.startsWith('/browse bind')
-                  || cb.data === '/activate';
-                const acl = await applyUserAcl({
-                  bot,
-                  chatId,
-                  text: cb.data,
-                  config: liveCfg,
-                  senderId,
-                  bypassAcl: !allowedIds.includes(chatId) && !!isBindCmd,
-                });
-                if (acl.blocked) continue;
-                pipeline.processMessage(chatId, cb.data, { bot, config: liveCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly }).catch(e => {
-                  log('ERROR', `Telegram callback handler error: ${e.message}`);
-                });
-              }
-              continue;
-            }
-
-            if (!update.message) continue;
-
-            const msg = update.message;
-            const chatId = msg.chat.id;
-            const senderId = msg.from && msg.from.id ? String(msg.from.id) : null;
-
-            const liveCfg = loadConfig();
-            const allowedIds = (liveCfg.telegram && liveCfg.telegram.allowed_chat_ids) || [];
-            const trimmedText = msg.text && msg.text.trim();
-            const isBindCmd = trimmedText && (
-              trimmedText.startsWith('/agent bind')
-              || trimmedText.startsWith('/agent-bind-dir')
-              || trimmedText.startsWith('/browse bind')
-              || trimmedText === '/activate'
-            );
-            const isAllowedChat = allowedIds.includes(chatId);
-            if (!isAllowedChat && !isBindCmd) {
-              log('WARN', `Rejected message from unauthorized chat: ${chatId}`);
-              bot.sendMessage(chatId, unauthorizedMsg(chatId)).catch(() => {});
-              continue;
-            }
-
-            if ((msg.voice || msg.audio) && !msg.text) {
-              await bot.sendMessage(chatId, '🎤 Use Telegram voice-to-text (long press → Transcribe), then send as text.');
-              continue;
-            }
-
-            if (msg.document || msg.photo) {
-              const fileId = msg.document ? msg.document.file_id : msg.photo[msg.photo.length - 1].file_id;
-              const fileName = msg.document ? msg.document.file_name : `photo_${Date.now()}.jpg`;
-              const caption = msg.caption || '';
-              const acl = await applyUserAcl({
-                bot,
-                chatId,
-                text: caption || '[file-upload]',
-                config: liveCfg,
-                senderId,
-                bypassAcl: !isAllowedChat && !!isBindCmd,
-              });
-              if (acl.blocked) continue;
-
-              const session = getSession(chatId);
-              const cwd = session?.cwd || HOME;
-              const uploadDir = path.join(cwd, 'upload');
-              if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-              const destPath = path.join(uploadDir, fileName);
-
-              try {
-                await bot.downloadFile(fileId, destPath);
-                await bot.sendMessage(chatId, `📥 Saved: ${fileName}`);
-
-                const prompt = caption
-                  ? `User uploaded a file to the project: ${destPath}\nUser says: "${caption}"`
-                  : `User uploaded a file to the project: ${destPath}\nAcknowledge receipt. Only read the file if the user asks you to.`;
-
-                // Respect team_sticky: route to active agent same as text messages
-                const _stFile = loadState();
-                const _chatKeyFile = String(chatId);
-                const { project: _boundProjFile } = _getBoundProject(chatId, liveCfg);
-                const _stickyKeyFile = (_stFile.team_sticky || {})[_chatKeyFile];
-                if (_boundProjFile && Array.isArray(_boundProjFile.team) && _boundProjFile.team.length > 0 && _stickyKeyFile) {
-                  const _stickyMember = _boundProjFile.team.find(m => m.key === _stickyKeyFile);
-                  if (_stickyMember) {
-                    log('INFO', `Telegram file → sticky route to ${_stickyKeyFile}`);
-                    _dispatchToTeamMember(_stickyMember, _boundProjFile, prompt, liveCfg, bot, chatId, executeTaskByName, acl);
-                    continue;
-                  }
-                }
-                pipeline.processMessage(chatId, prompt, { bot, config: liveCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly }).catch(e => {
-                  log('ERROR', `Telegram file handler error: ${e.message}`);
-                });
-              } catch (err) {
-                log('ERROR', `File download failed: ${err.message}`);
-                await bot.sendMessage(chatId, `❌ Download failed: ${err.message}`);
-              }
-              continue;
-            }
-
-            if (msg.text) {
-              const text = msg.text.trim();
-              const acl = await applyUserAcl({
-                bot,
-                chatId,
-                text,
-                config: liveCfg,
-                senderId,
-                bypassAcl: !isAllowedChat && !!isBindCmd,
-              });
-              if (acl.blocked) continue;
-
-              // Team group routing for Telegram (same logic as Feishu)
-              const trimmedText = text.trim();
-              const parentId = msg.reply_to_message && msg.reply_to_message.message_id
-                ? String(msg.reply_to_message.message_id)
-                : null;
-              let _replyAgentKey = null;
-              const { key: _boundKey, project: _boundProj } = _getBoundProject(chatId, liveCfg);
-              const _isTeamSlashCmd = trimmedText.startsWith('/') && !/^\/stop(\s|$)/i.test(trimmedText);
-
-              // Load sticky state
-              const _st = loadState();
-              if (parentId) {
-                const mapped = _st.msg_sessions && _st.msg_sessions[parentId];
-                if (mapped) {
-                  if (typeof restoreSessionFromReply === 'function') {
-                    restoreSessionFromReply(chatId, mapped);
-                  } else {
-                    if (!_st.sessions) _st.sessions = {};
-                    _st.sessions[chatId] = { id: mapped.id, cwd: mapped.cwd, started: true };
-                    saveState(_st);
-                  }
-                  log('INFO', `Telegram session restored via reply: ${mapped.id.slice(0, 8)} (${path.basename(mapped.cwd)})`);
-                  _replyAgentKey = mapped.agentKey || null;
-                }
-              }
-              const _chatKey = String(chatId);
-              const _setSticky = (key) => {
-                if (!_st.team_sticky) _st.team_sticky = {};
-                _st.team_sticky[_chatKey] = key;
-                saveState(_st);
-              };
-              const _clearSticky = () => {
-                if (_st.team_sticky) delete _st.team_sticky[_chatKey];
-                saveState(_st);
-              };
-              const _stickyKey = (_st.team_sticky || {})[_chatKey] || null;
-
-              if (_boundProj && Array.isArray(_boundProj.team) && _boundProj.team.length > 0 && !_isTeamSlashCmd) {
-                // Team dispatch logic (same as Feishu)
-                const _stopMatch = trimmedText && trimmedText.match(/^\/stop(?:\s+(.+))?$/i);
-                if (_stopMatch) {
-                  const _stopArg = (_stopMatch[1] || '').trim();
-                  let _targetKey = null;
-                  if (_replyAgentKey) {
-                    const m = _boundProj.team.find(t => t.key === _replyAgentKey);
-                    if (m) _targetKey = m.key;
-                  }
-                  if (!_targetKey && _stopArg) {
-                    const _sa = _stopArg.toLowerCase();
-                    const m = _boundProj.team.find(t =>
-                      (t.nicknames || []).some(n => n.toLowerCase() === _sa) || (t.name && t.name.toLowerCase() === _sa) || t.key === _sa
-                    );
-                    if (m) _targetKey = m.key;
-                  }
-              if (!_targetKey && !_stopArg) _targetKey = _stickyKey;
-              if (_targetKey) {
-                    const vid = resolveReplyStopChatId(_targetKey, `_agent_${_targetKey}`, parentId ? (_st.msg_sessions && _st.msg_sessions[parentId]) : null);
-                    const member = _boundProj.team.find(t => t.key === _targetKey);
-                    const label = member ? `${member.icon || '🤖'} ${member.name}` : _targetKey;
-                    pipeline.clearQueue(vid);
-                    const stopped = pipeline.interruptActive(vid);
-                    if (stopped) {
-                      await bot.sendMessage(chatId, `⏹ Stopping ${label}...`);
-                    } else {
-                      await bot.sendMessage(chatId, `${label} 当前没有活跃任务`);
-                    }
-                    continue;
-                  }
-                  if (_stopArg) {
-                    await bot.sendMessage(chatId, `❌ 未找到团队成员: ${_stopArg}`).catch(() => {});
-                    continue;
-                  }
-                }
-
-                // 0. Quoted reply → force route + set sticky
-                if (_replyAgentKey) {
-                  const member = _boundProj.team.find(m => m.key === _replyAgentKey);
-                  if (member) {
-                    _setSticky(member.key);
-                    log('INFO', `Telegram quoted reply → force route to ${_replyAgentKey} (sticky set)`);
-                    _dispatchToTeamMember(member, _boundProj, trimmedText, liveCfg, bot, chatId, executeTaskByName, acl);
-                    continue;
-                  }
-                  log('INFO', `Telegram quoted reply agentKey=${_replyAgentKey} not in team, falling through`);
-                }
-
-                // 1. Explicit nickname → route + set sticky
-                const teamMatch = _findTeamMember(trimmedText, _boundProj.team);
-                if (teamMatch) {
-                  const { member, rest } = teamMatch;
-                  _setSticky(member.key);
-                  if (!rest) {
-                    log('INFO', `Sticky set (pure nickname): ${_chatKey.slice(-8)} → ${member.key}`);
-                    bot.sendMarkdown(chatId, `${member.icon || '🤖'} **${member.name}** 在线`).catch(() => {});
-                    continue;
-                  }
-                  log('INFO', `Sticky set: ${_chatKey.slice(-8)} → ${member.key}`);
-                  _dispatchToTeamMember(member, _boundProj, rest, liveCfg, bot, chatId, executeTaskByName, acl);
-                  continue;
-                }
-
-                // 1.5. Main project nickname → clear sticky, route to main
-                const _mainNicks = Array.isArray(_boundProj.nicknames) ? _boundProj.nicknames : [];
-                const _trimLower = trimmedText.toLowerCase();
-                const _mainMatch = _mainNicks.find(n => _trimLower === n.toLowerCase() || _trimLower.startsWith(n.toLowerCase() + ' ') || _trimLower.startsWith(n.toLowerCase() + '，') || _trimLower.startsWith(n.toLowerCase() + ','));
-                if (_mainMatch) {
-                  _clearSticky();
-                  const rest = trimmedText.slice(_mainMatch.length).replace(/^[\s,，:：]+/, '');
-                  log('INFO', `Main nickname → cleared sticky, routing to main${rest ? ` (task: ${rest.slice(0, 30)})` : ''}`);
-                  if (!rest) {
-                    bot.sendMarkdown(chatId, `${_boundProj.icon || '🤖'} **${_boundProj.name}** 在线`).catch(() => {});
-                    continue;
-                  }
-                  try {
-                    await pipeline.processMessage(chatId, rest, { bot, config: liveCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly });
-                  } catch (e) {
-                    log('ERROR', `Team main-route handleCommand failed: ${e.message}`);
-                    bot.sendMessage(chatId, `❌ 执行失败: ${e.message}`).catch(() => {});
-                  }
-                  continue;
-                }
-
-                // 2. Sticky: no nickname given → route to last explicitly named member
-                if (_stickyKey) {
-                  const member = _boundProj.team.find(m => m.key === _stickyKey);
-                  if (member) {
-                    log('INFO', `Sticky route: → ${_stickyKey}`);
-                    _dispatchToTeamMember(member, _boundProj, trimmedText, liveCfg, bot, chatId, executeTaskByName, acl);
-                    continue;
-                  }
+            for (const update of updates) {
+              offset = update.update_id + 1;
+
+              if (update.callback_query) {
+                const cb = update.callback_query;
+                const chatId = cb.message && cb.message.chat.id;
+                bot.answerCallback(cb.id).catch(() => { });
+                if (chatId && cb.data) {
+                  onInbound({
+                    kind: 'callback',
+                    chatId,
+                    text: cb.data,
+                    senderId: cb.from && cb.from.id ? String(cb.from.id) : null,
+                  });
                 }
+                continue;
               }
 
-              // Default: route to main project
-              pipeline.processMessage(chatId, text, { bot, config: liveCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly }).catch(e => {
-                log('ERROR', `Telegram handler error: ${e.message}`);
-              });
+              if (!update.message) continue;
+              onInbound(toInbound(update.message));
             }
-          }
           } catch (e) {
             if (e.message === 'aborted') break;
             log('ERROR', `Telegram poll error: ${e.message}`);
@@ -707,10 +180,15 @@ function createBridgeStarter(deps) {
         if (running) setTimeout(startPoll, 5000);
       });
     };
-    startPoll();
 
     return {
-      stop() {
+      bot,
+      connect(handler) {
+        onInbound = handler;
+        running = true;
+        startPoll();
+      },
+      disconnect() {
         running = false;
         if (reconnectTimer) clearTimeout(reconnectTimer);
         abortController.abort();
@@ -728,19 +206,18 @@ function createBridgeStarter(deps) {
       isAlive() {
         return running && (pollLoopActive || !abortController.signal.aborted);
       },
-      bot,
     };
   }
 
-  async function startFeishuBridge(config, executeTaskByName) {
-    if (!config.feishu || !config.feishu.enabled) return null;
-    if (!config.feishu.app_id || !config.feishu.app_secret) {
+  // ── Feishu ─────────────────────────────────────────────────────────────────
+  async function createFeishuTransport(bridgeCfg) {
+    if (!bridgeCfg.app_id || !bridgeCfg.app_secret) {
       log('ERROR', 'Feishu enabled but app_id/app_secret missing — bridge will NOT start. Check ~/.metame/daemon.yaml');
       return null;
     }
 
     const { createBot } = require('./feishu-adapter.js');
-    const bot = createBot(config.feishu);
+    const bot = createBot(bridgeCfg);
 
     // Credential pre-check is informational only. We always start the WS
     // pipeline — it has its own network-ready-probe + backoff reconnect, so
@@ -762,394 +239,229 @@ function createBridgeStarter(deps) {
       log('WARN', `Feishu credential pre-check error: ${e.message} — WS pipeline will retry`);
     }
 
-    try {
-      const receiver = await bot.startReceiving(async (chatId, text, event, fileInfo, senderId) => {
-        const liveCfg = loadConfig();
-        const relayCfg = liveCfg && liveCfg.feishu && liveCfg.feishu.remote_dispatch;
-        const relayChatId = relayCfg && relayCfg.chat_id ? String(relayCfg.chat_id) : '';
-        if (relayChatId && String(chatId) === relayChatId) {
-          const preview = String(text || '').slice(0, 80).replace(/\s+/g, ' ');
-          log('INFO', `Feishu relay event chat=${chatId} sender=${senderId || 'unknown'} preview=${preview}`);
-        }
-
-        // ── Remote dispatch interception (before ACL) ──
-        if (handleRemoteDispatchMessage && text) {
-          const handled = await handleRemoteDispatchMessage({ chatId, text, config: liveCfg });
-          if (handled) return;
-        }
-
-        const allowedIds = (liveCfg.feishu && liveCfg.feishu.allowed_chat_ids) || [];
-        const trimmedText = text && text.trim();
-        const isBindCmd = trimmedText && (
-          trimmedText.startsWith('/agent bind')
-          || trimmedText.startsWith('/agent-bind-dir')
-          || trimmedText.startsWith('/browse bind')
-          || trimmedText === '/activate'
-        );
-        const isAllowedChat = allowedIds.includes(chatId);
-        if (!isAllowedChat && !isBindCmd) {
-          log('WARN', `Feishu: rejected message from ${chatId}`);
-          const msg = unauthorizedMsg(chatId);
-          (bot.sendMarkdown ? bot.sendMarkdown(chatId, msg) : bot.sendMessage(chatId, msg)).catch(() => {});
-          return;
-        }
-
-        // ── Topic mode detection (before file/text split) ──
-        const threadRootId = extractFeishuThreadRootId(event);
-        const pipelineChatId = threadRootId ? buildThreadChatId(chatId, threadRootId) : chatId;
-        if (threadRootId) {
-          log('INFO', `Feishu topic detected: root=${threadRootId} → pipelineChatId=${pipelineChatId}`);
-        }
-
-        if (fileInfo && fileInfo.fileKey) {
-          const acl = await applyUserAcl({
-            bot,
-            chatId,
-            text: text || '[file-upload]',
-            config: liveCfg,
-            senderId,
-            bypassAcl: !isAllowedChat && !!isBindCmd,
-            fromAllowedChat: isAllowedChat,
-          });
-          if (acl.blocked) return;
-          log('INFO', `Feishu file from ${chatId}: ${fileInfo.fileName} (key: ${fileInfo.fileKey}, msgId: ${fileInfo.messageId}, type: ${fileInfo.msgType})`);
-          const session = getSession(pipelineChatId) || getSession(chatId);
-          const cwd = session?.cwd || HOME;
-          const uploadDir = path.join(cwd, 'upload');
-          if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-          const destPath = path.join(uploadDir, fileInfo.fileName);
-
-          try {
-            await bot.downloadFile(fileInfo.messageId, fileInfo.fileKey, destPath, fileInfo.msgType);
-            await bot.sendMessage(pipelineChatId, `📥 Saved: ${fileInfo.fileName}`);
-
-            const prompt = text
-              ? `User uploaded a file to the project: ${destPath}\nUser says: "${text}"`
-              : `User uploaded a file to the project: ${destPath}\nAcknowledge receipt. Only read the file if the user asks you to.`;
+    let receiver = null;
+    return {
+      bot,
+      async connect(onInbound) {
+        receiver = await bot.startReceiving(async (chatId, text, event, fileInfo, senderId) => {
+          const liveCfg = loadConfig();
+          const relayCfg = liveCfg && liveCfg.feishu && liveCfg.feishu.remote_dispatch;
+          const relayChatId = relayCfg && relayCfg.chat_id ? String(relayCfg.chat_id) : '';
+          if (relayChatId && String(chatId) === relayChatId) {
+            const preview = String(text || '').slice(0, 80).replace(/\s+/g, ' ');
+            log('INFO', `Feishu relay event chat=${chatId} sender=${senderId || 'unknown'} preview=${preview}`);
+          }
 
-            // Respect team_sticky: route to active agent same as text messages
-            const _stFile = loadState();
-            const _chatKeyFile = String(pipelineChatId);
-            const _rawChatKeyFile = _threadRawChatId(_chatKeyFile);
-            const { project: _boundProjFile } = _getBoundProject(chatId, liveCfg);
-            const _stickyKeyFile = (_stFile.team_sticky || {})[_chatKeyFile] || (_stFile.team_sticky || {})[_rawChatKeyFile];
-            if (_boundProjFile && Array.isArray(_boundProjFile.team) && _boundProjFile.team.length > 0 && _stickyKeyFile) {
-              const _stickyMember = _boundProjFile.team.find(m => m.key === _stickyKeyFile);
-              if (_stickyMember) {
-                log('INFO', `Feishu file → sticky route to ${_stickyKeyFile}`);
-                _dispatchToTeamMember(_stickyMember, _boundProjFile, prompt, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
-                return;
-              }
-            }
-            await pipeline.processMessage(pipelineChatId, prompt, { bot, config: liveCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly });
-          } catch (err) {
-            log('ERROR', `Feishu file download failed: ${err.message}`);
-            await bot.sendMessage(pipelineChatId, `❌ Download failed: ${err.message}`);
+          // ── Remote dispatch interception (before ACL) ──
+          if (handleRemoteDispatchMessage && text) {
+            const handled = await handleRemoteDispatchMessage({ chatId, text, config: liveCfg });
+            if (handled) return;
           }
-          return;
-        }
 
-        if (text) {
-          const acl = await applyUserAcl({
-            bot,
+          const message = {
             chatId,
             text,
-            config: liveCfg,
             senderId,
-            bypassAcl: !isAllowedChat && !!isBindCmd,
-            fromAllowedChat: isAllowedChat,
-          });
-          if (acl.blocked) return;
-          log('INFO', `Feishu message from ${chatId}: ${text.slice(0, 50)}`);
-          const parentId = extractFeishuReplyMessageId(event);
-          let _replyAgentKey = null;
-          let _replyMapping = null;
-          let _replyMappingFound = false; // true = mapping exists (agentKey may be null = main)
-          // Load state once for the entire routing block
-          const _st = loadState();
-          const _parentMapping = parentId && _st.msg_sessions ? _st.msg_sessions[parentId] : null;
-          // Quoted reply = explicit parentId but NOT a topic thread (topics always carry parentId=root_id)
-          const _isQuotedReply = !!(parentId && !threadRootId);
-          if (parentId) {
-            log('INFO', `Feishu reply metadata detected chat=${chatId} parentId=${parentId}${threadRootId ? ' topic=true' : ''}`);
-          }
-          if (_isQuotedReply) {
-            const mapped = _parentMapping;
-            if (mapped) {
-              _replyMapping = mapped;
-              _replyMappingFound = true;
-              if (typeof restoreSessionFromReply === 'function') {
-                restoreSessionFromReply(chatId, mapped);
-              } else {
-                if (mapped.id) {
-                  if (!_st.sessions) _st.sessions = {};
-                  _st.sessions[chatId] = { id: mapped.id, cwd: mapped.cwd, started: true };
-                  saveState(_st);
-                }
-              }
-              if (mapped.id) {
-                log('INFO', `Session restored via reply: ${mapped.id.slice(0, 8)} (${path.basename(mapped.cwd)})`);
-                // Evict warm process so next spawn uses --resume with the restored session
-                if (typeof releaseWarmPool === 'function') {
-                  const _logicalKey = String(mapped.logicalChatId || '').trim();
-                  if (_logicalKey) releaseWarmPool(_logicalKey);
-                }
-              }
-              _replyAgentKey = mapped.agentKey || null;
-            } else {
-              log('INFO', `Feishu reply parentId=${parentId} had no msg_sessions mapping`);
-            }
-          } else if (threadRootId && _parentMapping) {
-            _replyMappingFound = true;
-            _replyAgentKey = _parentMapping.agentKey || null;
-            log('INFO', `Feishu topic inherited root mapping agentKey=${_replyAgentKey || 'main'} parentId=${parentId}`);
-            // Restore session from topic root (same as quoted reply) so 指定回复 resumes context
-            if (_parentMapping.id && typeof restoreSessionFromReply === 'function') {
-              restoreSessionFromReply(chatId, _parentMapping);
-              log('INFO', `Session restored via topic root: ${_parentMapping.id.slice(0, 8)} (${path.basename(_parentMapping.cwd || '~')})`);
-              // Evict warm process so next spawn uses --resume with the restored session
-              if (typeof releaseWarmPool === 'function') {
-                const _logicalKey = String(_parentMapping.logicalChatId || '').trim();
-                if (_logicalKey) releaseWarmPool(_logicalKey);
-              }
-            }
+            replyToMessageId: extractFeishuReplyMessageId(event),
+            threadId: extractFeishuThreadRootId(event),
+          };
+          if (fileInfo && fileInfo.fileKey && fileInfo.msgType === 'audio') {
+            message.voice = {
+              name: fileInfo.fileName,
+              download: destPath => bot.downloadFile(fileInfo.messageId, fileInfo.fileKey, destPath, fileInfo.msgType),
+            };
+            message.notice = '🎤 未启用语音识别，请使用飞书的"转文字"后发送文字。';
+          } else if (fileInfo && fileInfo.fileKey) {
+            log('INFO', `Feishu file key=${fileInfo.fileKey} msgId=${fileInfo.messageId} type=${fileInfo.msgType}`);
+            message.file = {
+              name: fileInfo.fileName,
+              download: destPath => bot.downloadFile(fileInfo.messageId, fileInfo.fileKey, destPath, fileInfo.msgType),
+            };
           }
+          await onInbound(message);
+        }, { log: (lvl, msg) => log(lvl, msg) });
+        log('INFO', 'Feishu bot connected (WebSocket long connection)');
+      },
+      disconnect: () => receiver && receiver.stop(),
+      reconnect: () => receiver && receiver.reconnect(),
+      isAlive: () => !!receiver && receiver.isAlive(),
+    };
+  }
 
-          // Helper: set/clear sticky on shared state object and persist
-          // Use pipelineChatId so each topic gets independent sticky state
-          const _chatKey = String(pipelineChatId);
-          const _rawChatKey = _threadRawChatId(_chatKey);
-          const _topicMainRoute = !!(
-            threadRootId
-            && _parentMapping
-            && !_isQuotedReply
-            && _parentMapping.logicalChatId
-            && !String(_parentMapping.logicalChatId).startsWith('_agent_')
-          );
-          const _setSticky = (key) => {
-            if (!_st.team_sticky) _st.team_sticky = {};
-            _st.team_sticky[_chatKey] = key;
-            if (_rawChatKey && _rawChatKey !== _chatKey) _st.team_sticky[_rawChatKey] = key;
-            if (_st.team_session_route) {
-              if (_st.team_session_route[_chatKey] && !isAgentLogicalRouteForMember(_st.team_session_route[_chatKey], key)) {
-                delete _st.team_session_route[_chatKey];
-              }
-              if (_rawChatKey && _rawChatKey !== _chatKey && _st.team_session_route[_rawChatKey] && !isAgentLogicalRouteForMember(_st.team_session_route[_rawChatKey], key)) {
-                delete _st.team_session_route[_rawChatKey];
-              }
-            }
-            saveState(_st);
-          };
-          const _clearSticky = () => {
-            if (_st.team_sticky) delete _st.team_sticky[_chatKey];
-            if (_st.team_sticky && _rawChatKey && _rawChatKey !== _chatKey) delete _st.team_sticky[_rawChatKey];
-            if (_st.team_session_route) delete _st.team_session_route[_chatKey];
-            if (_st.team_session_route && _rawChatKey && _rawChatKey !== _chatKey) delete _st.team_session_route[_rawChatKey];
-            saveState(_st);
-          };
-          let _stickyKey = (_st.team_sticky || {})[_chatKey] || (_st.team_sticky || {})[_rawChatKey] || null;
-          const _pipelineTarget = _createPipelineTarget({
-            pipelineChatId,
-            effectiveChatId: _topicMainRoute ? chatId : pipelineChatId,
-            bot,
-          });
+  // ── Matrix ─────────────────────────────────────────────────────────────────
+  async function createMatrixTransport(bridgeCfg) {
+    if (!bridgeCfg.homeserver || !bridgeCfg.access_token) {
+      log('ERROR', 'Matrix enabled but homeserver/access_token missing — bridge will NOT start. Check ~/.metame/daemon.yaml');
+      return null;
+    }
 
-          // Team group routing: if bound project has a team array, check message for member nickname
-          // Non-/stop slash commands bypass team routing → handled by main project
-          const { key: _boundKey, project: _boundProj } = _getBoundProject(chatId, liveCfg);
-          const _isTeamSlashCmd = trimmedText.startsWith('/') && !/^\/stop(\s|$)/i.test(trimmedText);
-          if (_boundProj && Array.isArray(_boundProj.team) && _boundProj.team.length > 0 && !_isTeamSlashCmd) {
-            if (threadRootId && !_stickyKey && _replyAgentKey) {
-              const _topicRootMember = _boundProj.team.find(m => m.key === _replyAgentKey);
-              if (_topicRootMember) {
-                _setSticky(_topicRootMember.key);
-                _stickyKey = _topicRootMember.key;
-                log('INFO', `Topic root mapping → sticky set: ${_chatKey.slice(-8)} → ${_topicRootMember.key}`);
-              }
-            }
+    const { createBot } = require('./matrix-adapter.js');
+    const bot = createBot({
+      homeserver: bridgeCfg.homeserver,
+      accessToken: bridgeCfg.access_token,
+      userId: bridgeCfg.user_id || null,
+    });
 
-            // ── /stop precise routing for team groups ──
-            const _stopMatch = trimmedText && trimmedText.match(/^\/stop(?:\s+(.+))?$/i);
-            if (_stopMatch) {
-              const _stopArg = (_stopMatch[1] || '').trim();
-              let _targetKey = null;
-              // Priority 1: quoted reply → stop that agent
-              if (_replyAgentKey) {
-                const m = _boundProj.team.find(t => t.key === _replyAgentKey);
-                if (m) _targetKey = m.key;
-              }
-              // Priority 2: /stop <nickname> → match team member (case-insensitive)
-              if (!_targetKey && _stopArg) {
-                const _sa = _stopArg.toLowerCase();
-                const m = _boundProj.team.find(t =>
-                  (t.nicknames || []).some(n => n.toLowerCase() === _sa) || (t.name && t.name.toLowerCase() === _sa) || t.key === _sa
-                );
-                if (m) _targetKey = m.key;
-              }
-              // Priority 3: bare /stop → sticky
-              if (!_targetKey && !_stopArg) _targetKey = _stickyKey;
-              if (_targetKey) {
-                const fallbackVid = isThreadChatId(String(pipelineChatId))
-                  ? `_agent_${_targetKey}::${pipelineChatId}`
-                  : `_agent_${_targetKey}`;
-                const vid = resolveReplyStopChatId(_targetKey, fallbackVid, _isQuotedReply ? _replyMapping : null);
-                const member = _boundProj.team.find(t => t.key === _targetKey);
-                const label = member ? `${member.icon || '🤖'} ${member.name}` : _targetKey;
-                pipeline.clearQueue(vid);
-                const stopped = pipeline.interruptActive(vid);
-                if (stopped) {
-                  await bot.sendMessage(pipelineChatId, `⏹ Stopping ${label}...`);
-                } else {
-                  await bot.sendMessage(pipelineChatId, `${label} 当前没有活跃任务`);
-                }
-                return;
-              }
-              // /stop <bad-nickname> → no match, report error instead of falling through
-              if (_stopArg) {
-                await bot.sendMessage(pipelineChatId, `❌ 未找到团队成员: ${_stopArg}`);
-                return;
-              }
-              // Bare /stop, no sticky set → fall through to handleCommand
-            }
+    try {
+      const me = await bot.whoami();
+      log('INFO', `Matrix bot connected: ${me.user_id}`);
+    } catch (e) {
+      log('ERROR', `Matrix bot auth failed: ${e.message}`);
+      return null;
+    }
 
-            // 0. Quoted reply → force route based on which agent sent the parent message.
-            // Cases:
-            //   a) agentKey = known team member → route to that member (set sticky)
-            //   b) agentKey = null, mapping found → user replied to main; clear sticky, route to main
-            //   c) parentId present, no mapping  → intent is explicit, avoid sticky; clear sticky, route to main
-            if (_isQuotedReply) {
-              if (_replyAgentKey) {
-                const member = _boundProj.team.find(m => m.key === _replyAgentKey);
-                if (member) {
-                  _setSticky(member.key);
-                  log('INFO', `Quoted reply → force route to ${_replyAgentKey} (sticky set)`);
-                  _dispatchToTeamMember(member, _boundProj, trimmedText, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
-                  return;
-                }
-                // agentKey set but not a current team member → fall through to main
-                log('INFO', `Quoted reply agentKey=${_replyAgentKey} not in team, routing to main`);
-              }
-              // Cases b & c: no agentKey (main agent) or stale/unknown agentKey
-              _clearSticky();
-              log('INFO', `Quoted reply → route to main (agentKey=${_replyAgentKey} mappingFound=${_replyMappingFound})`);
-              await pipeline.processMessage(_pipelineTarget.processChatId, trimmedText, {
-                bot: _pipelineTarget.bot,
-                config: liveCfg,
-                executeTaskByName,
-                senderId: acl.senderId,
-                readOnly: acl.readOnly,
-              });
-              return;
-            }
-            // 1. Explicit nickname → route + set sticky
-            const teamMatch = _findTeamMember(trimmedText, _boundProj.team);
-              if (teamMatch) {
-                  const { member, rest } = teamMatch;
-                  _setSticky(member.key);
-                  if (!rest) {
-                    // Pure nickname, no task — confirm member is online
-                    log('INFO', `Sticky set (pure nickname): ${_chatKey.slice(-8)} → ${member.key}`);
-                    bot.sendMarkdown(pipelineChatId, `${member.icon || '🤖'} **${member.name}** 在线`)
-                      .then((msg) => {
-                        if (msg && msg.message_id) {
-                          const _vidNick = isThreadChatId(String(pipelineChatId))
-                            ? `_agent_${member.key}::${pipelineChatId}`
-                            : `_agent_${member.key}`;
-                          trackBridgeReplyMapping(msg.message_id, inferSessionMapping(_vidNick, {
-                            agentKey: member.key,
-                            cwd: member.cwd || _boundProj.cwd,
-                            engine: member.engine || _boundProj.engine || 'claude',
-                          }));
-                        }
-                      })
-                      .catch(() => {});
-                    return;
-                  }
-                  log('INFO', `Sticky set: ${_chatKey.slice(-8)} → ${member.key}`);
-                  _dispatchToTeamMember(member, _boundProj, rest, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
-                  return;
-            }
+    let since = null;
+    let running = false;
+    let abortController = new AbortController();
+    let pollLoopActive = false;
+    let reconnectTimer = null;
+    let onInbound = null;
+
+    function toInbound(roomId, event) {
+      const content = event.content || {};
+      const relation = content['m.relates_to'] || {};
+      const base = { chatId: roomId, senderId: event.sender || null, messageId: event.event_id };
+
+      // Reactions on a button message are button presses.
+      if (event.type === 'm.reaction') {
+        if (relation.rel_type !== 'm.annotation') return null;
+        const data = bot.resolveReaction(roomId, relation.event_id, relation.key);
+        return data ? { ...base, kind: 'callback', text: data } : null;
+      }
+      if (event.type === 'm.room.encrypted') {
+        return { ...base, notice: '🔒 暂不支持端到端加密房间，请在未加密的房间里使用。' };
+      }
+      if (event.type !== 'm.room.message') return null;
+      // Edits of earlier messages would re-run them; only the original counts.
+      if (relation.rel_type === 'm.replace') return null;
+
+      const replyTo = relation['m.in_reply_to'] && relation['m.in_reply_to'].event_id;
+      const message = {
+        ...base,
+        threadId: relation.rel_type === 'm.thread' ? relation.event_id : null,
+        replyToMessageId: replyTo || null,
+        // Drop the quoted "> <@user> ..." fallback clients prepend to replies.
+        text: replyTo ? String(content.body || '').replace(/^(?:>.*\n)+\n?/, '') : String(content.body || ''),
+      };
+      const msgtype = content.msgtype;
+      if (msgtype === 'm.audio') {
+        if (!content.url) return { ...message, text: '', notice: '🔒 暂不支持加密附件。' };
+        return {
+          ...message,
+          text: '',
+          voice: {
+            name: path.basename(String(content.filename || content.body || `voice_${Date.now()}.ogg`)),
+            download: destPath => bot.downloadFile(content.url, destPath),
+          },
+          notice: '🎤 暂不支持语音消息，请发送文字。',
+        };
+      }
+      if (msgtype === 'm.file' || msgtype === 'm.image' || msgtype === 'm.video') {
+        if (!content.url) return { ...message, text: '', notice: '🔒 暂不支持加密附件。' };
+        const name = path.basename(String(content.filename || content.body || `matrix_${Date.now()}`));
+        return {
+          ...message,
+          // body doubles as the caption only when a separate filename is set
+          text: content.filename && content.body !== content.filename ? String(content.body || '') : '',
+          file: { name, download: destPath => bot.downloadFile(content.url, destPath) },
+        };
+      }
+      return message;
+    }
 
-            // 1.5. Main project nickname → clear sticky, route to main
-            const _mainNicks = Array.isArray(_boundProj.nicknames) ? _boundProj.nicknames : [];
-            const _trimLower = trimmedText.toLowerCase();
-            const _mainMatch = _mainNicks.find(n => _trimLower === n.toLowerCase() || _trimLower.startsWith(n.toLowerCase() + ' ') || _trimLower.startsWith(n.toLowerCase() + '，') || _trimLower.startsWith(n.toLowerCase() + ','));
-            if (_mainMatch) {
-              _clearSticky();
-              const rest = trimmedText.slice(_mainMatch.length).replace(/^[\s,，:：]+/, '');
-                  log('INFO', `Main nickname → cleared sticky, routing to main${rest ? ` (task: ${rest.slice(0, 30)})` : ''}`);
-                  if (!rest) {
-                    bot.sendMarkdown(pipelineChatId, `${_boundProj.icon || '🤖'} **${_boundProj.name}** 在线`)
-                      .then((msg) => {
-                        if (msg && msg.message_id) {
-                          trackBridgeReplyMapping(msg.message_id, inferSessionMapping(String(chatId), {
-                            agentKey: _boundKey || null,
-                            cwd: _boundProj.cwd,
-                            engine: _boundProj.engine || 'claude',
-                            logicalChatId: _boundKey ? `_bound_${_boundKey}` : String(chatId),
-                          }));
-                        }
-                      })
-                      .catch(() => {});
-                    return;
-                  }
-              try {
-                await pipeline.processMessage(_pipelineTarget.processChatId, rest, {
-                  bot: _pipelineTarget.bot,
-                  config: liveCfg,
-                  executeTaskByName,
-                  senderId: acl.senderId,
-                  readOnly: acl.readOnly,
-                });
-              } catch (e) {
-                log('ERROR', `Team main-route handleCommand failed: ${e.message}`);
-                bot.sendMessage(pipelineChatId, `❌ 执行失败: ${e.message}`).catch(() => {});
-              }
-              return;
-            }
+    // Invites are accepted from allowed_inviters, or into rooms already allowlisted.
+    async function acceptInvites(invites) {
+      const liveCfg = (loadConfig() || {}).matrix || bridgeCfg;
+      const inviters = (liveCfg.allowed_inviters || []).map(String);
+      const allowedRooms = (liveCfg.allowed_chat_ids || []).map(String);
+      for (const [roomId, invite] of Object.entries(invites || {})) {
+        const events = (invite.invite_state && invite.invite_state.events) || [];
+        const member = events.find(e => e.type === 'm.room.member' && e.state_key === bot.userId);
+        const inviter = member && member.sender;
+        if (!allowedRooms.includes(roomId) && !inviters.includes(inviter)) {
+          log('WARN', `Matrix: ignored invite to ${roomId} from ${inviter || 'unknown'}`);
+          continue;
+        }
+        try {
+          await bot.joinRoom(roomId);
+          log('INFO', `Matrix: joined ${roomId} (invited by ${inviter || 'unknown'})`);
+        } catch (e) {
+          log('WARN', `Matrix: join ${roomId} failed: ${e.message}`);
+        }
+      }
+    }
 
-            // 2. Sticky: no nickname given → route to last explicitly named member
-            if (_stickyKey) {
-              const member = _boundProj.team.find(m => m.key === _stickyKey);
-              if (member) {
-                if ((_st.team_sticky || {})[_chatKey] !== _stickyKey) {
-                  _setSticky(_stickyKey);
-                }
-                log('INFO', `Sticky route: → ${_stickyKey}`);
-                _dispatchToTeamMember(member, _boundProj, trimmedText, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
-                return;
+    const pollLoop = async (signal) => {
+      pollLoopActive = true;
+      try {
+        while (running && signal === abortController.signal) {
+          try {
+            // The first sync only records the stream position: history is not replayed.
+            const initial = since === null;
+            const res = await bot.sync(since, initial ? 0 : 30, signal);
+            since = res.next_batch || since;
+            const rooms = res.rooms || {};
+            await acceptInvites(rooms.invite);
+            if (initial) continue;
+            for (const [roomId, joined] of Object.entries(rooms.join || {})) {
+              const events = (joined.timeline && joined.timeline.events) || [];
+              for (const event of events) {
+                if (!event || event.sender === bot.userId) continue;
+                const message = toInbound(roomId, event);
+                if (message) onInbound(message);
               }
             }
-
-          }
-
-          try {
-            await pipeline.processMessage(_pipelineTarget.processChatId, text, {
-              bot: _pipelineTarget.bot,
-              config: liveCfg,
-              executeTaskByName,
-              senderId: acl.senderId,
-              readOnly: acl.readOnly,
-            });
           } catch (e) {
-            log('ERROR', `Feishu handleCommand failed for ${chatId}: ${e.message}`);
-            bot.sendMessage(pipelineChatId, `❌ 命令执行失败: ${e.message}`).catch(() => {});
+            if (e.message === 'aborted') break;
+            log('ERROR', `Matrix sync error: ${e.message}`);
+            await sleep(e.retryAfterMs || 5000);
           }
         }
-      }, { log: (lvl, msg) => log(lvl, msg) });
+      } finally {
+        pollLoopActive = false;
+      }
+    };
 
-      log('INFO', 'Feishu bot connected (WebSocket long connection)');
-      return { stop: () => receiver.stop(), bot, reconnect: () => receiver.reconnect(), isAlive: () => receiver.isAlive() };
-    } catch (e) {
-      log('ERROR', `Feishu bridge failed: ${e.message}`);
-      return null;
-    }
+    const startPoll = () => {
+      if (!running || pollLoopActive) return;
+      const signal = abortController.signal;
+      pollLoop(signal).catch(e => {
+        if (e.message === 'aborted') return;
+        log('ERROR', `Matrix pollLoop crashed: ${e.message} — restarting in 5s`);
+        if (running) setTimeout(startPoll, 5000);
+      });
+    };
+
+    return {
+      bot,
+      connect(handler) {
+        onInbound = handler;
+        running = true;
+        startPoll();
+      },
+      disconnect() {
+        running = false;
+        if (reconnectTimer) clearTimeout(reconnectTimer);
+        abortController.abort();
+      },
+      reconnect() {
+        if (!running) return;
+        if (reconnectTimer) clearTimeout(reconnectTimer);
+        try { abortController.abort(); } catch { /* ignore */ }
+        abortController = new AbortController();
+        reconnectTimer = setTimeout(() => {
+          reconnectTimer = null;
+          startPoll();
+        }, 150);
+      },
+      isAlive() {
+        return running && (pollLoopActive || !abortController.signal.aborted);
+      },
+    };
   }
 
-  // ── iMessage Bridge ─────────────────────────────────────────────────────────
-  async function startImessageBridge(config, executeTaskByName) {
-    const cfg = config.imessage || {};
-    if (!cfg.enabled) return null;
+  // ── iMessage ───────────────────────────────────────────────────────────────
+  function createImessageTransport(cfg) {
     if (!imessageIO) { log('WARN', '[IMESSAGE] daemon-siri-imessage module not found'); return null; }
     if (!imessageIO.isAvailable()) { log('WARN', '[IMESSAGE] chat.db not found — bridge disabled'); return null; }
 
@@ -1162,7 +474,8 @@ function createBridgeStarter(deps) {
 
     let lastRowId  = imessageIO.getMaxRowId();
     let processing = false;
-    let running    = true;
+    let running    = false;
+    let timer = null;
 
     // Per-chat persistent bot instances (preserve state across polls)
     const chatBots = new Map();
@@ -1193,16 +506,22 @@ function createBridgeStarter(deps) {
       return chatBots.get(chatTarget);
     };
 
-    log('INFO', `[IMESSAGE] Bridge started (poll=${pollMs}ms, self=${selfId}, lastRowId=${lastRowId})`);
+    // One send side for the router; each chat keeps its own buffered bot.
+    const bot = {
+      suppressAck: true,
+      sendMessage: (chatId, text) => getBot(chatId).sendMessage(chatId, text),
+      sendMarkdown: (chatId, text) => getBot(chatId).sendMarkdown(chatId, text),
+      editMessage: (chatId, messageId, text) => getBot(chatId).editMessage(chatId, messageId, text),
+      deleteMessage: async () => false,
+      sendTyping: async () => {},
+    };
 
-    const timer = setInterval(async () => {
+    function poll(onInbound) {
       if (!running || processing) return;
       processing = true;
       try {
         const rows = imessageIO.queryNewMessages(lastRowId);
-        if (!rows) { processing = false; return; }
-
-        for (const row of rows.split('\n').filter(Boolean)) {
+        for (const row of String(rows || '').split('\n').filter(Boolean)) {
           const parts = row.split('\t');
           const rowId = parseInt(parts[0], 10);
           const text = (parts[1] || '').trim();
@@ -1226,140 +545,50 @@ function createBridgeStarter(deps) {
             continue;
           }
 
-          const chatId = chatTarget;
-          const liveCfg = loadConfig();
-          const bot = getBot(chatTarget);
-
           // Echo fingerprint check — skip if this text matches something we recently sent
-          if (bot.isEcho && bot.isEcho(text)) {
+          const chatBot = getBot(chatTarget);
+          if (chatBot.isEcho && chatBot.isEcho(text)) {
             log('INFO', `[IMESSAGE] Skipped echo: "${text.slice(0, 40)}"`);
             continue;
           }
 
-          const trimmedText = text.trim();
-          let commandText = text;
-
           log('INFO', `[IMESSAGE] Received chat=${chatTarget} sender=${sender || 'unknown'} name=${chatName || '-'}: "${text.slice(0, 60)}"`);
-
-          const acl = await applyUserAcl({
-            bot,
-            chatId,
-            text,
-            config: liveCfg,
-            senderId: sender,
-            bypassAcl: false,
-          });
-          if (acl.blocked) continue;
-
-          const { project: _boundProj } = _getBoundProject(chatId, liveCfg);
-          const _isTeamSlashCmd = trimmedText.startsWith('/') && !/^\/stop(\s|$)/i.test(trimmedText);
-          const _st = loadState();
-          const _chatKey = String(chatId);
-          const _setSticky = (key) => {
-            if (!_st.team_sticky) _st.team_sticky = {};
-            _st.team_sticky[_chatKey] = key;
-            saveState(_st);
-          };
-          const _clearSticky = () => {
-            if (_st.team_sticky) delete _st.team_sticky[_chatKey];
-            saveState(_st);
-          };
-          const _stickyKey = (_st.team_sticky || {})[_chatKey] || null;
-
-          if (_boundProj && Array.isArray(_boundProj.team) && _boundProj.team.length > 0 && !_isTeamSlashCmd) {
-            const _stopMatch = trimmedText.match(/^\/stop(?:\s+(.+))?$/i);
-            if (_stopMatch) {
-              const _stopArg = (_stopMatch[1] || '').trim();
-              let _targetKey = null;
-              if (_stopArg) {
-                const _sa = _stopArg.toLowerCase();
-                const m = _boundProj.team.find(t =>
-                  (t.nicknames || []).some(n => n.toLowerCase() === _sa) || (t.name && t.name.toLowerCase() === _sa) || t.key === _sa
-                );
-                if (m) _targetKey = m.key;
-              }
-              if (!_targetKey && !_stopArg) _targetKey = _stickyKey;
-              if (_targetKey) {
-                const vid = `_agent_${_targetKey}`;
-                const member = _boundProj.team.find(t => t.key === _targetKey);
-                const label = member ? `${member.icon || '🤖'} ${member.name}` : _targetKey;
-                pipeline.clearQueue(vid);
-                const stopped = pipeline.interruptActive(vid);
-                if (stopped) {
-                  await bot.sendMessage(chatId, `Stopping ${label}...`);
-                } else {
-                  await bot.sendMessage(chatId, `${label} 当前没有活跃任务`);
-                }
-                continue;
-              }
-              if (_stopArg) {
-                await bot.sendMessage(chatId, `未找到团队成员: ${_stopArg}`);
-                continue;
-              }
-            }
-
-            const teamMatch = _findTeamMember(trimmedText, _boundProj.team);
-            if (teamMatch) {
-              const { member, rest } = teamMatch;
-              _setSticky(member.key);
-              if (!rest) {
-                await bot.sendMessage(chatId, `${member.icon || '🤖'} ${member.name} 在线`);
-                continue;
-              }
-              log('INFO', `[IMESSAGE] Team route ${chatId} -> ${member.key}`);
-              _dispatchToTeamMember(member, _boundProj, rest, liveCfg, bot, chatId, executeTaskByName, acl);
-              continue;
-            }
-
-            const _mainNicks = Array.isArray(_boundProj.nicknames) ? _boundProj.nicknames : [];
-            const _trimLower = trimmedText.toLowerCase();
-            const _mainMatch = _mainNicks.find(n =>
-              _trimLower === n.toLowerCase()
-              || _trimLower.startsWith(n.toLowerCase() + ' ')
-              || _trimLower.startsWith(n.toLowerCase() + '，')
-              || _trimLower.startsWith(n.toLowerCase() + ',')
-            );
-            if (_mainMatch) {
-              _clearSticky();
-              const rest = trimmedText.slice(_mainMatch.length).replace(/^[\s,，:：]+/, '');
-              if (!rest) {
-                await bot.sendMessage(chatId, `${_boundProj.icon || '🤖'} ${_boundProj.name || 'Agent'} 在线`);
-                continue;
-              }
-              commandText = rest;
-            } else if (_stickyKey) {
-              const member = _boundProj.team.find(m => m.key === _stickyKey);
-              if (member) {
-                log('INFO', `[IMESSAGE] Sticky route ${chatId} -> ${member.key}`);
-                _dispatchToTeamMember(member, _boundProj, trimmedText, liveCfg, bot, chatId, executeTaskByName, acl);
-                continue;
-              }
-            }
-          }
-
-          pipeline.processMessage(chatId, commandText, { bot, config: liveCfg, executeTaskByName, senderId: sender, readOnly: false })
-            .catch(e => log('ERROR', `[IMESSAGE] handleCommand error: ${e.message}`));
+          onInbound({ chatId: chatTarget, text, senderId: sender });
         }
       } catch (e) {
         log('WARN', `[IMESSAGE] poll error: ${e.message}`);
       }
       processing = false;
-    }, pollMs);
+    }
 
     return {
-      stop: () => { running = false; clearInterval(timer); },
-      bot: imessageIO.createImessageBot(selfId, log),
+      bot,
+      connect(onInbound) {
+        running = true;
+        timer = setInterval(() => poll(onInbound), pollMs);
+        log('INFO', `[IMESSAGE] Bridge started (poll=${pollMs}ms, self=${selfId}, lastRowId=${lastRowId})`);
+      },
+      disconnect() {
+        running = false;
+        clearInterval(timer);
+      },
     };
   }
 
-  // ── Siri HTTP Bridge ────────────────────────────────────────────────────────
-  function startSiriBridge(config, executeTaskByName) {
+  // ── Siri HTTP / OpenAI API / Weixin (self-managed loops) ─────────────────────────────────
+  function startSiri({ config, executeTaskByName }) {
     if (!siriBridgeMod) { log('WARN', '[SIRI] daemon-siri-bridge module not found'); return null; }
-    const bridge = siriBridgeMod.createSiriBridge({ log, loadConfig, handleCommand });
+    const bridge = siriBridgeMod.createSiriBridge({ log, loadConfig, handleCommand, voice });
     return bridge.startSiriBridge(config, executeTaskByName);
   }
 
-  function startWeixinBridge(config, executeTaskByName) {
+  function startOpenAiApi({ config, executeTaskByName }) {
+    if (!openAiApiMod) { log('WARN', '[OPENAI-API] daemon-openai-api module not found'); return null; }
+    const api = openAiApiMod.createOpenAiApi({ log, loadConfig, handleCommand });
+    return api.startOpenAiApi(config, executeTaskByName);
+  }
+
+  function startWeixin({ config, executeTaskByName }) {
     if (!weixinBridgeMod) { log('WARN', '[WEIXIN] daemon-weixin-bridge module not found'); return null; }
     const bridge = weixinBridgeMod.createWeixinBridge({
       HOME,
@@ -1371,7 +600,132 @@ function createBridgeStarter(deps) {
     return bridge.startWeixinBridge(config, executeTaskByName);
   }
 
-  return { startTelegramBridge, startFeishuBridge, startWeixinBridge, startImessageBridge, startSiriBridge };
+  const builtinPlugins = [
+    {
+      descriptor: { id: 'telegram', displayName: 'Telegram', capabilities: ['receive', 'send', 'edit', 'buttons', 'files'] },
+      createTransport: createTelegramTransport,
+    },
+    {
+      descriptor: { id: 'feishu', displayName: 'Feishu', capabilities: ['receive', 'send', 'edit', 'buttons', 'files', 'threads'] },
+      // Anyone who can speak in an allowlisted Feishu group is trusted (implicit admin).
+      routing: { trustAllowedChats: true },
+      createTransport: createFeishuTransport,
+    },
+    {
+      descriptor: { id: 'matrix', displayName: 'Matrix', capabilities: ['receive', 'send', 'edit', 'buttons', 'files', 'threads'] },
+      createTransport: createMatrixTransport,
+    },
+    {
+      descriptor: { id: 'imessage', displayName: 'iMessage', capabilities: ['receive', 'send', 'edit'] },
+      // allowed_senders / allowed_chat_ids are filters applied while polling chat.db.
+      routing: { authorizedByTransport: true },
+      createTransport: createImessageTransport,
+    },
+    {
+      descriptor: { id: 'siri', displayName: 'Siri', configKey: 'siri_bridge', capabilities: ['receive', 'send'] },
+      start: startSiri,
+    },
+    {
+      descriptor: { id: 'openai', displayName: 'OpenAI API', configKey: 'openai_api', capabilities: ['receive', 'send'] },
+      start: startOpenAiApi,
+    },
+    {
+      descriptor: { id: 'weixin', displayName: 'Weixin', capabilities: ['receive', 'send'] },
+      start: startWeixin,
+    },
+  ].map(spec => createBridgePlugin({ protocolVersion: BRIDGE_PLUGIN_PROTOCOL_VERSION, ...spec }));
+  registry = createBridgeRegistry(bridgePlugins || builtinPlugins);
+  let localPluginsLoaded = false;
+
+  /**
+   * Start one registered bridge if its config section is enabled.
+   * Returns the bridge handle ({ bot, stop, reconnect?, isAlive? }) or null.
+   */
+  async function startBridge(id, config, executeTaskByName) {
+    const plugin = registry.lookup(id);
+    if (!plugin) {
+      log('WARN', `[BRIDGE] unknown bridge "${id}"`);
+      return null;
+    }
+    const { displayName, configKey, capabilities } = plugin.descriptor;
+    const bridgeCfg = config[configKey];
+    if (!bridgeCfg || !bridgeCfg.enabled) return null;
+    const ctx = { config, bridgeConfig: bridgeCfg, executeTaskByName, HOME, log, sleep, loadConfig };
+    if (plugin.start) return plugin.start(ctx);
+
+    let transport;
+    try {
+      transport = await plugin.createTransport(bridgeCfg, ctx);
+      if (!transport) return null;
+      assertBridgeTransport(transport, ['send']);
+    } catch (e) {
+      log('ERROR', `${displayName} bridge failed: ${e.message}`);
+      return null;
+    }
+    for (const problem of checkBridgeTransport(transport, capabilities)) {
+      log('WARN', `${displayName} bridge: ${problem}`);
+    }
+
+    const routeOptions = { ...plugin.routing, configKey, label: displayName, executeTaskByName };
+    const onInbound = (raw) => {
+      let message;
+      try {
+        message = normalizeInboundMessage(raw);
+      } catch (e) {
+        log('WARN', `${displayName}: dropped inbound message (${e.message})`);
+        return Promise.resolve();
+      }
+      return inbound.route(transport.bot, message, routeOptions)
+        .catch(e => log('ERROR', `${displayName} handler error: ${e.message}`));
+    };
+    try {
+      await transport.connect(onInbound);
+    } catch (e) {
+      log('ERROR', `${displayName} bridge failed: ${e.message}`);
+      return null;
+    }
+    return {
+      id: plugin.descriptor.id,
+      bot: transport.bot,
+      stop: () => transport.disconnect(),
+      ...(typeof transport.reconnect === 'function' ? { reconnect: () => transport.reconnect() } : {}),
+      ...(typeof transport.isAlive === 'function' ? { isAlive: () => transport.isAlive() } : {}),
+    };
+  }
+
+  /** Register trusted local plugins from `bridges.plugins` (once per daemon). */
+  function loadLocalPlugins(config) {
+    if (localPluginsLoaded) return;
+    localPluginsLoaded = true;
+    loadLocalBridgePlugins(registry, config, { HOME, path, log });
+  }
+
+  /**
+   * Load local plugins, then start every enabled bridge in registration
+   * order. Returns Map id → handle (running bridges only).
+   */
+  async function startBridges(config, executeTaskByName) {
+    loadLocalPlugins(config);
+    const handles = new Map();
+    for (const plugin of registry.list()) {
+      const handle = await startBridge(plugin.descriptor.id, config, executeTaskByName);
+      if (handle) handles.set(plugin.descriptor.id, handle);
+    }
+    return handles;
+  }
+
+  return {
+    startBridge,
+    startBridges,
+    loadLocalPlugins,
+    registry,
+    startTelegramBridge: (config, executeTaskByName) => startBridge('telegram', config, executeTaskByName),
+    startFeishuBridge: (config, executeTaskByName) => startBridge('feishu', config, executeTaskByName),
+    startWeixinBridge: (config, executeTaskByName) => startBridge('weixin', config, executeTaskByName),
+    startMatrixBridge: (config, executeTaskByName) => startBridge('matrix', config, executeTaskByName),
+    startImessageBridge: (config, executeTaskByName) => startBridge('imessage', config, executeTaskByName),
+    startSiriBridge: (config, executeTaskByName) => startBridge('siri', config, executeTaskByName),
+  };
 }
 
-module.exports = { createBridgeStarter };
+module.exports = { createBridgeStarter, BUILTIN_BRIDGE_IDS };
@@ -10,8 +10,15 @@ const {
   ENGINE_MODEL_CONFIG,
 } = require('./daemon-engine-runtime');
 const { rawChatId } = require('./core/thread-chat-id');
-const { resolveScopedEngine, fallbackForUnavailableRuntime } = require('./core/engine-policy');
+const {
+  resolveScopedEngine,
+  fallbackForUnavailableRuntime,
+  classifyEngineFailure,
+  resolveEngineFallbackChain,
+  planEngineFailover,
+} = require('./core/engine-policy');
 const { isExperimentalEngineName } = require('./core/engine-descriptors');
+const { isKnownEngineName } = require('./daemon-utils');
 const { createClaudeSessionSourceForFile } = require('./engines/claude-session-source-adapter');
 const { buildAgentContextForEngine, buildMemorySnapshotContent, selectSnapshotContext, refreshMemorySnapshot } = require('./agent-layer');
 const {
@@ -24,6 +31,7 @@ const {
   composePrompt,
 } = require('./daemon-prompt-context');
 const { buildDispatchResponseCard } = require('./daemon-dispatch-cards');
+const { recordSessionLineage } = require('./session-lineage');
 const { createPlatformSpawn, terminateChildProcess, stopStreamingLifecycle, abortStreamingChildLifecycle, setActiveChildProcess, clearActiveChildProcess, acquireStreamingChild, buildStreamingResult, resolveStreamingClosePayload, accumulateStreamingStderr, splitStreamingStdoutChunk, buildStreamFlushPayload, buildToolOverlayPayload, buildMilestoneOverlayPayload, finalizePersistentStreamingTurn, writeStreamingChildInput, parseStreamingEvents, applyStreamingMetadata, applyStreamingToolState, applyStreamingContentState, createStreamingWatchdog, runAsyncCommand } = require('./core/handoff');
 
 /**
@@ -112,6 +120,9 @@ function createClaudeEngine(deps) {
     getEngineRuntime: injectedGetEngineRuntime,
     getDefaultEngine: _getDefaultEngine,
     warmPool,
+    approvalGate = null,
+    attachmentStore = null,
+    prepareHandoff = (...args) => require('./session-handoff').prepareHandoff(...args),
   } = deps;
   function getDefaultEngine() {
     return (typeof _getDefaultEngine === 'function') ? _getDefaultEngine() : 'claude';
@@ -213,6 +224,98 @@ function createClaudeEngine(deps) {
     }
   }
 
+  const FAILOVER_REASON_LABELS = Object.freeze({
+    RATE_LIMIT: '额度或频率受限',
+    NOT_INSTALLED: '不可用',
+    CAPABILITY_UNSUPPORTED: '不可用',
+    RUNTIME_NOT_READY: '未就绪',
+    CRASH: '进程异常退出',
+  });
+
+  function failoverReasonLabel(reason) {
+    const code = String(reason || '');
+    if (/AUTH_REQUIRED$/.test(code)) return '认证失效';
+    if (/NOT_INSTALLED$/.test(code)) return FAILOVER_REASON_LABELS.NOT_INSTALLED;
+    if (/(?:EXEC_FAILURE|CRASHED)$/.test(code)) return FAILOVER_REASON_LABELS.CRASH;
+    return FAILOVER_REASON_LABELS[code] || code;
+  }
+
+  // Failover candidates are resolved through the engine registry (registered,
+  // enabled, runtime ready); without one, only built-in engine ids qualify.
+  function isFailoverEngineAvailable(engineId) {
+    const registry = injectedGetEngineRuntime && injectedGetEngineRuntime.registry;
+    let plugin = null;
+    if (registry && typeof registry.resolve === 'function') {
+      plugin = registry.resolve(engineId).plugin;
+    } else if (isKnownEngineName(engineId)) {
+      try { plugin = getEnginePlugin(engineId); } catch { plugin = null; }
+    }
+    const runtime = plugin && plugin.runtime;
+    return !!runtime && !(typeof runtime.isReady === 'function' && !runtime.isReady());
+  }
+
+  /**
+   * Decide how a failed turn continues under `engine_fallback`. Returns the
+   * `failover` option for the next askClaude attempt, or null when the error
+   * should reach the user. A fresh target slot is seeded with a handoff packet
+   * of the failed session so the fallback engine keeps the thread.
+   */
+  async function planTurnFailover({ failover, engineName, failure, boundProjectKey, boundProject, daemonCfg, sessionChatId, effectiveCwd, session }) {
+    const primary = failover ? failover.primary : engineName;
+    const tried = failover ? failover.tried : [];
+    const crashes = failover && failover.engine === engineName ? failover.crashes : 0;
+    const chain = resolveEngineFallbackChain({
+      primary,
+      projectKey: boundProjectKey || '',
+      project: boundProject,
+      daemonCfg,
+      defaultEngine: getDefaultEngine(),
+      isAvailable: isFailoverEngineAvailable,
+    });
+    if (chain.length === 0) return null;
+    const plan = planEngineFailover({ failure, engine: engineName, chain, tried, crashes });
+    if (plan.action === 'stop') return null;
+
+    const label = failoverReasonLabel(plan.reason);
+    if (plan.action === 'retry') {
+      return {
+        primary,
+        engine: engineName,
+        tried,
+        crashes: crashes + 1,
+        notice: `⚠️ ${engineName} ${label}，已自动重试。`,
+      };
+    }
+
+    const target = resolveSessionForEngine(sessionChatId, plan.engine);
+    if (!target || !target.started) {
+      createSession(sessionChatId, effectiveCwd, boundProject && boundProject.name ? boundProject.name : '', plan.engine);
+      if (session && session.started && session.id) {
+        try {
+          const handoff = await prepareHandoff(session.id, { engine: engineName, cwd: effectiveCwd, home: HOME, toEngine: plan.engine });
+          await patchSessionSerialized(sessionChatId, (cur) => {
+            const engines = { ...(cur.engines || {}) };
+            engines[plan.engine] = {
+              ...(engines[plan.engine] || {}),
+              compactContext: handoff.text,
+              handoffFrom: { engine: handoff.engineId, id: handoff.sessionId, at: new Date().toISOString() },
+            };
+            return { ...cur, engines };
+          });
+        } catch (e) {
+          log('WARN', `[FAILOVER] handoff packet for ${session.id.slice(0, 8)} unavailable: ${e.message}`);
+        }
+      }
+    }
+    return {
+      primary,
+      engine: plan.engine,
+      tried: [...tried, engineName],
+      crashes: 0,
+      notice: `⚠️ ${engineName} ${label}，本次已自动切换到 ${plan.engine} 回复。`,
+    };
+  }
+
   function runtimeSupportsWarmPool(runtime) {
     if (runtime && runtime.capabilities && typeof runtime.capabilities.warmPool === 'boolean') {
       return runtime.capabilities.warmPool;
@@ -457,6 +560,7 @@ function createClaudeEngine(deps) {
     const agentMap = {
       ...(cfg.telegram ? cfg.telegram.chat_agent_map || {} : {}),
       ...(cfg.feishu ? cfg.feishu.chat_agent_map || {} : {}),
+      ...(cfg.matrix ? cfg.matrix.chat_agent_map || {} : {}),
       ...(cfg.imessage ? cfg.imessage.chat_agent_map || {} : {}),
     };
     const boundKey = agentMap[chatIdStr] || agentMap[rawChatId(chatIdStr)] || projectKeyFromVirtualChatId(chatIdStr);
@@ -1123,7 +1227,12 @@ function createClaudeEngine(deps) {
     return loadConfig();
   }
 
-  async function askClaude(bot, chatId, prompt, config, readOnly = false, senderId = null) {
+  /**
+   * @param {object} [askOptions]
+   * @param {object} [askOptions.failover] - set by planTurnFailover() when this
+   *   attempt retries a failed turn: `{ primary, engine, tried, crashes, notice }`
+   */
+  async function askClaude(bot, chatId, prompt, config, readOnly = false, senderId = null, askOptions = {}) {
     const _t0 = Date.now();
     log('INFO', `askClaude for ${chatId}: ${prompt.slice(0, 50)}`);
 
@@ -1163,6 +1272,7 @@ function createClaudeEngine(deps) {
     const _ackAgentMap = {
       ...(config.telegram ? config.telegram.chat_agent_map || {} : {}),
       ...(config.feishu ? config.feishu.chat_agent_map || {} : {}),
+      ...(config.matrix ? config.matrix.chat_agent_map || {} : {}),
       ...(config.imessage ? config.imessage.chat_agent_map || {} : {}),
     };
     const _ackBoundKey = _ackAgentMap[_ackChatIdStr] || _ackAgentMap[rawChatId(_ackChatIdStr)] || projectKeyFromVirtualChatId(_ackChatIdStr);
@@ -1226,6 +1336,7 @@ function createClaudeEngine(deps) {
       const _strictAgentMap = {
         ...(config.telegram ? config.telegram.chat_agent_map : {}),
         ...(config.feishu ? config.feishu.chat_agent_map : {}),
+        ...(config.matrix ? config.matrix.chat_agent_map : {}),
         ...(config.imessage ? config.imessage.chat_agent_map : {}),
       };
       const _isStrictChatSession = !!(_strictAgentMap[String(chatId)] || _strictAgentMap[rawChatId(String(chatId))] || projectKeyFromVirtualChatId(String(chatId)));
@@ -1262,6 +1373,7 @@ function createClaudeEngine(deps) {
       const chatAgentMap = {
         ...(config.telegram ? config.telegram.chat_agent_map : {}),
         ...(config.feishu ? config.feishu.chat_agent_map : {}),
+        ...(config.matrix ? config.matrix.chat_agent_map : {}),
         ...(config.imessage ? config.imessage.chat_agent_map : {}),
       };
       const boundProjectKey = chatAgentMap[chatIdStr] || chatAgentMap[rawChatId(chatIdStr)] || projectKeyFromVirtualChatId(chatIdStr);
@@ -1304,6 +1416,14 @@ function createClaudeEngine(deps) {
         enginePlugin = getEnginePlugin(engineName);
         runtime = enginePlugin && enginePlugin.runtime;
       }
+      const failover = askOptions && askOptions.failover ? askOptions.failover : null;
+      if (failover && failover.engine && failover.engine !== engineName) {
+        log('WARN', `[FAILOVER] ${boundProjectKey || chatId}: ${engineName} -> ${failover.engine}`);
+        engineName = failover.engine;
+        boundEngineName = engineName;
+        enginePlugin = getEnginePlugin(engineName);
+        runtime = enginePlugin && enginePlugin.runtime;
+      }
       const runtimeCapability = enginePlugin && enginePlugin.descriptor
         && enginePlugin.descriptor.capabilities
         ? enginePlugin.descriptor.capabilities.runtime
@@ -1399,9 +1519,35 @@ function createClaudeEngine(deps) {
         }
       }
 
+      // Remote approval (approval_policy): gated projects get a PreToolUse hook
+      // bound to this chat. A warm process spawned under another binding would
+      // keep the old hook (or none), so it is released first.
+      const _warmSessionKey = sessionChatId;
+      const approval = approvalGate && !readOnly
+        ? approvalGate.bind({ chatId, sessionChatId, projectKey: boundProjectKey || '', bot, config, senderId: normalizeSenderId(senderId) || null })
+        : null;
+      if (approval && approval.changed && warmPool) warmPool.releaseWarm(_warmSessionKey);
+      // Only claude has a PreToolUse hook; any other engine would run the
+      // gated project's tools unapproved, so the turn is refused instead.
+      if (approval && approval.gated && engineName !== 'claude') {
+        clearInterval(typingTimer);
+        const pending = activeProcesses.get(chatId);
+        if (pending && pending.child === null) {
+          activeProcesses.delete(chatId);
+          saveActivePids();
+        }
+        log('WARN', `[APPROVAL] refusing ${engineName} turn for ${boundProjectKey || chatId}: approval_policy is only enforceable on claude`);
+        const errorCode = 'APPROVAL_UNSUPPORTED';
+        const error = `${engineName}_approval_unsupported`;
+        await bot.sendMessage(chatId, `⛔ 该项目开启了远程审批（approval_policy），但 ${engineName} 不支持逐次审批工具调用，已拒绝执行。请切换到 claude，或用只读身份提问。`).catch(() => { });
+        return { ok: false, error, errorCode };
+      }
+      const approvalTurnOptions = approval && approval.gated
+        ? { approvalSettings: approval.settings, approvalEnv: approval.env }
+        : {};
+
       // Warm pool: check if a persistent process is available for this session (Claude only).
       // Declared early so downstream logic can skip expensive operations when reusing warm process.
-      const _warmSessionKey = sessionChatId;
       const _warmEntry = (warmPool && runtimeSupportsWarmPool(runtime))
         ? warmPool.acquireWarm(_warmSessionKey)
         : null;
@@ -1528,6 +1674,7 @@ function createClaudeEngine(deps) {
       const _agentMap0 = {
         ...(config.telegram ? config.telegram.chat_agent_map : {}),
         ...(config.feishu ? config.feishu.chat_agent_map : {}),
+        ...(config.matrix ? config.matrix.chat_agent_map : {}),
         ...(config.imessage ? config.imessage.chat_agent_map : {}),
       };
       const projectKey = _agentMap0[_cid0] || _agentMap0[rawChatId(_cid0)] || projectKeyFromVirtualChatId(_cid0);
@@ -1821,6 +1968,12 @@ function createClaudeEngine(deps) {
         recallHint: _askState.recallHint,
         langGuard,
       });
+      // Stored chat attachments the prompt refers to: images ride along natively
+      // when the runtime declares imageInput, otherwise extracted text is appended.
+      const { prompt: turnPrompt, images: attachmentImages } = attachmentStore
+        ? await attachmentStore.prepareTurn({ prompt: fullPrompt, imageInput: !!(runtime.capabilities && runtime.capabilities.imageInput === true) })
+        : { prompt: fullPrompt, images: [] };
+      const attachmentTurnOptions = attachmentImages.length > 0 ? { images: attachmentImages } : {};
       if (engineName === 'codex' && session.started && session.id && requestedCodexPermissionProfile) {
         const actualPermissionProfile = getActualCodexPermissionProfile(session);
         if (codexNeedsFallbackForRequestedPermissions(actualPermissionProfile, requestedCodexPermissionProfile)) {
@@ -1842,6 +1995,8 @@ function createClaudeEngine(deps) {
         permissionProfile: engineName === 'codex' ? requestedCodexPermissionProfile : null,
         metameProject: boundProjectKey || '',
         metameSenderId: normalizeSenderId(senderId),
+        ...approvalTurnOptions,
+        ...attachmentTurnOptions,
       };
 
       // The selected adapter owns its native context projection.
@@ -1872,6 +2027,8 @@ function createClaudeEngine(deps) {
       const onStatus = async (status) => {
         try {
           if (typeof status !== 'string') return;
+          // Collector bots (HTTP APIs) take the raw stream payloads before any card editing.
+          if (typeof bot.onStream === 'function') bot.onStream(status);
 
           // __STREAM_TEXT__: streamed model text — edit card and track for final dedup
           if (status.startsWith('__STREAM_TEXT__')) {
@@ -1934,8 +2091,23 @@ function createClaudeEngine(deps) {
           const actualPermissionProfile = engineName === 'codex'
             ? (getActualCodexPermissionProfile({ id: safeNextId }) || requestedCodexPermissionProfile)
             : null;
+          // A /handoff slot carries its origin until the engine reports the
+          // real session id; from then on the link lives in session_lineage.json.
+          const { handoffFrom, ...slot } = engines[engineName] || {};
+          if (handoffFrom && handoffFrom.id) {
+            try {
+              recordSessionLineage(safeNextId, {
+                engine: engineName,
+                parentEngine: handoffFrom.engine,
+                parentId: handoffFrom.id,
+                at: handoffFrom.at,
+              }, { home: HOME });
+            } catch (e) {
+              log('WARN', `[HANDOFF] lineage not recorded for ${safeNextId.slice(0, 8)}: ${e.message}`);
+            }
+          }
           engines[engineName] = {
-            ...(engines[engineName] || {}),
+            ...slot,
             id: safeNextId,
             started: true,
             ...((engineName === 'codex' || engineName === 'agy') ? { runtimeSessionObserved: true } : {}),
@@ -1996,7 +2168,7 @@ function createClaudeEngine(deps) {
           sessionId,
         } = await runNativeCliTurn(
           enginePlugin,
-          { ...turnOptions, input: fullPrompt },
+          { ...turnOptions, input: turnPrompt },
           {
             onStatus,
             timeoutMs: 600000,
@@ -2039,7 +2211,7 @@ function createClaudeEngine(deps) {
               ? getSessionRecentContext(previousSessionId)
               : null;
             const freshRetryPrompt = buildCodexFallbackBridgePrompt({
-              fullPrompt,
+              fullPrompt: turnPrompt,
               previousSessionId,
               previousProfile: normalizeComparableCodexPermissionProfile(observedRuntimeProfile),
               requestedProfile: requestedCodexPermissionProfile,
@@ -2064,6 +2236,7 @@ function createClaudeEngine(deps) {
                 permissionProfile: requestedCodexPermissionProfile,
                 metameProject: boundProjectKey || '',
                 metameSenderId: normalizeSenderId(senderId),
+                ...attachmentTurnOptions,
                 input: freshRetryPrompt,
               },
               { onStatus, timeoutMs: 600000, chatId, onSession },
@@ -2108,7 +2281,7 @@ function createClaudeEngine(deps) {
               requestedCodexPermissionProfile
             );
           }
-          const retryPrompt = `${resumeFailure.retryPromptPrefix}\n\n${fullPrompt}`;
+          const retryPrompt = `${resumeFailure.retryPromptPrefix}\n\n${turnPrompt}`;
           ({
             output,
             error,
@@ -2128,6 +2301,8 @@ function createClaudeEngine(deps) {
               permissionProfile: requestedCodexPermissionProfile,
               metameProject: boundProjectKey || '',
               metameSenderId: normalizeSenderId(senderId),
+              ...approvalTurnOptions,
+              ...attachmentTurnOptions,
               input: retryPrompt,
             },
             { onStatus, timeoutMs: 600000, chatId, onSession },
@@ -2270,7 +2445,14 @@ function createClaudeEngine(deps) {
           cwd: session && session.cwd,
           homeDir: HOME,
         });
-        recordTokens(loadState(), estimated, { category: chatCategory });
+        recordTokens(loadState(), estimated, {
+          category: chatCategory,
+          agentKey: boundProjectKey || '',
+          engine: engineName,
+          model,
+          inputTokens: Math.ceil(prompt.length / 4),
+          outputTokens: Math.ceil(output.length / 4),
+        });
 
         // Parse [[FILE:...]] markers from output (Claude's explicit file sends)
         let { markedFiles, cleanOutput } = parseFileMarkers(output);
@@ -2279,6 +2461,9 @@ function createClaudeEngine(deps) {
         if (timedOut) {
           cleanOutput = `⚠️ **任务超时，以下是已完成的部分结果：**\n\n${cleanOutput}`;
         }
+        if (failover && failover.notice) {
+          cleanOutput = `${failover.notice}\n\n${cleanOutput}`;
+        }
 
         if (typeof bot.notifyFinalOutput === 'function') {
           try { await bot.notifyFinalOutput(cleanOutput); } catch { /* non-critical */ }
@@ -2527,7 +2712,9 @@ function createClaudeEngine(deps) {
               cwd: session.cwd,
               metameProject: boundProjectKey || '',
               metameSenderId: normalizeSenderId(senderId),
-              input: fullPrompt,
+              ...approvalTurnOptions,
+              ...attachmentTurnOptions,
+              input: turnPrompt,
             },
             { onStatus, timeoutMs: 600000, chatId, onSession },
           );
@@ -2550,6 +2737,24 @@ function createClaudeEngine(deps) {
             return { ok: false, error: retry.error || errMsg };
           }
         } else {
+          // Engine failover (engine_fallback): crash → one retry, quota/auth → next trusted engine.
+          const nextFailover = await planTurnFailover({
+            failover,
+            engineName,
+            failure: classifyEngineFailure({ errorCode, error: errMsg, timedOut }),
+            boundProjectKey,
+            boundProject,
+            daemonCfg,
+            sessionChatId,
+            effectiveCwd,
+            session,
+          });
+          if (nextFailover) {
+            log('WARN', `[FAILOVER] ${chatId}: ${engineName} failed (${errorCode || 'NO_CODE'}), next attempt on ${nextFailover.engine}`);
+            if (statusMsgId && bot.deleteMessage) await bot.deleteMessage(chatId, statusMsgId).catch(() => { });
+            if (warmPool && typeof warmPool.releaseWarm === 'function') warmPool.releaseWarm(sessionChatId);
+            return askClaude(bot, chatId, prompt, config, readOnly, senderId, { ...askOptions, failover: nextFailover });
+          }
           // Auto-fallback: if custom provider/model fails, revert to anthropic + opus (Claude path only)
           if (engineName === 'claude') {
             const activeProv = providerMod ? providerMod.getActiveName() : 'anthropic';
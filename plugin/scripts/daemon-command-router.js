@@ -32,6 +32,10 @@ function createCommandRouter(deps) {
     agentFlowTtlMs,
     getDefaultEngine,
     getDb,              // optional — () → DatabaseSync (for wiki commands)
+    attachmentStore = null, // optional — /files lists and clears per-chat uploads
+    raceManager = null,     // optional — /race best-of-N engine runs (daemon-race.js)
+    handleWorktreeCommand = null, // optional — /worktree merge-back (daemon-worktree-commands.js)
+    handleForgetCommand = null,   // optional — /forget memory erasure (daemon-forget-commands.js)
   } = deps;
 
 
@@ -170,6 +174,7 @@ function createCommandRouter(deps) {
     const existingMap = {
       ...(base.telegram ? base.telegram.chat_agent_map || {} : {}),
       ...(base.feishu ? base.feishu.chat_agent_map || {} : {}),
+      ...(base.matrix ? base.matrix.chat_agent_map || {} : {}),
       ...(base.imessage ? base.imessage.chat_agent_map || {} : {}),
       ...(base.siri_bridge ? base.siri_bridge.chat_agent_map || {} : {}),
     };
@@ -209,6 +214,7 @@ function createCommandRouter(deps) {
     const chatAgentMap = {
       ...(config && config.telegram ? config.telegram.chat_agent_map : {}),
       ...(config && config.feishu ? config.feishu.chat_agent_map : {}),
+      ...(config && config.matrix ? config.matrix.chat_agent_map : {}),
       ...(config && config.imessage ? config.imessage.chat_agent_map : {}),
       ...(config && config.siri_bridge ? config.siri_bridge.chat_agent_map : {}),
     };
@@ -261,6 +267,7 @@ function createCommandRouter(deps) {
     const map = {
       ...(cfg.telegram ? cfg.telegram.chat_agent_map : {}),
       ...(cfg.feishu ? cfg.feishu.chat_agent_map : {}),
+      ...(cfg.matrix ? cfg.matrix.chat_agent_map : {}),
       ...(cfg.imessage ? cfg.imessage.chat_agent_map : {}),
       ...(cfg.siri_bridge ? cfg.siri_bridge.chat_agent_map : {}),
     };
@@ -401,7 +408,9 @@ function createCommandRouter(deps) {
   // Explicit /agent commands still work through handleAgentCommand above.
 
   async function handleCommand(bot, chatId, text, config, executeTaskByName, senderId = null, readOnly = false, _meta = {}) {
-    if (text && !text.startsWith('/chatid') && !text.startsWith('/myid')) log('INFO', `CMD [${String(chatId).slice(-8)}]: ${text.slice(0, 80)}`);
+    // /forget arguments are what the user wants gone; keep them out of the log.
+    const loggedText = /^\/forget\s/i.test(text || '') ? '/forget …' : text;
+    if (text && !text.startsWith('/chatid') && !text.startsWith('/myid')) log('INFO', `CMD [${String(chatId).slice(-8)}]: ${loggedText.slice(0, 80)}`);
     const state = loadState();
 
     // --- /chatid: reply with current chatId ---
@@ -421,11 +430,12 @@ function createCommandRouter(deps) {
     }
 
     // --- chat_agent_map: auto-switch agent based on dedicated chatId ---
-    // Configure in daemon.yaml: feishu.chat_agent_map or telegram.chat_agent_map
+    // Configure in daemon.yaml: feishu / telegram / matrix .chat_agent_map
     //   e.g.  chat_agent_map: { "oc_xxx": "personal", "oc_yyy": "metame" }
     const chatAgentMap = {
       ...(config.telegram ? config.telegram.chat_agent_map : {}),
       ...(config.feishu ? config.feishu.chat_agent_map : {}),
+      ...(config.matrix ? config.matrix.chat_agent_map : {}),
       ...(config.imessage ? config.imessage.chat_agent_map : {}),
       ...(config.siri_bridge ? config.siri_bridge.chat_agent_map : {}),
     };
@@ -506,6 +516,30 @@ function createCommandRouter(deps) {
       if (await handleWikiCommand({ bot, chatId, text })) return;
     }
 
+    // /files — uploads kept for this chat (daemon-attachments.js)
+    if (attachmentStore && /^\/files(\s|$)/i.test(text)) {
+      const reply = attachmentStore.handleCommand({ text, chatId, readOnly });
+      if (reply !== null) {
+        await bot.sendMessage(chatId, reply);
+        return;
+      }
+    }
+
+    // /race — same task on several engines in parallel worktrees (daemon-race.js)
+    if (raceManager && /^\/race(\s|$)/i.test(text)) {
+      if (await raceManager.handleCommand({ bot, chatId, text, senderId, readOnly })) return;
+    }
+
+    // /worktree — land agent branches (daemon-worktree-commands.js)
+    if (handleWorktreeCommand && /^\/worktrees?(\s|$)/i.test(text)) {
+      if (await handleWorktreeCommand({ bot, chatId, text, senderId, readOnly })) return;
+    }
+
+    // /forget — erase memories with a preview and a signed receipt (daemon-forget-commands.js)
+    if (handleForgetCommand && /^\/forget(\s|$)/i.test(text)) {
+      if (await handleForgetCommand({ bot, chatId, text, readOnly })) return;
+    }
+
     // /btw — quick side question (read-only, concise, bypasses cooldown)
     if (/^\/btw(\s|$)/i.test(text)) {
       const btwQuestion = text.replace(/^\/btw\s*/i, '').trim();
@@ -571,14 +605,19 @@ function createCommandRouter(deps) {
         '/name <name> — 命名当前会话',
         '/cd <path> — 切换工作目录',
         '/session — 查看当前会话',
+        '/session export [md|html|jsonl] — 导出当前会话 transcript（已脱敏）',
+        '/handoff <engine> — 把当前会话交接给另一个引擎，在同一目录继续',
+        '/race <任务> — 多个引擎在独立 worktree 并行执行，对比后 /race pick <engine> 合并',
+        '/worktree [status|diff|merge|rebase|discard|prune] — 查看并合并 agent 分支',
         '/stop — 中断当前任务 (ESC)',
         '/undo — 选择历史消息，点击回退到该条之前',
         '/undo <hash> — 回退到指定 git checkpoint',
         '/quit — 结束会话，重新加载 MCP/配置',
+        '/files — 查看本会话收到的附件 · /files clear — 删除',
         '',
         `⚙️ /model [${currentModel}] /engine [${getDefaultEngine()}] /provider [${currentProvider}] /distill-model /status /tasks /run /budget /reload /mentor`,
         '🧩 /TeamTask create <agent> <目标> [--scope <id>] · /TeamTask · /TeamTask <id>',
-        '🧠 /memory — 记忆统计 · /memory <关键词> — 搜索事实',
+        '🧠 /memory — 记忆统计 · /memory <关键词> — 搜索事实 · /forget <id|关键词> — 永久删除记忆',
         '🧬 /skill-evo — 查看/处理技能演化队列',
         `🔧 /doctor /fix /reset /mac /sh <cmd> /nosleep [${getNoSleepProcess() ? 'ON' : 'OFF'}]`,
         '',
@@ -624,11 +663,13 @@ function createCommandRouter(deps) {
     const _strictChatAgentMap = {
       ...(config.telegram ? config.telegram.chat_agent_map : {}),
       ...(config.feishu ? config.feishu.chat_agent_map : {}),
+      ...(config.matrix ? config.matrix.chat_agent_map : {}),
       ...(config.imessage ? config.imessage.chat_agent_map : {}),
       ...(config.siri_bridge ? config.siri_bridge.chat_agent_map : {}),
     };
     const _rawChatId3 = extractOriginalChatId(String(chatId));
-    const _isStrictChat = !!(_strictChatAgentMap[String(chatId)] || _strictChatAgentMap[_rawChatId3] || projectKeyFromVirtualChatId(String(chatId)));
+    const _boundAgentKey = _strictChatAgentMap[String(chatId)] || _strictChatAgentMap[_rawChatId3] || projectKeyFromVirtualChatId(String(chatId)) || '';
+    const _isStrictChat = !!_boundAgentKey;
 
     // Nickname-only switch: bypass cooldown + budget (no Claude call)
     // Skipped for strict chats (fixed-agent groups)
@@ -658,7 +699,7 @@ function createCommandRouter(deps) {
 
     const cd = checkCooldown(chatId);
     if (!cd.ok) { await bot.sendMessage(chatId, `${cd.wait}s`); return; }
-    if (!checkBudget(loadConfig(), loadState())) {
+    if (!checkBudget(loadConfig(), loadState(), _boundAgentKey ? { agentKey: _boundAgentKey } : null)) {
       await bot.sendMessage(chatId, 'Daily token budget exceeded.');
       return;
     }
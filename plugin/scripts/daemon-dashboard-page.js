@@ -0,0 +1,275 @@
+'use strict';
+
+/**
+ * daemon-dashboard-page.js — static shell for the local dashboard.
+ *
+ * The page and its script carry no data; everything is fetched from /api/*
+ * with the token the user opened the page with (`/#token=<secret>`). The
+ * token moves into sessionStorage and out of the address bar on load.
+ * Served with a CSP that allows only same-origin script and fetches, and all
+ * values are rendered through textContent.
+ */
+
+const PAGE_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="referrer" content="no-referrer">
+<title>MetaMe dashboard</title>
+<style>
+  body { font: 14px/1.45 -apple-system, system-ui, sans-serif; margin: 0; color: #1d1d1f; background: #f6f6f7; }
+  header { display: flex; gap: 4px; align-items: center; padding: 10px 16px; background: #fff; border-bottom: 1px solid #ddd; }
+  header strong { margin-right: 16px; }
+  header button { border: 0; background: none; padding: 6px 10px; border-radius: 6px; cursor: pointer; font: inherit; }
+  header button.active { background: #e8e8ed; }
+  #who { margin-left: auto; color: #666; }
+  main { padding: 16px; max-width: 1100px; }
+  form { display: flex; gap: 8px; margin-bottom: 12px; }
+  input { font: inherit; padding: 5px 8px; border: 1px solid #ccc; border-radius: 6px; }
+  table { width: 100%; border-collapse: collapse; background: #fff; margin-bottom: 16px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { font-weight: 600; background: #fafafa; }
+  td.wrap { white-space: pre-wrap; word-break: break-word; }
+  a { color: #0a63c9; cursor: pointer; }
+  pre { white-space: pre-wrap; background: #fff; padding: 12px; border: 1px solid #eee; }
+  .muted { color: #888; }
+  .stale, .error { color: #b3261e; }
+  .actions button { margin-right: 6px; }
+  #status { margin-bottom: 12px; }
+</style>
+<script src="/app.js" defer></script>
+</head>
+<body>
+<header>
+  <strong>MetaMe</strong>
+  <button data-tab="facts">Facts</button>
+  <button data-tab="wiki">Wiki</button>
+  <button data-tab="tasks">Tasks</button>
+  <button data-tab="review">Review</button>
+  <span id="who"></span>
+</header>
+<main>
+  <div id="status" class="muted"></div>
+  <div id="view"></div>
+</main>
+</body>
+</html>
+`;
+
+const PAGE_SCRIPT = `'use strict';
+(function () {
+  const match = /(?:^#|&)token=([^&]+)/.exec(location.hash);
+  if (match) {
+    sessionStorage.setItem('metame-dashboard-token', decodeURIComponent(match[1]));
+    history.replaceState(null, '', location.pathname);
+  }
+  const token = sessionStorage.getItem('metame-dashboard-token') || '';
+  const view = document.getElementById('view');
+  const status = document.getElementById('status');
+  let session = { role: 'viewer', can_review: false };
+
+  async function api(path, options = {}) {
+    const res = await fetch(path, {
+      method: options.method || 'GET',
+      headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: options.body ? JSON.stringify(options.body) : undefined,
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(payload.message || payload.error || res.status);
+    return payload;
+  }
+
+  function el(tag, props, children) {
+    const node = document.createElement(tag);
+    Object.assign(node, props || {});
+    for (const child of [].concat(children || [])) {
+      node.append(child instanceof Node ? child : document.createTextNode(child == null ? '' : String(child)));
+    }
+    return node;
+  }
+
+  function table(columns, rows) {
+    const head = el('tr', {}, columns.map(c => el('th', {}, c.label)));
+    const body = rows.map(row => el('tr', {}, columns.map(c => {
+      const value = c.render ? c.render(row) : row[c.key];
+      return el('td', { className: c.wrap ? 'wrap' : '' }, value);
+    })));
+    return el('table', {}, [head, ...body]);
+  }
+
+  function link(text, onclick) {
+    return el('a', { onclick: (e) => { e.preventDefault(); onclick(); } }, text);
+  }
+
+  function show(nodes, note) {
+    view.replaceChildren(...[].concat(nodes));
+    status.textContent = note || '';
+    status.className = 'muted';
+  }
+
+  function fail(err) {
+    status.textContent = err.message;
+    status.className = 'error';
+  }
+
+  async function facts(query, project) {
+    const form = el('form', {}, [
+      el('input', { name: 'q', placeholder: 'search facts', value: query || '', size: 40 }),
+      el('input', { name: 'project', placeholder: 'project', value: project || '', size: 12 }),
+      el('button', { type: 'submit' }, 'Search'),
+    ]);
+    form.onsubmit = (e) => { e.preventDefault(); facts(form.q.value, form.project.value).catch(fail); };
+    const params = new URLSearchParams({ q: query || '', project: project || '' });
+    const { facts: rows } = await api('/api/facts?' + params);
+    show([form, table([
+      { label: 'id', render: r => link(r.id, () => fact(r.id).catch(fail)) },
+      { label: 'entity', key: 'entity' },
+      { label: 'relation', key: 'relation' },
+      { label: 'value', key: 'value', wrap: true },
+      { label: 'project', key: 'project' },
+      { label: 'valid until', render: r => r.valid_until || '' },
+    ], rows)], rows.length + (query ? ' match(es)' : ' recent fact(s)'));
+  }
+
+  async function fact(id) {
+    const { versions } = await api('/api/facts/' + encodeURIComponent(id));
+    show([el('h3', {}, 'History of ' + id), table([
+      { label: 'id', key: 'id' },
+      { label: 'state', key: 'state' },
+      { label: 'content', key: 'content', wrap: true },
+      { label: 'relation', key: 'relation' },
+      { label: 'supersedes', key: 'supersedes_id' },
+      { label: 'created', key: 'created_at' },
+      { label: 'updated', key: 'updated_at' },
+    ], versions)], versions.length + ' version(s)');
+  }
+
+  async function wiki() {
+    const { pages } = await api('/api/wiki');
+    show(table([
+      { label: 'slug', render: r => link(r.slug, () => wikiPage(r.slug).catch(fail)) },
+      { label: 'title', key: 'title' },
+      { label: 'kind', key: 'page_kind' },
+      { label: 'project', key: 'project' },
+      { label: 'freshness', render: r => el('span', { className: r.freshness }, r.freshness + ' (' + Number(r.staleness || 0).toFixed(2) + ')') },
+      { label: 'updated', key: 'updated_at' },
+    ], pages), pages.length + ' page(s)');
+  }
+
+  async function wikiPage(slug) {
+    const { page, annotations } = await api('/api/wiki/' + encodeURIComponent(slug));
+    show([
+      el('h3', {}, page.title + ' '),
+      el('div', { className: page.freshness }, 'staleness ' + Number(page.staleness || 0).toFixed(2) + ' · ' + page.freshness),
+      el('pre', {}, page.content),
+      el('h4', {}, 'Annotations'),
+      table([
+        { label: 'state', key: 'state' },
+        { label: 'content', key: 'content', wrap: true },
+        { label: 'claim', render: r => [r.claim_key, r.claim_outcome].filter(Boolean).join(' · ') },
+        { label: 'created', key: 'created_at' },
+      ], annotations),
+    ], annotations.length + ' annotation(s)');
+  }
+
+  async function tasks() {
+    const { board, heartbeat, runs } = await api('/api/tasks');
+    show([
+      el('h3', {}, 'Task board'),
+      table([
+        { label: 'id', key: 'task_id' },
+        { label: 'goal', key: 'goal', wrap: true },
+        { label: 'kind', key: 'task_kind' },
+        { label: 'status', key: 'status' },
+        { label: 'from → to', render: r => (r.from_agent || '') + ' → ' + (r.to_agent || '') },
+        { label: 'updated', key: 'updated_at' },
+      ], board),
+      el('h3', {}, 'Heartbeat tasks'),
+      table([
+        { label: 'name', key: 'name' },
+        { label: 'project', key: 'project' },
+        { label: 'enabled', render: r => r.enabled ? 'yes' : 'no' },
+        { label: 'status', key: 'status' },
+        { label: 'last run', key: 'last_run' },
+        { label: 'error', key: 'error', wrap: true },
+      ], heartbeat),
+      el('h3', {}, 'Run history'),
+      table([
+        { label: 'task', key: 'name' },
+        { label: 'status', key: 'status' },
+        { label: 'attempt', key: 'attempt' },
+        { label: 'started', key: 'started_at' },
+        { label: 'finished', key: 'finished_at' },
+        { label: 'error', render: r => r.error_code || '' },
+      ], runs),
+    ]);
+  }
+
+  function reviewButtons(onApprove, onReject) {
+    if (!session.can_review) return el('span', { className: 'muted' }, 'read-only');
+    return el('span', { className: 'actions' }, [
+      el('button', { onclick: () => onApprove().then(review).catch(fail) }, 'Approve'),
+      el('button', { onclick: () => onReject().then(review).catch(fail) }, 'Reject'),
+    ]);
+  }
+
+  async function review() {
+    const [{ plans }, { items }] = await Promise.all([api('/api/reconcile'), api('/api/skill-evo')]);
+    const nodes = [el('h3', {}, 'Reconcile plans')];
+    for (const plan of plans) {
+      if (plan.error) {
+        nodes.push(el('div', { className: 'error' }, plan.name + ': ' + plan.error));
+        continue;
+      }
+      const accepted = new Set();
+      nodes.push(el('h4', {}, plan.name + ' — ' + plan.actions + ' exact duplicate(s), ' + plan.proposals.length + ' proposal(s), generated ' + plan.generated_at));
+      nodes.push(table([
+        { label: 'accept', render: p => session.can_review ? el('input', { type: 'checkbox', onchange: (e) => { e.target.checked ? accepted.add(p.id) : accepted.delete(p.id); } }) : '' },
+        { label: 'proposal', key: 'action' },
+        { label: 'keep', render: p => link(p.survivor, () => fact(p.survivor).catch(fail)) },
+        { label: 'archive', render: p => link(p.duplicate, () => fact(p.duplicate).catch(fail)) },
+        { label: 'similarity', render: p => JSON.stringify(p.similarity) },
+      ], plan.proposals));
+      nodes.push(reviewButtons(
+        () => api('/api/reconcile/' + encodeURIComponent(plan.name) + '/approve', { method: 'POST', body: { accept: [...accepted] } }),
+        () => api('/api/reconcile/' + encodeURIComponent(plan.name) + '/reject', { method: 'POST', body: {} }),
+      ));
+    }
+    if (!plans.length) nodes.push(el('div', { className: 'muted' }, 'No staged plans.'));
+    nodes.push(el('h3', {}, 'Skill evolution queue'));
+    nodes.push(table([
+      { label: 'id', key: 'id' },
+      { label: 'type', key: 'type' },
+      { label: 'status', key: 'status' },
+      { label: 'target', render: i => i.skill_name || i.search_hint || '' },
+      { label: 'reason', key: 'reason', wrap: true },
+      { label: 'evidence', key: 'evidence_count' },
+      { label: '', render: i => ['pending', 'notified'].includes(i.status) ? reviewButtons(
+        () => api('/api/skill-evo/' + encodeURIComponent(i.id) + '/approve', { method: 'POST', body: {} }),
+        () => api('/api/skill-evo/' + encodeURIComponent(i.id) + '/reject', { method: 'POST', body: {} }),
+      ) : '' },
+    ], items));
+    show(nodes, session.can_review ? '' : 'Read-only token: approving needs an admin token.');
+  }
+
+  const tabs = { facts: () => facts('', ''), wiki, tasks, review };
+  function open(name) {
+    for (const button of document.querySelectorAll('header button')) {
+      button.classList.toggle('active', button.dataset.tab === name);
+    }
+    tabs[name]().catch(fail);
+  }
+  for (const button of document.querySelectorAll('header button')) {
+    button.onclick = () => open(button.dataset.tab);
+  }
+
+  api('/api/session').then((s) => {
+    session = s;
+    document.getElementById('who').textContent = s.client + ' (' + s.role + ')';
+    open('facts');
+  }).catch(() => fail(new Error(token ? 'Token rejected.' : 'Open this page as /#token=<dashboard token>.')));
+})();
+`;
+
+module.exports = { PAGE_HTML, PAGE_SCRIPT };
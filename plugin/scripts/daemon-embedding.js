@@ -9,10 +9,13 @@
  * 1. Reads batch from queue (attempts < 3)
  * 2. Fetches text from content_chunks
  * 3. Calls the configured embedding backend
- * 4. Writes BLOB + metadata back to content_chunks
+ * 4. Writes the vector into chunk_embeddings (per-model index) and mirrors
+ *    the active backend's vector onto content_chunks
  * 5. Deletes completed queue rows; increments attempts on failure
  *
  * Designed to run as heartbeat task (interval: 30min) or post-wiki-reflect trigger.
+ * One batch per run for network backends; the in-process `local` backend drains
+ * the queue, so switching to it re-embeds existing chunks in a single run.
  * Graceful degradation: unavailable backend is logged and leaves the queue intact.
  */
 
@@ -31,6 +34,7 @@ const LOG_FILE = process.env.METAME_EMBEDDING_LOG_PATH
   ? path.resolve(process.env.METAME_EMBEDDING_LOG_PATH) : path.join(METAME_DIR, 'embedding_log.jsonl');
 const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
 const MAX_BATCH = 50;
+const LOCAL_MAX_BATCHES = 200; // up to 10k chunks per run for the in-process backend
 
 function loadModule(name) {
   const candidates = [
@@ -89,75 +93,20 @@ async function main() {
 
     const reconciled = reconcileEmbeddingQueue(db, backendInfo);
 
-    // Fetch pending queue items
-    const pending = db.prepare(`
-      SELECT eq.id AS queue_id, eq.item_type, eq.item_id, eq.model, eq.attempts,
-             cc.chunk_text
-      FROM embedding_queue eq
-      JOIN content_chunks cc ON eq.item_id = cc.id
-      WHERE eq.item_type = 'chunk'
-        AND eq.attempts < 3
-      ORDER BY eq.created_at ASC
-      LIMIT ?
-    `).all(MAX_BATCH);
-
-    if (pending.length === 0) {
-      appendLog({ ts: new Date().toISOString(), status: 'idle', backend: backendInfo, reconciled });
-      return { status: 'idle', backend: backendInfo, reconciled };
-    }
-
-    // Batch embed
-    const texts = pending.map(p => p.chunk_text);
-    let embeddings;
-    try {
-      embeddings = await embedding.batchEmbed(texts);
-    } catch (err) {
-      // API failure — increment attempts for all
-      const updateAttempts = db.prepare(
-        'UPDATE embedding_queue SET attempts = attempts + 1, last_error = ? WHERE id = ?',
-      );
-      for (const p of pending) {
-        updateAttempts.run(err.message.slice(0, 500), p.queue_id);
-      }
-      appendLog({ ts: new Date().toISOString(), error: err.message, batch_size: pending.length });
+    const active = await drainQueue(db, embedding, backendInfo, { maxBatches: batchLimit(backendInfo) });
+    if (active.error) {
+      appendLog({ ts: new Date().toISOString(), error: active.error, batch_size: active.batch_size });
       return;
     }
+    const reembed = await advanceReembedJobs(db, embedding, backendInfo);
 
-    // Write results
-    const updateChunk = db.prepare(`
-      UPDATE content_chunks
-      SET embedding = ?, embedding_model = ?, embedding_dim = ?
-      WHERE id = ?
-    `);
-    const deleteQueue = db.prepare('DELETE FROM embedding_queue WHERE id = ?');
-    const updateAttempts = db.prepare(
-      'UPDATE embedding_queue SET attempts = attempts + 1, last_error = ? WHERE id = ?',
-    );
-
-    let success = 0;
-    let failed = 0;
-    db.prepare('BEGIN').run();
-    try {
-      for (let i = 0; i < pending.length; i++) {
-        const emb = embeddings[i];
-        if (emb) {
-          const buf = embedding.embeddingToBuffer(emb);
-          updateChunk.run(buf, backendInfo.model, backendInfo.dimensions, pending[i].item_id);
-          deleteQueue.run(pending[i].queue_id);
-          success++;
-        } else {
-          updateAttempts.run('null embedding returned', pending[i].queue_id);
-          failed++;
-        }
-      }
-      db.prepare('COMMIT').run();
-    } catch (err) {
-      try { db.prepare('ROLLBACK').run(); } catch { }
-      appendLog({ ts: new Date().toISOString(), error: err.message, batch_size: pending.length });
-      return;
+    if (active.batch_size === 0 && Object.keys(reembed).length === 0) {
+      appendLog({ ts: new Date().toISOString(), status: 'idle', backend: backendInfo, reconciled });
+      return { status: 'idle', backend: backendInfo, reconciled };
     }
 
-    const result = { status: 'ok', backend: backendInfo, reconciled, success, failed, batch_size: pending.length };
+    const result = { status: 'ok', backend: backendInfo, reconciled, ...active };
+    if (Object.keys(reembed).length > 0) result.reembed = reembed;
     appendLog({ ts: new Date().toISOString(), ...result });
     return result;
 
@@ -167,6 +116,122 @@ async function main() {
   }
 }
 
+// In-process vectors cost no API calls: drain a backend switch in one run.
+function batchLimit(backendInfo) {
+  return backendInfo.backend === 'local' ? LOCAL_MAX_BATCHES : 1;
+}
+
+/**
+ * Run up to maxBatches batches for one index.
+ * Returns { success, failed, batch_size } or { error, batch_size }.
+ */
+async function drainQueue(db, embedding, backendInfo, { mirror = true, maxBatches = 1, onBatch } = {}) {
+  const total = { success: 0, failed: 0, batch_size: 0 };
+  for (let i = 0; i < maxBatches; i++) {
+    const batch = await embedPendingBatch(db, embedding, backendInfo, { mirror });
+    if (batch.error) return batch;
+    if (batch.batch_size === 0) break;
+    total.success += batch.success;
+    total.failed += batch.failed;
+    total.batch_size += batch.batch_size;
+    if (onBatch) onBatch(total);
+  }
+  return total;
+}
+
+/**
+ * Continue `memory reembed` jobs for non-active backends so an interrupted
+ * rebuild still finishes from the heartbeat. Unavailable backends wait.
+ */
+async function advanceReembedJobs(db, embedding, activeInfo) {
+  const targets = db.prepare(`
+    SELECT DISTINCT target_model AS model FROM embedding_queue
+    WHERE item_type = 'chunk' AND attempts < 3
+      AND target_model IS NOT NULL AND target_model != ?
+  `).all(activeInfo.model).map(row => row.model);
+  const progress = {};
+  for (const model of targets) {
+    const known = embedding.listBackends().find(b => b.model === model);
+    const info = known ? embedding.getBackendInfo(known.backend) : null;
+    if (!info || !(await ensureBackendReady(embedding, info))) continue;
+    const drained = await drainQueue(db, embedding, info, { mirror: false, maxBatches: batchLimit(info) });
+    progress[model] = drained;
+  }
+  return progress;
+}
+
+/**
+ * Embed one batch of queued chunks into backendInfo's index.
+ * With `mirror` (the active backend) untargeted rows are taken too and the
+ * content_chunks mirror columns are updated; otherwise only rows targeted at
+ * backendInfo.model by `memory reembed`.
+ * Returns { success, failed, batch_size } or { error, batch_size }.
+ */
+async function embedPendingBatch(db, embedding, backendInfo, { mirror = true } = {}) {
+  const index = loadModule('core/embedding-index');
+  const pending = db.prepare(`
+    SELECT eq.id AS queue_id, eq.item_type, eq.item_id, eq.model, eq.attempts,
+           cc.chunk_text
+    FROM embedding_queue eq
+    JOIN content_chunks cc ON eq.item_id = cc.id
+    WHERE eq.item_type = 'chunk'
+      AND eq.attempts < 3
+      AND (eq.target_model = ? ${mirror ? 'OR eq.target_model IS NULL' : ''})
+    ORDER BY eq.created_at ASC
+    LIMIT ?
+  `).all(backendInfo.model, MAX_BATCH);
+  if (pending.length === 0) return { success: 0, failed: 0, batch_size: 0 };
+
+  const updateAttempts = db.prepare(
+    'UPDATE embedding_queue SET attempts = attempts + 1, last_error = ? WHERE id = ?',
+  );
+
+  // Batch embed
+  const texts = pending.map(p => p.chunk_text);
+  let embeddings;
+  try {
+    embeddings = await embedding.batchEmbed(texts, { backend: backendInfo.backend });
+  } catch (err) {
+    // API failure — increment attempts for all
+    for (const p of pending) {
+      updateAttempts.run(err.message.slice(0, 500), p.queue_id);
+    }
+    return { error: err.message, batch_size: pending.length };
+  }
+
+  // Write results
+  const updateChunk = db.prepare(`
+    UPDATE content_chunks
+    SET embedding = ?, embedding_model = ?, embedding_dim = ?
+    WHERE id = ?
+  `);
+  const deleteQueue = db.prepare('DELETE FROM embedding_queue WHERE id = ?');
+
+  let success = 0;
+  let failed = 0;
+  db.prepare('BEGIN').run();
+  try {
+    for (let i = 0; i < pending.length; i++) {
+      const emb = embeddings[i];
+      if (emb) {
+        const buf = embedding.embeddingToBuffer(emb);
+        index.upsertChunkEmbedding(db, pending[i].item_id, backendInfo, buf);
+        if (mirror) updateChunk.run(buf, backendInfo.model, backendInfo.dimensions, pending[i].item_id);
+        deleteQueue.run(pending[i].queue_id);
+        success++;
+      } else {
+        updateAttempts.run('null embedding returned', pending[i].queue_id);
+        failed++;
+      }
+    }
+    db.prepare('COMMIT').run();
+  } catch (err) {
+    try { db.prepare('ROLLBACK').run(); } catch { }
+    return { error: err.message, batch_size: pending.length };
+  }
+  return { success, failed, batch_size: pending.length };
+}
+
 function ollamaBaseUrl() {
   return String(process.env.OLLAMA_HOST || 'http://127.0.0.1:11434').replace(/\/$/, '');
 }
@@ -203,13 +268,19 @@ async function ensureBackendReady(embedding, backendInfo) {
   }
   if (!(await probeOllama())) return false;
   try {
-    const warm = await embedding.getEmbedding('MetaMe embedding health check');
+    const warm = await embedding.getEmbedding('MetaMe embedding health check', { backend: backendInfo.backend });
     return !!warm && warm.length === backendInfo.dimensions;
   } catch {
     return false;
   }
 }
 
+/**
+ * Point the queue and the content_chunks mirror at the active backend.
+ * Vectors of other backends are kept in chunk_embeddings (a later switch back
+ * restores them without re-embedding); only untargeted queue rows follow the
+ * active backend, `memory reembed` rows keep their target.
+ */
 function reconcileEmbeddingQueue(db, backendInfo) {
   const model = backendInfo.model;
   const dimensions = backendInfo.dimensions;
@@ -220,17 +291,36 @@ function reconcileEmbeddingQueue(db, backendInfo) {
       WHERE item_type = 'chunk'
         AND NOT EXISTS (SELECT 1 FROM content_chunks cc WHERE cc.id = embedding_queue.item_id)
     `).run().changes;
+    db.prepare(`
+      DELETE FROM chunk_embeddings
+      WHERE NOT EXISTS (SELECT 1 FROM content_chunks cc WHERE cc.id = chunk_embeddings.chunk_id)
+    `).run();
+
+    // Keep valid mirror vectors (written before chunk_embeddings existed) before clearing.
+    db.prepare(`
+      INSERT OR IGNORE INTO chunk_embeddings (chunk_id, model, dim, embedding)
+      SELECT id, embedding_model, embedding_dim, embedding FROM content_chunks
+      WHERE embedding IS NOT NULL AND embedding_model IS NOT NULL
+        AND length(embedding) = embedding_dim * 4
+    `).run();
     const invalidated = db.prepare(`
       UPDATE content_chunks
       SET embedding = NULL, embedding_model = NULL, embedding_dim = NULL
       WHERE embedding IS NOT NULL
         AND (embedding_model IS NOT ? OR embedding_dim IS NOT ? OR length(embedding) != ?)
     `).run(model, dimensions, dimensions * 4).changes;
+    const restored = db.prepare(`
+      UPDATE content_chunks
+      SET embedding = ce.embedding, embedding_model = ce.model, embedding_dim = ce.dim
+      FROM chunk_embeddings ce
+      WHERE ce.chunk_id = content_chunks.id AND ce.model = ? AND ce.dim = ?
+        AND length(ce.embedding) = ? AND content_chunks.embedding IS NULL
+    `).run(model, dimensions, dimensions * 4).changes;
 
     const reset = db.prepare(`
       UPDATE embedding_queue
       SET model = ?, attempts = 0, last_error = NULL
-      WHERE item_type = 'chunk' AND model IS NOT ?
+      WHERE item_type = 'chunk' AND target_model IS NULL AND model IS NOT ?
     `).run(model, model).changes;
 
     const enqueued = db.prepare(`
@@ -241,11 +331,12 @@ function reconcileEmbeddingQueue(db, backendInfo) {
         AND NOT EXISTS (
           SELECT 1 FROM embedding_queue eq
           WHERE eq.item_type = 'chunk' AND eq.item_id = cc.id
+            AND (eq.target_model IS NULL OR eq.target_model = ?)
         )
-    `).run(model).changes;
+    `).run(model, model).changes;
 
     db.prepare('COMMIT').run();
-    return { orphaned, invalidated, reset, enqueued };
+    return { orphaned, invalidated, restored, reset, enqueued };
   } catch (err) {
     try { db.prepare('ROLLBACK').run(); } catch { }
     throw err;
@@ -268,5 +359,7 @@ if (require.main === module) {
 
 module.exports = {
   main,
-  _internal: { ensureBackendReady, probeOllama, reconcileEmbeddingQueue },
+  drainQueue,
+  ensureBackendReady,
+  _internal: { advanceReembedJobs, ensureBackendReady, probeOllama, reconcileEmbeddingQueue, embedPendingBatch },
 };
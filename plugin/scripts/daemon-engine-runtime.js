@@ -76,7 +76,9 @@ function createEngineRuntimeFactory(deps = {}) {
     ...deps,
     normalizeEngineName,
   });
-  return engineName => registry.get(engineName);
+  // The registry rides along so failover can ask it which engines are
+  // registered and enabled without the legacy default fallback of get().
+  return Object.assign(engineName => registry.get(engineName), { registry });
 }
 
 const ENGINE_MODEL_CONFIG = Object.freeze(Object.fromEntries(
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * daemon-forget-commands.js — /forget: erase memories from chat.
+ *
+ *   /forget <id|关键词>          preview everything the erasure would touch
+ *   /forget confirm <token>      erase what the preview showed
+ *
+ * The preview is a dry run of memory-forget.js; the confirm button carries a
+ * one-time token rather than the query, so the text being forgotten is not
+ * repeated in callback data.  Confirm aborts when the matching memories
+ * changed since the preview.
+ */
+
+const crypto = require('crypto');
+
+const CONFIRM_TTL_MS = 10 * 60 * 1000;
+const FORGET_USAGE = [
+  '用法: /forget <记忆 id 或关键词>',
+  '先预览会删除的记忆、向量块、召回审计和受影响的 wiki 页面，确认后永久删除并生成签名回执。',
+].join('\n');
+
+function createForgetCommandHandler(deps) {
+  const {
+    path,
+    HOME,
+    log,
+    dbPath = path.join(HOME, '.metame', 'memory.db'),
+    openDb = () => {
+      const { DatabaseSync } = require('node:sqlite');
+      return new DatabaseSync(dbPath);
+    },
+    forgetMemory = (...args) => require('./memory-forget').forgetMemory(...args),
+    now = () => Date.now(),
+  } = deps;
+
+  const pending = new Map(); // chatId -> { token, target, ids, expiresAt }
+
+  function runForget(options) {
+    const db = openDb();
+    try {
+      return forgetMemory({ db, homeDir: HOME, ...options });
+    } finally { db.close(); }
+  }
+
+  function formatPreview(result) {
+    const counts = result.counts;
+    const lines = [
+      `🧹 将永久删除 ${result.items.length} 条记忆：`,
+      ...result.items.slice(0, 10).map(item => `• ${item.id} [${item.kind}] ${item.preview}`),
+      result.items.length > 10 ? `… 另有 ${result.items.length - 10} 条` : '',
+      `向量块 ${counts.content_chunks} · 召回审计 ${counts.recall_audit} · lineage ${counts.knowledge_lineage}`,
+      result.stale_page_slugs.length ? `wiki 页面将标记为过期：${result.stale_page_slugs.join(', ')}` : '',
+      result.stale_artifact_ids.length ? `综合产物将标记为过期：${result.stale_artifact_ids.join(', ')}` : '',
+    ];
+    return lines.filter(Boolean).join('\n');
+  }
+
+  async function preview({ bot, chatId, target }) {
+    const result = runForget({ target, dryRun: true });
+    if (!result.items.length) return '没有匹配的记忆';
+    const token = crypto.randomBytes(4).toString('hex');
+    pending.set(String(chatId), { token, target, ids: result.items.map(item => item.id), expiresAt: now() + CONFIRM_TTL_MS });
+    const text = `${formatPreview(result)}\n删除后无法恢复。`;
+    const command = `/forget confirm ${token}`;
+    if (typeof bot.sendButtons === 'function') {
+      await bot.sendButtons(chatId, text, [[{ text: '🗑 确认永久删除', callback_data: command }]]);
+      return null;
+    }
+    return `${text}\n\n回复 ${command} 确认`;
+  }
+
+  function confirm({ chatId, token }) {
+    const entry = pending.get(String(chatId));
+    if (!entry || entry.token !== token || entry.expiresAt < now()) {
+      return '⚠️ 确认已失效，请重新 /forget 预览';
+    }
+    pending.delete(String(chatId));
+    const result = runForget({ target: entry.target, expectIds: entry.ids });
+    log('INFO', `[FORGET] erased ${result.items.length} memories, receipt ${result.receipt ? result.receipt.receipt_id : '-'}`);
+    return [
+      `✅ 已永久删除 ${result.items.length} 条记忆`,
+      result.stale_page_slugs.length ? `${result.stale_page_slugs.length} 个 wiki 页面已标记为过期，下次构建时移除` : '',
+      result.receipt_path ? `回执：${result.receipt_path}` : '',
+    ].filter(Boolean).join('\n');
+  }
+
+  /** /forget <id|query> | /forget confirm <token>. Returns false for anything else. */
+  async function handleForgetCommand({ bot, chatId, text, readOnly = false }) {
+    const match = /^\/forget(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+    if (!match) return false;
+    const arg = String(match[1] || '').trim();
+    const confirmMatch = /^confirm\s+([0-9a-f]{8})$/i.exec(arg);
+    let reply;
+    if (readOnly) {
+      reply = '⛔ 只读用户不能删除记忆';
+    } else if (!arg) {
+      reply = FORGET_USAGE;
+    } else {
+      try {
+        reply = confirmMatch
+          ? confirm({ chatId, token: confirmMatch[1].toLowerCase() })
+          : await preview({ bot, chatId, target: arg });
+      } catch (err) {
+        log('WARN', `[FORGET] failed: ${err.message}`);
+        reply = `❌ /forget 失败：${String(err.message).slice(0, 300)}`;
+      }
+    }
+    if (reply) await bot.sendMessage(chatId, reply);
+    return true;
+  }
+
+  return { handleForgetCommand };
+}
+
+module.exports = { createForgetCommandHandler, FORGET_USAGE };
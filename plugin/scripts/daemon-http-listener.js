@@ -0,0 +1,100 @@
+'use strict';
+/**
+ * daemon-http-listener.js — node:http plumbing shared by the daemon's opt-in
+ * listeners (daemon-mcp-http, daemon-webhooks, daemon-openai-api,
+ * daemon-dashboard).
+ *
+ * Each listener normalizes its own config, authenticates and routes; this
+ * file only writes responses, reads size-limited bodies, binds the port or
+ * Unix socket and tears the server down again.
+ */
+
+const http = require('http');
+
+function send(res, statusCode, contentType, body, extraHeaders = {}) {
+  res.writeHead(statusCode, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+    ...extraHeaders,
+  });
+  res.end(body);
+}
+
+function writeJson(res, statusCode, payload, extraHeaders = {}) {
+  send(res, statusCode, 'application/json; charset=utf-8', JSON.stringify(payload), extraHeaders);
+}
+
+/**
+ * Read the whole request body. Content-Length can be absent (chunked) or
+ * wrong, so the limit is counted on the bytes actually read; past it the
+ * promise rejects with `statusCode: 413` and the rest is drained so the
+ * response can still be written.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        reject(Object.assign(new Error('payload too large'), { statusCode: 413, code: 'payload_too_large' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Bind `handler` on `socket`, or on `host`:`port`. A bind failure is logged
+ * under `[tag]` and yields null, so a busy port disables one listener
+ * instead of the daemon.
+ *
+ * @param {Function} handler - node:http request listener
+ * @param {{ tag: string, log: Function, host?: string, port?: number, socket?: string|null,
+ *           beforeClose?: () => Promise<void> }} opts - `beforeClose` runs once
+ *           the server stops accepting, before open connections are cut
+ * @returns {Promise<{ address(): string, stop(): Promise<void> }|null>}
+ */
+async function listenHttp(handler, { tag, log, host, port, socket = null, beforeClose = null }) {
+  const server = http.createServer(handler);
+  server.on('error', (err) => {
+    log('ERROR', `[${tag}] server error: ${err.message}`);
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      if (socket) server.listen(socket, resolve);
+      else server.listen(port, host, resolve);
+    });
+  } catch (err) {
+    log('WARN', `[${tag}] listen failed: ${err.message}`);
+    return null;
+  }
+
+  const address = () => {
+    if (socket) return `unix:${socket}`;
+    const bound = server.address();
+    const hostname = bound.family === 'IPv6' ? `[${bound.address}]` : bound.address;
+    return `http://${hostname}:${bound.port}`;
+  };
+
+  return {
+    address,
+    async stop() {
+      const closed = new Promise(resolve => server.close(() => resolve()));
+      if (beforeClose) await beforeClose().catch(() => {});
+      server.closeAllConnections();
+      await closed;
+    },
+  };
+}
+
+module.exports = { listenHttp, readBody, send, writeJson };
@@ -0,0 +1,208 @@
+'use strict';
+/**
+ * daemon-openai-api.js — OpenAI-compatible chat-completions endpoint
+ *
+ *   GET  /v1/models             agents (project keys) this token may use
+ *   POST /v1/chat/completions   `model` = project key; `stream: true` → SSE
+ *
+ * Requests run through the same handleCommand pipeline as the Siri bridge,
+ * using its collector bot, on the agent's virtual chat
+ * `_agent_<key>::openai-<client>`, so the agent's soul, memory recall, bound
+ * cwd and session continuity all apply. Each client token carries a
+ * daemon-user-acl.js role: non-admin roles run read-only and slash commands
+ * are gated by classifyCommandAction like any chat sender.
+ */
+
+const crypto = require('crypto');
+const { authenticateClient } = require('./core/mcp-http-access');
+const {
+  normalizeOpenAiApiConfig,
+  parseChatRequest,
+  allowedModels,
+  parseStreamPayload,
+  streamDelta,
+  buildCompletion,
+  buildChunk,
+  buildError,
+} = require('./core/openai-compat');
+const { createCollectorBot } = require('./daemon-siri-bridge');
+const { listenHttp, readBody, writeJson } = require('./daemon-http-listener');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const KEEPALIVE_MS = 15000;
+
+function createOpenAiApi(deps) {
+  const {
+    log,
+    loadConfig,
+    handleCommand,
+    userAcl = require('./daemon-user-acl'),
+    env = process.env,
+    now = Date.now,
+    randomId = () => crypto.randomBytes(12).toString('hex'),
+  } = deps;
+
+  // One turn at a time per agent chat; the engine would otherwise merge
+  // overlapping requests into a single reply.
+  const chatQueues = new Map();
+  function serialize(chatId, fn) {
+    const prev = chatQueues.get(chatId) || Promise.resolve();
+    const run = prev.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+    chatQueues.set(chatId, tail);
+    tail.then(() => { if (chatQueues.get(chatId) === tail) chatQueues.delete(chatId); });
+    return run;
+  }
+
+  async function readJson(req) {
+    let raw;
+    try {
+      raw = await readBody(req, MAX_BODY_BYTES);
+    } catch (err) {
+      if (err.statusCode === 413) return { error: 'request body too large' };
+      throw err;
+    }
+    try {
+      return { body: JSON.parse(raw.toString('utf8')) };
+    } catch {
+      return { error: 'request body is not valid JSON' };
+    }
+  }
+
+  function userCtxFor(client, config) {
+    // Only users already registered in users.yaml resolve by id; an unknown id
+    // must not go through resolveUserCtx's first-sender bootstrap.
+    const registered = client.user && (userAcl.loadUsers().users || {})[client.user];
+    if (registered) return userAcl.resolveUserCtx(client.user, config);
+    return userAcl.resolveRoleCtx(client.role, { name: client.name, allowedActions: client.allowedActions });
+  }
+
+  /**
+   * Binds /v1; null when disabled, misconfigured or the port is taken.
+   * `executeTaskByName` is passed through to handleCommand.
+   * @param {object} config - full daemon config; reads `config.openai_api`
+   * @param {Function} executeTaskByName
+   */
+  async function startOpenAiApi(config, executeTaskByName) {
+    let settings;
+    try {
+      settings = normalizeOpenAiApiConfig(config && config.openai_api, { env });
+    } catch (err) {
+      log('WARN', `[OPENAI-API] disabled: ${err.message}`);
+      return null;
+    }
+    if (!settings.enabled) return null;
+
+    async function complete(req, res, client) {
+      const { body, error } = await readJson(req);
+      if (error) return writeJson(res, 400, buildError(error));
+      const request = parseChatRequest(body);
+      if (!request.ok) return writeJson(res, 400, buildError(request.error));
+
+      const liveCfg = loadConfig();
+      const agentKey = request.model;
+      if (!allowedModels(client, liveCfg.projects).includes(agentKey)) {
+        return writeJson(res, 404, buildError(`model "${agentKey}" is not an agent available to this token`, 'invalid_request_error', 'model_not_found'));
+      }
+      const userCtx = userCtxFor(client, liveCfg);
+      const action = userAcl.classifyCommandAction(request.text);
+      const isPublic = userAcl.PUBLIC_COMMANDS.includes(request.text.toLowerCase());
+      if (!isPublic && !userCtx.can(action)) {
+        return writeJson(res, 403, buildError(`role ${userCtx.role} may not run ${action} commands`, 'permission_error', 'insufficient_role'));
+      }
+
+      const id = `chatcmpl-${randomId()}`;
+      const created = Math.floor(now() / 1000);
+      const chatId = `_agent_${agentKey}::openai-${client.name}`;
+      log('INFO', `[OPENAI-API] ${client.name} → ${agentKey}${request.stream ? ' (stream)' : ''}: "${request.text.slice(0, 60)}"`);
+
+      let sent = '';
+      let keepalive = null;
+      const sse = payload => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      const sendDelta = (content) => {
+        if (!content) return;
+        sent += content;
+        sse(buildChunk({ id, created, model: agentKey, delta: { content } }));
+      };
+      if (request.stream) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-store, no-transform',
+          Connection: 'keep-alive',
+        });
+        sse(buildChunk({ id, created, model: agentKey, delta: { role: 'assistant', content: '' } }));
+        keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+      }
+
+      const bot = createCollectorBot({
+        plain: false,
+        onStream: request.stream ? (payload) => {
+          const mapped = parseStreamPayload(payload);
+          if (mapped.text !== undefined) sendDelta(streamDelta(sent, mapped.text));
+          else if (mapped.status) res.write(`: ${mapped.status.replace(/\s+/g, ' ').slice(0, 200)}\n\n`);
+        } : null,
+      });
+
+      let timer = null;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('agent did not answer in time'), { code: 'timeout' })), settings.timeoutMs);
+      });
+      try {
+        await Promise.race([
+          serialize(chatId, () => handleCommand(bot, chatId, request.text, liveCfg, executeTaskByName, userCtx.senderId, userCtx.readOnly)),
+          timeout,
+        ]);
+        const reply = bot.getResult();
+        if (!request.stream) return writeJson(res, 200, buildCompletion({ id, created, model: agentKey, content: reply }));
+        sendDelta(sent ? streamDelta(sent, reply) : reply);
+        sse(buildChunk({ id, created, model: agentKey, finishReason: 'stop' }));
+        res.end('data: [DONE]\n\n');
+      } catch (err) {
+        log('WARN', `[OPENAI-API] ${client.name} → ${agentKey}: ${err.message}`);
+        const type = err.code === 'timeout' ? 'timeout' : 'server_error';
+        if (!request.stream) return writeJson(res, err.code === 'timeout' ? 504 : 500, buildError(err.message, type));
+        sse(buildError(err.message, type));
+        res.end('data: [DONE]\n\n');
+      } finally {
+        clearTimeout(timer);
+        if (keepalive) clearInterval(keepalive);
+      }
+    }
+
+    const listener = await listenHttp(async (req, res) => {
+      const pathname = String(req.url || '').split('?')[0].replace(/\/+$/, '');
+      const route = `${req.method} ${pathname}`;
+      if (route !== 'GET /v1/models' && route !== 'POST /v1/chat/completions') {
+        writeJson(res, 404, buildError(`unknown route ${route}`, 'invalid_request_error', 'not_found'));
+        return;
+      }
+      const client = authenticateClient(settings.clients, req.headers.authorization);
+      if (!client) {
+        writeJson(res, 401, buildError('invalid API key', 'invalid_request_error', 'invalid_api_key'));
+        return;
+      }
+      try {
+        if (route === 'GET /v1/models') {
+          const created = Math.floor(now() / 1000);
+          writeJson(res, 200, {
+            object: 'list',
+            data: allowedModels(client, loadConfig().projects).map(key => ({ id: key, object: 'model', created, owned_by: 'metame' })),
+          });
+          return;
+        }
+        await complete(req, res, client);
+      } catch (err) {
+        log('ERROR', `[OPENAI-API] ${route}: ${err.message}`);
+        if (!res.headersSent) writeJson(res, 500, buildError(err.message, 'server_error'));
+        else res.end();
+      }
+    }, { tag: 'OPENAI-API', log, host: settings.host, port: settings.port });
+    if (!listener) return null;
+    log('INFO', `[OPENAI-API] listening on ${listener.address()}/v1 (${settings.clients.length} client(s))`);
+    return listener;
+  }
+
+  return { startOpenAiApi };
+}
+
+module.exports = { createOpenAiApi };
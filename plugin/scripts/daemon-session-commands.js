@@ -1,6 +1,7 @@
 'use strict';
 
-const { normalizeEngineName: _normalizeEngine } = require('./daemon-utils');
+const { normalizeEngineName: _normalizeEngine, isKnownEngineName } = require('./daemon-utils');
+const { normalizeTranscriptFormat } = require('./core/session-transcript');
 const {
   resolveSessionRoute: _resolveSessionRoute,
   resolveResumeRouteForTarget: _resolveResumeRouteForTarget,
@@ -35,6 +36,10 @@ function createSessionCommandHandler(deps) {
     buildSessionCardElements,
     getSessionRecentContext,
     getSessionRecentDialogue,
+    getSessionForEngine = null,
+    exportSession = (...args) => require('./session-export').exportSession(...args),
+    prepareHandoff = (...args) => require('./session-handoff').prepareHandoff(...args),
+    switchEngine = null,
     getDefaultEngine = () => 'claude',
     releaseWarmPool,
   } = deps;
@@ -228,7 +233,7 @@ function createSessionCommandHandler(deps) {
         }
       }
       const cfgForEngine = loadConfig();
-      const mapForEngine = { ...(cfgForEngine.telegram ? cfgForEngine.telegram.chat_agent_map : {}), ...(cfgForEngine.feishu ? cfgForEngine.feishu.chat_agent_map : {}) };
+      const mapForEngine = { ...(cfgForEngine.telegram ? cfgForEngine.telegram.chat_agent_map : {}), ...(cfgForEngine.feishu ? cfgForEngine.feishu.chat_agent_map : {}), ...(cfgForEngine.matrix ? cfgForEngine.matrix.chat_agent_map : {}) };
       const mappedKeyForEngine = mapForEngine[String(chatId)];
       const mappedProjForEngine = mappedKeyForEngine && cfgForEngine.projects ? cfgForEngine.projects[mappedKeyForEngine] : null;
       const currentEngine = getDefaultEngine();
@@ -636,6 +641,116 @@ function createSessionCommandHandler(deps) {
       return true;
     }
 
+    if (text === '/handoff' || text.startsWith('/handoff ')) {
+      const target = text.slice('/handoff'.length).trim().toLowerCase();
+      if (!target) {
+        await bot.sendMessage(chatId, '用法: /handoff <引擎>\n例如 /handoff codex —— 把当前会话交接给另一个引擎，在同一目录继续。');
+        return true;
+      }
+      if (!isKnownEngineName(target)) {
+        await bot.sendMessage(chatId, `❌ 不支持的引擎: ${target}`);
+        return true;
+      }
+      const route = getSessionRoute(chatId);
+      if (target === route.engine) {
+        await bot.sendMessage(chatId, `当前已经是 ${target} 引擎，无需交接。`);
+        return true;
+      }
+      if (typeof switchEngine !== 'function') {
+        await bot.sendMessage(chatId, '❌ 当前环境不支持切换引擎。');
+        return true;
+      }
+      const current = typeof getSessionForEngine === 'function'
+        ? (getSessionForEngine(route.sessionChatId, route.engine) || getSessionForEngine(chatId, route.engine))
+        : (getSession(route.sessionChatId) || getSession(chatId));
+      if (!current || !current.id || !current.started) {
+        await bot.sendMessage(chatId, '当前没有可交接的会话。先发条消息开始会话，或直接用 /engine 切换引擎。');
+        return true;
+      }
+      const cwd = current.cwd || route.cwd || HOME;
+
+      await bot.sendMessage(chatId, `⏳ 正在整理交接包（${route.engine} ${current.id.slice(0, 8)} → ${target}）…`);
+      let handoff;
+      try {
+        handoff = await prepareHandoff(current.id, { engine: route.engine, cwd, home: HOME, toEngine: target });
+      } catch (err) {
+        log('WARN', `[HANDOFF] ${current.id}: ${err.message}`);
+        await bot.sendMessage(chatId, `❌ 交接失败：${err.message}`);
+        return true;
+      }
+
+      const switched = switchEngine(chatId, target, loadConfig());
+      if (!switched || !switched.ok) {
+        await bot.sendMessage(chatId, (switched && switched.message) || `❌ 无法切换到 ${target}`);
+        return true;
+      }
+      // The new slot starts fresh; the packet rides in as compactContext on its
+      // first turn and handoffFrom becomes a lineage link once the engine
+      // reports its real session id.
+      const nextRoute = getSessionRoute(chatId);
+      const nextEngine = target;
+      createSession(nextRoute.sessionChatId, cwd, '', nextEngine);
+      const state2 = loadState();
+      const slot = state2.sessions[nextRoute.sessionChatId]
+        && state2.sessions[nextRoute.sessionChatId].engines
+        && state2.sessions[nextRoute.sessionChatId].engines[nextEngine];
+      if (slot) {
+        slot.compactContext = handoff.text;
+        slot.handoffFrom = { engine: handoff.engineId, id: handoff.sessionId, at: new Date().toISOString() };
+        saveState(state2);
+      }
+      if (typeof releaseWarmPool === 'function') {
+        releaseWarmPool(route.sessionChatId);
+        if (nextRoute.sessionChatId !== route.sessionChatId) releaseWarmPool(nextRoute.sessionChatId);
+      }
+
+      const { packet } = handoff;
+      await bot.sendMessage(chatId, [
+        `🔀 已交接：${handoff.engineId} ${handoff.sessionId.slice(0, 8)} → ${nextEngine}`,
+        `📁 ${cwd}`,
+        `📝 文件 ${packet.files.length} 个 · 待办 ${packet.todos.length} 条 · 对话 ${packet.dialogue.length} 轮`,
+        '下一条消息会带着交接包开启新会话，/sessions 中两段会显示为同一线程。',
+        '',
+        switched.message,
+      ].join('\n'));
+      return true;
+    }
+
+    if (text === '/session export' || text.startsWith('/session export ')) {
+      let format = 'md';
+      let requestedId = null;
+      for (const arg of text.slice('/session export'.length).trim().split(/\s+/).filter(Boolean)) {
+        const asFormat = normalizeTranscriptFormat(arg);
+        if (asFormat) format = asFormat;
+        else requestedId = arg;
+      }
+      const route = getSessionRoute(chatId);
+      const current = typeof getSessionForEngine === 'function'
+        ? (getSessionForEngine(route.sessionChatId, route.engine) || getSessionForEngine(chatId, route.engine))
+        : (getSession(route.sessionChatId) || getSession(chatId));
+      const sessionId = requestedId || (current && current.id);
+      if (!sessionId) {
+        await bot.sendMessage(chatId, '没有可导出的会话。先发条消息开始会话，或用 /session export <会话ID>。');
+        return true;
+      }
+      await bot.sendMessage(chatId, `⏳ 正在导出会话 ${sessionId.slice(0, 8)}（${format}）…`);
+      try {
+        const result = await exportSession(sessionId, {
+          format,
+          engine: requestedId ? null : route.engine,
+          cwd: (current && current.cwd) || route.cwd,
+          home: HOME,
+        });
+        const caption = `📄 会话 ${result.sessionId.slice(0, 8)} · ${result.engineId} · ${result.eventCount} 条事件（已脱敏）`;
+        if (typeof bot.sendFile === 'function') await bot.sendFile(chatId, result.filePath, caption);
+        else await bot.sendMessage(chatId, `${caption}\n${result.filePath}`);
+      } catch (err) {
+        log('WARN', `[SESSION-EXPORT] ${sessionId}: ${err.message}`);
+        await bot.sendMessage(chatId, `❌ 导出失败：${err.message}`);
+      }
+      return true;
+    }
+
     if (text === '/session') {
       const route = getSessionRoute(chatId);
       const session = getSession(route.sessionChatId) || getSession(chatId);
@@ -3,6 +3,7 @@
 const crypto = require('crypto');
 const { normalizeEngineName } = require('./daemon-utils');
 const { compareAndSetDelivery } = require('./core/context-manifest');
+const { loadSessionLineage, threadSessions } = require('./session-lineage');
 
 function normalizeCodexSandboxMode(value, fallback = null) {
   const text = String(value || '').trim().toLowerCase();
@@ -728,11 +729,13 @@ function createSessionStore(deps) {
     if (cwd) {
       all = all.filter(s => s.projectPath === cwd);
     }
+    let matching = all;
     if (engine) {
       const safeEngine = normalizeEngineName(engine);
-      all = all.filter(s => (s.engine || 'claude') === safeEngine);
+      matching = all.filter(s => (s.engine || 'claude') === safeEngine);
     }
-    return all.slice(0, limit || 10);
+    // A /handoff continuation lists with the other engine's half beside it.
+    return threadSessions(matching, all, loadSessionLineage({ home: HOME })).slice(0, limit || 10);
   }
 
   function buildPendingStateSessions(engine, cwd) {
@@ -929,6 +932,12 @@ function createSessionStore(deps) {
     return _escapeMd(raw.replace(/\n/g, ' ').slice(0, maxLen)) + (raw.length > maxLen ? '…' : '');
   }
 
+  function _handoffNote(s) {
+    if (s.handoffFrom) return `🔗 接续自 ${s.handoffFrom.engine} ${String(s.handoffFrom.id).slice(0, 8)}`;
+    if (s.handoffTo) return `🔗 已交接到 ${s.handoffTo.engine} ${String(s.handoffTo.id).slice(0, 8)}`;
+    return '';
+  }
+
   function sessionRichLabel(s, index, sessionTags) {
     sessionTags = sessionTags || loadSessionTags();
     const title = sessionDisplayTitle(s, 50, sessionTags);
@@ -942,6 +951,8 @@ function createSessionStore(deps) {
     let line = `${index}. ${title}${title.length >= 50 ? '..' : ''}`;
     if (tags.length) line += `  ${tags.map(t => `#${t}`).join(' ')}`;
     line += `\n   📁${proj} · ${ago} · ${engineLabel}`;
+    const threadNote = _handoffNote(s);
+    if (threadNote) line += `\n   ${threadNote}`;
     const firstSnippet = _cleanSnippet(s.firstPrompt, 50);
     const lastUserSnippet = _cleanSnippet(s.lastUser, 50);
     const lastAiSnippet = _cleanSnippet(s.lastAssistant, 50);
@@ -966,6 +977,8 @@ function createSessionStore(deps) {
       const engineLabel = (s.engine || 'claude') === 'codex' ? 'codex' : 'claude';
 
       let desc = `**${i + 1}. ${title}**\n📁${proj} · ${ago} · ${engineLabel}`;
+      const threadNote = _handoffNote(s);
+      if (threadNote) desc += `\n${threadNote}`;
       desc += `\nID: ${visibleId}`;
       if (tags.length) desc += `\n${tags.map(t => `\`${t}\``).join(' ')}`;
       // Show first prompt, last user message, and last assistant reply
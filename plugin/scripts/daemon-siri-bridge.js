@@ -5,13 +5,60 @@
  * Exposes GET/POST /ask endpoint and returns plain text.
  * Processes through the same Claude pipeline as Telegram/Feishu/iMessage.
  * Designed for iOS Shortcuts: Dictate → HTTP GET/POST → Speak Text.
+ * With `voice.tts` configured, `?format=audio` (or `Accept: audio/*`)
+ * returns the reply as speech from the local TTS command instead.
  */
 
 const http = require('http');
 const querystring = require('querystring');
 
+/**
+ * Collector bot — captures Claude's response instead of sending to a chat.
+ * handleCommand calls bot.sendMessage / sendMarkdown / editMessage as it
+ * streams; we collect everything and return the final text.
+ *
+ * @param {object} [opts]
+ * @param {boolean} [opts.plain=true] - strip markdown (for speech); false keeps it
+ * @param {(payload: string) => void} [opts.onStream] - raw core/handoff.js
+ *   stream payloads (`__STREAM_TEXT__…`, `__TOOL_OVERLAY__…`, plain status)
+ */
+function createCollectorBot({ plain = true, onStream = null } = {}) {
+  const messages = new Map();
+  let nextId = 1;
+  const clean = text => (plain ? String(text || '').replace(/[*_`~#>]/g, '').trim() : String(text || '').trim());
+
+  const bot = {
+    suppressAck: true,
+    sendMessage: async (_chatId, text) => {
+      const id = nextId++;
+      messages.set(id, String(text || ''));
+      return { message_id: id };
+    },
+    sendMarkdown: async (_chatId, text) => {
+      const id = nextId++;
+      messages.set(id, clean(text));
+      return { message_id: id };
+    },
+    editMessage: async (_chatId, msgId, text) => {
+      messages.set(msgId, clean(text));
+      return true;
+    },
+    deleteMessage: async () => false,
+    sendTyping: async () => {},
+    getResult: () => {
+      let last = '';
+      for (const [, text] of messages) {
+        if (text && text.trim()) last = text.trim();
+      }
+      return last;
+    },
+  };
+  if (typeof onStream === 'function') bot.onStream = onStream;
+  return bot;
+}
+
 function createSiriBridge(deps) {
-  const { log, loadConfig, handleCommand } = deps;
+  const { log, loadConfig, handleCommand, voice = null } = deps;
 
   function writeText(res, statusCode, text, extraHeaders = {}) {
     const body = String(text || '');
@@ -37,6 +84,32 @@ function createSiriBridge(deps) {
     res.end(body);
   }
 
+  function wantsAudio(req, urlObj) {
+    if (String(urlObj.searchParams.get('format') || '').toLowerCase() === 'audio') return true;
+    return /^audio\//i.test(String(req.headers.accept || '').trim());
+  }
+
+  async function writeReply(res, req, urlObj, reply) {
+    if (voice && voice.canSpeak() && wantsAudio(req, urlObj)) {
+      try {
+        const speech = await voice.synthesize(reply);
+        if (speech) {
+          res.writeHead(200, {
+            'Content-Type': speech.mime,
+            'Content-Length': speech.audio.length,
+            'Cache-Control': 'no-store, no-transform',
+            'X-Content-Type-Options': 'nosniff',
+          });
+          res.end(speech.audio);
+          return;
+        }
+      } catch (err) {
+        log('WARN', `[SIRI] TTS failed, replying with text: ${err.message}`);
+      }
+    }
+    writeText(res, 200, reply);
+  }
+
   function normalizePlainText(text) {
     return String(text || '').replace(/\r\n/g, '\n').trim();
   }
@@ -82,45 +155,6 @@ function createSiriBridge(deps) {
     return normalizePlainText(body);
   }
 
-  /**
-   * Collector bot — captures Claude's response instead of sending to a chat.
-   * handleCommand calls bot.sendMessage / sendMarkdown / editMessage as it
-   * streams; we collect everything and return the final text.
-   */
-  function createCollectorBot() {
-    const messages = new Map();
-    let nextId = 1;
-
-    const bot = {
-      suppressAck: true,
-      sendMessage: async (_chatId, text) => {
-        const id = nextId++;
-        messages.set(id, String(text || ''));
-        return { message_id: id };
-      },
-      sendMarkdown: async (_chatId, text) => {
-        const id = nextId++;
-        messages.set(id, String(text || '').replace(/[*_`~#>]/g, '').trim());
-        return { message_id: id };
-      },
-      editMessage: async (_chatId, msgId, text) => {
-        const plain = String(text || '').replace(/[*_`~#>]/g, '').trim();
-        messages.set(msgId, plain);
-        return true;
-      },
-      deleteMessage: async () => false,
-      sendTyping: async () => {},
-      getResult: () => {
-        let last = '';
-        for (const [, text] of messages) {
-          if (text && text.trim()) last = text.trim();
-        }
-        return last;
-      },
-    };
-    return bot;
-  }
-
   function startSiriBridge(config, executeTaskByName) {
     const cfg = config.siri_bridge || {};
     if (!cfg.enabled) return null;
@@ -208,7 +242,7 @@ function createSiriBridge(deps) {
         }
 
         log('INFO', `[SIRI] Reply: "${reply.slice(0, 80)}"`);
-        writeText(res, 200, reply);
+        await writeReply(res, req, urlObj, reply);
       } catch (err) {
         if (timedOut) return;
         clearTimeout(timer);
@@ -231,4 +265,4 @@ function createSiriBridge(deps) {
   return { startSiriBridge };
 }
 
-module.exports = { createSiriBridge };
+module.exports = { createSiriBridge, createCollectorBot };
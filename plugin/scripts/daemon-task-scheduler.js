@@ -3,7 +3,28 @@
 const crypto = require('crypto');
 const { classifyTaskUsage } = require('./usage-classifier');
 const { resolveEngineModel } = require('./daemon-engine-runtime');
-const { resolveScopedEngine } = require('./core/engine-policy');
+const {
+  resolveScopedEngine,
+  classifyEngineFailure,
+  resolveEngineFallbackChain,
+  planEngineFailover,
+} = require('./core/engine-policy');
+const { parseCronExpression, nextCronRunAfter } = require('./core/cron-expression');
+const {
+  createTaskTriggerWatcher,
+  normalizeTaskTriggers,
+  describeTrigger,
+} = require('./daemon-task-triggers');
+const {
+  readTaskEdges,
+  hasTaskEdges,
+  buildTaskGraphs,
+  startGraphRun,
+  applyNodeResult,
+  graphRunProgress,
+  isTerminalNodeStatus,
+} = require('./core/task-graph');
+const { appendTaskRun, taskRunLogPath } = require('./task-run-log');
 
 const MODEL_BACKED_SCRIPT_TASKS = new Set([
   'cognitive-distill',
@@ -179,8 +200,33 @@ function normalizeModel(raw) {
   return raw.trim();
 }
 
-function buildTaskSchedule(task, parseInterval) {
+// Schedule modes: interval, clock (at/days), cron (cron + timezone), event
+// (trigger only) and graph (after:/on_failure:, run by upstream tasks). Any
+// clock mode may also carry event `triggers`.
+function buildTaskSchedule(task, parseInterval, { HOME = '', now = Date.now() } = {}) {
+  if (hasTaskEdges(task)) {
+    const edges = readTaskEdges(task);
+    if (!edges.ok) return { ok: false, error: edges.error };
+    return { ok: true, schedule: { mode: 'graph', triggers: [] } };
+  }
+  const parsedTriggers = normalizeTaskTriggers(task, { HOME });
+  if (!parsedTriggers.ok) return { ok: false, error: parsedTriggers.error };
+  const triggers = parsedTriggers.triggers;
   const atRaw = typeof task.at === 'string' ? task.at.trim() : '';
+  const cronRaw = typeof task.cron === 'string' ? task.cron.trim() : '';
+  if (cronRaw) {
+    if (atRaw) return { ok: false, error: 'cron and at cannot be combined' };
+    let cron;
+    try {
+      cron = parseCronExpression(cronRaw, { timezone: task.timezone });
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+    if (!Number.isFinite(nextCronRunAfter(cron, now))) {
+      return { ok: false, error: `cron expression "${cronRaw}" never fires` };
+    }
+    return { ok: true, schedule: { mode: 'cron', cron, triggers } };
+  }
   if (atRaw) {
     const at = parseAtTime(atRaw);
     if (!at) return { ok: false, error: `invalid at time "${task.at}"` };
@@ -193,27 +239,52 @@ function buildTaskSchedule(task, parseInterval) {
         hour: at.hour,
         minute: at.minute,
         days: parsedDays.days,
+        triggers,
       },
     };
   }
 
+  if (triggers.length > 0 && !task.interval) {
+    return { ok: true, schedule: { mode: 'event', triggers } };
+  }
+
   return {
     ok: true,
     schedule: {
       mode: 'interval',
       intervalSec: parseInterval(task.interval),
+      triggers,
     },
   };
 }
 
+// Event and graph tasks have no clock; they run only from queued triggers.
+function isTriggerOnlySchedule(schedule) {
+  return !!schedule && (schedule.mode === 'event' || schedule.mode === 'graph');
+}
+
+function isWallClockSchedule(schedule) {
+  return !!schedule && (schedule.mode === 'clock' || schedule.mode === 'cron');
+}
+
+function nextWallClockRunAfter(schedule, fromMs) {
+  if (schedule.mode === 'cron') {
+    const next = nextCronRunAfter(schedule.cron, fromMs);
+    if (!Number.isFinite(next)) throw new Error(`cron "${schedule.cron.source}" has no upcoming run`);
+    return next;
+  }
+  return nextClockRunAfter(schedule, fromMs);
+}
+
 function nextRunAfter(schedule, fromMs) {
-  if (!schedule || schedule.mode !== 'clock') {
+  if (isTriggerOnlySchedule(schedule)) return Number.POSITIVE_INFINITY;
+  if (!isWallClockSchedule(schedule)) {
     const intervalSec = schedule && Number.isFinite(schedule.intervalSec)
       ? schedule.intervalSec
       : 3600;
     return fromMs + intervalSec * 1000;
   }
-  return nextClockRunAfter(schedule, fromMs);
+  return nextWallClockRunAfter(schedule, fromMs);
 }
 
 function computeInitialNextRun(task, schedule, state, nowMs, checkIntervalSec, newTaskIndex) {
@@ -226,7 +297,9 @@ function computeInitialNextRun(task, schedule, state, nowMs, checkIntervalSec, n
     if (Number.isFinite(retryAt)) return Math.max(nowMs, retryAt);
   }
   const lastActivity = taskState.last_run || taskState.last_claimed_at;
-  if (!schedule || schedule.mode !== 'clock') {
+  // Event and graph tasks wait for a trigger; persisted pending triggers are replayed separately.
+  if (isTriggerOnlySchedule(schedule)) return Number.POSITIVE_INFINITY;
+  if (!isWallClockSchedule(schedule)) {
     const intervalSec = schedule && Number.isFinite(schedule.intervalSec)
       ? schedule.intervalSec
       : 3600;
@@ -240,11 +313,11 @@ function computeInitialNextRun(task, schedule, state, nowMs, checkIntervalSec, n
   if (lastActivity) {
     const lastMs = new Date(lastActivity).getTime();
     if (Number.isFinite(lastMs) && lastMs > 0) {
-      const dueAfterLast = nextClockRunAfter(schedule, lastMs);
+      const dueAfterLast = nextWallClockRunAfter(schedule, lastMs);
       if (dueAfterLast <= nowMs) return nowMs;
     }
   }
-  return nextClockRunAfter(schedule, nowMs);
+  return nextWallClockRunAfter(schedule, nowMs);
 }
 
 function claimScheduledTask(state, taskName, scheduledTime, bootId, now = new Date()) {
@@ -268,6 +341,54 @@ function claimScheduledTask(state, taskName, scheduledTime, bootId, now = new Da
   return { claimed: true, scheduledAt, state: next };
 }
 
+const MAX_PENDING_TRIGGERS = 20;
+
+// Trigger events are persisted on the task record before they are claimed, so
+// an event seen just before a crash still runs after restart. Each event gets
+// a unique millisecond timestamp that doubles as its claim key.
+function queueTaskTrigger(state, taskName, event) {
+  if (!state.tasks) state.tasks = {};
+  const current = state.tasks[taskName] || {};
+  const queue = Array.isArray(current.pending_triggers) ? current.pending_triggers : [];
+  // A path that keeps changing needs one pending run; a dropped file needs one run per file.
+  if (event.kind === 'path_change' && queue.some(e => e.kind === 'path_change')) return false;
+  if (event.kind === 'file_drop' && queue.some(e => e.kind === 'file_drop' && e.path === event.path)) return false;
+  // Webhook senders redeliver with the same id; one run per delivery, queued or already claimed.
+  if (event.kind === 'webhook' && event.delivery
+    && [...queue, current.last_trigger || {}].some(e => e.kind === 'webhook' && e.delivery === event.delivery)) return false;
+  const taken = new Set(queue.map(e => e.at));
+  if (current.last_claimed_schedule) taken.add(current.last_claimed_schedule);
+  let atMs = new Date(event.at || Date.now()).getTime();
+  while (taken.has(new Date(atMs).toISOString())) atMs++;
+  state.tasks[taskName] = {
+    ...current,
+    pending_triggers: [...queue, { ...event, at: new Date(atMs).toISOString() }].slice(-MAX_PENDING_TRIGGERS),
+  };
+  return true;
+}
+
+function takeTaskTrigger(state, taskName) {
+  const current = state.tasks && state.tasks[taskName];
+  const queue = current && Array.isArray(current.pending_triggers) ? current.pending_triggers : [];
+  if (queue.length === 0) return null;
+  const [event, ...rest] = queue;
+  const { pending_triggers: _pending, ...withoutQueue } = current;
+  state.tasks[taskName] = rest.length > 0 ? { ...withoutQueue, pending_triggers: rest } : withoutQueue;
+  return event;
+}
+
+function formatTriggerContext(trigger) {
+  if (!trigger) return '';
+  if (trigger.kind === 'task_complete') return `触发事件: 任务 ${trigger.task} 已结束 (${trigger.status})`;
+  if (trigger.kind === 'task_graph') return `触发事件: 工作流 ${trigger.graph} 上游 ${trigger.upstream} 已完成`;
+  if (trigger.kind === 'file_drop') return `触发事件: 新文件 ${trigger.path}`;
+  if (trigger.kind === 'webhook') {
+    const head = `触发事件: Webhook ${trigger.endpoint}${trigger.event ? ` (${trigger.event})` : ''}`;
+    return trigger.context ? `${head}\n${trigger.context}` : head;
+  }
+  return `触发事件: 路径变更 ${trigger.path || trigger.watched || ''}`.trim();
+}
+
 function mergeTaskScopedState(current, snapshot, taskName) {
   return {
     ...current,
@@ -347,17 +468,34 @@ function finalizeScheduledClaim(state, taskName, bootId, result, now = new Date(
   return true;
 }
 
-function resolveTaskEnginePolicy(task, config, defaultEngine = 'claude', scope = 'auto') {
+// `failover` is the ordered engine_fallback chain (task, else project, else
+// daemon), resolved with the same trust rules as foreground chats.
+function resolveTaskEnginePolicy(task, config, defaultEngine = 'claude', scope = 'auto', { isAvailable } = {}) {
   const projectKey = task && task._project && task._project.key ? String(task._project.key) : '';
   const project = projectKey && config && config.projects ? config.projects[projectKey] : null;
-  return resolveScopedEngine({
+  const daemonCfg = (config && config.daemon) || {};
+  const resolvedScope = scope === 'auto' ? (projectKey ? 'project' : 'background') : scope;
+  const policy = resolveScopedEngine({
     requestedEngine: (task && task.engine) || (project && project.engine) || defaultEngine,
     projectKey,
     project,
-    daemonCfg: (config && config.daemon) || {},
+    daemonCfg,
     defaultEngine,
-    scope: scope === 'auto' ? (projectKey ? 'project' : 'background') : scope,
+    scope: resolvedScope,
   });
+  return {
+    ...policy,
+    failover: resolveEngineFallbackChain({
+      primary: policy.engine,
+      fallbackList: task && task.engine_fallback,
+      projectKey,
+      project,
+      daemonCfg,
+      defaultEngine,
+      scope: resolvedScope,
+      ...(isAvailable ? { isAvailable } : {}),
+    }),
+  };
 }
 
 function createTaskScheduler(deps) {
@@ -384,15 +522,64 @@ function createTaskScheduler(deps) {
     getWakeRecoveryHook,
     skillEvolution,
     backgroundRunner,
+    engineRegistry = null,
     modelRetryDelaysMs = MODEL_RETRY_DELAYS_MS,
   } = deps;
   const schedulerBootId = crypto.randomUUID();
+  // fs watchers outlive clearInterval(); a config reload restarts the
+  // heartbeat, so the previous generation's watchers are closed here.
+  let activeTriggerWatcher = null;
 
   // Max characters from precondition context to inject into prompts (prevents token bombs)
   const MAX_PRECONDITION_CHARS = 4000;
 
+  function isFailoverEngineAvailable(engineId) {
+    if (!engineRegistry || typeof engineRegistry.resolve !== 'function') return true;
+    const plugin = engineRegistry.resolve(engineId).plugin;
+    const runtime = plugin && plugin.runtime;
+    return !!runtime && !(typeof runtime.isReady === 'function' && !runtime.isReady());
+  }
+
   function resolveTaskEngine(task, config, defaultEngine = getDefaultEngine(), scope = 'auto') {
-    return resolveTaskEnginePolicy(task, config, defaultEngine, scope);
+    return resolveTaskEnginePolicy(task, config, defaultEngine, scope, { isAvailable: isFailoverEngineAvailable });
+  }
+
+  // engine_fallback for heartbeat turns, same policy as foreground chats: a
+  // crash is retried once, quota/auth/unavailable moves to the next engine.
+  async function startTurnWithFailover(label, enginePolicy, startTurn) {
+    let engine = enginePolicy.engine;
+    const tried = [];
+    let crashes = 0;
+    let result = await startTurn(engine);
+    while (!result.ok) {
+      const plan = planEngineFailover({
+        failure: classifyEngineFailure(result),
+        engine,
+        chain: enginePolicy.failover || [],
+        tried,
+        crashes,
+      });
+      if (plan.action === 'stop') break;
+      if (plan.action === 'retry') {
+        crashes += 1;
+      } else {
+        tried.push(engine);
+        engine = plan.engine;
+        crashes = 0;
+      }
+      log('WARN', `${label} ${plan.action === 'retry' ? 'retrying' : 'failing over to'} ${engine} after ${plan.reason}`);
+      result = await startTurn(engine);
+    }
+    return { result, engine };
+  }
+
+  // Budget scope for a heartbeat task: charged to the task itself and, for
+  // project heartbeat tasks, to the owning project (core/budget-policy).
+  function taskBudgetScope(task) {
+    return {
+      taskName: task && task.name ? String(task.name) : '',
+      projectKey: task && task._project && task._project.key ? String(task._project.key) : '',
+    };
   }
 
   function ensureBackgroundCwd() {
@@ -521,7 +708,7 @@ function createTaskScheduler(deps) {
 
     const state = loadState();
 
-    if (!checkBudget(config, state)) {
+    if (!checkBudget(config, state, taskBudgetScope(task))) {
       log('WARN', `Budget exceeded, skipping task: ${task.name}`);
       return { success: false, error: 'budget_exceeded', output: '', skipped: true };
     }
@@ -562,6 +749,16 @@ function createTaskScheduler(deps) {
             METAME_DISTILL_ENGINE: engine,
             METAME_TASK_ATTEMPT: String(state.tasks[task.name]?.attempt || 1),
           } : {}),
+          ...(task._trigger ? {
+            METAME_TRIGGER_KIND: task._trigger.kind,
+            METAME_TRIGGER_PATH: task._trigger.path || '',
+            METAME_TRIGGER_TASK: task._trigger.task || task._trigger.upstream || '',
+            ...(task._trigger.kind === 'webhook' ? {
+              METAME_TRIGGER_WEBHOOK: task._trigger.endpoint,
+              METAME_TRIGGER_EVENT: task._trigger.event || '',
+              METAME_TRIGGER_CONTEXT: task._trigger.context || '',
+            } : {}),
+          } : {}),
         };
         delete scriptEnv.CLAUDECODE;
         const rawOutput = execSync(scriptCmd, {
@@ -596,7 +793,7 @@ function createTaskScheduler(deps) {
           scriptTokens = Math.ceil(output.length / 4);
         }
         if (scriptTokens > 0) {
-          recordTokens(state, scriptTokens, { category: classifyTaskUsage(task) });
+          recordTokens(state, scriptTokens, { category: classifyTaskUsage(task), ...taskBudgetScope(task), engine });
         }
 
         const envelopeFailed = taskOutput.envelope && taskOutput.envelope.status === 'failed';
@@ -642,11 +839,12 @@ function createTaskScheduler(deps) {
 
     const preamble = buildProfilePreamble();
     const enginePolicy = resolveTaskEngine(task, config, getDistillEngine(), 'background');
-    const engine = enginePolicy.engine;
+    let engine = enginePolicy.engine;
     if (enginePolicy.fallback) log('WARN', `Task ${task.name} engine fallback: ${enginePolicy.requested} -> ${engine} (${enginePolicy.reason})`);
-    const model = engine === 'claude'
+    const modelFor = turnEngine => (turnEngine === 'claude'
       ? normalizeModel(task.model || getDistillModel())
-      : resolveEngineModel(engine, (config && config.daemon) || {}, task.model);
+      : resolveEngineModel(turnEngine, (config && config.daemon) || {}, task.model));
+    let model = modelFor(engine);
     // If precondition returned context data, append it to the prompt (truncated to prevent token bombs)
     let taskPrompt = task.prompt;
     if (precheck.context) {
@@ -655,6 +853,7 @@ function createTaskScheduler(deps) {
         : precheck.context;
       taskPrompt += `\n\n以下是相关原始数据:\n\`\`\`\n${ctx}\n\`\`\``;
     }
+    if (task._trigger) taskPrompt += `\n\n${formatTriggerContext(task._trigger)}`;
     const fullPrompt = preamble + taskPrompt;
 
     // Auto-detect MCP config in task cwd or project directory
@@ -709,12 +908,14 @@ function createTaskScheduler(deps) {
     if (!backgroundRunner || typeof backgroundRunner.startTurn !== 'function') {
       throw new Error('background_runner_required');
     }
-    return backgroundRunner.startTurn({
-      engine,
-      model,
+    const primaryEngine = engine;
+    return startTurnWithFailover(`Task ${task.name}`, enginePolicy, turnEngine => backgroundRunner.startTurn({
+      engine: turnEngine,
+      model: modelFor(turnEngine),
       prompt: fullPrompt,
       cwd,
-      sessionRef,
+      // A fallback engine cannot resume the primary engine's session.
+      sessionRef: turnEngine === primaryEngine ? sessionRef : { started: false, id: crypto.randomUUID() },
       timeoutMs,
       readOnly: true,
       forbidTools: true,
@@ -724,9 +925,11 @@ function createTaskScheduler(deps) {
       structured: false,
       providerEnv: typeof getDaemonProviderEnv === 'function' ? getDaemonProviderEnv() : {},
       internalPrompt: true,
-    }).then((result) => {
+    })).then(({ result, engine: turnEngine }) => {
+      engine = turnEngine;
+      model = modelFor(engine);
       const { output } = result;
-      if (task.persistent_session && result.sessionId) {
+      if (task.persistent_session && result.sessionId && engine === primaryEngine) {
         if (!state.tasks[task.name]) state.tasks[task.name] = {};
         state.tasks[task.name].session_id = result.sessionId;
       }
@@ -755,7 +958,14 @@ function createTaskScheduler(deps) {
       }
 
       const estimatedTokens = Math.ceil((fullPrompt.length + output.length) / 4);
-      recordTokens(state, estimatedTokens, { category: classifyTaskUsage(task) });
+      recordTokens(state, estimatedTokens, {
+        category: classifyTaskUsage(task),
+        ...taskBudgetScope(task),
+        engine,
+        model,
+        inputTokens: Math.ceil(fullPrompt.length / 4),
+        outputTokens: Math.ceil(output.length / 4),
+      });
       state.tasks[task.name] = { ...(state.tasks[task.name] || {}), last_run: new Date().toISOString(), status: 'success', output_preview: output.slice(0, 200), ...sessionFields };
       saveTaskScopedState(state, task.name);
       maybeSaveTaskMemory(task, output, estimatedTokens, prevSid || '');
@@ -768,7 +978,7 @@ function createTaskScheduler(deps) {
 
   async function executeWorkflow(task, config, precheck) {
     const state = loadState();
-    if (!checkBudget(config, state)) {
+    if (!checkBudget(config, state, taskBudgetScope(task))) {
       log('WARN', `Budget exceeded, skipping workflow: ${task.name}`);
       return { success: false, error: 'budget_exceeded', output: '', skipped: true };
     }
@@ -778,9 +988,9 @@ function createTaskScheduler(deps) {
 
     // Background workflows share the same isolated subconscious boundary.
     const enginePolicy = resolveTaskEngine(task, config, getDistillEngine(), 'background');
-    const engine = enginePolicy.engine;
+    let engine = enginePolicy.engine;
     if (enginePolicy.fallback) log('WARN', `Workflow ${task.name} engine fallback: ${enginePolicy.requested} -> ${engine} (${enginePolicy.reason})`);
-    const model = resolveEngineModel(engine, (config && config.daemon) || {}, task.model);
+    let model = resolveEngineModel(engine, (config && config.daemon) || {}, task.model);
     const cwd = ensureBackgroundCwd();
     let sessionId = crypto.randomUUID();
     const outputs = [];
@@ -799,14 +1009,15 @@ function createTaskScheduler(deps) {
           : precheck.context;
         prompt += `\n\n相关数据:\n\`\`\`\n${ctx}\n\`\`\``;
       }
+      if (i === 0 && task._trigger) prompt += `\n\n${formatTriggerContext(task._trigger)}`;
       log('INFO', `Workflow ${task.name} step ${i + 1}/${steps.length}: ${step.skill || 'prompt'}`);
       // Steps share a session and must run sequentially
       if (!backgroundRunner || typeof backgroundRunner.startTurn !== 'function') {
         throw new Error('background_runner_required');
       }
-      const stepResult = await backgroundRunner.startTurn({
-        engine,
-        model,
+      const startStep = turnEngine => backgroundRunner.startTurn({
+        engine: turnEngine,
+        model: resolveEngineModel(turnEngine, (config && config.daemon) || {}, task.model),
         prompt,
         cwd,
         sessionRef: { started: i > 0, id: sessionId },
@@ -820,6 +1031,17 @@ function createTaskScheduler(deps) {
         providerEnv: typeof getDaemonProviderEnv === 'function' ? getDaemonProviderEnv() : {},
         internalPrompt: true,
       });
+      // Later steps resume the first step's session, so only the first step
+      // may fail over; the engine that answered it runs the rest.
+      let stepResult;
+      if (i === 0) {
+        const first = await startTurnWithFailover(`Workflow ${task.name}`, enginePolicy, startStep);
+        stepResult = first.result;
+        engine = first.engine;
+        model = resolveEngineModel(engine, (config && config.daemon) || {}, task.model);
+      } else {
+        stepResult = await startStep(engine);
+      }
       if (stepResult.ok) {
         if (stepResult.sessionId) sessionId = stepResult.sessionId;
         const output = stepResult.output;
@@ -827,13 +1049,13 @@ function createTaskScheduler(deps) {
         totalTokens += tk;
         outputs.push({ step: i + 1, skill: step.skill || null, output: output.slice(0, 500), tokens: tk });
         log('INFO', `Workflow ${task.name} step ${i + 1} done (${tk} tokens)`);
-        if (!checkBudget(config, loopState)) { log('WARN', 'Budget exceeded mid-workflow'); break; }
+        if (!checkBudget(config, loopState, taskBudgetScope(task))) { log('WARN', 'Budget exceeded mid-workflow'); break; }
       } else {
         const errMsg = stepResult.error.slice(0, 200);
         log('ERROR', `Workflow ${task.name} step ${i + 1} failed: ${errMsg}`);
         outputs.push({ step: i + 1, skill: step.skill || null, error: errMsg });
         if (!step.optional) {
-          recordTokens(loopState, totalTokens, { category: classifyTaskUsage(task) });
+          recordTokens(loopState, totalTokens, { category: classifyTaskUsage(task), ...taskBudgetScope(task), engine, model });
           state.tasks[task.name] = { ...(state.tasks[task.name] || {}), last_run: new Date().toISOString(), status: 'error', error: `Step ${i + 1} failed`, steps_completed: i, steps_total: steps.length };
           saveTaskScopedState(state, task.name);
           return {
@@ -847,7 +1069,7 @@ function createTaskScheduler(deps) {
         }
       }
     }
-    recordTokens(loopState, totalTokens, { category: classifyTaskUsage(task) });
+    recordTokens(loopState, totalTokens, { category: classifyTaskUsage(task), ...taskBudgetScope(task), engine, model });
     const lastOk = [...outputs].reverse().find(o => !o.error);
     state.tasks[task.name] = { ...(state.tasks[task.name] || {}), last_run: new Date().toISOString(), status: 'success', output_preview: (lastOk ? lastOk.output : '').slice(0, 200), steps_completed: outputs.filter(o => !o.error).length, steps_total: steps.length };
     saveTaskScopedState(state, task.name);
@@ -905,10 +1127,16 @@ function createTaskScheduler(deps) {
       }
     }
 
+    // Dependency graphs (after:/on_failure:). Validated over every configured
+    // task, so an edge may point at a disabled task.
+    const taskGraphs = buildTaskGraphs(tasks);
+    if (!taskGraphs.ok) log('ERROR', `Task graph rejected, dependent tasks disabled: ${taskGraphs.errors.join('; ')}`);
+
     const taskSchedules = new Map();
     const runnableTasks = [];
     for (const task of enabledTasks) {
-      const parsed = buildTaskSchedule(task, parseInterval);
+      if (hasTaskEdges(task) && !taskGraphs.ok) continue;
+      const parsed = buildTaskSchedule(task, parseInterval, { HOME });
       if (!parsed.ok) {
         log('WARN', `Skipping task "${task.name}": ${parsed.error}`);
         continue;
@@ -942,13 +1170,138 @@ function createTaskScheduler(deps) {
     for (const task of runnableTasks) {
       const schedule = taskSchedules.get(task.name);
       if (!schedule) continue;
-      if (schedule.mode !== 'clock') newTaskIndex++;
+      if (schedule.mode === 'interval') newTaskIndex++;
       nextRun[task.name] = computeInitialNextRun(task, schedule, state, now, checkIntervalSec, newTaskIndex);
     }
 
     // Tracks tasks currently running (prevents concurrent runs of the same task)
     const runningTasks = new Set();
 
+    const runnableNames = new Set(runnableTasks.map(task => task.name));
+
+    // Record a graph member's terminal status on `graphState` and queue the
+    // dependents it releases. Returns the names queued to run.
+    function settleGraphNode(graphState, graph, name, status) {
+      const run = graphState.task_graphs && graphState.task_graphs[graph.id];
+      if (!run || run.status !== 'running' || run.nodes[name] !== 'running') return [];
+      const nowIso = new Date().toISOString();
+      const outcome = applyNodeResult(graph, run, name, status, { now: nowIso });
+      if (!graphState.tasks) graphState.tasks = {};
+      for (const { name: skipped, upstream } of outcome.upstreamFailed) {
+        graphState.tasks[skipped] = {
+          ...(graphState.tasks[skipped] || {}),
+          status: 'skipped',
+          skip_reason: `upstream_failed: ${upstream}`,
+          last_skip_at: nowIso,
+        };
+        log('WARN', `Task ${skipped} skipped — upstream ${upstream} failed (graph ${graph.id})`);
+      }
+      for (const ready of outcome.ready) {
+        queueTaskTrigger(graphState, ready, {
+          kind: 'task_graph', graph: graph.id, run_id: run.run_id, upstream: name, at: nowIso,
+        });
+      }
+      if (outcome.finished) {
+        const { done, total } = graphRunProgress(graph, run);
+        log(run.status === 'success' ? 'INFO' : 'WARN', `Task graph ${graph.id} ${run.status} (${done}/${total})`);
+      }
+      return outcome.ready;
+    }
+
+    // Graph runs left open by a restart: drop runs whose membership changed in
+    // config, and settle members that finished or were interrupted meanwhile.
+    let graphStateChanged = false;
+    for (const graph of taskGraphs.graphs) {
+      const run = state.task_graphs && state.task_graphs[graph.id];
+      if (!run || run.status !== 'running') continue;
+      const recorded = Object.keys(run.nodes || {});
+      if (recorded.length !== graph.members.length || !graph.members.every(name => recorded.includes(name))) {
+        run.status = 'abandoned';
+        graphStateChanged = true;
+        continue;
+      }
+      for (const name of graph.members) {
+        const taskState = state.tasks?.[name] || {};
+        if (run.nodes[name] !== 'running' || !['success', 'error', 'skipped', 'interrupted'].includes(taskState.status)) continue;
+        if (String(taskState.last_claimed_at || '') < String(run.started_at || '')) continue;
+        settleGraphNode(state, graph, name, taskState.status);
+        graphStateChanged = true;
+      }
+    }
+    if (graphStateChanged) saveState(state);
+
+    // Called with the claim state before it is saved.
+    function markGraphTaskStarted(claimState, task, trigger) {
+      const graph = taskGraphs.graphOf.get(task.name);
+      if (!graph) return;
+      if (!claimState.task_graphs) claimState.task_graphs = {};
+      let run = claimState.task_graphs[graph.id];
+      if (trigger && trigger.kind === 'task_graph') {
+        if (run && run.status === 'running' && run.run_id === trigger.run_id) run.nodes[task.name] = 'running';
+        return;
+      }
+      if (!graph.roots.includes(task.name)) return;
+      // A root opens a new run unless it is still part of the open one (e.g. a retry).
+      if (!run || run.status !== 'running' || isTerminalNodeStatus(run.nodes[task.name])) {
+        if (run && run.status === 'running') run.status = 'superseded';
+        run = startGraphRun(graph, {
+          runId: crypto.randomUUID(),
+          now: claimState.tasks[task.name].last_claimed_at,
+          inactive: new Set(graph.members.filter(name => !runnableNames.has(name))),
+        });
+        claimState.task_graphs[graph.id] = run;
+      }
+      run.nodes[task.name] = 'running';
+    }
+
+    function advanceTaskGraph(task, status) {
+      const graph = taskGraphs.graphOf.get(task.name);
+      if (!graph) return;
+      const graphState = loadState();
+      const lastTrigger = graphState.tasks?.[task.name]?.last_trigger;
+      const run = graphState.task_graphs && graphState.task_graphs[graph.id];
+      // A dependent still finishing from a superseded run must not settle the new one.
+      if (lastTrigger && lastTrigger.kind === 'task_graph' && (!run || lastTrigger.run_id !== run.run_id)) return;
+      const ready = settleGraphNode(graphState, graph, task.name, status);
+      saveState(graphState);
+      for (const name of ready) {
+        const next = runnableTasks.find(item => item.name === name);
+        if (!next) continue;
+        pendingTriggerTasks.add(name);
+        processTask(next, Date.now());
+      }
+    }
+
+    // Event triggers: tasks with persisted, not-yet-claimed trigger events.
+    const pendingTriggerTasks = new Set(runnableTasks
+      .filter(task => (state.tasks?.[task.name]?.pending_triggers || []).length > 0)
+      .map(task => task.name));
+    if (activeTriggerWatcher) activeTriggerWatcher.close();
+    activeTriggerWatcher = null;
+    const triggeredTasks = runnableTasks.filter(task => taskSchedules.get(task.name).triggers.length > 0);
+    const triggerWatcher = triggeredTasks.length > 0
+      ? createTaskTriggerWatcher({ fs, path, log, onTrigger: handleTrigger })
+      : null;
+    activeTriggerWatcher = triggerWatcher;
+    for (const task of triggeredTasks) {
+      const taskState = state.tasks?.[task.name] || {};
+      const since = new Date(taskState.last_claimed_at || taskState.last_run || 0).getTime();
+      triggerWatcher.watchTask(task.name, taskSchedules.get(task.name).triggers, { since });
+      log('INFO', `Task ${task.name} triggers: ${taskSchedules.get(task.name).triggers.map(describeTrigger).join('; ')}`);
+    }
+
+    function handleTrigger(taskName, event) {
+      if (activeTriggerWatcher !== triggerWatcher) return;
+      const task = runnableTasks.find(item => item.name === taskName);
+      if (!task) return;
+      const triggerState = loadState();
+      if (!queueTaskTrigger(triggerState, taskName, event)) return;
+      saveState(triggerState);
+      pendingTriggerTasks.add(taskName);
+      log('INFO', `Task ${taskName} triggered: ${formatTriggerContext(event).split('\n')[0]}`);
+      processTask(task, Date.now());
+    }
+
     function writeTaskReceipt(envelope, delivery) {
       const requested = envelope && envelope.receipt && envelope.receipt.path;
       const receiptRoot = path.join(HOME, '.metame', 'research-radar', 'delivery-receipts');
@@ -1065,6 +1418,22 @@ function createTaskScheduler(deps) {
       }, taskState);
     }
 
+    function recordTaskRun(taskName, taskState) {
+      try {
+        appendTaskRun(taskRunLogPath(HOME), {
+          name: taskName,
+          status: taskState.status,
+          attempt: taskState.attempt || 1,
+          started_at: taskState.last_claimed_at || null,
+          finished_at: new Date().toISOString(),
+          error_code: taskState.error_code || null,
+          error: taskState.error || null,
+        });
+      } catch (e) {
+        log('WARN', `Task run log write failed: ${e.message}`);
+      }
+    }
+
     function completeScheduledTask(task, result) {
       const finalState = loadState();
       const modelBacked = isModelBackedTask(task);
@@ -1078,6 +1447,7 @@ function createTaskScheduler(deps) {
       );
       if (changed) saveState(finalState);
       const taskState = finalState.tasks?.[task.name] || {};
+      if (changed && !result.skipped) recordTaskRun(task.name, taskState);
       if (taskState.status === 'retry_pending' && taskState.next_retry_at) {
         nextRun[task.name] = new Date(taskState.next_retry_at).getTime();
         log('WARN', `Task ${task.name} attempt ${taskState.attempt}/3 failed — retry at ${taskState.next_retry_at}`);
@@ -1085,6 +1455,87 @@ function createTaskScheduler(deps) {
       }
       if (task.one_shot === true) nextRun[task.name] = Number.POSITIVE_INFINITY;
       notifyTaskCompletion(task, result, taskState);
+      if (triggerWatcher && !result.skipped) triggerWatcher.taskFinished(task.name, taskState.status);
+      advanceTaskGraph(task, taskState.status);
+      // Trigger events that arrived while this run was busy run next, in order.
+      if (pendingTriggerTasks.has(task.name)) processTask(task, Date.now());
+    }
+
+    function processTask(task, currentTime) {
+      const schedule = taskSchedules.get(task.name);
+      if (!schedule) return;
+      const timeDue = currentTime >= (nextRun[task.name] || 0);
+      if (!timeDue && !pendingTriggerTasks.has(task.name)) return;
+      const scheduledTime = nextRun[task.name] || currentTime;
+      // Dream tasks: only run when user is idle
+      if (task.require_idle && !isUserIdle()) {
+        // Retry on next scheduler tick instead of waiting full interval.
+        if (timeDue) nextRun[task.name] = currentTime + checkIntervalSec * 1000;
+        log('INFO', `[DAEMON] Deferring dream task "${task.name}" — user active`);
+        return;
+      }
+
+      if (runningTasks.has(task.name)) {
+        if (!timeDue) return; // pending trigger waits for the current run
+        // Task is still running; skip this cycle and keep full interval cadence.
+        nextRun[task.name] = safeNextRun(task.name, schedule, currentTime).next;
+        log('WARN', `Task ${task.name} still running — skipping this interval`);
+        return;
+      }
+
+      let runTimed = timeDue;
+      if (timeDue) {
+        const { next: nextRunTime, failed: schedFailed } = safeNextRun(task.name, schedule, currentTime);
+        nextRun[task.name] = nextRunTime;
+        if (schedFailed) runTimed = false; // back off, skip the timed execution this cycle
+      }
+      const claimState = loadState();
+      let trigger = null;
+      if (!runTimed) {
+        trigger = takeTaskTrigger(claimState, task.name);
+        if (!(claimState.tasks?.[task.name]?.pending_triggers || []).length) pendingTriggerTasks.delete(task.name);
+        if (!trigger) return;
+      }
+      const claim = claimScheduledTask(
+        claimState,
+        task.name,
+        trigger ? new Date(trigger.at).getTime() : scheduledTime,
+        schedulerBootId,
+      );
+      if (!claim.claimed) {
+        if (trigger) saveState(claimState);
+        log('INFO', `Task ${task.name} schedule already claimed — skipping duplicate tick`);
+        return;
+      }
+      // A retry of a triggered run keeps its event; a fresh timed run drops it.
+      if (trigger) claimState.tasks[task.name].last_trigger = trigger;
+      else if (claim.state.attempt > 1 && claim.state.last_trigger) trigger = claim.state.last_trigger;
+      else delete claimState.tasks[task.name].last_trigger;
+      markGraphTaskStarted(claimState, task, trigger);
+      saveState(claimState);
+      runningTasks.add(task.name);
+      // executeTask now returns a Promise (async, non-blocking, process-group kill)
+      Promise.resolve(executeTask(trigger ? { ...task, _trigger: trigger } : task, config))
+        .then((result) => {
+          runningTasks.delete(task.name);
+          completeScheduledTask(task, result);
+          // Budget exceeded: back off until next day instead of retrying every interval
+          if (result.error === 'budget_exceeded' && !isTriggerOnlySchedule(schedule)) {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            tomorrow.setHours(0, 5, 0, 0); // 00:05 next day
+            nextRun[task.name] = tomorrow.getTime();
+          }
+        })
+        .catch((err) => {
+          runningTasks.delete(task.name);
+          completeScheduledTask(task, {
+            success: false,
+            error: err.message,
+            errorCode: err.code || 'UNHANDLED_TASK_ERROR',
+          });
+          log('ERROR', `Task ${task.name} threw: ${err.message}`);
+        });
     }
 
     // Wake detection: if tick interval far exceeds expected, system likely slept (macOS lid close).
@@ -1127,64 +1578,9 @@ function createTaskScheduler(deps) {
         log('INFO', '[DAEMON] Exiting Sleep Mode — local activity detected');
       }
 
-      // ② Task heartbeat (burns tokens on schedule)
+      // ② Task heartbeat (burns tokens on schedule, or on pending trigger events)
       const currentTime = Date.now();
-      for (const task of runnableTasks) {
-        const schedule = taskSchedules.get(task.name);
-        if (!schedule) continue;
-        if (currentTime >= (nextRun[task.name] || 0)) {
-          const scheduledTime = nextRun[task.name] || currentTime;
-          // Dream tasks: only run when user is idle
-          if (task.require_idle && !isUserIdle()) {
-            // Retry on next scheduler tick instead of waiting full interval.
-            nextRun[task.name] = currentTime + checkIntervalSec * 1000;
-            log('INFO', `[DAEMON] Deferring dream task "${task.name}" — user active`);
-            continue;
-          }
-
-          if (runningTasks.has(task.name)) {
-            // Task is still running; skip this cycle and keep full interval cadence.
-            nextRun[task.name] = safeNextRun(task.name, schedule, currentTime).next;
-            log('WARN', `Task ${task.name} still running — skipping this interval`);
-            continue;
-          }
-
-          const { next: nextRunTime, failed: schedFailed } = safeNextRun(task.name, schedule, currentTime);
-          nextRun[task.name] = nextRunTime;
-          if (schedFailed) continue; // back off, skip execution this cycle
-          const claimState = loadState();
-          const claim = claimScheduledTask(claimState, task.name, scheduledTime, schedulerBootId);
-          if (!claim.claimed) {
-            log('INFO', `Task ${task.name} schedule already claimed — skipping duplicate tick`);
-            continue;
-          }
-          saveState(claimState);
-          runningTasks.add(task.name);
-          // executeTask now returns a Promise (async, non-blocking, process-group kill)
-          Promise.resolve(executeTask(task, config))
-            .then((result) => {
-              runningTasks.delete(task.name);
-              completeScheduledTask(task, result);
-              // Budget exceeded: back off until next day instead of retrying every interval
-              if (result.error === 'budget_exceeded') {
-                const tomorrow = new Date();
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                tomorrow.setHours(0, 5, 0, 0); // 00:05 next day
-                nextRun[task.name] = tomorrow.getTime();
-                return;
-              }
-            })
-            .catch((err) => {
-              runningTasks.delete(task.name);
-              completeScheduledTask(task, {
-                success: false,
-                error: err.message,
-                errorCode: err.code || 'UNHANDLED_TASK_ERROR',
-              });
-              log('ERROR', `Task ${task.name} threw: ${err.message}`);
-            });
-        }
-      }
+      for (const task of runnableTasks) processTask(task, currentTime);
 
       // Skill evolution: check queue and notify user of actionable items
       // Can be disabled via daemon.yaml: skill_evolution_notify: false
@@ -1224,6 +1620,14 @@ function createTaskScheduler(deps) {
     return timer;
   }
 
+  /**
+   * Queue a run for every task subscribed with `trigger: { webhook: <endpoint> }`.
+   * @returns {string[]} names of the subscribed tasks
+   */
+  function fireWebhookTrigger(endpoint, detail = {}) {
+    return activeTriggerWatcher ? activeTriggerWatcher.webhookReceived(endpoint, detail) : [];
+  }
+
   return {
     checkPrecondition,
     executeTask,
@@ -1231,6 +1635,7 @@ function createTaskScheduler(deps) {
     getAllTasks,
     findTask,
     startHeartbeat,
+    fireWebhookTrigger,
   };
 }
 
@@ -1247,6 +1652,8 @@ module.exports = {
     mergeTaskScopedState,
     recoverInterruptedClaims,
     finalizeScheduledClaim,
+    queueTaskTrigger,
+    takeTaskTrigger,
     nextRunAfter,
     resolveTaskEngine: resolveTaskEnginePolicy,
     isModelBackedTask,
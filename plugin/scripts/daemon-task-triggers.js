@@ -0,0 +1,287 @@
+'use strict';
+
+/**
+ * daemon-task-triggers.js
+ *
+ * Event triggers for heartbeat tasks. A task declares `trigger:` (one entry or
+ * a list) instead of, or in addition to, a clock schedule:
+ *
+ *   trigger: { watch: ~/notes, debounce: 5s }              # path changed
+ *   trigger: { drop_folder: ~/inbox, pattern: "*.pdf" }   # new file landed
+ *   trigger: { task: memory-extract, status: success }    # task finished
+ *   trigger: { webhook: ci-failed }                       # webhooks endpoint hit
+ *
+ * The watcher only detects events and hands them to `onTrigger(taskName,
+ * event)`; webhook events arrive from daemon-webhooks.js through
+ * `webhookReceived`. The scheduler turns each event into a normal claimed run, so
+ * event-driven runs share the claim/finalize crash-recovery path of clock runs.
+ */
+
+const TASK_STATUSES = new Set(['success', 'error', 'skipped', 'any']);
+const PARTIAL_FILE_RE = /\.(?:tmp|part|crdownload|download|swp)$|~$/i;
+const DEFAULT_WATCH_DEBOUNCE_MS = 2000;
+const DEFAULT_DROP_SETTLE_MS = 1000;
+const WEBHOOK_NAME_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function parseDurationMs(raw, fallback) {
+  if (raw === undefined || raw === null || raw === '') return fallback;
+  if (typeof raw === 'number') return Number.isFinite(raw) && raw >= 0 ? raw : fallback;
+  const m = String(raw).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m)?$/);
+  if (!m) return fallback;
+  const n = Number(m[1]);
+  if (m[2] === 'm') return n * 60000;
+  if (m[2] === 's') return n * 1000;
+  return n;
+}
+
+function globToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function expandHome(p, HOME) {
+  const text = String(p || '').trim();
+  if (text === '~') return HOME;
+  if (text.startsWith('~/')) return `${HOME}${text.slice(1)}`;
+  return text;
+}
+
+/**
+ * Validate a task's `trigger:` block. Returns { ok, triggers } or { ok: false, error }.
+ * Paths are expanded but not required to exist yet.
+ */
+function normalizeTaskTriggers(task, { HOME = '' } = {}) {
+  const raw = task && task.trigger;
+  if (raw === undefined || raw === null) return { ok: true, triggers: [] };
+  const specs = Array.isArray(raw) ? raw : [raw];
+  const triggers = [];
+  for (const spec of specs) {
+    if (!spec || typeof spec !== 'object') return { ok: false, error: 'trigger must be a mapping' };
+    const kinds = ['watch', 'drop_folder', 'task', 'webhook'].filter(key => spec[key] !== undefined);
+    if (kinds.length !== 1) {
+      return { ok: false, error: 'trigger needs exactly one of watch, drop_folder, task or webhook' };
+    }
+    if (spec.webhook !== undefined) {
+      const endpoint = String(spec.webhook || '').trim();
+      if (!WEBHOOK_NAME_RE.test(endpoint)) return { ok: false, error: `invalid trigger.webhook "${spec.webhook}"` };
+      triggers.push({ kind: 'webhook', endpoint });
+      continue;
+    }
+    if (spec.task !== undefined) {
+      const upstream = String(spec.task || '').trim();
+      const status = String(spec.status || 'success').trim().toLowerCase();
+      if (!upstream) return { ok: false, error: 'trigger.task must name a task' };
+      if (upstream === task.name) return { ok: false, error: 'trigger.task cannot reference itself' };
+      if (!TASK_STATUSES.has(status)) return { ok: false, error: `invalid trigger.status "${spec.status}"` };
+      triggers.push({ kind: 'task_complete', task: upstream, status });
+      continue;
+    }
+    const target = expandHome(spec.watch !== undefined ? spec.watch : spec.drop_folder, HOME);
+    if (!target) return { ok: false, error: 'trigger path is empty' };
+    if (spec.watch !== undefined) {
+      triggers.push({
+        kind: 'path_change',
+        path: target,
+        debounceMs: parseDurationMs(spec.debounce, DEFAULT_WATCH_DEBOUNCE_MS),
+      });
+    } else {
+      triggers.push({
+        kind: 'file_drop',
+        path: target,
+        pattern: spec.pattern ? String(spec.pattern) : '',
+        settleMs: parseDurationMs(spec.settle, DEFAULT_DROP_SETTLE_MS),
+      });
+    }
+  }
+  return { ok: true, triggers };
+}
+
+/** Short human description, used by /tasks and prompts. */
+function describeTrigger(trigger) {
+  if (!trigger) return '';
+  if (trigger.kind === 'task_complete') return `after ${trigger.task} ${trigger.status}`;
+  if (trigger.kind === 'file_drop') return `on file in ${trigger.path}${trigger.pattern ? ` (${trigger.pattern})` : ''}`;
+  if (trigger.kind === 'webhook') return `on webhook ${trigger.endpoint}`;
+  return `on change ${trigger.path}`;
+}
+
+function createTaskTriggerWatcher(deps) {
+  const {
+    fs,
+    path,
+    log,
+    onTrigger,
+    now = () => Date.now(),
+  } = deps;
+
+  const watchers = [];
+  const timers = new Set();
+  const completionListeners = [];
+  const webhookListeners = [];
+  let closed = false;
+
+  function emit(taskName, event) {
+    if (closed) return;
+    try {
+      onTrigger(taskName, { ...event, at: new Date(now()).toISOString() });
+    } catch (e) {
+      log('WARN', `[TRIGGER] ${taskName} handler failed: ${e.message}`);
+    }
+  }
+
+  function later(fn, ms) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    if (typeof timer.unref === 'function') timer.unref();
+    timers.add(timer);
+    return timer;
+  }
+
+  function startFsWatch(taskName, target, options, listener) {
+    try {
+      const watcher = fs.watch(target, options, listener);
+      if (typeof watcher.unref === 'function') watcher.unref();
+      watcher.on('error', (e) => log('WARN', `[TRIGGER] ${taskName} watcher error on ${target}: ${e.message}`));
+      watchers.push(watcher);
+      return true;
+    } catch (e) {
+      log('WARN', `[TRIGGER] ${taskName} cannot watch ${target}: ${e.message}`);
+      return false;
+    }
+  }
+
+  function watchPathChange(taskName, trigger) {
+    let isDir = false;
+    try { isDir = fs.statSync(trigger.path).isDirectory(); } catch { /* watched below; reports missing path */ }
+    let pending = null;
+    let lastPath = '';
+    return startFsWatch(taskName, trigger.path, { recursive: isDir }, (_type, filename) => {
+      lastPath = filename ? path.join(isDir ? trigger.path : path.dirname(trigger.path), String(filename)) : trigger.path;
+      if (pending) {
+        clearTimeout(pending);
+        timers.delete(pending);
+      }
+      pending = later(() => {
+        pending = null;
+        emit(taskName, { kind: 'path_change', path: lastPath, watched: trigger.path });
+      }, trigger.debounceMs);
+    });
+  }
+
+  function watchDropFolder(taskName, trigger, since) {
+    const matcher = trigger.pattern ? globToRegExp(trigger.pattern) : null;
+    const seen = new Map();
+    const settling = new Map();
+
+    function accepts(name) {
+      if (!name || name.startsWith('.') || PARTIAL_FILE_RE.test(name)) return false;
+      return !matcher || matcher.test(name);
+    }
+
+    function landed(full) {
+      let stat;
+      try { stat = fs.statSync(full); } catch { return; }
+      if (!stat.isFile()) return;
+      const stamp = `${stat.mtimeMs}:${stat.size}`;
+      if (seen.get(full) === stamp) return;
+      seen.set(full, stamp);
+      emit(taskName, { kind: 'file_drop', path: full, watched: trigger.path });
+    }
+
+    function consider(name) {
+      if (!accepts(name)) return;
+      const full = path.join(trigger.path, name);
+      // Wait for the writer to finish before firing; restart the wait on every event.
+      if (settling.has(full)) {
+        const prev = settling.get(full);
+        clearTimeout(prev);
+        timers.delete(prev);
+      }
+      settling.set(full, later(() => {
+        settling.delete(full);
+        landed(full);
+      }, trigger.settleMs));
+    }
+
+    // Files that landed while the daemon was down fire once on start.
+    if (Number.isFinite(since) && since > 0) {
+      let names = [];
+      try { names = fs.readdirSync(trigger.path); } catch { names = []; }
+      for (const name of names) {
+        if (!accepts(name)) continue;
+        const full = path.join(trigger.path, name);
+        try {
+          const stat = fs.statSync(full);
+          if (stat.isFile() && stat.mtimeMs > since) landed(full);
+          else if (stat.isFile()) seen.set(full, `${stat.mtimeMs}:${stat.size}`);
+        } catch { /* raced with removal */ }
+      }
+    }
+
+    return startFsWatch(taskName, trigger.path, {}, (_type, filename) => consider(filename ? String(filename) : ''));
+  }
+
+  /**
+   * Start watching one task's triggers. `since` (ms) lets a drop folder
+   * replay files that arrived after the task last ran.
+   */
+  function watchTask(taskName, triggers, { since = 0 } = {}) {
+    for (const trigger of triggers || []) {
+      if (trigger.kind === 'task_complete') {
+        completionListeners.push({ taskName, trigger });
+      } else if (trigger.kind === 'path_change') {
+        watchPathChange(taskName, trigger);
+      } else if (trigger.kind === 'file_drop') {
+        watchDropFolder(taskName, trigger, since);
+      } else if (trigger.kind === 'webhook') {
+        webhookListeners.push({ taskName, trigger });
+      }
+    }
+  }
+
+  /** Called by the scheduler when a run reaches a terminal status. */
+  function taskFinished(upstreamName, status) {
+    const normalized = String(status || '').toLowerCase();
+    for (const { taskName, trigger } of completionListeners) {
+      if (trigger.task !== upstreamName) continue;
+      if (trigger.status !== 'any' && trigger.status !== normalized) continue;
+      emit(taskName, { kind: 'task_complete', task: upstreamName, status: normalized });
+    }
+  }
+
+  /**
+   * Called by the webhook server for a verified request. `detail` carries the
+   * event name, delivery id and rendered context. Returns the subscribed tasks.
+   */
+  function webhookReceived(endpoint, detail = {}) {
+    const matched = [];
+    for (const { taskName, trigger } of webhookListeners) {
+      if (trigger.endpoint !== endpoint) continue;
+      emit(taskName, { ...detail, kind: 'webhook', endpoint });
+      matched.push(taskName);
+    }
+    return matched;
+  }
+
+  function close() {
+    closed = true;
+    for (const watcher of watchers.splice(0)) {
+      try { watcher.close(); } catch { /* already closed */ }
+    }
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+    completionListeners.length = 0;
+    webhookListeners.length = 0;
+  }
+
+  return { watchTask, taskFinished, webhookReceived, close };
+}
+
+module.exports = {
+  createTaskTriggerWatcher,
+  normalizeTaskTriggers,
+  describeTrigger,
+  parseDurationMs,
+};
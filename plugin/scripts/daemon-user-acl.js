@@ -21,6 +21,8 @@ const path = require('path');
 const os = require('os');
 
 const USERS_FILE = path.join(os.homedir(), '.metame', 'users.yaml');
+// Matrix user ID: "@name:server" (written as a quoted key in users.yaml)
+const MATRIX_USER_ID_RE = /^@[^:\s"]+:[^\s"]+$/;
 
 // ─── YAML 轻量解析（无依赖） ─────────────────────────────────────────────────
 // 只解析本文件需要的简单结构，不引入 js-yaml 依赖
@@ -47,11 +49,11 @@ function parseSimpleYaml(content) {
         currentUserId = null;
       }
     } else if (indent === 2 && currentSection === 'users') {
-      const m = stripped.match(/^([\w_-]+):\s*\{?(.*)\}?$/);
+      const m = stripped.match(/^(?:"([^"]+)"|([\w_-]+)):\s*\{?(.*)\}?$/);
       if (m) {
-        currentUserId = m[1];
+        currentUserId = m[1] || m[2];
         result.users = result.users || {};
-        result.users[currentUserId] = parseInlineObj(m[2]);
+        result.users[currentUserId] = parseInlineObj(m[3]);
       }
     } else if (indent === 4 && currentSection === 'users' && currentUserId) {
       const m = stripped.match(/^([\w_]+):\s*(.+)$/);
@@ -109,14 +111,15 @@ function serializeUsers(data) {
       ? `, allowed_actions: [${info.allowed_actions.join(', ')}]`
       : '';
     const safeName = info.name ? `, name: ${sanitizeYamlScalar(info.name)}` : '';
-    lines.push(`  ${uid}: { role: ${info.role}${safeName}${actions} }`);
+    const key = /^[\w-]+$/.test(uid) ? uid : `"${uid}"`;
+    lines.push(`  ${key}: { role: ${info.role}${safeName}${actions} }`);
   }
   return lines.join('\n') + '\n';
 }
 
-// 飞书 open_id 格式校验（字母数字下划线，10-64 位）
+// 用户 ID 格式校验：飞书 open_id（字母数字下划线，10-64 位）或 Matrix user ID
 function isValidOpenId(uid) {
-  return typeof uid === 'string' && /^[a-zA-Z0-9_-]{10,64}$/.test(uid);
+  return typeof uid === 'string' && (/^[a-zA-Z0-9_-]{10,64}$/.test(uid) || MATRIX_USER_ID_RE.test(uid));
 }
 
 // ─── 加载用户配置 ─────────────────────────────────────────────────────────────
@@ -188,15 +191,19 @@ const ADMIN_ONLY_ACTIONS = new Set(['system', 'agent', 'config', 'admin_acl']);
 function resolveUserCtx(senderId, config, opts = {}) {
   const fromAllowedChat = !!(opts && opts.fromAllowedChat);
   const userData = loadUsers();
-  // Per-platform bootstrap: Feishu open_id starts with "ou_", Telegram IDs are numeric.
+  // Per-platform bootstrap: Feishu open_id starts with "ou_", Telegram IDs are numeric,
+  // Matrix user IDs look like "@name:server".
   const allUsers = userData && userData.users ? userData.users : {};
   const isFeishuId = senderId && senderId.startsWith('ou_');
   const isTelegramId = senderId && /^\d+$/.test(senderId);
+  const isMatrixId = senderId && MATRIX_USER_ID_RE.test(senderId);
   const hasPlatformAdmin = isFeishuId
     ? Object.keys(allUsers).some(id => id.startsWith('ou_'))
     : isTelegramId
       ? Object.keys(allUsers).some(id => /^\d+$/.test(id))
-      : Object.keys(allUsers).length > 0;
+      : isMatrixId
+        ? Object.keys(allUsers).some(id => MATRIX_USER_ID_RE.test(id))
+        : Object.keys(allUsers).length > 0;
   const hasConfiguredUsers = hasPlatformAdmin;
 
   let role, name, allowedActions;
@@ -263,6 +270,10 @@ function resolveUserCtx(senderId, config, opts = {}) {
     }
   }
 
+  return buildUserCtx({ senderId, role, name, allowedActions, implicitAdmin });
+}
+
+function buildUserCtx({ senderId, role, name, allowedActions, implicitAdmin = false }) {
   return {
     senderId,
     role,
@@ -277,6 +288,24 @@ function resolveUserCtx(senderId, config, opts = {}) {
   };
 }
 
+/**
+ * 为不经过 users.yaml 的调用方（如 OpenAI 兼容接口的 token）构造用户上下文
+ * @param {string} role  admin | member | stranger
+ * @param {object} [opts]
+ * @param {string} [opts.name]
+ * @param {string[]} [opts.allowedActions]  member 的扩展权限（admin 专属项会被过滤）
+ * @returns {object} userCtx，结构同 resolveUserCtx
+ */
+function resolveRoleCtx(role, opts = {}) {
+  const normalizedRole = ROLE_DEFAULT_ACTIONS[role] ? role : 'stranger';
+  let allowedActions = ROLE_DEFAULT_ACTIONS[normalizedRole];
+  if (normalizedRole === 'member') {
+    const extra = (opts.allowedActions || []).filter(a => !ADMIN_ONLY_ACTIONS.has(a));
+    allowedActions = [...new Set([...allowedActions, ...extra])];
+  }
+  return buildUserCtx({ senderId: null, role: normalizedRole, name: opts.name || normalizedRole, allowedActions });
+}
+
 // 所有人（包括 stranger）均可使用的公开命令，集中维护
 const PUBLIC_COMMANDS = ['/myid', '/chatid', '/user whoami'];
 
@@ -360,7 +389,7 @@ function handleUserCommand(text, userCtx) {
     const [, , uid, role, ...nameParts] = args;
     if (!uid || !role) return { handled: true, reply: '用法: /user add <open_id> <role> [name]' };
     // [S2] open_id 格式校验
-    if (!isValidOpenId(uid)) return { handled: true, reply: '❌ open_id 格式不合法（应为 10-64 位字母数字下划线）' };
+    if (!isValidOpenId(uid)) return { handled: true, reply: '❌ open_id 格式不合法（应为 10-64 位字母数字下划线，或 Matrix ID @name:server）' };
     if (!['admin', 'member', 'stranger'].includes(role)) {
       return { handled: true, reply: '角色必须是 admin / member / stranger' };
     }
@@ -434,6 +463,7 @@ function handleUserCommand(text, userCtx) {
 
 module.exports = {
   resolveUserCtx,
+  resolveRoleCtx,
   classifyCommandAction,
   handleUserCommand,
   loadUsers,
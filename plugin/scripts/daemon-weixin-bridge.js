@@ -6,6 +6,7 @@ const path = require('path');
 
 const { createWeixinApiClient, DEFAULT_BASE_URL, DEFAULT_LONG_POLL_TIMEOUT_MS } = require('./daemon-weixin-api');
 const { createWeixinAuthStore } = require('./daemon-weixin-auth');
+const { normalizeVoiceConfig } = require('./core/voice-config');
 
 function extractInboundText(itemList) {
   if (!Array.isArray(itemList)) return '';
@@ -20,6 +21,15 @@ function extractInboundText(itemList) {
   return '';
 }
 
+// Weixin transcribes voice notes server-side; a voice-only message carries
+// its text on the voice item (or none when recognition failed).
+function findVoiceItem(itemList) {
+  if (!Array.isArray(itemList)) return null;
+  if (itemList.some(item => item && item.type === 1)) return null;
+  const item = itemList.find(entry => entry && entry.type === 3 && entry.voice_item);
+  return item ? item.voice_item : null;
+}
+
 // Node's global fetch collapses nearly every transport failure into a bare
 // `TypeError: fetch failed`; the actionable reason (ENOTFOUND, ECONNREFUSED,
 // UND_ERR_CONNECT_TIMEOUT, cert errors…) lives on err.cause. Walk the cause
@@ -284,10 +294,20 @@ function createWeixinBridge(deps = {}) {
             continue;
           }
           const text = extractInboundText(full.item_list);
-          if (!text) continue;
+          const voiceItem = findVoiceItem(full.item_list);
+          if (!text && !voiceItem) continue;
           if (full && full.context_token) {
             tokenStore.set(currentAccount.accountId, chatId, full.context_token);
           }
+          if (voiceItem) {
+            if (!text) {
+              await currentBot.sendMessage(chatId, '🎤 微信没有识别出这条语音，请重说或发送文字。').catch(() => {});
+              continue;
+            }
+            if (normalizeVoiceConfig(liveCfg.voice).echoTranscript) {
+              await currentBot.sendMessage(chatId, `🎤 ${text}`).catch(() => {});
+            }
+          }
           log('DEBUG', `[WEIXIN] inbound chatId=${chatId} text_len=${text.length} has_ctx=${!!(full && full.context_token)} buf=${String(getUpdatesBuf || '').slice(0, 16)}`);
           await pipeline.processMessage(chatId, text, {
             bot: currentBot,
@@ -348,5 +368,6 @@ module.exports = {
   createContextTokenStore,
   createPersistentContextTokenStore,
   extractInboundText,
+  findVoiceItem,
   describeFetchError,
 };
@@ -0,0 +1,415 @@
+'use strict';
+
+/**
+ * daemon-worktree-commands.js — /worktree: land agent branches from chat.
+ *
+ * Works on the actor worktrees daemon-worktrees.js keeps under
+ * ~/.metame/worktrees/<project>/<key> (branch agent/<key>) for the project
+ * of the chat's current directory; /race runs (run_*) are left to /race.
+ *
+ *   status   ahead/behind the parent branch, diffstat, local edits, staleness
+ *   diff     the branch's changes against the parent branch
+ *   merge    commit local edits, run test_command in the worktree, then
+ *            `git merge --no-ff` into the parent checkout. On conflict the
+ *            parent merge is aborted, the parent branch is merged into the
+ *            agent branch instead and the conflicting hunks go to the chat
+ *            and to a resolution turn the agent runs in its worktree.
+ *   rebase   rebase the agent branch onto the parent branch (aborts on conflict)
+ *   discard  remove worktree and branch, after a confirm step
+ *   prune    remove stale worktrees with nothing unmerged, and broken ones
+ *
+ * Pure parsing and rendering live in core/worktree-status.js.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createCommandSessionResolver } = require('./daemon-command-session-route');
+const { resolveEngineModel } = require('./daemon-engine-runtime');
+const {
+  WORKTREE_LIMITS,
+  WORKTREE_USAGE,
+  parseWorktreeCommand,
+  parseShortstat,
+  parseAheadBehind,
+  formatCount,
+  parseWorktreeList,
+  resolveTestCommand,
+  classifyWorktree,
+  isPrunable,
+  extractConflictHunks,
+  formatWorktreeStatus,
+} = require('./core/worktree-status');
+
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+const GIT_TIMEOUT_MS = 30000;
+const TEST_OUTPUT_CHARS = 600;
+const AGENT_GIT_IDENTITY = ['-c', 'user.name=MetaMe agent', '-c', 'user.email=agent@metame.local'];
+
+function createWorktreeCommandHandler(deps) {
+  const {
+    fs,
+    path,
+    log,
+    loadConfig,
+    loadState,
+    getSession,
+    getSessionForEngine,
+    worktreeUtils,
+    backgroundRunner = null,
+    getDefaultEngine = () => 'claude',
+    getDaemonProviderEnv = () => ({}),
+    execFile = require('child_process').execFile,
+    exec = require('child_process').exec,
+    now = Date.now,
+  } = deps;
+  const execFileAsync = promisify(execFile);
+  const execAsync = promisify(exec);
+  const { getSessionRoute } = createCommandSessionResolver({
+    path,
+    loadConfig,
+    loadState,
+    getSession,
+    getSessionForEngine,
+    getDefaultEngine,
+  });
+  const busy = new Set();      // worktree paths with a /worktree command running
+  const resolving = new Set(); // worktree paths an agent is resolving conflicts in
+
+  async function git(cwd, args) {
+    const { stdout } = await execFileAsync('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 8 * 1024 * 1024 });
+    return String(stdout || '').trim();
+  }
+
+  async function gitOk(cwd, args) {
+    try {
+      await git(cwd, args);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function isUnder(child, parent) {
+    const rel = path.relative(parent, child);
+    return rel === '' || (!!rel && !rel.startsWith('..') && !path.isAbsolute(rel));
+  }
+
+  // ahead/behind/dirty stay null when git cannot answer, so an unreadable
+  // worktree is never taken for one with nothing unmerged.
+  async function inspectWorktree(entry, parentBranch) {
+    const worktree = { key: path.basename(entry.path), path: entry.path, branch: entry.branch, ahead: null, behind: null, dirty: null, diff: null };
+    const broken = entry.prunable || !fs.existsSync(entry.path) || worktreeUtils.isBrokenWorktree(entry.path);
+    let lastActivityMs = 0;
+    try { lastActivityMs = fs.statSync(entry.path).mtimeMs; } catch { /* missing */ }
+    if (!broken && entry.branch) {
+      try {
+        if (parentBranch) {
+          Object.assign(worktree, parseAheadBehind(await git(entry.path, ['rev-list', '--left-right', '--count', `${parentBranch}...${entry.branch}`])));
+          worktree.diff = parseShortstat(await git(entry.path, ['diff', '--shortstat', `${parentBranch}...${entry.branch}`]));
+        }
+        worktree.dirty = (await git(entry.path, ['status', '--porcelain'])).split('\n').filter(Boolean).length;
+        lastActivityMs = Math.max(lastActivityMs, Number(await git(entry.path, ['log', '-1', '--format=%ct', entry.branch])) * 1000 || 0);
+      } catch (err) {
+        log('WARN', `[WORKTREE] inspect ${entry.path} failed: ${err.message}`);
+      }
+    }
+    worktree.lastActivityMs = lastActivityMs;
+    worktree.state = classifyWorktree({ broken, lastActivityMs, nowMs: now() });
+    return worktree;
+  }
+
+  /**
+   * The chat's project checkout, its branch and its agent worktrees.
+   * @returns {Promise<{ error: string } | { route: object, parentPath: string, parentBranch: string, projectKey: string, worktrees: object[] }>}
+   */
+  async function loadView(chatId) {
+    const route = getSessionRoute(chatId);
+    if (!route.cwd) return { error: '❌ 当前会话没有工作目录，先 /cd 到项目目录' };
+    let parentPath;
+    try {
+      // From inside an agent worktree the common dir still leads to the main checkout.
+      const commonDir = path.resolve(route.cwd, await git(route.cwd, ['rev-parse', '--git-common-dir']));
+      parentPath = path.basename(commonDir) === '.git' ? path.dirname(commonDir) : await git(route.cwd, ['rev-parse', '--show-toplevel']);
+    } catch {
+      return { error: `❌ ${route.cwd} 不是 git 仓库` };
+    }
+    const branch = await git(parentPath, ['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => 'HEAD');
+    const parentBranch = branch === 'HEAD' ? '' : branch;
+    const base = path.resolve(worktreeUtils.WORKTREES_BASE);
+    const listed = parseWorktreeList(await git(parentPath, ['worktree', 'list', '--porcelain']))
+      .filter(entry => isUnder(path.resolve(entry.path), base)
+        && !path.basename(entry.path).startsWith('run_')
+        && entry.branch.startsWith('agent/'));
+    // Directories under this project's folder that git no longer knows about.
+    const projectDir = path.join(base, path.basename(parentPath));
+    const known = new Set(listed.map(entry => path.resolve(entry.path)));
+    let extra = [];
+    try { extra = fs.readdirSync(projectDir); } catch { /* no worktrees yet */ }
+    for (const name of extra) {
+      const dir = path.join(projectDir, name);
+      if (name.startsWith('run_') || known.has(dir) || !worktreeUtils.isBrokenWorktree(dir)) continue;
+      listed.push({ path: dir, branch: `agent/${name}`, head: '', prunable: true });
+    }
+    const worktrees = [];
+    for (const entry of listed) worktrees.push(await inspectWorktree(entry, parentBranch));
+    worktrees.sort((a, b) => a.key.localeCompare(b.key));
+    return { route, parentPath, parentBranch, projectKey: (route.context && route.context.boundKey) || '', worktrees };
+  }
+
+  /** The named worktree, else the one the chat works in, else the only one. */
+  function pickTarget(view, key) {
+    const { worktrees, route } = view;
+    if (key) {
+      const found = worktrees.find(worktree => worktree.key === key || worktree.branch === key || worktree.branch === `agent/${key}`);
+      return found || { error: `❌ 没有名为 ${key} 的 agent worktree（${worktrees.map(worktree => worktree.key).join(', ') || '无'}）` };
+    }
+    const own = worktrees.find(worktree => isUnder(path.resolve(route.cwd), path.resolve(worktree.path)));
+    if (own) return own;
+    if (worktrees.length === 1) return worktrees[0];
+    return { error: worktrees.length ? `请指定 worktree：${worktrees.map(worktree => worktree.key).join(', ')}` : `📂 ${view.parentPath} 没有 agent worktree` };
+  }
+
+  async function commitLocalEdits(worktree) {
+    if (!worktree.dirty) return false;
+    await git(worktree.path, ['add', '-A']);
+    await git(worktree.path, [...AGENT_GIT_IDENTITY, 'commit', '-q', '--no-verify', '-m', `wip: ${worktree.key} (committed by /worktree)`]);
+    return true;
+  }
+
+  async function runTest(command, cwd) {
+    try {
+      await execAsync(command, { cwd, timeout: TEST_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 });
+      return { passed: true };
+    } catch (err) {
+      const output = `${err.stdout || ''}${err.stderr || ''}` || err.message;
+      return { passed: false, output: String(output).slice(-TEST_OUTPUT_CHARS) };
+    }
+  }
+
+  async function unmergedFiles(cwd) {
+    return (await git(cwd, ['diff', '--name-only', '--diff-filter=U']).catch(() => '')).split('\n').filter(Boolean);
+  }
+
+  function resolutionPrompt(view, worktree, files, hunks) {
+    return [
+      `[MetaMe /worktree merge] Merging ${view.parentBranch} into your branch ${worktree.branch} stopped on conflicts in: ${files.join(', ')}.`,
+      'Resolve every conflict marker so both sides\' intent survives, run the project tests if there are any,',
+      'then `git add` the resolved files and `git commit --no-edit` to conclude the merge.',
+      'Do not push, reset, or touch any other branch.',
+      '',
+      'Conflicting hunks:',
+      hunks,
+    ].join('\n');
+  }
+
+  async function resolveConflicts({ bot, chatId, senderId, view, worktree, files }) {
+    const config = loadConfig();
+    const daemonCfg = (config && config.daemon) || {};
+    const engine = view.route.engine || getDefaultEngine();
+    const hunks = extractConflictHunks(await git(worktree.path, ['diff']).catch(() => ''));
+    await bot.sendMessage(chatId, [
+      `⚠️ ${worktree.branch} 与 ${view.parentBranch} 冲突：${files.join(', ')}`,
+      hunks ? `\n${hunks}\n` : '',
+      backgroundRunner ? `🤖 已交给 ${engine} 在 worktree 中解决冲突，完成后通知。` : '在 worktree 中解决冲突并提交后，再 /worktree merge。',
+    ].filter(Boolean).join('\n'));
+    if (!backgroundRunner) return;
+    resolving.add(worktree.path);
+    backgroundRunner.startTurn({
+      engine,
+      model: resolveEngineModel(engine, daemonCfg),
+      prompt: resolutionPrompt(view, worktree, files, hunks),
+      cwd: worktree.path,
+      sessionRef: { started: false, id: crypto.randomUUID() },
+      readOnly: false,
+      structured: false,
+      daemonCfg,
+      projectKey: view.projectKey,
+      senderId,
+      providerEnv: getDaemonProviderEnv(),
+    }).then(async (result) => {
+      const remaining = await unmergedFiles(worktree.path);
+      const merging = await gitOk(worktree.path, ['rev-parse', '-q', '--verify', 'MERGE_HEAD']);
+      let reply;
+      if (!result.ok) {
+        await gitOk(worktree.path, ['merge', '--abort']);
+        reply = `❌ 冲突解决失败（${result.errorCode || result.error}），已撤销 worktree 中的合并`;
+      } else if (remaining.length || merging) {
+        reply = `⚠️ ${worktree.key} 仍有未解决的冲突：${remaining.join(', ') || '合并未提交'}；可继续对话处理，或 /worktree discard ${worktree.key}`;
+      } else {
+        reply = `✅ ${worktree.key} 已解决冲突，/worktree merge ${worktree.key} 重新合并`;
+      }
+      log('INFO', `[WORKTREE] resolution turn for ${worktree.key}: ${result.ok ? 'ok' : result.errorCode}`);
+      await bot.sendMessage(chatId, reply);
+    }).catch((err) => {
+      log('ERROR', `[WORKTREE] resolution turn for ${worktree.key} failed: ${err.message}`);
+    }).finally(() => resolving.delete(worktree.path));
+  }
+
+  async function merge({ bot, chatId, senderId, view, worktree }) {
+    if (!view.parentBranch) return '❌ 主工作区处于分离 HEAD，先切到要合并进去的分支';
+    if (await git(view.parentPath, ['status', '--porcelain', '--untracked-files=no'])) {
+      return '❌ 主工作区有未提交的改动，先提交或暂存后再合并';
+    }
+    if (worktree.ahead === null) return `❌ 无法比较 ${worktree.branch} 与 ${view.parentBranch}，未合并`;
+    const committed = await commitLocalEdits(worktree);
+    const ahead = committed ? worktree.ahead + 1 : worktree.ahead;
+    if (!ahead) return `${worktree.branch} 没有领先 ${view.parentBranch} 的提交，无需合并`;
+
+    const testCommand = resolveTestCommand(loadConfig(), view.projectKey);
+    if (testCommand) {
+      await bot.sendMessage(chatId, `🧪 合并前测试：${testCommand}`);
+      const test = await runTest(testCommand, worktree.path);
+      if (!test.passed) return `❌ 测试未通过，未合并 ${worktree.branch}\n${test.output}`;
+    }
+
+    try {
+      await git(view.parentPath, ['merge', '--no-ff', '--no-edit', '-m', `Merge ${worktree.branch} into ${view.parentBranch}`, worktree.branch]);
+    } catch (err) {
+      const files = await unmergedFiles(view.parentPath);
+      await gitOk(view.parentPath, ['merge', '--abort']);
+      if (!files.length) return `❌ 合并失败：${String(err.stderr || err.message).slice(0, 300)}`;
+      // Reproduce the conflict on the agent branch, where the agent can fix it
+      // without touching the main checkout.
+      if (await gitOk(worktree.path, [...AGENT_GIT_IDENTITY, 'merge', '--no-edit', view.parentBranch])) {
+        return `🔀 ${worktree.branch} 已并入 ${view.parentBranch} 的最新提交，/worktree merge ${worktree.key} 重试`;
+      }
+      await resolveConflicts({ bot, chatId, senderId, view, worktree, files: await unmergedFiles(worktree.path) });
+      return null;
+    }
+    const head = await git(view.parentPath, ['rev-parse', '--short', 'HEAD']);
+    const diff = worktree.diff || { files: 0, insertions: 0, deletions: 0 };
+    log('INFO', `[WORKTREE] merged ${worktree.branch} into ${view.parentBranch} as ${head}`);
+    return [
+      `✅ 已合并 ${worktree.branch} → ${view.parentBranch}（${head}）`,
+      `${ahead} 个提交 · ${diff.files} 个文件 +${diff.insertions} −${diff.deletions}${committed ? ' · 含自动提交的未提交改动' : ''}`,
+    ].join('\n');
+  }
+
+  async function rebase({ view, worktree }) {
+    if (!view.parentBranch) return '❌ 主工作区处于分离 HEAD，无法确定要变基到哪个分支';
+    if (worktree.behind === null) return `❌ 无法比较 ${worktree.branch} 与 ${view.parentBranch}，未变基`;
+    if (!worktree.behind) return `${worktree.branch} 已基于 ${view.parentBranch} 最新提交`;
+    await commitLocalEdits(worktree);
+    try {
+      await git(worktree.path, [...AGENT_GIT_IDENTITY, 'rebase', view.parentBranch]);
+    } catch {
+      const files = await unmergedFiles(worktree.path);
+      await gitOk(worktree.path, ['rebase', '--abort']);
+      return `❌ 变基冲突（${files.join(', ') || '未知文件'}），已恢复原状；/worktree merge ${worktree.key} 会把冲突交给 agent 解决`;
+    }
+    return `✅ ${worktree.branch} 已变基到 ${view.parentBranch}（之前落后 ${worktree.behind} 个提交）`;
+  }
+
+  async function diff({ view, worktree }) {
+    if (!view.parentBranch) return '❌ 主工作区处于分离 HEAD';
+    const range = `${view.parentBranch}...${worktree.branch}`;
+    const stat = await git(worktree.path, ['diff', '--stat', range]);
+    const patch = await git(worktree.path, ['diff', range]);
+    const clipped = patch.length > WORKTREE_LIMITS.diffChars ? `${patch.slice(0, WORKTREE_LIMITS.diffChars)}\n… (${patch.length - WORKTREE_LIMITS.diffChars} 字符未显示)` : patch;
+    return [
+      `📝 ${worktree.branch} 相对 ${view.parentBranch}（领先 ${formatCount(worktree.ahead)} · 落后 ${formatCount(worktree.behind)}）`,
+      stat || '没有已提交的改动',
+      worktree.dirty ? `另有 ${worktree.dirty} 个未提交的文件` : '',
+      clipped ? `\n${clipped}` : '',
+    ].filter(Boolean).join('\n');
+  }
+
+  async function removeWorktree(view, worktree, { keepBranch = false } = {}) {
+    const removed = worktreeUtils.removeActorWorktree(worktree.path, { deleteBranch: !keepBranch });
+    await gitOk(view.parentPath, ['worktree', 'prune']);
+    if (removed && !keepBranch && worktree.branch) await gitOk(view.parentPath, ['branch', '-D', worktree.branch]);
+    return removed;
+  }
+
+  async function discard({ bot, chatId, view, worktree, confirm }) {
+    if (!confirm) {
+      const text = [
+        `🗑 确认删除 ${worktree.key}？`,
+        `worktree：${worktree.path}`,
+        `分支 ${worktree.branch}：领先 ${formatCount(worktree.ahead)} 个提交${worktree.dirty ? `，另有 ${worktree.dirty} 个未提交文件` : ''}，删除后无法恢复。`,
+      ].join('\n');
+      const command = `/worktree discard ${worktree.key} confirm`;
+      if (typeof bot.sendButtons === 'function') {
+        await bot.sendButtons(chatId, text, [[{ text: '🗑 确认删除', callback_data: command }]]);
+        return null;
+      }
+      return `${text}\n\n回复 ${command} 确认`;
+    }
+    if (!(await removeWorktree(view, worktree))) return `❌ 无法删除 ${worktree.path}`;
+    log('INFO', `[WORKTREE] discarded ${worktree.key}`);
+    return `🗑 已删除 ${worktree.key} 及分支 ${worktree.branch}`;
+  }
+
+  async function prune(view) {
+    // Without a parent branch nothing says which agent commits are unmerged.
+    if (!view.parentBranch) return '❌ 主工作区处于分离 HEAD，无法判断哪些提交未合并，未清理';
+    const removed = [];
+    const kept = [];
+    for (const worktree of view.worktrees) {
+      if (busy.has(worktree.path) || resolving.has(worktree.path)) continue;
+      if (isPrunable(worktree)) {
+        // A broken worktree's branch may still hold unmerged commits.
+        if (await removeWorktree(view, worktree, { keepBranch: worktree.state === 'broken' })) removed.push(worktree.key);
+      } else if (worktree.state === 'stale') {
+        kept.push(worktree.key);
+      }
+    }
+    await gitOk(view.parentPath, ['worktree', 'prune']);
+    if (removed.length) log('INFO', `[WORKTREE] pruned ${removed.join(', ')}`);
+    return [
+      removed.length ? `🧹 已清理：${removed.join(', ')}` : '没有可清理的 worktree',
+      kept.length ? `💤 已过期但有未合并工作，保留：${kept.join(', ')}（/worktree merge 或 /worktree discard）` : '',
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * /worktree [status|diff|merge|rebase|discard|prune] [key] [confirm].
+   * Returns false for anything else.
+   */
+  async function handleWorktreeCommand({ bot, chatId, text, senderId = null, readOnly = false }) {
+    const command = parseWorktreeCommand(text);
+    if (!command) return false;
+    let reply;
+    if (command.action === 'usage') {
+      reply = WORKTREE_USAGE;
+    } else if (readOnly && command.action !== 'status' && command.action !== 'diff') {
+      reply = '⛔ 只读用户只能查看 worktree';
+    } else {
+      try {
+        reply = await runCommand({ bot, chatId, senderId, command });
+      } catch (err) {
+        log('WARN', `[WORKTREE] ${command.action} failed: ${err.message}`);
+        reply = `❌ /worktree ${command.action} 失败：${String(err.stderr || err.message).slice(0, 300)}`;
+      }
+    }
+    if (reply) await bot.sendMessage(chatId, reply);
+    return true;
+  }
+
+  async function runCommand({ bot, chatId, senderId, command }) {
+    const view = await loadView(chatId);
+    if (view.error) return view.error;
+    if (command.action === 'status') {
+      return formatWorktreeStatus({ parentBranch: view.parentBranch, parentPath: view.parentPath, worktrees: view.worktrees, nowMs: now() });
+    }
+    if (command.action === 'prune') return prune(view);
+    const worktree = pickTarget(view, command.key);
+    if (worktree.error) return worktree.error;
+    if (command.action === 'discard') return discard({ bot, chatId, view, worktree, confirm: command.confirm });
+    if (worktree.state === 'broken') return `⚠️ ${worktree.key} 已失效，/worktree prune 或 /worktree discard ${worktree.key} 清理`;
+    if (busy.has(worktree.path) || resolving.has(worktree.path)) return `⏳ ${worktree.key} 正在合并或解决冲突，稍后再试`;
+    if (command.action === 'diff') return diff({ view, worktree });
+    busy.add(worktree.path);
+    try {
+      return command.action === 'merge'
+        ? await merge({ bot, chatId, senderId, view, worktree })
+        : await rebase({ view, worktree });
+    } finally {
+      busy.delete(worktree.path);
+    }
+  }
+
+  return { handleWorktreeCommand };
+}
+
+module.exports = { createWorktreeCommandHandler };
@@ -142,10 +142,32 @@ function createWorktreeUtils(deps) {
     return found;
   }
 
-  function removeRunWorktree(worktreePath) {
-    const resolved = path.resolve(String(worktreePath || ''));
-    if (!resolved.startsWith(`${path.resolve(WORKTREES_BASE)}${path.sep}`)) return false;
-    if (!path.basename(resolved).startsWith('run_')) return false;
+  function _isUnderBase(resolved) {
+    return resolved.startsWith(`${path.resolve(WORKTREES_BASE)}${path.sep}`);
+  }
+
+  /** A linked worktree whose .git file points at an admin dir that is gone. */
+  function isBrokenWorktree(worktreePath) {
+    try {
+      const dotGit = path.join(path.resolve(worktreePath), '.git');
+      if (fs.statSync(dotGit).isDirectory()) return false;
+      const match = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, 'utf8'));
+      return !match || !fs.existsSync(path.resolve(worktreePath, match[1].trim()));
+    } catch {
+      return true;
+    }
+  }
+
+  function _removeWorktree(resolved, { deleteBranch, branchPrefix }) {
+    let branch = '';
+    let commonDir = '';
+    if (deleteBranch) {
+      try {
+        const git = args => execFileSync('git', args, { cwd: resolved, encoding: 'utf8', timeout: 3000, ...WIN_HIDE }).trim();
+        branch = git(['rev-parse', '--abbrev-ref', 'HEAD']);
+        commonDir = path.resolve(resolved, git(['rev-parse', '--git-common-dir']));
+      } catch { /* not a linked worktree */ }
+    }
     try {
       execFileSync('git', ['worktree', 'remove', '--force', resolved], {
         cwd: resolved,
@@ -156,16 +178,53 @@ function createWorktreeUtils(deps) {
     } catch {
       // A linked worktree uses a .git file. Never rm it behind Git's back or
       // the main repository keeps a stale registration. Plain fallback repos
-      // have a .git directory and are safe to remove directly.
+      // have a .git directory, and broken links have no registration left;
+      // both are safe to remove directly.
       try {
-        if (!fs.statSync(path.join(resolved, '.git')).isDirectory()) return false;
+        if (!fs.statSync(path.join(resolved, '.git')).isDirectory() && !isBrokenWorktree(resolved)) return false;
         fs.rmSync(resolved, { recursive: true, force: true });
       } catch { return false; }
     }
+    if (branch.startsWith(branchPrefix) && commonDir) {
+      try {
+        execFileSync('git', ['--git-dir', commonDir, 'branch', '-D', branch], { stdio: 'ignore', timeout: 5000, ...WIN_HIDE });
+      } catch (e) {
+        log('WARN', `[worktrees] branch cleanup failed for ${branch}: ${e.message}`);
+      }
+    }
     return !fs.existsSync(resolved);
   }
 
-  return { resolveWorktreeKey, getOrCreateWorktree, listRunWorktrees, removeRunWorktree };
+  /**
+   * Remove a run_* worktree. With deleteBranch its agent/run_* branch is
+   * deleted from the parent repository too, so throwaway runs (/race) leave
+   * no refs behind.
+   */
+  function removeRunWorktree(worktreePath, { deleteBranch = false } = {}) {
+    const resolved = path.resolve(String(worktreePath || ''));
+    if (!_isUnderBase(resolved) || !path.basename(resolved).startsWith('run_')) return false;
+    return _removeWorktree(resolved, { deleteBranch, branchPrefix: 'agent/run_' });
+  }
+
+  /**
+   * Remove an actor worktree (/worktree discard, /worktree prune) and, with
+   * deleteBranch, its agent/<key> branch.
+   */
+  function removeActorWorktree(worktreePath, { deleteBranch = false } = {}) {
+    const resolved = path.resolve(String(worktreePath || ''));
+    if (!_isUnderBase(resolved)) return false;
+    return _removeWorktree(resolved, { deleteBranch, branchPrefix: 'agent/' });
+  }
+
+  return {
+    WORKTREES_BASE,
+    resolveWorktreeKey,
+    getOrCreateWorktree,
+    listRunWorktrees,
+    removeRunWorktree,
+    removeActorWorktree,
+    isBrokenWorktree,
+  };
 }
 
 module.exports = { createWorktreeUtils };
@@ -1,5 +1,6 @@
 'use strict';
 
+const fs = require('fs');
 const { getEngineDescriptor } = require('../core/engine-descriptors');
 const {
   defineNativeCliAdapter,
@@ -220,6 +221,8 @@ function buildClaudeArgs(options = {}) {
     persistent = false,
     allowedTools = [],
     mcpConfig = '',
+    approvalSettings = '',
+    images = [],
   } = options;
   const session = options.session || {};
   if (!acceptsEngineScopedSession('claude', session)) {
@@ -228,7 +231,8 @@ function buildClaudeArgs(options = {}) {
   const args = ['-p', '--model', model];
   if (outputSchema) args.push('--json-schema', JSON.stringify(outputSchema));
   const effectiveOutputFormat = outputFormat || (streaming ? 'stream-json' : '');
-  const effectiveInputFormat = inputFormat || (streaming && persistent ? 'stream-json' : '');
+  const structuredInput = streaming && (persistent || (Array.isArray(images) && images.length > 0));
+  const effectiveInputFormat = inputFormat || (structuredInput ? 'stream-json' : '');
   if (effectiveOutputFormat) args.push('--output-format', effectiveOutputFormat);
   if (effectiveInputFormat) args.push('--input-format', effectiveInputFormat);
   if (streaming) args.push('--verbose');
@@ -244,6 +248,8 @@ function buildClaudeArgs(options = {}) {
   } else {
     for (const tool of allowedTools) args.push('--allowedTools', tool);
     args.push('--dangerously-skip-permissions');
+    // Gated projects: a PreToolUse hook still vetoes calls under skip-permissions.
+    if (approvalSettings) args.push('--settings', approvalSettings);
   }
 
   if (session.id === '__continue__') {
@@ -256,6 +262,25 @@ function buildClaudeArgs(options = {}) {
   return args;
 }
 
+/**
+ * Turns with images become a stream-json user message whose content carries
+ * base64 image blocks ahead of the text. Persistent (warm) processes get the
+ * bare content array, which the warm pool wraps; one-shot processes get the
+ * finished stdin line.
+ */
+function buildClaudeInput({ input = '', images = [], persistent = false, readFile = fs.readFileSync } = {}) {
+  if (!Array.isArray(images) || images.length === 0) return input;
+  const content = [
+    ...images.map(image => ({
+      type: 'image',
+      source: { type: 'base64', media_type: image.mediaType, data: readFile(image.path).toString('base64') },
+    })),
+    { type: 'text', text: String(input) },
+  ];
+  if (persistent) return content;
+  return JSON.stringify({ type: 'user', message: { role: 'user', content }, parent_tool_use_id: null }) + '\n';
+}
+
 function createClaudeCliAdapter(deps = {}) {
   const descriptor = getEngineDescriptor('claude');
   const sessionPolicy = createClaudeSessionPolicy(deps.sessionPolicy);
@@ -282,13 +307,16 @@ function createClaudeCliAdapter(deps = {}) {
       outputSchema: true,
       projectMcp: true,
       projectSkills: true,
+      imageInput: true,
     },
     structuredOutput: Object.freeze({ schema: 'inline', format: 'json', buffer: 'tail', unstructuredBuffer: 'prefix' }),
     buildArgs: buildClaudeArgs,
+    buildInput: buildClaudeInput,
     buildEnv: ({
       metameProject = '',
       metameSenderId = '',
       providerEnv = {},
+      approvalEnv = null,
       internalPrompt = false,
     } = {}) => {
       const env = {
@@ -298,6 +326,9 @@ function createClaudeCliAdapter(deps = {}) {
         METAME_PROJECT: metameProject,
         METAME_SENDER_ID: String(metameSenderId || ''),
       };
+      delete env.METAME_APPROVAL_SOCKET;
+      delete env.METAME_APPROVAL_TOKEN;
+      if (approvalEnv) Object.assign(env, approvalEnv);
       if (internalPrompt) env.METAME_INTERNAL_PROMPT = '1';
       delete env.CLAUDECODE;
       return env;
@@ -339,6 +370,7 @@ module.exports = {
     BUILTIN_MODEL_VALUES,
     DEFAULT_TIMEOUTS,
     buildClaudeArgs,
+    buildClaudeInput,
     classifyClaudeError,
     createClaudeSessionPolicy,
     modelFamilyAlias,
@@ -408,6 +408,7 @@ function buildCodexArgs(options = {}) {
     cwd,
     permissionProfile = null,
     outputSchemaPath = '',
+    images = [],
   } = options;
   if (!acceptsEngineScopedSession('codex', session)) {
     throw new Error('codex_native_session_mismatch');
@@ -431,6 +432,9 @@ function buildCodexArgs(options = {}) {
   } else {
     args.push('-s', effectivePermissionProfile.sandboxMode);
   }
+  for (const image of images || []) {
+    if (image && image.path) args.push(`--image=${image.path}`);
+  }
   args.push('-');
   return args;
 }
@@ -520,6 +524,7 @@ function createCodexCliAdapter(deps = {}) {
       outputSchema: true,
       projectMcp: true,
       projectSkills: true,
+      imageInput: true,
     },
     structuredOutput: Object.freeze({ schema: 'path', format: 'jsonl', buffer: 'tail', unstructuredBuffer: 'tail' }),
     buildArgs: buildCodexArgs,
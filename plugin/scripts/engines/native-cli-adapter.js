@@ -111,6 +111,7 @@ function defineNativeCliAdapter(spec) {
     const executable = adapter.binary;
     const args = adapter.buildArgs({ ...options, session });
     const env = adapter.buildEnv({ ...options, session });
+    const input = options.input === undefined ? '' : options.input;
     return Object.freeze({
       engine: name,
       executable,
@@ -120,7 +121,9 @@ function defineNativeCliAdapter(spec) {
       args,
       env,
       cwd,
-      input: options.input === undefined ? '' : options.input,
+      // Optional: adapters that send structured turns (e.g. image blocks)
+      // shape stdin themselves.
+      input: typeof adapter.buildInput === 'function' ? adapter.buildInput({ ...options, input, session }) : input,
       stdinStrategy: adapter.stdinBehavior || 'write-and-close',
       stdin: adapter.stdinBehavior || 'write-and-close',
       outputFraming: options.outputFormat || options.outputFraming || adapter.outputFraming || '',
@@ -625,13 +625,14 @@ function createBot(config) {
                 } catch {
                   text = msg.content || '';
                 }
-              } else if (msg.message_type === 'file' || msg.message_type === 'image' || msg.message_type === 'media') {
+              } else if (msg.message_type === 'file' || msg.message_type === 'image' || msg.message_type === 'media' || msg.message_type === 'audio') {
                 try {
                   const content = JSON.parse(msg.content);
                   fileInfo = {
                     messageId: msg.message_id,
                     fileKey: content.file_key || content.image_key,
-                    fileName: content.file_name || (content.image_key ? `image_${Date.now()}.png` : `file_${Date.now()}`),
+                    fileName: content.file_name
+                      || (content.image_key ? `image_${Date.now()}.png` : (msg.message_type === 'audio' ? `voice_${Date.now()}.opus` : `file_${Date.now()}`)),
                     msgType: msg.message_type,
                   };
                 } catch {}
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * MetaMe PreToolUse Hook — Remote Tool Approval
+ *
+ * Injected by the daemon (claude --settings) only into runs whose project has
+ * a gated approval_policy. Forwards each tool call to the daemon's approval
+ * socket and blocks until the daemon answers allow/deny — the daemon decides
+ * from policy, saved rules, or an approve/deny card on the phone.
+ *
+ * Fails closed: no socket, no token, a malformed reply or our own deadline
+ * all deny the call. The deadline stays below the hook timeout the daemon
+ * registers, because a timed-out hook would let the tool run.
+ */
+
+const net = require('net');
+
+const DEADLINE_MS = 15 * 60 * 1000 + 20 * 1000;
+
+function hookOutput(decision, reason) {
+  return JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: decision === 'allow' ? 'allow' : 'deny',
+      permissionDecisionReason: reason || '',
+    },
+  });
+}
+
+/**
+ * One request line out, one reply line back.
+ * @returns {Promise<{ decision: 'allow'|'deny', reason: string }>}
+ */
+function askDaemon({ socketPath, token, event, deadlineMs = DEADLINE_MS, connect = net.createConnection }) {
+  return new Promise((resolve) => {
+    if (!socketPath || !token) {
+      resolve({ decision: 'deny', reason: 'MetaMe approval gate is not configured for this run' });
+      return;
+    }
+    let settled = false;
+    let buf = '';
+    const conn = connect(socketPath);
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      conn.destroy();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish({ decision: 'deny', reason: 'MetaMe approval timed out' }), deadlineMs);
+    conn.setEncoding('utf8');
+    conn.on('connect', () => {
+      conn.write(JSON.stringify({
+        token,
+        tool_name: event.tool_name,
+        tool_input: event.tool_input,
+        session_id: event.session_id || null,
+        cwd: event.cwd || null,
+      }) + '\n');
+    });
+    conn.on('data', (chunk) => {
+      buf += chunk;
+      const nl = buf.indexOf('\n');
+      if (nl === -1) return;
+      try {
+        const reply = JSON.parse(buf.slice(0, nl));
+        finish({ decision: reply.decision === 'allow' ? 'allow' : 'deny', reason: String(reply.reason || '') });
+      } catch {
+        finish({ decision: 'deny', reason: 'MetaMe approval gate sent a malformed reply' });
+      }
+    });
+    conn.on('error', err => finish({ decision: 'deny', reason: `MetaMe approval gate unreachable (${err.code || err.message})` }));
+    conn.on('close', () => finish({ decision: 'deny', reason: 'MetaMe approval gate closed the connection' }));
+  });
+}
+
+if (require.main === module) {
+  let input = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (chunk) => { input += chunk; });
+  process.stdin.on('end', async () => {
+    let event = {};
+    try { event = JSON.parse(input); } catch { /* empty event still needs an answer */ }
+    const result = await askDaemon({
+      socketPath: process.env.METAME_APPROVAL_SOCKET,
+      token: process.env.METAME_APPROVAL_TOKEN,
+      event,
+    });
+    process.stdout.write(hookOutput(result.decision, result.reason) + '\n');
+    process.exit(0);
+  });
+}
+
+module.exports = { askDaemon, hookOutput, DEADLINE_MS };
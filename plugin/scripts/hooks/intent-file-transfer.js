@@ -23,6 +23,7 @@ const RECEIVE_PATTERNS = [
   // User mentions uploading or sending files to the system
   /(?:我发|给你|传给你|上传).{0,8}(?:文件|图片|截图|照片|图)/,
   /upload\/\S+/i,
+  /\.metame\/attachments\/\S+/i,
 ];
 
 module.exports = function detectFileTransfer(prompt) {
@@ -43,7 +44,7 @@ module.exports = function detectFileTransfer(prompt) {
 
   if (isReceive) {
     hints.push(
-      '- **接收文件**：用户发的图片/文件自动存到当前项目 `upload/` 目录，用 Read 查看',
+      '- **接收文件**：用户发的图片/文件存在 `~/.metame/attachments/<会话>/`（提示词里给出绝对路径，不在项目目录内），用 Read 查看',
     );
   }
 
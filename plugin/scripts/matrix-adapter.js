@@ -0,0 +1,427 @@
+/**
+ * matrix-adapter.js — Zero-dependency Matrix client-server API client
+ * Uses only Node built-in http/https modules (plain http for a local homeserver).
+ * Same bot interface as telegram-adapter.js / feishu-adapter.js.
+ *
+ * Matrix has no inline keyboards: sendButtons posts a numbered list and seeds
+ * one keycap reaction per option. A user reacting with that key is resolved
+ * back to the button's callback_data through resolveReaction().
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { parseThreadChatId } = require('./core/thread-chat-id');
+
+const CLIENT_API = '/_matrix/client/v3';
+const MAX_MESSAGE_LENGTH = 16000;
+const BUTTON_KEYS = Object.freeze(['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟']);
+const BUTTON_MESSAGES_MAX = 200;
+
+// Timeline filter for /sync: room events only, no presence or account data.
+const SYNC_FILTER = JSON.stringify({
+  presence: { not_types: ['*'] },
+  account_data: { not_types: ['*'] },
+  room: {
+    timeline: { limit: 50 },
+    state: { lazy_load_members: true },
+    ephemeral: { not_types: ['*'] },
+    account_data: { not_types: ['*'] },
+  },
+});
+
+/** Matrix room ids look like "!opaque:server.name". */
+function isMatrixRoomId(chatId) {
+  return typeof chatId === 'string' && /^![^:\s]+:\S+$/.test(chatId);
+}
+
+/**
+ * Make a request to the homeserver. JSON in/out unless `raw` is given
+ * (Buffer body) or `stream` is set (resolves with the response).
+ */
+function apiRequest(baseUrl, accessToken, method, apiPath, opts = {}) {
+  const { query, body, raw, contentType, timeout = 10000, signal = null, stream = false } = opts;
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(`${baseUrl}${apiPath}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) urlObj.searchParams.set(key, String(value));
+    }
+    const payload = raw || (body === undefined ? null : Buffer.from(JSON.stringify(body), 'utf8'));
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    if (payload) {
+      headers['Content-Type'] = contentType || 'application/json';
+      headers['Content-Length'] = payload.length;
+    }
+    const transport = urlObj.protocol === 'http:' ? http : https;
+    const req = transport.request(urlObj, { method, headers, timeout }, (res) => {
+      if (stream && res.statusCode === 200) {
+        resolve(res);
+        return;
+      }
+      let data = '';
+      const decoder = new StringDecoder('utf8');
+      res.on('data', (chunk) => { data += decoder.write(chunk); });
+      res.on('end', () => {
+        data += decoder.end();
+        let parsed = null;
+        try { parsed = data ? JSON.parse(data) : {}; } catch { /* non-JSON error page */ }
+        if (res.statusCode >= 200 && res.statusCode < 300 && parsed) {
+          resolve(parsed);
+          return;
+        }
+        const errcode = (parsed && parsed.errcode) || `HTTP_${res.statusCode}`;
+        const error = new Error(`Matrix API error: ${errcode}${parsed && parsed.error ? ` ${parsed.error}` : ''}`);
+        error.statusCode = res.statusCode;
+        error.errcode = errcode;
+        if (parsed && parsed.retry_after_ms) error.retryAfterMs = parsed.retry_after_ms;
+        reject(error);
+      });
+    });
+
+    // AbortController support: destroy the in-flight request immediately on abort
+    if (signal) {
+      if (signal.aborted) { req.destroy(); reject(new Error('aborted')); return; }
+      const onAbort = () => { req.destroy(); reject(new Error('aborted')); };
+      signal.addEventListener('abort', onAbort, { once: true });
+      req.on('close', () => signal.removeEventListener('abort', onAbort));
+    }
+
+    req.on('error', (e) => { if (e.message !== 'aborted') reject(e); });
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Matrix API request timed out'));
+    });
+
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Create a Matrix bot instance
+ * @param {object} opts
+ * @param {string} opts.homeserver - Base URL, e.g. https://matrix.example.org
+ * @param {string} opts.accessToken - Access token of the bot account
+ * @param {string} [opts.userId] - Bot user id; filled in by whoami() otherwise
+ * @returns {object} Bot instance with sync, sendMessage, sendMarkdown, editMessage, ...
+ */
+function createBot({ homeserver, accessToken, userId = null } = {}) {
+  if (!homeserver) throw new Error('Matrix homeserver is required');
+  if (!accessToken) throw new Error('Matrix access token is required');
+
+  const baseUrl = String(homeserver).replace(/\/+$/, '');
+  const request = (method, apiPath, opts) => apiRequest(baseUrl, accessToken, method, apiPath, opts);
+  const room = roomId => encodeURIComponent(roomId);
+  let txnCounter = 0;
+  const nextTxnId = () => `metame-${Date.now()}-${++txnCounter}`;
+  // event_id of a button message → { roomId, options: Map key → callback_data }
+  const buttonMessages = new Map();
+
+  async function sendEvent(roomId, type, content) {
+    const res = await request('PUT', `${CLIENT_API}/rooms/${room(roomId)}/send/${encodeURIComponent(type)}/${nextTxnId()}`, { body: content });
+    return { message_id: res.event_id };
+  }
+
+  // Thread composite ids ("thread:<room>:<root>") post into the thread.
+  function target(chatId) {
+    const thread = parseThreadChatId(chatId);
+    if (!thread) return { roomId: String(chatId), relatesTo: null };
+    return {
+      roomId: thread.chatId,
+      relatesTo: {
+        rel_type: 'm.thread',
+        event_id: thread.threadId,
+        is_falling_back: true,
+        'm.in_reply_to': { event_id: thread.threadId },
+      },
+    };
+  }
+
+  async function sendContent(chatId, content) {
+    const { roomId, relatesTo } = target(chatId);
+    return sendEvent(roomId, 'm.room.message', relatesTo ? { ...content, 'm.relates_to': relatesTo } : content);
+  }
+
+  function rememberButtons(eventId, roomId, options) {
+    buttonMessages.set(eventId, { roomId, options });
+    while (buttonMessages.size > BUTTON_MESSAGES_MAX) {
+      buttonMessages.delete(buttonMessages.keys().next().value);
+    }
+  }
+
+  return {
+    get userId() { return userId; },
+
+    /**
+     * Resolve the bot's own user id (also verifies the token)
+     */
+    async whoami() {
+      const res = await request('GET', `${CLIENT_API}/account/whoami`);
+      userId = res.user_id;
+      return res;
+    },
+
+    /**
+     * Long-poll for events
+     * @param {string|null} since - next_batch token from the previous sync
+     * @param {number} timeout - Long-poll timeout in seconds (default 30)
+     * @returns {Promise<object>} Raw sync response (next_batch, rooms)
+     */
+    async sync(since = null, timeout = 30, signal = null) {
+      try {
+        return await request('GET', `${CLIENT_API}/sync`, {
+          query: { since, timeout: timeout * 1000, filter: SYNC_FILTER },
+          timeout: (timeout + 5) * 1000, // HTTP timeout > long-poll timeout
+          signal,
+        });
+      } catch (e) {
+        if (e.message === 'aborted') throw e; // propagate abort, don't swallow
+        // On long-poll timeout, return an empty batch — caller retries
+        if (e.message.includes('timed out')) return { next_batch: since, rooms: {} };
+        throw e;
+      }
+    },
+
+    /**
+     * Join a room the bot was invited to
+     */
+    async joinRoom(roomId) {
+      return request('POST', `${CLIENT_API}/rooms/${room(roomId)}/join`, { body: {} });
+    },
+
+    /**
+     * Send a plain text message
+     * @param {string} chatId - Room id (or thread composite id)
+     * @param {string} text - Message text
+     */
+    async sendMessage(chatId, text) {
+      let lastResult = null;
+      for (const chunk of splitMessage(String(text || ''), MAX_MESSAGE_LENGTH)) {
+        lastResult = await sendContent(chatId, { msgtype: 'm.text', body: chunk });
+      }
+      return lastResult; // { message_id: event_id }
+    },
+
+    /**
+     * Send a markdown-formatted message (rendered as org.matrix.custom.html)
+     */
+    async sendMarkdown(chatId, markdown) {
+      let lastResult = null;
+      for (const chunk of splitMessage(String(markdown || ''), MAX_MESSAGE_LENGTH)) {
+        lastResult = await sendContent(chatId, formattedContent(chunk));
+      }
+      return lastResult;
+    },
+
+    /**
+     * Show "typing..." status in a room
+     */
+    async sendTyping(chatId) {
+      if (!userId) return;
+      const { roomId } = target(chatId);
+      await request('PUT', `${CLIENT_API}/rooms/${room(roomId)}/typing/${encodeURIComponent(userId)}`, {
+        body: { typing: true, timeout: 30000 },
+      });
+    },
+
+    /**
+     * Send a message with buttons: a numbered option list plus one seeded
+     * reaction per option (first 10). Reacting with a key presses the button.
+     * @param {string} chatId
+     * @param {string} text
+     * @param {Array<Array<{text: string, callback_data: string}>>} buttons - rows of buttons
+     */
+    async sendButtons(chatId, text, buttons) {
+      const flat = (buttons || []).flat().filter(b => b && b.text);
+      const options = new Map();
+      const lines = flat.map((b, i) => {
+        const key = BUTTON_KEYS[i];
+        if (key && b.callback_data) options.set(key, b.callback_data);
+        if (key) return `${key} ${b.text}`;
+        return b.callback_data ? `• ${b.text}：发送 ${b.callback_data}` : `• ${b.text}`;
+      });
+      const body = [String(text || ''), ...lines].filter(Boolean).join('\n');
+      const result = await sendContent(chatId, { msgtype: 'm.text', body });
+      const { roomId } = target(chatId);
+      rememberButtons(result.message_id, roomId, options);
+      for (const key of options.keys()) {
+        await sendEvent(roomId, 'm.reaction', {
+          'm.relates_to': { rel_type: 'm.annotation', event_id: result.message_id, key },
+        }).catch(() => {});
+      }
+      return result;
+    },
+
+    /**
+     * Map a reaction on a button message back to its callback_data
+     * @returns {string|null}
+     */
+    resolveReaction(roomId, eventId, key) {
+      const entry = buttonMessages.get(eventId);
+      if (!entry || entry.roomId !== roomId) return null;
+      return entry.options.get(key) || null;
+    },
+
+    /**
+     * Edit an existing message (m.replace); used for streaming replies
+     * @param {string} chatId
+     * @param {string} messageId - event_id of the original message
+     * @param {string} text
+     */
+    async editMessage(chatId, messageId, text) {
+      const { roomId } = target(chatId);
+      const content = formattedContent(String(text || '').slice(0, MAX_MESSAGE_LENGTH));
+      await sendEvent(roomId, 'm.room.message', {
+        ...content,
+        body: `* ${content.body}`,
+        'm.new_content': content,
+        'm.relates_to': { rel_type: 'm.replace', event_id: messageId },
+      });
+      return true;
+    },
+
+    /**
+     * Delete (redact) a message
+     */
+    async deleteMessage(chatId, messageId) {
+      const { roomId } = target(chatId);
+      await request('PUT', `${CLIENT_API}/rooms/${room(roomId)}/redact/${encodeURIComponent(messageId)}/${nextTxnId()}`, { body: {} });
+    },
+
+    /**
+     * Download an mxc:// media file to local disk
+     * @param {string} mxcUrl - e.g. mxc://server/mediaId
+     * @param {string} destPath - Local destination path
+     * @returns {Promise<string>} The destination path
+     */
+    async downloadFile(mxcUrl, destPath) {
+      const match = /^mxc:\/\/([^/]+)\/([^/?#]+)/.exec(String(mxcUrl || ''));
+      if (!match) throw new Error(`Invalid Matrix media URL: ${mxcUrl}`);
+      const mediaPath = `${encodeURIComponent(match[1])}/${encodeURIComponent(match[2])}`;
+      let res;
+      try {
+        // Authenticated media (spec v1.11), then the legacy endpoint for older servers.
+        res = await request('GET', `/_matrix/client/v1/media/download/${mediaPath}`, { stream: true, timeout: 60000 });
+      } catch (e) {
+        if (e.statusCode !== 404 && e.statusCode !== 400) throw e;
+        res = await request('GET', `/_matrix/media/v3/download/${mediaPath}`, { stream: true, timeout: 60000 });
+      }
+      return new Promise((resolve, reject) => {
+        const fileStream = fs.createWriteStream(destPath);
+        res.pipe(fileStream);
+        fileStream.on('finish', () => {
+          fileStream.close();
+          resolve(destPath);
+        });
+        fileStream.on('error', (err) => {
+          fs.unlink(destPath, () => { });
+          reject(err);
+        });
+      });
+    },
+
+    /**
+     * Upload a local file to the media repository and post it as m.file
+     * @param {string} chatId - Room id (or thread composite id)
+     * @param {string} filePath - Local file path
+     * @param {string} [caption] - Optional caption, sent as a separate message
+     */
+    async sendFile(chatId, filePath, caption) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      const fileName = path.basename(filePath);
+      const fileContent = fs.readFileSync(filePath);
+      const uploaded = await request('POST', '/_matrix/media/v3/upload', {
+        query: { filename: fileName },
+        raw: fileContent,
+        contentType: 'application/octet-stream',
+        timeout: 60000,
+      });
+      const result = await sendContent(chatId, {
+        msgtype: 'm.file',
+        body: fileName,
+        filename: fileName,
+        url: uploaded.content_uri,
+        info: { size: fileContent.length, mimetype: 'application/octet-stream' },
+      });
+      if (caption) await sendContent(chatId, { msgtype: 'm.text', body: caption });
+      return result;
+    },
+  };
+}
+
+function formattedContent(markdown) {
+  return {
+    msgtype: 'm.text',
+    body: markdown,
+    format: 'org.matrix.custom.html',
+    formatted_body: markdownToHtml(markdown),
+  };
+}
+
+/**
+ * Split a message into chunks that fit the event size limit
+ */
+function splitMessage(text, maxLen) {
+  if (text.length <= maxLen) return [text];
+  const chunks = [];
+  let remaining = text;
+  while (remaining.length > 0) {
+    if (remaining.length <= maxLen) {
+      chunks.push(remaining);
+      break;
+    }
+    // Try to split at newline
+    let splitIdx = remaining.lastIndexOf('\n', maxLen);
+    if (splitIdx < maxLen * 0.5) splitIdx = maxLen; // no good newline, hard split
+    chunks.push(remaining.slice(0, splitIdx));
+    remaining = remaining.slice(splitIdx);
+  }
+  return chunks;
+}
+
+/**
+ * Convert the Markdown subset the daemon emits to Matrix HTML.
+ *
+ * Mapping:  ```code``` → <pre><code>,  `x` → <code>,  **b** → <strong>,
+ * *i* / _i_ → <em>,  [t](url) → <a>,  # Heading → <hN>,  > quote → <blockquote>.
+ * Everything else is HTML-escaped; newlines become <br>.
+ */
+function markdownToHtml(md) {
+  const escapeHtml = s => s.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const inline = s => escapeHtml(s).replace(/\n/g, '<br>');
+
+  const pattern = /```(?:\w*\n?)?([\s\S]*?)```|`([^`\n]+)`|\*\*([\s\S]+?)\*\*|\*([^*\n]+)\*|(?<!\w)_([^_\n]+)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)|^(#{1,6}) (.+)$\n?|^(>.+(?:\n>.*)*)$\n?/mg;
+
+  let out = '';
+  let last = 0;
+  let m;
+
+  while ((m = pattern.exec(md)) !== null) {
+    if (m.index > last) out += inline(md.slice(last, m.index));
+
+    if (m[1] !== undefined) out += '<pre><code>' + escapeHtml(m[1]) + '</code></pre>';
+    else if (m[2] !== undefined) out += '<code>' + escapeHtml(m[2]) + '</code>';
+    else if (m[3] !== undefined) out += '<strong>' + markdownToHtml(m[3]) + '</strong>';
+    else if (m[4] !== undefined) out += '<em>' + markdownToHtml(m[4]) + '</em>';
+    else if (m[5] !== undefined) out += '<em>' + markdownToHtml(m[5]) + '</em>';
+    else if (m[6] !== undefined) out += '<a href="' + escapeHtml(m[7]) + '">' + markdownToHtml(m[6]) + '</a>';
+    else if (m[9] !== undefined) out += `<h${m[8].length}>` + inline(m[9]) + `</h${m[8].length}>`;
+    else if (m[10] !== undefined) {
+      const lines = m[10].split('\n').map(l => inline(l.replace(/^>\s?/, '')));
+      out += '<blockquote>' + lines.join('<br>') + '</blockquote>';
+    }
+
+    last = m.index + m[0].length;
+  }
+
+  if (last < md.length) out += inline(md.slice(last));
+  return out;
+}
+
+module.exports = { createBot, isMatrixRoomId, markdownToHtml };
@@ -327,8 +327,9 @@ function drainStageEmbeddings(stagedDb, stageRoot) {
   if (result.status !== 0) throw new Error(`embedding drain failed: ${(result.stderr || result.stdout || '').trim()}`);
   const db = new DatabaseSync(stagedDb, { readOnly: true });
   try {
-    const pending = db.prepare('SELECT COUNT(*) AS n FROM embedding_queue WHERE attempts < 3').get().n;
-    const dead = db.prepare('SELECT COUNT(*) AS n FROM embedding_queue WHERE attempts >= 3').get().n;
+    // Rows targeted by `memory reembed` build another backend's index; the gate covers the active one.
+    const pending = db.prepare('SELECT COUNT(*) AS n FROM embedding_queue WHERE attempts < 3 AND target_model IS NULL').get().n;
+    const dead = db.prepare('SELECT COUNT(*) AS n FROM embedding_queue WHERE attempts >= 3 AND target_model IS NULL').get().n;
     const missing = db.prepare('SELECT COUNT(*) AS n FROM content_chunks WHERE embedding IS NULL').get().n;
     if (pending || dead || missing) throw new Error(`embedding gate failed: pending=${pending}, dead=${dead}, missing=${missing}`);
     return { pending, dead, missing };
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Portable memory bundles.
+ *
+ *   metame memory export [--out <path>] [--project <key>] [--agent <key>]
+ *                        [--since <date>] [--until <date>] [--encrypt] [--json]
+ *   metame memory import <bundle> [--dry-run] [--keep-state] [--json]
+ *
+ * Export is read-only: memory_items, session_sources, wiki pages and
+ * annotations, knowledge lineage, the profile and agent souls, cut by scope
+ * and checksummed (core/memory-bundle.js).  --encrypt seals it with
+ * METAME_BUNDLE_PASSPHRASE.
+ *
+ * Import runs in one transaction.  Claims are admitted through Claim Contract
+ * v1: same identity + content merges lineage, same identity + different
+ * content lands as `conflict`, everything else arrives as `candidate`
+ * (--keep-state keeps `active` when restoring your own backup).  Local wiki
+ * pages, the profile and souls are never overwritten; differing copies are
+ * staged under ~/.metame/imports/<digest>/ and reported.  --dry-run rolls
+ * the transaction back and writes no files.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { DatabaseSync } = require('node:sqlite');
+const { applyWikiSchema } = require('./memory-wiki-schema');
+const { recordKnowledgeLineage } = require('./core/memory-mutate');
+const { getAgentsRoot, createAgentId } = require('./agent-layer');
+const {
+  buildBundle,
+  classifyImportedClaim,
+  decryptBundle,
+  encryptBundle,
+  memoryItemInScope,
+  normalizeScope,
+  omittedSections,
+  sessionSourceInScope,
+  soulInScope,
+  verifyBundle,
+  wikiPageInScope,
+} = require('./core/memory-bundle');
+
+const DEFAULT_DB_PATH = path.join(os.homedir(), '.metame', 'memory.db');
+const MAX_BUNDLE_BYTES = 256 * 1024 * 1024;
+const AGENT_ID_RE = /^[a-z0-9_-]+$/u;
+const USAGE = [
+  'usage: metame memory export [--out <path>] [--project <key>] [--agent <key>] [--since <date>] [--until <date>] [--encrypt] [--json]',
+  '       metame memory import <bundle> [--dry-run] [--keep-state] [--json]',
+].join('\n');
+
+function parseArgs(argv = []) {
+  const [command, ...rest] = argv.map(String);
+  if (!['export', 'import'].includes(command)) throw new Error(USAGE);
+  const args = { command, file: null, out: null, scope: {}, encrypt: false, dryRun: false, keepState: false, json: false, db: null };
+  const valueOf = (flag, index) => {
+    const value = rest[index];
+    if (!value || value.startsWith('--')) throw new Error(`${flag} requires a value`);
+    return value;
+  };
+  for (let index = 0; index < rest.length; index++) {
+    const arg = rest[index];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--db') args.db = valueOf(arg, ++index);
+    else if (command === 'export' && arg === '--out') args.out = valueOf(arg, ++index);
+    else if (command === 'export' && arg === '--encrypt') args.encrypt = true;
+    else if (command === 'export' && ['--project', '--agent', '--since', '--until'].includes(arg)) {
+      args.scope[arg.slice(2)] = valueOf(arg, ++index);
+    } else if (command === 'import' && arg === '--dry-run') args.dryRun = true;
+    else if (command === 'import' && arg === '--keep-state') args.keepState = true;
+    else if (command === 'import' && !arg.startsWith('--') && !args.file) args.file = arg;
+    else throw new Error(`unknown option: ${arg}`);
+  }
+  if (command === 'import' && !args.file) throw new Error('memory import requires a bundle path');
+  args.scope = normalizeScope(args.scope);
+  return args;
+}
+
+function tableExists(db, table) {
+  return Boolean(db.prepare("SELECT 1 AS ok FROM sqlite_master WHERE type='table' AND name=?").get(table));
+}
+
+function tableColumns(db, table) {
+  return new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(row => row.name));
+}
+
+function readRows(db, table, orderBy) {
+  return tableExists(db, table) ? db.prepare(`SELECT * FROM ${table} ORDER BY ${orderBy}`).all().map(row => ({ ...row })) : [];
+}
+
+/** Insert the columns both sides know about; returns whether a row was added. */
+function insertRow(db, table, row, { orIgnore = false } = {}) {
+  const columns = [...tableColumns(db, table)].filter(column => column in row);
+  const placeholders = columns.map(() => '?').join(',');
+  const result = db.prepare(`INSERT ${orIgnore ? 'OR IGNORE ' : ''}INTO ${table} (${columns.join(',')}) VALUES (${placeholders})`)
+    .run(...columns.map(column => row[column] ?? null));
+  return result.changes > 0;
+}
+
+function readTextFile(filePath) {
+  try { return fs.readFileSync(filePath, 'utf8'); } catch { return null; }
+}
+
+function readAgentSouls(homeDir) {
+  const root = getAgentsRoot(homeDir);
+  let entries = [];
+  try { entries = fs.readdirSync(root).sort(); } catch { return []; }
+  const souls = [];
+  for (const agentId of entries) {
+    const content = readTextFile(path.join(root, agentId, 'soul.md'));
+    if (content !== null && AGENT_ID_RE.test(agentId)) souls.push({ agent_id: agentId, content });
+  }
+  return souls;
+}
+
+function exportMemoryBundle({ db, homeDir = os.homedir(), scope = {}, now = new Date().toISOString(), dbPath = null } = {}) {
+  if (!tableExists(db, 'memory_items')) throw new Error('memory_items table is required');
+  const normalized = normalizeScope(scope);
+  const omitted = new Set(omittedSections(normalized));
+  const memoryItems = readRows(db, 'memory_items', 'id').filter(row => memoryItemInScope(row, normalized));
+  const itemIds = new Set(memoryItems.map(row => String(row.id)));
+  const wikiPages = omitted.has('wiki_pages')
+    ? []
+    : readRows(db, 'wiki_pages', 'slug').filter(row => wikiPageInScope(row, normalized));
+  const slugs = new Set(wikiPages.map(row => row.slug));
+  const sections = {
+    memory_items: memoryItems,
+    session_sources: readRows(db, 'session_sources', 'id').filter(row => sessionSourceInScope(row, normalized)),
+    wiki_pages: wikiPages,
+    wiki_annotations: readRows(db, 'wiki_annotations', 'id').filter(row => slugs.has(row.page_slug)),
+    knowledge_lineage: readRows(db, 'knowledge_lineage', 'child_kind, child_id, parent_kind, parent_id, role')
+      .filter(row => row.child_kind === 'memory_item' && itemIds.has(String(row.child_id))),
+    profile: omitted.has('profile') ? null : (() => {
+      const content = readTextFile(path.join(homeDir, '.claude_profile.yaml'));
+      return content === null ? null : { content };
+    })(),
+    agent_souls: omitted.has('agent_souls')
+      ? []
+      : readAgentSouls(homeDir).filter(soul => soulInScope(soul.agent_id, normalized, key => createAgentId({ projectKey: key }))),
+  };
+  return buildBundle({
+    sections,
+    scope: normalized,
+    createdAt: now,
+    source: { host: os.hostname(), ...(dbPath ? { db_path: String(dbPath) } : {}) },
+  });
+}
+
+function writeBundleFile(filePath, document) {
+  const target = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const fd = fs.openSync(target, 'wx', 0o600);
+  try {
+    fs.writeFileSync(fd, `${JSON.stringify(document, null, 2)}\n`, 'utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+  return target;
+}
+
+function readBundleFile(filePath, { passphrase = null } = {}) {
+  const target = path.resolve(filePath);
+  const stat = fs.statSync(target);
+  if (!stat.isFile()) throw new Error('memory bundle must be a regular file');
+  if (stat.size > MAX_BUNDLE_BYTES) throw new Error(`memory bundle exceeds ${MAX_BUNDLE_BYTES} bytes`);
+  return verifyBundle(decryptBundle(JSON.parse(fs.readFileSync(target, 'utf8')), passphrase));
+}
+
+function bump(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function importMemoryItems(db, bundle, report, { keepState }) {
+  const idMap = new Map();
+  const counts = report.memory_items;
+  for (const row of bundle.sections.memory_items || []) {
+    const sameId = db.prepare('SELECT * FROM memory_items WHERE id=?').get(row.id) || null;
+    const matches = row.canonical_key
+      ? db.prepare(`SELECT * FROM memory_items
+                     WHERE canonical_key=? AND project IS ? AND scope IS ?
+                       AND state IN ('candidate','active','conflict')`).all(row.canonical_key, row.project ?? '*', row.scope ?? null)
+      : [];
+    const decision = classifyImportedClaim(row, { sameId, matches }, { keepState });
+    bump(counts, decision.outcome);
+    if (decision.outcome === 'conflict' || decision.outcome === 'id_conflict') {
+      report.conflicts.push({
+        section: 'memory_items',
+        id: String(row.id),
+        outcome: decision.outcome,
+        existing_ids: decision.existing_ids || [decision.existing_id],
+      });
+    }
+    if (decision.outcome === 'unchanged') {
+      idMap.set(String(row.id), decision.existing_id);
+      continue;
+    }
+    if (decision.outcome === 'duplicate') {
+      idMap.set(String(row.id), decision.existing_id);
+    } else if (decision.state) {
+      insertRow(db, 'memory_items', { ...row, state: decision.state, supersedes_id: null, archive_reason: null });
+      idMap.set(String(row.id), String(row.id));
+    } else {
+      continue;
+    }
+    recordKnowledgeLineage(db, {
+      childKind: 'memory_item',
+      childId: idMap.get(String(row.id)),
+      parentKind: 'memory_bundle',
+      parentId: bundle.bundle_digest,
+      transform: 'memory-import-v1',
+      role: 'evidence',
+    });
+  }
+  return idMap;
+}
+
+function importLineage(db, bundle, idMap, report) {
+  for (const row of bundle.sections.knowledge_lineage || []) {
+    const childId = idMap.get(String(row.child_id));
+    const parentId = row.parent_kind === 'memory_item' ? idMap.get(String(row.parent_id)) : String(row.parent_id);
+    if (!childId || !parentId || childId === parentId) continue;
+    const inserted = insertRow(db, 'knowledge_lineage', { ...row, child_id: childId, parent_id: parentId }, { orIgnore: true });
+    bump(report.knowledge_lineage, inserted ? 'inserted' : 'unchanged');
+  }
+}
+
+function importWiki(db, bundle, report) {
+  for (const page of bundle.sections.wiki_pages || []) {
+    const local = db.prepare('SELECT id, content FROM wiki_pages WHERE slug=?').get(page.slug);
+    if (!local) {
+      insertRow(db, 'wiki_pages', page);
+      bump(report.wiki_pages, 'inserted');
+    } else if (local.content === page.content) {
+      bump(report.wiki_pages, 'unchanged');
+    } else {
+      bump(report.wiki_pages, 'conflict');
+      report.conflicts.push({ section: 'wiki_pages', id: page.slug, outcome: 'conflict', kept: 'local' });
+    }
+  }
+  for (const annotation of bundle.sections.wiki_annotations || []) {
+    if (!db.prepare('SELECT 1 AS ok FROM wiki_pages WHERE slug=?').get(annotation.page_slug)) {
+      bump(report.wiki_annotations, 'missing_page');
+      continue;
+    }
+    bump(report.wiki_annotations, insertRow(db, 'wiki_annotations', annotation, { orIgnore: true }) ? 'inserted' : 'unchanged');
+  }
+  for (const source of bundle.sections.session_sources || []) {
+    bump(report.session_sources, insertRow(db, 'session_sources', source, { orIgnore: true }) ? 'inserted' : 'unchanged');
+  }
+}
+
+/** Create missing files, keep differing local copies and stage the incoming one. */
+function importFile({ target, content, stagedPath, dryRun, report, section, id }) {
+  const local = readTextFile(target);
+  if (local === content) return 'unchanged';
+  if (local === null) {
+    if (!dryRun) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content, 'utf8');
+    }
+    return 'created';
+  }
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(stagedPath), { recursive: true });
+    fs.writeFileSync(stagedPath, content, { encoding: 'utf8', mode: 0o600 });
+  }
+  report.conflicts.push({ section, id, outcome: 'conflict', kept: 'local', staged: stagedPath });
+  return 'conflict';
+}
+
+function importFiles(bundle, report, { homeDir, dryRun }) {
+  const stageDir = path.join(homeDir, '.metame', 'imports', bundle.bundle_digest.slice(0, 12));
+  if (bundle.sections.profile && typeof bundle.sections.profile.content === 'string') {
+    bump(report.profile, importFile({
+      target: path.join(homeDir, '.claude_profile.yaml'),
+      content: bundle.sections.profile.content,
+      stagedPath: path.join(stageDir, 'claude_profile.yaml'),
+      dryRun,
+      report,
+      section: 'profile',
+      id: '.claude_profile.yaml',
+    }));
+  }
+  const agentsRoot = getAgentsRoot(homeDir);
+  for (const soul of bundle.sections.agent_souls || []) {
+    if (!AGENT_ID_RE.test(String(soul.agent_id)) || typeof soul.content !== 'string') {
+      bump(report.agent_souls, 'rejected');
+      continue;
+    }
+    bump(report.agent_souls, importFile({
+      target: path.join(agentsRoot, soul.agent_id, 'soul.md'),
+      content: soul.content,
+      stagedPath: path.join(stageDir, 'agents', soul.agent_id, 'soul.md'),
+      dryRun,
+      report,
+      section: 'agent_souls',
+      id: soul.agent_id,
+    }));
+  }
+  if (report.conflicts.some(conflict => conflict.staged)) report.staged_dir = stageDir;
+}
+
+function importMemoryBundle({ db, bundle, homeDir = os.homedir(), dryRun = false, keepState = false } = {}) {
+  verifyBundle(bundle);
+  if (!tableExists(db, 'memory_items')) throw new Error('memory_items table is required');
+  const report = {
+    ok: true,
+    dry_run: dryRun,
+    bundle_digest: bundle.bundle_digest,
+    scope: bundle.scope,
+    memory_items: {},
+    session_sources: {},
+    wiki_pages: {},
+    wiki_annotations: {},
+    knowledge_lineage: {},
+    profile: {},
+    agent_souls: {},
+    conflicts: [],
+    staged_dir: null,
+  };
+  db.exec('PRAGMA busy_timeout = 10000');
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    applyWikiSchema(db);
+    const idMap = importMemoryItems(db, bundle, report, { keepState });
+    importLineage(db, bundle, idMap, report);
+    importWiki(db, bundle, report);
+    db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    try { db.exec('ROLLBACK'); } catch { /* preserve original error */ }
+    throw error;
+  }
+  importFiles(bundle, report, { homeDir, dryRun });
+  return report;
+}
+
+function formatCounts(counts) {
+  const entries = Object.entries(counts);
+  return entries.length ? entries.map(([key, value]) => `${key}=${value}`).join(' ') : '-';
+}
+
+function formatExport(target, bundle, encrypted) {
+  const counts = Object.entries(bundle.counts).map(([name, value]) => `${name}=${value}`).join(' ');
+  return [
+    `memory bundle written: ${target}${encrypted ? ' (encrypted)' : ''}`,
+    `sections: ${counts}`,
+    bundle.omitted_sections.length ? `omitted by scope: ${bundle.omitted_sections.join(', ')}` : null,
+    `bundle_digest=${bundle.bundle_digest}`,
+  ].filter(Boolean).join('\n');
+}
+
+function formatImport(report) {
+  const lines = [
+    `memory import${report.dry_run ? ' (dry run, nothing written)' : ''}: bundle ${report.bundle_digest.slice(0, 12)}`,
+    ...['memory_items', 'session_sources', 'wiki_pages', 'wiki_annotations', 'knowledge_lineage', 'profile', 'agent_souls']
+      .map(name => `  ${name}: ${formatCounts(report[name])}`),
+  ];
+  if (report.conflicts.length) {
+    lines.push(`conflicts (${report.conflicts.length}):`);
+    for (const conflict of report.conflicts) {
+      const detail = conflict.existing_ids ? ` vs ${conflict.existing_ids.join(',')}` : (conflict.staged ? ` staged at ${conflict.staged}` : ' kept local');
+      lines.push(`  ${conflict.section} ${conflict.id} ${conflict.outcome}${detail}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function resolveDbPath(options = {}, args = {}) {
+  return path.resolve(options.dbPath || args.db || process.env.METAME_MEMORY_DB_PATH || DEFAULT_DB_PATH);
+}
+
+function main(argv = process.argv.slice(2), options = {}) {
+  const args = parseArgs(argv);
+  const dbPath = resolveDbPath(options, args);
+  const homeDir = options.homeDir || os.homedir();
+  const passphrase = options.passphrase ?? process.env.METAME_BUNDLE_PASSPHRASE ?? null;
+  const print = value => { if (options.print !== false) console.log(value); };
+
+  if (args.command === 'export') {
+    if (args.encrypt && !passphrase) throw new Error('--encrypt requires METAME_BUNDLE_PASSPHRASE');
+    const now = options.now || new Date().toISOString();
+    const db = new DatabaseSync(dbPath, { readOnly: true });
+    let bundle;
+    try {
+      bundle = exportMemoryBundle({ db, homeDir, scope: args.scope, now, dbPath });
+    } finally { db.close(); }
+    const out = args.out || path.join(homeDir, '.metame', 'exports', `memory-${now.replace(/[:.]/g, '-')}.json`);
+    const target = writeBundleFile(out, args.encrypt ? encryptBundle(bundle, passphrase) : bundle);
+    const result = { ok: true, path: target, encrypted: args.encrypt, bundle_digest: bundle.bundle_digest, counts: bundle.counts, omitted_sections: bundle.omitted_sections };
+    print(args.json ? JSON.stringify(result, null, 2) : formatExport(target, bundle, args.encrypt));
+    return result;
+  }
+
+  const bundle = readBundleFile(args.file, { passphrase });
+  const db = new DatabaseSync(dbPath);
+  try {
+    const report = importMemoryBundle({ db, bundle, homeDir, dryRun: args.dryRun, keepState: args.keepState });
+    print(args.json ? JSON.stringify(report, null, 2) : formatImport(report));
+    return report;
+  } finally { db.close(); }
+}
+
+if (require.main === module) {
+  try { main(); }
+  catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  MAX_BUNDLE_BYTES,
+  exportMemoryBundle,
+  formatExport,
+  formatImport,
+  importMemoryBundle,
+  main,
+  parseArgs,
+  readBundleFile,
+  writeBundleFile,
+  _internal: {
+    importFile,
+    insertRow,
+    readAgentSouls,
+    resolveDbPath,
+  },
+};
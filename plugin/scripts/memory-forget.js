@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Targeted erasure.
+ *
+ *   metame memory forget <id|query> --dry-run [--json]
+ *   metame memory forget <id|query> --yes [--json]
+ *
+ * An exact memory_items id selects that row; anything else is a
+ * case-insensitive substring match over title and content, every state
+ * included.  Unlike archiveItem() this deletes: the rows (and their FTS
+ * entries, merged away with an FTS optimize), content_chunks that quote them
+ * or belong to pages built from them (with chunk_embeddings and queued
+ * embedding jobs), recall_audit refs and anchor labels, lineage edges, page
+ * evidence and review decisions.  Wiki pages and knowledge artifacts that
+ * depend on the rows through knowledge_lineage / wiki_page_evidence are
+ * marked stale so the next build drops the fact.
+ *
+ * One transaction with secure_delete on, then a WAL truncate.  --yes writes an
+ * HMAC-signed receipt to ~/.metame/erasures/ (core/memory-forget.js); the
+ * session transcripts the facts were extracted from are not touched.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { DatabaseSync } = require('node:sqlite');
+const {
+  MAX_FORGET_ITEMS,
+  MIN_QUERY_CHARS,
+  buildErasureReceipt,
+  parseForgetTarget,
+  scrubAnchorLabels,
+  scrubSourceRefs,
+} = require('./core/memory-forget');
+
+const DEFAULT_DB_PATH = path.join(os.homedir(), '.metame', 'memory.db');
+const PREVIEW_CHARS = 80;
+const USAGE = 'usage: metame memory forget <id|query> (--dry-run | --yes) [--json]';
+
+function parseArgs(argv = []) {
+  const args = { target: null, dryRun: false, yes: false, json: false, db: null };
+  const words = [];
+  for (let index = 0; index < argv.length; index++) {
+    const arg = String(argv[index]);
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--yes') args.yes = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--db') {
+      const value = argv[++index];
+      if (!value || String(value).startsWith('--')) throw new Error('--db requires a value');
+      args.db = String(value);
+    } else if (arg.startsWith('--')) throw new Error(`unknown option: ${arg}`);
+    else words.push(arg);
+  }
+  if (!words.length) throw new Error(USAGE);
+  if (args.dryRun === args.yes) throw new Error('choose exactly one of --dry-run (preview) or --yes (erase)');
+  args.target = parseForgetTarget(words.join(' '));
+  return args;
+}
+
+function tableExists(db, table) {
+  return Boolean(db.prepare("SELECT 1 AS ok FROM sqlite_master WHERE name=? AND type IN ('table','view')").get(table));
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+function preview(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > PREVIEW_CHARS ? `${value.slice(0, PREVIEW_CHARS - 1)}…` : value;
+}
+
+function selectItems(db, target) {
+  const exact = db.prepare('SELECT id, kind, state, project, title, content FROM memory_items WHERE id=?').get(target);
+  if (exact) return { selector: { kind: 'id', value: target }, items: [exact] };
+  const items = db.prepare(`
+    SELECT id, kind, state, project, title, content FROM memory_items
+     WHERE instr(lower(content), lower(?)) > 0 OR instr(lower(COALESCE(title, '')), lower(?)) > 0
+     ORDER BY id LIMIT ?
+  `).all(target, target, MAX_FORGET_ITEMS + 1);
+  if (items.length > MAX_FORGET_ITEMS) {
+    throw new Error(`forget query matches more than ${MAX_FORGET_ITEMS} memories; narrow it down`);
+  }
+  return { selector: { kind: 'query', value: target }, items };
+}
+
+/**
+ * Everything an erasure of `target` would touch.  Read-only.
+ * @returns {{ selector: object, items: object[], chunks: object[], stale_artifact_ids: string[],
+ *             stale_page_slugs: string[], recall_audit: object[], counts: object }}
+ */
+function planErasure(db, target) {
+  if (!tableExists(db, 'memory_items')) throw new Error('memory_items table is required');
+  const { selector, items } = selectItems(db, target);
+  const ids = items.map(item => String(item.id));
+  const idSet = new Set(ids);
+  const plan = {
+    selector,
+    items: items.map(item => ({ id: String(item.id), kind: item.kind, state: item.state, project: item.project, preview: preview(item.content) })),
+    chunks: [],
+    stale_artifact_ids: [],
+    stale_page_slugs: [],
+    recall_audit: [],
+    counts: {
+      memory_items: ids.length,
+      content_chunks: 0,
+      chunk_embeddings: 0,
+      embedding_queue: 0,
+      recall_audit: 0,
+      knowledge_lineage: 0,
+      wiki_page_evidence: 0,
+      review_decisions: 0,
+      superseded_refs: 0,
+    },
+  };
+  if (!ids.length) return plan;
+  const inIds = placeholders(ids);
+  const hasLineage = tableExists(db, 'knowledge_lineage');
+
+  if (hasLineage && tableExists(db, 'knowledge_artifact_registry')) {
+    plan.stale_artifact_ids = db.prepare(`
+      SELECT DISTINCT child_id AS artifact_id FROM knowledge_lineage
+       WHERE child_kind='knowledge_artifact' AND parent_kind='memory_item' AND parent_id IN (${inIds})
+       ORDER BY child_id
+    `).all(...ids).map(row => row.artifact_id);
+  }
+  const slugs = new Set();
+  if (tableExists(db, 'wiki_pages') && plan.stale_artifact_ids.length) {
+    for (const row of db.prepare(`SELECT slug FROM wiki_pages WHERE artifact_id IN (${placeholders(plan.stale_artifact_ids)})`)
+      .all(...plan.stale_artifact_ids)) slugs.add(row.slug);
+  }
+  if (tableExists(db, 'wiki_page_evidence')) {
+    const evidence = db.prepare(`SELECT page_slug FROM wiki_page_evidence WHERE evidence_type='memory_item' AND evidence_id IN (${inIds})`)
+      .all(...ids);
+    plan.counts.wiki_page_evidence = evidence.length;
+    for (const row of evidence) slugs.add(row.page_slug);
+  }
+
+  if (tableExists(db, 'content_chunks')) {
+    // Chunks of dependent pages go with the page rebuild; chunks elsewhere
+    // that quote the erased text go now.
+    const needles = selector.kind === 'query'
+      ? [selector.value]
+      : items.map(item => String(item.content || '').trim()).filter(text => text.length >= MIN_QUERY_CHARS);
+    const dependent = [...slugs];
+    const clauses = [
+      ...(dependent.length ? [`page_slug IN (${placeholders(dependent)})`] : []),
+      ...needles.map(() => 'instr(lower(chunk_text), lower(?)) > 0'),
+    ];
+    if (clauses.length) {
+      plan.chunks = db.prepare(`SELECT id, page_slug FROM content_chunks WHERE ${clauses.join(' OR ')} ORDER BY page_slug, chunk_idx`)
+        .all(...dependent, ...needles).map(row => ({ id: String(row.id), page_slug: row.page_slug }));
+    }
+    for (const chunk of plan.chunks) slugs.add(chunk.page_slug);
+    plan.counts.content_chunks = plan.chunks.length;
+    const chunkIds = plan.chunks.map(chunk => chunk.id);
+    if (chunkIds.length && tableExists(db, 'chunk_embeddings')) {
+      plan.counts.chunk_embeddings = db.prepare(`SELECT COUNT(*) AS n FROM chunk_embeddings WHERE chunk_id IN (${placeholders(chunkIds)})`)
+        .get(...chunkIds).n;
+    }
+    if (chunkIds.length && tableExists(db, 'embedding_queue')) {
+      plan.counts.embedding_queue = db.prepare(`SELECT COUNT(*) AS n FROM embedding_queue WHERE item_type='chunk' AND item_id IN (${placeholders(chunkIds)})`)
+        .get(...chunkIds).n;
+    }
+  }
+  plan.stale_page_slugs = [...slugs].sort();
+
+  if (tableExists(db, 'recall_audit')) {
+    const anchorQuery = selector.kind === 'query' ? selector.value : null;
+    const clauses = ids.map(() => 'instr(source_refs, ?) > 0');
+    if (anchorQuery) clauses.push('instr(lower(anchor_labels), lower(?)) > 0');
+    const rows = db.prepare(`SELECT id, source_refs, anchor_labels FROM recall_audit WHERE ${clauses.join(' OR ')}`)
+      .all(...ids, ...(anchorQuery ? [anchorQuery] : []));
+    for (const row of rows) {
+      const refs = scrubSourceRefs(parseJsonArray(row.source_refs), idSet);
+      const labels = scrubAnchorLabels(parseJsonArray(row.anchor_labels), anchorQuery);
+      if (!refs.removed && !labels.removed) continue;
+      plan.recall_audit.push({ id: row.id, source_refs: refs.refs, anchor_labels: labels.labels });
+    }
+    plan.counts.recall_audit = plan.recall_audit.length;
+  }
+
+  if (hasLineage) {
+    plan.counts.knowledge_lineage = db.prepare(`
+      SELECT COUNT(*) AS n FROM knowledge_lineage
+       WHERE (child_kind='memory_item' AND child_id IN (${inIds}))
+          OR (parent_kind='memory_item' AND parent_id IN (${inIds}))
+    `).get(...ids, ...ids).n;
+  }
+  if (tableExists(db, 'memory_review_decisions')) {
+    plan.counts.review_decisions = db.prepare(`SELECT COUNT(*) AS n FROM memory_review_decisions WHERE item_id IN (${inIds})`).get(...ids).n;
+  }
+  plan.counts.superseded_refs = db.prepare(`SELECT COUNT(*) AS n FROM memory_items WHERE supersedes_id IN (${inIds}) AND id NOT IN (${inIds})`)
+    .get(...ids, ...ids).n;
+  return plan;
+}
+
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch { return []; }
+}
+
+function applyPlan(db, plan) {
+  const ids = plan.items.map(item => item.id);
+  const inIds = placeholders(ids);
+  for (const artifactId of plan.stale_artifact_ids) {
+    db.prepare(`UPDATE knowledge_artifact_registry SET status='stale', projected_at=datetime('now') WHERE artifact_id=?`).run(artifactId);
+    if (tableExists(db, 'wiki_pages')) {
+      db.prepare(`UPDATE wiki_pages SET artifact_status='stale' WHERE artifact_id=?`).run(artifactId);
+    }
+  }
+  for (const slug of plan.stale_page_slugs) {
+    db.prepare(`UPDATE wiki_pages SET staleness=MAX(COALESCE(staleness, 0), 1.0), updated_at=datetime('now') WHERE slug=?`).run(slug);
+  }
+  const chunkIds = plan.chunks.map(chunk => chunk.id);
+  if (chunkIds.length) {
+    const inChunks = placeholders(chunkIds);
+    if (tableExists(db, 'chunk_embeddings')) db.prepare(`DELETE FROM chunk_embeddings WHERE chunk_id IN (${inChunks})`).run(...chunkIds);
+    if (tableExists(db, 'embedding_queue')) {
+      db.prepare(`DELETE FROM embedding_queue WHERE item_type='chunk' AND item_id IN (${inChunks})`).run(...chunkIds);
+    }
+    db.prepare(`DELETE FROM content_chunks WHERE id IN (${inChunks})`).run(...chunkIds);
+  }
+  for (const row of plan.recall_audit) {
+    db.prepare('UPDATE recall_audit SET source_refs=?, anchor_labels=? WHERE id=?')
+      .run(JSON.stringify(row.source_refs), JSON.stringify(row.anchor_labels), row.id);
+  }
+  if (tableExists(db, 'knowledge_lineage')) {
+    db.prepare(`DELETE FROM knowledge_lineage
+                 WHERE (child_kind='memory_item' AND child_id IN (${inIds}))
+                    OR (parent_kind='memory_item' AND parent_id IN (${inIds}))`).run(...ids, ...ids);
+  }
+  if (tableExists(db, 'wiki_page_evidence')) {
+    db.prepare(`DELETE FROM wiki_page_evidence WHERE evidence_type='memory_item' AND evidence_id IN (${inIds})`).run(...ids);
+  }
+  if (tableExists(db, 'memory_review_decisions')) {
+    db.prepare(`DELETE FROM memory_review_decisions WHERE item_id IN (${inIds})`).run(...ids);
+  }
+  db.prepare(`UPDATE memory_items SET supersedes_id=NULL WHERE supersedes_id IN (${inIds}) AND id NOT IN (${inIds})`).run(...ids, ...ids);
+  db.prepare(`DELETE FROM memory_items WHERE id IN (${inIds})`).run(...ids);
+  // The mi_ad trigger removes the rows from the index; optimize merges the
+  // segments so the old terms are not left behind in the FTS b-tree.
+  if (tableExists(db, 'memory_items_fts')) {
+    db.prepare("INSERT INTO memory_items_fts(memory_items_fts) VALUES('optimize')").run();
+  }
+}
+
+/** Local HMAC key for receipts, created 0600 on first use. */
+function loadReceiptKey(homeDir) {
+  const keyPath = path.join(homeDir, '.metame', 'erasure-receipt.key');
+  try { return fs.readFileSync(keyPath); } catch { /* create below */ }
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  try {
+    fs.writeFileSync(keyPath, crypto.randomBytes(32), { flag: 'wx', mode: 0o600 });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+  return fs.readFileSync(keyPath);
+}
+
+function writeReceipt(homeDir, receipt) {
+  const dir = path.join(homeDir, '.metame', 'erasures');
+  fs.mkdirSync(dir, { recursive: true });
+  const target = path.join(dir, `${receipt.receipt_id}.json`);
+  fs.writeFileSync(target, `${JSON.stringify(receipt, null, 2)}\n`, { flag: 'wx', mode: 0o600 });
+  return target;
+}
+
+/**
+ * Plan and, unless dryRun, erase in one transaction.
+ * @param {{ db: import('node:sqlite').DatabaseSync, target: string, dryRun?: boolean,
+ *           expectIds?: string[]|null, homeDir?: string, now?: string }} options
+ *   expectIds: abort when the selection no longer equals a previewed one
+ */
+function forgetMemory({ db, target, dryRun = false, expectIds = null, homeDir = os.homedir(), now = new Date().toISOString() } = {}) {
+  const selectorValue = parseForgetTarget(target);
+  db.exec('PRAGMA busy_timeout = 10000');
+  if (!dryRun) db.exec('PRAGMA secure_delete = ON');
+  db.exec('BEGIN IMMEDIATE');
+  let plan;
+  try {
+    plan = planErasure(db, selectorValue);
+    const ids = plan.items.map(item => item.id);
+    if (expectIds && [...expectIds].sort().join('\n') !== [...ids].sort().join('\n')) {
+      throw new Error('memory changed since the preview; preview again before erasing');
+    }
+    if (!dryRun && ids.length) applyPlan(db, plan);
+    db.exec(dryRun || !ids.length ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    try { db.exec('ROLLBACK'); } catch { /* preserve original error */ }
+    throw error;
+  }
+  // The selector value may be the secret itself; results only name its kind.
+  const { selector, ...touched } = plan;
+  const result = { ok: true, dry_run: dryRun, selector_kind: selector.kind, ...touched, receipt: null, receipt_path: null };
+  if (dryRun || !plan.items.length) return result;
+  try { db.exec('PRAGMA wal_checkpoint(TRUNCATE)'); } catch { /* another reader holds the WAL; pages are already zeroed */ }
+  const key = loadReceiptKey(homeDir);
+  result.receipt = buildErasureReceipt({
+    selector,
+    erasedAt: now,
+    counts: { ...plan.counts, stale_artifacts: plan.stale_artifact_ids.length, stale_pages: plan.stale_page_slugs.length },
+    memoryItemIds: plan.items.map(item => item.id),
+    chunkIds: plan.chunks.map(chunk => chunk.id),
+    staleArtifactIds: plan.stale_artifact_ids,
+    stalePageSlugs: plan.stale_page_slugs,
+  }, key);
+  result.receipt_path = writeReceipt(homeDir, result.receipt);
+  return result;
+}
+
+function formatForget(result) {
+  if (!result.items.length) return `memory forget: nothing matches this ${result.selector_kind}`;
+  const counts = Object.entries(result.counts).filter(([, value]) => value).map(([name, value]) => `${name}=${value}`).join(' ');
+  const lines = [
+    result.dry_run ? 'memory forget (dry run, nothing erased):' : 'memory forget: erased',
+    ...result.items.map(item => `  ${item.id} [${item.kind}/${item.state}${item.project && item.project !== '*' ? ` ${item.project}` : ''}] ${item.preview}`),
+    `touched: ${counts}`,
+  ];
+  if (result.stale_page_slugs.length) lines.push(`wiki pages marked stale: ${result.stale_page_slugs.join(', ')}`);
+  if (result.stale_artifact_ids.length) lines.push(`artifacts marked stale: ${result.stale_artifact_ids.join(', ')}`);
+  if (result.receipt_path) lines.push(`receipt: ${result.receipt_path}`);
+  return lines.join('\n');
+}
+
+function resolveDbPath(options = {}, args = {}) {
+  return path.resolve(options.dbPath || args.db || process.env.METAME_MEMORY_DB_PATH || DEFAULT_DB_PATH);
+}
+
+function main(argv = process.argv.slice(2), options = {}) {
+  const args = parseArgs(argv);
+  const db = new DatabaseSync(resolveDbPath(options, args));
+  try {
+    const result = forgetMemory({
+      db,
+      target: args.target,
+      dryRun: args.dryRun,
+      homeDir: options.homeDir || os.homedir(),
+      now: options.now || new Date().toISOString(),
+    });
+    if (options.print !== false) console.log(args.json ? JSON.stringify(result, null, 2) : formatForget(result));
+    return result;
+  } finally { db.close(); }
+}
+
+if (require.main === module) {
+  try { main(); }
+  catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  forgetMemory,
+  formatForget,
+  main,
+  parseArgs,
+  planErasure,
+  _internal: {
+    loadReceiptKey,
+    resolveDbPath,
+  },
+};
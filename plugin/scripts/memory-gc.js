@@ -176,9 +176,17 @@ function run() {
 
     let promoted = 0;
     let archivedCount = 0;
+    let expired = 0;
 
     db.exec('BEGIN IMMEDIATE');
     try {
+      // Phase 0: Archive claims past valid_until before anything can promote them
+      const expiry = mutate.expireMemoryItems(db);
+      expired = expiry.archivedIds.length;
+      if (expired > 0) {
+        console.log(`[MEMORY-GC] Expired ${expired} items past valid_until (${expiry.staleArtifactIds.length} artifacts marked stale)`);
+      }
+
       // Phase 1: Promote hot candidates
       const candidates = db.prepare(
         `SELECT * FROM memory_items WHERE state = 'candidate'`
@@ -209,7 +217,7 @@ function run() {
       throw e;
     }
 
-    console.log(`[MEMORY-GC] Promoted ${promoted}, archived ${archivedCount}`);
+    console.log(`[MEMORY-GC] Promoted ${promoted}, archived ${archivedCount}, expired ${expired}`);
 
     // Phase 3: prune recall_audit rows beyond the retention window. Runs
     // OUTSIDE the memory_items transaction because it's an independent
@@ -218,7 +226,7 @@ function run() {
     const auditPruned = cleanupRecallAudit(db, _readAuditRetentionDays());
 
     // Run VACUUM to reclaim space (only if anything was deleted) — outside transaction
-    if (archivedCount > 0 || auditPruned > 0) {
+    if (archivedCount > 0 || expired > 0 || auditPruned > 0) {
       try {
         db.exec('VACUUM');
       } catch { /* non-fatal — WAL mode makes VACUUM occasionally slow */ }
@@ -230,6 +238,7 @@ function run() {
     writeGcLog({
       promoted,
       archived: archivedCount,
+      expired,
       audit_pruned: auditPruned,
       db_size_before: dbSizeBefore,
       db_size_after: dbSizeAfter,
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * memory-reembed.js — `metame memory reembed --backend <openai|ollama|local>`
+ *
+ * Builds one backend's vector index over every content chunk, next to the
+ * indexes that already exist, so a backend switch can be prepared before it
+ * takes effect. Work goes through embedding_queue (target_model = the
+ * backend's model): an interrupted run resumes on the next invocation, and
+ * the daemon's embedding heartbeat keeps advancing it in the background.
+ */
+
+const os = require('node:os');
+const path = require('node:path');
+const { DatabaseSync } = require('node:sqlite');
+const { applyWikiSchema } = require('./memory-wiki-schema');
+const { enqueueReembed, collectEmbeddingCoverage } = require('./core/embedding-index');
+
+const DEFAULT_DB_PATH = process.env.METAME_MEMORY_DB_PATH
+  ? path.resolve(process.env.METAME_MEMORY_DB_PATH) : path.join(os.homedir(), '.metame', 'memory.db');
+const USAGE = 'usage: memory reembed --backend <openai|ollama|local> [--json] [--db <path>]';
+
+function parseArgs(argv = []) {
+  const args = { backend: null, json: false, db: null };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = String(argv[index]);
+    if (arg === '--json') {
+      args.json = true;
+    } else if (/^--backend=/.test(arg)) {
+      args.backend = arg.slice('--backend='.length);
+    } else if (arg === '--backend' || arg === '--db') {
+      const value = argv[++index];
+      if (!value || value.startsWith('--')) throw new Error(`${arg} requires a value`);
+      args[arg.slice(2)] = value;
+    } else {
+      throw new Error(`unknown option: ${arg}`);
+    }
+  }
+  args.backend = String(args.backend || '').trim().toLowerCase();
+  if (!['openai', 'ollama', 'local'].includes(args.backend)) throw new Error(USAGE);
+  return args;
+}
+
+function formatPercent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatResult(result) {
+  const { backend, queued, embedded, failed, index, error } = result;
+  const lines = [
+    `MetaMe memory reembed backend=${backend.backend} model=${backend.model} dim=${backend.dimensions}`,
+    `queued=${queued.enqueued} revived=${queued.reset} embedded=${embedded} failed=${failed}`,
+    `coverage=${formatPercent(index.coverage)} (${index.embedded}/${result.chunks}) remaining=${index.queued} dead=${index.failed}`,
+  ];
+  if (error) lines.push(`error=${error} (run again to resume)`);
+  return lines.join('\n');
+}
+
+async function main(argv = process.argv.slice(2), options = {}) {
+  const args = parseArgs(argv);
+  const embedding = options.embedding || require('./core/embedding');
+  const { drainQueue, ensureBackendReady } = require('./daemon-embedding');
+  const backend = embedding.getBackendInfo(args.backend);
+  if (!backend) throw new Error(`embedding backend unavailable: ${args.backend}`);
+  if (!(await ensureBackendReady(embedding, backend))) {
+    throw new Error(`embedding backend not reachable: ${args.backend}`);
+  }
+
+  const print = options.print !== false;
+  const db = new DatabaseSync(options.dbPath || args.db || DEFAULT_DB_PATH);
+  try {
+    db.exec('PRAGMA journal_mode = WAL');
+    db.exec('PRAGMA busy_timeout = 3000');
+    applyWikiSchema(db);
+    const queued = enqueueReembed(db, backend);
+    const drained = await drainQueue(db, embedding, backend, {
+      mirror: false,
+      maxBatches: Infinity,
+      onBatch: (total) => {
+        if (print && !args.json) process.stderr.write(`  embedded ${total.success}/${queued.enqueued + queued.reset}\r`);
+      },
+    });
+    const coverage = collectEmbeddingCoverage(db, { backends: embedding.listBackends() });
+    const index = coverage.indexes.find(item => item.model === backend.model)
+      || { embedded: 0, queued: 0, failed: 0, coverage: null };
+    const result = {
+      backend,
+      queued,
+      embedded: drained.success || 0,
+      failed: drained.failed || 0,
+      chunks: coverage.chunks,
+      index,
+    };
+    if (drained.error) result.error = drained.error;
+    if (print) console.log(args.json ? JSON.stringify(result, null, 2) : formatResult(result));
+    if (drained.error) process.exitCode = 1;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  formatResult,
+  main,
+  parseArgs,
+};
@@ -6,7 +6,8 @@
  * metame-files-mcp-server.js — the file map + cleanup-suggestion surface.
  *
  * Gives any MCP-capable agent fast local-file location (thin wrappers over
- * Spotlight's system-maintained index — no bespoke index to build or sync)
+ * Spotlight's system-maintained index on macOS; on Linux plocate or a walk
+ * index kept current by inotify, see file-map-linux-index.js)
  * plus cleanup suggestion scans (large / stale / duplicate files) and a
  * strictly gated quarantine pipeline for acting on them:
  *
@@ -36,6 +37,7 @@ const path = require('path');
 const { spawn, execFile } = require('child_process');
 
 const spotlight = require('./core/file-map-spotlight');
+const linuxMap = require('./core/file-map-linux');
 const { loadFileMapConfig, expandHome } = require('./core/file-map-config');
 const protect = require('./core/file-map-protect');
 const overviewCore = require('./core/file-map-overview');
@@ -63,13 +65,15 @@ const WRITES_METADATA = { readOnlyHint: false, destructiveHint: false };
 const DESTRUCTIVE = { readOnlyHint: false, destructiveHint: true };
 const USER_CONSENT_PHRASE = 'USER CONFIRMED';
 const EXECUTION_LEASE_MS = 5 * 60 * 1000;
+const RECENTLY_USED_MAX_BYTES = 16 * 1024 * 1024;
+const DAY_MS = 24 * 3600 * 1000;
 
 // ── Tool definitions ─────────────────────────────────────────────────────────
 
 const TOOLS = [
   {
     name: 'file_search',
-    description: 'Locate local files instantly via the macOS Spotlight index (no directory walking). Combines keyword/content search with name, kind, recency and size filters. Use this INSTEAD of ls/find when looking for files.',
+    description: 'Locate local files instantly via the macOS Spotlight index (no directory walking). Combines keyword/content search with name, kind, recency and size filters. On Linux keywords match file names only (plocate or MetaMe\'s inotify-maintained index). Use this INSTEAD of ls/find when looking for files.',
     annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
@@ -102,7 +106,7 @@ const TOOLS = [
   },
   {
     name: 'file_last_used',
-    description: 'Check when specific files were last opened (Spotlight kMDItemLastUsedDate — the only reliable last-used signal on macOS; APFS atime is not trustworthy). Use to verify staleness before proposing cleanup.',
+    description: 'Check when specific files were last opened (Spotlight kMDItemLastUsedDate — the only reliable last-used signal on macOS; APFS atime is not trustworthy. On Linux: recently-used.xbel, or atime when it is later than mtime). Use to verify staleness before proposing cleanup.',
     annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
@@ -114,7 +118,7 @@ const TOOLS = [
   },
   {
     name: 'scan_large',
-    description: 'Scan for large files under a directory via Spotlight, sorted by size descending. Entries matching the protection list are flagged protected (they cannot be proposed for cleanup).',
+    description: 'Scan for large files under a directory via Spotlight (Linux: the MetaMe file index), sorted by size descending. Entries matching the protection list are flagged protected (they cannot be proposed for cleanup).',
     annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
@@ -141,7 +145,7 @@ const TOOLS = [
   },
   {
     name: 'scan_stale',
-    description: 'Find zombie files: larger than min_size_mb AND not opened for unused_days (or never recorded as used by Spotlight). Each result carries a confidence level — confirmed_stale (last-used date is old) vs never_recorded (no usage data; weaker evidence). Recently modified files are excluded.',
+    description: 'Find zombie files: larger than min_size_mb AND not opened for unused_days (or never recorded as used by Spotlight / Linux usage records). Each result carries a confidence level — confirmed_stale (last-used date is old) vs never_recorded (no usage data; weaker evidence). Recently modified files are excluded.',
     annotations: READ_ONLY,
     inputSchema: {
       type: 'object',
@@ -335,7 +339,7 @@ function boundedNumber(value, fallback, min, max) {
 function statSafe(fsx, p) {
   try {
     const st = fsx.statSync(p);
-    return { size: st.size, mtimeMs: st.mtimeMs, isDirectory: st.isDirectory() };
+    return { size: st.size, mtimeMs: st.mtimeMs, atimeMs: st.atimeMs, isDirectory: st.isDirectory() };
   } catch {
     return null;
   }
@@ -629,9 +633,31 @@ function hashFull(p) {
   });
 }
 
+function onLinux(deps) {
+  return deps.platform === 'linux';
+}
+
+/** GTK's recently-used.xbel as Map<path, ISO>; absent or oversized files give an empty map. */
+function readRecentlyUsed(deps) {
+  const file = path.join(deps.xdgDataHome || path.join(deps.home, '.local', 'share'), 'recently-used.xbel');
+  try {
+    if (deps.fsx.statSync(file).size > RECENTLY_USED_MAX_BYTES) return new Map();
+    return linuxMap.parseRecentlyUsedXbel(deps.fsx.readFileSync(file, 'utf8'));
+  } catch {
+    return new Map();
+  }
+}
+
+/** Linux last-used records: { last_used, source } per path, in order. */
+function linuxLastUsed(deps, paths) {
+  const recent = readRecentlyUsed(deps);
+  return paths.map(p => linuxMap.resolveLastUsed(statSafe(deps.fsx, p), recent.get(p)));
+}
+
 /** One mdls spawn resolves kMDItemLastUsedDate for many paths (NUL-separated -raw output). */
 async function batchLastUsed(deps, paths) {
   if (!paths.length) return [];
+  if (onLinux(deps)) return linuxLastUsed(deps, paths).map(entry => entry.last_used);
   const { stdout } = await deps.runCapture(
     'mdls',
     ['-name', 'kMDItemLastUsedDate', '-raw', '-nullMarker', '(null)', ...paths],
@@ -640,6 +666,105 @@ async function batchLastUsed(deps, paths) {
   return spotlight.parseMdlsRaw(stdout, paths.length).map(spotlight.parseSpotlightDate);
 }
 
+function linuxIndexState(state) {
+  return { index: 'walk', index_root: state.root, indexed_at: state.indexed_at, index_partial: state.partial || undefined };
+}
+
+/**
+ * Linux file_search: plocate for plain name lookups when available (its
+ * database covers the whole disk), the walk index whenever size / kind /
+ * recency filters need metadata or plocate is missing.
+ */
+async function linuxSearch(opts, deps, cfg, { limit, offset }) {
+  const terms = linuxMap.searchTerms(opts);
+  if (!terms) return { ok: false, error: 'Spotlight expressions (kMDItem…) are not available on Linux — search by name keywords' };
+  const filtered = !!opts.kind || opts.modifiedWithinDays > 0 || opts.minSizeMb > 0;
+  if (cfg.linuxIndex.backend !== 'walk' && !filtered) {
+    const probe = await deps.runCapture('plocate', ['--version'], { timeoutMs: 3000 });
+    if (!probe.error) {
+      const args = linuxMap.buildPlocateArgs({ root: opts.root, terms, countOnly: opts.countOnly });
+      if (opts.countOnly) {
+        const { stdout, error } = await deps.runCapture('plocate', args, { timeoutMs: 15000 });
+        if (error && !stdout) return { ok: false, error };
+        return { ok: true, count: spotlight.parseCount(stdout), index: 'plocate' };
+      }
+      const { lines, truncated, error } = await deps.runLines('plocate', args, { limit: offset + limit + 1, timeoutMs: 15000 });
+      if (error && lines.length === 0) return { ok: false, error };
+      const page = lines.slice(offset, offset + limit);
+      return {
+        ok: true,
+        results: page.map(p => enrichPath(deps.fsx, p)),
+        returned: page.length,
+        truncated: truncated === 'timeout' ? 'timeout' : lines.length > offset + limit,
+        index: 'plocate',
+      };
+    }
+    if (cfg.linuxIndex.backend === 'plocate') return { ok: false, error: 'plocate is not installed (file-map linux_index.backend: plocate)' };
+  }
+  const index = deps.linuxIndex(cfg);
+  const state = index.ensure(opts.root);
+  const found = index.query({
+    root: opts.root,
+    terms,
+    kind: opts.kind,
+    minSizeBytes: opts.minSizeMb * 1024 * 1024,
+    modifiedAfterMs: opts.modifiedWithinDays > 0 ? deps.now() - opts.modifiedWithinDays * DAY_MS : 0,
+    limit: opts.countOnly ? 0 : limit,
+    offset,
+  });
+  if (opts.countOnly) return { ok: true, count: found.total, ...linuxIndexState(state) };
+  return {
+    ok: true,
+    results: found.paths.map(p => enrichPath(deps.fsx, p)),
+    returned: found.paths.length,
+    truncated: found.total > offset + limit,
+    ...linuxIndexState(state),
+  };
+}
+
+/** Large-file candidates under root: `{ scan: { lines, truncated, error }, totalCount, extra }`. */
+async function locateLarge(deps, cfg, root, minSizeMb) {
+  if (onLinux(deps)) {
+    const index = deps.linuxIndex(cfg);
+    const state = index.ensure(root);
+    const found = index.query({ root, minSizeBytes: minSizeMb * 1024 * 1024, order: 'size', limit: 2000 });
+    return {
+      scan: { lines: found.paths, truncated: found.total > found.paths.length, error: null },
+      totalCount: found.total,
+      extra: linuxIndexState(state),
+    };
+  }
+  const query = spotlight.buildLargeQuery({ minSizeMb });
+  const [scan, count] = await Promise.all([
+    deps.runLines('mdfind', ['-onlyin', root, '-0', query], { limit: 2000, timeoutMs: 30000 }),
+    deps.runCapture('mdfind', ['-onlyin', root, '-count', query], { timeoutMs: 30000 }),
+  ]);
+  return { scan, totalCount: spotlight.parseCount(count.stdout), extra: {} };
+}
+
+/**
+ * Stale candidates: large enough and either last used before the threshold
+ * or never recorded. Spotlight answers in one query; on Linux the index
+ * supplies size candidates and usage records filter them.
+ */
+async function locateStale(deps, cfg, root, unusedDays, minSizeMb) {
+  if (!onLinux(deps)) {
+    const query = spotlight.buildStaleQuery({ unusedDays, minSizeMb });
+    const scan = await deps.runLines('mdfind', ['-onlyin', root, '-0', query], { limit: 2000, timeoutMs: 30000 });
+    return { scan, extra: {} };
+  }
+  const index = deps.linuxIndex(cfg);
+  const state = index.ensure(root);
+  const found = index.query({ root, minSizeBytes: minSizeMb * 1024 * 1024, order: 'size', limit: 2000 });
+  const cutoff = deps.now() - unusedDays * DAY_MS;
+  const usage = linuxLastUsed(deps, found.paths);
+  const lines = found.paths.filter((p, i) => !usage[i].last_used || Date.parse(usage[i].last_used) < cutoff);
+  return {
+    scan: { lines, truncated: found.total > found.paths.length, error: null },
+    extra: linuxIndexState(state),
+  };
+}
+
 function readJsonSafe(fsx, p) {
   try { return JSON.parse(fsx.readFileSync(p, 'utf8')); } catch { return null; }
 }
@@ -851,7 +976,13 @@ function validateRestoreTarget(deps, cfg, target) {
   return { ok: true };
 }
 
-async function trashViaFinder(deps, p) {
+/** macOS: Finder's Trash. Linux: the freedesktop Trash via `gio trash`. */
+async function moveToTrash(deps, p) {
+  if (onLinux(deps)) {
+    const { error } = await deps.runCapture('gio', ['trash', '--', p], { timeoutMs: 15000 });
+    if (error) throw new Error(`gio trash failed: ${error}`);
+    return;
+  }
   const script = `tell application "Finder" to delete POSIX file ${JSON.stringify(p)}`;
   const { error } = await deps.runCapture('osascript', ['-e', script], { timeoutMs: 15000 });
   if (error) throw new Error(`Finder trash failed: ${error}`);
@@ -963,7 +1094,7 @@ async function executeFileItem(deps, cfg, manifest, item) {
     item.result = 'moving';
     if (dest) item.quarantine_path = dest;
     writeManifest(deps, 'inflight', manifest);
-    if (method === 'trash') await trashViaFinder(deps, item.path);
+    if (method === 'trash') await moveToTrash(deps, item.path);
     else renameSameVolume(deps.fsx, item.path, dest, { privateParent: true });
     item.result = method === 'trash' ? 'trashed' : 'moved';
     writeManifest(deps, 'inflight', manifest);
@@ -1080,6 +1211,23 @@ async function collectStorageAssessment(args, deps, loaded) {
   };
 }
 
+let sharedLinuxIndex = null;
+
+/** One walk index per process, so its inotify watches outlive single calls. */
+function linuxIndexFor(cfg) {
+  if (!sharedLinuxIndex) {
+    sharedLinuxIndex = require('./file-map-linux-index').createLinuxFileIndex({
+      dbPath: path.join(FILE_MAP_DIR, 'index.db'),
+      ttlMs: cfg.linuxIndex.ttlMs,
+      maxEntries: cfg.linuxIndex.maxEntries,
+      budgetMs: cfg.linuxIndex.budgetMs,
+      maxWatches: cfg.linuxIndex.maxWatches,
+      excludePatterns: cfg.excludePatterns,
+    });
+  }
+  return sharedLinuxIndex;
+}
+
 function defaultDeps() {
   return {
     loadConfig: () => loadFileMapConfig({
@@ -1096,6 +1244,9 @@ function defaultDeps() {
     hashFull,
     randomHex: (n) => crypto.randomBytes(n).toString('hex'),
     home: HOME,
+    xdgDataHome: process.env.XDG_DATA_HOME || null,
+    platform: process.platform,
+    linuxIndex: linuxIndexFor,
     fileMapDir: FILE_MAP_DIR,
     now: () => Date.now(),
     pid: process.pid,
@@ -1123,6 +1274,7 @@ const handlers = {
       minSizeMb: Number(args.min_size_mb) || 0,
       countOnly: !!args.count_only,
     };
+    if (onLinux(deps)) return linuxSearch(opts, deps, deps.loadConfig().config, { limit, offset });
     const spotArgs = spotlight.buildSearchArgs(opts);
     if (!spotArgs) return { ok: false, error: 'empty search' };
     if (opts.countOnly) {
@@ -1186,6 +1338,18 @@ const handlers = {
       existing.push(p);
       return { path: p, exists: true, size: st.size, mtime: new Date(st.mtimeMs).toISOString() };
     });
+    if (onLinux(deps)) {
+      const usage = linuxLastUsed(deps, existing);
+      const byPath = new Map(existing.map((p, i) => [p, usage[i]]));
+      for (const item of items) {
+        if (!item.exists) continue;
+        const entry = byPath.get(item.path);
+        item.last_used = entry.last_used;
+        item.last_used_known = !!entry.last_used;
+        if (entry.source) item.last_used_source = entry.source;
+      }
+      return { ok: true, items, note: 'last_used_known=false means neither recently-used.xbel nor atime recorded an open — weaker staleness evidence, not proof of disuse' };
+    }
     const lastUsed = await batchLastUsed(deps, existing);
     const byPath = new Map(existing.map((p, i) => [p, lastUsed[i]]));
     for (const item of items) {
@@ -1202,11 +1366,7 @@ const handlers = {
     const root = expandHome(String(args.root || '~'), deps.home);
     const minSizeMb = Math.max(1, Number(args.min_size_mb) || 100);
     const limit = clamp(args.limit, 50, 1, 200);
-    const query = spotlight.buildLargeQuery({ minSizeMb });
-    const [scan, count] = await Promise.all([
-      deps.runLines('mdfind', ['-onlyin', root, '-0', query], { limit: 2000, timeoutMs: 30000 }),
-      deps.runCapture('mdfind', ['-onlyin', root, '-count', query], { timeoutMs: 30000 }),
-    ]);
+    const { scan, totalCount, extra } = await locateLarge(deps, cfg, root, minSizeMb);
     if (scan.error && scan.lines.length === 0) return { ok: false, error: scan.error };
     const entries = [];
     for (const p of scan.lines) {
@@ -1225,9 +1385,10 @@ const handlers = {
       ok: true,
       results,
       returned: results.length,
-      total_count: spotlight.parseCount(count.stdout),
+      total_count: totalCount,
       listed_bytes: results.reduce((s, e) => s + e.size, 0),
       truncated: scan.truncated || undefined,
+      ...extra,
       ...(loaded.ok ? {} : { config_warning: loaded.error }),
     };
   },
@@ -1287,8 +1448,7 @@ const handlers = {
     const unusedDays = clamp(args.unused_days, 180, 7, 3650);
     const minSizeMb = Math.max(1, Number(args.min_size_mb) || 10);
     const limit = clamp(args.limit, 50, 1, 200);
-    const query = spotlight.buildStaleQuery({ unusedDays, minSizeMb });
-    const scan = await deps.runLines('mdfind', ['-onlyin', root, '-0', query], { limit: 2000, timeoutMs: 30000 });
+    const { scan, extra } = await locateStale(deps, cfg, root, unusedDays, minSizeMb);
     if (scan.error && scan.lines.length === 0) return { ok: false, error: scan.error };
     const recentCutoff = deps.now() - cfg.protectRecentDays * 24 * 3600 * 1000;
     const entries = [];
@@ -1316,7 +1476,10 @@ const handlers = {
       returned: results.length,
       unused_days: unusedDays,
       truncated: scan.truncated || undefined,
-      note: 'never_recorded = no Spotlight usage record (weaker evidence than confirmed_stale); verify with the user before proposing cleanup',
+      note: onLinux(deps)
+        ? 'never_recorded = no recently-used.xbel entry and no atime read after the last write (weaker evidence than confirmed_stale); verify with the user before proposing cleanup'
+        : 'never_recorded = no Spotlight usage record (weaker evidence than confirmed_stale); verify with the user before proposing cleanup',
+      ...extra,
       ...(loaded.ok ? {} : { config_warning: loaded.error }),
     };
   },
@@ -1567,7 +1730,7 @@ const handlers = {
     for (const m of targets) {
       const dir = `${qroot}/${m.batch_id}`;
       try {
-        if (existsL(deps.fsx, dir)) await trashViaFinder(deps, dir);
+        if (existsL(deps.fsx, dir)) await moveToTrash(deps, dir);
         m.status = 'purged';
         writeManifest(deps, 'executed', m);
         purged.push(m.batch_id);
@@ -1577,7 +1740,8 @@ const handlers = {
         auditEvent(deps, { event: 'purge', batch_id: m.batch_id, outcome: 'error', error: err.message });
       }
     }
-    return { ok: true, purged, failed, note: 'purged batches went to the macOS Trash — final deletion only happens when the user empties the Trash' };
+    const trash = onLinux(deps) ? 'the desktop Trash' : 'the macOS Trash';
+    return { ok: true, purged, failed, note: `purged batches went to ${trash} — final deletion only happens when the user empties the Trash` };
   },
 };
 
@@ -4,11 +4,21 @@
  * Official MCP SDK boundary for MetaMe's CommonJS tool semantics.
  *
  * The repository remains CommonJS. This small ESM entrypoint owns only MCP
- * server construction and stdio transport; handlers, validation intent and
- * result semantics remain in metame-mcp-server.js.
+ * server construction and the stdio / streamable HTTP transports; handlers,
+ * validation intent and result semantics remain in metame-mcp-server.js and
+ * metame-files-mcp-server.js.
  */
 
-import { McpServer, fromJsonSchema } from '@modelcontextprotocol/server';
+import {
+  McpServer,
+  ResourceTemplate,
+  createMcpHandler,
+  fromJsonSchema,
+  hostHeaderValidationResponse,
+  localhostAllowedHostnames,
+  localhostAllowedOrigins,
+  originValidationResponse,
+} from '@modelcontextprotocol/server';
 import { StdioServerTransport } from '@modelcontextprotocol/server/stdio';
 import { createRequire } from 'node:module';
 import { pathToFileURL } from 'node:url';
@@ -17,6 +27,8 @@ const require = createRequire(import.meta.url);
 const legacy = require('./metame-mcp-server.js');
 
 const SERVER_INFO = Object.freeze({ name: 'metame', version: '1.0.0' });
+const FILES_SERVER_INFO = Object.freeze({ name: 'metame-files', version: '1.0.0' });
+const WIKI_POLL_MS = 5000;
 
 function stringifyResult(value) {
   try {
@@ -40,16 +52,70 @@ function toolError(error) {
   };
 }
 
+function diffRevisions(known, next) {
+  const updated = [...next.keys()].filter(uri => known.get(uri) !== next.get(uri));
+  const listChanged = known.size !== next.size || [...next.keys()].some(uri => !known.has(uri));
+  return { updated, listChanged };
+}
+
 /**
- * Build one SDK server from the existing public MetaMe tool table.
- *
- * `fromJsonSchema` keeps the existing JSON schemas visible on tools/list and
- * delegates type/required-property validation to the SDK instead of a second
- * hand-written protocol validator.
+ * Notify subscribers when a wiki page is rebuilt. The memory DB has no change
+ * feed, so page revisions are polled — only while at least one URI is
+ * subscribed. A list change (page added/retired) is announced on the same
+ * tick. The timer never keeps the process alive.
  */
-export function createMcpServer({ callTool = legacy.callTool } = {}) {
-  const server = new McpServer(SERVER_INFO, { capabilities: { tools: {} } });
-  for (const tool of legacy.TOOLS) {
+export function createResourceWatcher(server, { revisions, intervalMs = WIKI_POLL_MS } = {}) {
+  const subscribed = new Set();
+  let known = null;
+  let timer = null;
+  let polling = false;
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const next = await revisions();
+      if (known) {
+        const { updated, listChanged } = diffRevisions(known, next);
+        for (const uri of updated) {
+          if (subscribed.has(uri)) await server.server.sendResourceUpdated({ uri });
+        }
+        if (listChanged) server.sendResourceListChanged();
+      }
+      known = next;
+    } catch {
+      // Memory DB busy or under maintenance: try again on the next tick.
+    } finally {
+      polling = false;
+    }
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    known = null;
+  }
+
+  return {
+    subscribed,
+    poll,
+    stop,
+    async subscribe(uri) {
+      subscribed.add(uri);
+      if (timer) return;
+      await poll();
+      timer = setInterval(poll, intervalMs);
+      if (typeof timer.unref === 'function') timer.unref();
+    },
+    unsubscribe(uri) {
+      subscribed.delete(uri);
+      if (subscribed.size === 0) stop();
+    },
+  };
+}
+
+function registerTools(server, tools, callTool) {
+  for (const tool of tools) {
     server.registerTool(
       tool.name,
       {
@@ -66,13 +132,161 @@ export function createMcpServer({ callTool = legacy.callTool } = {}) {
       },
     );
   }
+}
+
+/**
+ * Build one SDK server from the existing public MetaMe tool table.
+ *
+ * `fromJsonSchema` keeps the existing JSON schemas visible on tools/list and
+ * delegates type/required-property validation to the SDK instead of a second
+ * hand-written protocol validator.
+ *
+ * `watchResources: false` is for per-request HTTP instances: they accept
+ * resources/subscribe but leave change detection to the host's shared poller.
+ */
+export function createMcpServer({
+  callTool = legacy.callTool,
+  resources = legacy.resources,
+  pollIntervalMs = WIKI_POLL_MS,
+  watchResources = true,
+} = {}) {
+  const server = new McpServer(SERVER_INFO, {
+    capabilities: { tools: {}, resources: { subscribe: true, listChanged: true } },
+  });
+  registerTools(server, legacy.TOOLS, callTool);
+
+  for (const template of legacy.RESOURCE_TEMPLATES) {
+    server.registerResource(
+      template.name,
+      new ResourceTemplate(template.uriTemplate, { list: () => resources.list() }),
+      { title: template.title, description: template.description, mimeType: template.mimeType },
+      uri => resources.read(uri.href),
+    );
+  }
+  if (!watchResources) {
+    server.server.setRequestHandler('resources/subscribe', async () => ({}));
+    server.server.setRequestHandler('resources/unsubscribe', async () => ({}));
+    return server;
+  }
+  const watcher = createResourceWatcher(server, {
+    revisions: () => resources.revisions(),
+    intervalMs: pollIntervalMs,
+  });
+  server.server.setRequestHandler('resources/subscribe', async (request) => {
+    await watcher.subscribe(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler('resources/unsubscribe', async (request) => {
+    watcher.unsubscribe(request.params.uri);
+    return {};
+  });
+  server.server.onclose = () => watcher.stop();
+  return server;
+}
+
+/** SDK server over the file-map tool table (metame-files-mcp-server.js). */
+export function createFilesMcpServer({ callTool = require('./metame-files-mcp-server.js').callTool } = {}) {
+  const files = require('./metame-files-mcp-server.js');
+  const server = new McpServer(FILES_SERVER_INFO, { capabilities: { tools: {} } });
+  registerTools(server, files.TOOLS, callTool);
   return server;
 }
 
+/**
+ * Streamable HTTP face shared by every local Host (daemon-mcp-http.js).
+ *
+ * Each request gets a fresh SDK instance whose handlers are bound to the
+ * access context the caller authenticated as — passed in `client.access`,
+ * never read from the request. Wiki revisions are polled once for the whole
+ * endpoint and published to open `subscriptions/listen` streams; the SDK's
+ * per-subscription filter decides who hears what.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.pollIntervalMs]
+ * @param {(error: Error) => void} [opts.onerror]
+ * @returns {{ fetch(server: 'memory'|'files', request: Request, client: object): Promise<Response>, close(): Promise<void> }}
+ */
+export function createHttpMcpHost({ pollIntervalMs = WIKI_POLL_MS, onerror } = {}) {
+  const files = require('./metame-files-mcp-server.js');
+  const memoryDeps = access => ({ ...legacy._private.defaultDeps(), accessContext: () => access });
+  let filesDeps = null;
+  const accessOf = ctx => (ctx && ctx.authInfo && ctx.authInfo.extra && ctx.authInfo.extra.access) || null;
+
+  const handlers = {
+    memory: createMcpHandler((ctx) => {
+      const deps = memoryDeps(accessOf(ctx));
+      return createMcpServer({
+        callTool: (name, args) => legacy.callTool(name, args, deps),
+        resources: {
+          list: () => legacy.resources.list(deps),
+          read: uri => legacy.resources.read(uri, deps),
+          revisions: () => legacy.resources.revisions(deps),
+        },
+        watchResources: false,
+      });
+    }, { onerror }),
+    files: createMcpHandler(() => {
+      if (!filesDeps) {
+        // Same first-run step as the files stdio server.
+        files._private.ensureUserConfig();
+        filesDeps = files._private.defaultDeps();
+      }
+      return createFilesMcpServer({ callTool: (name, args) => files.callTool(name, args, filesDeps) });
+    }, { onerror }),
+  };
+
+  // Revisions are read without a project binding, so the poller sees every
+  // page; a notification carries only the URI, never the page content.
+  let known = null;
+  let polling = false;
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const next = await legacy.resources.revisions(memoryDeps(null));
+      if (known) {
+        const { updated, listChanged } = diffRevisions(known, next);
+        for (const uri of updated) handlers.memory.notify.resourceUpdated(uri);
+        if (listChanged) handlers.memory.notify.resourcesChanged();
+      }
+      known = next;
+    } catch {
+      // Memory DB busy or under maintenance: try again on the next tick.
+    } finally {
+      polling = false;
+    }
+  };
+  const timer = setInterval(poll, pollIntervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+
+  return {
+    poll,
+    async fetch(serverName, request, client) {
+      const handler = handlers[serverName];
+      if (!handler) return new Response('Not Found', { status: 404 });
+      const rejected = hostHeaderValidationResponse(request, localhostAllowedHostnames())
+        || originValidationResponse(request, localhostAllowedOrigins());
+      if (rejected) return rejected;
+      return handler.fetch(request, {
+        authInfo: {
+          token: client.name,
+          clientId: client.name,
+          scopes: [...client.access.scopes],
+          extra: { access: client.access },
+        },
+      });
+    },
+    async close() {
+      clearInterval(timer);
+      await Promise.all(Object.values(handlers).map(handler => handler.close()));
+    },
+  };
+}
+
 /**
  * Serve MetaMe over the SDK's newline-delimited stdio transport.
- * `stdio` is intentionally the only production transport in this ticket:
- * local Hosts spawn this process and no Host configuration is mutated here.
+ * Local Hosts spawn this process and no Host configuration is mutated here;
+ * the shared HTTP endpoint is the daemon's opt-in alternative.
  */
 export async function startStdioServer({ stdin, stdout, maxBufferSize } = {}) {
   const transport = new StdioServerTransport(stdin, stdout, { maxBufferSize });
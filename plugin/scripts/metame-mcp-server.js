@@ -18,7 +18,11 @@
  *
  * Every tool is a thin wrapper over an existing module; no memory logic lives
  * here. Writes go through memory-write's validation + candidate pipeline and
- * are tagged source `mcp` for auditability.
+ * are tagged source `mcp` for auditability; wiki annotations go through the
+ * same import boundary as `metame wiki annotate`.
+ *
+ * Wiki pages are also MCP resources (`wiki://<slug>`); the SDK entrypoint
+ * polls page revisions for subscribed URIs and notifies the Host.
  */
 
 const fs = require('fs');
@@ -28,6 +32,7 @@ const crypto = require('crypto');
 const { assembleSearchResults, scopeKeys } = require('./core/cognitive-consumption');
 const { toBoundedSourceRef } = require('./core/cognitive-effectiveness');
 const { isTrustedAccess, resolveAccessContext } = require('./core/context-manifest');
+const { normalizeValidityTime } = require('./core/memory-validity');
 
 const HOME = os.homedir();
 const SKILLS_DIR = path.join(HOME, '.claude', 'skills');
@@ -54,6 +59,7 @@ const TOOLS = [
         max_chars: { type: 'number', description: 'Maximum serialized result characters (default 4000)' },
         host: { type: 'string', description: 'Optional consuming host name for audit' },
         agent_key: { type: 'string', description: 'Optional consuming agent key for audit' },
+        as_of: { type: 'string', description: 'Optional date or ISO timestamp: return only facts that were valid at that time (no wiki pages)' },
       },
       required: ['query'],
     },
@@ -84,6 +90,7 @@ const TOOLS = [
         text: { type: 'string', description: 'The user message or question to recall against' },
         project: { type: 'string', description: 'Optional project scope' },
         agent_key: { type: 'string', description: 'Optional agent scope for working-memory access' },
+        as_of: { type: 'string', description: 'Optional date or ISO timestamp: recall the facts and sessions valid at that time, e.g. when investigating an old incident' },
       },
       required: ['text'],
     },
@@ -100,6 +107,8 @@ const TOOLS = [
         confidence: { type: 'string', description: 'low | medium | high (default medium)' },
         project: { type: 'string', description: 'Project key (default *)' },
         tags: { type: 'array', items: { type: 'string' }, description: 'Up to 3 tags' },
+        valid_from: { type: 'string', description: 'Optional date or ISO timestamp the fact becomes true (default: now)' },
+        valid_until: { type: 'string', description: 'Optional date or ISO timestamp the fact stops being true; it is archived after that' },
       },
       required: ['entity', 'relation', 'value'],
     },
@@ -158,6 +167,67 @@ const TOOLS = [
       required: ['agent_id'],
     },
   },
+  {
+    name: 'wiki_list',
+    description: 'List MetaMe knowledge wiki pages (slug, title, kind, freshness) visible to the project. Each page is also readable and subscribable as the MCP resource wiki://<slug>.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'Optional project filter' },
+        limit: { type: 'number', description: 'Max pages (default 200)' },
+        host: { type: 'string' }, agent_key: { type: 'string' },
+      },
+    },
+  },
+  {
+    name: 'wiki_get',
+    description: 'Read one MetaMe wiki page by slug, with its provenance and freshness. Records an opened consumption event.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        slug: { type: 'string', description: 'Page slug from wiki_list' },
+        project: { type: 'string' }, trace_id: { type: 'string' }, host: { type: 'string' }, agent_key: { type: 'string' },
+      },
+      required: ['slug'],
+    },
+  },
+  {
+    name: 'wiki_annotate',
+    description: 'Submit a Human Annotation for a wiki page (same flow as `metame wiki annotate`). It is stored beside the generated page, never merged into it. With claim_key, a 20-300 char annotation becomes a Candidate Claim (or an explicit conflict) for review.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        slug: { type: 'string', description: 'Page slug from wiki_list' },
+        content: { type: 'string', description: 'Annotation text (max 64KB)' },
+        claim_key: { type: 'string', description: 'Optional canonical key, e.g. "metame.release.review"' },
+        project: { type: 'string' }, host: { type: 'string' }, agent_key: { type: 'string' },
+      },
+      required: ['slug', 'content'],
+    },
+  },
+  {
+    name: 'context_manifest',
+    description: "Fetch the bounded Project Context Manifest for a project: up to 8 accepted policies, active canonical Claims and synthesis pages, within 1200 characters. Use at session start to load the project's standing context.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'Project key (ignored when the server is bound to a project)' },
+        host: { type: 'string' }, agent_key: { type: 'string' },
+      },
+    },
+  },
+];
+
+const WIKI_URI_PREFIX = 'wiki://';
+const WIKI_MIME_TYPE = 'text/markdown';
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${WIKI_URI_PREFIX}{+slug}`,
+    name: 'wiki',
+    title: 'MetaMe wiki page',
+    description: 'A generated MetaMe knowledge wiki page. Subscribe to be notified when it is rebuilt.',
+    mimeType: WIKI_MIME_TYPE,
+  },
 ];
 
 // ── Handlers (pure-ish; deps injectable for tests) ───────────────────────────
@@ -168,6 +238,8 @@ function defaultDeps() {
     planRecall: () => require('./core/recall-plan').planRecall,
     assembleRecallContext: () => require('./memory-recall').assembleRecallContext,
     writeFact: () => require('./memory-write').writeFact,
+    submitWikiAnnotation: () => require('./wiki-annotation').submitWikiAnnotation,
+    buildManifest: () => require('./core/context-manifest').buildManifest,
     recordAudit: () => require('./core/recall-audit-db').recordAudit,
     skillsDir: SKILLS_DIR,
     agentsDir: AGENTS_DIR,
@@ -200,6 +272,36 @@ function resolveMcpAccess(args, deps) {
   };
 }
 
+function auditConsumer(access, args) {
+  return {
+    engine: access.hasTrustedSeam ? access.context.host : (args.host || null),
+    agent_key: access.hasTrustedSeam ? access.context.agent_id : (args.agent_key || null),
+  };
+}
+
+function wikiUri(slug) {
+  return `${WIKI_URI_PREFIX}${slug}`;
+}
+
+function wikiSlugFromUri(uri) {
+  const value = String(uri || '');
+  if (!value.startsWith(WIKI_URI_PREFIX)) return null;
+  try {
+    return decodeURIComponent(value.slice(WIKI_URI_PREFIX.length)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/** Normalized as_of argument, or { error } for a value that is not a time. */
+function parseAsOf(args) {
+  try {
+    return { asOf: normalizeValidityTime(args.as_of, 'as_of') };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
 function readSkillMeta(dir, name) {
   const file = path.join(dir, name, 'SKILL.md');
   try {
@@ -219,10 +321,13 @@ const handlers = {
     const access = resolveMcpAccess(args, deps);
     const project = access.context.project || null;
     const limit = Math.min(Math.max(Number(args.limit) || 5, 1), 20);
+    const { asOf, error } = parseAsOf(args);
+    if (error) return { results: [], error };
     const hybrid = await memory.hybridSearchWiki(String(args.query || ''), {
       scopeKeys: scopeKeys(project),
       projectKey: project,
       trackSearch: false,
+      ...(asOf ? { asOf } : {}),
     });
     const assembled = assembleSearchResults(hybrid, { limit, maxChars: args.max_chars });
     const traceId = `mcp_${crypto.randomUUID()}`;
@@ -242,7 +347,7 @@ const handlers = {
         outcome: 'injected',
       });
     }
-    return { trace_id: traceId, ...assembled };
+    return { trace_id: traceId, ...(asOf ? { as_of: asOf } : {}), ...assembled };
   },
 
   async memory_get(args, deps) {
@@ -276,6 +381,8 @@ const handlers = {
   async memory_recall(args, deps) {
     const access = resolveMcpAccess(args, deps);
     const text = String(args.text || '').trim();
+    const { asOf, error } = parseAsOf(args);
+    if (error) return { recalled: false, error };
     const planned = deps.planRecall()({ text });
     const plan = planned.shouldRecall ? planned : {
       shouldRecall: true,
@@ -290,6 +397,7 @@ const handlers = {
         project: access.context.project || null,
         agentKey: access.hasTrustedSeam ? access.context.agent_id : access.legacyAgentKey,
       },
+      ...(asOf ? { search: { asOf } } : {}),
     });
     const traceId = `mcp_${crypto.randomUUID()}`;
     const sourceRefs = Array.isArray(ctx.sources)
@@ -314,7 +422,15 @@ const handlers = {
         outcome: 'injected',
       });
     }
-    return { recalled: true, trace_id: traceId, reason: plan.reason, context, sources: ctx.sources || [], truncated: !!ctx.truncated };
+    return {
+      recalled: true,
+      trace_id: traceId,
+      reason: plan.reason,
+      ...(asOf ? { as_of: asOf } : {}),
+      context,
+      sources: ctx.sources || [],
+      truncated: !!ctx.truncated,
+    };
   },
 
   async memory_write(args, deps) {
@@ -333,6 +449,8 @@ const handlers = {
       project,
       tags: Array.isArray(args.tags) ? args.tags : [],
       sourceType: 'mcp',
+      validFrom: args.valid_from || null,
+      validUntil: args.valid_until || null,
     });
     if (!outcome.ok && outcome.errors) return { saved: false, errors: outcome.errors };
     return { saved: outcome.ok, skipped: outcome.result ? outcome.result.skipped : 0 };
@@ -438,6 +556,135 @@ const handlers = {
     if (!soul && !snapshot) return { error: `agent not found: ${id}` };
     return { agent_id: id, soul, memory_snapshot: snapshot };
   },
+
+  async wiki_list(args, deps) {
+    const access = resolveMcpAccess(args, deps);
+    const project = access.context.project || null;
+    const pages = deps.memory().listWikiPages({ project, limit: args.limit })
+      .map(({ revision, ...page }) => ({ ...page, uri: wikiUri(page.slug) }));
+    const traceId = `mcp_${crypto.randomUUID()}`;
+    if (pages.length > 0) {
+      // A listing delivers titles, not page bodies: one bounded audit row.
+      deps.recordAudit()({
+        id: `ca_${crypto.randomUUID()}`, phase: 'consume', consumer_stage: 'delivered', consumer_type: 'mcp',
+        trace_id: traceId, ...auditConsumer(access, args), project,
+        source_refs: pages.slice(0, 32).map(page => `wiki:${page.slug}`),
+        injected_chars: JSON.stringify(pages).length, outcome: 'injected',
+      });
+    }
+    return { trace_id: traceId, pages };
+  },
+
+  async wiki_get(args, deps) {
+    const slug = String(args.slug || '').trim();
+    if (!slug) return { found: false, error: 'slug is required' };
+    const access = resolveMcpAccess(args, deps);
+    const project = access.context.project || null;
+    const page = deps.memory().getCognitiveAsset('wiki', slug, { project });
+    if (!page) return { found: false };
+    const traceId = String(args.trace_id || `mcp_${crypto.randomUUID()}`);
+    deps.recordAudit()({
+      id: `ca_${crypto.randomUUID()}`, phase: 'consume', consumer_stage: 'opened', consumer_type: 'mcp',
+      trace_id: traceId, ...auditConsumer(access, args), project,
+      source_refs: [`wiki:${slug}`], injected_chars: JSON.stringify(page).length, outcome: 'used',
+    });
+    return { found: true, trace_id: traceId, uri: wikiUri(slug), page };
+  },
+
+  async wiki_annotate(args, deps) {
+    const access = resolveMcpAccess(args, deps);
+    const project = access.context.project || null;
+    if (access.hasTrustedSeam && !project) return { saved: false, error: 'project_scope_unavailable' };
+    const slug = String(args.slug || '').trim();
+    // Visibility first: a bound Host cannot annotate another project's page.
+    if (!slug || !deps.memory().getCognitiveAsset('wiki', slug, { project })) {
+      return { saved: false, error: `wiki page not found: ${slug}` };
+    }
+    const host = String((access.hasTrustedSeam ? access.context.host : args.host) || 'unknown')
+      .replace(/[^a-zA-Z0-9_.-]/g, '').slice(0, 64) || 'unknown';
+    const { DatabaseSync } = require('node:sqlite');
+    let db;
+    try {
+      db = new DatabaseSync(deps.dbPath);
+      db.exec('PRAGMA busy_timeout = 3000');
+      const result = deps.submitWikiAnnotation()({
+        db,
+        slug,
+        content: args.content,
+        sourcePath: `mcp:${host}`,
+        claimKey: args.claim_key || null,
+      });
+      return {
+        saved: true,
+        id: result.id,
+        uri: wikiUri(result.pageSlug),
+        state: result.state,
+        claim_id: result.claimId || null,
+        outcome: result.outcome || null,
+        idempotent: result.idempotent === true,
+      };
+    } catch (error) {
+      return { saved: false, error: error.message };
+    } finally {
+      try { if (db) db.close(); } catch { /* ignore */ }
+    }
+  },
+
+  async context_manifest(args, deps) {
+    const access = resolveMcpAccess(args, deps);
+    const project = access.context.project || null;
+    const assets = project ? deps.memory().listContextManifestAssets(project) : [];
+    const manifest = deps.buildManifest()({ assets, access: access.context });
+    const traceId = `mcp_${crypto.randomUUID()}`;
+    if (manifest.entries.length > 0) {
+      deps.recordAudit()({
+        id: `ca_${crypto.randomUUID()}`, phase: 'consume', consumer_stage: 'delivered', consumer_type: 'mcp',
+        trace_id: traceId, ...auditConsumer(access, args), project: manifest.project,
+        source_refs: manifest.entries.map(entry => `${entry.type}:${entry.id}`),
+        injected_chars: JSON.stringify(manifest).length, outcome: 'injected',
+      });
+    }
+    return { trace_id: traceId, manifest };
+  },
+};
+
+// ── Resources: wiki://<slug> ─────────────────────────────────────────────────
+
+const resources = {
+  async list(deps = defaultDeps()) {
+    const access = resolveMcpAccess({}, deps);
+    const pages = deps.memory().listWikiPages({ project: access.context.project || null });
+    return {
+      resources: pages.map(page => ({
+        uri: wikiUri(page.slug),
+        name: page.slug,
+        title: page.title,
+        description: `${page.page_kind || 'page'} · ${page.freshness}`,
+        mimeType: WIKI_MIME_TYPE,
+      })),
+    };
+  },
+
+  async read(uri, deps = defaultDeps()) {
+    const slug = wikiSlugFromUri(uri);
+    const access = resolveMcpAccess({}, deps);
+    const project = access.context.project || null;
+    const page = slug ? deps.memory().getCognitiveAsset('wiki', slug, { project }) : null;
+    if (!page) throw Object.assign(new Error(`resource not found: ${uri}`), { code: -32002 });
+    deps.recordAudit()({
+      id: `ca_${crypto.randomUUID()}`, phase: 'consume', consumer_stage: 'opened', consumer_type: 'mcp',
+      trace_id: `mcp_${crypto.randomUUID()}`, ...auditConsumer(access, {}), project,
+      source_refs: [`wiki:${slug}`], injected_chars: String(page.content || '').length, outcome: 'used',
+    });
+    return { contents: [{ uri: wikiUri(slug), mimeType: WIKI_MIME_TYPE, text: String(page.content || '') }] };
+  },
+
+  /** Map<uri, revision> for change detection on subscribed resources. */
+  async revisions(deps = defaultDeps()) {
+    const access = resolveMcpAccess({}, deps);
+    const pages = deps.memory().listWikiPages({ project: access.context.project || null, limit: 1000 });
+    return new Map(pages.map(page => [wikiUri(page.slug), page.revision]));
+  },
 };
 
 async function callTool(name, args, deps = defaultDeps()) {
@@ -456,13 +703,22 @@ async function handleMessage(msg) {
   if (method === 'initialize') {
     return rpcResult(id, {
       protocolVersion: PROTOCOL_VERSION,
-      capabilities: { tools: {} },
+      capabilities: { tools: {}, resources: {} },
       serverInfo: SERVER_INFO,
     });
   }
   if (method === 'notifications/initialized' || String(method || '').startsWith('notifications/')) return null;
   if (method === 'ping') return rpcResult(id, {});
   if (method === 'tools/list') return rpcResult(id, { tools: TOOLS });
+  if (method === 'resources/list') return rpcResult(id, await resources.list());
+  if (method === 'resources/templates/list') return rpcResult(id, { resourceTemplates: RESOURCE_TEMPLATES });
+  if (method === 'resources/read') {
+    try {
+      return rpcResult(id, await resources.read(params && params.uri));
+    } catch (err) {
+      return rpcError(id, err && err.code === -32002 ? -32002 : -32603, err.message);
+    }
+  }
   if (method === 'tools/call') {
     try {
       const result = await callTool(params && params.name, params && params.arguments);
@@ -502,20 +758,23 @@ function startLegacyStdioServer() {
   process.stdin.on('end', () => process.exit(0));
 }
 
-async function startStdioServer() {
-  let sdk;
+async function loadSdk() {
   try {
     // npm installs resolve the maintained SDK from package dependencies.
     // Claude's GitHub plugin is intentionally a no-npm distribution, so it
     // carries the auditable SDK-only bundle as a sibling fallback.
-    sdk = await import('./metame-mcp-server-sdk.mjs');
+    return await import('./metame-mcp-server-sdk.mjs');
   } catch (error) {
     const message = error && error.message ? error.message : String(error || '');
     const missingSdk = error && error.code === 'ERR_MODULE_NOT_FOUND'
       && /@modelcontextprotocol\/(?:server|core)|(?:^|[\s'])zod(?:[\/'"]|$)/.test(message);
     if (!missingSdk) throw error;
-    sdk = await import('./metame-mcp-server-sdk.bundle.mjs');
+    return import('./metame-mcp-server-sdk.bundle.mjs');
   }
+}
+
+async function startStdioServer() {
+  const sdk = await loadSdk();
   return sdk.startStdioServer();
 }
 
@@ -528,9 +787,12 @@ if (require.main === module) {
 
 module.exports = {
   TOOLS,
+  RESOURCE_TEMPLATES,
   handlers,
+  resources,
   callTool,
   handleMessage,
+  loadSdk,
   startStdioServer,
-  _private: { readSkillMeta, defaultDeps, startLegacyStdioServer },
+  _private: { readSkillMeta, defaultDeps, startLegacyStdioServer, wikiSlugFromUri },
 };
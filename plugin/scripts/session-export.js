@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * session-export.js — export one engine session as a redacted transcript.
+ *
+ *   metame session export <id> [--format md|html|jsonl] [--engine <id>] [--out <path>|-]
+ *
+ * <id> is a native session id, or an unambiguous prefix of at least
+ * MIN_PREFIX characters. Sessions are located and read only through the
+ * built-in Session Source Adapters (engines/session-source-registry.js), so
+ * every engine exports the same canonical transcript; rendering and
+ * redaction live in core/session-transcript.js. Without --out the file goes
+ * to ~/.metame/exports/.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBuiltinSessionSourceMap } = require('./engines/session-source-registry');
+const { TRANSCRIPT_FORMATS, normalizeTranscriptFormat, renderTranscript } = require('./core/session-transcript');
+
+// Adapter defaults are sized for memory extraction; a review transcript wants
+// whole messages and tool inputs complete enough to rebuild diffs.
+const EXPORT_LIMITS = Object.freeze({ maxText: 200000, maxToolText: 20000, maxToolInput: 200000 });
+const MIN_PREFIX = 8;
+const DISCOVERY_PAGE_SIZE = 200;
+const DISCOVERY_SCAN_BUDGET = 5000;
+const USAGE = `Usage: metame session export <id> [--format ${TRANSCRIPT_FORMATS.join('|')}] [--engine <id>] [--out <path>|-]`;
+
+function exportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function* discoverAll(source, request) {
+  let cursor = null;
+  let scanned = 0;
+  while (scanned < DISCOVERY_SCAN_BUDGET) {
+    let last = null;
+    let page = 0;
+    for await (const ref of source.discover({ ...request, limit: DISCOVERY_PAGE_SIZE, ...(cursor ? { cursor } : {}) })) {
+      yield ref;
+      last = ref;
+      page += 1;
+      if (page >= DISCOVERY_PAGE_SIZE) break;
+    }
+    scanned += page;
+    const next = last && last.discoveryCursor;
+    if (!next || JSON.stringify(next) === JSON.stringify(cursor)) return;
+    cursor = next;
+  }
+}
+
+/**
+ * Find the Session Source ref(s) for an id or id prefix. An exact match wins
+ * immediately; otherwise every prefix match is returned so the caller can
+ * report ambiguity.
+ */
+async function findSessionRefs(sources, sessionId, { engine = null, cwd = null } = {}) {
+  const wanted = String(sessionId || '').trim();
+  const matches = [];
+  for (const [engineId, source] of sources) {
+    if (engine && engineId !== engine) continue;
+    const request = { includeSubagents: true, ...(cwd ? { cwd } : {}) };
+    try {
+      for await (const ref of discoverAll(source, request)) {
+        if (ref.nativeSessionId === wanted) return [{ engineId, source, ref }];
+        if (wanted.length >= MIN_PREFIX && ref.nativeSessionId.startsWith(wanted)) matches.push({ engineId, source, ref });
+      }
+    } catch {
+      // An engine that is not installed has nothing to discover.
+    }
+  }
+  return matches;
+}
+
+/**
+ * Locate one session through the Session Sources and read its canonical
+ * events.
+ *
+ * @param {string} sessionId - native session id or unique prefix
+ * @param {object} [options]
+ * @param {string} [options.engine] - only search this engine's sessions
+ * @param {string} [options.cwd] - try sessions of this directory first
+ * @param {Map} [options.sources] - Session Source map (tests)
+ * @returns {Promise<{ engineId: string, ref: object, events: object[] }>}
+ */
+async function readSessionEvents(sessionId, options = {}) {
+  const wanted = String(sessionId || '').trim();
+  if (!wanted) throw exportError('session_required', 'session id is required');
+  const sources = options.sources || createBuiltinSessionSourceMap({ home: options.home || os.homedir(), ...EXPORT_LIMITS });
+  const engine = options.engine || null;
+  let matches = options.cwd ? await findSessionRefs(sources, wanted, { engine, cwd: options.cwd }) : [];
+  if (matches.length === 0) matches = await findSessionRefs(sources, wanted, { engine });
+  if (matches.length === 0) throw exportError('session_not_found', `no session matches "${wanted}"`);
+  if (matches.length > 1) {
+    const ids = matches.slice(0, 5).map(match => `${match.engineId}:${match.ref.nativeSessionId}`).join(', ');
+    throw exportError('session_ambiguous', `"${wanted}" matches ${matches.length} sessions: ${ids}`);
+  }
+
+  const { engineId, source, ref } = matches[0];
+  const events = [];
+  for await (const event of source.read(ref, { sourceRevision: ref.sourceRevision })) events.push(event);
+  return { engineId, ref, events };
+}
+
+/**
+ * Export one session transcript.
+ *
+ * @param {string} sessionId - native session id or unique prefix
+ * @param {object} [options] - readSessionEvents options, plus:
+ * @param {string} [options.format='md']
+ * @param {string} [options.outPath] - file to write; '-' returns the content without writing
+ * @param {string} [options.outDir] - directory for generated file names
+ * @returns {Promise<{ filePath: string|null, content: string|null, format: string, engineId: string, sessionId: string, eventCount: number }>}
+ */
+async function exportSession(sessionId, options = {}) {
+  const home = options.home || os.homedir();
+  const format = normalizeTranscriptFormat(options.format);
+  if (!format) throw exportError('invalid_format', `unsupported format "${options.format}" (use ${TRANSCRIPT_FORMATS.join('|')})`);
+  const { engineId, ref, events } = await readSessionEvents(sessionId, { ...options, home });
+  const now = options.now ? options.now() : new Date();
+  const content = renderTranscript(events, {
+    engineId,
+    sessionId: ref.nativeSessionId,
+    project: ref.project,
+    cwd: ref.cwd,
+    exportedAt: now.toISOString(),
+  }, format);
+  const result = { format, engineId, sessionId: ref.nativeSessionId, eventCount: events.length };
+  if (options.outPath === '-') return { ...result, filePath: null, content };
+
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const filePath = path.resolve(options.outPath
+    || path.join(options.outDir || path.join(home, '.metame', 'exports'), `${engineId}-${ref.nativeSessionId.slice(0, 8)}-${stamp}.${format}`));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, { encoding: 'utf8', mode: 0o600 });
+  return { ...result, filePath, content: null };
+}
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(format|engine|out)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      args.positional.push(argv[i]);
+      continue;
+    }
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return args;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const [subCmd, sessionId] = args.positional;
+  if (subCmd !== 'export' || !sessionId) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    const result = await exportSession(sessionId, { format: args.format, engine: args.engine, outPath: args.out });
+    if (result.content !== null) process.stdout.write(result.content);
+    else console.log(`Exported ${result.engineId} session ${result.sessionId} (${result.eventCount} events) → ${result.filePath}`);
+  } catch (error) {
+    console.error(`Session export failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { exportSession, readSessionEvents, findSessionRefs, discoverAll, main };
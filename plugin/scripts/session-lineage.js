@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * session-lineage.js — cross-engine handoff lineage.
+ *
+ * ~/.metame/session_lineage.json maps a native session id to the session it
+ * was handed off from on another engine:
+ *
+ *   { "version": 1, "links": { "<child id>": { engine, parentEngine, parentId, at } } }
+ *
+ * Written when the target engine reports its real session id (Codex only
+ * knows it after the first turn); read by /sessions to show both halves as
+ * one thread.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAX_LINKS = 500;
+
+function lineageFile(home = os.homedir()) {
+  return path.join(home, '.metame', 'session_lineage.json');
+}
+
+function loadSessionLineage({ home } = {}) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(lineageFile(home), 'utf8'));
+    return parsed && parsed.links && typeof parsed.links === 'object' ? parsed.links : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {string} childId - native session id on the target engine
+ * @param {{ engine: string, parentEngine: string, parentId: string, at?: string }} link
+ */
+function recordSessionLineage(childId, link, { home } = {}) {
+  const id = String(childId || '').trim();
+  if (!id || !link || !link.parentId || id === link.parentId) return false;
+  const links = loadSessionLineage({ home });
+  links[id] = {
+    engine: String(link.engine || ''),
+    parentEngine: String(link.parentEngine || ''),
+    parentId: String(link.parentId),
+    at: link.at || new Date().toISOString(),
+  };
+  const ids = Object.keys(links);
+  for (const stale of ids.slice(0, Math.max(0, ids.length - MAX_LINKS))) delete links[stale];
+  const file = lineageFile(home);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp.${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: 1, links }, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+  return true;
+}
+
+/**
+ * Thread a session list by lineage: each handed-off session is followed by
+ * the session it continued (pulled from `pool` even when filtered out, e.g. a
+ * different engine), and both halves are annotated with
+ * `handoffFrom` / `handoffTo: { engine, id }`. Input objects are not mutated.
+ */
+function threadSessions(sessions, pool, links = {}) {
+  const byId = new Map((pool || []).map(session => [session.sessionId, session]));
+  const children = new Map();
+  for (const [childId, link] of Object.entries(links || {})) {
+    if (link && link.parentId) children.set(link.parentId, { engine: link.engine, id: childId });
+  }
+  const annotate = (session) => {
+    const link = links[session.sessionId];
+    const child = children.get(session.sessionId);
+    if (!link && !child) return session;
+    return {
+      ...session,
+      ...(link ? { handoffFrom: { engine: link.parentEngine, id: link.parentId } } : {}),
+      ...(child ? { handoffTo: child } : {}),
+    };
+  };
+
+  const seen = new Set();
+  const out = [];
+  for (const session of sessions || []) {
+    if (!session) continue;
+    if (session.sessionId) {
+      if (seen.has(session.sessionId)) continue;
+      seen.add(session.sessionId);
+    }
+    out.push(annotate(session));
+    const link = session.sessionId && links[session.sessionId];
+    const parent = link && byId.get(link.parentId);
+    if (parent && !seen.has(parent.sessionId)) {
+      seen.add(parent.sessionId);
+      out.push(annotate(parent));
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  lineageFile,
+  loadSessionLineage,
+  recordSessionLineage,
+  threadSessions,
+};
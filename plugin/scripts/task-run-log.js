@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * task-run-log.js — bounded history of finished heartbeat task runs.
+ *
+ * daemon_state.json only keeps the latest outcome per task; every finished
+ * attempt (success, error, retry) is also appended to
+ * ~/.metame/task_runs.jsonl so the dashboard can show run history. The file
+ * is trimmed to its newest lines once it grows past MAX_LOG_BYTES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_LOG_BYTES = 512 * 1024;
+const KEEP_LINES = 2000;
+
+function taskRunLogPath(home) {
+  return path.join(home, '.metame', 'task_runs.jsonl');
+}
+
+/**
+ * @param {string} file
+ * @param {{ name: string, status: string, attempt?: number, started_at?: string|null,
+ *           finished_at: string, error_code?: string|null, error?: string|null }} record
+ */
+function appendTaskRun(file, record, { maxBytes = MAX_LOG_BYTES, keepLines = KEEP_LINES } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(record) + '\n', 'utf8');
+  if (fs.statSync(file).size <= maxBytes) return;
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  fs.writeFileSync(file, lines.slice(-keepLines).join('\n') + '\n', 'utf8');
+}
+
+/** Newest first; unreadable lines are skipped. */
+function readTaskRuns(file, { limit = 100, name = null } = {}) {
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); } catch { return []; }
+  const runs = [];
+  const lines = text.trim().split('\n');
+  for (let index = lines.length - 1; index >= 0 && runs.length < limit; index--) {
+    let run;
+    try { run = JSON.parse(lines[index]); } catch { continue; }
+    if (!run || typeof run !== 'object') continue;
+    if (name && run.name !== name) continue;
+    runs.push(run);
+  }
+  return runs;
+}
+
+module.exports = {
+  MAX_LOG_BYTES,
+  appendTaskRun,
+  readTaskRuns,
+  taskRunLogPath,
+};
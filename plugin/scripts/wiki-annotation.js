@@ -9,7 +9,8 @@
  * generated Wiki projection.  It never reads an edited generated page back
  * into wiki_pages.  A --claim-key import uses Claim Contract v1 to append a
  * project-scoped Candidate Claim (or an explicit conflict) with annotation
- * provenance.
+ * provenance.  MCP Hosts submit inline text through submitWikiAnnotation(),
+ * which applies the same bounds, baseline and Claim admission.
  */
 
 const fs = require('node:fs');
@@ -53,14 +54,18 @@ function resolveInputFile(rawPath) {
   return absolute;
 }
 
-function readAnnotationFile(rawPath) {
-  const filePath = resolveInputFile(rawPath);
-  const content = normalizeProjectionText(fs.readFileSync(filePath, 'utf8'));
+function normalizeAnnotationContent(raw) {
+  const content = normalizeProjectionText(String(raw ?? ''));
   if (!content.trim()) throw new Error('annotation source is empty');
   if (Buffer.byteLength(content, 'utf8') > MAX_ANNOTATION_BYTES) {
     throw new Error(`annotation exceeds ${MAX_ANNOTATION_BYTES} bytes`);
   }
-  return { filePath, content };
+  return content;
+}
+
+function readAnnotationFile(rawPath) {
+  const filePath = resolveInputFile(rawPath);
+  return { filePath, content: normalizeAnnotationContent(fs.readFileSync(filePath, 'utf8')) };
 }
 
 function annotationId(content, filePath, baseHash) {
@@ -196,9 +201,29 @@ function importWikiAnnotation({
   claimKey = null,
 } = {}) {
   if (!db || typeof db.prepare !== 'function') throw new TypeError('db is required');
-  const pageSlug = validateSlug(slug);
+  validateSlug(slug);
   if (!fromFile) throw new Error('--from-file is required');
   const source = readAnnotationFile(fromFile);
+  return submitWikiAnnotation({ db, slug, content: source.content, sourcePath: source.filePath, claimKey });
+}
+
+/**
+ * Store annotation text that did not come from a file (e.g. an MCP Host).
+ * `sourcePath` is the provenance label (`mcp:<host>`); it is part of the
+ * annotation identity, so the same text from the same source is idempotent.
+ */
+function submitWikiAnnotation({
+  db,
+  slug,
+  content: rawContent,
+  sourcePath,
+  claimKey = null,
+} = {}) {
+  if (!db || typeof db.prepare !== 'function') throw new TypeError('db is required');
+  const pageSlug = validateSlug(slug);
+  const label = String(sourcePath ?? '').trim();
+  if (!label || label.includes('\0')) throw new Error('annotation source path is invalid');
+  const source = { filePath: label, content: normalizeAnnotationContent(rawContent) };
   const keyValidation = validateCanonicalKey(claimKey);
   if (!keyValidation.valid) throw new Error(`invalid claim key: ${keyValidation.reason}`);
   const normalizedClaimKey = keyValidation.value;
@@ -312,6 +337,7 @@ module.exports = {
   MAX_ANNOTATION_BYTES,
   importWikiAnnotation,
   main,
+  submitWikiAnnotation,
   _internal: {
     admitAnnotationClaim,
     annotationId,
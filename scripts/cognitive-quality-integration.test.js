@@ -190,12 +190,12 @@ test('cognitive quality is host-neutral across lifecycle, authority, recovery, a
       (child_kind,child_id,parent_kind,parent_id,transform,role)
       VALUES ('knowledge_artifact','artifact-1','memory_item','duplicate','fixture','evidence')`).run();
     const before = crypto.createHash('sha256').update(fs.readFileSync(fixture.dbPath)).digest('hex');
-    const dry = reconcileMain(['--dry-run', '--json'], { dbPath: fixture.dbPath, print: false, now: NOW });
+    const dry = await reconcileMain(['--dry-run', '--json'], { dbPath: fixture.dbPath, print: false, now: NOW, embedding: null });
     assert.equal(dry.actions.length, 1);
     assert.equal(dry.summary.semantic_conflict_groups, 1);
     assert.equal(crypto.createHash('sha256').update(fs.readFileSync(fixture.dbPath)).digest('hex'), before);
     const stagedPath = path.join(fixture.root, 'reconcile-plan.json');
-    reconcileMain(['--stage', stagedPath], { dbPath: fixture.dbPath, print: false, now: NOW });
+    await reconcileMain(['--stage', stagedPath], { dbPath: fixture.dbPath, print: false, now: NOW, embedding: null });
     assert.deepEqual(readPlanFile(stagedPath), JSON.parse(fs.readFileSync(stagedPath, 'utf8')));
     assert.equal(crypto.createHash('sha256').update(fs.readFileSync(fixture.dbPath)).digest('hex'), before);
     const applied = applyReconcilePlan(fixture.db, readPlanFile(stagedPath), { lockPath: path.join(fixture.root, 'reconcile.lock') });
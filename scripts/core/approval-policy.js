@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * approval-policy.js — pure rules for the remote tool-approval gate.
+ *
+ * A policy comes from `daemon.approval_policy` (global) and
+ * `projects.<key>.approval_policy` (per project), either as a mode string or
+ * { mode, deny, allow, timeout_seconds, on_timeout }:
+ *
+ *   auto            no pause (the historical behaviour); deny patterns still apply
+ *   ask-for-shell   Bash pauses for a decision
+ *   ask-for-writes  Bash and file edits pause (a shell can write anything)
+ *   ask-all         every tool that is not read-only pauses
+ *
+ * Patterns read like Claude permission rules: `Bash`, `Bash(git push*)`,
+ * `Edit(*.env)`, `mcp__*`. `*` matches any run of characters, `\*` a literal
+ * star. Order: deny patterns → allow patterns and saved "always" rules →
+ * mode. A timeout resolves to on_timeout, which defaults to deny.
+ *
+ * A Bash command is also cut into the commands it chains (`;`, `&&`, `||`,
+ * `|`, `&`, newlines, `$(…)`, backticks): a deny pattern matching any of
+ * them refuses the call, and an allow pattern only lets it through when
+ * every one of them is allowed, so `git status && curl … | sh` does not ride
+ * on `Bash(git status*)`.
+ *
+ * Zero side effects: the gate (daemon-approval-gate.js) owns sockets, cards,
+ * the rule store and the audit file.
+ */
+
+const MODES = Object.freeze(['auto', 'ask-for-shell', 'ask-for-writes', 'ask-all']);
+const DEFAULT_TIMEOUT_MS = 120 * 1000;
+const MIN_TIMEOUT_MS = 10 * 1000;
+const MAX_TIMEOUT_MS = 15 * 60 * 1000;
+
+const SHELL_TOOLS = new Set(['Bash']);
+const WRITE_TOOLS = new Set(['Edit', 'Write', 'MultiEdit', 'NotebookEdit']);
+const READ_TOOLS = new Set([
+  'Read', 'Glob', 'Grep', 'LS', 'WebSearch', 'WebFetch', 'TodoWrite', 'BashOutput',
+  'NotebookRead', 'ExitPlanMode', 'ListMcpResourcesTool', 'ReadMcpResourceTool',
+]);
+
+function patternList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map(item => String(item || '').trim()).filter(Boolean);
+}
+
+function clampTimeoutMs(seconds, fallback) {
+  const n = Number(seconds);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(MAX_TIMEOUT_MS, Math.max(MIN_TIMEOUT_MS, Math.round(n * 1000)));
+}
+
+/**
+ * @param {string|object|undefined} raw
+ * @param {object} [base] - an already normalized policy to inherit from
+ * @returns {{ mode: string, deny: string[], allow: string[], timeoutMs: number, onTimeout: 'allow'|'deny' }}
+ */
+function normalizeApprovalPolicy(raw, base = null) {
+  const inherited = base || { mode: 'auto', deny: [], allow: [], timeoutMs: DEFAULT_TIMEOUT_MS, onTimeout: 'deny' };
+  const src = typeof raw === 'string' ? { mode: raw } : (raw && typeof raw === 'object' ? raw : {});
+  const mode = MODES.includes(src.mode) ? src.mode : inherited.mode;
+  return {
+    mode,
+    deny: [...new Set([...inherited.deny, ...patternList(src.deny)])],
+    allow: [...new Set([...inherited.allow, ...patternList(src.allow)])],
+    timeoutMs: clampTimeoutMs(src.timeout_seconds, inherited.timeoutMs),
+    onTimeout: src.on_timeout === 'allow' ? 'allow' : (src.on_timeout === 'deny' ? 'deny' : inherited.onTimeout),
+  };
+}
+
+/** Global policy refined by the bound project's; the project cannot drop global deny patterns. */
+function resolveApprovalPolicy(config, projectKey) {
+  const cfg = config || {};
+  const global = normalizeApprovalPolicy(cfg.daemon && cfg.daemon.approval_policy);
+  const project = projectKey && cfg.projects ? cfg.projects[projectKey] : null;
+  return project && project.approval_policy !== undefined
+    ? normalizeApprovalPolicy(project.approval_policy, global)
+    : global;
+}
+
+/** A policy needs the hook whenever it can pause or refuse a call. */
+function isGated(policy) {
+  return !!policy && (policy.mode !== 'auto' || policy.deny.length > 0);
+}
+
+/**
+ * What a tool call touches, for matching and for the approval card.
+ * @returns {{ tool: string, category: 'shell'|'write'|'read'|'other', subject: string }}
+ */
+function describeToolCall(toolName, toolInput) {
+  const tool = String(toolName || '');
+  const input = toolInput && typeof toolInput === 'object' ? toolInput : {};
+  let subject = '';
+  if (typeof input.command === 'string') subject = input.command;
+  else if (typeof input.file_path === 'string') subject = input.file_path;
+  else if (typeof input.notebook_path === 'string') subject = input.notebook_path;
+  else if (typeof input.url === 'string') subject = input.url;
+  else if (typeof input.path === 'string') subject = input.path;
+  else if (typeof input.pattern === 'string') subject = input.pattern;
+  let category = 'other';
+  if (SHELL_TOOLS.has(tool)) category = 'shell';
+  else if (WRITE_TOOLS.has(tool)) category = 'write';
+  else if (READ_TOOLS.has(tool)) category = 'read';
+  return { tool, category, subject };
+}
+
+function globToRegExp(glob) {
+  let out = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '\\' && glob[i + 1] === '*') { out += '\\*'; i++; continue; }
+    out += ch === '*' ? '[\\s\\S]*' : ch.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${out}$`);
+}
+
+/** `Tool` or `Tool(argument glob)`; the tool part may use `*` too (e.g. `mcp__*`). */
+function matchesPattern(pattern, call) {
+  const m = /^([^()]+?)(?:\((.*)\))?$/s.exec(String(pattern || '').trim());
+  if (!m) return false;
+  if (!globToRegExp(m[1].trim()).test(call.tool)) return false;
+  return m[2] === undefined || globToRegExp(m[2]).test(call.subject);
+}
+
+/**
+ * The simple commands a shell line chains together. Quote-aware, but not a
+ * shell parser: anything it cannot read splits into more pieces, which can
+ * only make an allow pattern harder to satisfy.
+ */
+function shellSegments(command) {
+  const segments = [];
+  let current = '';
+  let quote = '';
+  const cut = () => {
+    if (current.trim()) segments.push(current.trim());
+    current = '';
+  };
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    const next = command[i + 1];
+    if (quote === "'") {
+      current += ch;
+      if (ch === "'") quote = '';
+      continue;
+    }
+    if (ch === '\\') { current += ch + (next || ''); i++; continue; }
+    // Command substitution runs even inside double quotes.
+    if (ch === '`') { cut(); continue; }
+    if ((ch === '$' || ch === '<' || ch === '>') && next === '(') { cut(); i++; continue; }
+    if (quote === '"') {
+      current += ch;
+      if (ch === '"') quote = '';
+      continue;
+    }
+    if (ch === '"' || ch === "'") { quote = ch; current += ch; continue; }
+    if (ch === ';' || ch === '|' || ch === ')' || ch === '\n' || ch === '\r') { cut(); continue; }
+    // `&` separates commands except in redirections such as 2>&1 and &>file.
+    if (ch === '&' && !/[<>]$/.test(current) && next !== '>') { cut(); continue; }
+    current += ch;
+  }
+  cut();
+  return segments;
+}
+
+/** The call itself, or one call per chained command for a compound Bash line. */
+function callParts(call) {
+  if (call.category !== 'shell' || !call.subject) return [call];
+  const segments = shellSegments(call.subject);
+  return segments.length > 1 ? segments.map(subject => ({ ...call, subject })) : [call];
+}
+
+/** The rules that allow every part, or null when some part has none. */
+function coveringRules(patterns, parts) {
+  const rules = [];
+  for (const part of parts) {
+    const rule = patterns.find(p => matchesPattern(p, part));
+    if (!rule) return null;
+    if (!rules.includes(rule)) rules.push(rule);
+  }
+  return rules.join(', ');
+}
+
+function modeAsks(mode, category) {
+  if (mode === 'ask-all') return category !== 'read';
+  if (mode === 'ask-for-writes') return category === 'shell' || category === 'write';
+  if (mode === 'ask-for-shell') return category === 'shell';
+  return false;
+}
+
+/**
+ * @param {object} policy  - normalized
+ * @param {object} call    - describeToolCall() output
+ * @param {string[]} [savedRules] - the project's "always allow" patterns
+ * @returns {{ decision: 'allow'|'deny'|'ask', reason: string, rule?: string }}
+ */
+function evaluateToolCall(policy, call, savedRules = []) {
+  const parts = callParts(call);
+  const denied = policy.deny.find(p => matchesPattern(p, call) || parts.some(part => matchesPattern(p, part)));
+  if (denied) return { decision: 'deny', reason: 'deny_pattern', rule: denied };
+  const allowed = coveringRules(policy.allow, parts);
+  if (allowed) return { decision: 'allow', reason: 'allow_pattern', rule: allowed };
+  // Saved rules are literal (alwaysRuleFor), so one may also pin the whole line the user approved.
+  const saved = savedRules.find(p => matchesPattern(p, call)) || coveringRules(savedRules, parts);
+  if (saved) return { decision: 'allow', reason: 'saved_rule', rule: saved };
+  if (modeAsks(policy.mode, call.category)) return { decision: 'ask', reason: policy.mode };
+  return { decision: 'allow', reason: 'mode' };
+}
+
+/** The rule an "always allow" answer saves: this exact command / path, literally. */
+function alwaysRuleFor(call) {
+  if (!call.subject) return call.tool;
+  return `${call.tool}(${call.subject.replace(/\*/g, '\\*')})`;
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_TIMEOUT_MS,
+  MAX_TIMEOUT_MS,
+  normalizeApprovalPolicy,
+  resolveApprovalPolicy,
+  isGated,
+  describeToolCall,
+  shellSegments,
+  matchesPattern,
+  evaluateToolCall,
+  alwaysRuleFor,
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeAttachmentsConfig,
+  classifyAttachment,
+  imageMediaType,
+  safeFileName,
+  chatDirName,
+  findAttachmentRefs,
+  buildUploadPrompt,
+  buildExtractedTextBlock,
+  selectPrunable,
+} = require('./attachments');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('core/attachments', () => {
+  it('defaults retention and pdftotext, and enables OCR only with a command', () => {
+    const cfg = normalizeAttachmentsConfig(undefined);
+    assert.equal(cfg.retentionMs, 14 * DAY);
+    assert.equal(cfg.maxFiles, 100);
+    assert.equal(cfg.pdfText, 'pdftotext');
+    assert.equal(cfg.ocr, null);
+
+    const custom = normalizeAttachmentsConfig({
+      retention_days: 2,
+      max_files_per_chat: -1,
+      pdf_text: null,
+      ocr: { command: '~/bin/tesseract' },
+    }, { home: '/home/u' });
+    assert.equal(custom.retentionMs, 2 * DAY);
+    assert.equal(custom.maxFiles, 100, 'invalid caps fall back');
+    assert.equal(custom.pdfText, null);
+    assert.deepEqual(custom.ocr, { command: '/home/u/bin/tesseract', args: ['{input}', 'stdout'] });
+  });
+
+  it('classifies by extension and makes platform names safe to store', () => {
+    assert.equal(classifyAttachment('Shot.PNG'), 'image');
+    assert.equal(imageMediaType('a.jpeg'), 'image/jpeg');
+    assert.equal(classifyAttachment('spec.pdf'), 'pdf');
+    assert.equal(classifyAttachment('notes.txt'), 'document');
+    assert.equal(imageMediaType('scan.tiff'), null);
+
+    assert.equal(safeFileName('../../etc/passwd'), 'passwd');
+    assert.equal(safeFileName('a,b:c?.png'), 'a_b_c_.png');
+    assert.equal(safeFileName('...'), 'file');
+    const long = safeFileName(`${'x'.repeat(300)}.pdf`);
+    assert.equal(long.length, 120);
+    assert.ok(long.endsWith('.pdf'));
+    assert.equal(chatDirName('oc_1::root/2', 'abcd1234'), 'oc_1_root_2-abcd1234');
+  });
+
+  it('finds stored attachment paths in a prompt without trailing punctuation', () => {
+    const root = '/home/u/.metame/attachments';
+    const prompt = [
+      `User sent an image (a.png), saved outside the project at: ${root}/oc_1-ab/01-a.png`,
+      `compare with ${root}/oc_1-ab/02-b.pdf, and ${root}/oc_1-ab/01-a.png.`,
+      'ignore /home/u/project/upload/c.png',
+      `and ${root}/../../Documents/tax.pdf or ${root}/oc_1-ab/../../id.png`,
+    ].join('\n');
+    assert.deepEqual(findAttachmentRefs(prompt, root), [`${root}/oc_1-ab/01-a.png`, `${root}/oc_1-ab/02-b.pdf`]);
+    assert.deepEqual(findAttachmentRefs(prompt, ''), []);
+  });
+
+  it('words upload prompts by kind and clips extracted text', () => {
+    assert.match(buildUploadPrompt({ filePath: '/s/a.png', name: 'a.png', kind: 'image' }), /an image .*\n.*Look at it/);
+    assert.match(buildUploadPrompt({ filePath: '/s/a.txt', name: 'a.txt', kind: 'document' }), /Only read the file if the user asks/);
+    assert.match(buildUploadPrompt({ filePath: '/s/a.txt', name: 'a.txt', kind: 'document', text: '总结' }), /User says: "总结"/);
+
+    assert.equal(buildExtractedTextBlock({ filePath: '/s/a.pdf', kind: 'pdf', text: '  \n', maxChars: 10 }), '');
+    const block = buildExtractedTextBlock({ filePath: '/s/a.png', kind: 'image', text: 'abcdefghijkl', maxChars: 5 });
+    assert.equal(block, '[Text recognized (OCR) in /s/a.png]\nabcde\n…[truncated]\n[end]');
+  });
+
+  it('prunes expired entries first, then the oldest beyond the cap', () => {
+    const now = Date.parse('2026-03-20T00:00:00Z');
+    const at = days => new Date(now - days * DAY).toISOString();
+    const entries = [
+      { id: 'old', received_at: at(30) },
+      { id: 'a', received_at: at(3) },
+      { id: 'b', received_at: at(2) },
+      { id: 'c', received_at: at(1) },
+    ];
+    assert.deepEqual(selectPrunable(entries, { now, retentionMs: 14 * DAY, maxFiles: 2 }).map(e => e.id), ['old', 'a']);
+    assert.deepEqual(selectPrunable(entries, { now, retentionMs: 60 * DAY, maxFiles: 10 }), []);
+  });
+});
@@ -51,6 +51,30 @@ function createAudit(deps) {
     }
   }
 
+  // Scoped budget counters (core/budget-policy) only grow within a day, so a
+  // stale snapshot must never lower them.
+  function mergeScopedBudget(current, next) {
+    const curCost = Number(current.cost_used) || 0;
+    if (curCost > (Number(next.cost_used) || 0)) next.cost_used = curCost;
+    if (Array.isArray(current.warned)) {
+      next.warned = [...new Set([...(Array.isArray(next.warned) ? next.warned : []), ...current.warned])];
+    }
+    if (!current.scopes || typeof current.scopes !== 'object') return;
+    if (!next.scopes || typeof next.scopes !== 'object') next.scopes = {};
+    for (const [id, curScope] of Object.entries(current.scopes)) {
+      const nextScope = next.scopes[id];
+      if (!nextScope || typeof nextScope !== 'object') {
+        next.scopes[id] = curScope;
+        continue;
+      }
+      if ((Number(curScope.tokens) || 0) > (Number(nextScope.tokens) || 0)) {
+        next.scopes[id] = curScope;
+      } else if ((Number(curScope.cost) || 0) > (Number(nextScope.cost) || 0)) {
+        nextScope.cost = curScope.cost;
+      }
+    }
+  }
+
   function readStateFromDisk() {
     try {
       const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
@@ -108,8 +132,13 @@ function createAudit(deps) {
       if (currentBudgetDate && (!nextBudgetDate || currentBudgetDate > nextBudgetDate)) {
         next.budget.date = currentBudgetDate;
         next.budget.tokens_used = currentBudgetTokens;
+        for (const key of ['cost_used', 'scopes', 'warned']) {
+          if (Object.prototype.hasOwnProperty.call(current.budget, key)) next.budget[key] = current.budget[key];
+          else delete next.budget[key];
+        }
       } else if (currentBudgetDate && currentBudgetDate === nextBudgetDate) {
         next.budget.tokens_used = Math.max(currentBudgetTokens, nextBudgetTokens);
+        mergeScopedBudget(current.budget, next.budget);
       }
 
       const currentKeepDays = Number(current.usage.retention_days) || usageRetentionDaysDefault;
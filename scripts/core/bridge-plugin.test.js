@@ -0,0 +1,89 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createBridgePlugin,
+  isBridgePlugin,
+  checkBridgeTransport,
+  normalizeInboundMessage,
+} = require('./bridge-plugin');
+
+const transportFactory = () => null;
+
+function spec(overrides = {}) {
+  return {
+    protocolVersion: 1,
+    descriptor: { id: 'irc', displayName: 'IRC', capabilities: ['send', 'receive', 'threads'] },
+    createTransport: transportFactory,
+    ...overrides,
+  };
+}
+
+describe('bridge plugin contract', () => {
+  it('freezes a valid plugin with canonical capability order', () => {
+    const plugin = createBridgePlugin(spec());
+    assert.equal(isBridgePlugin(plugin), true);
+    assert.equal(Object.isFrozen(plugin), true);
+    assert.deepEqual(plugin.descriptor, {
+      id: 'irc',
+      displayName: 'IRC',
+      configKey: 'irc',
+      capabilities: ['receive', 'send', 'threads'],
+    });
+    assert.deepEqual(plugin.routing, { authorizedByTransport: false, trustAllowedChats: false });
+    assert.equal(createBridgePlugin(plugin), plugin);
+    assert.equal(isBridgePlugin({ ...plugin }), false);
+  });
+
+  it('rejects bad ids, unknown capabilities and missing entry points by code', () => {
+    const codeOf = (value) => {
+      try { createBridgePlugin(value); } catch (e) { return e.code; }
+      return null;
+    };
+    assert.equal(codeOf(spec({ protocolVersion: 2 })), 'bridge_protocol_unsupported');
+    assert.equal(codeOf(spec({ descriptor: { id: 'Slack', displayName: 'Slack', capabilities: ['receive', 'send'] } })), 'bridge_id_invalid');
+    assert.equal(codeOf(spec({ descriptor: { id: 'irc', displayName: 'IRC', capabilities: ['receive', 'send', 'voice'] } })), 'bridge_capability_unknown');
+    assert.equal(codeOf(spec({ descriptor: { id: 'irc', displayName: 'IRC', capabilities: ['receive'] } })), 'bridge_capability_required');
+    assert.equal(codeOf(spec({ createTransport: undefined })), 'bridge_entry_point_required');
+    assert.equal(codeOf(spec({ start: () => null })), 'bridge_entry_point_required');
+    assert.equal(codeOf(spec({ extra: true })), 'bridge_plugin_unknown_key');
+  });
+});
+
+describe('bridge transport and inbound messages', () => {
+  it('lists bot methods missing for declared capabilities', () => {
+    const transport = { bot: { sendMessage() {} }, connect() {}, disconnect() {} };
+    assert.deepEqual(checkBridgeTransport(transport, ['receive', 'send']), []);
+    assert.deepEqual(checkBridgeTransport(transport, ['send', 'edit', 'files']), [
+      'edit declared but bot.editMessage is missing',
+      'files declared but bot.sendFile is missing',
+    ]);
+    assert.deepEqual(checkBridgeTransport({ bot: {} }, []), [
+      'transport.connect is missing',
+      'transport.disconnect is missing',
+    ]);
+  });
+
+  it('normalizes ids and keeps the platform chat id type', () => {
+    const message = normalizeInboundMessage({ chatId: 1001, text: '  hi ', replyToMessageId: 321, threadId: '' });
+    assert.deepEqual(message, {
+      kind: 'message',
+      chatId: 1001,
+      text: 'hi',
+      senderId: null,
+      messageId: null,
+      replyToMessageId: '321',
+      threadId: null,
+      file: null,
+      voice: null,
+      notice: '',
+    });
+    assert.throws(() => normalizeInboundMessage({ text: 'x' }), { code: 'bridge_message_chat_required' });
+    assert.throws(() => normalizeInboundMessage({ chatId: 'c', file: { name: 'a.txt' } }), { code: 'bridge_message_file_invalid' });
+    assert.throws(() => normalizeInboundMessage({ chatId: 'c', voice: { name: 'v.ogg' } }), { code: 'bridge_message_voice_invalid' });
+    const download = async () => {};
+    assert.deepEqual(normalizeInboundMessage({ chatId: 'c', voice: { name: ' v.ogg ', download } }).voice, { name: 'v.ogg', download });
+  });
+});
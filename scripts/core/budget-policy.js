@@ -0,0 +1,345 @@
+'use strict';
+
+/**
+ * scripts/core/budget-policy.js — pure scoped budget accounting.
+ *
+ * The daemon keeps one global daily token budget (budget.daily_limit). This
+ * module layers optional per-scope budgets on top of it:
+ *
+ *   budget:
+ *     daily_limit: 50000          # global hard limit (tokens)
+ *     daily_cost_limit: 5         # optional global hard limit (currency)
+ *     warning_threshold: 0.8      # soft threshold as a fraction of a limit
+ *     currency: USD
+ *     pricing:                    # currency per 1M tokens
+ *       default: { input: 3, output: 15 }
+ *       opus: { input: 15, output: 75 }
+ *     projects: { <project-key>: { daily_limit, daily_cost_limit, warning_threshold } }
+ *     agents:   { <team-member-key>: { ... } }
+ *     tasks:    { <heartbeat-task-name>: { ... } }
+ *
+ * Scopes are identified as `project:<key>`, `agent:<key>` and `task:<name>`.
+ * A scope over its hard limit blocks only runs that carry that scope; the
+ * global limit still blocks everything. Usage is tracked per day in
+ * state.budget.scopes with the usage-classifier category breakdown.
+ */
+
+const SCOPE_KINDS = Object.freeze(['project', 'agent', 'task']);
+const SCOPE_CONFIG_KEYS = Object.freeze({ project: 'projects', agent: 'agents', task: 'tasks' });
+const DEFAULT_DAILY_LIMIT = 50000;
+const DEFAULT_WARNING_THRESHOLD = 0.8;
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+function toPositiveNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function normalizeThreshold(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n <= 1 ? n : fallback;
+}
+
+function normalizeRate(raw) {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw === 'number' || typeof raw === 'string') {
+    const flat = toPositiveNumber(raw);
+    return flat ? { input: flat, output: flat } : null;
+  }
+  if (typeof raw !== 'object') return null;
+  const input = toPositiveNumber(raw.input);
+  const output = toPositiveNumber(raw.output) || input;
+  if (!input && !output) return null;
+  return { input: input || output, output };
+}
+
+function normalizeScopeLimits(raw, warningThreshold) {
+  const out = {};
+  if (!raw || typeof raw !== 'object') return out;
+  for (const [key, spec] of Object.entries(raw)) {
+    const name = String(key || '').trim();
+    if (!name) continue;
+    const src = (spec && typeof spec === 'object') ? spec : { daily_limit: spec };
+    const tokenLimit = toPositiveNumber(src.daily_limit);
+    const costLimit = toPositiveNumber(src.daily_cost_limit);
+    if (!tokenLimit && !costLimit) continue;
+    out[name] = {
+      tokenLimit,
+      costLimit,
+      warningThreshold: normalizeThreshold(src.warning_threshold, warningThreshold),
+    };
+  }
+  return out;
+}
+
+/**
+ * Normalize the `budget:` section of daemon.yaml. Unknown or invalid entries
+ * are dropped so a typo never blocks a run.
+ */
+function normalizeBudgetConfig(config) {
+  const raw = (config && config.budget && typeof config.budget === 'object') ? config.budget : {};
+  const warningThreshold = normalizeThreshold(raw.warning_threshold, DEFAULT_WARNING_THRESHOLD);
+  const pricing = {};
+  if (raw.pricing && typeof raw.pricing === 'object') {
+    for (const [key, rate] of Object.entries(raw.pricing)) {
+      const normalized = normalizeRate(rate);
+      if (normalized) pricing[String(key).trim().toLowerCase()] = normalized;
+    }
+  }
+  const scopes = {};
+  for (const kind of SCOPE_KINDS) {
+    scopes[kind] = normalizeScopeLimits(raw[SCOPE_CONFIG_KEYS[kind]], warningThreshold);
+  }
+  return {
+    tokenLimit: toPositiveNumber(raw.daily_limit) || DEFAULT_DAILY_LIMIT,
+    costLimit: toPositiveNumber(raw.daily_cost_limit),
+    warningThreshold,
+    currency: String(raw.currency || 'USD').trim() || 'USD',
+    pricing,
+    scopes,
+  };
+}
+
+function scopeId(kind, key) {
+  const name = String(key || '').trim();
+  return name ? `${kind}:${name}` : '';
+}
+
+function parseScopeId(id) {
+  const text = String(id || '');
+  const idx = text.indexOf(':');
+  if (idx <= 0) return null;
+  const kind = text.slice(0, idx);
+  if (!SCOPE_KINDS.includes(kind)) return null;
+  return { kind, key: text.slice(idx + 1) };
+}
+
+function findTeamParent(projects, memberKey) {
+  for (const [key, proj] of Object.entries(projects || {})) {
+    if (!proj || !Array.isArray(proj.team)) continue;
+    if (proj.team.some(member => member && member.key === memberKey)) return key;
+  }
+  return '';
+}
+
+/**
+ * Resolve the budget scopes a run is charged to.
+ * `agentKey` is the bound agent (a project key or a team member key); a team
+ * member is also charged to its parent project.
+ */
+function resolveBudgetScopes({ config = {}, projectKey = '', agentKey = '', taskName = '' } = {}) {
+  const projects = (config && config.projects) || {};
+  const agent = String(agentKey || '').trim();
+  let project = String(projectKey || '').trim();
+  if (!project && agent) {
+    project = projects[agent] ? agent : findTeamParent(projects, agent);
+  }
+  return [
+    scopeId('project', project),
+    scopeId('agent', agent),
+    scopeId('task', taskName),
+  ].filter(Boolean).filter((id, i, all) => all.indexOf(id) === i);
+}
+
+/** Pricing lookup: exact model, then model substring (e.g. "sonnet" in "claude-sonnet-4"), engine, default. */
+function resolvePrice(budgetCfg, { model = '', engine = '' } = {}) {
+  const pricing = (budgetCfg && budgetCfg.pricing) || {};
+  const m = String(model || '').trim().toLowerCase();
+  if (m && pricing[m]) return pricing[m];
+  if (m) {
+    const partial = Object.keys(pricing)
+      .filter(key => key !== 'default' && m.includes(key))
+      .sort((a, b) => b.length - a.length)[0];
+    if (partial) return pricing[partial];
+  }
+  const e = String(engine || '').trim().toLowerCase();
+  if (e && pricing[e]) return pricing[e];
+  return pricing.default || null;
+}
+
+/**
+ * Convert token usage to currency. When the input/output split is unknown
+ * all tokens are priced at the input rate.
+ */
+function estimateCost(budgetCfg, { tokens = 0, inputTokens, outputTokens, model, engine } = {}) {
+  const rate = resolvePrice(budgetCfg, { model, engine });
+  if (!rate) return 0;
+  const input = Number.isFinite(Number(inputTokens)) ? Math.max(0, Number(inputTokens)) : null;
+  const output = Number.isFinite(Number(outputTokens)) ? Math.max(0, Number(outputTokens)) : null;
+  let cost;
+  if (input !== null || output !== null) {
+    cost = ((input || 0) * rate.input + (output || 0) * rate.output) / TOKENS_PER_PRICE_UNIT;
+  } else {
+    cost = Math.max(0, Number(tokens) || 0) * rate.input / TOKENS_PER_PRICE_UNIT;
+  }
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function ensureScopeState(budget) {
+  if (!budget.scopes || typeof budget.scopes !== 'object') budget.scopes = {};
+  if (!Array.isArray(budget.warned)) budget.warned = [];
+  if (typeof budget.cost_used !== 'number') budget.cost_used = Number(budget.cost_used) || 0;
+  return budget;
+}
+
+/** Reset daily counters when the budget date is not today. Returns true when it rolled over. */
+function rolloverBudgetState(budget, today) {
+  if (budget.date === today) return false;
+  budget.date = today;
+  budget.tokens_used = 0;
+  budget.cost_used = 0;
+  budget.scopes = {};
+  budget.warned = [];
+  return true;
+}
+
+function applyBudgetUsage(budget, { scopes = [], tokens = 0, cost = 0, category = 'unknown' } = {}) {
+  ensureScopeState(budget);
+  const amount = Math.max(0, Math.floor(Number(tokens) || 0));
+  const spent = Math.max(0, Number(cost) || 0);
+  budget.cost_used = Math.round((budget.cost_used + spent) * 1e6) / 1e6;
+  for (const id of scopes) {
+    if (!parseScopeId(id)) continue;
+    const entry = budget.scopes[id] && typeof budget.scopes[id] === 'object'
+      ? budget.scopes[id]
+      : { tokens: 0, cost: 0, categories: {} };
+    entry.tokens = (Number(entry.tokens) || 0) + amount;
+    entry.cost = Math.round(((Number(entry.cost) || 0) + spent) * 1e6) / 1e6;
+    if (!entry.categories || typeof entry.categories !== 'object') entry.categories = {};
+    entry.categories[category] = (Number(entry.categories[category]) || 0) + amount;
+    budget.scopes[id] = entry;
+  }
+  return budget;
+}
+
+function checkLimits(id, used, limits) {
+  const results = [];
+  const pairs = [
+    ['tokens', Number(used.tokens) || 0, limits.tokenLimit],
+    ['cost', Number(used.cost) || 0, limits.costLimit],
+  ];
+  for (const [unit, value, limit] of pairs) {
+    if (!limit) continue;
+    if (value >= limit) results.push({ scope: id, level: 'hard', unit, used: value, limit });
+    else if (value >= limit * limits.warningThreshold) results.push({ scope: id, level: 'soft', unit, used: value, limit });
+  }
+  return results;
+}
+
+/**
+ * Evaluate the global budget plus every scope the run is charged to.
+ * Returns { allowed, blocked, warnings } where blocked/warnings list
+ * { scope, level, unit, used, limit } entries.
+ */
+function evaluateBudget(budgetCfg, budget, scopes = []) {
+  const state = budget || {};
+  const findings = checkLimits('global', {
+    tokens: state.tokens_used,
+    cost: state.cost_used,
+  }, budgetCfg);
+  const scopeState = (state.scopes && typeof state.scopes === 'object') ? state.scopes : {};
+  for (const id of scopes) {
+    const parsed = parseScopeId(id);
+    if (!parsed) continue;
+    const limits = budgetCfg.scopes[parsed.kind] && budgetCfg.scopes[parsed.kind][parsed.key];
+    if (!limits) continue;
+    findings.push(...checkLimits(id, scopeState[id] || {}, limits));
+  }
+  const blocked = findings.filter(f => f.level === 'hard');
+  return {
+    allowed: blocked.length === 0,
+    blocked,
+    warnings: findings.filter(f => f.level === 'soft'),
+  };
+}
+
+/** Zero the whole budget, or only one scope when `id` is given. Returns false for an unknown scope. */
+function resetBudgetState(budget, id = '', today = new Date().toISOString().slice(0, 10)) {
+  ensureScopeState(budget);
+  if (!id) {
+    rolloverBudgetState(budget, null);
+    budget.date = today;
+    return true;
+  }
+  if (!parseScopeId(id)) return false;
+  delete budget.scopes[id];
+  budget.warned = budget.warned.filter(w => w !== id);
+  return true;
+}
+
+function formatAmount(unit, value, currency) {
+  if (unit === 'cost') return `${Number(value || 0).toFixed(2)} ${currency}`;
+  return `${Math.floor(Number(value) || 0).toLocaleString()} tokens`;
+}
+
+function formatUsage(used, limits, currency) {
+  const parts = [];
+  const tokenLimit = limits && limits.tokenLimit;
+  parts.push(tokenLimit
+    ? `${Math.floor(Number(used.tokens) || 0).toLocaleString()}/${tokenLimit.toLocaleString()} tokens (${(((Number(used.tokens) || 0) / tokenLimit) * 100).toFixed(1)}%)`
+    : formatAmount('tokens', used.tokens, currency));
+  const cost = Number(used.cost) || 0;
+  const costLimit = limits && limits.costLimit;
+  if (costLimit) parts.push(`${cost.toFixed(2)}/${costLimit.toFixed(2)} ${currency}`);
+  else if (cost > 0) parts.push(formatAmount('cost', cost, currency));
+  return parts.join(' · ');
+}
+
+/**
+ * Render the /budget breakdown: global usage, then every scope that has a
+ * limit or usage today, each with its usage-category split.
+ */
+function formatBudgetReport(budgetCfg, budget, { categoryOrder = [], categoryLabels = {} } = {}) {
+  const state = budget || {};
+  const currency = budgetCfg.currency;
+  const lines = [
+    `💰 Budget (${state.date || 'no data'})`,
+    `Global: ${formatUsage({ tokens: state.tokens_used, cost: state.cost_used }, budgetCfg, currency)}`,
+  ];
+  const scopeState = (state.scopes && typeof state.scopes === 'object') ? state.scopes : {};
+  const ids = new Set(Object.keys(scopeState));
+  for (const kind of SCOPE_KINDS) {
+    for (const key of Object.keys(budgetCfg.scopes[kind] || {})) ids.add(scopeId(kind, key));
+  }
+  const sorted = [...ids].filter(parseScopeId).sort((a, b) => {
+    const ka = SCOPE_KINDS.indexOf(parseScopeId(a).kind);
+    const kb = SCOPE_KINDS.indexOf(parseScopeId(b).kind);
+    return ka - kb || a.localeCompare(b);
+  });
+  for (const id of sorted) {
+    const { kind, key } = parseScopeId(id);
+    const limits = budgetCfg.scopes[kind][key] || null;
+    const used = scopeState[id] || {};
+    const status = limits ? checkLimits(id, used, limits) : [];
+    const icon = status.some(s => s.level === 'hard') ? '⛔' : status.length ? '⚠️' : '•';
+    lines.push(`${icon} ${id}: ${formatUsage(used, limits, currency)}`);
+    const categories = used.categories || {};
+    const keys = [...categoryOrder, ...Object.keys(categories).filter(k => !categoryOrder.includes(k))];
+    const split = keys
+      .filter(k => (Number(categories[k]) || 0) > 0)
+      .map(k => `${categoryLabels[k] || k} ${Math.floor(Number(categories[k])).toLocaleString()}`);
+    if (split.length) lines.push(`   ${split.join(' · ')}`);
+  }
+  if (sorted.length === 0) lines.push('(no project/agent/task budgets configured)');
+  return lines.join('\n');
+}
+
+function describeFinding(finding, currency = 'USD') {
+  return `${finding.scope} ${formatAmount(finding.unit, finding.used, currency)} / ${formatAmount(finding.unit, finding.limit, currency)}`;
+}
+
+module.exports = {
+  SCOPE_KINDS,
+  DEFAULT_DAILY_LIMIT,
+  normalizeBudgetConfig,
+  resolveBudgetScopes,
+  resolvePrice,
+  estimateCost,
+  rolloverBudgetState,
+  applyBudgetUsage,
+  evaluateBudget,
+  resetBudgetState,
+  formatBudgetReport,
+  describeFinding,
+  parseScopeId,
+};
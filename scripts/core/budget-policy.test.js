@@ -0,0 +1,142 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeBudgetConfig,
+  resolveBudgetScopes,
+  estimateCost,
+  rolloverBudgetState,
+  applyBudgetUsage,
+  evaluateBudget,
+  resetBudgetState,
+  formatBudgetReport,
+} = require('./budget-policy');
+
+const config = {
+  budget: {
+    daily_limit: 1000,
+    warning_threshold: 0.5,
+    currency: 'USD',
+    pricing: {
+      default: { input: 3, output: 15 },
+      opus: { input: 15, output: 75 },
+    },
+    projects: { alpha: { daily_limit: 100 }, beta: { daily_cost_limit: 1 } },
+    agents: { coder: { daily_limit: 50, warning_threshold: 0.8 } },
+    tasks: { 'nightly-reflect': 20, broken: { daily_limit: 'x' } },
+  },
+  projects: {
+    alpha: { name: 'Alpha', team: [{ key: 'coder' }] },
+    beta: { name: 'Beta' },
+  },
+};
+
+describe('budget policy config', () => {
+  it('normalizes scope limits and drops invalid entries', () => {
+    const cfg = normalizeBudgetConfig(config);
+    assert.equal(cfg.tokenLimit, 1000);
+    assert.equal(cfg.scopes.project.alpha.tokenLimit, 100);
+    assert.equal(cfg.scopes.project.alpha.warningThreshold, 0.5);
+    assert.equal(cfg.scopes.agent.coder.warningThreshold, 0.8);
+    assert.equal(cfg.scopes.task['nightly-reflect'].tokenLimit, 20);
+    assert.equal(cfg.scopes.task.broken, undefined);
+  });
+
+  it('keeps the legacy default limit when budget is not configured', () => {
+    const cfg = normalizeBudgetConfig({});
+    assert.equal(cfg.tokenLimit, 50000);
+    assert.deepEqual(cfg.scopes, { project: {}, agent: {}, task: {} });
+  });
+});
+
+describe('budget scope resolution', () => {
+  it('charges a team member to its parent project', () => {
+    assert.deepEqual(resolveBudgetScopes({ config, agentKey: 'coder' }), ['project:alpha', 'agent:coder']);
+  });
+
+  it('charges a bound project agent once per kind', () => {
+    assert.deepEqual(resolveBudgetScopes({ config, agentKey: 'beta' }), ['project:beta', 'agent:beta']);
+  });
+
+  it('charges heartbeat tasks to the task and its project', () => {
+    assert.deepEqual(
+      resolveBudgetScopes({ config, projectKey: 'alpha', taskName: 'nightly-reflect' }),
+      ['project:alpha', 'task:nightly-reflect'],
+    );
+  });
+});
+
+describe('budget cost accounting', () => {
+  it('prices input and output separately by model substring', () => {
+    const cfg = normalizeBudgetConfig(config);
+    assert.equal(estimateCost(cfg, { model: 'claude-opus-4', inputTokens: 1000000, outputTokens: 0 }), 15);
+    assert.equal(estimateCost(cfg, { model: 'sonnet', inputTokens: 0, outputTokens: 1000000 }), 15);
+  });
+
+  it('prices an unknown split at the input rate and is free without pricing', () => {
+    assert.equal(estimateCost(normalizeBudgetConfig(config), { tokens: 1000000 }), 3);
+    assert.equal(estimateCost(normalizeBudgetConfig({}), { tokens: 1000000 }), 0);
+  });
+});
+
+describe('budget evaluation', () => {
+  it('pauses only the offending scope', () => {
+    const cfg = normalizeBudgetConfig(config);
+    const budget = { date: '2026-10-19', tokens_used: 0 };
+    applyBudgetUsage(budget, { scopes: ['project:alpha', 'agent:coder'], tokens: 60, category: 'chat_project' });
+    budget.tokens_used = 60;
+
+    const coder = evaluateBudget(cfg, budget, ['project:alpha', 'agent:coder']);
+    assert.equal(coder.allowed, false);
+    assert.deepEqual(coder.blocked.map(b => b.scope), ['agent:coder']);
+    assert.deepEqual(coder.warnings.map(w => w.scope), ['project:alpha']);
+
+    assert.equal(evaluateBudget(cfg, budget, ['project:beta', 'agent:beta']).allowed, true);
+  });
+
+  it('blocks on cost limits and on the global limit', () => {
+    const cfg = normalizeBudgetConfig(config);
+    const budget = { date: '2026-10-19', tokens_used: 10 };
+    applyBudgetUsage(budget, { scopes: ['project:beta'], tokens: 10, cost: 1.2 });
+    assert.equal(evaluateBudget(cfg, budget, ['project:beta']).blocked[0].unit, 'cost');
+
+    budget.tokens_used = 1000;
+    const global = evaluateBudget(cfg, budget, []);
+    assert.equal(global.allowed, false);
+    assert.equal(global.blocked[0].scope, 'global');
+  });
+
+  it('rolls over and resets one scope or the whole day', () => {
+    const budget = { date: '2026-10-18', tokens_used: 5, scopes: { 'task:x': { tokens: 5 } }, warned: ['task:x'] };
+    assert.equal(rolloverBudgetState(budget, '2026-10-19'), true);
+    assert.deepEqual(budget.scopes, {});
+    assert.equal(rolloverBudgetState(budget, '2026-10-19'), false);
+
+    applyBudgetUsage(budget, { scopes: ['task:x', 'task:y'], tokens: 7 });
+    assert.equal(resetBudgetState(budget, 'task:x'), true);
+    assert.deepEqual(Object.keys(budget.scopes), ['task:y']);
+    assert.equal(resetBudgetState(budget, 'bogus'), false);
+    assert.equal(resetBudgetState(budget, '', '2026-10-19'), true);
+    assert.deepEqual(budget.scopes, {});
+    assert.equal(budget.date, '2026-10-19');
+  });
+});
+
+describe('budget report', () => {
+  it('renders scopes with their usage-category split', () => {
+    const cfg = normalizeBudgetConfig(config);
+    const budget = { date: '2026-10-19', tokens_used: 60, cost_used: 0.5 };
+    applyBudgetUsage(budget, { scopes: ['agent:coder'], tokens: 40, category: 'chat_project' });
+    applyBudgetUsage(budget, { scopes: ['agent:coder'], tokens: 20, category: 'team_task' });
+    const report = formatBudgetReport(cfg, budget, {
+      categoryOrder: ['team_task', 'chat_project'],
+      categoryLabels: { team_task: '团队任务', chat_project: '项目对话' },
+    });
+    assert.match(report, /Global: 60\/1,000 tokens \(6\.0%\)/);
+    assert.match(report, /⛔ agent:coder: 60\/50 tokens/);
+    assert.match(report, /团队任务 20 · 项目对话 40/);
+    assert.match(report, /• project:alpha: 0\/100 tokens/);
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCronExpression, nextCronRunAfter } = require('./cron-expression');
+
+describe('cron expression parsing', () => {
+  it('expands lists, ranges, steps and names', () => {
+    const cron = parseCronExpression('*/15 9-11 * jan,jul mon-fri');
+    assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hour], [9, 10, 11]);
+    assert.deepEqual([...cron.month], [1, 7]);
+    assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+    assert.equal(cron.domRestricted, false);
+    assert.equal(cron.dowRestricted, true);
+  });
+
+  it('accepts macros and treats day-of-week 7 as Sunday', () => {
+    assert.deepEqual([...parseCronExpression('@hourly').minute], [0]);
+    assert.deepEqual([...parseCronExpression('0 0 * * 7').dayOfWeek], [0]);
+  });
+
+  it('rejects malformed fields and unknown timezones', () => {
+    assert.throws(() => parseCronExpression('* * * *'), /5 fields/);
+    assert.throws(() => parseCronExpression('61 * * * *'), /minute out of range/);
+    assert.throws(() => parseCronExpression('*/0 * * * *'), /invalid step/);
+    assert.throws(() => parseCronExpression('0 9 * * *', { timezone: 'Mars/Olympus' }), /unknown timezone/);
+  });
+});
+
+describe('cron next run', () => {
+  it('finds the next matching minute in the given timezone', () => {
+    const cron = parseCronExpression('30 9 * * *', { timezone: 'Asia/Shanghai' });
+    // 2026-10-19 00:00 UTC is 08:00 in Shanghai.
+    const next = nextCronRunAfter(cron, Date.UTC(2026, 9, 19, 0, 0));
+    assert.equal(new Date(next).toISOString(), '2026-10-19T01:30:00.000Z');
+  });
+
+  it('is strictly after the reference time', () => {
+    const cron = parseCronExpression('0 * * * *', { timezone: 'UTC' });
+    const at = Date.UTC(2026, 9, 19, 5, 0);
+    assert.equal(new Date(nextCronRunAfter(cron, at)).toISOString(), '2026-10-19T06:00:00.000Z');
+  });
+
+  it('matches either restricted day field like Vixie cron', () => {
+    // 2026-10-19 is a Monday; day 25 is the following Sunday.
+    const cron = parseCronExpression('0 8 25 * fri', { timezone: 'UTC' });
+    const next = nextCronRunAfter(cron, Date.UTC(2026, 9, 19, 12, 0));
+    assert.equal(new Date(next).toISOString(), '2026-10-23T08:00:00.000Z');
+    const after = nextCronRunAfter(cron, next);
+    assert.equal(new Date(after).toISOString(), '2026-10-25T08:00:00.000Z');
+  });
+
+  it('returns NaN for expressions that never fire', () => {
+    const cron = parseCronExpression('0 0 31 2 *', { timezone: 'UTC' });
+    assert.ok(Number.isNaN(nextCronRunAfter(cron, Date.UTC(2026, 0, 1))));
+  });
+});
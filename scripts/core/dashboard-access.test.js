@@ -0,0 +1,56 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  canReview,
+  isLoopbackHostHeader,
+  normalizeDashboardConfig,
+  parsePlanName,
+} = require('./dashboard-access');
+
+const TOKEN = 'x'.repeat(24);
+
+describe('core/dashboard-access', () => {
+  it('normalizes clients as read-only viewers unless marked admin', () => {
+    assert.equal(normalizeDashboardConfig(undefined).enabled, false);
+    const cfg = normalizeDashboardConfig({
+      enabled: true,
+      clients: [
+        { name: 'me', token_env: 'DASH_TOKEN' },
+        { name: 'ops', token: 'y'.repeat(24), role: 'admin' },
+      ],
+    }, { env: { DASH_TOKEN: TOKEN }, home: '/home/u' });
+    assert.deepEqual([cfg.host, cfg.port, cfg.reconcileDir], ['127.0.0.1', 8768, '/home/u/.metame/reconcile']);
+    assert.deepEqual(cfg.clients.map(c => [c.name, c.role]), [['me', 'viewer'], ['ops', 'admin']]);
+    assert.deepEqual(cfg.clients.map(canReview), [false, true]);
+    assert.equal(canReview(null), false);
+  });
+
+  it('fails closed on public hosts, weak tokens and unknown roles', () => {
+    const client = { name: 'me', token: TOKEN };
+    assert.throws(() => normalizeDashboardConfig({ enabled: true, host: '0.0.0.0', clients: [client] }), /loopback/);
+    assert.throws(() => normalizeDashboardConfig({ enabled: true, clients: [] }), /at least one client/);
+    assert.throws(() => normalizeDashboardConfig({ enabled: true, clients: [{ name: 'me', token: 'short' }] }), /at least 24/);
+    assert.throws(() => normalizeDashboardConfig({ enabled: true, clients: [{ ...client, role: 'root' }] }), /role must be/);
+    assert.throws(() => normalizeDashboardConfig({ enabled: true, clients: [{ name: 'me', token_env: 'MISSING' }] }, { env: {} }), /is empty/);
+    assert.throws(() => normalizeDashboardConfig({
+      enabled: true,
+      clients: [client, { name: 'other', token: TOKEN }],
+    }), /its own token/);
+  });
+
+  it('accepts only loopback Host headers and plain plan file names', () => {
+    for (const host of ['127.0.0.1:8768', 'localhost', 'LOCALHOST:80', '[::1]:8768']) {
+      assert.equal(isLoopbackHostHeader(host), true, host);
+    }
+    for (const host of ['', undefined, 'evil.example:8768', '127.0.0.1.evil.example', '[::2]:8768']) {
+      assert.equal(isLoopbackHostHeader(host), false, String(host));
+    }
+    assert.equal(parsePlanName('2026-10-19.json'), '2026-10-19.json');
+    for (const name of ['../memory.json', '.hidden.json', 'plan.txt', 'a/b.json', '']) {
+      assert.equal(parsePlanName(name), null, name);
+    }
+  });
+});
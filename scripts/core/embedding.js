@@ -1,26 +1,36 @@
 'use strict';
 
 /**
- * core/embedding.js — Embedding adapter with two backends:
+ * core/embedding.js — Embedding adapter with three backends:
  *   1. OpenAI text-embedding-3-small (512-dim) — requires OPENAI_API_KEY
  *   2. Ollama bge-m3 (1024-dim, local) — fallback when OpenAI key absent
+ *   3. In-process hashed n-grams (768-dim, core/local-embedding.js) — no
+ *      network or model download; last resort so offline machines keep
+ *      vector recall
  *
  * Exports:
- *   getEmbedding(text)          → Float32Array | null
- *   batchEmbed(texts[])         → (Float32Array | null)[]
+ *   getEmbedding(text, opts?)   → Float32Array | null
+ *   batchEmbed(texts[], opts?)  → (Float32Array | null)[]
  *   embeddingToBuffer(f32)      → Buffer       (for SQLite BLOB write)
  *   bufferToEmbedding(blob)     → Float32Array  (for SQLite BLOB read)
+ *   getBackendInfo(backend?)    → { backend, model, dimensions } | null
+ *   listBackends()              → [{ backend, model, dimensions }]
  *   isEmbeddingAvailable()      → boolean
  *
+ * opts.backend / getBackendInfo(backend) address one backend explicitly
+ * (fail closed, like METAME_EMBEDDING_BACKEND) — used to build the index of a
+ * backend that is not the active one.
+ *
  * Backend selection:
- *   METAME_EMBEDDING_BACKEND=openai|ollama → explicit, fail closed
- *   auto/unset: OPENAI_API_KEY first, then local Ollama
+ *   METAME_EMBEDDING_BACKEND=openai|ollama|local → explicit, fail closed
+ *   auto/unset: OPENAI_API_KEY first, then local Ollama, then in-process
  *
  * Callers must use getBackendInfo() when persisting vectors. MODEL and
  * DIMENSIONS remain compatibility exports for older consumers only.
  */
 
 const { existsSync } = require('node:fs');
+const { LOCAL_MODEL, LOCAL_DIMENSIONS, hashEmbed } = require('./local-embedding');
 
 // ── OpenAI backend ────────────────────────────────────────────────────────────
 const OPENAI_MODEL      = 'text-embedding-3-small';
@@ -59,31 +69,33 @@ function isOllamaInstalled() {
   return OLLAMA_BIN_PATHS.some(p => existsSync(p));
 }
 
-function selectBackend(preferred, { openaiAvailable, ollamaAvailable }) {
+function selectBackend(preferred, { openaiAvailable, ollamaAvailable, localAvailable = true }) {
   if (preferred === 'openai') return openaiAvailable ? 'openai' : null;
   if (preferred === 'ollama') return ollamaAvailable ? 'ollama' : null;
+  if (preferred === 'local') return localAvailable ? 'local' : null;
   if (openaiAvailable) return 'openai';
   if (ollamaAvailable) return 'ollama';
+  if (localAvailable) return 'local';
   return null;
 }
 
-function getBackend() {
-  const preferred = String(process.env.METAME_EMBEDDING_BACKEND || 'auto').toLowerCase();
+function getBackend(requested) {
+  const preferred = String(requested || process.env.METAME_EMBEDDING_BACKEND || 'auto').toLowerCase();
   return selectBackend(preferred, {
     openaiAvailable: !!getApiKey(),
     ollamaAvailable: isOllamaInstalled(),
   });
 }
 
-function getBackendInfo() {
-  const backend = getBackend();
-  if (backend === 'openai') {
-    return { backend, model: OPENAI_MODEL, dimensions: OPENAI_DIMENSIONS };
-  }
-  if (backend === 'ollama') {
-    return { backend, model: OLLAMA_MODEL, dimensions: OLLAMA_DIMENSIONS };
-  }
-  return null;
+/**
+ * @param {string} [backend] - explicit backend name; defaults to the active one
+ * @returns {{ backend: string, model: string, dimensions: number } | null}
+ */
+function getBackendInfo(backend) {
+  backend = getBackend(backend);
+  if (!backend) return null;
+  const { model, dimensions } = BACKENDS[backend];
+  return { backend, model, dimensions };
 }
 
 function isEmbeddingAvailable() {
@@ -169,35 +181,59 @@ async function callOllama(inputs) {
   return results;
 }
 
+// ── In-process backend (hashed n-grams, no I/O) ───────────────────────────────
+
+async function callLocal(inputs) {
+  return inputs.map((text) => {
+    const vec = hashEmbed(text, LOCAL_DIMENSIONS);
+    return vec ? l2Normalize(vec) : null;
+  });
+}
+
 // ── Unified router ────────────────────────────────────────────────────────────
 
-async function callApi(inputs) {
-  const backend = getBackend();
-  if (backend === 'openai') return callOpenAI(inputs);
-  if (backend === 'ollama') return callOllama(inputs);
-  return inputs.map(() => null);
+// Every backend answers the same contract: model + dimensions for
+// getBackendInfo(), embed(inputs) → (Float32Array | null)[] L2-normalized.
+const BACKENDS = Object.freeze({
+  openai: { model: OPENAI_MODEL, dimensions: OPENAI_DIMENSIONS, embed: callOpenAI },
+  ollama: { model: OLLAMA_MODEL, dimensions: OLLAMA_DIMENSIONS, embed: callOllama },
+  local: { model: LOCAL_MODEL, dimensions: LOCAL_DIMENSIONS, embed: callLocal },
+});
+
+async function callApi(inputs, backend) {
+  if (!backend) return inputs.map(() => null);
+  return BACKENDS[backend].embed(inputs);
+}
+
+/** Every known backend, available or not (for coverage reports). */
+function listBackends() {
+  return Object.entries(BACKENDS).map(([backend, { model, dimensions }]) => ({ backend, model, dimensions }));
 }
 
 /**
  * Get embedding for a single text.
  * @param {string} text
+ * @param {{ backend?: string }} [opts]
  * @returns {Promise<Float32Array|null>}
  */
-async function getEmbedding(text) {
-  if (!isEmbeddingAvailable()) return null;
+async function getEmbedding(text, { backend } = {}) {
+  const selected = getBackend(backend);
+  if (!selected) return null;
   if (!text || typeof text !== 'string') return null;
   const truncated = text.slice(0, MAX_INPUT_CHARS);
-  const results = await callApi([truncated]);
+  const results = await callApi([truncated], selected);
   return results[0] || null;
 }
 
 /**
  * Get embeddings for multiple texts in batches.
  * @param {string[]} texts
+ * @param {{ backend?: string }} [opts]
  * @returns {Promise<(Float32Array|null)[]>}
  */
-async function batchEmbed(texts) {
-  if (!isEmbeddingAvailable()) return texts.map(() => null);
+async function batchEmbed(texts, { backend } = {}) {
+  const selected = getBackend(backend);
+  if (!selected) return texts.map(() => null);
   if (!texts || texts.length === 0) return [];
 
   const results = [];
@@ -205,7 +241,7 @@ async function batchEmbed(texts) {
     const batch = texts.slice(i, i + BATCH_SIZE).map(t =>
       (typeof t === 'string' ? t : '').slice(0, MAX_INPUT_CHARS),
     );
-    const embeddings = await callApi(batch);
+    const embeddings = await callApi(batch, selected);
     results.push(...embeddings);
   }
   return results;
@@ -223,8 +259,8 @@ function embeddingToBuffer(f32) {
 
 /**
  * Read Buffer from SQLite BLOB back to Float32Array.
- * Dimension-agnostic: infers dim from blob length (supports both 512-dim OpenAI
- * and 1024-dim bge-m3 embeddings stored in the same DB).
+ * Dimension-agnostic: infers dim from blob length (supports 512-dim OpenAI,
+ * 1024-dim bge-m3 and 768-dim local embeddings stored in the same DB).
  * @param {Buffer|Uint8Array} blob
  * @returns {Float32Array|null}
  */
@@ -242,6 +278,7 @@ module.exports = {
   embeddingToBuffer,
   bufferToEmbedding,
   getBackendInfo,
+  listBackends,
   isEmbeddingAvailable,
   l2Normalize,
   MODEL,
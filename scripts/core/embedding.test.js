@@ -109,4 +109,34 @@ describe('embedding utilities', () => {
       ollamaAvailable: true,
     }), 'ollama');
   });
+
+  it('falls back to the in-process backend when no provider is reachable', () => {
+    assert.equal(_internal.selectBackend('auto', {
+      openaiAvailable: false,
+      ollamaAvailable: false,
+    }), 'local');
+    assert.equal(_internal.selectBackend('local', {
+      openaiAvailable: true,
+      ollamaAvailable: true,
+    }), 'local');
+  });
+
+  it('local backend embeds offline into unit vectors of the advertised size', async () => {
+    const prev = process.env.METAME_EMBEDDING_BACKEND;
+    process.env.METAME_EMBEDDING_BACKEND = 'local';
+    try {
+      const { getBackendInfo, batchEmbed } = require('./embedding');
+      const info = getBackendInfo();
+      assert.equal(info.backend, 'local');
+      const [vec, empty] = await batchEmbed(['deploy the daemon', '   ']);
+      assert.equal(vec.length, info.dimensions);
+      let norm = 0;
+      for (const x of vec) norm += x * x;
+      assert.ok(Math.abs(norm - 1) < 1e-5);
+      assert.equal(empty, null);
+    } finally {
+      if (prev === undefined) delete process.env.METAME_EMBEDDING_BACKEND;
+      else process.env.METAME_EMBEDDING_BACKEND = prev;
+    }
+  });
 });
@@ -55,4 +55,86 @@ function fallbackForUnavailableRuntime(policy, project, defaultEngine = 'claude'
   };
 }
 
-module.exports = { resolveScopedEngine, fallbackForUnavailableRuntime };
+// Automatic engine failover (`engine_fallback`). Adapter failures fall into:
+//   retryable — the engine process crashed: retried once on the same engine,
+//               a repeated crash fails over
+//   failover  — quota, expired auth or a missing runtime: the next trusted
+//               engine in the list takes the turn
+//   fatal     — everything else (user stop, timeout, empty reply): surfaced as-is
+const FAILURE_KINDS = Object.freeze({ RETRYABLE: 'retryable', FAILOVER: 'failover', FATAL: 'fatal' });
+const MAX_CRASH_RETRIES = 1;
+const FAILOVER_CODE_RE = /^(?:RATE_LIMIT|CAPABILITY_UNSUPPORTED|RUNTIME_NOT_READY)$|(?:^|_)(?:AUTH_REQUIRED|NOT_INSTALLED)$/;
+const CRASH_CODE_RE = /(?:^|_)(?:EXEC_FAILURE|CRASHED)$/;
+const NOT_INSTALLED_TEXT_RE = /\bspawn \S+ ENOENT\b|command not found/i;
+const CRASH_TEXT_RE = /\b(?:exit code \d+|killed by signal|SIGSEGV|SIGABRT|ECONNRESET|socket hang up)\b/i;
+
+function classifyEngineFailure({ errorCode = '', error = '', timedOut = false } = {}) {
+  const code = String(errorCode || '').trim().toUpperCase();
+  const text = String(error || '');
+  if (timedOut || code.startsWith('INTERRUPTED')) return { kind: FAILURE_KINDS.FATAL, reason: code || 'TIMEOUT' };
+  if (FAILOVER_CODE_RE.test(code)) return { kind: FAILURE_KINDS.FAILOVER, reason: code };
+  if (!code && NOT_INSTALLED_TEXT_RE.test(text)) return { kind: FAILURE_KINDS.FAILOVER, reason: 'NOT_INSTALLED' };
+  if (CRASH_CODE_RE.test(code) || (!code && CRASH_TEXT_RE.test(text))) {
+    return { kind: FAILURE_KINDS.RETRYABLE, reason: code || 'CRASH' };
+  }
+  return { kind: FAILURE_KINDS.FATAL, reason: code || 'ERROR' };
+}
+
+function parseEngineList(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return list.map(item => String(item || '').trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Ordered failover engines for a turn: the project's `engine_fallback`
+ * (else `daemon.engine_fallback`), minus the primary engine, engines the
+ * scoped policy would not run for this project (experimental engines outside
+ * their allowlist) and engines `isAvailable` rejects — the caller resolves
+ * that through the engine registry.
+ */
+function resolveEngineFallbackChain({
+  primary = '',
+  fallbackList,
+  projectKey = '',
+  project = null,
+  daemonCfg = {},
+  defaultEngine = 'claude',
+  scope = 'project',
+  isAvailable = () => true,
+} = {}) {
+  const requested = parseEngineList(fallbackList !== undefined && fallbackList !== null
+    ? fallbackList
+    : (project && project.engine_fallback) || daemonCfg.engine_fallback);
+  const chain = [];
+  for (const id of requested) {
+    if (id === primary || chain.includes(id)) continue;
+    const policy = resolveScopedEngine({ requestedEngine: id, projectKey, project, daemonCfg, defaultEngine, scope });
+    if (policy.fallback || policy.engine !== id || !isAvailable(id)) continue;
+    chain.push(id);
+  }
+  return chain;
+}
+
+/**
+ * Next step after a failed turn on `engine`. `tried` lists engines already
+ * failed over from, `crashes` counts crash retries spent on `engine`.
+ * @returns {{ action: 'retry'|'failover'|'stop', engine?: string, reason?: string }}
+ */
+function planEngineFailover({ failure, engine, chain = [], tried = [], crashes = 0 } = {}) {
+  if (!failure || failure.kind === FAILURE_KINDS.FATAL) return { action: 'stop' };
+  if (failure.kind === FAILURE_KINDS.RETRYABLE && crashes < MAX_CRASH_RETRIES) {
+    return { action: 'retry', engine, reason: failure.reason };
+  }
+  const next = chain.find(id => id !== engine && !tried.includes(id));
+  return next ? { action: 'failover', engine: next, reason: failure.reason } : { action: 'stop' };
+}
+
+module.exports = {
+  resolveScopedEngine,
+  fallbackForUnavailableRuntime,
+  FAILURE_KINDS,
+  classifyEngineFailure,
+  parseEngineList,
+  resolveEngineFallbackChain,
+  planEngineFailover,
+};
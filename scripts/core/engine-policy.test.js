@@ -3,7 +3,13 @@
 require('../test-support/env-setup');
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { resolveScopedEngine, fallbackForUnavailableRuntime } = require('./engine-policy');
+const {
+  resolveScopedEngine,
+  fallbackForUnavailableRuntime,
+  classifyEngineFailure,
+  resolveEngineFallbackChain,
+  planEngineFailover,
+} = require('./engine-policy');
 
 describe('scoped engine policy', () => {
   const enabled = { experimental_engines: { agy: { enabled: true, allowed_projects: ['munger', 'digital_me'] } } };
@@ -59,3 +65,40 @@ describe('scoped engine policy', () => {
     assert.equal(unavailable.reason, 'pi_unavailable');
   });
 });
+
+describe('engine failover policy', () => {
+  const enabled = { experimental_engines: { agy: { enabled: true, allowed_projects: ['munger'] } } };
+
+  it('classifies adapter failures into retryable, failover and fatal', () => {
+    assert.equal(classifyEngineFailure({ errorCode: 'RATE_LIMIT' }).kind, 'failover');
+    assert.equal(classifyEngineFailure({ errorCode: 'AGY_AUTH_REQUIRED' }).kind, 'failover');
+    assert.equal(classifyEngineFailure({ errorCode: 'PI_NOT_INSTALLED' }).kind, 'failover');
+    assert.deepEqual(classifyEngineFailure({ error: 'spawn codex ENOENT' }), { kind: 'failover', reason: 'NOT_INSTALLED' });
+    assert.equal(classifyEngineFailure({ errorCode: 'EXTERNAL_ADAPTER_CRASHED' }).kind, 'retryable');
+    assert.deepEqual(classifyEngineFailure({ error: 'Exit code 139' }), { kind: 'retryable', reason: 'CRASH' });
+    assert.equal(classifyEngineFailure({ errorCode: 'INTERRUPTED_USER', error: 'Stopped by user' }).kind, 'fatal');
+    assert.equal(classifyEngineFailure({ errorCode: 'RATE_LIMIT', timedOut: true }).kind, 'fatal');
+    assert.equal(classifyEngineFailure({ error: 'model refused' }).kind, 'fatal');
+  });
+
+  it('keeps only trusted, available fallback engines in order', () => {
+    const chain = resolveEngineFallbackChain({
+      primary: 'claude',
+      projectKey: 'other',
+      project: { engine_fallback: ['agy', 'claude', 'codex', 'codex', 'nope'] },
+      daemonCfg: enabled,
+    });
+    assert.deepEqual(chain, ['codex']);
+    assert.deepEqual(resolveEngineFallbackChain({ primary: 'codex', projectKey: 'munger', daemonCfg: { ...enabled, engine_fallback: 'agy, claude' } }), ['agy', 'claude']);
+    assert.deepEqual(resolveEngineFallbackChain({ primary: 'claude', daemonCfg: { engine_fallback: ['codex'] }, isAvailable: () => false }), []);
+  });
+
+  it('retries a crash once before failing over and stops when the chain is spent', () => {
+    const crash = { kind: 'retryable', reason: 'CRASH' };
+    assert.deepEqual(planEngineFailover({ failure: crash, engine: 'claude', chain: ['codex'] }), { action: 'retry', engine: 'claude', reason: 'CRASH' });
+    assert.deepEqual(planEngineFailover({ failure: crash, engine: 'claude', chain: ['codex'], crashes: 1 }), { action: 'failover', engine: 'codex', reason: 'CRASH' });
+    const quota = { kind: 'failover', reason: 'RATE_LIMIT' };
+    assert.equal(planEngineFailover({ failure: quota, engine: 'codex', chain: ['codex'], tried: ['claude'] }).action, 'stop');
+    assert.equal(planEngineFailover({ failure: { kind: 'fatal' }, engine: 'claude', chain: ['codex'] }).action, 'stop');
+  });
+});
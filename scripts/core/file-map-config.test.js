@@ -51,6 +51,18 @@ describe('file-map-config normalize', () => {
     assert.equal(cfg.protectedPatterns.length, DEFAULT_CONFIG.protected.length);
   });
 
+  it('linux_index defaults to auto backend and clamps its budgets', () => {
+    assert.deepEqual(normalizeConfig(null, HOME).linuxIndex, {
+      backend: 'auto', ttlMs: 24 * 3600000, maxEntries: 500000, budgetMs: 30000, maxWatches: 4096,
+    });
+    const cfg = normalizeConfig({ linux_index: { backend: 'find', ttl_hours: 0, max_entries: 10, max_watches: -5 } }, HOME);
+    assert.equal(cfg.linuxIndex.backend, 'auto', 'unknown backend falls back to auto');
+    assert.equal(cfg.linuxIndex.ttlMs, 3600000);
+    assert.equal(cfg.linuxIndex.maxEntries, 1000);
+    assert.equal(cfg.linuxIndex.maxWatches, 0, 'zero disables inotify watches');
+    assert.equal(normalizeConfig({ linux_index: { backend: 'walk' } }, HOME).linuxIndex.backend, 'walk');
+  });
+
   it('unknown cleanup method falls back to quarantine, empty lists fall back to defaults', () => {
     const cfg = normalizeConfig({ cleanup: { method: 'rm-rf' }, protected: [], roots: [42] }, HOME);
     assert.equal(cfg.cleanup.method, 'quarantine');
@@ -0,0 +1,70 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extensionOf, matchesKind, searchTerms, buildPlocateArgs,
+  parseRecentlyUsedXbel, resolveLastUsed,
+} = require('./file-map-linux');
+
+const DAY = 24 * 3600 * 1000;
+
+describe('file-map-linux builders', () => {
+  it('search terms split the query and append the name; kMDItem expressions have no Linux form', () => {
+    assert.deepEqual(searchTerms({ query: 'drilling  report', name: 'Q3' }), ['drilling', 'report', 'Q3']);
+    assert.equal(searchTerms({ query: 'kMDItemFSSize > 100' }), null);
+    assert.equal(searchTerms({ query: '   ' }), null);
+  });
+
+  it('plocate regex is anchored to root and basename, with ERE specials escaped', () => {
+    const args = buildPlocateArgs({ root: '/home/u/', terms: ['a.b', 'c(1)'] });
+    assert.deepEqual(args.slice(0, 3), ['-0', '-i', '--regex']);
+    assert.equal(args[3], '^/home/u/(.*/)?[^/]*a\\.b[^/]*$');
+    assert.equal(args[4], '^/home/u/(.*/)?[^/]*c\\(1\\)[^/]*$');
+    assert.equal(buildPlocateArgs({ root: '/', terms: ['x'], countOnly: true })[0], '-c');
+    assert.equal(buildPlocateArgs({ root: '/', terms: ['x'] })[3], '^/(.*/)?[^/]*x[^/]*$');
+  });
+
+  it('kind matching uses extensions, folder needs a directory', () => {
+    assert.equal(extensionOf('/a/b/Report.PDF'), 'pdf');
+    assert.equal(extensionOf('/a/.bashrc'), '');
+    assert.equal(matchesKind('/a/x.mkv', 'video'), true);
+    assert.equal(matchesKind('/a/x.mkv', 'image'), false);
+    assert.equal(matchesKind('/a/photos', 'folder', true), true);
+    assert.equal(matchesKind('/a/photos.png', 'image', true), false);
+    assert.equal(matchesKind('/a/x', undefined), true);
+  });
+});
+
+describe('file-map-linux usage records', () => {
+  it('parses recently-used.xbel, keeping the latest visited/modified stamp per path', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<xbel version="1.0">
+  <bookmark href="file:///home/u/My%20Docs/a&amp;b.pdf" added="2024-01-01T00:00:00Z" modified="2024-02-01T00:00:00Z" visited="2024-03-01T10:00:00.123456Z">
+    <info/>
+  </bookmark>
+  <bookmark href="file:///home/u/My%20Docs/a&amp;b.pdf" modified="2023-01-01T00:00:00Z" visited="2023-01-01T00:00:00Z"/>
+  <bookmark href="https://example.com/x" visited="2024-03-01T00:00:00Z"/>
+  <bookmark href="file:///home/u/never.txt"/>
+</xbel>`;
+    const map = parseRecentlyUsedXbel(xml);
+    assert.deepEqual([...map.keys()], ['/home/u/My Docs/a&b.pdf']);
+    assert.match(map.get('/home/u/My Docs/a&b.pdf'), /^2024-03-01T10:00:00\.123/);
+    assert.equal(parseRecentlyUsedXbel('').size, 0);
+  });
+
+  it('atime counts only when it is later than mtime; the later of atime and xbel wins', () => {
+    const mtimeMs = Date.parse('2024-01-01T00:00:00Z');
+    assert.deepEqual(resolveLastUsed({ mtimeMs, atimeMs: mtimeMs }), { last_used: null, source: null });
+    assert.deepEqual(resolveLastUsed({ mtimeMs, atimeMs: mtimeMs - DAY }), { last_used: null, source: null });
+
+    const read = resolveLastUsed({ mtimeMs, atimeMs: mtimeMs + 10 * DAY });
+    assert.equal(read.source, 'atime');
+    assert.match(read.last_used, /^2024-01-11/);
+
+    const recent = resolveLastUsed({ mtimeMs, atimeMs: mtimeMs + DAY }, '2024-06-01T00:00:00.000Z');
+    assert.deepEqual(recent, { last_used: '2024-06-01T00:00:00.000Z', source: 'recently_used' });
+    assert.equal(resolveLastUsed({ mtimeMs, atimeMs: mtimeMs + 30 * DAY }, '2024-01-05T00:00:00.000Z').source, 'atime');
+  });
+});
@@ -181,6 +181,30 @@ function memoryFactPredicate(db, alias) {
   }
 }
 
+/**
+ * Validity window filter for memory facts. Without asOf it keeps claims whose
+ * window covers now; with asOf the state filter is part of the predicate
+ * because claims archived after that time still count.
+ */
+function memoryValidityPredicate(db, alias, asOf = null) {
+  const { validitySql } = require('./memory-validity');
+  let hasValidity = false;
+  try {
+    hasValidity = db.prepare(`PRAGMA table_info(memory_items)`).all()
+      .some(column => column.name === 'valid_until');
+  } catch { /* treat as legacy schema */ }
+  if (hasValidity) {
+    const validity = validitySql(alias, { asOf });
+    return {
+      sql: asOf ? `AND ${validity.sql}` : `AND ${alias}.state = 'active' AND ${validity.sql}`,
+      args: validity.args,
+    };
+  }
+  return asOf
+    ? { sql: `AND ${alias}.state = 'active' AND ${alias}.created_at <= ?`, args: [asOf] }
+    : { sql: `AND ${alias}.state = 'active'`, args: [] };
+}
+
 function attachWikiProvenance(db, pages) {
   if (pages.length === 0) return pages;
   const refs = new Map(pages.map(page => [page.slug, []]));
@@ -227,7 +251,8 @@ function ftsSearch(db, safeQuery, excludedSourceTypes = [], scopeKeys = [], arti
 
 /**
  * Vector cosine search on content_chunks.
- * Brute-force scan with top-K heap. Only scans rows with embedding IS NOT NULL.
+ * Brute-force scan with top-K heap. With backendInfo, scans that backend's
+ * index in chunk_embeddings; without, the content_chunks mirror columns.
  *
  * @param {object} db
  * @param {Float32Array} queryEmbedding
@@ -244,13 +269,13 @@ function vectorSearch(db, queryEmbedding, backendInfo = null, excludedSourceType
   try {
     if (backendInfo) {
       rows = db.prepare(`
-        SELECT cc.page_slug, cc.chunk_text, cc.embedding, wp.source_type, wp.page_kind, wp.project_key
-        FROM content_chunks cc
+        SELECT cc.page_slug, cc.chunk_text, ce.embedding, wp.source_type, wp.page_kind, wp.project_key
+        FROM chunk_embeddings ce
+        JOIN content_chunks cc ON cc.id = ce.chunk_id
         JOIN wiki_pages wp ON wp.slug = cc.page_slug
         LEFT JOIN wiki_external_sources wes ON wes.page_slug = wp.slug
-        WHERE cc.embedding IS NOT NULL
-          AND cc.embedding_model = ?
-          AND cc.embedding_dim = ?
+        WHERE ce.model = ?
+          AND ce.dim = ?
           AND (wp.source_type != 'openwiki' OR COALESCE(wes.missing_count, 0) = 0)
           ${sourceClause}
           ${scope.sql}
@@ -326,9 +351,7 @@ function hasStoredEmbeddings(db, backendInfo = null) {
       return !!db.prepare('SELECT 1 FROM content_chunks WHERE embedding IS NOT NULL LIMIT 1').get();
     }
     return !!db.prepare(`
-      SELECT 1 FROM content_chunks
-      WHERE embedding IS NOT NULL AND embedding_model = ? AND embedding_dim = ?
-      LIMIT 1
+      SELECT 1 FROM chunk_embeddings WHERE model = ? AND dim = ? LIMIT 1
     `).get(backendInfo.model, backendInfo.dimensions);
   } catch { return false; }
 }
@@ -411,7 +434,9 @@ function normalizeScores(results) {
  *
  * @param {object} db
  * @param {string} query
- * @param {{ ftsOnly?: boolean, trackSearch?: boolean }} [opts]
+ * @param {{ ftsOnly?: boolean, trackSearch?: boolean, asOf?: string|null }} [opts]
+ *   asOf: return only the facts valid at that time; wiki pages are current
+ *   projections with no history, so none are returned.
  * @returns {{ wikiPages: object[], facts: object[] }}
  */
 async function hybridSearchWiki(db, query, {
@@ -422,9 +447,15 @@ async function hybridSearchWiki(db, query, {
   scopeKeys = [],
   projectKey = null,
   artifactKinds = [],
+  asOf = null,
 } = {}) {
   const safeQuery = sanitizeFts5(query);
   if (!safeQuery) return { wikiPages: [], facts: [] };
+  const asOfTime = require('./memory-validity').normalizeValidityTime(asOf, 'asOf');
+  if (asOfTime) {
+    const facts = searchMemoryFacts(db, safeQuery, { projectKey, scopeKeys, asOf: asOfTime, trackSearch });
+    return { wikiPages: [], facts, sourceHitCounts: {} };
+  }
 
   // 1. FTS5 search (always)
   const ftsResults = ftsSearch(db, safeQuery, excludeSourceTypes, scopeKeys, artifactKinds);
@@ -514,12 +545,21 @@ async function hybridSearchWiki(db, query, {
   }
 
   // 5. Facts search (same as searchWikiAndFacts — FTS5 only)
+  const facts = searchMemoryFacts(db, safeQuery, { projectKey, scopeKeys, trackSearch });
+
+  return { wikiPages: wikiPages.slice(0, 5), facts, sourceHitCounts };
+}
+
+function searchMemoryFacts(db, safeQuery, { projectKey = null, scopeKeys = [], asOf = null, trackSearch = true } = {}) {
   let facts = [];
   try {
     const { primarySqlForDb } = require('./knowledge-eligibility');
     const eligibility = primarySqlForDb(db, 'mi');
     const memoryScope = memoryScopePredicate('mi', projectKey, scopeKeys);
-    const current = memoryCurrentPredicate(db, 'mi');
+    // Superseded rows are excluded from current reads only; as of an earlier
+    // time they may have been the value in force.
+    const current = asOf ? '' : memoryCurrentPredicate(db, 'mi');
+    const validity = memoryValidityPredicate(db, 'mi', asOf);
     const factKind = memoryFactPredicate(db, 'mi');
     facts = db.prepare(`
       SELECT mi.*,
@@ -528,19 +568,19 @@ async function hybridSearchWiki(db, query, {
       FROM memory_items_fts
       JOIN memory_items mi ON memory_items_fts.rowid = mi.rowid
       WHERE memory_items_fts MATCH ?
-        AND mi.state = 'active'
+        ${validity.sql}
         ${current}
         ${factKind}
         AND ${eligibility.sql}
         ${memoryScope.sql}
       ORDER BY rank
       LIMIT 10
-    `).all(safeQuery, ...memoryScope.args);
+    `).all(safeQuery, ...validity.args, ...memoryScope.args);
   } catch {
     facts = [];
   }
 
-  // 6. Track search counts on matched facts
+  // Track search counts on matched facts
   if (trackSearch && facts.length > 0) {
     const ids = facts.map(r => r.id).filter(Boolean);
     if (ids.length > 0) {
@@ -553,8 +593,7 @@ async function hybridSearchWiki(db, query, {
       } catch { }
     }
   }
-
-  return { wikiPages: wikiPages.slice(0, 5), facts, sourceHitCounts };
+  return facts;
 }
 
 function filterScopeEligible(db, pages, scopeKeys) {
@@ -587,5 +626,7 @@ module.exports = {
     memoryScopePredicate,
     memoryCurrentPredicate,
     memoryFactPredicate,
+    memoryValidityPredicate,
+    searchMemoryFacts,
   },
 };
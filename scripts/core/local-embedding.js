@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * core/local-embedding.js — In-process embedding backend: no network, no model files.
+ *
+ * Feature hashing ("hashing trick") over a bag of n-grams:
+ *   - Latin/other words: the word itself plus character trigrams of "<word>",
+ *     so inflections and typos still overlap ("deploy" ~ "deployed")
+ *   - CJK runs (no spaces between words): character unigrams and bigrams
+ * Each feature is hashed (FNV-1a) into one of LOCAL_DIMENSIONS buckets with a
+ * hashed ±1 sign, weighted by 1 + ln(tf). Vectors measure lexical overlap, not
+ * meaning — weaker than bge-m3, but real cosine recall on an offline laptop.
+ *
+ * Deterministic: the same text gives the same vector on every machine, so
+ * stored vectors stay valid. Bump LOCAL_MODEL whenever featurisation changes;
+ * daemon-embedding.js then re-embeds every chunk stored under the old name.
+ *
+ * Pure. The caller L2-normalizes (core/embedding.js).
+ */
+
+const LOCAL_MODEL = 'metame-hash-ngram-v1';
+const LOCAL_DIMENSIONS = 768;
+
+const WORD_WEIGHT = 1;
+const TRIGRAM_WEIGHT = 0.5;
+const CJK_UNIGRAM_WEIGHT = 0.5;
+const CJK_BIGRAM_WEIGHT = 1;
+
+const TOKEN_RE = /[\p{L}\p{N}_]+/gu;
+// Hiragana/Katakana, CJK ideographs (+ extension A, compatibility), Hangul syllables
+const CJK_CLASS = '\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff';
+const CJK_SPLIT_RE = new RegExp(`[${CJK_CLASS}]+|[^${CJK_CLASS}]+`, 'gu');
+const CJK_RE = new RegExp(`^[${CJK_CLASS}]`, 'u');
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Weighted n-gram features of a text.
+ * @param {string} text
+ * @returns {Map<string, { weight: number, tf: number }>}
+ */
+function extractFeatures(text) {
+  const features = new Map();
+  const add = (key, weight) => {
+    const entry = features.get(key);
+    if (entry) entry.tf += 1;
+    else features.set(key, { weight, tf: 1 });
+  };
+  const normalized = String(text || '').normalize('NFKC').toLowerCase();
+  for (const token of normalized.match(TOKEN_RE) || []) {
+    for (const segment of token.match(CJK_SPLIT_RE) || []) {
+      if (CJK_RE.test(segment)) {
+        const chars = Array.from(segment);
+        for (let i = 0; i < chars.length; i++) {
+          add(`c:${chars[i]}`, CJK_UNIGRAM_WEIGHT);
+          if (i + 1 < chars.length) add(`b:${chars[i]}${chars[i + 1]}`, CJK_BIGRAM_WEIGHT);
+        }
+        continue;
+      }
+      add(`w:${segment}`, WORD_WEIGHT);
+      const padded = Array.from(`<${segment}>`);
+      if (padded.length < 5) continue; // words of 1-2 chars: the word feature is enough
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded[i]}${padded[i + 1]}${padded[i + 2]}`, TRIGRAM_WEIGHT);
+      }
+    }
+  }
+  return features;
+}
+
+/**
+ * Hash a text into a dense, un-normalized vector.
+ * @param {string} text
+ * @param {number} [dimensions]
+ * @returns {Float32Array|null} null when the text has no word characters
+ */
+function hashEmbed(text, dimensions = LOCAL_DIMENSIONS) {
+  const features = extractFeatures(text);
+  if (features.size === 0) return null;
+  const vec = new Float32Array(dimensions);
+  for (const [feature, { weight, tf }] of features) {
+    const bucket = fnv1a(feature) % dimensions;
+    const sign = fnv1a(`±${feature}`) & 1 ? 1 : -1;
+    vec[bucket] += sign * weight * (1 + Math.log(tf));
+  }
+  return vec;
+}
+
+module.exports = {
+  LOCAL_MODEL,
+  LOCAL_DIMENSIONS,
+  extractFeatures,
+  hashEmbed,
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashEmbed, extractFeatures, LOCAL_DIMENSIONS } = require('./local-embedding');
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / Math.sqrt(na * nb);
+}
+
+describe('local-embedding', () => {
+  it('is deterministic and sized to LOCAL_DIMENSIONS', () => {
+    const a = hashEmbed('Restart the daemon after config changes');
+    const b = hashEmbed('Restart the daemon after config changes');
+    assert.equal(a.length, LOCAL_DIMENSIONS);
+    assert.deepEqual(Array.from(a), Array.from(b));
+  });
+
+  it('returns null when the text has no word characters', () => {
+    assert.equal(hashEmbed(''), null);
+    assert.equal(hashEmbed('  ... !!'), null);
+    assert.equal(hashEmbed(null), null);
+  });
+
+  it('ranks lexically related texts above unrelated ones', () => {
+    const query = hashEmbed('how do I deploy the daemon');
+    const related = hashEmbed('Deploying the daemon: run metame deploy then restart');
+    const unrelated = hashEmbed('banana bread recipe with walnuts');
+    assert.ok(cosine(query, related) > cosine(query, unrelated));
+    assert.ok(cosine(query, related) > 0.2);
+  });
+
+  it('splits CJK runs into unigrams and bigrams', () => {
+    const features = extractFeatures('记忆系统');
+    assert.ok(features.has('c:记'));
+    assert.ok(features.has('b:记忆'));
+    assert.ok(features.has('b:系统'));
+    const query = hashEmbed('记忆检索');
+    assert.ok(cosine(query, hashEmbed('长期记忆的检索流程')) > cosine(query, hashEmbed('部署守护进程')));
+  });
+});
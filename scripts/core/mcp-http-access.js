@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * core/mcp-http-access.js — Client bindings for the daemon-hosted MCP endpoint.
+ *
+ * Every HTTP client presents its own bearer token. The token, never a request
+ * field, selects the client's bound access context (project / agent / scopes),
+ * which the MCP handlers then treat as the trusted seam. Tokens are held only
+ * as SHA-256 digests and compared in constant time.
+ *
+ * Config shape (daemon.yaml):
+ *   mcp_http:
+ *     enabled: true
+ *     host: 127.0.0.1        # loopback only
+ *     port: 8765
+ *     socket: ~/.metame/mcp.sock   # optional: Unix socket instead of host/port
+ *     clients:
+ *       - name: codex-metame
+ *         token_env: METAME_MCP_TOKEN_CODEX   # or token: <secret>
+ *         project: metame
+ *         agent_id: jia
+ *         servers: [memory]    # memory (default) | files
+ *
+ * The token-client list parsing and the loopback host rule are shared with
+ * the openai_api and dashboard sections, so all three reject the same
+ * mistakes with the same messages. A rejected section throws, and
+ * daemon-mcp-http.js then leaves the endpoint off rather than open.
+ */
+
+const crypto = require('node:crypto');
+const { normalizeAccessContext } = require('./context-manifest');
+
+const MCP_HTTP_SERVERS = Object.freeze(['memory', 'files']);
+const DEFAULT_PORT = 8765;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+const MIN_TOKEN_LENGTH = 24;
+const CLIENT_NAME_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token), 'utf8').digest();
+}
+
+function resolveToken(raw, label, env) {
+  if (raw.token_env) {
+    const value = String(env[String(raw.token_env)] || '').trim();
+    if (!value) throw new Error(`${label}: environment variable ${raw.token_env} is empty`);
+    return value;
+  }
+  return String(raw.token || '').trim();
+}
+
+/** `<section>.host`, defaulting to 127.0.0.1; anything but loopback throws. */
+function normalizeLoopbackHost(value, section) {
+  const host = String(value || '127.0.0.1').trim();
+  if (!LOOPBACK_HOSTS.has(host)) throw new Error(`${section}.host must be a loopback address, got ${host}`);
+  return host;
+}
+
+/**
+ * Normalize a `<section>.clients` list of bearer-token clients, as used by
+ * mcp_http, openai_api and dashboard. Each entry gets `name` and
+ * `tokenDigest`; `describe(raw, label, name)` adds the section's own fields.
+ * Names and tokens must be unique across the list.
+ *
+ * @param {string} section
+ * @param {unknown} rawClients
+ * @param {object} env
+ * @param {(raw: object, label: string, name: string) => object} describe
+ * @returns {object[]}
+ */
+function normalizeTokenClients(section, rawClients, env, describe) {
+  const list = Array.isArray(rawClients) ? rawClients : [];
+  if (list.length === 0) throw new Error(`${section}.clients must list at least one client`);
+  const clients = list.map((raw, index) => {
+    const label = `${section}.clients[${index}]`;
+    if (!raw || typeof raw !== 'object') throw new Error(`${label} must be a mapping`);
+    const name = String(raw.name || '').trim();
+    if (!CLIENT_NAME_RE.test(name)) throw new Error(`${label}.name must match ${CLIENT_NAME_RE}`);
+    const token = resolveToken(raw, label, env);
+    if (token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`${label} (${name}): token must be at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+    return { name, tokenDigest: digest(token), ...describe(raw, `${label} (${name})`, name) };
+  });
+  const seen = new Set();
+  for (const client of clients) {
+    if (seen.has(client.name)) throw new Error(`${section}.clients: duplicate name ${client.name}`);
+    seen.add(client.name);
+  }
+  const digests = new Set(clients.map(client => client.tokenDigest.toString('hex')));
+  if (digests.size !== clients.length) throw new Error(`${section}.clients: every client needs its own token`);
+  return clients;
+}
+
+function describeMcpClient(raw, label, name) {
+  const servers = raw.servers === undefined ? ['memory']
+    : (Array.isArray(raw.servers) ? raw.servers : [raw.servers]).map(item => String(item).trim());
+  const unknown = servers.filter(item => !MCP_HTTP_SERVERS.includes(item));
+  if (unknown.length > 0) throw new Error(`${label}: unknown servers ${unknown.join(', ')}`);
+  return {
+    servers: [...new Set(servers)],
+    access: normalizeAccessContext({
+      principal: `mcp-http:${name}`,
+      project: raw.project || null,
+      agent_id: raw.agent_id || null,
+      host: raw.host || name,
+      scopes: raw.scopes,
+      trust: 'registered',
+    }),
+  };
+}
+
+/**
+ * Normalize the `mcp_http` config section.
+ *
+ * @param {object} [section]
+ * @param {{ env?: object, home?: string }} [opts]
+ * @returns {{ enabled: boolean, host: string|null, port: number|null, socket: string|null, clients: object[] }}
+ */
+function normalizeMcpHttpConfig(section, { env = process.env, home = '' } = {}) {
+  const cfg = section && typeof section === 'object' ? section : {};
+  const enabled = cfg.enabled === true;
+  if (!enabled) return { enabled: false, host: null, port: null, socket: null, clients: [] };
+
+  const socket = cfg.socket ? String(cfg.socket).trim().replace(/^~(?=$|\/)/, home) : null;
+  let host = null;
+  let port = null;
+  if (!socket) {
+    host = normalizeLoopbackHost(cfg.host, 'mcp_http');
+    port = cfg.port === undefined ? DEFAULT_PORT : Number(cfg.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('mcp_http.port must be an integer 0-65535');
+  }
+
+  const clients = normalizeTokenClients('mcp_http', cfg.clients, env, describeMcpClient);
+  return { enabled, host, port, socket, clients };
+}
+
+/**
+ * Resolve the client behind an `Authorization: Bearer …` header.
+ * Every client is compared so the match position does not leak via timing.
+ *
+ * @returns {object|null} the normalized client, or null
+ */
+function authenticateClient(clients, authorization) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(String(authorization || ''));
+  if (!match) return null;
+  const presented = digest(match[1]);
+  let found = null;
+  for (const client of clients || []) {
+    if (crypto.timingSafeEqual(presented, client.tokenDigest) && !found) found = client;
+  }
+  return found;
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  LOOPBACK_HOSTS,
+  MCP_HTTP_SERVERS,
+  MIN_TOKEN_LENGTH,
+  authenticateClient,
+  normalizeLoopbackHost,
+  normalizeMcpHttpConfig,
+  normalizeTokenClients,
+};
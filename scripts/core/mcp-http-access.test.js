@@ -0,0 +1,79 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PORT,
+  authenticateClient,
+  normalizeMcpHttpConfig,
+} = require('./mcp-http-access');
+
+const TOKEN_A = 'a'.repeat(32);
+const TOKEN_B = 'b'.repeat(32);
+
+describe('core/mcp-http-access', () => {
+  it('is off unless explicitly enabled', () => {
+    assert.deepEqual(normalizeMcpHttpConfig(undefined), { enabled: false, host: null, port: null, socket: null, clients: [] });
+    assert.equal(normalizeMcpHttpConfig({ enabled: 'yes', clients: [] }).enabled, false);
+  });
+
+  it('binds each client token to a registered access context', () => {
+    const cfg = normalizeMcpHttpConfig({
+      enabled: true,
+      clients: [
+        { name: 'codex', token: TOKEN_A, project: 'metame', agent_id: 'jia' },
+        { name: 'cursor', token_env: 'CURSOR_MCP_TOKEN', servers: ['memory', 'files'] },
+      ],
+    }, { env: { CURSOR_MCP_TOKEN: TOKEN_B } });
+    assert.equal(cfg.host, '127.0.0.1');
+    assert.equal(cfg.port, DEFAULT_PORT);
+    assert.deepEqual(cfg.clients[0].access, {
+      principal: 'mcp-http:codex', project: 'metame', agent_id: 'jia',
+      scopes: ['project'], host: 'codex', trust: 'registered',
+    });
+    assert.deepEqual(cfg.clients[0].servers, ['memory']);
+    assert.deepEqual(cfg.clients[1].servers, ['memory', 'files']);
+    assert.equal(JSON.stringify(cfg).includes(TOKEN_A), false, 'raw tokens are not retained');
+  });
+
+  it('expands a Unix socket path instead of binding a port', () => {
+    const cfg = normalizeMcpHttpConfig({
+      enabled: true, socket: '~/.metame/mcp.sock', clients: [{ name: 'codex', token: TOKEN_A }],
+    }, { home: '/home/me' });
+    assert.equal(cfg.socket, '/home/me/.metame/mcp.sock');
+    assert.equal(cfg.host, null);
+    assert.equal(cfg.port, null);
+  });
+
+  it('rejects configs that would widen exposure or share credentials', () => {
+    const client = { name: 'codex', token: TOKEN_A };
+    const cases = [
+      [{ host: '0.0.0.0', clients: [client] }, /loopback/],
+      [{ port: 70000, clients: [client] }, /port/],
+      [{ clients: [] }, /at least one client/],
+      [{ clients: [{ name: 'codex', token: 'short' }] }, /at least 24/],
+      [{ clients: [{ name: 'codex', token_env: 'MISSING' }] }, /MISSING is empty/],
+      [{ clients: [{ name: 'bad name', token: TOKEN_A }] }, /name/],
+      [{ clients: [{ ...client, servers: ['shell'] }] }, /unknown servers shell/],
+      [{ clients: [client, { name: 'codex', token: TOKEN_B }] }, /duplicate name/],
+      [{ clients: [client, { name: 'other', token: TOKEN_A }] }, /own token/],
+    ];
+    for (const [section, pattern] of cases) {
+      assert.throws(() => normalizeMcpHttpConfig({ enabled: true, ...section }, { env: {} }), pattern);
+    }
+  });
+
+  it('authenticates only a well-formed bearer header with a known token', () => {
+    const { clients } = normalizeMcpHttpConfig({
+      enabled: true,
+      clients: [{ name: 'codex', token: TOKEN_A }, { name: 'cursor', token: TOKEN_B }],
+    });
+    assert.equal(authenticateClient(clients, `Bearer ${TOKEN_B}`).name, 'cursor');
+    assert.equal(authenticateClient(clients, `bearer ${TOKEN_A}`).name, 'codex');
+    assert.equal(authenticateClient(clients, TOKEN_A), null);
+    assert.equal(authenticateClient(clients, `Bearer ${TOKEN_A}x`), null);
+    assert.equal(authenticateClient(clients, undefined), null);
+    assert.equal(authenticateClient([], `Bearer ${TOKEN_A}`), null);
+  });
+});
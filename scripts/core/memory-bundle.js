@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * Pure rules for portable memory bundles (`metame memory export|import`).
+ *
+ * A bundle is one JSON document: versioned header, the scope it was cut
+ * with, one array per section, a sha256 per section and a digest over the
+ * header + checksums.  Sections that cannot honour an active scope filter
+ * (the personal profile under any filter, souls under a date range) are
+ * omitted and listed in `omitted_sections`, so a project-scoped bundle never
+ * leaks unrelated state.
+ *
+ * Encryption is an envelope around the serialized bundle: scrypt-derived key,
+ * AES-256-GCM.  Import decisions for memory_items go through Claim Contract
+ * v1 (reconcileClaim) instead of copying rows.
+ */
+
+const crypto = require('node:crypto');
+const {
+  claimContentDigest,
+  isTaskLocalClaim,
+  reconcileClaim,
+} = require('./claim-contract');
+
+const BUNDLE_TYPE = 'metame-memory-bundle';
+const BUNDLE_SCHEMA_VERSION = 1;
+const BUNDLE_SECTIONS = Object.freeze([
+  'memory_items',
+  'session_sources',
+  'wiki_pages',
+  'wiki_annotations',
+  'knowledge_lineage',
+  'profile',
+  'agent_souls',
+]);
+const LIVE_STATES = new Set(['candidate', 'active', 'conflict']);
+const ENCRYPTION = Object.freeze({ cipher: 'aes-256-gcm', kdf: 'scrypt', keyBytes: 32, saltBytes: 16, ivBytes: 12 });
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+}
+
+/** SQLite `datetime('now')` and ISO strings both parse; bare times are UTC. */
+function timestampMs(value) {
+  if (!value) return null;
+  const text = String(value).trim().replace(' ', 'T');
+  const ms = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/u.test(text) || !text.includes('T') ? text : `${text}Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function normalizeScope({ project = null, agent = null, since = null, until = null } = {}) {
+  const scope = {
+    project: project ? String(project).trim() : null,
+    agent: agent ? String(agent).trim() : null,
+    since: null,
+    until: null,
+  };
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (!value) continue;
+    if (timestampMs(value) === null) throw new Error(`--${name} must be a date (YYYY-MM-DD)`);
+    scope[name] = String(value).trim();
+  }
+  if (scope.since && scope.until && timestampMs(scope.since) > timestampMs(scope.until)) {
+    throw new Error('--since must not be after --until');
+  }
+  return scope;
+}
+
+function hasScopeFilter(scope) {
+  return Boolean(scope.project || scope.agent || scope.since || scope.until);
+}
+
+function inDateRange(value, scope) {
+  if (!scope.since && !scope.until) return true;
+  const ms = timestampMs(value);
+  if (ms === null) return false;
+  if (scope.since && ms < timestampMs(scope.since)) return false;
+  // --until is inclusive of the whole day when given as a bare date.
+  if (scope.until) {
+    const until = timestampMs(scope.until) + (/^\d{4}-\d{2}-\d{2}$/u.test(scope.until) ? 86400000 - 1 : 0);
+    if (ms > until) return false;
+  }
+  return true;
+}
+
+/**
+ * Which sections a scope can be applied to. A section is dropped when an
+ * active filter has no column to test on it.
+ */
+function omittedSections(scope) {
+  const omitted = [];
+  if (hasScopeFilter(scope)) omitted.push('profile');
+  if (scope.since || scope.until) omitted.push('agent_souls');
+  if (scope.agent) omitted.push('wiki_pages', 'wiki_annotations');
+  return omitted;
+}
+
+function memoryItemInScope(row, scope) {
+  if (scope.project && String(row.project || '') !== scope.project) return false;
+  if (scope.agent && String(row.agent_key || '') !== scope.agent) return false;
+  return inDateRange(row.created_at, scope);
+}
+
+function sessionSourceInScope(row, scope) {
+  if (scope.project && String(row.project || '') !== scope.project) return false;
+  if (scope.agent && String(row.agent_key || '') !== scope.agent) return false;
+  return inDateRange(row.last_ts || row.created_at, scope);
+}
+
+function wikiPageInScope(row, scope) {
+  if (scope.project && String(row.project_key || '') !== scope.project) return false;
+  return inDateRange(row.updated_at || row.created_at, scope);
+}
+
+function soulInScope(agentId, scope, agentIdForProject) {
+  if (scope.agent && agentId !== scope.agent) return false;
+  if (scope.project && agentId !== agentIdForProject(scope.project)) return false;
+  return true;
+}
+
+function checksumSection(value) {
+  return sha256(JSON.stringify(value ?? null));
+}
+
+function bundleDigest(bundle) {
+  return sha256(JSON.stringify({
+    bundle_type: bundle.bundle_type,
+    schema_version: bundle.schema_version,
+    scope: bundle.scope,
+    omitted_sections: bundle.omitted_sections,
+    checksums: bundle.checksums,
+  }));
+}
+
+function buildBundle({ sections = {}, scope = {}, createdAt = new Date().toISOString(), source = {} } = {}) {
+  const normalizedScope = normalizeScope(scope);
+  const omitted = omittedSections(normalizedScope);
+  const included = {};
+  const checksums = {};
+  for (const name of BUNDLE_SECTIONS) {
+    if (omitted.includes(name)) continue;
+    included[name] = sections[name] ?? (name === 'profile' ? null : []);
+    checksums[name] = checksumSection(included[name]);
+  }
+  const bundle = {
+    bundle_type: BUNDLE_TYPE,
+    schema_version: BUNDLE_SCHEMA_VERSION,
+    created_at: String(createdAt),
+    source,
+    scope: normalizedScope,
+    omitted_sections: omitted,
+    counts: Object.fromEntries(Object.entries(included)
+      .map(([name, value]) => [name, Array.isArray(value) ? value.length : (value ? 1 : 0)])),
+    checksums,
+    sections: included,
+  };
+  return { ...bundle, bundle_digest: bundleDigest(bundle) };
+}
+
+function verifyBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object') throw new Error('memory bundle must be an object');
+  if (bundle.bundle_type !== BUNDLE_TYPE) throw new Error('not a metame memory bundle');
+  if (bundle.encryption) throw new Error('memory bundle is encrypted; set METAME_BUNDLE_PASSPHRASE');
+  if (bundle.schema_version !== BUNDLE_SCHEMA_VERSION) throw new Error('unsupported memory bundle schema_version');
+  if (!bundle.sections || !bundle.checksums) throw new Error('incomplete memory bundle');
+  for (const name of Object.keys(bundle.sections)) {
+    if (!BUNDLE_SECTIONS.includes(name)) throw new Error(`unknown memory bundle section: ${name}`);
+    if (bundle.checksums[name] !== checksumSection(bundle.sections[name])) {
+      throw new Error(`memory bundle checksum mismatch: ${name}`);
+    }
+  }
+  for (const name of Object.keys(bundle.checksums)) {
+    if (!(name in bundle.sections)) throw new Error(`memory bundle section missing: ${name}`);
+  }
+  if (bundle.bundle_digest !== bundleDigest(bundle)) throw new Error('memory bundle digest mismatch');
+  return bundle;
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, ENCRYPTION.keyBytes);
+}
+
+function encryptBundle(bundle, passphrase) {
+  if (!passphrase) throw new Error('encryption requires a passphrase');
+  const salt = crypto.randomBytes(ENCRYPTION.saltBytes);
+  const iv = crypto.randomBytes(ENCRYPTION.ivBytes);
+  const cipher = crypto.createCipheriv(ENCRYPTION.cipher, deriveKey(passphrase, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(bundle), 'utf8'), cipher.final()]);
+  return {
+    bundle_type: BUNDLE_TYPE,
+    schema_version: BUNDLE_SCHEMA_VERSION,
+    encryption: {
+      cipher: ENCRYPTION.cipher,
+      kdf: ENCRYPTION.kdf,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+    },
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+function decryptBundle(envelope, passphrase) {
+  if (!envelope || !envelope.encryption) return envelope;
+  const { cipher: name, kdf, salt, iv, tag } = envelope.encryption;
+  if (name !== ENCRYPTION.cipher || kdf !== ENCRYPTION.kdf) throw new Error('unsupported memory bundle encryption');
+  if (!passphrase) throw new Error('memory bundle is encrypted; set METAME_BUNDLE_PASSPHRASE');
+  const decipher = crypto.createDecipheriv(name, deriveKey(passphrase, Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new Error('memory bundle decryption failed (wrong passphrase or corrupted file)');
+  }
+}
+
+/**
+ * Decide how one exported memory_items row enters the local store.
+ *
+ * @param {object} row exported row
+ * @param {{ sameId: object|null, matches: object[] }} local rows already present
+ * @param {{ keepState?: boolean }} [options] keep `active` (restoring your own backup)
+ * @returns {{ outcome: string, state?: string, existing_id?: string, existing_ids?: string[] }}
+ */
+function classifyImportedClaim(row, { sameId = null, matches = [] } = {}, { keepState = false } = {}) {
+  if (!LIVE_STATES.has(String(row.state || ''))) return { outcome: 'skipped_archived' };
+  if (sameId) {
+    return claimContentDigest(sameId.content) === claimContentDigest(row.content)
+      ? { outcome: 'unchanged', existing_id: String(sameId.id) }
+      : { outcome: 'id_conflict', existing_id: String(sameId.id) };
+  }
+  if (isTaskLocalClaim(row)) return { outcome: 'episode', state: String(row.state) };
+  const decision = reconcileClaim({ ...row, lifecycle: 'project' }, matches);
+  switch (decision.outcome) {
+    case 'duplicate':
+      return { outcome: 'duplicate', existing_id: String(decision.existing_id) };
+    case 'conflict':
+      return { outcome: 'conflict', state: 'conflict', existing_ids: decision.existing_ids.map(String) };
+    case 'rejected':
+      return { outcome: 'rejected', reason: decision.reason };
+    default:
+      return {
+        outcome: decision.outcome,
+        state: keepState && String(row.state) === 'active' ? 'active' : 'candidate',
+      };
+  }
+}
+
+module.exports = {
+  BUNDLE_SCHEMA_VERSION,
+  BUNDLE_SECTIONS,
+  BUNDLE_TYPE,
+  buildBundle,
+  classifyImportedClaim,
+  decryptBundle,
+  encryptBundle,
+  hasScopeFilter,
+  memoryItemInScope,
+  normalizeScope,
+  omittedSections,
+  sessionSourceInScope,
+  soulInScope,
+  timestampMs,
+  verifyBundle,
+  wikiPageInScope,
+  _internal: {
+    bundleDigest,
+    checksumSection,
+    inDateRange,
+  },
+};
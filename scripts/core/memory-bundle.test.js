@@ -0,0 +1,85 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildBundle,
+  classifyImportedClaim,
+  decryptBundle,
+  encryptBundle,
+  memoryItemInScope,
+  normalizeScope,
+  verifyBundle,
+} = require('./memory-bundle');
+
+function claim(id, overrides = {}) {
+  return {
+    id,
+    kind: 'convention',
+    state: 'active',
+    content: 'Run the full test suite before every release.',
+    canonical_key: 'metame.release.tests',
+    project: 'metame',
+    scope: 'core',
+    created_at: '2026-08-10 09:00:00',
+    ...overrides,
+  };
+}
+
+describe('memory bundle rules', () => {
+  it('applies project, agent and inclusive date scope and omits sections it cannot filter', () => {
+    const scope = normalizeScope({ project: 'metame', since: '2026-08-01', until: '2026-08-10' });
+    assert.equal(memoryItemInScope(claim('a'), scope), true);
+    assert.equal(memoryItemInScope(claim('b', { project: 'other' }), scope), false);
+    assert.equal(memoryItemInScope(claim('c', { created_at: '2026-08-11T00:00:00Z' }), scope), false);
+    assert.equal(memoryItemInScope(claim('d', { agent_key: 'yi' }), normalizeScope({ agent: 'er' })), false);
+    assert.throws(() => normalizeScope({ since: 'yesterday-ish' }), /--since must be a date/);
+    assert.throws(() => normalizeScope({ since: '2026-09-01', until: '2026-08-01' }), /must not be after/);
+
+    const bundle = buildBundle({ sections: { memory_items: [claim('a')], profile: { content: 'me' } }, scope: { project: 'metame', since: '2026-08-01' } });
+    assert.deepEqual(bundle.omitted_sections, ['profile', 'agent_souls']);
+    assert.equal('profile' in bundle.sections, false);
+    assert.equal(bundle.counts.memory_items, 1);
+    assert.equal(buildBundle({ sections: { profile: { content: 'me' } } }).counts.profile, 1);
+  });
+
+  it('verifies per-section checksums and the bundle digest', () => {
+    const bundle = buildBundle({ sections: { memory_items: [claim('a')] }, createdAt: '2026-08-10T00:00:00Z' });
+    assert.equal(verifyBundle(bundle), bundle);
+    const tampered = JSON.parse(JSON.stringify(bundle));
+    tampered.sections.memory_items[0].content = 'Skip the tests.';
+    assert.throws(() => verifyBundle(tampered), /checksum mismatch: memory_items/);
+    const dropped = JSON.parse(JSON.stringify(bundle));
+    delete dropped.sections.session_sources;
+    assert.throws(() => verifyBundle(dropped), /section missing: session_sources/);
+    assert.throws(() => verifyBundle({ ...bundle, scope: { ...bundle.scope, project: 'x' } }), /digest mismatch/);
+  });
+
+  it('round-trips through passphrase encryption and rejects the wrong passphrase', () => {
+    const bundle = buildBundle({ sections: { memory_items: [claim('a')] } });
+    const sealed = encryptBundle(bundle, 'correct horse');
+    assert.equal(sealed.encryption.cipher, 'aes-256-gcm');
+    assert.doesNotMatch(JSON.stringify(sealed), /full test suite/);
+    assert.deepEqual(decryptBundle(sealed, 'correct horse'), bundle);
+    assert.throws(() => decryptBundle(sealed, 'wrong'), /decryption failed/);
+    assert.throws(() => decryptBundle(sealed, null), /METAME_BUNDLE_PASSPHRASE/);
+    assert.throws(() => verifyBundle(sealed), /encrypted/);
+  });
+
+  it('classifies imported claims through the Claim Contract', () => {
+    const local = claim('local');
+    assert.deepEqual(classifyImportedClaim(claim('x'), { matches: [local] }), { outcome: 'duplicate', existing_id: 'local' });
+    assert.deepEqual(
+      classifyImportedClaim(claim('y', { content: 'Releases no longer need the full suite.' }), { matches: [local] }),
+      { outcome: 'conflict', state: 'conflict', existing_ids: ['local'] },
+    );
+    assert.deepEqual(classifyImportedClaim(claim('z', { canonical_key: 'metame.other' })), { outcome: 'complementary', state: 'candidate' });
+    assert.equal(classifyImportedClaim(claim('z'), {}, { keepState: true }).state, 'active');
+    assert.equal(classifyImportedClaim(claim('n', { canonical_key: null })).outcome, 'candidate');
+    assert.deepEqual(classifyImportedClaim(claim('e', { kind: 'episode', task_key: 't1' })), { outcome: 'episode', state: 'active' });
+    assert.equal(classifyImportedClaim(claim('old', { state: 'archived' })).outcome, 'skipped_archived');
+    assert.equal(classifyImportedClaim(claim('same'), { sameId: claim('same') }).outcome, 'unchanged');
+    assert.equal(classifyImportedClaim(claim('same'), { sameId: claim('same', { content: 'Edited elsewhere.' }) }).outcome, 'id_conflict');
+  });
+});
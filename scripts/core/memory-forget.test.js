@@ -0,0 +1,50 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const {
+  buildErasureReceipt,
+  parseForgetTarget,
+  receiptMatchesSelector,
+  scrubAnchorLabels,
+  scrubSourceRefs,
+  verifyErasureReceipt,
+} = require('./memory-forget');
+
+describe('memory forget rules', () => {
+  it('requires a target long enough not to match everything', () => {
+    assert.equal(parseForgetTarget('  wifi password '), 'wifi password');
+    assert.throws(() => parseForgetTarget(''), /requires a memory id or a query/);
+    assert.throws(() => parseForgetTarget('ab'), /at least 3 characters/);
+  });
+
+  it('scrubs recall_audit refs to erased ids and anchor labels quoting the query', () => {
+    const ids = new Set(['m1', 'm2']);
+    assert.deepEqual(scrubSourceRefs(['id:m1', 'memory:m2', 'wiki:m1-page', 'id:m3'], ids), { refs: ['wiki:m1-page', 'id:m3'], removed: 2 });
+    assert.deepEqual(scrubSourceRefs(null, ids), { refs: [], removed: 0 });
+    assert.deepEqual(scrubAnchorLabels(['My WiFi Password', 'deploy'], 'wifi password'), { labels: ['deploy'], removed: 1 });
+    assert.deepEqual(scrubAnchorLabels(['deploy'], null), { labels: ['deploy'], removed: 0 });
+  });
+
+  it('signs receipts without carrying the selector and detects tampering', () => {
+    const key = crypto.randomBytes(32);
+    const receipt = buildErasureReceipt({
+      selector: { kind: 'query', value: 'hunter2' },
+      erasedAt: '2026-09-01T00:00:00Z',
+      counts: { memory_items: 2 },
+      memoryItemIds: ['m2', 'm1'],
+      chunkIds: [],
+      staleArtifactIds: [],
+      stalePageSlugs: ['home-network'],
+    }, key);
+    assert.deepEqual(receipt.memory_item_ids, ['m1', 'm2']);
+    assert.doesNotMatch(JSON.stringify(receipt), /hunter2/);
+    assert.equal(verifyErasureReceipt(receipt, key), true);
+    assert.equal(receiptMatchesSelector(receipt, 'hunter2', key), true);
+    assert.equal(receiptMatchesSelector(receipt, 'hunter3', key), false);
+    assert.equal(verifyErasureReceipt({ ...receipt, memory_item_ids: ['m1'] }, key), false);
+    assert.equal(verifyErasureReceipt(receipt, crypto.randomBytes(32)), false);
+  });
+});
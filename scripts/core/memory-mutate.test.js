@@ -4,7 +4,7 @@ require('../test-support/env-setup');
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const { DatabaseSync } = require('node:sqlite');
-const { archiveMemoryItem, setItemState } = require('./memory-mutate');
+const { archiveMemoryItem, expireMemoryItems, setItemState } = require('./memory-mutate');
 const { applyWikiSchema } = require('../memory-wiki-schema');
 
 function makeDb() {
@@ -204,3 +204,49 @@ test('regression: legacy DB schema (no archive_reason) requires applyWikiSchema'
     assert.equal(row.archive_reason, 'gc');
   });
 });
+
+test('memory-mutate.expireMemoryItems', async (t) => {
+  function makeValidityDb() {
+    const db = makeDb();
+    applyWikiSchema(db);
+    const insert = db.prepare(`INSERT INTO memory_items (id, kind, state, content, valid_until) VALUES (?, 'insight', ?, 'x', ?)`);
+    insert.run('expired-active', 'active', '2026-03-01 00:00:00');
+    insert.run('expired-candidate', 'candidate', '2026-02-01 00:00:00');
+    insert.run('still-valid', 'active', '2026-06-01 00:00:00');
+    insert.run('open-ended', 'active', null);
+    insert.run('already-archived', 'archived', '2026-01-01 00:00:00');
+    return db;
+  }
+
+  await t.test('archives live claims past valid_until with reason expired', () => {
+    const db = makeValidityDb();
+    const result = expireMemoryItems(db, { now: '2026-04-01' });
+    assert.deepEqual(result.archivedIds.sort(), ['expired-active', 'expired-candidate']);
+    const rows = db.prepare(`SELECT id, state, archive_reason, valid_until FROM memory_items ORDER BY id`).all();
+    const byId = Object.fromEntries(rows.map(row => [row.id, row]));
+    assert.equal(byId['expired-active'].state, 'archived');
+    assert.equal(byId['expired-active'].archive_reason, 'expired');
+    assert.equal(byId['expired-active'].valid_until, '2026-03-01 00:00:00', 'the window is kept for as-of reads');
+    assert.equal(byId['still-valid'].state, 'active');
+    assert.equal(byId['open-ended'].state, 'active');
+    assert.equal(byId['already-archived'].archive_reason, null);
+  });
+
+  await t.test('marks artifacts built from expired claims stale', () => {
+    const db = makeValidityDb();
+    db.prepare(`INSERT INTO knowledge_artifact_registry
+      (artifact_id,kind,canonical_key,project_key,status,revision,source_path,content_hash,evidence_membership_hash,generator_version)
+      VALUES ('artifact-1','playbook','deploy.window','ops','active',1,'ops/deploy.md','h','m','test')`).run();
+    db.prepare(`INSERT INTO knowledge_lineage (child_kind,child_id,parent_kind,parent_id,transform,role)
+      VALUES ('knowledge_artifact','artifact-1','memory_item','expired-active','test','evidence')`).run();
+    const result = expireMemoryItems(db, { now: '2026-04-01' });
+    assert.deepEqual(result.staleArtifactIds, ['artifact-1']);
+    assert.equal(db.prepare(`SELECT status FROM knowledge_artifact_registry WHERE artifact_id='artifact-1'`).get().status, 'stale');
+  });
+
+  await t.test('is a no-op on a schema without validity columns', () => {
+    const db = makeDb();
+    insertItem(db, 'a1');
+    assert.deepEqual(expireMemoryItems(db), { archivedIds: [], staleArtifactIds: [] });
+  });
+});
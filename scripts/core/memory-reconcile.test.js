@@ -43,6 +43,16 @@ test('reconcile plan archives only exact normalized duplicates and preserves rep
   assert.equal(validatePlan(plan), plan);
 });
 
+test('same identity with different content and no conflict signal is report-only', () => {
+  const plan = buildReconcilePlan([
+    claim('base', { content: 'Reconcile runs nightly after the memory backup.' }),
+    claim('refined', { content: 'Reconcile writes a staged plan that an operator reviews in the dashboard.' }),
+  ]);
+  assert.deepEqual(plan.proposals, []);
+  assert.equal(plan.reports.semantic_conflicts.entries.length, 1);
+  assert.equal(plan.reports.semantic_conflicts.entries[0].reason, 'same_identity_different_content');
+});
+
 test('plan digest rejects tampering and does not use generation timestamp', () => {
   const first = buildReconcilePlan([claim('one')], { now: '2026-08-10T00:00:00.000Z' });
   const second = buildReconcilePlan([claim('one')], { now: '2026-08-10T01:00:00.000Z' });
@@ -59,3 +69,51 @@ test('same title with different identity is report-only', () => {
   assert.equal(plan.actions.length, 0);
   assert.equal(plan.reports.title_duplicates.entries.length, 1);
 });
+
+test('near-duplicates and contradictions become proposals with a suggested survivor', () => {
+  const embeddings = new Map([
+    ['paraphrase-a', [1, 0, 0]],
+    ['paraphrase-b', [0.98, 0.05, 0]],
+    ['unrelated', [0, 0, 1]],
+  ]);
+  const plan = buildReconcilePlan([
+    claim('paraphrase-a', { canonical_key: 'metame.tests.a', content: 'Run the test suite with npm test before every commit.' }),
+    claim('paraphrase-b', { canonical_key: 'metame.tests.b', state: 'candidate', content: 'Before each commit, run the test suite using npm test.' }),
+    claim('unrelated', { canonical_key: 'metame.deploy', content: 'Deploy with fly.io on Fridays.' }),
+    claim('decision-old', { canonical_key: 'metame.port', created_at: '2026-08-01T00:00:00.000Z', content: 'The dev server uses port 3000.' }),
+    claim('decision-new', { canonical_key: 'metame.port', state: 'candidate', created_at: '2026-08-09T00:00:00.000Z', content: 'The dev server listens on port 8080.' }),
+    claim('other-project', { canonical_key: 'metame.tests.c', project: 'elsewhere', content: 'Run the test suite with npm test before every commit!' }),
+  ], { now: '2026-08-10T12:00:00.000Z', embeddings, embeddingModel: 'fake' });
+
+  assert.equal(plan.actions.length, 0);
+  assert.equal(plan.semantic.embedding_model, 'fake');
+  assert.deepEqual(plan.proposals.map(proposal => [proposal.action, proposal.survivor.id, proposal.duplicate.id]), [
+    ['resolve_contradiction', 'decision-new', 'decision-old'],
+    ['merge_near_duplicate', 'paraphrase-a', 'paraphrase-b'],
+  ]);
+  assert.equal(plan.proposals[0].reason, 'conflicting_values');
+  assert.deepEqual(plan.proposals[0].values, { survivor: ['8080'], duplicate: ['3000'] });
+  assert.equal(plan.proposals[1].similarity.embedding, 0.999);
+  assert.equal(plan.summary.near_duplicate_proposals, 1);
+  assert.equal(plan.summary.contradiction_proposals, 1);
+  assert.equal(validatePlan(plan), plan);
+
+  const forged = { ...plan, proposals: [{ ...plan.proposals[1], id: 'f'.repeat(12) }] };
+  assert.throws(() => validatePlan({ ...forged, plan_digest: computePlanDigest(forged) }), /proposal id does not match/);
+});
+
+test('each row is proposed for archival at most once and exact duplicates are left to actions', () => {
+  const plan = buildReconcilePlan([
+    claim('keep', { canonical_key: 'metame.x', content: 'Use pnpm for every package install in this repo.' }),
+    claim('exact', { canonical_key: 'metame.x', state: 'candidate', content: 'Use pnpm for every package install in this repo.' }),
+    claim('para-1', { canonical_key: 'metame.y', content: 'Use pnpm for every package install in the repo.' }),
+    claim('para-2', { canonical_key: 'metame.z', content: 'Use pnpm for package installs in this repo.' }),
+  ]);
+  assert.equal(plan.actions.length, 1);
+  assert.equal(plan.semantic.embedding_model, null);
+  const archived = plan.proposals.map(proposal => proposal.duplicate.id);
+  assert.equal(new Set(archived).size, archived.length);
+  assert.ok(!archived.includes('keep'));
+  assert.ok(plan.proposals.every(proposal => proposal.survivor.id !== 'exact' && proposal.duplicate.id !== 'exact'));
+  assert.deepEqual(archived.sort(), ['para-1', 'para-2']);
+});
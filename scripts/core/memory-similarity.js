@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * core/memory-similarity.js — Pairwise signals for memory reconciliation.
+ *
+ *   lexicalSimilarity(a, b)      weighted Jaccard over the n-gram features of
+ *                                core/local-embedding.js (words, trigrams, CJK
+ *                                bigrams), so paraphrases still overlap
+ *   cosineSimilarity(a, b)       cosine of two embedding vectors, null when
+ *                                either side is missing or dimensions differ
+ *   contradictionSignal(a, b)    claims that state different numbers ("port
+ *                                3000" vs "port 8080") or opposite polarity
+ *
+ * Signals only: thresholds live here, decisions live in core/memory-reconcile.js.
+ * Pure.
+ */
+
+const { extractFeatures } = require('./local-embedding');
+
+const SIMILARITY_THRESHOLDS = Object.freeze({
+  nearDuplicateEmbedding: 0.9,
+  nearDuplicateLexicalFloor: 0.3,
+  nearDuplicateLexical: 0.6,
+  sameTopicEmbedding: 0.75,
+  sameTopicLexical: 0.3,
+});
+
+const NUMBER_RE = /\d+(?:\.\d+)?/gu;
+const NEGATION_RE = /\b(?:not|no|never|don't|doesn't|isn't|aren't|won't|cannot|can't|without|avoid)\b|不要|不用|不再|不能|禁止|无需|别用|勿/iu;
+
+/**
+ * @param {string|Map<string, { weight: number, tf: number }>} left text or extractFeatures() result
+ * @param {string|Map<string, { weight: number, tf: number }>} right
+ * @returns {number} 0..1
+ */
+function lexicalSimilarity(left, right) {
+  const a = left instanceof Map ? left : extractFeatures(left);
+  const b = right instanceof Map ? right : extractFeatures(right);
+  if (a.size === 0 || b.size === 0) return 0;
+  const mass = entry => (entry ? entry.weight * (1 + Math.log(entry.tf)) : 0);
+  let shared = 0;
+  let total = 0;
+  for (const key of new Set([...a.keys(), ...b.keys()])) {
+    const x = mass(a.get(key));
+    const y = mass(b.get(key));
+    shared += Math.min(x, y);
+    total += Math.max(x, y);
+  }
+  return total > 0 ? shared / total : 0;
+}
+
+/**
+ * @param {ArrayLike<number>|null} left
+ * @param {ArrayLike<number>|null} right
+ * @returns {number|null}
+ */
+function cosineSimilarity(left, right) {
+  if (!left || !right || !left.length || left.length !== right.length) return null;
+  let dot = 0;
+  let leftNorm = 0;
+  let rightNorm = 0;
+  for (let i = 0; i < left.length; i++) {
+    dot += left[i] * right[i];
+    leftNorm += left[i] * left[i];
+    rightNorm += right[i] * right[i];
+  }
+  if (leftNorm === 0 || rightNorm === 0) return null;
+  return dot / Math.sqrt(leftNorm * rightNorm);
+}
+
+function numericValues(text) {
+  return [...new Set(String(text || '').normalize('NFKC').match(NUMBER_RE) || [])].sort();
+}
+
+/**
+ * Why two claims about the same topic cannot both hold, or null.
+ * @returns {{ kind: 'values', left: string[], right: string[] } | { kind: 'polarity' } | null}
+ */
+function contradictionSignal(leftText, rightText) {
+  const left = numericValues(leftText);
+  const right = numericValues(rightText);
+  if (left.length && right.length && left.join(',') !== right.join(',')) {
+    return { kind: 'values', left, right };
+  }
+  const leftNegated = NEGATION_RE.test(String(leftText || '').normalize('NFKC'));
+  const rightNegated = NEGATION_RE.test(String(rightText || '').normalize('NFKC'));
+  if (leftNegated !== rightNegated) return { kind: 'polarity' };
+  return null;
+}
+
+/** @param {{ lexical: number, embedding: number|null }} similarity */
+function isNearDuplicate(similarity) {
+  if (similarity.embedding === null) return similarity.lexical >= SIMILARITY_THRESHOLDS.nearDuplicateLexical;
+  return similarity.embedding >= SIMILARITY_THRESHOLDS.nearDuplicateEmbedding
+    && similarity.lexical >= SIMILARITY_THRESHOLDS.nearDuplicateLexicalFloor;
+}
+
+/** @param {{ lexical: number, embedding: number|null }} similarity */
+function isSameTopic(similarity) {
+  if (similarity.embedding === null) return similarity.lexical >= SIMILARITY_THRESHOLDS.sameTopicLexical;
+  return similarity.embedding >= SIMILARITY_THRESHOLDS.sameTopicEmbedding;
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLDS,
+  contradictionSignal,
+  cosineSimilarity,
+  extractFeatures,
+  isNearDuplicate,
+  isSameTopic,
+  lexicalSimilarity,
+  numericValues,
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  contradictionSignal,
+  cosineSimilarity,
+  isNearDuplicate,
+  isSameTopic,
+  lexicalSimilarity,
+} = require('./memory-similarity');
+
+describe('memory similarity signals', () => {
+  it('scores paraphrases above unrelated claims, in Latin and CJK text', () => {
+    const paraphrase = lexicalSimilarity('Run the test suite with npm test before every commit.', 'Before each commit, run the test suite using npm test.');
+    assert.ok(paraphrase > 0.6);
+    assert.equal(lexicalSimilarity('Use pnpm for installs.', 'Deploy with fly.io on Fridays.'), 0);
+    assert.ok(lexicalSimilarity('提交前运行 npm test', '每次提交之前都要跑 npm test') > 0.3);
+    assert.equal(lexicalSimilarity('', 'anything'), 0);
+  });
+
+  it('computes cosine only for vectors of matching dimensions', () => {
+    assert.equal(cosineSimilarity([1, 0], [1, 0]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), null);
+    assert.equal(cosineSimilarity(null, [1]), null);
+  });
+
+  it('flags differing values and opposite polarity as contradictions', () => {
+    assert.deepEqual(contradictionSignal('use port 3000', 'moved to port 8080'), { kind: 'values', left: ['3000'], right: ['8080'] });
+    assert.deepEqual(contradictionSignal('Always squash merges.', 'Never squash merges.'), { kind: 'polarity' });
+    assert.deepEqual(contradictionSignal('部署前跑测试', '部署前不要跑测试'), { kind: 'polarity' });
+    assert.equal(contradictionSignal('Node 20 with npm 10', 'npm 10 on Node 20'), null);
+  });
+
+  it('requires both embedding and a lexical floor when vectors exist', () => {
+    assert.equal(isNearDuplicate({ lexical: 0.65, embedding: null }), true);
+    assert.equal(isNearDuplicate({ lexical: 0.1, embedding: 0.99 }), false);
+    assert.equal(isNearDuplicate({ lexical: 0.4, embedding: 0.95 }), true);
+    assert.equal(isSameTopic({ lexical: 0.1, embedding: 0.8 }), true);
+    assert.equal(isSameTopic({ lexical: 0.2, embedding: null }), false);
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Temporal validity for memory claims.
+ *
+ *   normalizeValidityTime(value)       date / ISO timestamp → 'YYYY-MM-DD HH:MM:SS' (UTC)
+ *   normalizeValidity({ from, until }) validated { valid_from, valid_until } pair
+ *   validitySql(alias, { asOf })       WHERE fragment for current or as-of reads
+ *
+ * Timestamps are stored in SQLite's own `datetime('now')` format so validity
+ * bounds compare as plain strings against created_at / updated_at.
+ *
+ * A claim is current when its window covers now. Read "as of" T, a claim
+ * counts when it was known by T (valid_from, else created_at), its window
+ * covers T, and it had not been archived yet: archived claims stay readable
+ * for the period before they were superseded or expired.
+ */
+
+/** Date-only and zone-less timestamps are read as UTC. */
+function normalizeValidityTime(value, name = 'timestamp') {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const text = String(value).trim().replace(' ', 'T');
+  const zoned = !text.includes('T') || /(?:[zZ]|[+-]\d\d:?\d\d)$/u.test(text);
+  const ms = Date.parse(zoned ? text : `${text}Z`);
+  if (!Number.isFinite(ms)) throw new Error(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+  return new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function normalizeValidity({ validFrom = null, validUntil = null } = {}) {
+  const validity = {
+    valid_from: normalizeValidityTime(validFrom, 'valid_from'),
+    valid_until: normalizeValidityTime(validUntil, 'valid_until'),
+  };
+  if (validity.valid_from && validity.valid_until && validity.valid_from >= validity.valid_until) {
+    throw new Error('valid_from must be before valid_until');
+  }
+  return validity;
+}
+
+/**
+ * @param {string} alias memory_items alias ('' for none)
+ * @param {{ asOf?: string|null }} [options] normalized as-of timestamp; null = now
+ * @returns {{ sql: string, args: string[] }}
+ */
+function validitySql(alias = 'mi', { asOf = null } = {}) {
+  const prefix = alias ? `${alias}.` : '';
+  if (!asOf) {
+    return {
+      sql: `(${prefix}valid_from IS NULL OR ${prefix}valid_from <= datetime('now'))
+      AND (${prefix}valid_until IS NULL OR ${prefix}valid_until > datetime('now'))`,
+      args: [],
+    };
+  }
+  return {
+    sql: `COALESCE(${prefix}valid_from, ${prefix}created_at) <= ?
+      AND (${prefix}valid_until IS NULL OR ${prefix}valid_until > ?)
+      AND (${prefix}state = 'active' OR (${prefix}state = 'archived' AND ${prefix}updated_at > ?))`,
+    args: [asOf, asOf, asOf],
+  };
+}
+
+module.exports = {
+  normalizeValidity,
+  normalizeValidityTime,
+  validitySql,
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+require('../test-support/env-setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DatabaseSync } = require('node:sqlite');
+const { normalizeValidity, normalizeValidityTime, validitySql } = require('./memory-validity');
+
+test('normalizeValidityTime stores SQLite UTC datetimes', () => {
+  assert.equal(normalizeValidityTime('2026-03-01'), '2026-03-01 00:00:00');
+  assert.equal(normalizeValidityTime('2026-03-01T08:30:00Z'), '2026-03-01 08:30:00');
+  assert.equal(normalizeValidityTime('2026-03-01 08:30:00'), '2026-03-01 08:30:00');
+  assert.equal(normalizeValidityTime('2026-03-01T10:30:00+02:00'), '2026-03-01 08:30:00');
+  assert.equal(normalizeValidityTime(''), null);
+  assert.equal(normalizeValidityTime(null), null);
+  assert.throws(() => normalizeValidityTime('next tuesday', 'as_of'), /as_of must be a date/);
+});
+
+test('normalizeValidity requires an ordered window', () => {
+  assert.deepEqual(normalizeValidity({ validFrom: '2026-01-01', validUntil: '2026-02-01' }), {
+    valid_from: '2026-01-01 00:00:00',
+    valid_until: '2026-02-01 00:00:00',
+  });
+  assert.deepEqual(normalizeValidity({}), { valid_from: null, valid_until: null });
+  assert.throws(() => normalizeValidity({ validFrom: '2026-02-01', validUntil: '2026-02-01' }), /before valid_until/);
+});
+
+test('validitySql selects current and as-of claims', () => {
+  const db = new DatabaseSync(':memory:');
+  db.exec(`CREATE TABLE memory_items (
+    id TEXT PRIMARY KEY, state TEXT, valid_from TEXT, valid_until TEXT, created_at TEXT, updated_at TEXT
+  )`);
+  const insert = db.prepare('INSERT INTO memory_items VALUES (?, ?, ?, ?, ?, ?)');
+  insert.run('open', 'active', null, null, '2026-01-10 00:00:00', '2026-01-10 00:00:00');
+  insert.run('future', 'active', '2999-01-01 00:00:00', null, '2026-01-10 00:00:00', '2026-01-10 00:00:00');
+  insert.run('lapsed', 'active', null, '2026-02-01 00:00:00', '2026-01-01 00:00:00', '2026-01-01 00:00:00');
+  insert.run('backdated', 'active', '2025-06-01 00:00:00', null, '2026-03-01 00:00:00', '2026-03-01 00:00:00');
+  insert.run('superseded', 'archived', null, null, '2025-12-01 00:00:00', '2026-01-20 00:00:00');
+  insert.run('pending', 'candidate', null, null, '2026-01-01 00:00:00', '2026-01-01 00:00:00');
+  const select = ({ sql, args }) => db.prepare(`SELECT id FROM memory_items mi WHERE ${sql} ORDER BY id`)
+    .all(...args).map(row => row.id);
+
+  assert.deepEqual(select({ sql: `mi.state = 'active' AND ${validitySql('mi').sql}`, args: [] }), ['backdated', 'open']);
+  assert.deepEqual(select(validitySql('mi', { asOf: '2026-01-15 00:00:00' })), ['backdated', 'lapsed', 'open', 'superseded']);
+  assert.deepEqual(select(validitySql('mi', { asOf: '2026-02-15 00:00:00' })), ['backdated', 'open']);
+  assert.deepEqual(select(validitySql('mi', { asOf: '2025-07-01 00:00:00' })), ['backdated']);
+});
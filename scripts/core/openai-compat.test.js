@@ -0,0 +1,73 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeOpenAiApiConfig,
+  parseChatRequest,
+  allowedModels,
+  parseStreamPayload,
+  streamDelta,
+  buildChunk,
+} = require('./openai-compat');
+
+const TOKEN = 'x'.repeat(24);
+
+describe('core/openai-compat', () => {
+  it('normalizes clients with roles and fails closed on bad tokens', () => {
+    assert.equal(normalizeOpenAiApiConfig(undefined).enabled, false);
+    const cfg = normalizeOpenAiApiConfig({
+      enabled: true,
+      clients: [
+        { name: 'vscode', token_env: 'OPENAI_TOKEN', agents: 'metame' },
+        { name: 'ops', token: 'y'.repeat(24), role: 'admin', user: 'ou_1' },
+      ],
+    }, { env: { OPENAI_TOKEN: TOKEN } });
+    assert.deepEqual([cfg.host, cfg.port, cfg.timeoutMs], ['127.0.0.1', 8767, 300000]);
+    assert.deepEqual(cfg.clients.map(c => [c.name, c.role, c.user, c.agents]), [
+      ['vscode', 'member', null, ['metame']],
+      ['ops', 'admin', 'ou_1', null],
+    ]);
+
+    assert.throws(() => normalizeOpenAiApiConfig({ enabled: true, clients: [] }), /at least one client/);
+    assert.throws(() => normalizeOpenAiApiConfig({ enabled: true, host: '0.0.0.0', clients: [{ name: 'a', token: TOKEN }] }), /openai_api.host must be a loopback/);
+    assert.equal(normalizeOpenAiApiConfig({ enabled: true, host: '::1', clients: [{ name: 'a', token: TOKEN }] }).host, '::1');
+    assert.throws(() => normalizeOpenAiApiConfig({ enabled: true, clients: [{ name: 'a', token: 'short' }] }), /at least 24/);
+    assert.throws(() => normalizeOpenAiApiConfig({ enabled: true, clients: [{ name: 'a', token: TOKEN, role: 'root' }] }), /role must be/);
+    assert.throws(() => normalizeOpenAiApiConfig({
+      enabled: true,
+      clients: [{ name: 'a', token: TOKEN }, { name: 'b', token: TOKEN }],
+    }), /its own token/);
+  });
+
+  it('forwards only the latest user message and lists allowed models', () => {
+    const parsed = parseChatRequest({
+      model: 'metame',
+      stream: true,
+      messages: [
+        { role: 'system', content: 'be brief' },
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: 'ok' },
+        { role: 'user', content: [{ type: 'text', text: 'second' }, { type: 'image_url', image_url: {} }, { type: 'text', text: 'part' }] },
+      ],
+    });
+    assert.deepEqual(parsed, { ok: true, model: 'metame', stream: true, text: 'second\npart' });
+    assert.match(parseChatRequest({ messages: [] }).error, /model is required/);
+    assert.match(parseChatRequest({ model: 'm', messages: [{ role: 'system', content: 'x' }] }).error, /user message/);
+
+    const projects = { metame: {}, personal: {} };
+    assert.deepEqual(allowedModels({ agents: null }, projects), ['metame', 'personal']);
+    assert.deepEqual(allowedModels({ agents: ['personal', 'ghost'] }, projects), ['personal']);
+  });
+
+  it('maps handoff stream payloads to content deltas and status comments', () => {
+    assert.deepEqual(parseStreamPayload('__STREAM_TEXT__Hello wor'), { text: 'Hello wor' });
+    assert.deepEqual(parseStreamPayload('__TOOL_OVERLAY__Hello\n\n> 📖 Read: a.js'), { status: '📖 Read: a.js' });
+    assert.deepEqual(parseStreamPayload('🔧 Bash'), { status: '🔧 Bash' });
+    assert.equal(streamDelta('Hello', 'Hello world'), ' world');
+    assert.equal(streamDelta('Hello', 'Goodbye'), '');
+    assert.deepEqual(buildChunk({ id: 'c1', created: 1, model: 'm', delta: { content: 'x' } }).choices,
+      [{ index: 0, delta: { content: 'x' }, finish_reason: null }]);
+  });
+});
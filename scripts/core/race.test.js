@@ -0,0 +1,58 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseRaceCommand,
+  selectRaceEngines,
+  formatRaceCard,
+} = require('./race');
+
+describe('race rules', () => {
+  it('parses start, status, pick and cancel forms', () => {
+    assert.equal(parseRaceCommand('/racer go'), null);
+    assert.deepEqual(parseRaceCommand('/race'), { action: 'status' });
+    assert.deepEqual(parseRaceCommand('/race cancel'), { action: 'cancel' });
+    assert.deepEqual(parseRaceCommand('/race pick Codex'), { action: 'pick', engine: 'codex' });
+    assert.deepEqual(parseRaceCommand('/race pick'), { action: 'usage' });
+    assert.deepEqual(parseRaceCommand('/race fix the flaky test\nin ci'), { action: 'start', prompt: 'fix the flaky test\nin ci', engines: null });
+    assert.deepEqual(parseRaceCommand('/race --engines claude,codex fix it'), { action: 'start', prompt: 'fix it', engines: ['claude', 'codex'] });
+    assert.deepEqual(parseRaceCommand('/race --engines=claude,codex'), { action: 'usage' });
+  });
+
+  it('selects trusted engines: current first, then engine_fallback, then registered, at most three', () => {
+    const daemonCfg = { engine_fallback: ['agy', 'codex'], experimental_engines: { agy: { enabled: false } } };
+    assert.deepEqual(
+      selectRaceEngines({ current: 'claude', registered: ['claude', 'codex', 'pi', 'agy'], daemonCfg }),
+      ['claude', 'codex'],
+    );
+    const allowed = { experimental_engines: { agy: { enabled: true, allowed_projects: ['p'] }, pi: { enabled: true, allowed_projects: ['p'] } } };
+    assert.deepEqual(
+      selectRaceEngines({ current: 'codex', registered: ['claude', 'codex', 'agy', 'pi'], projectKey: 'p', daemonCfg: allowed }),
+      ['codex', 'claude', 'agy'],
+    );
+    assert.deepEqual(
+      selectRaceEngines({ requested: ['codex', 'claude'], current: 'claude', isAvailable: id => id !== 'codex' }),
+      ['claude'],
+    );
+  });
+
+  it('renders the comparison card with diff, test outcome and pick hints', () => {
+    const card = formatRaceCard({
+      id: 'a1b2c3',
+      prompt: 'fix the parser',
+      base: '0123456789abcdef',
+      entries: [
+        { engine: 'claude', status: 'done', diff: { files: 2, insertions: 10, deletions: 3 }, test: { passed: true, durationMs: 4200 }, summary: 'Fixed the tokenizer.' },
+        { engine: 'codex', status: 'done', diff: { files: 1, insertions: 2, deletions: 0 }, test: { passed: false, durationMs: 1000, output: '1 failing' } },
+        { engine: 'agy', status: 'failed', error: 'RATE_LIMIT quota exceeded' },
+      ],
+    });
+    assert.match(card, /Race a1b2c3（基于 0123456）/);
+    assert.match(card, /1\. claude · ✅ 完成 · 2 个文件 \+10 −3 · 🧪 通过 4s/);
+    assert.match(card, /2\. codex .*🧪 未通过 1s\n {3}测试输出：1 failing/);
+    assert.match(card, /3\. agy · ❌ 失败：RATE_LIMIT quota exceeded/);
+    assert.match(card, /\/race pick claude、\/race pick codex/);
+  });
+});
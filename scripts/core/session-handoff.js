@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * core/session-handoff.js — engine-neutral handoff packet.
+ *
+ * Built from one session's canonical events (engines/*-session-source-adapter.js
+ * `read`) so a different engine can continue the task: the goal, the last
+ * checkpoint, open TODOs, files touched and the recent dialogue. The packet
+ * text is injected once into the target engine's first turn (the same
+ * compactContext slot /compact uses).
+ *
+ * Pure: no filesystem. All text passes through core/recall-redact.js
+ * `redactTranscriptText`.
+ */
+
+const { redactTranscriptText } = require('./recall-redact');
+const { toolCallDiff } = require('./session-transcript');
+
+const HANDOFF_LIMITS = Object.freeze({
+  goalChars: 800,
+  checkpointChars: 800,
+  turnChars: 600,
+  dialogueTurns: 8,
+  files: 30,
+  todos: 20,
+  maxChars: 8000,
+});
+const PATCH_FILE_RE = /\*\*\* (?:Update|Add|Delete) File: (\S+)/g;
+const READ_TOOL_RE = /^(?:read|view|cat|notebookread|read_file)$/i;
+
+function clip(text, maxChars) {
+  const value = redactTranscriptText(String(text || '').trim());
+  return value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value;
+}
+
+function parseToolInput(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+function touchedPaths(event) {
+  const text = String(event.text || '');
+  const patched = [...text.matchAll(PATCH_FILE_RE)].map(match => match[1]);
+  if (patched.length) return { action: 'edited', paths: patched };
+  const input = parseToolInput(text);
+  const file = input && [input.file_path, input.filePath, input.notebook_path, input.path].find(value => typeof value === 'string' && value);
+  if (!file) return null;
+  if (toolCallDiff(event.tool, text) || /edit|write|patch/i.test(String(event.tool || ''))) return { action: 'edited', paths: [file] };
+  if (READ_TOOL_RE.test(String(event.tool || ''))) return { action: 'read', paths: [file] };
+  return null;
+}
+
+// Claude TodoWrite `{ todos: [{ content, status }] }`, Codex update_plan
+// `{ plan: [{ step, status }] }`. The latest call is the current list.
+function todoItems(event) {
+  const input = parseToolInput(String(event.text || ''));
+  if (!input) return null;
+  const list = Array.isArray(input.todos) ? input.todos : Array.isArray(input.plan) ? input.plan : null;
+  if (!list) return null;
+  return list
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({ text: String(item.content || item.step || item.title || '').trim(), status: String(item.status || 'pending').trim() }))
+    .filter(item => item.text);
+}
+
+/**
+ * @param {object[]} events - canonical session events, in sequence order
+ * @param {{ engineId?: string, sessionId?: string, cwd?: string }} [meta]
+ * @returns {{ fromEngine: string|null, sessionId: string|null, cwd: string|null, goal: string, checkpoint: string, todos: object[], files: object[], dialogue: object[] }}
+ */
+function buildHandoffPacket(events, meta = {}) {
+  const list = Array.isArray(events) ? events : [];
+  const messages = list.filter(event => event.kind === 'message' && (event.actor === 'user' || event.actor === 'assistant'));
+  const firstUser = messages.find(event => event.actor === 'user');
+  const checkpoint = list.filter(event => event.kind === 'checkpoint').pop();
+
+  let todos = [];
+  const files = new Map();
+  for (const event of list) {
+    if (event.kind !== 'tool_call') continue;
+    const items = todoItems(event);
+    if (items) todos = items;
+    const touched = touchedPaths(event);
+    if (!touched) continue;
+    for (const file of touched.paths) {
+      const previous = files.get(file);
+      files.delete(file);
+      files.set(file, previous === 'edited' ? 'edited' : touched.action);
+    }
+  }
+
+  return {
+    fromEngine: meta.engineId || null,
+    sessionId: meta.sessionId || null,
+    cwd: meta.cwd || null,
+    goal: firstUser ? clip(firstUser.text, HANDOFF_LIMITS.goalChars) : '',
+    checkpoint: checkpoint ? clip(checkpoint.text, HANDOFF_LIMITS.checkpointChars) : '',
+    todos: todos
+      .filter(item => item.status !== 'completed')
+      .slice(0, HANDOFF_LIMITS.todos)
+      .map(item => ({ text: clip(item.text, 200), status: item.status })),
+    files: [...files.entries()]
+      .reverse()
+      .sort((a, b) => (a[1] === b[1] ? 0 : a[1] === 'edited' ? -1 : 1))
+      .slice(0, HANDOFF_LIMITS.files)
+      .map(([file, action]) => ({ path: redactTranscriptText(file), action })),
+    dialogue: messages
+      .slice(-HANDOFF_LIMITS.dialogueTurns)
+      .map(event => ({ actor: event.actor, text: clip(event.text, HANDOFF_LIMITS.turnChars) })),
+  };
+}
+
+/**
+ * Render a packet as the first-turn context for the target engine. Oldest
+ * dialogue turns are dropped first when the text exceeds maxChars.
+ */
+function formatHandoffPacket(packet, { toEngine = '', maxChars = HANDOFF_LIMITS.maxChars } = {}) {
+  const source = [packet.fromEngine, packet.sessionId && packet.sessionId.slice(0, 8)].filter(Boolean).join(' session ');
+  const head = [
+    `[Handoff from ${source || 'another engine'}${toEngine ? ` to ${toEngine}` : ''} — continue the same task in the same working directory. The previous engine's session is not available to you; this packet is its state.]`,
+  ];
+  if (packet.cwd) head.push(`Working directory: ${packet.cwd}`);
+  if (packet.goal) head.push('', `Goal (first request): ${packet.goal}`);
+  if (packet.checkpoint) head.push('', `Last checkpoint: ${packet.checkpoint}`);
+  if (packet.todos.length) {
+    head.push('', 'Open TODOs:', ...packet.todos.map(item => `- [${item.status}] ${item.text}`));
+  }
+  if (packet.files.length) {
+    head.push('', 'Files touched (most recent first):', ...packet.files.map(file => `- ${file.action}: ${file.path}`));
+  }
+
+  const turns = packet.dialogue.map(turn => `${turn.actor === 'user' ? 'User' : 'Assistant'}: ${turn.text}`);
+  const render = kept => [...head, ...(kept.length ? ['', 'Recent dialogue:', ...kept] : [])].join('\n');
+  let kept = turns;
+  while (kept.length && render(kept).length > maxChars) kept = kept.slice(1);
+  const text = render(kept);
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+module.exports = {
+  HANDOFF_LIMITS,
+  buildHandoffPacket,
+  formatHandoffPacket,
+};
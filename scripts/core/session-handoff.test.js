@@ -0,0 +1,44 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHandoffPacket, formatHandoffPacket } = require('./session-handoff');
+
+const EVENTS = [
+  { sequence: 0, actor: 'user', kind: 'message', text: 'migrate the config loader, token=abc123xyz' },
+  { sequence: 1, actor: 'tool', kind: 'tool_call', tool: 'Read', text: JSON.stringify({ file_path: '/repo/src/config.js' }) },
+  { sequence: 2, actor: 'tool', kind: 'tool_call', tool: 'TodoWrite', text: JSON.stringify({ todos: [{ content: 'port loader', status: 'completed' }, { content: 'update tests', status: 'in_progress' }] }) },
+  { sequence: 3, actor: 'tool', kind: 'tool_call', tool: 'Edit', text: JSON.stringify({ file_path: '/repo/src/loader.js', old_string: 'a', new_string: 'b' }) },
+  { sequence: 4, actor: 'tool', kind: 'tool_call', tool: 'apply_patch', text: '*** Begin Patch\n*** Update File: src/config.js\n@@\n-x\n+y\n*** End Patch' },
+  { sequence: 5, actor: 'system', kind: 'checkpoint', text: 'loader ported, tests pending' },
+  { sequence: 6, actor: 'assistant', kind: 'message', text: 'Loader ported; tests next.' },
+];
+
+describe('core/session-handoff', () => {
+  it('collects goal, checkpoint, open TODOs, touched files and dialogue', () => {
+    const packet = buildHandoffPacket(EVENTS, { engineId: 'claude', sessionId: '3f2a9c1e-0000', cwd: '/repo' });
+    assert.equal(packet.goal, 'migrate the config loader, token=<secret>');
+    assert.equal(packet.checkpoint, 'loader ported, tests pending');
+    assert.deepEqual(packet.todos, [{ text: 'update tests', status: 'in_progress' }]);
+    assert.deepEqual(packet.files, [
+      { path: 'src/config.js', action: 'edited' },
+      { path: '/repo/src/loader.js', action: 'edited' },
+      { path: '/repo/src/config.js', action: 'read' },
+    ]);
+    assert.deepEqual(packet.dialogue.map(turn => turn.actor), ['user', 'assistant']);
+  });
+
+  it('formats the packet for the target engine and drops the oldest turns to fit', () => {
+    const packet = buildHandoffPacket(EVENTS, { engineId: 'claude', sessionId: '3f2a9c1e-0000', cwd: '/repo' });
+    const text = formatHandoffPacket(packet, { toEngine: 'codex' });
+    assert.match(text, /^\[Handoff from claude session 3f2a9c1e to codex/);
+    assert.match(text, /Open TODOs:\n- \[in_progress\] update tests/);
+    assert.match(text, /Files touched \(most recent first\):\n- edited: src\/config\.js/);
+    assert.match(text, /Recent dialogue:\nUser: migrate.*\nAssistant: Loader ported/);
+
+    const tight = formatHandoffPacket(packet, { toEngine: 'codex', maxChars: text.length - 10 });
+    assert.doesNotMatch(tight, /User: migrate/);
+    assert.match(tight, /Assistant: Loader ported/);
+  });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeTranscriptFormat,
+  toolCallDiff,
+  buildTranscriptEntries,
+  renderTranscript,
+} = require('./session-transcript');
+
+const EVENTS = [
+  { sequence: 0, timestamp: '2026-10-18T23:10:00.000Z', actor: 'user', kind: 'message', text: 'fix the <login> bug, token=abc123xyz' },
+  { sequence: 1, actor: 'tool', kind: 'tool_call', tool: 'Edit', text: JSON.stringify({ file_path: '/repo/a.js', old_string: 'const a = 1;\nfoo();', new_string: 'const a = 2;' }) },
+  { sequence: 2, actor: 'tool', kind: 'tool_result', tool: 'Edit', text: 'ok', outcome: { error: false } },
+  { sequence: 3, actor: 'tool', kind: 'tool_call', tool: 'Bash', text: '{"command":"npm test"}' },
+  { sequence: 4, actor: 'tool', kind: 'tool_result', tool: 'Bash', text: '1 failing', outcome: { error: true, exitCode: 1 } },
+  { sequence: 5, actor: 'system', kind: 'checkpoint', text: 'context compacted' },
+  { sequence: 6, actor: 'assistant', kind: 'message', text: 'Done. Mail me at ops@example.com' },
+];
+
+describe('core/session-transcript', () => {
+  it('normalizes formats and aliases', () => {
+    assert.equal(normalizeTranscriptFormat(undefined), 'md');
+    assert.equal(normalizeTranscriptFormat('Markdown'), 'md');
+    assert.equal(normalizeTranscriptFormat('json'), 'jsonl');
+    assert.equal(normalizeTranscriptFormat('pdf'), null);
+  });
+
+  it('renders edit-style tool inputs and patches as diffs', () => {
+    assert.equal(toolCallDiff('Edit', EVENTS[1].text), '--- /repo/a.js\n+++ /repo/a.js\n@@\n-const a = 1;\n-foo();\n+const a = 2;');
+    const multi = toolCallDiff('MultiEdit', JSON.stringify({ file_path: 'b.js', edits: [{ old_string: 'x', new_string: 'y' }, { old_string: 'p', new_string: '' }] }));
+    assert.equal(multi, '--- b.js\n+++ b.js\n@@\n-x\n+y\n@@\n-p');
+    assert.match(toolCallDiff('Write', '{"file_path":"c.md","content":"hi\\nthere"}'), /@@ new content @@\n\+hi\n\+there$/);
+    assert.equal(toolCallDiff('apply_patch', '*** Begin Patch\n*** Update File: a\n-x\n+y'), '*** Begin Patch\n*** Update File: a\n-x\n+y');
+    assert.equal(toolCallDiff('Read', '{"file_path":"a.js","content":"x"}'), null, 'only write-like tools turn content into a diff');
+    assert.equal(toolCallDiff('Edit', '{"file_path":"a.js","old_string":"trunc'), null);
+  });
+
+  it('redacts every entry and marks failed tool results', () => {
+    const entries = buildTranscriptEntries(EVENTS);
+    assert.equal(entries[0].text, 'fix the <login> bug, token=<secret>');
+    assert.equal(entries[6].text, 'Done. Mail me at <email>');
+    assert.deepEqual([entries[4].error, entries[4].exitCode], [true, 1]);
+    assert.ok(entries[1].diff && !entries[3].diff);
+  });
+
+  it('renders markdown, escaped html and redacted jsonl', () => {
+    const meta = { engineId: 'claude', sessionId: 'sess-1', cwd: '/repo' };
+    const md = renderTranscript(EVENTS, meta, 'md');
+    assert.match(md, /^# Session transcript — sess-1/);
+    assert.match(md, /- \*\*Contents:\*\* messages: 2 · tool calls: 2 · edits: 1 · errors: 1/);
+    assert.match(md, /### 👤 User · 2026-10-18 23:10:00\n\nfix the <login> bug/);
+    assert.match(md, /```diff\n--- \/repo\/a\.js/);
+    assert.match(md, /### ❌ error · Bash · exit 1/);
+    assert.match(md, /> context compacted/);
+
+    const html = renderTranscript(EVENTS, meta, 'html');
+    assert.match(html, /^<!doctype html>/);
+    assert.match(html, /fix the &lt;login&gt; bug/);
+    assert.match(html, /<span class="del">-const a = 1;<\/span>/);
+    assert.doesNotMatch(html, /<script/);
+
+    const lines = renderTranscript(EVENTS, meta, 'jsonl').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, EVENTS.length);
+    assert.equal(lines[6].text, 'Done. Mail me at <email>');
+    assert.throws(() => renderTranscript(EVENTS, meta, 'pdf'), /unsupported transcript format/);
+  });
+});
@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * scripts/core/task-graph.js — heartbeat task dependency graphs (DAG workflows).
+ *
+ *   - name: nightly-reflect
+ *     at: "01:00"                   # root: scheduled normally
+ *   - name: memory-gc
+ *     after: [nightly-reflect]      # runs once every listed task succeeded
+ *   - name: gc-alert
+ *     on_failure: [memory-gc]       # runs only if a listed task failed
+ *
+ * Tasks joined by edges form one graph. A graph run opens when a root task
+ * starts and closes when every member reaches a terminal node status. A failed
+ * member marks its `after` dependents `upstream_failed`; a precondition skip
+ * counts as done, so "nothing to do" upstream does not block the chain.
+ *
+ * Pure: validation and run-state transitions only. The scheduler owns
+ * execution and persistence.
+ */
+
+const SCHEDULE_KEYS = Object.freeze(['at', 'cron', 'interval', 'trigger']);
+
+// Node statuses. `pending` waits for upstreams, `queued` has a persisted
+// trigger, `running` is claimed. Everything else is terminal.
+const DONE_STATUSES = new Set(['success', 'skipped']);
+const FAILED_STATUSES = new Set(['error', 'interrupted', 'upstream_failed']);
+const INACTIVE_STATUSES = new Set(['not_needed', 'disabled']);
+
+function isTerminalNodeStatus(status) {
+  return DONE_STATUSES.has(status) || FAILED_STATUSES.has(status) || INACTIVE_STATUSES.has(status);
+}
+
+function readNameList(raw, key) {
+  if (raw === undefined || raw === null) return { ok: true, names: [] };
+  const list = Array.isArray(raw) ? raw : [raw];
+  const names = [];
+  for (const item of list) {
+    const name = typeof item === 'string' ? item.trim() : '';
+    if (!name) return { ok: false, error: `${key} must be a task name or a list of task names` };
+    if (!names.includes(name)) names.push(name);
+  }
+  return { ok: true, names };
+}
+
+/** Read a task's `after:` / `on_failure:` edges. */
+function readTaskEdges(task) {
+  const after = readNameList(task && task.after, 'after');
+  if (!after.ok) return after;
+  const onFailure = readNameList(task && task.on_failure, 'on_failure');
+  if (!onFailure.ok) return onFailure;
+  return { ok: true, after: after.names, onFailure: onFailure.names };
+}
+
+function hasTaskEdges(task) {
+  return !!task && (task.after !== undefined || task.on_failure !== undefined);
+}
+
+/** Every configured heartbeat task, general and per-project, enabled or not. */
+function listConfiguredTasks(config) {
+  const tasks = [...((config && config.heartbeat && config.heartbeat.tasks) || [])];
+  for (const proj of Object.values((config && config.projects) || {})) {
+    if (proj && Array.isArray(proj.heartbeat_tasks)) tasks.push(...proj.heartbeat_tasks);
+  }
+  return tasks.filter(task => task && typeof task === 'object' && task.name);
+}
+
+function findCycle(edges) {
+  const color = new Map();
+  const stack = [];
+  function visit(name) {
+    color.set(name, 'grey');
+    stack.push(name);
+    const { after, onFailure } = edges.get(name);
+    for (const up of [...after, ...onFailure]) {
+      if (!edges.has(up)) continue;
+      if (color.get(up) === 'grey') return [...stack.slice(stack.indexOf(up)), up];
+      if (!color.has(up)) {
+        const found = visit(up);
+        if (found) return found;
+      }
+    }
+    stack.pop();
+    color.set(name, 'black');
+    return null;
+  }
+  for (const name of edges.keys()) {
+    if (color.has(name)) continue;
+    const found = visit(name);
+    if (found) return found.reverse();
+  }
+  return null;
+}
+
+/**
+ * Validate edges across all tasks and group them into graphs.
+ * Returns { ok, errors, graphs, graphOf } where each graph is
+ * { id, roots, members (upstream first), edges: Map name → {after, onFailure} }.
+ */
+function buildTaskGraphs(tasks) {
+  const errors = [];
+  const edges = new Map();
+  const names = new Set((tasks || []).map(task => String(task.name)));
+  for (const task of tasks || []) {
+    if (!task || !task.name) continue;
+    const name = String(task.name);
+    const parsed = readTaskEdges(task);
+    if (!parsed.ok) {
+      errors.push(`${name}: ${parsed.error}`);
+      continue;
+    }
+    edges.set(name, { after: parsed.after, onFailure: parsed.onFailure });
+    if (!hasTaskEdges(task)) continue;
+    if (parsed.after.length === 0 && parsed.onFailure.length === 0) {
+      errors.push(`${name}: after/on_failure is empty`);
+    }
+    if (parsed.after.length > 0 && parsed.onFailure.length > 0) {
+      errors.push(`${name}: after and on_failure cannot be combined`);
+    }
+    const scheduled = SCHEDULE_KEYS.filter(key => task[key] !== undefined && task[key] !== null && task[key] !== '');
+    if (scheduled.length > 0) {
+      errors.push(`${name}: dependent tasks run from their upstream; remove ${scheduled.join('/')}`);
+    }
+    for (const up of [...parsed.after, ...parsed.onFailure]) {
+      if (up === name) errors.push(`${name}: cannot depend on itself`);
+      else if (!names.has(up)) errors.push(`${name}: unknown upstream task "${up}"`);
+    }
+  }
+  if (errors.length === 0) {
+    const cycle = findCycle(edges);
+    if (cycle) errors.push(`dependency cycle: ${cycle.join(' → ')}`);
+  }
+  if (errors.length > 0) return { ok: false, errors, graphs: [], graphOf: new Map() };
+
+  // Connected components over the undirected edge set.
+  const neighbours = new Map([...edges.keys()].map(name => [name, new Set()]));
+  for (const [name, { after, onFailure }] of edges) {
+    for (const up of [...after, ...onFailure]) {
+      neighbours.get(name).add(up);
+      neighbours.get(up).add(name);
+    }
+  }
+  const graphs = [];
+  const graphOf = new Map();
+  const seen = new Set();
+  for (const start of edges.keys()) {
+    if (seen.has(start) || neighbours.get(start).size === 0) continue;
+    const component = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const name = queue.shift();
+      component.push(name);
+      for (const next of neighbours.get(name)) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    const members = [];
+    const placed = new Set();
+    while (members.length < component.length) {
+      for (const name of component) {
+        if (placed.has(name)) continue;
+        const { after, onFailure } = edges.get(name);
+        if ([...after, ...onFailure].every(up => placed.has(up))) {
+          members.push(name);
+          placed.add(name);
+        }
+      }
+    }
+    const roots = members.filter(name => {
+      const { after, onFailure } = edges.get(name);
+      return after.length === 0 && onFailure.length === 0;
+    });
+    const graph = {
+      id: roots.join('+'),
+      roots,
+      members,
+      edges: new Map(members.map(name => [name, edges.get(name)])),
+    };
+    graphs.push(graph);
+    for (const name of members) graphOf.set(name, graph);
+  }
+  return { ok: true, errors: [], graphs, graphOf };
+}
+
+/** Config-load check: { ok } or { ok: false, error }. */
+function validateTaskGraphConfig(config) {
+  const built = buildTaskGraphs(listConfiguredTasks(config));
+  return built.ok ? { ok: true } : { ok: false, error: `heartbeat task graph: ${built.errors.join('; ')}` };
+}
+
+/** A fresh run record; `inactive` members (disabled tasks) never run. */
+function startGraphRun(graph, { runId, now = new Date().toISOString(), inactive = new Set() } = {}) {
+  const nodes = {};
+  for (const name of graph.members) nodes[name] = inactive.has(name) ? 'disabled' : 'pending';
+  return { run_id: runId, status: 'running', started_at: now, nodes };
+}
+
+function finishIfDone(graph, run, now) {
+  if (!graph.members.every(name => isTerminalNodeStatus(run.nodes[name]))) return false;
+  run.status = graph.members.some(name => FAILED_STATUSES.has(run.nodes[name])) ? 'failed' : 'success';
+  run.finished_at = now;
+  return true;
+}
+
+/**
+ * Record a member's terminal status and work out what happens downstream.
+ * Mutates `run`. Returns { ready, upstreamFailed: [{ name, upstream }], finished }.
+ */
+function applyNodeResult(graph, run, name, status, { now = new Date().toISOString() } = {}) {
+  const out = { ready: [], upstreamFailed: [], finished: false };
+  if (!run || run.status !== 'running' || !Object.prototype.hasOwnProperty.call(run.nodes, name)) return out;
+  run.nodes[name] = status;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const member of graph.members) {
+      if (run.nodes[member] !== 'pending') continue;
+      const { after, onFailure } = graph.edges.get(member);
+      if (after.length === 0 && onFailure.length === 0) continue; // roots start on their own schedule
+      const upstream = [...after, ...onFailure].map(up => ({ up, status: run.nodes[up] }));
+      let next = null;
+      if (after.length > 0) {
+        const failed = upstream.find(u => FAILED_STATUSES.has(u.status));
+        if (failed) {
+          next = 'upstream_failed';
+          out.upstreamFailed.push({ name: member, upstream: failed.up });
+        } else if (upstream.some(u => INACTIVE_STATUSES.has(u.status))) {
+          next = 'not_needed';
+        } else if (upstream.every(u => DONE_STATUSES.has(u.status))) {
+          next = 'queued';
+        }
+      } else if (upstream.some(u => FAILED_STATUSES.has(u.status))) {
+        next = 'queued';
+      } else if (upstream.every(u => isTerminalNodeStatus(u.status))) {
+        next = 'not_needed';
+      }
+      if (!next) continue;
+      run.nodes[member] = next;
+      if (next === 'queued') out.ready.push(member);
+      changed = true;
+    }
+  }
+  out.finished = finishIfDone(graph, run, now);
+  return out;
+}
+
+/** "3/4 done" style progress for reports. */
+function graphRunProgress(graph, run) {
+  const done = graph.members.filter(name => isTerminalNodeStatus(run && run.nodes[name])).length;
+  return { done, total: graph.members.length };
+}
+
+module.exports = {
+  readTaskEdges,
+  hasTaskEdges,
+  listConfiguredTasks,
+  buildTaskGraphs,
+  validateTaskGraphConfig,
+  startGraphRun,
+  applyNodeResult,
+  graphRunProgress,
+  isTerminalNodeStatus,
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildTaskGraphs,
+  validateTaskGraphConfig,
+  startGraphRun,
+  applyNodeResult,
+  graphRunProgress,
+} = require('./task-graph');
+
+const nightly = [
+  { name: 'nightly-reflect', at: '01:00' },
+  { name: 'memory-gc', after: ['nightly-reflect'] },
+  { name: 'wiki-sync', after: 'memory-gc' },
+  { name: 'gc-alert', on_failure: ['memory-gc'] },
+  { name: 'embedding-index', interval: '30m' },
+];
+
+describe('task graph validation', () => {
+  it('groups connected tasks with upstream members first', () => {
+    const built = buildTaskGraphs(nightly);
+    assert.equal(built.ok, true);
+    assert.equal(built.graphs.length, 1);
+    const [graph] = built.graphs;
+    assert.equal(graph.id, 'nightly-reflect');
+    assert.deepEqual(graph.roots, ['nightly-reflect']);
+    assert.deepEqual(graph.members, ['nightly-reflect', 'memory-gc', 'wiki-sync', 'gc-alert']);
+    assert.equal(built.graphOf.has('embedding-index'), false);
+  });
+
+  it('rejects cycles, unknown and self references', () => {
+    assert.match(buildTaskGraphs([
+      { name: 'root', interval: '1h' },
+      { name: 'a', after: ['root', 'b'] },
+      { name: 'b', after: ['a'] },
+    ]).errors[0], /dependency cycle: (a → b → a|b → a → b)/);
+    assert.deepEqual(buildTaskGraphs([{ name: 'a', after: ['ghost'] }]).errors, ['a: unknown upstream task "ghost"']);
+    assert.deepEqual(buildTaskGraphs([{ name: 'a', on_failure: 'a' }]).errors, ['a: cannot depend on itself']);
+  });
+
+  it('rejects a dependent task that also has its own schedule', () => {
+    const built = buildTaskGraphs([{ name: 'a', at: '01:00' }, { name: 'b', after: ['a'], interval: '1h' }]);
+    assert.deepEqual(built.errors, ['b: dependent tasks run from their upstream; remove interval']);
+  });
+
+  it('validates across general and project tasks at config load', () => {
+    const config = {
+      heartbeat: { tasks: [{ name: 'extract', interval: '4h' }] },
+      projects: { writer: { heartbeat_tasks: [{ name: 'publish', after: ['extract', 'missing'] }] } },
+    };
+    const result = validateTaskGraphConfig(config);
+    assert.equal(result.ok, false);
+    assert.match(result.error, /^heartbeat task graph: publish: unknown upstream task "missing"/);
+    config.projects.writer.heartbeat_tasks[0].after = ['extract'];
+    assert.deepEqual(validateTaskGraphConfig(config), { ok: true });
+  });
+});
+
+describe('task graph runs', () => {
+  const [graph] = buildTaskGraphs(nightly).graphs;
+
+  it('releases dependents in order and marks unused failure handlers not needed', () => {
+    const run = startGraphRun(graph, { runId: 'r1', now: '2026-10-19T01:00:00.000Z' });
+    run.nodes['nightly-reflect'] = 'running';
+
+    let step = applyNodeResult(graph, run, 'nightly-reflect', 'success');
+    assert.deepEqual(step.ready, ['memory-gc']);
+    run.nodes['memory-gc'] = 'running';
+
+    step = applyNodeResult(graph, run, 'memory-gc', 'skipped');
+    assert.deepEqual(step.ready, ['wiki-sync']);
+    assert.equal(run.nodes['gc-alert'], 'not_needed');
+    run.nodes['wiki-sync'] = 'running';
+
+    step = applyNodeResult(graph, run, 'wiki-sync', 'success', { now: '2026-10-19T01:30:00.000Z' });
+    assert.equal(step.finished, true);
+    assert.equal(run.status, 'success');
+    assert.equal(run.finished_at, '2026-10-19T01:30:00.000Z');
+    assert.deepEqual(graphRunProgress(graph, run), { done: 4, total: 4 });
+  });
+
+  it('skips everything after a failure and runs the failure handler', () => {
+    const run = startGraphRun(graph, { runId: 'r2' });
+    run.nodes['nightly-reflect'] = 'running';
+    applyNodeResult(graph, run, 'nightly-reflect', 'success');
+    run.nodes['memory-gc'] = 'running';
+
+    const step = applyNodeResult(graph, run, 'memory-gc', 'error');
+    assert.deepEqual(step.ready, ['gc-alert']);
+    assert.deepEqual(step.upstreamFailed, [{ name: 'wiki-sync', upstream: 'memory-gc' }]);
+    assert.equal(step.finished, false);
+    run.nodes['gc-alert'] = 'running';
+
+    assert.equal(applyNodeResult(graph, run, 'gc-alert', 'success').finished, true);
+    assert.equal(run.status, 'failed');
+  });
+
+  it('treats disabled members as inactive and ignores results for idle nodes', () => {
+    const run = startGraphRun(graph, { runId: 'r3', inactive: new Set(['memory-gc']) });
+    assert.equal(run.nodes['memory-gc'], 'disabled');
+    run.nodes['nightly-reflect'] = 'running';
+    const step = applyNodeResult(graph, run, 'nightly-reflect', 'success');
+    assert.deepEqual(step.ready, []);
+    assert.equal(run.nodes['wiki-sync'], 'not_needed');
+    assert.equal(run.status, 'success');
+
+    const before = structuredClone(run);
+    applyNodeResult(graph, run, 'wiki-sync', 'error');
+    assert.deepEqual(run, before);
+  });
+});
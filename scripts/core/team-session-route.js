@@ -21,6 +21,7 @@ function resolveBoundTeamContext({ chatId, cfg, state, normalizeCwd }) {
   const agentMap = {
     ...(cfg && cfg.telegram ? cfg.telegram.chat_agent_map : {}),
     ...(cfg && cfg.feishu ? cfg.feishu.chat_agent_map : {}),
+    ...(cfg && cfg.matrix ? cfg.matrix.chat_agent_map : {}),
     ...(cfg && cfg.imessage ? cfg.imessage.chat_agent_map : {}),
     ...(cfg && cfg.siri_bridge ? cfg.siri_bridge.chat_agent_map : {}),
   };
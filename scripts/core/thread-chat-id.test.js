@@ -112,3 +112,11 @@ describe('round-trip', () => {
     assert.deepEqual(parsed, { chatId: 'oc_foo', threadId: 'om_bar' });
   });
 });
+
+describe('Matrix ids', () => {
+  it('splits a Matrix room id from its thread root event id', () => {
+    const built = buildThreadChatId('!room:example.org', '$root:example.org');
+    assert.deepEqual(parseThreadChatId(built), { chatId: '!room:example.org', threadId: '$root:example.org' });
+    assert.equal(rawChatId(buildThreadChatId('!room:example.org', '$abc')), '!room:example.org');
+  });
+});
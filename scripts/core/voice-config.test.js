@@ -0,0 +1,73 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_MAX_BYTES,
+  normalizeVoiceConfig,
+  fillArgs,
+  convertArgs,
+  cleanTranscript,
+  audioMime,
+} = require('./voice-config');
+
+describe('core/voice-config', () => {
+  it('stays off without an STT command and expands ~ in commands and args', () => {
+    assert.equal(normalizeVoiceConfig(undefined).enabled, false);
+    assert.equal(normalizeVoiceConfig({ enabled: true }).enabled, false, 'enabled needs stt.command');
+    const cfg = normalizeVoiceConfig({
+      enabled: true,
+      stt: { command: '~/bin/whisper-cli', args: ['-m', '~/models/base.bin', '-f', '{input}'], timeout_seconds: 9999 },
+    }, { home: '/home/u' });
+    assert.equal(cfg.enabled, true);
+    assert.equal(cfg.stt.command, '/home/u/bin/whisper-cli');
+    assert.deepEqual(cfg.stt.args, ['-m', '/home/u/models/base.bin', '-f', '{input}']);
+    assert.equal(cfg.stt.timeoutMs, 10 * 60 * 1000);
+    assert.equal(cfg.convert, 'ffmpeg');
+    assert.equal(cfg.echoTranscript, true);
+    assert.equal(cfg.maxBytes, DEFAULT_MAX_BYTES);
+    assert.equal(cfg.tts, null);
+  });
+
+  it('honours convert: null, echo_transcript: false, max_mb and TTS formats', () => {
+    const cfg = normalizeVoiceConfig({
+      enabled: true,
+      convert: null,
+      echo_transcript: false,
+      max_mb: 1,
+      stt: { command: 'stt' },
+      tts: { command: 'say', format: 'AIFF' },
+    });
+    assert.equal(cfg.convert, null);
+    assert.equal(cfg.echoTranscript, false);
+    assert.equal(cfg.maxBytes, 1024 * 1024);
+    assert.deepEqual(cfg.stt.args, ['{input}']);
+    assert.deepEqual(cfg.tts.args, ['{input}', '{output}']);
+    assert.equal(cfg.tts.format, 'aiff');
+    assert.equal(normalizeVoiceConfig({ enabled: true, stt: { command: 'x' }, tts: { command: 'y', format: 'flac' } }).tts.format, 'wav');
+    assert.equal(normalizeVoiceConfig({ enabled: false, tts: { command: 'say' } }).tts, null);
+  });
+
+  it('fills placeholders per argument and builds the ffmpeg decode line', () => {
+    assert.deepEqual(fillArgs(['-of', '{output}', '--file={input}', '{other}'], { input: '/t/a.wav', output: '/t/out' }),
+      ['-of', '/t/out', '--file=/t/a.wav', '{other}']);
+    const args = convertArgs('/t/v.ogg', '/t/v.wav');
+    assert.equal(args[args.indexOf('-i') + 1], '/t/v.ogg');
+    assert.equal(args.at(-1), '/t/v.wav');
+    assert.ok(args.includes('16000'));
+  });
+
+  it('cleans whisper timestamps and non-speech markers', () => {
+    const raw = [
+      '[00:00:00.000 --> 00:00:02.500]   帮我看下',
+      '[00:00:02.500 --> 00:00:04.000]  构建日志',
+      '[BLANK_AUDIO]',
+      '',
+    ].join('\n');
+    assert.equal(cleanTranscript(raw), '帮我看下 构建日志');
+    assert.equal(cleanTranscript(' (music)  '), '');
+    assert.equal(audioMime('mp3'), 'audio/mpeg');
+    assert.equal(audioMime('nope'), 'application/octet-stream');
+  });
+});
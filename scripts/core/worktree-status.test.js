@@ -0,0 +1,104 @@
+'use strict';
+
+require('../test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseWorktreeCommand,
+  parseShortstat,
+  parseAheadBehind,
+  parseWorktreeList,
+  resolveTestCommand,
+  classifyWorktree,
+  isPrunable,
+  extractConflictHunks,
+  formatWorktreeStatus,
+} = require('./worktree-status');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('worktree status rules', () => {
+  it('parses /worktree subcommands', () => {
+    assert.equal(parseWorktreeCommand('/work'), null);
+    assert.deepEqual(parseWorktreeCommand('/worktree'), { action: 'status', key: '', confirm: false });
+    assert.deepEqual(parseWorktreeCommand('/worktree merge yi'), { action: 'merge', key: 'yi', confirm: false });
+    assert.deepEqual(parseWorktreeCommand('/worktrees discard yi confirm'), { action: 'discard', key: 'yi', confirm: true });
+    assert.equal(parseWorktreeCommand('/worktree discard').action, 'usage');
+    assert.equal(parseWorktreeCommand('/worktree explode yi').action, 'usage');
+  });
+
+  it('parses shortstat, ahead/behind and porcelain worktree lists', () => {
+    assert.deepEqual(parseShortstat(' 3 files changed, 40 insertions(+), 5 deletions(-)'), { files: 3, insertions: 40, deletions: 5 });
+    assert.deepEqual(parseShortstat(' 1 file changed, 1 deletion(-)'), { files: 1, insertions: 0, deletions: 1 });
+    assert.deepEqual(parseShortstat(''), { files: 0, insertions: 0, deletions: 0 });
+    assert.deepEqual(parseAheadBehind('2\t5\n'), { ahead: 5, behind: 2 });
+    assert.deepEqual(parseAheadBehind(''), { ahead: null, behind: null });
+    assert.deepEqual(parseWorktreeList([
+      'worktree /repo', 'HEAD abc', 'branch refs/heads/main', '',
+      'worktree /home/u/.metame/worktrees/repo/yi', 'HEAD def', 'branch refs/heads/agent/yi', 'prunable gitdir file points to non-existent location', '',
+    ].join('\n')), [
+      { path: '/repo', head: 'abc', branch: 'main', prunable: false },
+      { path: '/home/u/.metame/worktrees/repo/yi', head: 'def', branch: 'agent/yi', prunable: true },
+    ]);
+  });
+
+  it('resolves test_command per project before the daemon default', () => {
+    const config = { daemon: { test_command: 'npm test' }, projects: { api: { test_command: 'make check' } } };
+    assert.equal(resolveTestCommand(config, 'api'), 'make check');
+    assert.equal(resolveTestCommand(config, 'web'), 'npm test');
+    assert.equal(resolveTestCommand({}, 'api'), '');
+  });
+
+  it('marks idle worktrees stale and only prunes those without unmerged work', () => {
+    const nowMs = 100 * DAY;
+    assert.equal(classifyWorktree({ lastActivityMs: nowMs - 20 * DAY, nowMs }), 'stale');
+    assert.equal(classifyWorktree({ lastActivityMs: nowMs - DAY, nowMs }), null);
+    assert.equal(classifyWorktree({ broken: true }), 'broken');
+    assert.equal(isPrunable({ state: 'stale', ahead: 0, dirty: 0 }), true);
+    assert.equal(isPrunable({ state: 'stale', ahead: 2, dirty: 0 }), false);
+    assert.equal(isPrunable({ state: null, ahead: 0, dirty: 0 }), false);
+    assert.equal(isPrunable({ state: 'stale', ahead: null, dirty: 0 }), false);
+    assert.equal(isPrunable({ state: 'stale', ahead: 0, dirty: null }), false);
+    assert.equal(isPrunable({ state: 'broken' }), true);
+  });
+
+  it('keeps only the conflicted hunks of a merge diff', () => {
+    const diff = [
+      'diff --cc src/a.js',
+      'index 1,2..0',
+      '@@@ -1,3 -1,3 +1,7 @@@',
+      '  const a = 1;',
+      '++<<<<<<< HEAD',
+      ' +const b = 2;',
+      '++=======',
+      '+ const b = 3;',
+      '++>>>>>>> main',
+      'diff --cc src/b.js',
+      '@@@ -10,1 -10,1 +10,1 @@@',
+      '  clean context',
+    ].join('\n');
+    const hunks = extractConflictHunks(diff);
+    assert.match(hunks, /^--- src\/a\.js\n@@@ -1,3/);
+    assert.match(hunks, /\+\+>>>>>>> main/);
+    assert.doesNotMatch(hunks, /src\/b\.js/);
+  });
+
+  it('renders status with stale and broken markers', () => {
+    const nowMs = 100 * DAY;
+    const text = formatWorktreeStatus({
+      parentBranch: 'main',
+      parentPath: '/repo',
+      nowMs,
+      worktrees: [
+        { key: 'yi', branch: 'agent/yi', ahead: 2, behind: 1, dirty: 3, diff: { files: 4, insertions: 20, deletions: 2 }, lastActivityMs: nowMs - 3 * 3600000, state: null },
+        { key: 'old', branch: 'agent/old', ahead: 0, behind: 9, dirty: 0, diff: null, lastActivityMs: nowMs - 30 * DAY, state: 'stale' },
+        { key: 'gone', branch: 'agent/gone', state: 'broken' },
+      ],
+    });
+    assert.match(text, /父分支 main/);
+    assert.match(text, /领先 2 · 落后 1 · 4 个文件 \+20 −2 · 未提交 3 个\n {2}最近活动：3 小时前/);
+    assert.match(text, /30 天前 · 💤 已过期，可 prune/);
+    assert.match(text, /gone · agent\/gone\n {2}⚠️ worktree 已失效/);
+    assert.equal(formatWorktreeStatus({ parentBranch: 'main', parentPath: '/repo', worktrees: [] }), '📂 /repo 没有 agent worktree');
+  });
+});
@@ -6,6 +6,9 @@ const {
   USAGE_CATEGORY_LABEL,
 } = require('./usage-classifier');
 const { IS_WIN } = require('./platform');
+const budgetPolicy = require('./core/budget-policy');
+const { normalizeTaskTriggers, describeTrigger } = require('./daemon-task-triggers');
+const { readTaskEdges, buildTaskGraphs, graphRunProgress } = require('./core/task-graph');
 const { ENGINE_MODEL_CONFIG, resolveEngineModel, normalizeEngineModel } = require('./daemon-engine-runtime');
 const { resolveScopedEngine } = require('./core/engine-policy');
 const { ENGINE_NAMES, isExperimentalEngineName } = require('./core/engine-descriptors');
@@ -83,6 +86,7 @@ function createAdminCommandHandler(deps) {
   function resolveSenderKey(chatId, config) {
     const map = {
       ...(config && config.feishu ? config.feishu.chat_agent_map : {}),
+      ...(config && config.matrix ? config.matrix.chat_agent_map : {}),
       ...(config && config.telegram ? config.telegram.chat_agent_map : {}),
     };
     return map[String(chatId)] || 'user';
@@ -107,6 +111,7 @@ function createAdminCommandHandler(deps) {
   function resolveBoundProjectKey(chatId, config) {
     const map = {
       ...(config && config.feishu ? config.feishu.chat_agent_map : {}),
+      ...(config && config.matrix ? config.matrix.chat_agent_map : {}),
       ...(config && config.telegram ? config.telegram.chat_agent_map : {}),
     };
     return map[String(chatId)] || '';
@@ -221,7 +226,9 @@ function createAdminCommandHandler(deps) {
     return { success: !!(result && result.success), result, envelope, targetKey };
   }
 
-  function formatTaskSchedule(task) {
+  function formatTimeSchedule(task) {
+    const cron = typeof task.cron === 'string' ? task.cron.trim() : '';
+    if (cron) return task.timezone ? `cron ${cron} ${task.timezone}` : `cron ${cron}`;
     const at = typeof task.at === 'string' ? task.at.trim() : '';
     if (at) {
       const rawDays = task.days !== undefined ? task.days : task.weekdays;
@@ -231,7 +238,20 @@ function createAdminCommandHandler(deps) {
       return daysLabel ? `at ${at} ${daysLabel}` : `at ${at}`;
     }
     if (task.interval) return `every ${task.interval}`;
-    return 'unspecified';
+    return '';
+  }
+
+  function formatTaskSchedule(task) {
+    const parts = [formatTimeSchedule(task)];
+    const edges = readTaskEdges(task);
+    if (edges.ok) {
+      if (edges.after.length > 0) parts.push(`after ${edges.after.join(', ')}`);
+      if (edges.onFailure.length > 0) parts.push(`on failure of ${edges.onFailure.join(', ')}`);
+    }
+    const triggers = normalizeTaskTriggers(task);
+    if (triggers.ok) parts.push(...triggers.triggers.map(describeTrigger));
+    else parts.push(`invalid trigger: ${triggers.error}`);
+    return parts.filter(Boolean).join('; ') || 'unspecified';
   }
 
   function modeFromLevel(level) {
@@ -361,6 +381,83 @@ function createAdminCommandHandler(deps) {
     await bot.sendMessage(chatId, lines.join('\n'));
   }
 
+  /**
+   * Switch the session engine for a chat: the bound Agent's engine/model when
+   * the chat is bound, otherwise the global default. Shared by /engine and
+   * the session-side /handoff.
+   * @returns {{ ok: boolean, config: object, message: string }}
+   */
+  function switchEngine(chatId, arg, config) {
+    const boundProjectKey = resolveBoundProjectKey(chatId, config);
+    const boundProject = boundProjectKey && config && config.projects ? config.projects[boundProjectKey] : null;
+    if (!ENGINE_SWITCH_NAMES.includes(arg)) {
+      return { ok: false, config, message: `❌ 不支持的引擎: ${arg}\n可选: ${ENGINE_SWITCH_NAMES.join(', ')}` };
+    }
+
+    const requestedPolicy = resolveScopedEngine({
+      requestedEngine: arg,
+      projectKey: boundProjectKey || '',
+      project: boundProject,
+      daemonCfg: (config && config.daemon) || {},
+      defaultEngine: getDefaultEngine(),
+    });
+    if (isExperimentalEngineName(arg)
+      && (!boundProjectKey || requestedPolicy.engine !== arg || requestedPolicy.fallback)) {
+      return { ok: false, config, message: `❌ ${arg} 是实验性引擎，仅可在已启用且 allowlist 命中的 Agent 中使用。` };
+    }
+
+    const preferredProvider = (ENGINE_MODEL_CONFIG[arg] || {}).provider;
+
+    if (!isExperimentalEngineName(arg)) setDefaultEngine(arg);
+    const distill = getDistillModel();
+    const distillEngine = providerMod && typeof providerMod.getDistillEngine === 'function'
+      ? providerMod.getDistillEngine()
+      : 'agy';
+    let freshCfg = loadConfig();
+    if (boundProjectKey && freshCfg && freshCfg.projects && freshCfg.projects[boundProjectKey]) {
+      const nextCfg = JSON.parse(JSON.stringify(freshCfg));
+      nextCfg.projects[boundProjectKey].engine = arg;
+      nextCfg.projects[boundProjectKey].model = resolveEngineModel(arg, nextCfg.daemon || {});
+      writeConfigSafe(nextCfg);
+      freshCfg = loadConfig();
+    }
+    const freshDaemon = freshCfg.daemon || {};
+    const syncedModel = resolveEngineModel(
+      arg,
+      freshDaemon,
+      boundProjectKey && freshCfg.projects && freshCfg.projects[boundProjectKey]
+        ? freshCfg.projects[boundProjectKey].model
+        : ''
+    );
+
+    // Auto-switch provider only for Claude-compatible routing.
+    // Codex/Pi auth is handled by their own CLI/provider configuration.
+    let providerNote = '';
+    if (arg === 'codex') {
+      providerNote = '\n🔌 Codex 认证: 使用 `codex login` 或 OPENAI_API_KEY（/provider 不参与 Codex 路由）';
+    } else if (isExperimentalEngineName(arg)) {
+      providerNote = `\n🔌 ${arg} 认证: 由 ${arg} CLI/provider 配置负责（/provider 不参与该引擎路由）`;
+    } else if (providerMod && preferredProvider) {
+      try {
+        providerMod.setActive(preferredProvider);
+        providerNote = `\n🔌 Provider 已同步: ${preferredProvider}`;
+      } catch {
+        // Provider not configured — just inform
+        const cur = providerMod ? providerMod.getActiveName() : '';
+        providerNote = `\n🔌 Provider: ${cur}（如需切换请 /provider ${preferredProvider}）`;
+      }
+    }
+
+    const scopeNote = boundProjectKey
+      ? `\n📍 已同步当前 Agent: ${boundProjectKey}`
+      : '';
+    return {
+      ok: true,
+      config: freshCfg,
+      message: `✅ 引擎已切换: ${arg}\n🤖 会话模型: ${syncedModel}\n🧪 后台蒸馏/记忆沉淀: ${distillEngine}/${distill}${scopeNote}${providerNote}`,
+    };
+  }
+
   async function handleAdminCommand(ctx) {
     const { bot, chatId, text, senderId = null } = ctx;
     const state = ctx.state || {};
@@ -656,17 +753,23 @@ function createAdminCommandHandler(deps) {
 
     if (text === '/tasks') {
       const { general, project } = getAllTasks(config);
+      const all = [...general, ...project];
+      const formatTaskLine = (t, status) => `${t.enabled !== false ? '✅' : '⏸'} ${t.name} (${formatTaskSchedule(t)}) ${status}\n`;
+      // Tasks joined by after:/on_failure: are listed once, as a workflow.
+      const graphs = buildTaskGraphs(all);
+      const inGraph = name => graphs.graphOf.has(name);
       let msg = '';
-      if (general.length > 0) {
+      const standalone = general.filter(t => !inGraph(t.name));
+      if (standalone.length > 0) {
         msg += '📋 General:\n';
-        for (const t of general) {
+        for (const t of standalone) {
           const ts = state.tasks[t.name] || {};
-          msg += `${t.enabled !== false ? '✅' : '⏸'} ${t.name} (${formatTaskSchedule(t)}) ${ts.status || 'never_run'}\n`;
+          msg += formatTaskLine(t, ts.status || 'never_run');
         }
       }
       // Project tasks grouped by _project
       const byProject = new Map();
-      for (const t of project) {
+      for (const t of project.filter(item => !inGraph(item.name))) {
         const pk = t._project.key;
         if (!byProject.has(pk)) byProject.set(pk, { proj: t._project, tasks: [] });
         byProject.get(pk).tasks.push(t);
@@ -675,7 +778,26 @@ function createAdminCommandHandler(deps) {
         msg += `\n${proj.icon} ${proj.name}:\n`;
         for (const t of tasks) {
           const ts = state.tasks[t.name] || {};
-          msg += `${t.enabled !== false ? '✅' : '⏸'} ${t.name} (${formatTaskSchedule(t)}) ${ts.status || 'never_run'}\n`;
+          msg += formatTaskLine(t, ts.status || 'never_run');
+        }
+      }
+      if (!graphs.ok) msg += `\n⚠️ Workflow config invalid: ${graphs.errors.join('; ')}\n`;
+      for (const graph of graphs.graphs) {
+        const run = state.task_graphs && state.task_graphs[graph.id];
+        let header = `\n🔗 ${graph.members.join(' → ')}:`;
+        if (run) {
+          const { done, total } = graphRunProgress(graph, run);
+          const at = String(run.finished_at || run.started_at || '').slice(0, 16).replace('T', ' ');
+          header += ` ${run.status} ${done}/${total}${at ? ` · ${at}` : ''}`;
+        } else {
+          header += ' never_run';
+        }
+        msg += `${header}\n`;
+        for (const name of graph.members) {
+          const t = all.find(item => item.name === name);
+          const ts = state.tasks[name] || {};
+          const nodeStatus = run && run.nodes ? run.nodes[name] : '';
+          msg += `  ${formatTaskLine(t, nodeStatus || ts.status || 'never_run')}`;
         }
       }
       if (!msg) {
@@ -1150,17 +1272,25 @@ function createAdminCommandHandler(deps) {
     }
 
     if (text === '/budget') {
-      const limit = (config.budget && config.budget.daily_limit) || 50000;
-      const used = state.budget.tokens_used;
-      await bot.sendMessage(chatId, `Budget: ${used}/${limit} tokens (${((used / limit) * 100).toFixed(1)}%)`);
+      const budgetCfg = budgetPolicy.normalizeBudgetConfig(config);
+      await bot.sendMessage(chatId, budgetPolicy.formatBudgetReport(budgetCfg, state.budget || {}, {
+        categoryOrder: USAGE_CATEGORY_ORDER,
+        categoryLabels: USAGE_CATEGORY_LABEL,
+      }));
       return { handled: true, config };
     }
 
-    if (text === '/reset-budget') {
+    // /reset-budget [project:<key>|agent:<key>|task:<name>] — whole day or one scope
+    if (text === '/reset-budget' || text.startsWith('/reset-budget ')) {
       if (!state.budget) state.budget = {};
-      state.budget.tokens_used = 0;
-      state.budget.date = new Date().toISOString().slice(0, 10);
-      await bot.sendMessage(chatId, `✅ Budget 已重置 (${state.budget.date})`);
+      const scope = text.slice('/reset-budget'.length).trim();
+      if (!budgetPolicy.resetBudgetState(state.budget, scope)) {
+        await bot.sendMessage(chatId, '用法: /reset-budget [project:<key>|agent:<key>|task:<name>]');
+        return { handled: true, config };
+      }
+      await bot.sendMessage(chatId, scope
+        ? `✅ Budget 已重置: ${scope}`
+        : `✅ Budget 已重置 (${state.budget.date})`);
       return { handled: true, config };
     }
 
@@ -1229,7 +1359,7 @@ function createAdminCommandHandler(deps) {
     if (text === '/broadcast' || text.startsWith('/broadcast ')) {
       const arg = text.slice('/broadcast'.length).trim();
       const cfg = config;
-      const feishuMap = { ...(cfg.feishu ? cfg.feishu.chat_agent_map : {}), ...(cfg.telegram ? cfg.telegram.chat_agent_map : {}) };
+      const feishuMap = { ...(cfg.feishu ? cfg.feishu.chat_agent_map : {}), ...(cfg.telegram ? cfg.telegram.chat_agent_map : {}), ...(cfg.matrix ? cfg.matrix.chat_agent_map : {}) };
       const boundKey = feishuMap[String(chatId)];
       const boundProj = boundKey && cfg.projects ? cfg.projects[boundKey] : null;
       if (!boundProj || !Array.isArray(boundProj.team) || boundProj.team.length === 0) {
@@ -1734,71 +1864,9 @@ function createAdminCommandHandler(deps) {
         ].join('\n'));
         return { handled: true, config };
       }
-      if (!ENGINE_SWITCH_NAMES.includes(arg)) {
-        await bot.sendMessage(chatId, `❌ 不支持的引擎: ${arg}\n可选: ${ENGINE_SWITCH_NAMES.join(', ')}`);
-        return { handled: true, config };
-      }
-
-      const requestedPolicy = resolveScopedEngine({
-        requestedEngine: arg,
-        projectKey: boundProjectKey || '',
-        project: boundProject,
-        daemonCfg: (config && config.daemon) || {},
-        defaultEngine: getDefaultEngine(),
-      });
-      if (isExperimentalEngineName(arg)
-        && (!boundProjectKey || requestedPolicy.engine !== arg || requestedPolicy.fallback)) {
-        await bot.sendMessage(chatId, `❌ ${arg} 是实验性引擎，仅可在已启用且 allowlist 命中的 Agent 中使用。`);
-        return { handled: true, config };
-      }
-
-      const preferredProvider = (ENGINE_MODEL_CONFIG[arg] || {}).provider;
-
-      if (!isExperimentalEngineName(arg)) setDefaultEngine(arg);
-      const distill = getDistillModel();
-      const distillEngine = providerMod && typeof providerMod.getDistillEngine === 'function'
-        ? providerMod.getDistillEngine()
-        : 'agy';
-      let freshCfg = loadConfig();
-      if (boundProjectKey && freshCfg && freshCfg.projects && freshCfg.projects[boundProjectKey]) {
-        const nextCfg = JSON.parse(JSON.stringify(freshCfg));
-        nextCfg.projects[boundProjectKey].engine = arg;
-        nextCfg.projects[boundProjectKey].model = resolveEngineModel(arg, nextCfg.daemon || {});
-        writeConfigSafe(nextCfg);
-        freshCfg = loadConfig();
-      }
-      const freshDaemon = freshCfg.daemon || {};
-      const syncedModel = resolveEngineModel(
-        arg,
-        freshDaemon,
-        boundProjectKey && freshCfg.projects && freshCfg.projects[boundProjectKey]
-          ? freshCfg.projects[boundProjectKey].model
-          : ''
-      );
-
-      // Auto-switch provider only for Claude-compatible routing.
-      // Codex/Pi auth is handled by their own CLI/provider configuration.
-      let providerNote = '';
-      if (arg === 'codex') {
-        providerNote = '\n🔌 Codex 认证: 使用 `codex login` 或 OPENAI_API_KEY（/provider 不参与 Codex 路由）';
-      } else if (isExperimentalEngineName(arg)) {
-        providerNote = `\n🔌 ${arg} 认证: 由 ${arg} CLI/provider 配置负责（/provider 不参与该引擎路由）`;
-      } else if (providerMod && preferredProvider) {
-        try {
-          providerMod.setActive(preferredProvider);
-          providerNote = `\n🔌 Provider 已同步: ${preferredProvider}`;
-        } catch {
-          // Provider not configured — just inform
-          const cur = providerMod ? providerMod.getActiveName() : '';
-          providerNote = `\n🔌 Provider: ${cur}（如需切换请 /provider ${preferredProvider}）`;
-        }
-      }
-
-      const scopeNote = boundProjectKey
-        ? `\n📍 已同步当前 Agent: ${boundProjectKey}`
-        : '';
-      await bot.sendMessage(chatId, `✅ 引擎已切换: ${arg}\n🤖 会话模型: ${syncedModel}\n🧪 后台蒸馏/记忆沉淀: ${distillEngine}/${distill}${scopeNote}${providerNote}`);
-      return { handled: true, config: freshCfg };
+      const switched = switchEngine(chatId, arg, config);
+      await bot.sendMessage(chatId, switched.message);
+      return { handled: true, config: switched.config };
     }
 
     // /distill-model [name] — show or update distill model
@@ -1840,7 +1908,7 @@ function createAdminCommandHandler(deps) {
     return { handled: false, config };
   }
 
-  return { handleAdminCommand, _private: { parseDistillModelIntent } };
+  return { handleAdminCommand, switchEngine, _private: { parseDistillModelIntent } };
 }
 
 module.exports = { createAdminCommandHandler };
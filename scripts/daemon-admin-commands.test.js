@@ -78,6 +78,66 @@ describe('daemon-admin-commands /tasks', () => {
     assert.match(body, /memory-extract \(every 4h\) success/);
     assert.match(body, /morning-brief \(at 09:00 weekdays\) never_run/);
   });
+
+  it('renders cron and trigger schedules', async () => {
+    const sent = [];
+    const { handleAdminCommand } = createHandler(() => ({
+      general: [
+        { name: 'weekly-digest', cron: '0 9 * * mon', timezone: 'Asia/Shanghai', enabled: true },
+        { name: 'wiki-sync', trigger: { task: 'memory-extract' }, enabled: true },
+      ],
+      project: [],
+    }));
+
+    await handleAdminCommand({
+      bot: createBot(sent),
+      chatId: 'mobile-user-1',
+      text: '/tasks',
+      config: {},
+      state: { tasks: {} },
+    });
+
+    assert.match(sent[0], /weekly-digest \(cron 0 9 \* \* mon Asia\/Shanghai\)/);
+    assert.match(sent[0], /wiki-sync \(after memory-extract success\)/);
+  });
+
+  it('reports a dependency graph and its latest run as one workflow', async () => {
+    const sent = [];
+    const { handleAdminCommand } = createHandler(() => ({
+      general: [
+        { name: 'nightly-reflect', at: '01:00', enabled: true },
+        { name: 'memory-gc', after: ['nightly-reflect'], enabled: true },
+        { name: 'wiki-sync', after: ['memory-gc'], enabled: false },
+        { name: 'embedding-index', interval: '30m', enabled: true },
+      ],
+      project: [],
+    }));
+
+    await handleAdminCommand({
+      bot: createBot(sent),
+      chatId: 'mobile-user-1',
+      text: '/tasks',
+      config: {},
+      state: {
+        tasks: { 'embedding-index': { status: 'success' } },
+        task_graphs: {
+          'nightly-reflect': {
+            run_id: 'r1',
+            status: 'failed',
+            started_at: '2026-10-19T01:00:00.000Z',
+            finished_at: '2026-10-19T01:20:00.000Z',
+            nodes: { 'nightly-reflect': 'success', 'memory-gc': 'error', 'wiki-sync': 'disabled' },
+          },
+        },
+      },
+    });
+
+    const body = sent[0];
+    assert.match(body, /📋 General:\n✅ embedding-index \(every 30m\) success\n\n🔗/);
+    assert.match(body, /🔗 nightly-reflect → memory-gc → wiki-sync: failed 3\/3 · 2026-10-19 01:20/);
+    assert.match(body, /  ✅ memory-gc \(after nightly-reflect\) error/);
+    assert.match(body, /  ⏸ wiki-sync \(after memory-gc\) disabled/);
+  });
 });
 
 describe('daemon-admin-commands /status perpetual', () => {
@@ -1309,3 +1369,32 @@ describe('daemon-admin-commands /mentor', () => {
     assert.equal(runtime.last_pattern_check, null);
   });
 });
+
+describe('daemon-admin-commands /budget', () => {
+  it('shows scoped budgets and resets a single scope', async () => {
+    const sent = [];
+    const { handleAdminCommand } = createHandler(() => ({ general: [], project: [] }));
+    const config = {
+      budget: { daily_limit: 1000, projects: { alpha: { daily_limit: 100 } } },
+      projects: { alpha: { name: 'Alpha' } },
+    };
+    const state = {
+      tasks: {},
+      budget: {
+        date: '2026-10-19',
+        tokens_used: 120,
+        scopes: { 'project:alpha': { tokens: 120, cost: 0, categories: { chat_project: 120 } } },
+      },
+    };
+
+    await handleAdminCommand({ bot: createBot(sent), chatId: 'mobile-user-budget', text: '/budget', config, state });
+    assert.match(sent[0], /Global: 120\/1,000 tokens/);
+    assert.match(sent[0], /⛔ project:alpha: 120\/100 tokens/);
+    assert.match(sent[0], /项目对话 120/);
+
+    await handleAdminCommand({ bot: createBot(sent), chatId: 'mobile-user-budget', text: '/reset-budget project:alpha', config, state });
+    assert.match(sent[1], /Budget 已重置: project:alpha/);
+    assert.equal(state.budget.scopes['project:alpha'], undefined);
+    assert.equal(state.budget.tokens_used, 120);
+  });
+});
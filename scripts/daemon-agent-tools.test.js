@@ -121,6 +121,28 @@ describe('daemon-agent-tools engine persistence', () => {
       h.cleanup();
     }
   });
+
+  it('binds Matrix rooms under the matrix section', async () => {
+    const h = createHarness({ projects: {} });
+    try {
+      const workspace = path.join(h.tempRoot, 'bind-matrix');
+      fs.mkdirSync(workspace, { recursive: true });
+
+      const res = await h.tools.bindAgentToChat('!agents:example.org', 'bind matrix', workspace);
+
+      assert.equal(res.ok, true);
+      const cfg = h.getConfig();
+      assert.equal(cfg.matrix.chat_agent_map['!agents:example.org'], 'bind_matrix');
+      assert.deepEqual(cfg.matrix.allowed_chat_ids, ['!agents:example.org']);
+      assert.equal(cfg.feishu, undefined);
+
+      const unbound = await h.tools.unbindCurrentAgent('!agents:example.org');
+      assert.equal(unbound.data.previousProjectKey, 'bind_matrix');
+      assert.deepEqual(h.getConfig().matrix.chat_agent_map, {});
+    } finally {
+      h.cleanup();
+    }
+  });
 });
 
 describe('daemon-agent-tools default workspace derivation', () => {
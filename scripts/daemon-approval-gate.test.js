@@ -0,0 +1,228 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createApprovalGate, HOOK_TIMEOUT_SECONDS } = require('./daemon-approval-gate');
+const { askDaemon, DEADLINE_MS } = require('./hooks/approval-gate');
+
+function createBot() {
+  const sent = [];
+  return {
+    sent,
+    async sendButtons(chatId, text, buttons) { sent.push({ kind: 'buttons', chatId, text, buttons }); },
+    async sendMessage(chatId, text) { sent.push({ kind: 'message', chatId, text }); },
+  };
+}
+
+async function waitFor(check, ms = 2000) {
+  const deadline = Date.now() + ms;
+  while (Date.now() < deadline) {
+    if (check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return check();
+}
+
+function readAudit(dir) {
+  const file = path.join(dir, 'approvals', 'audit.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('daemon-approval-gate', () => {
+  let dir;
+  let config;
+  let timers;
+  let gate;
+  let bot;
+  let seq;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'approval-gate-'));
+    config = {
+      daemon: { approval_policy: { mode: 'ask-for-shell', deny: ['Bash(rm -rf*)'], timeout_seconds: 30 } },
+      projects: { web: { approval_policy: 'ask-for-writes' }, free: { approval_policy: { mode: 'auto' } } },
+    };
+    timers = [];
+    seq = 0;
+    bot = createBot();
+    gate = createApprovalGate({
+      fs,
+      path,
+      log: () => {},
+      loadConfig: () => config,
+      metameDir: dir,
+      socketPath: path.join(dir, 'approval.sock'),
+      hookScript: '/opt/metame/hooks/approval-gate.js',
+      nodeBin: '/usr/bin/node',
+      randomHex: n => String(++seq).padStart(n * 2, '0'),
+      setTimer: (fn, ms) => { const t = { fn, ms }; timers.push(t); return t; },
+      clearTimer: (t) => { t.cleared = true; },
+    });
+  });
+
+  afterEach(() => {
+    gate.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function bindWeb(chatId = 'oc_1') {
+    return gate.bind({ chatId, sessionChatId: chatId, projectKey: 'web', bot, config });
+  }
+
+  it('keeps the hook deadline below the registered hook timeout', () => {
+    assert.ok(DEADLINE_MS < HOOK_TIMEOUT_SECONDS * 1000, 'a timed-out hook would let the tool run');
+  });
+
+  it('binds gated chats to a stable token and hook settings, and reports binding changes', () => {
+    const first = bindWeb();
+    assert.equal(first.gated, true);
+    assert.equal(first.changed, false);
+    assert.equal(first.env.METAME_APPROVAL_SOCKET, path.join(dir, 'approval.sock'));
+    const hook = JSON.parse(first.settings).hooks.PreToolUse[0];
+    assert.equal(hook.matcher, '*');
+    assert.deepEqual(hook.hooks, [{ type: 'command', command: '"/usr/bin/node" "/opt/metame/hooks/approval-gate.js"', timeout: HOOK_TIMEOUT_SECONDS }]);
+
+    const again = bindWeb();
+    assert.equal(again.env.METAME_APPROVAL_TOKEN, first.env.METAME_APPROVAL_TOKEN);
+    assert.equal(again.changed, false, 'warm processes stay valid across turns');
+
+    const ungated = gate.bind({ chatId: 'oc_1', sessionChatId: 'oc_1', projectKey: 'free', bot, config: { projects: config.projects } });
+    assert.deepEqual(ungated, { gated: false, changed: true, env: null, settings: null });
+    const back = bindWeb();
+    assert.equal(back.changed, true);
+    assert.notEqual(back.env.METAME_APPROVAL_TOKEN, first.env.METAME_APPROVAL_TOKEN, 'the old token is retired');
+  });
+
+  it('denies deny patterns and unknown tokens without asking, and audits the denial', async () => {
+    const { env } = bindWeb();
+    const denied = await gate.decide({ token: env.METAME_APPROVAL_TOKEN, tool_name: 'Bash', tool_input: { command: 'rm -rf /srv' } });
+    assert.equal(denied.decision, 'deny');
+    assert.match(denied.reason, /rm -rf\*/);
+    assert.equal((await gate.decide({ token: 'nope', tool_name: 'Read', tool_input: {} })).decision, 'deny');
+    assert.equal((await gate.decide({ token: env.METAME_APPROVAL_TOKEN, tool_name: 'Read', tool_input: { file_path: '/x' } })).decision, 'allow');
+    assert.equal(bot.sent.length, 0);
+    const [entry] = readAudit(dir);
+    assert.equal(entry.decision, 'deny');
+    assert.equal(entry.by, 'policy');
+    assert.equal(entry.project, 'web');
+    assert.equal(readAudit(dir).length, 1, 'plain mode allows are not audited');
+  });
+
+  it('asks over the socket with a card and lets the chat approve, deny or always-allow', async () => {
+    const { env } = bindWeb('oc_1');
+    gate.start();
+    await waitFor(() => fs.existsSync(path.join(dir, 'approval.sock')));
+    const ask = (tool_name, tool_input) => askDaemon({
+      socketPath: env.METAME_APPROVAL_SOCKET, token: env.METAME_APPROVAL_TOKEN, event: { tool_name, tool_input }, deadlineMs: 3000,
+    });
+
+    const first = ask('Edit', { file_path: '/srv/web/app.js' });
+    assert.ok(await waitFor(() => bot.sent.length === 1));
+    const card = bot.sent[0];
+    assert.equal(card.kind, 'buttons');
+    assert.equal(card.chatId, 'oc_1');
+    assert.match(card.text, /\/srv\/web\/app\.js/);
+    const id = /\[([0-9a-f]+)\]/.exec(card.text)[1];
+    assert.deepEqual(card.buttons.flat().map(b => b.callback_data), [`/approve ${id}`, `/deny ${id}`, `/approve ${id} always`]);
+    assert.equal(gate.handleCommand({ text: `/approve ${id}`, chatId: 'oc_2' }), `审批 ${id} 不属于当前会话`);
+    assert.match(gate.handleCommand({ text: `/approve ${id}`, chatId: 'oc_1', readOnly: true }), /只读/);
+    assert.match(gate.handleCommand({ text: `/approve ${id}`, chatId: 'oc_1', senderId: 'u1' }), /已允许/);
+    assert.equal((await first).decision, 'allow');
+    assert.equal(gate.handleCommand({ text: `/approve ${id}`, chatId: 'oc_1' }), `审批 ${id} 不存在或已处理`);
+
+    const second = ask('Bash', { command: 'npm publish' });
+    assert.ok(await waitFor(() => bot.sent.length === 2));
+    const secondId = /\[([0-9a-f]+)\]/.exec(bot.sent[1].text)[1];
+    assert.match(gate.handleCommand({ text: `/deny ${secondId}`, chatId: 'oc_1' }), /已拒绝/);
+    assert.equal((await second).decision, 'deny');
+
+    const third = ask('Bash', { command: 'make deploy' });
+    assert.ok(await waitFor(() => bot.sent.length === 3));
+    const thirdId = /\[([0-9a-f]+)\]/.exec(bot.sent[2].text)[1];
+    assert.match(gate.handleCommand({ text: `/approve ${thirdId} always`, chatId: 'oc_1' }), /保存规则：Bash\(make deploy\)/);
+    assert.equal((await third).decision, 'allow');
+    assert.equal((await ask('Bash', { command: 'make deploy' })).decision, 'allow', 'saved rule answers without a card');
+    assert.equal(bot.sent.length, 3);
+
+    const audit = readAudit(dir);
+    assert.deepEqual(audit.map(e => `${e.decision}/${e.by}`), ['allow/user', 'deny/user', 'allow/user', 'allow/rule']);
+    assert.equal(audit[0].sender_id, 'u1');
+  });
+
+  it('accepts answers for a team member card only from the chat it was posted to and its sender', async () => {
+    const teamBot = { ...bot, replyChatId: 'oc_team' };
+    const { env } = gate.bind({ chatId: '_agent_dev', sessionChatId: '_agent_dev', projectKey: 'web', bot: teamBot, config, senderId: 'ou_boss' });
+    const waiting = gate.decide({ token: env.METAME_APPROVAL_TOKEN, tool_name: 'Edit', tool_input: { file_path: '/srv/web/a.js' } });
+    assert.ok(await waitFor(() => bot.sent.length === 1));
+    const id = /\[([0-9a-f]+)\]/.exec(bot.sent[0].text)[1];
+
+    assert.equal(gate.handleCommand({ text: `/approve ${id}`, chatId: 'oc_other', senderId: 'ou_boss' }), `审批 ${id} 不属于当前会话`);
+    assert.equal(gate.handleCommand({ text: `/deny ${id}`, chatId: '_agent_dev', senderId: 'ou_boss' }), `审批 ${id} 不属于当前会话`);
+    assert.equal(gate.handleCommand({ text: `/approve ${id}`, chatId: 'oc_team', senderId: 'ou_guest' }), `审批 ${id} 不属于当前会话`);
+    assert.match(gate.handleCommand({ text: '/approvals', chatId: 'oc_other' }), /待审批：无/);
+    assert.equal(gate.pendingCount(), 1);
+
+    assert.match(gate.handleCommand({ text: `/approve ${id}`, chatId: 'oc_team', senderId: 'ou_boss' }), /已允许/);
+    assert.equal((await waiting).decision, 'allow');
+    assert.equal(readAudit(dir).at(-1).sender_id, 'ou_boss');
+  });
+
+  it('resolves to on_timeout and tells the chat when nobody answers', async () => {
+    const { env } = bindWeb();
+    const waiting = gate.decide({ token: env.METAME_APPROVAL_TOKEN, tool_name: 'Bash', tool_input: { command: 'ls' } });
+    await waitFor(() => bot.sent.length === 1);
+    assert.equal(timers[0].ms, 30000);
+    timers[0].fn();
+    const result = await waiting;
+    assert.equal(result.decision, 'deny');
+    assert.match(result.reason, /超时/);
+    assert.ok(await waitFor(() => bot.sent.some(m => m.kind === 'message' && /超时/.test(m.text))));
+    assert.equal(gate.pendingCount(), 0);
+
+    config.projects.web = { approval_policy: { mode: 'ask-for-writes', on_timeout: 'allow' } };
+    const lenient = gate.decide({ token: env.METAME_APPROVAL_TOKEN, tool_name: 'Write', tool_input: { file_path: '/x' } });
+    await waitFor(() => timers.length === 2);
+    timers[1].fn();
+    assert.equal((await lenient).decision, 'allow');
+  });
+
+  it('falls back to a text card and denies when delivery fails', async () => {
+    const plain = { sent: [], async sendMessage(chatId, text) { this.sent.push(text); } };
+    const { env } = gate.bind({ chatId: 'oc_9', projectKey: 'web', bot: plain, config });
+    const waiting = gate.decide({ token: env.METAME_APPROVAL_TOKEN, tool_name: 'Bash', tool_input: { command: 'ls' } });
+    await waitFor(() => plain.sent.length === 1);
+    assert.match(plain.sent[0], /回复 \/approve/);
+    gate.stop();
+    assert.equal((await waiting).decision, 'deny');
+
+    const broken = { async sendButtons() { throw new Error('429'); } };
+    const next = gate.bind({ chatId: 'oc_8', projectKey: 'web', bot: broken, config });
+    const failed = await gate.decide({ token: next.env.METAME_APPROVAL_TOKEN, tool_name: 'Bash', tool_input: { command: 'ls' } });
+    assert.equal(failed.decision, 'deny');
+    assert.deepEqual(readAudit(dir).map(e => e.by), ['stopped', 'delivery_failed']);
+  });
+
+  it('lists pending approvals and rules, and revokes a rule by project and number', async () => {
+    const { env } = bindWeb();
+    const waiting = gate.decide({ token: env.METAME_APPROVAL_TOKEN, tool_name: 'Bash', tool_input: { command: 'make a' } });
+    await waitFor(() => bot.sent.length === 1);
+    const id = /\[([0-9a-f]+)\]/.exec(bot.sent[0].text)[1];
+    gate.handleCommand({ text: `/approve ${id} always`, chatId: 'oc_1' });
+    await waiting;
+
+    const listing = gate.handleCommand({ text: '/approvals', chatId: 'oc_1' });
+    assert.match(listing, /📁 web\n1\. Bash\(make a\)/);
+    assert.match(gate.handleCommand({ text: '/approvals revoke web 2', chatId: 'oc_1' }), /没有规则/);
+    assert.match(gate.handleCommand({ text: '/approvals revoke web 1', chatId: 'oc_1', readOnly: true }), /只读/);
+    assert.match(gate.handleCommand({ text: '/approvals revoke web 1', chatId: 'oc_1' }), /已撤销/);
+    assert.match(gate.handleCommand({ text: '/approvals', chatId: 'oc_1' }), /始终允许规则：无/);
+    assert.equal(readAudit(dir).at(-1).decision, 'revoke');
+    assert.equal(gate.handleCommand({ text: '/approvalsx', chatId: 'oc_1' }), null);
+    assert.equal(gate.handleCommand({ text: 'hello', chatId: 'oc_1' }), null);
+  });
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * daemon-attachments.js — per-chat store for files and images sent over the
+ * bridges, and the turn-time step that hands them to engines.
+ *
+ * Layout: ~/.metame/attachments/<chat>/index.json plus one file per upload
+ * (dir 0700, files 0600). Nothing lands in the project tree, so uploads never
+ * show up in git status or overwrite each other. Retention and text
+ * extraction rules live in core/attachments.js; the `attachments` section is
+ * re-read on every call.
+ */
+
+const crypto = require('crypto');
+const { execFile: nodeExecFile } = require('child_process');
+const {
+  MAX_NATIVE_IMAGE_BYTES,
+  normalizeAttachmentsConfig,
+  classifyAttachment,
+  imageMediaType,
+  safeFileName,
+  chatDirName,
+  findAttachmentRefs,
+  buildExtractedTextBlock,
+  selectPrunable,
+  formatBytes,
+} = require('./core/attachments');
+const { fillArgs } = require('./core/voice-config');
+
+const INDEX_FILE = 'index.json';
+const EXTRACT_TIMEOUT_MS = 60 * 1000;
+
+function createAttachmentStore(deps) {
+  const {
+    fs,
+    path,
+    log = () => {},
+    loadConfig,
+    metameDir,
+    HOME = require('os').homedir(),
+    execFile = nodeExecFile,
+    now = Date.now,
+    randomHex = n => crypto.randomBytes(n).toString('hex'),
+  } = deps;
+
+  const root = path.join(metameDir, 'attachments');
+
+  function settings() {
+    return normalizeAttachmentsConfig((loadConfig() || {}).attachments, { home: HOME });
+  }
+
+  function chatDir(chatId) {
+    const digest = crypto.createHash('sha1').update(String(chatId)).digest('hex').slice(0, 8);
+    return path.join(root, chatDirName(chatId, digest));
+  }
+
+  function readIndex(dir) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8'));
+      return data && Array.isArray(data.entries) ? data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeIndex(dir, data) {
+    const file = path.join(dir, INDEX_FILE);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function removeFiles(dir, entry) {
+    for (const name of [entry.file, `${entry.file}.txt`]) {
+      try { fs.rmSync(path.join(dir, name), { force: true }); } catch { /* already gone */ }
+    }
+  }
+
+  function pruneDir(dir, cfg = settings()) {
+    const data = readIndex(dir);
+    if (!data) return 0;
+    const doomed = selectPrunable(data.entries, { now: now(), retentionMs: cfg.retentionMs, maxFiles: cfg.maxFiles });
+    if (doomed.length === 0) return 0;
+    const ids = new Set(doomed.map(entry => entry.id));
+    for (const entry of doomed) removeFiles(dir, entry);
+    writeIndex(dir, { ...data, entries: data.entries.filter(entry => !ids.has(entry.id)) });
+    return doomed.length;
+  }
+
+  function withPath(dir, entry) {
+    return { ...entry, path: path.join(dir, entry.file) };
+  }
+
+  /**
+   * Store one upload for a chat.
+   * @param {string} chatId - the pipeline chat id (topic threads get their own store)
+   * @param {{ name: string, download: (destPath: string) => Promise<any> }} file
+   * @returns {Promise<object>} the index entry plus its absolute `path`
+   */
+  async function save(chatId, file) {
+    const dir = chatDir(chatId);
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const id = randomHex(4);
+    const name = safeFileName(file.name);
+    const stored = `${id}-${name}`;
+    const dest = path.join(dir, stored);
+    const partial = `${dest}.part`;
+    try {
+      await file.download(partial);
+      fs.chmodSync(partial, 0o600);
+      fs.renameSync(partial, dest);
+    } catch (err) {
+      try { fs.rmSync(partial, { force: true }); } catch { /* nothing written */ }
+      throw err;
+    }
+    const entry = {
+      id,
+      name,
+      file: stored,
+      kind: classifyAttachment(name),
+      size: fs.statSync(dest).size,
+      received_at: new Date(now()).toISOString(),
+    };
+    const data = readIndex(dir) || { version: 1, chat_id: String(chatId), entries: [] };
+    data.entries.push(entry);
+    writeIndex(dir, data);
+    pruneDir(dir);
+    log('INFO', `[ATTACH] ${String(chatId).slice(-8)} stored ${stored} (${formatBytes(entry.size)})`);
+    return withPath(dir, entry);
+  }
+
+  /** Entries for a chat, newest first, skipping files removed by hand. */
+  function list(chatId) {
+    const dir = chatDir(chatId);
+    const data = readIndex(dir);
+    if (!data) return [];
+    return data.entries
+      .map(entry => withPath(dir, entry))
+      .filter(entry => fs.existsSync(entry.path))
+      .sort((a, b) => Date.parse(b.received_at) - Date.parse(a.received_at));
+  }
+
+  function clear(chatId) {
+    const dir = chatDir(chatId);
+    const count = (readIndex(dir) || { entries: [] }).entries.length;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return count;
+  }
+
+  /** Apply retention to every chat; returns how many files were removed. */
+  function prune() {
+    let removed = 0;
+    let dirs = [];
+    try { dirs = fs.readdirSync(root); } catch { return 0; }
+    const cfg = settings();
+    for (const name of dirs) {
+      const dir = path.join(root, name);
+      try {
+        removed += pruneDir(dir, cfg);
+        if (readIndex(dir)?.entries.length === 0) fs.rmSync(dir, { recursive: true, force: true });
+      } catch (err) {
+        log('WARN', `[ATTACH] prune ${name} failed: ${err.message}`);
+      }
+    }
+    if (removed > 0) log('INFO', `[ATTACH] retention removed ${removed} file(s)`);
+    return removed;
+  }
+
+  function run(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: EXTRACT_TIMEOUT_MS, maxBuffer: 8 * 1024 * 1024, windowsHide: true }, (err, stdout) => {
+        if (err) reject(new Error(err.killed ? `${path.basename(command)} timed out` : `${path.basename(command)}: ${err.message}`));
+        else resolve(String(stdout || ''));
+      });
+    });
+  }
+
+  /**
+   * Whether `ref` names a file this store saved: directly inside a chat
+   * directory and listed in that chat's index. A path typed into a prompt
+   * cannot reach other files on disk (nor the `.txt` caches) that way.
+   */
+  function isStoredFile(ref) {
+    const dir = path.dirname(ref);
+    if (path.dirname(dir) !== path.resolve(root)) return false;
+    const data = readIndex(dir);
+    const name = path.basename(ref);
+    return !!data && data.entries.some(entry => entry.file === name) && fs.existsSync(ref);
+  }
+
+  // Extracted text is cached next to the file so a later turn that refers to
+  // the same attachment does not run OCR again.
+  async function extractText(filePath, kind, cfg) {
+    const cache = `${filePath}.txt`;
+    if (fs.existsSync(cache)) return fs.readFileSync(cache, 'utf8');
+    let text = '';
+    if (kind === 'pdf' && cfg.pdfText) {
+      text = await run(cfg.pdfText, [filePath, '-']);
+    } else if (kind === 'image' && cfg.ocr) {
+      // `{output}` follows tesseract's convention: the tool appends `.txt`.
+      const stdout = await run(cfg.ocr.command, fillArgs(cfg.ocr.args, { input: filePath, output: filePath }));
+      text = fs.existsSync(cache) ? fs.readFileSync(cache, 'utf8') : stdout;
+    } else {
+      return '';
+    }
+    fs.writeFileSync(cache, text, { mode: 0o600 });
+    return text;
+  }
+
+  /**
+   * Resolve the stored attachments a turn prompt refers to. Images go to the
+   * engine natively when its runtime declares `imageInput`; otherwise (and for
+   * PDFs) extracted text is appended so text-only engines still see content.
+   *
+   * @param {{ prompt: string, imageInput: boolean }} turn
+   * @returns {Promise<{ prompt: string, images: { path: string, mediaType: string }[] }>}
+   */
+  async function prepareTurn({ prompt, imageInput }) {
+    const refs = findAttachmentRefs(prompt, root).filter(isStoredFile);
+    if (refs.length === 0) return { prompt, images: [] };
+    const cfg = settings();
+    const images = [];
+    const blocks = [];
+    for (const ref of refs) {
+      const kind = classifyAttachment(ref);
+      const mediaType = imageMediaType(ref);
+      if (kind === 'image' && imageInput && fs.statSync(ref).size <= MAX_NATIVE_IMAGE_BYTES) {
+        images.push({ path: ref, mediaType });
+        continue;
+      }
+      try {
+        const block = buildExtractedTextBlock({ filePath: ref, kind, text: await extractText(ref, kind, cfg), maxChars: cfg.maxTextChars });
+        if (block) blocks.push(block);
+      } catch (err) {
+        log('WARN', `[ATTACH] text extraction failed for ${path.basename(ref)}: ${err.message}`);
+      }
+    }
+    return { prompt: blocks.length ? `${prompt}\n\n${blocks.join('\n\n')}` : prompt, images };
+  }
+
+  /**
+   * /files — list this chat's attachments; /files clear — delete them.
+   * Returns the reply text, or null when `text` is not a /files command.
+   */
+  function handleCommand({ text, chatId, readOnly = false }) {
+    const m = /^\/files(?:\s+(\S+))?\s*$/i.exec(String(text || '').trim());
+    if (!m) return null;
+    const sub = (m[1] || '').toLowerCase();
+    if (sub === 'clear') {
+      if (readOnly) return '⚠️ 只读模式不能清空附件';
+      return `🗑 已删除本会话的 ${clear(chatId)} 个附件`;
+    }
+    if (sub) return '用法: /files — 查看本会话附件 · /files clear — 全部删除';
+    const entries = list(chatId);
+    if (entries.length === 0) return '📎 本会话还没有附件';
+    const days = Math.round(settings().retentionMs / (24 * 60 * 60 * 1000));
+    return [
+      `📎 本会话附件（${entries.length}，保留 ${days} 天）:`,
+      ...entries.map((entry, i) => `${i + 1}. ${entry.name} · ${formatBytes(entry.size)} · ${entry.received_at.slice(0, 16).replace('T', ' ')}\n   ${entry.path}`),
+    ].join('\n');
+  }
+
+  return { root, save, list, clear, prune, prepareTurn, handleCommand };
+}
+
+module.exports = { createAttachmentStore };
@@ -0,0 +1,136 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createAttachmentStore } = require('./daemon-attachments');
+
+function upload(name, content) {
+  return { name, download: async (destPath) => fs.writeFileSync(destPath, content) };
+}
+
+describe('daemon-attachments', () => {
+  let dir;
+  let config;
+  let clock;
+  let seq;
+  let calls;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    config = { attachments: { retention_days: 7, max_files_per_chat: 3, ocr: { command: 'tesseract' } } };
+    clock = Date.parse('2026-03-20T08:00:00Z');
+    seq = 0;
+    calls = [];
+    store = createAttachmentStore({
+      fs,
+      path,
+      loadConfig: () => config,
+      metameDir: dir,
+      HOME: dir,
+      now: () => clock,
+      randomHex: n => String(++seq).padStart(n * 2, '0'),
+      execFile: (command, args, opts, cb) => {
+        calls.push([command, ...args]);
+        if (command === 'pdftotext') cb(null, 'pdf body text', '');
+        else if (command === 'tesseract') cb(null, 'receipt total 42', '');
+        else cb(new Error('not found'), '', '');
+      },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps same-named uploads apart in a private per-chat dir outside the project', async () => {
+    const first = await store.save('oc_1', upload('report.pdf', 'v1'));
+    clock += 1000;
+    const second = await store.save('oc_1', upload('report.pdf', 'v2'));
+    assert.notEqual(first.path, second.path);
+    assert.equal(fs.readFileSync(first.path, 'utf8'), 'v1');
+    assert.equal(fs.readFileSync(second.path, 'utf8'), 'v2');
+    assert.ok(first.path.startsWith(path.join(dir, 'attachments') + path.sep));
+    assert.equal(first.kind, 'pdf');
+    if (process.platform !== 'win32') {
+      assert.equal(fs.statSync(first.path).mode & 0o777, 0o600);
+      assert.equal(fs.statSync(path.dirname(first.path)).mode & 0o777, 0o700);
+    }
+    assert.deepEqual(store.list('oc_1').map(e => e.id), [second.id, first.id], 'newest first');
+    assert.deepEqual(store.list('oc_2'), []);
+
+    const failing = { name: 'x.png', download: async (dest) => { fs.writeFileSync(dest, 'partial'); throw new Error('network'); } };
+    await assert.rejects(store.save('oc_1', failing), /network/);
+    assert.equal(store.list('oc_1').length, 2);
+    assert.deepEqual(fs.readdirSync(path.dirname(first.path)).filter(f => f.endsWith('.part')), []);
+  });
+
+  it('applies retention and the per-chat cap on save and on sweep', async () => {
+    for (const name of ['a.txt', 'b.txt', 'c.txt', 'd.txt']) {
+      await store.save('oc_1', upload(name, name));
+      clock += 1000;
+    }
+    assert.deepEqual(store.list('oc_1').map(e => e.name), ['d.txt', 'c.txt', 'b.txt'], 'cap drops the oldest');
+
+    clock += 8 * 24 * 60 * 60 * 1000;
+    assert.equal(store.prune(), 3);
+    assert.deepEqual(store.list('oc_1'), []);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'attachments')), [], 'empty chat dirs are removed');
+  });
+
+  it('passes images natively when the engine accepts them and appends extracted text otherwise', async () => {
+    const image = await store.save('oc_1', upload('shot.png', 'png-bytes'));
+    const pdf = await store.save('oc_1', upload('spec.pdf', '%PDF'));
+    const prompt = `look at ${image.path} and ${pdf.path}\nalso /tmp/elsewhere.png`;
+
+    const native = await store.prepareTurn({ prompt, imageInput: true });
+    assert.deepEqual(native.images, [{ path: image.path, mediaType: 'image/png' }]);
+    assert.match(native.prompt, new RegExp(`\\[Extracted text of ${pdf.path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\]\\npdf body text`));
+    assert.doesNotMatch(native.prompt, /OCR/);
+
+    const textOnly = await store.prepareTurn({ prompt, imageInput: false });
+    assert.deepEqual(textOnly.images, []);
+    assert.match(textOnly.prompt, /\[Text recognized \(OCR\) in .*shot\.png\]\nreceipt total 42/);
+    await store.prepareTurn({ prompt, imageInput: false });
+    assert.deepEqual(calls.map(c => c[0]), ['pdftotext', 'tesseract'], 'extracted text is cached per file');
+    assert.deepEqual(calls[1], ['tesseract', image.path, 'stdout']);
+
+    const plain = await store.prepareTurn({ prompt: 'no attachments here', imageInput: false });
+    assert.deepEqual(plain, { prompt: 'no attachments here', images: [] });
+  });
+
+  it('only hands over files the store saved, whatever path the prompt spells', async () => {
+    const saved = await store.save('oc_1', upload('spec.pdf', '%PDF'));
+    const chatDir = path.dirname(saved.path);
+    fs.writeFileSync(path.join(dir, 'tax.pdf'), 'private');
+    fs.writeFileSync(path.join(chatDir, 'planted.pdf'), 'not uploaded');
+    const prompt = [
+      `${store.root}/../tax.pdf`,
+      `${chatDir}/../../tax.pdf`,
+      `${chatDir}/planted.pdf`,
+      `${saved.path}.txt`,
+    ].join(' ');
+
+    assert.deepEqual(await store.prepareTurn({ prompt, imageInput: true }), { prompt, images: [] });
+    assert.deepEqual(calls, []);
+    assert.equal(fs.existsSync(path.join(dir, 'tax.pdf.txt')), false);
+  });
+
+  it('answers /files with the chat listing and refuses clear in read-only chats', async () => {
+    assert.equal(store.handleCommand({ text: '/files', chatId: 'oc_1' }), '📎 本会话还没有附件');
+    const saved = await store.save('oc_1', upload('notes.txt', 'hello'));
+    const listing = store.handleCommand({ text: '/files', chatId: 'oc_1' });
+    assert.match(listing, /本会话附件（1，保留 7 天）/);
+    assert.match(listing, /1\. notes\.txt · 5 B · 2026-03-20 08:00/);
+    assert.ok(listing.includes(saved.path));
+    assert.match(store.handleCommand({ text: '/files bogus', chatId: 'oc_1' }), /用法/);
+    assert.match(store.handleCommand({ text: '/files clear', chatId: 'oc_1', readOnly: true }), /只读/);
+    assert.equal(store.handleCommand({ text: '/files clear', chatId: 'oc_1' }), '🗑 已删除本会话的 1 个附件');
+    assert.equal(fs.existsSync(saved.path), false);
+    assert.equal(store.handleCommand({ text: '/filesx', chatId: 'oc_1' }), null);
+  });
+});
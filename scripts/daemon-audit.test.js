@@ -105,4 +105,35 @@ describe('createAudit logger', () => {
     assert.match(fs.readFileSync(logFile, 'utf8'), /\[INFO\] hello world/);
     assert.match(mirrored, /\[INFO\] hello world/);
   });
+  it('never lowers scoped budget counters from a stale snapshot', () => {
+    const dir = makeTempDir();
+    const stateFile = path.join(dir, 'state.json');
+    fs.writeFileSync(stateFile, JSON.stringify({
+      budget: {
+        date: '2026-10-19',
+        tokens_used: 100,
+        cost_used: 0.4,
+        scopes: { 'project:alpha': { tokens: 80, cost: 0.3, categories: { chat_project: 80 } } },
+        warned: ['project:alpha'],
+      },
+    }), 'utf8');
+
+    const audit = createAudit({
+      fs,
+      logFile: path.join(dir, 'daemon.log'),
+      stateFile,
+      stdout: { isTTY: true, write() {} },
+      stderr: { write() {} },
+    });
+    audit.loadState();
+    audit.saveState({
+      budget: { date: '2026-10-19', tokens_used: 50, scopes: { 'task:x': { tokens: 5, cost: 0 } } },
+    });
+
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    assert.equal(saved.budget.cost_used, 0.4);
+    assert.equal(saved.budget.scopes['project:alpha'].tokens, 80);
+    assert.equal(saved.budget.scopes['task:x'].tokens, 5);
+    assert.deepEqual(saved.budget.warned, ['project:alpha']);
+  });
 });
@@ -0,0 +1,101 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createBridgePlugin } = require('./core/bridge-plugin');
+const { createBridgeStarter } = require('./daemon-bridges');
+const { createFakeTransport, runBridgeConformance } = require('./test-support/bridge-conformance');
+const { mkdtempForTest } = require('./test-support/test-utils');
+
+function ircPlugin(capabilities = ['receive', 'send', 'edit', 'buttons', 'files', 'threads']) {
+  return createBridgePlugin({
+    protocolVersion: 1,
+    descriptor: { id: 'irc', displayName: 'Local IRC', capabilities },
+    createTransport: () => createFakeTransport({ capabilities }),
+  });
+}
+
+function starterDeps(home, config) {
+  return {
+    fs,
+    path,
+    HOME: home,
+    log: () => {},
+    sleep: async () => {},
+    loadConfig: () => config,
+    loadState: () => ({}),
+    saveState: () => {},
+    getSession: () => null,
+    handleCommand: async () => {},
+    pipeline: { processMessage: async () => {}, clearQueue: () => {}, interruptActive: () => false },
+    pendingActivations: new Map(),
+  };
+}
+
+describe('bridge conformance kit', () => {
+  it('passes a third-party bridge declaring every capability', async () => {
+    const report = await runBridgeConformance(ircPlugin());
+    assert.deepEqual(report.failures, []);
+    assert.deepEqual(report.results.map(r => r.check), [
+      'descriptor', 'transport', 'connect', 'receive', 'allowlist', 'send',
+      'edit', 'buttons', 'files', 'threads', 'stop',
+    ]);
+  });
+
+  it('drives every built-in bridge through a fake transport', async () => {
+    const { registry } = createBridgeStarter(starterDeps(mkdtempForTest('metame-bridges-'), {}));
+    assert.deepEqual(registry.list().map(p => p.descriptor.id), ['telegram', 'feishu', 'matrix', 'imessage', 'siri', 'openai', 'weixin']);
+    for (const plugin of registry.list()) {
+      const report = await runBridgeConformance(plugin);
+      assert.deepEqual(report.failures, [], plugin.descriptor.id);
+    }
+  });
+
+  it('reports a transport that does not provide a declared capability', async () => {
+    const transport = createFakeTransport({ capabilities: ['receive', 'send'] });
+    const report = await runBridgeConformance(ircPlugin(['receive', 'send', 'edit']), { transport });
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.failures, ['transport: edit declared but bot.editMessage is missing']);
+  });
+});
+
+describe('trusted local bridge plugins', () => {
+  it('loads plugins listed under bridges.plugins and starts them with the built-ins', async () => {
+    const home = mkdtempForTest('metame-bridges-');
+    try {
+      const pluginDir = path.join(home, 'bridges');
+      fs.mkdirSync(pluginDir);
+      fs.writeFileSync(path.join(pluginDir, 'irc.js'), `
+        module.exports = {
+          protocolVersion: 1,
+          descriptor: { id: 'irc', displayName: 'Local IRC', capabilities: ['receive', 'send'] },
+          createTransport: (cfg) => ({
+            bot: { sendMessage: async () => ({ message_id: 1 }) },
+            server: cfg.server,
+            connect() {},
+            disconnect() {},
+          }),
+        };
+      `);
+      fs.writeFileSync(path.join(pluginDir, 'broken.js'), 'module.exports = { protocolVersion: 1 };');
+      const config = {
+        bridges: { plugins: ['~/bridges/irc.js', 'bridges/broken.js'] },
+        irc: { enabled: true, server: 'localhost:6667', allowed_chat_ids: ['#metame'] },
+      };
+      const logs = [];
+      const starter = createBridgeStarter({ ...starterDeps(home, config), log: (level, msg) => logs.push(`${level} ${msg}`) });
+
+      const handles = await starter.startBridges(config, async () => {});
+      assert.deepEqual([...handles.keys()], ['irc']);
+      assert.equal(typeof handles.get('irc').bot.sendMessage, 'function');
+      assert.ok(logs.some(line => /^ERROR \[BRIDGE\] local plugin .*broken\.js rejected: bridge_plugin_invalid/.test(line)));
+      assert.ok(starter.registry.lookup('irc'));
+      handles.get('irc').stop();
+    } finally {
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,826 @@
+'use strict';
+
+/**
+ * daemon-bridge-inbound.js
+ *
+ * What every chat bridge does after a message arrives, independent of the
+ * platform: chat allowlist, user ACL, file uploads, voice transcription, reply-to-session
+ * restore, topic threads, team routing (/stop, quoted reply, nickname,
+ * sticky member) and the hand-off to the message pipeline.
+ *
+ * Bridges deliver normalized inbound messages (core/bridge-plugin.js) to
+ * `route(bot, message, options)`; `bot` is the bridge's send side.
+ */
+
+let userAcl = null;
+try { userAcl = require('./daemon-user-acl'); } catch { /* optional */ }
+const { findTeamMember: _findTeamMember } = require('./daemon-team-dispatch');
+const { isRemoteMember } = require('./daemon-remote-dispatch');
+const { buildThreadChatId, isThreadChatId, rawChatId: _threadRawChatId } = require('./core/thread-chat-id');
+const { isAgentLogicalRouteForMember } = require('./core/team-session-route');
+const { buildUploadPrompt } = require('./core/attachments');
+
+const MSG_SESSION_MAX_ENTRIES = 5000;
+const MSG_SESSION_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+const DEFAULT_CHAT_MAP_KEYS = Object.freeze(['telegram', 'feishu', 'matrix', 'imessage']);
+const BIND_COMMAND_PREFIXES = Object.freeze(['/agent bind', '/agent-bind-dir', '/browse bind']);
+
+function isBindCommand(text) {
+  const trimmed = String(text || '').trim();
+  return BIND_COMMAND_PREFIXES.some(prefix => trimmed.startsWith(prefix)) || trimmed === '/activate';
+}
+
+function createBridgeInbound(deps) {
+  const {
+    path,
+    HOME,
+    log,
+    loadConfig,
+    loadState,
+    saveState,
+    getSession,
+    restoreSessionFromReply,
+    releaseWarmPool,
+    pipeline,
+    pendingActivations,
+    sendRemoteDispatch,
+    approvalGate = null, // optional — /approve, /deny, /approvals answered ahead of the pipeline
+    voice = null,        // optional — local STT for voice notes (daemon-voice.js)
+    attachmentStore = null, // optional — per-chat upload store; without it uploads land in <cwd>/upload
+    listChatMapKeys = () => DEFAULT_CHAT_MAP_KEYS, // config sections whose chat_agent_map binds chats
+  } = deps;
+  const fs = deps.fs;
+
+  function sendRich(bot, chatId, text) {
+    return bot.sendMarkdown ? bot.sendMarkdown(chatId, text) : bot.sendMessage(chatId, text);
+  }
+
+  async function sendAclReply(bot, chatId, text) {
+    if (!text) return;
+    try {
+      if (bot.sendMarkdown) await bot.sendMarkdown(chatId, text);
+      else await bot.sendMessage(chatId, text.replace(/[*_`]/g, ''));
+    } catch { /* non-fatal */ }
+  }
+
+  function normalizeSenderId(senderId) {
+    if (senderId === undefined || senderId === null) return null;
+    const text = String(senderId).trim();
+    return text || null;
+  }
+
+  async function applyUserAcl({ bot, chatId, text, config, senderId, bypassAcl, fromAllowedChat }) {
+    const trimmed = String(text || '').trim();
+    const normalizedSenderId = normalizeSenderId(senderId);
+    if (!trimmed || bypassAcl || !userAcl) {
+      return { blocked: false, readOnly: false, senderId: normalizedSenderId };
+    }
+
+    let userCtx;
+    try {
+      userCtx = userAcl.resolveUserCtx(normalizedSenderId, config || {}, { fromAllowedChat: !!fromAllowedChat });
+    } catch {
+      return { blocked: false, readOnly: false, senderId: normalizedSenderId };
+    }
+    // Audit trail for implicit-admin upgrades — these users are NOT in users.yaml
+    // and gain admin via group-whitelist trust, so make their action visible.
+    if (userCtx && userCtx.implicitAdmin) {
+      try { log('INFO', `[ACL] implicit admin via allowed_chat_ids: chat=${chatId} sender=${normalizedSenderId}`); } catch { /* non-fatal */ }
+    }
+
+    const userCmd = userAcl.handleUserCommand(trimmed, userCtx);
+    if (userCmd && userCmd.handled) {
+      await sendAclReply(bot, chatId, userCmd.reply);
+      return { blocked: true, readOnly: !!userCtx.readOnly, senderId: normalizedSenderId };
+    }
+
+    const publicCmds = Array.isArray(userAcl.PUBLIC_COMMANDS) ? userAcl.PUBLIC_COMMANDS : [];
+    const isPublic = publicCmds.includes(trimmed.toLowerCase());
+    const action = userAcl.classifyCommandAction(trimmed);
+    const allowed = isPublic || (typeof userCtx.can === 'function' && userCtx.can(action));
+    if (!allowed) {
+      await sendAclReply(bot, chatId, `⚠️ 当前权限不足（角色: ${userCtx.role}）\n命令类型: ${action}\n请联系管理员授权。`);
+      return { blocked: true, readOnly: true, senderId: normalizedSenderId };
+    }
+
+    return { blocked: false, readOnly: !!userCtx.readOnly, senderId: normalizedSenderId };
+  }
+
+  // Returns the best pending activation for a given chatId (excludes self-created)
+  function getPendingActivationForChat(chatId) {
+    if (!pendingActivations || pendingActivations.size === 0) return null;
+    const cid = String(chatId);
+    let latest = null;
+    for (const rec of pendingActivations.values()) {
+      if (rec.createdByChatId === cid) continue;
+      if (!latest || rec.createdAt > latest.createdAt) latest = rec;
+    }
+    return latest;
+  }
+
+  function unauthorizedMsg(chatId) {
+    const pending = getPendingActivationForChat(chatId);
+    if (pending) {
+      return `⚠️ 此群未授权\n\n发送以下命令激活 Agent「${pending.agentName}」：\n\`/activate\``;
+    }
+    return '⚠️ 此群未授权\n\n如已创建 Agent，发送 `/activate` 完成绑定。\n否则请先在主群创建 Agent。';
+  }
+
+  function trackBridgeReplyMapping(messageId, payload = {}) {
+    const safeMessageId = String(messageId || '').trim();
+    if (!safeMessageId) return;
+    const state = loadState();
+    if (!state.msg_sessions) state.msg_sessions = {};
+    state.msg_sessions[safeMessageId] = {
+      ...(state.msg_sessions[safeMessageId] || {}),
+      ...payload,
+      touchedAt: Date.now(),
+    };
+    const now = Date.now();
+    const entries = Object.entries(state.msg_sessions).filter(([, value]) => {
+      const touchedAt = Number(value && value.touchedAt || 0);
+      return !touchedAt || (now - touchedAt) <= MSG_SESSION_MAX_AGE_MS;
+    });
+    state.msg_sessions = Object.fromEntries(
+      (entries.length > MSG_SESSION_MAX_ENTRIES
+        ? entries
+          .sort((a, b) => Number((a[1] && a[1].touchedAt) || 0) - Number((b[1] && b[1].touchedAt) || 0))
+          .slice(entries.length - MSG_SESSION_MAX_ENTRIES)
+        : entries)
+    );
+    saveState(state);
+  }
+
+  function inferSessionMapping(logicalChatId, fallback = {}) {
+    const chatKey = String(logicalChatId || '').trim();
+    if (!chatKey) return { ...fallback };
+    const state = loadState();
+    const raw = state.sessions && state.sessions[chatKey];
+    if (!raw || typeof raw !== 'object') {
+      return {
+        logicalChatId: chatKey,
+        ...fallback,
+      };
+    }
+    const engines = raw.engines && typeof raw.engines === 'object' ? raw.engines : {};
+    const preferredEngine = String(fallback.engine || '').trim().toLowerCase();
+    const slot = (preferredEngine && engines[preferredEngine])
+      || engines.agy
+      || engines.codex
+      || engines.claude
+      || null;
+    return {
+      ...(slot && slot.id ? { id: String(slot.id) } : {}),
+      cwd: raw.cwd || fallback.cwd,
+      engine: preferredEngine || (engines.agy ? 'agy' : engines.codex ? 'codex' : 'claude'),
+      logicalChatId: chatKey,
+      ...((slot && slot.sandboxMode) ? { sandboxMode: slot.sandboxMode } : {}),
+      ...((slot && slot.approvalPolicy) ? { approvalPolicy: slot.approvalPolicy } : {}),
+      ...((slot && slot.permissionMode) ? { permissionMode: slot.permissionMode } : {}),
+      ...fallback,
+    };
+  }
+
+  function resolveReplyStopChatId(targetKey, fallbackChatId, replyMapping) {
+    const resolvedFallback = String(fallbackChatId || '').trim();
+    const mapping = replyMapping && typeof replyMapping === 'object' ? replyMapping : null;
+    const logicalChatId = String(mapping && mapping.logicalChatId || '').trim();
+    if (!logicalChatId) return resolvedFallback;
+    if (!targetKey) return logicalChatId;
+    const expectedPrefix = `_agent_${String(targetKey).trim()}`;
+    if (logicalChatId === expectedPrefix || logicalChatId.startsWith(`${expectedPrefix}::`)) {
+      return logicalChatId;
+    }
+    return resolvedFallback;
+  }
+
+  // ── Team group helpers ─────────────────────────────────────────────────
+  function getBoundProject(chatId, cfg) {
+    const map = {};
+    for (const key of listChatMapKeys()) {
+      Object.assign(map, (cfg[key] && cfg[key].chat_agent_map) || {});
+    }
+    const key = map[String(chatId)] || map[_threadRawChatId(chatId)];
+    const proj = key && cfg.projects ? cfg.projects[key] : null;
+    return { key: key || null, project: proj || null };
+  }
+  // _findTeamMember is imported from daemon-team-dispatch.js (shared with admin-commands)
+
+  // Creates a bot proxy that redirects all send methods to replyChatId
+  function _createTeamProxyBot(bot, replyChatId) {
+    const SEND = new Set(['sendMessage', 'sendMarkdown', 'sendCard', 'editMessage', 'deleteMessage', 'sendTyping', 'sendFile', 'sendButtons', 'sendButtonCard']);
+    return new Proxy(bot, {
+      get(target, prop) {
+        // Lets the approval gate check answers against the chat that actually sees the card.
+        if (prop === 'replyChatId') return replyChatId;
+        const orig = target[prop];
+        if (typeof orig !== 'function') return orig;
+        if (!SEND.has(prop)) return orig.bind(target);
+        return function(_chatId, ...args) { return orig.call(target, replyChatId, ...args); };
+      },
+    });
+  }
+
+  function _createPipelineTarget({ pipelineChatId, effectiveChatId, bot }) {
+    const replyChatId = String(pipelineChatId || '').trim();
+    const processChatId = String(effectiveChatId || pipelineChatId || '').trim();
+    if (!replyChatId || !processChatId) {
+      return { processChatId: replyChatId || processChatId, bot };
+    }
+    if (replyChatId === processChatId) {
+      return { processChatId, bot };
+    }
+    return {
+      processChatId,
+      bot: _createTeamProxyBot(bot, replyChatId),
+    };
+  }
+  // Get team member's working directory inside the source tree, never under ~/.metame.
+  // Creates agents/<key>/ directory by default, or ensures an explicit member.cwd exists.
+  function _getMemberCwd(parentCwd, key, explicitCwd = null) {
+    const { existsSync, mkdirSync, symlinkSync, readFileSync, writeFileSync } = require('fs');
+    const { execFileSync } = require('child_process');
+    const WIN_HIDE = process.platform === 'win32' ? { windowsHide: true } : {};
+
+    // Sanitize key to prevent path traversal
+    const safeKey = String(key).replace(/[^a-zA-Z0-9_\-]/g, '').slice(0, 50);
+    if (safeKey !== key) {
+      log('WARN', `Sanitized team member key: ${key} -> ${safeKey}`);
+    }
+
+    // Use explicit member cwd when provided, otherwise default to agents/<key>/.
+    const agentsDir = path.join(parentCwd, 'agents');
+    const memberDir = explicitCwd
+      ? path.resolve(String(explicitCwd).replace(/^~/, require('os').homedir()))
+      : path.join(agentsDir, safeKey);
+
+    // Create agents directory if using the default layout.
+    if (!explicitCwd && !existsSync(agentsDir)) {
+      mkdirSync(agentsDir, { recursive: true });
+    }
+
+    // Create member directory if not exists
+    if (!existsSync(memberDir)) {
+      mkdirSync(memberDir, { recursive: true });
+      log('INFO', `Created agent directory: ${memberDir}`);
+    }
+
+    // Initialize git for checkpoint support
+    const gitDir = path.join(memberDir, '.git');
+    if (!existsSync(gitDir)) {
+      try {
+        execFileSync('git', ['init'], { cwd: memberDir, stdio: 'ignore', ...WIN_HIDE });
+        log('INFO', `Git repo initialized: ${memberDir}`);
+      } catch (e) {
+        log('WARN', `Failed to init git for ${memberDir}: ${e.message}`);
+      }
+    }
+
+    // Set up CLAUDE.md: use dedicated, or template, or symlink from parent
+    const claudeMd = path.join(memberDir, 'CLAUDE.md');
+    const parentClaudeMd = path.join(parentCwd, 'CLAUDE.md');
+    if (!existsSync(claudeMd)) {
+      // Priority 1: dedicated CLAUDE.md in agents/<key>/ directory
+      const dedicatedPath = path.join(parentCwd, 'agents', safeKey, 'CLAUDE.md');
+      if (existsSync(dedicatedPath)) {
+        try {
+          // Copy instead of symlink to avoid cross-device issues
+          const content = readFileSync(dedicatedPath, 'utf8');
+          writeFileSync(claudeMd, content, 'utf8');
+          log('INFO', `Copied dedicated CLAUDE.md for ${safeKey}`);
+        } catch (e) {
+          log('WARN', `Failed to copy CLAUDE.md for ${safeKey}: ${e.message}`);
+        }
+      } else if (existsSync(parentClaudeMd)) {
+        // Priority 2: symlink to parent CLAUDE.md
+        try {
+          // Use 'junction' on Windows for directories, 'file' for files
+          const linkType = process.platform === 'win32' ? 'junction' : 'file';
+          symlinkSync(parentClaudeMd, claudeMd, linkType);
+          log('INFO', `Symlinked CLAUDE.md for ${safeKey}`);
+        } catch (e) {
+          // Fallback: copy file
+          try {
+            const content = readFileSync(parentClaudeMd, 'utf8');
+            writeFileSync(claudeMd, content, 'utf8');
+            log('INFO', `Copied CLAUDE.md for ${safeKey} (symlink failed)`);
+          } catch (e2) {
+            log('WARN', `Failed to create CLAUDE.md for ${safeKey}: ${e2.message}`);
+          }
+        }
+      }
+    }
+
+    return memberDir;
+  }
+
+  function dispatchToTeamMember(member, boundProj, text, cfg, bot, realChatId, executeTaskByName, acl) {
+    // Remote member → send via relay chat
+    if (isRemoteMember(member) && sendRemoteDispatch) {
+      sendRemoteDispatch({
+        type: 'task',
+        to_peer: member.peer,
+        target_project: member.key,
+        prompt: text,
+        source_chat_id: String(realChatId),
+        source_sender_key: acl.senderId || 'user',
+        source_sender_id: acl.senderId || '',
+      }, cfg).then(res => {
+        if (res.success) {
+          bot.sendMessage(realChatId, `📡 已发送给 ${member.icon || '🤖'} ${member.name} (${member.peer})`).catch(() => {});
+        } else {
+          bot.sendMessage(realChatId, `❌ 远端派发失败: ${res.error}`).catch(() => {});
+        }
+      });
+      return;
+    }
+
+    // When dispatching from a topic thread, include the thread ID in the
+    // virtual session key so each topic gets its own independent session.
+    const realChatIdStr = String(realChatId || '');
+    const state = loadState() || {};
+    const routeMap = state.team_session_route || {};
+    const rawChatKey = _threadRawChatId(realChatIdStr);
+    const preferredLogicalChatId = routeMap[realChatIdStr] || routeMap[rawChatKey] || '';
+    const expectedBaseChatId = `_agent_${member.key}`;
+    const virtualChatId = isAgentLogicalRouteForMember(preferredLogicalChatId, member.key)
+      ? preferredLogicalChatId
+      : (isThreadChatId(realChatIdStr)
+          ? `${expectedBaseChatId}::${realChatIdStr}`
+          : expectedBaseChatId);
+    const parentCwd = member.cwd || boundProj.cwd;
+    const resolvedParentCwd = parentCwd.replace(/^~/, require('os').homedir());
+    const memberCwd = _getMemberCwd(
+      resolvedParentCwd,
+      member.key,
+      member.cwd || null,
+    );
+    if (!memberCwd) {
+      log('ERROR', `Team [${member.key}] cannot start: directory unavailable`);
+      bot.sendMessage(realChatId, `❌ ${member.icon || '🤖'} ${member.name} 启动失败：工作目录创建失败`).catch(() => {});
+      return;
+    }
+    log('INFO', `Team [${member.key}] using cwd: ${memberCwd}`);
+    // Spawn cwd MUST be the actual work directory (worktree/member dir) so that:
+    //   1. Claude CLI operates in the correct directory (git, file edits)
+    //   2. /undo, /redo, /reset target the right repo
+    // Session visibility on desktop is handled by findSessionFile scanning all project dirs,
+    // and by session naming (auto-name with agent label prefix).
+    const teamCfg = {
+      ...cfg,
+      projects: {
+        ...(cfg.projects || {}),
+        [member.key]: {
+          cwd: memberCwd,                                    // actual work directory
+          name: member.name,
+          icon: member.icon || '🤖',
+          color: member.color || 'blue',
+          engine: member.engine || boundProj.engine,
+        },
+      },
+    };
+    const proxyBot = _createTeamProxyBot(bot, realChatId);
+    pipeline.processMessage(virtualChatId, text, { bot: proxyBot, config: teamCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly })
+      .catch(e => log('ERROR', `Team [${member.key}] error: ${e.message}`));
+  }
+  // ────────────────────────────────────────────────────────────────────────
+
+  async function routeFile(bot, message, { liveCfg, chatId, pipelineChatId, acl, label, executeTaskByName }) {
+    const { file, text } = message;
+    log('INFO', `${label} file from ${chatId}: ${file.name}`);
+
+    try {
+      let prompt;
+      if (attachmentStore) {
+        // Stored per chat outside the project; the engine turn picks it up
+        // from the path in the prompt (natively for images where supported).
+        const entry = await attachmentStore.save(pipelineChatId, file);
+        await bot.sendMessage(pipelineChatId, `📥 Saved: ${entry.name}`);
+        prompt = buildUploadPrompt({ filePath: entry.path, name: entry.name, kind: entry.kind, text });
+      } else {
+        const session = getSession(pipelineChatId) || getSession(chatId);
+        const uploadDir = path.join(session?.cwd || HOME, 'upload');
+        if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+        const destPath = path.join(uploadDir, file.name);
+        await file.download(destPath);
+        await bot.sendMessage(pipelineChatId, `📥 Saved: ${file.name}`);
+        prompt = text
+          ? `User uploaded a file to the project: ${destPath}\nUser says: "${text}"`
+          : `User uploaded a file to the project: ${destPath}\nAcknowledge receipt. Only read the file if the user asks you to.`;
+      }
+
+      // Respect team_sticky: route to active agent same as text messages
+      const _stFile = loadState();
+      const _chatKeyFile = String(pipelineChatId);
+      const _rawChatKeyFile = _threadRawChatId(_chatKeyFile);
+      const { project: _boundProjFile } = getBoundProject(chatId, liveCfg);
+      const _stickyKeyFile = (_stFile.team_sticky || {})[_chatKeyFile] || (_stFile.team_sticky || {})[_rawChatKeyFile];
+      if (_boundProjFile && Array.isArray(_boundProjFile.team) && _boundProjFile.team.length > 0 && _stickyKeyFile) {
+        const _stickyMember = _boundProjFile.team.find(m => m.key === _stickyKeyFile);
+        if (_stickyMember) {
+          log('INFO', `${label} file → sticky route to ${_stickyKeyFile}`);
+          dispatchToTeamMember(_stickyMember, _boundProjFile, prompt, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
+          return;
+        }
+      }
+      await pipeline.processMessage(pipelineChatId, prompt, { bot, config: liveCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly });
+    } catch (err) {
+      log('ERROR', `${label} file download failed: ${err.message}`);
+      await bot.sendMessage(pipelineChatId, `❌ Download failed: ${err.message}`);
+    }
+  }
+
+  // A voice note becomes its transcript, echoed back so a misheard request is
+  // visible before the agent acts on it, then routed like typed text.
+  async function routeVoice(bot, message, { chatId, pipelineChatId, label }) {
+    if (!voice || !voice.isEnabled()) {
+      await bot.sendMessage(chatId, message.notice || '🎤 未启用语音识别（daemon.yaml 的 voice 配置），请发送文字。');
+      return null;
+    }
+    log('INFO', `${label} voice from ${chatId}: ${message.voice.name}`);
+    let transcript = '';
+    try {
+      if (bot.sendTyping) bot.sendTyping(pipelineChatId).catch(() => {});
+      transcript = await voice.transcribe(message.voice);
+    } catch (err) {
+      log('ERROR', `${label} voice transcription failed: ${err.message}`);
+      await bot.sendMessage(pipelineChatId, `❌ 语音识别失败: ${err.message}`).catch(() => {});
+      return null;
+    }
+    if (!transcript) {
+      await bot.sendMessage(pipelineChatId, '🎤 没有识别到内容，请重说或发送文字。').catch(() => {});
+      return null;
+    }
+    if (voice.echoTranscript()) {
+      await bot.sendMessage(pipelineChatId, `🎤 ${transcript}`).catch(() => {});
+    }
+    const text = message.text ? `${message.text}\n${transcript}` : transcript;
+    return { ...message, voice: null, text };
+  }
+
+  // The chat's pipeline is busy with the run that is waiting for the answer,
+  // so approval commands must not queue behind it.
+  async function answerApproval(bot, chatId, text, acl) {
+    if (!approvalGate) return false;
+    const reply = approvalGate.handleCommand({ text, chatId, senderId: acl.senderId, readOnly: acl.readOnly });
+    if (reply === null) return false;
+    await bot.sendMessage(chatId, reply).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Route one inbound message from a bridge. Resolves when the pipeline
+   * turn it started has finished; bridges must not block receipt on it.
+   *
+   * options: { configKey, label, executeTaskByName,
+   *            authorizedByTransport (bridge filtered chats itself),
+   *            trustAllowedChats (allowlisted chats grant implicit admin) }
+   */
+  async function route(bot, message, options = {}) {
+    const {
+      configKey,
+      label = configKey,
+      executeTaskByName,
+      authorizedByTransport = false,
+      trustAllowedChats = false,
+    } = options;
+    const { chatId, text, senderId } = message;
+    const liveCfg = loadConfig();
+    const allowedIds = (liveCfg[configKey] && liveCfg[configKey].allowed_chat_ids) || [];
+    const isAllowedChat = authorizedByTransport || allowedIds.includes(chatId);
+    const isBindCmd = isBindCommand(text);
+    const aclFor = (aclText) => applyUserAcl({
+      bot,
+      chatId,
+      text: aclText,
+      config: liveCfg,
+      senderId,
+      bypassAcl: !isAllowedChat && isBindCmd,
+      fromAllowedChat: trustAllowedChats && isAllowedChat,
+    });
+
+    // Button presses only come from chats that already passed the allowlist.
+    if (message.kind === 'callback') {
+      if (!isAllowedChat || !text) return;
+      const acl = await aclFor(text);
+      if (acl.blocked) return;
+      if (await answerApproval(bot, chatId, text, acl)) return;
+      await pipeline.processMessage(chatId, text, { bot, config: liveCfg, executeTaskByName, senderId: acl.senderId, readOnly: acl.readOnly });
+      return;
+    }
+
+    if (!isAllowedChat && !isBindCmd) {
+      log('WARN', `${label}: rejected message from ${chatId}`);
+      sendRich(bot, chatId, unauthorizedMsg(chatId)).catch(() => {});
+      return;
+    }
+
+    // ── Topic mode detection (before file/text split) ──
+    const threadRootId = message.threadId;
+    const pipelineChatId = threadRootId ? buildThreadChatId(chatId, threadRootId) : chatId;
+    if (threadRootId) {
+      log('INFO', `${label} topic detected: root=${threadRootId} → pipelineChatId=${pipelineChatId}`);
+    }
+
+    if (message.file) {
+      const acl = await aclFor(text || '[file-upload]');
+      if (acl.blocked) return;
+      await routeFile(bot, message, { liveCfg, chatId, pipelineChatId, acl, label, executeTaskByName });
+      return;
+    }
+
+    if (message.voice) {
+      const acl = await aclFor(text || '[voice-message]');
+      if (acl.blocked) return;
+      const transcribed = await routeVoice(bot, message, { chatId, pipelineChatId, label });
+      if (transcribed) await route(bot, transcribed, options);
+      return;
+    }
+
+    if (!text) {
+      if (message.notice) await bot.sendMessage(chatId, message.notice);
+      return;
+    }
+
+    const acl = await aclFor(text);
+    if (acl.blocked) return;
+    if (await answerApproval(bot, chatId, text, acl)) return;
+    log('INFO', `${label} message from ${chatId}: ${text.slice(0, 50)}`);
+    const trimmedText = text;
+    const parentId = message.replyToMessageId;
+    let _replyAgentKey = null;
+    let _replyMapping = null;
+    let _replyMappingFound = false; // true = mapping exists (agentKey may be null = main)
+    // Load state once for the entire routing block
+    const _st = loadState();
+    const _parentMapping = parentId && _st.msg_sessions ? _st.msg_sessions[parentId] : null;
+    // Quoted reply = explicit parentId but NOT a topic thread (topics always carry parentId=root_id)
+    const _isQuotedReply = !!(parentId && !threadRootId);
+    if (parentId) {
+      log('INFO', `${label} reply metadata detected chat=${chatId} parentId=${parentId}${threadRootId ? ' topic=true' : ''}`);
+    }
+    if (_isQuotedReply) {
+      const mapped = _parentMapping;
+      if (mapped) {
+        _replyMapping = mapped;
+        _replyMappingFound = true;
+        if (typeof restoreSessionFromReply === 'function') {
+          restoreSessionFromReply(chatId, mapped);
+        } else {
+          if (mapped.id) {
+            if (!_st.sessions) _st.sessions = {};
+            _st.sessions[chatId] = { id: mapped.id, cwd: mapped.cwd, started: true };
+            saveState(_st);
+          }
+        }
+        if (mapped.id) {
+          log('INFO', `Session restored via reply: ${mapped.id.slice(0, 8)} (${path.basename(mapped.cwd || '~')})`);
+          // Evict warm process so next spawn uses --resume with the restored session
+          if (typeof releaseWarmPool === 'function') {
+            const _logicalKey = String(mapped.logicalChatId || '').trim();
+            if (_logicalKey) releaseWarmPool(_logicalKey);
+          }
+        }
+        _replyAgentKey = mapped.agentKey || null;
+      } else {
+        log('INFO', `${label} reply parentId=${parentId} had no msg_sessions mapping`);
+      }
+    } else if (threadRootId && _parentMapping) {
+      _replyMappingFound = true;
+      _replyAgentKey = _parentMapping.agentKey || null;
+      log('INFO', `${label} topic inherited root mapping agentKey=${_replyAgentKey || 'main'} parentId=${parentId}`);
+      // Restore session from topic root (same as quoted reply) so 指定回复 resumes context
+      if (_parentMapping.id && typeof restoreSessionFromReply === 'function') {
+        restoreSessionFromReply(chatId, _parentMapping);
+        log('INFO', `Session restored via topic root: ${_parentMapping.id.slice(0, 8)} (${path.basename(_parentMapping.cwd || '~')})`);
+        // Evict warm process so next spawn uses --resume with the restored session
+        if (typeof releaseWarmPool === 'function') {
+          const _logicalKey = String(_parentMapping.logicalChatId || '').trim();
+          if (_logicalKey) releaseWarmPool(_logicalKey);
+        }
+      }
+    }
+
+    // Helper: set/clear sticky on shared state object and persist
+    // Use pipelineChatId so each topic gets independent sticky state
+    const _chatKey = String(pipelineChatId);
+    const _rawChatKey = _threadRawChatId(_chatKey);
+    const _topicMainRoute = !!(
+      threadRootId
+      && _parentMapping
+      && !_isQuotedReply
+      && _parentMapping.logicalChatId
+      && !String(_parentMapping.logicalChatId).startsWith('_agent_')
+    );
+    const _setSticky = (key) => {
+      if (!_st.team_sticky) _st.team_sticky = {};
+      _st.team_sticky[_chatKey] = key;
+      if (_rawChatKey && _rawChatKey !== _chatKey) _st.team_sticky[_rawChatKey] = key;
+      if (_st.team_session_route) {
+        if (_st.team_session_route[_chatKey] && !isAgentLogicalRouteForMember(_st.team_session_route[_chatKey], key)) {
+          delete _st.team_session_route[_chatKey];
+        }
+        if (_rawChatKey && _rawChatKey !== _chatKey && _st.team_session_route[_rawChatKey] && !isAgentLogicalRouteForMember(_st.team_session_route[_rawChatKey], key)) {
+          delete _st.team_session_route[_rawChatKey];
+        }
+      }
+      saveState(_st);
+    };
+    const _clearSticky = () => {
+      if (_st.team_sticky) delete _st.team_sticky[_chatKey];
+      if (_st.team_sticky && _rawChatKey && _rawChatKey !== _chatKey) delete _st.team_sticky[_rawChatKey];
+      if (_st.team_session_route) delete _st.team_session_route[_chatKey];
+      if (_st.team_session_route && _rawChatKey && _rawChatKey !== _chatKey) delete _st.team_session_route[_rawChatKey];
+      saveState(_st);
+    };
+    let _stickyKey = (_st.team_sticky || {})[_chatKey] || (_st.team_sticky || {})[_rawChatKey] || null;
+    const _pipelineTarget = _createPipelineTarget({
+      pipelineChatId,
+      effectiveChatId: _topicMainRoute ? chatId : pipelineChatId,
+      bot,
+    });
+    const runCtx = {
+      bot: _pipelineTarget.bot,
+      config: liveCfg,
+      executeTaskByName,
+      senderId: acl.senderId,
+      readOnly: acl.readOnly,
+    };
+
+    // Team group routing: if bound project has a team array, check message for member nickname
+    // Non-/stop slash commands bypass team routing → handled by main project
+    const { key: _boundKey, project: _boundProj } = getBoundProject(chatId, liveCfg);
+    const _isTeamSlashCmd = trimmedText.startsWith('/') && !/^\/stop(\s|$)/i.test(trimmedText);
+    if (_boundProj && Array.isArray(_boundProj.team) && _boundProj.team.length > 0 && !_isTeamSlashCmd) {
+      if (threadRootId && !_stickyKey && _replyAgentKey) {
+        const _topicRootMember = _boundProj.team.find(m => m.key === _replyAgentKey);
+        if (_topicRootMember) {
+          _setSticky(_topicRootMember.key);
+          _stickyKey = _topicRootMember.key;
+          log('INFO', `Topic root mapping → sticky set: ${_chatKey.slice(-8)} → ${_topicRootMember.key}`);
+        }
+      }
+
+      // ── /stop precise routing for team groups ──
+      const _stopMatch = trimmedText.match(/^\/stop(?:\s+(.+))?$/i);
+      if (_stopMatch) {
+        const _stopArg = (_stopMatch[1] || '').trim();
+        let _targetKey = null;
+        // Priority 1: quoted reply → stop that agent
+        if (_replyAgentKey) {
+          const m = _boundProj.team.find(t => t.key === _replyAgentKey);
+          if (m) _targetKey = m.key;
+        }
+        // Priority 2: /stop <nickname> → match team member (case-insensitive)
+        if (!_targetKey && _stopArg) {
+          const _sa = _stopArg.toLowerCase();
+          const m = _boundProj.team.find(t =>
+            (t.nicknames || []).some(n => n.toLowerCase() === _sa) || (t.name && t.name.toLowerCase() === _sa) || t.key === _sa
+          );
+          if (m) _targetKey = m.key;
+        }
+        // Priority 3: bare /stop → sticky
+        if (!_targetKey && !_stopArg) _targetKey = _stickyKey;
+        if (_targetKey) {
+          const fallbackVid = isThreadChatId(String(pipelineChatId))
+            ? `_agent_${_targetKey}::${pipelineChatId}`
+            : `_agent_${_targetKey}`;
+          const vid = resolveReplyStopChatId(_targetKey, fallbackVid, _isQuotedReply ? _replyMapping : null);
+          const member = _boundProj.team.find(t => t.key === _targetKey);
+          const memberLabel = member ? `${member.icon || '🤖'} ${member.name}` : _targetKey;
+          pipeline.clearQueue(vid);
+          const stopped = pipeline.interruptActive(vid);
+          if (stopped) {
+            await bot.sendMessage(pipelineChatId, `⏹ Stopping ${memberLabel}...`);
+          } else {
+            await bot.sendMessage(pipelineChatId, `${memberLabel} 当前没有活跃任务`);
+          }
+          return;
+        }
+        // /stop <bad-nickname> → no match, report error instead of falling through
+        if (_stopArg) {
+          await bot.sendMessage(pipelineChatId, `❌ 未找到团队成员: ${_stopArg}`);
+          return;
+        }
+        // Bare /stop, no sticky set → fall through to handleCommand
+      }
+
+      // 0. Quoted reply → force route based on which agent sent the parent message.
+      // Cases:
+      //   a) agentKey = known team member → route to that member (set sticky)
+      //   b) agentKey = null, mapping found → user replied to main; clear sticky, route to main
+      //   c) parentId present, no mapping  → intent is explicit, avoid sticky; clear sticky, route to main
+      if (_isQuotedReply) {
+        if (_replyAgentKey) {
+          const member = _boundProj.team.find(m => m.key === _replyAgentKey);
+          if (member) {
+            _setSticky(member.key);
+            log('INFO', `Quoted reply → force route to ${_replyAgentKey} (sticky set)`);
+            dispatchToTeamMember(member, _boundProj, trimmedText, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
+            return;
+          }
+          // agentKey set but not a current team member → fall through to main
+          log('INFO', `Quoted reply agentKey=${_replyAgentKey} not in team, routing to main`);
+        }
+        // Cases b & c: no agentKey (main agent) or stale/unknown agentKey
+        _clearSticky();
+        log('INFO', `Quoted reply → route to main (agentKey=${_replyAgentKey} mappingFound=${_replyMappingFound})`);
+        await pipeline.processMessage(_pipelineTarget.processChatId, trimmedText, runCtx);
+        return;
+      }
+      // 1. Explicit nickname → route + set sticky
+      const teamMatch = _findTeamMember(trimmedText, _boundProj.team);
+      if (teamMatch) {
+        const { member, rest } = teamMatch;
+        _setSticky(member.key);
+        if (!rest) {
+          // Pure nickname, no task — confirm member is online
+          log('INFO', `Sticky set (pure nickname): ${_chatKey.slice(-8)} → ${member.key}`);
+          sendRich(bot, pipelineChatId, `${member.icon || '🤖'} **${member.name}** 在线`)
+            .then((msg) => {
+              if (msg && msg.message_id) {
+                const _vidNick = isThreadChatId(String(pipelineChatId))
+                  ? `_agent_${member.key}::${pipelineChatId}`
+                  : `_agent_${member.key}`;
+                trackBridgeReplyMapping(msg.message_id, inferSessionMapping(_vidNick, {
+                  agentKey: member.key,
+                  cwd: member.cwd || _boundProj.cwd,
+                  engine: member.engine || _boundProj.engine || 'claude',
+                }));
+              }
+            })
+            .catch(() => {});
+          return;
+        }
+        log('INFO', `Sticky set: ${_chatKey.slice(-8)} → ${member.key}`);
+        dispatchToTeamMember(member, _boundProj, rest, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
+        return;
+      }
+
+      // 1.5. Main project nickname → clear sticky, route to main
+      const _mainNicks = Array.isArray(_boundProj.nicknames) ? _boundProj.nicknames : [];
+      const _trimLower = trimmedText.toLowerCase();
+      const _mainMatch = _mainNicks.find(n => _trimLower === n.toLowerCase() || _trimLower.startsWith(n.toLowerCase() + ' ') || _trimLower.startsWith(n.toLowerCase() + '，') || _trimLower.startsWith(n.toLowerCase() + ','));
+      if (_mainMatch) {
+        _clearSticky();
+        const rest = trimmedText.slice(_mainMatch.length).replace(/^[\s,，:：]+/, '');
+        log('INFO', `Main nickname → cleared sticky, routing to main${rest ? ` (task: ${rest.slice(0, 30)})` : ''}`);
+        if (!rest) {
+          sendRich(bot, pipelineChatId, `${_boundProj.icon || '🤖'} **${_boundProj.name}** 在线`)
+            .then((msg) => {
+              if (msg && msg.message_id) {
+                trackBridgeReplyMapping(msg.message_id, inferSessionMapping(String(chatId), {
+                  agentKey: _boundKey || null,
+                  cwd: _boundProj.cwd,
+                  engine: _boundProj.engine || 'claude',
+                  logicalChatId: _boundKey ? `_bound_${_boundKey}` : String(chatId),
+                }));
+              }
+            })
+            .catch(() => {});
+          return;
+        }
+        try {
+          await pipeline.processMessage(_pipelineTarget.processChatId, rest, runCtx);
+        } catch (e) {
+          log('ERROR', `Team main-route handleCommand failed: ${e.message}`);
+          bot.sendMessage(pipelineChatId, `❌ 执行失败: ${e.message}`).catch(() => {});
+        }
+        return;
+      }
+
+      // 2. Sticky: no nickname given → route to last explicitly named member
+      if (_stickyKey) {
+        const member = _boundProj.team.find(m => m.key === _stickyKey);
+        if (member) {
+          if ((_st.team_sticky || {})[_chatKey] !== _stickyKey) {
+            _setSticky(_stickyKey);
+          }
+          log('INFO', `Sticky route: → ${_stickyKey}`);
+          dispatchToTeamMember(member, _boundProj, trimmedText, liveCfg, bot, pipelineChatId, executeTaskByName, acl);
+          return;
+        }
+      }
+    }
+
+    try {
+      await pipeline.processMessage(_pipelineTarget.processChatId, text, runCtx);
+    } catch (e) {
+      log('ERROR', `${label} handleCommand failed for ${chatId}: ${e.message}`);
+      bot.sendMessage(pipelineChatId, `❌ 命令执行失败: ${e.message}`).catch(() => {});
+    }
+  }
+
+  return {
+    route,
+    applyUserAcl,
+    unauthorizedMsg,
+    trackBridgeReplyMapping,
+    inferSessionMapping,
+    resolveReplyStopChatId,
+    getBoundProject,
+    dispatchToTeamMember,
+  };
+}
+
+module.exports = { createBridgeInbound, isBindCommand };
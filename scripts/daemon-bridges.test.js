@@ -1174,3 +1174,200 @@ describe('daemon-bridges telegram reply routing', () => {
     assert.ok(warmEvictions.includes('_bound_metame'), 'should evict warm pool for the logical session key');
   });
 });
+
+describe('daemon-bridges voice notes', () => {
+  let tempHome;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-bridges-voice-'));
+  });
+
+  afterEach(() => {
+    if (originalTelegramAdapter) require.cache[telegramAdapterPath] = originalTelegramAdapter;
+    else delete require.cache[telegramAdapterPath];
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  async function runTelegramVoice(voice) {
+    const sent = [];
+    const handled = [];
+    const downloads = [];
+    require.cache[telegramAdapterPath] = {
+      id: telegramAdapterPath,
+      filename: telegramAdapterPath,
+      loaded: true,
+      exports: {
+        createBot() {
+          let pollCount = 0;
+          return {
+            async getMe() { return { username: 'jarvis_test_bot' }; },
+            async getUpdates() {
+              pollCount += 1;
+              if (pollCount === 1) {
+                return [{ update_id: 1, message: { message_id: 7, chat: { id: 1001 }, from: { id: 42 }, voice: { file_id: 'F1', duration: 3 } } }];
+              }
+              await new Promise(resolve => setTimeout(resolve, 5));
+              return [];
+            },
+            async sendMessage(chatId, text) { sent.push({ chatId, text }); return { message_id: 999 }; },
+            async answerCallback() {},
+            async downloadFile(fileId, destPath) { downloads.push({ fileId, destPath }); },
+            async sendTyping() {},
+          };
+        },
+      },
+    };
+    delete require.cache[require.resolve('./daemon-bridges.js')];
+    const { createBridgeStarter } = require('./daemon-bridges.js');
+    const state = { sessions: {}, msg_sessions: {} };
+    const bridge = createBridgeStarter({
+      fs,
+      path,
+      HOME: tempHome,
+      log: () => {},
+      sleep: async () => {},
+      loadConfig: () => ({ telegram: { enabled: true, bot_token: 'fake-token', allowed_chat_ids: [1001] } }),
+      loadState: () => state,
+      saveState: (next) => Object.assign(state, next),
+      getSession: () => ({ cwd: tempHome }),
+      handleCommand: async () => {},
+      pipeline: {
+        processMessage: async (chatId, text) => { handled.push({ chatId, text }); },
+        isActive: () => false,
+        interruptActive: () => false,
+        clearQueue: () => {},
+      },
+      pendingActivations: new Map(),
+      activeProcesses: new Map(),
+      messageQueue: new Map(),
+      voice,
+    });
+    const running = await bridge.startTelegramBridge({
+      telegram: { enabled: true, bot_token: 'fake-token', allowed_chat_ids: [1001] },
+    }, async () => {});
+    for (let i = 0; i < 5; i++) await flush();
+    running.stop();
+    await flush();
+    return { sent, handled, downloads };
+  }
+
+  it('transcribes a Telegram voice note, echoes the transcript and routes it as text', async () => {
+    const voice = {
+      isEnabled: () => true,
+      echoTranscript: () => true,
+      async transcribe(note) {
+        await note.download('/tmp/voice-dest.ogg');
+        assert.equal(note.name, 'voice_7.ogg');
+        return '帮我看下构建为什么挂了';
+      },
+    };
+    const { sent, handled, downloads } = await runTelegramVoice(voice);
+    assert.deepEqual(downloads, [{ fileId: 'F1', destPath: '/tmp/voice-dest.ogg' }]);
+    assert.deepEqual(sent, [{ chatId: 1001, text: '🎤 帮我看下构建为什么挂了' }]);
+    assert.deepEqual(handled, [{ chatId: '1001', text: '帮我看下构建为什么挂了' }]);
+  });
+
+  it('keeps the voice-to-text hint when no STT is configured', async () => {
+    const { sent, handled, downloads } = await runTelegramVoice({ isEnabled: () => false });
+    assert.equal(downloads.length, 0);
+    assert.equal(handled.length, 0);
+    assert.match(sent[0].text, /voice-to-text/);
+  });
+
+  it('reports a failed transcription instead of running anything', async () => {
+    const voice = {
+      isEnabled: () => true,
+      echoTranscript: () => true,
+      async transcribe() { throw new Error('whisper-cli: model not found'); },
+    };
+    const { sent, handled } = await runTelegramVoice(voice);
+    assert.equal(handled.length, 0);
+    assert.deepEqual(sent, [{ chatId: 1001, text: '❌ 语音识别失败: whisper-cli: model not found' }]);
+  });
+});
+
+describe('daemon-bridges attachments', () => {
+  let tempHome;
+
+  beforeEach(() => {
+    tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-bridges-attach-'));
+  });
+
+  afterEach(() => {
+    if (originalTelegramAdapter) require.cache[telegramAdapterPath] = originalTelegramAdapter;
+    else delete require.cache[telegramAdapterPath];
+    fs.rmSync(tempHome, { recursive: true, force: true });
+  });
+
+  it('stores a Telegram photo in the chat attachment store instead of the project tree', async () => {
+    const sent = [];
+    const handled = [];
+    require.cache[telegramAdapterPath] = {
+      id: telegramAdapterPath,
+      filename: telegramAdapterPath,
+      loaded: true,
+      exports: {
+        createBot() {
+          let pollCount = 0;
+          return {
+            async getMe() { return { username: 'jarvis_test_bot' }; },
+            async getUpdates() {
+              pollCount += 1;
+              if (pollCount === 1) {
+                return [{ update_id: 1, message: { message_id: 8, chat: { id: 1001 }, from: { id: 42 }, caption: '这是什么报错', photo: [{ file_id: 'P1' }] } }];
+              }
+              await new Promise(resolve => setTimeout(resolve, 5));
+              return [];
+            },
+            async sendMessage(chatId, text) { sent.push({ chatId, text }); return { message_id: 999 }; },
+            async answerCallback() {},
+            async downloadFile(fileId, destPath) { fs.writeFileSync(destPath, fileId); },
+            async sendTyping() {},
+          };
+        },
+      },
+    };
+    delete require.cache[require.resolve('./daemon-bridges.js')];
+    const { createBridgeStarter } = require('./daemon-bridges.js');
+    const { createAttachmentStore } = require('./daemon-attachments');
+    const config = { telegram: { enabled: true, bot_token: 'fake-token', allowed_chat_ids: [1001] } };
+    const attachmentStore = createAttachmentStore({ fs, path, loadConfig: () => config, metameDir: path.join(tempHome, '.metame'), HOME: tempHome });
+    const state = { sessions: {}, msg_sessions: {} };
+    const bridge = createBridgeStarter({
+      fs,
+      path,
+      HOME: tempHome,
+      log: () => {},
+      sleep: async () => {},
+      loadConfig: () => config,
+      loadState: () => state,
+      saveState: (next) => Object.assign(state, next),
+      getSession: () => ({ cwd: tempHome }),
+      handleCommand: async () => {},
+      pipeline: {
+        processMessage: async (chatId, text) => { handled.push({ chatId, text }); },
+        isActive: () => false,
+        interruptActive: () => false,
+        clearQueue: () => {},
+      },
+      pendingActivations: new Map(),
+      activeProcesses: new Map(),
+      messageQueue: new Map(),
+      attachmentStore,
+    });
+    const running = await bridge.startTelegramBridge(config, async () => {});
+    for (let i = 0; i < 5; i++) await flush();
+    running.stop();
+    await flush();
+
+    const [entry] = attachmentStore.list(1001);
+    assert.ok(entry, 'the photo is in the store');
+    assert.equal(entry.kind, 'image');
+    assert.equal(fs.readFileSync(entry.path, 'utf8'), 'P1');
+    assert.equal(fs.existsSync(path.join(tempHome, 'upload')), false);
+    assert.match(sent[0].text, /^📥 Saved: photo_\d+\.jpg$/);
+    assert.equal(handled.length, 1);
+    assert.ok(handled[0].text.includes(entry.path));
+    assert.match(handled[0].text, /User says: "这是什么报错"/);
+  });
+});
@@ -3247,3 +3247,152 @@ describe('auto-sync: session switch when CLI session is newer', () => {
     assert.ok(!saveHistory.includes('barely-newer'), 'should NOT switch for sessions < 60s newer');
   });
 });
+
+describe('engine failover (engine_fallback)', () => {
+  function createExitProcess({ stdoutEvents = [], stderrText = '', code = 0 }) {
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    const proc = {
+      stdout,
+      stderr,
+      stdin: new PassThrough(),
+      pid: 12347,
+      kill: () => {},
+      on(event, handler) {
+        if (event === 'close') setImmediate(() => setImmediate(() => handler(code)));
+        return proc;
+      },
+    };
+    setImmediate(() => {
+      for (const event of stdoutEvents) stdout.write(`${JSON.stringify(event)}\n`);
+      if (stderrText) stderr.write(stderrText);
+      stdout.end();
+      stderr.end();
+    });
+    return proc;
+  }
+
+  function createFixturePlugin(engineName) {
+    return createEnginePlugin({
+      protocolVersion: 1,
+      descriptor: getEngineDescriptor(engineName),
+      runtime: {
+        defaultModel: engineName === 'claude' ? 'sonnet' : 'gpt-5',
+        timeouts: { idleMs: 1000, toolMs: 1000, ceilingMs: 2000 },
+        buildInvocation: options => ({
+          executable: `fixture-${engineName}`,
+          args: [],
+          env: process.env,
+          cwd: options.cwd || '',
+          input: options.input || '',
+          killSignal: 'SIGTERM',
+          timeouts: { idleMs: 1000, toolMs: 1000, ceilingMs: 2000 },
+        }),
+        parseEvent: (line) => {
+          const event = JSON.parse(line);
+          if (event.type === 'session') return [{ type: 'session_observed', nativeSessionId: event.id }];
+          if (event.type === 'done') return [{ type: 'run_completed', result: event.result }];
+          return [];
+        },
+        classifyFailure: value => (/429/.test(String(value))
+          ? { code: 'RATE_LIMIT', message: 'claude 请求频率或配额受限，请稍后重试。' }
+          : null),
+        validateSession: () => true,
+        updateSession: (session, observation) => (observation.sessionId
+          ? { ...(session || {}), engine: engineName, id: observation.sessionId, started: true }
+          : session),
+      },
+      sessionSource: null,
+      cognitiveHost: null,
+    });
+  }
+
+  function createBot(sent) {
+    return {
+      suppressAck: true,
+      sendTyping: async () => {},
+      sendMessage: async (_chatId, text) => { sent.push(String(text)); return { message_id: `msg-${sent.length}` }; },
+      sendMarkdown: async (_chatId, text) => { sent.push(String(text)); return { message_id: `md-${sent.length}` }; },
+      editMessage: async () => true,
+      deleteMessage: async () => true,
+    };
+  }
+
+  it('retries a rate-limited turn on the next engine and says so in the reply', async () => {
+    const spawned = [];
+    const created = [];
+    const sent = [];
+    const engine = createEngineWithState({ sessions: {} }, {
+      spawn: (executable) => {
+        spawned.push(executable);
+        return executable === 'fixture-claude'
+          ? createExitProcess({ stderrText: '429 Too Many Requests', code: 1 })
+          : createExitProcess({ stdoutEvents: [{ type: 'session', id: 'thread-fallback' }, { type: 'done', result: 'codex reply' }] });
+      },
+      createSession: (_chatId, cwd, _name, engineName) => {
+        created.push(engineName);
+        return { id: null, cwd: cwd || '/tmp', started: false, engine: engineName };
+      },
+      getEngineRuntime: engineName => createFixturePlugin(engineName),
+      prepareHandoff: async () => { throw new Error('no started session to hand off'); },
+    });
+
+    const result = await engine.askClaude(createBot(sent), 'failover-chat', 'hello', {
+      daemon: { engine_fallback: ['codex'] },
+    }, false, 'ou_admin');
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(spawned, ['fixture-claude', 'fixture-codex']);
+    assert.ok(created.includes('codex'));
+    const reply = sent.find(text => /codex reply/.test(text));
+    assert.match(reply, /^⚠️ claude 额度或频率受限，本次已自动切换到 codex 回复。/);
+  });
+
+  it('refuses a gated approval_policy turn on an engine without an approval hook', async () => {
+    const spawned = [];
+    const sent = [];
+    const bound = [];
+    const engine = createEngineWithState({ sessions: {} }, {
+      spawn: (executable) => {
+        spawned.push(executable);
+        return createExitProcess({ stdoutEvents: [{ type: 'done', result: 'ran ungated' }] });
+      },
+      createSession: (_chatId, cwd, _name, engineName) => ({ id: null, cwd: cwd || '/tmp', started: false, engine: engineName }),
+      getDefaultEngine: () => 'codex',
+      getEngineRuntime: engineName => createFixturePlugin(engineName),
+      approvalGate: {
+        bind: (binding) => {
+          bound.push(binding.chatId);
+          return { gated: true, changed: false, env: { METAME_APPROVAL_TOKEN: 't' }, settings: '{}' };
+        },
+      },
+    });
+
+    const result = await engine.askClaude(createBot(sent), 'gated-chat', 'rm -rf build', {}, false, 'ou_admin');
+
+    assert.equal(result.ok, false);
+    assert.equal(result.errorCode, 'APPROVAL_UNSUPPORTED');
+    assert.deepEqual(bound, ['gated-chat']);
+    assert.deepEqual(spawned, []);
+    assert.ok(sent.some(text => /approval_policy/.test(text) && /codex/.test(text)));
+  });
+
+  it('surfaces the error when no fallback engine is configured', async () => {
+    const spawned = [];
+    const sent = [];
+    const engine = createEngineWithState({ sessions: {} }, {
+      spawn: (executable) => {
+        spawned.push(executable);
+        return createExitProcess({ stderrText: '429 Too Many Requests', code: 1 });
+      },
+      getEngineRuntime: engineName => createFixturePlugin(engineName),
+    });
+
+    const result = await engine.askClaude(createBot(sent), 'no-failover-chat', 'hello', {}, false, 'ou_admin');
+
+    assert.equal(result.ok, false);
+    assert.equal(result.errorCode, 'RATE_LIMIT');
+    assert.deepEqual(spawned, ['fixture-claude']);
+    assert.ok(sent.some(text => /配额受限/.test(text)));
+  });
+});
@@ -0,0 +1,348 @@
+'use strict';
+/**
+ * daemon-dashboard.js — opt-in local web dashboard hosted by the daemon
+ *
+ *   GET  /                                  static page (daemon-dashboard-page.js)
+ *   GET  /api/session                       who the token belongs to
+ *   GET  /api/facts?q=&project=             search facts (recent ones without q)
+ *   GET  /api/facts/<id>                    supersede history of one fact
+ *   GET  /api/wiki?project=                 wiki pages with staleness
+ *   GET  /api/wiki/<slug>                   page content and its annotations
+ *   GET  /api/tasks                         task board, heartbeat tasks, run history
+ *   GET  /api/tasks/<id>/events             task board events
+ *   GET  /api/reconcile                     staged `memory reconcile` plans
+ *   POST /api/reconcile/<plan>/approve      apply it ({ accept: [proposal ids] | ['all'] })
+ *   POST /api/reconcile/<plan>/reject       set it aside unapplied
+ *   GET  /api/skill-evo                     skill evolution queue
+ *   POST /api/skill-evo/<id>/approve        mark installed (as /skill-evo done)
+ *   POST /api/skill-evo/<id>/reject         dismiss (as /skill-evo dismiss)
+ *
+ * Binds to loopback only. Every /api request needs a `dashboard.clients`
+ * token; POST routes need an admin one. Decided plans move to
+ * `applied/` or `rejected/` under the plan directory so each is acted on once.
+ * Config and access rules live in core/dashboard-access.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { authenticateClient } = require('./core/mcp-http-access');
+const {
+  canReview,
+  isLoopbackHostHeader,
+  normalizeDashboardConfig,
+  parsePlanName,
+} = require('./core/dashboard-access');
+const { readTaskRuns, taskRunLogPath } = require('./task-run-log');
+const { PAGE_HTML, PAGE_SCRIPT } = require('./daemon-dashboard-page');
+const { listenHttp, readBody, send, writeJson } = require('./daemon-http-listener');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const PAGE_CSP = "default-src 'none'; script-src 'self'; style-src 'unsafe-inline'; connect-src 'self'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'";
+
+function httpError(statusCode, error, message) {
+  return Object.assign(new Error(message || error), { statusCode, code: error });
+}
+
+function clampLimit(value, fallback, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+/**
+ * Route handlers, independent of the listener.
+ * @returns {{ handle(request: { method: string, pathname: string, query: URLSearchParams, body?: object, client: object }): Promise<object> }}
+ */
+function createDashboardApi(deps) {
+  const {
+    log = () => {},
+    home = require('os').homedir(),
+    memory = require('./memory'),
+    taskBoard = null,
+    listHeartbeatTasks = () => [],
+    loadState = () => ({}),
+    skillEvolution = null,
+    reconcileDir = path.join(home, '.metame', 'reconcile'),
+    dbPath = path.join(home, '.metame', 'memory.db'),
+    taskRunLogFile = taskRunLogPath(home),
+    reconcile = require('./memory-reconcile'),
+    openDb = () => {
+      const { DatabaseSync } = require('node:sqlite');
+      return new DatabaseSync(dbPath);
+    },
+  } = deps;
+
+  function withMemory(fn) {
+    memory.acquire();
+    try { return fn(); } finally { memory.release(); }
+  }
+
+  function listFacts(query) {
+    const q = String(query.get('q') || '').trim();
+    const project = String(query.get('project') || '').trim() || null;
+    const limit = clampLimit(query.get('limit'), 50, 200);
+    const facts = withMemory(() => (q
+      ? memory.searchFacts(q, { limit, project, trackSearch: false })
+      : memory.recentFacts({ limit, project })));
+    return { query: q, facts };
+  }
+
+  function factHistory(id) {
+    const asset = withMemory(() => memory.getCognitiveAsset('fact', id, { history: true }));
+    if (!asset) throw httpError(404, 'not_found');
+    return asset;
+  }
+
+  function wikiPage(slug) {
+    return withMemory(() => {
+      const page = memory.getCognitiveAsset('wiki', slug);
+      if (!page) throw httpError(404, 'not_found');
+      return { page, annotations: memory.listWikiAnnotations(slug) };
+    });
+  }
+
+  function listTasks(query) {
+    const status = String(query.get('status') || '').trim() || null;
+    const taskStates = (loadState() || {}).tasks || {};
+    const heartbeat = listHeartbeatTasks().map((task) => {
+      const state = taskStates[task.name] || {};
+      return {
+        name: task.name,
+        project: task._project ? task._project.key : null,
+        enabled: task.enabled !== false,
+        schedule: task.cron || task.interval || task.at || null,
+        status: state.status || null,
+        last_run: state.last_run || null,
+        attempt: state.attempt || null,
+        error: state.error || null,
+        error_code: state.error_code || null,
+      };
+    });
+    return {
+      board: taskBoard ? taskBoard.listRecentTasks(50, status) : [],
+      heartbeat,
+      runs: readTaskRuns(taskRunLogFile, {
+        limit: clampLimit(query.get('limit'), 100, 500),
+        name: String(query.get('task') || '').trim() || null,
+      }),
+    };
+  }
+
+  function planPath(name) {
+    const safe = parsePlanName(name);
+    if (!safe) throw httpError(400, 'invalid_plan_name');
+    const file = path.join(reconcileDir, safe);
+    if (!fs.existsSync(file)) throw httpError(404, 'not_found');
+    return file;
+  }
+
+  function summarizePlan(name, plan) {
+    return {
+      name,
+      generated_at: plan.generated_at,
+      plan_digest: plan.plan_digest,
+      summary: plan.summary,
+      actions: plan.actions.length,
+      proposals: (plan.proposals || []).map(proposal => ({
+        id: proposal.id,
+        action: proposal.action,
+        survivor: proposal.survivor.id,
+        duplicate: proposal.duplicate.id,
+        similarity: proposal.similarity,
+        values: proposal.values || null,
+      })),
+    };
+  }
+
+  function listPlans() {
+    let names = [];
+    try { names = fs.readdirSync(reconcileDir).filter(parsePlanName); } catch { /* no staged plans yet */ }
+    const plans = names.map((name) => {
+      const file = path.join(reconcileDir, name);
+      try {
+        return { ...summarizePlan(name, reconcile.readPlanFile(file)), mtime: fs.statSync(file).mtimeMs };
+      } catch (err) {
+        return { name, error: err.message, mtime: 0 };
+      }
+    });
+    return {
+      dir: reconcileDir,
+      plans: plans.sort((a, b) => b.mtime - a.mtime).map(({ mtime, ...plan }) => plan),
+    };
+  }
+
+  function settlePlan(file, outcome, result) {
+    const dir = path.join(reconcileDir, outcome);
+    fs.mkdirSync(dir, { recursive: true });
+    const target = path.join(dir, path.basename(file));
+    fs.renameSync(file, target);
+    if (result) fs.writeFileSync(target.replace(/\.json$/, '.result.json'), `${JSON.stringify(result, null, 2)}\n`, 'utf8');
+    return target;
+  }
+
+  function approvePlan(name, body, client) {
+    const accept = body.accept === undefined ? [] : body.accept;
+    if (!Array.isArray(accept) || accept.some(id => typeof id !== 'string')) {
+      throw httpError(400, 'invalid_accept', 'accept must be an array of proposal ids');
+    }
+    const file = planPath(name);
+    let plan;
+    try { plan = reconcile.readPlanFile(file); } catch (err) { throw httpError(422, 'invalid_plan', err.message); }
+    const db = openDb();
+    let result;
+    try {
+      result = reconcile.applyReconcilePlan(db, plan, { lockPath: `${dbPath}.reconcile.lock`, accept });
+    } catch (err) {
+      throw httpError(409, 'apply_failed', err.message);
+    } finally { db.close(); }
+    const settled = settlePlan(file, 'applied', { ...result, approved_by: client.name, approved_at: new Date().toISOString() });
+    log('INFO', `[DASHBOARD] ${client.name} applied reconcile plan ${name}: archived=${result.applied}`);
+    return { ...result, plan: settled };
+  }
+
+  function rejectPlan(name, client) {
+    const settled = settlePlan(planPath(name), 'rejected', null);
+    log('INFO', `[DASHBOARD] ${client.name} rejected reconcile plan ${name}`);
+    return { ok: true, plan: settled };
+  }
+
+  function requireSkillEvolution() {
+    if (!skillEvolution) throw httpError(503, 'skill_evolution_unavailable');
+    return skillEvolution;
+  }
+
+  function resolveSkillItem(id, resolution, client) {
+    const evo = requireSkillEvolution();
+    const item = evo.listQueueItems({ status: ['pending', 'notified'], limit: 200 }).find(i => i.id === id);
+    if (!item || !evo.resolveQueueItemById(id, resolution)) throw httpError(404, 'not_found');
+    // A dismissed workflow proposal starts accumulating evidence again.
+    if (resolution === 'dismissed' && item.type === 'workflow_proposal' && item.workflow_sketch_id && evo.resetWorkflowSketch) {
+      evo.resetWorkflowSketch(item.workflow_sketch_id);
+    }
+    log('INFO', `[DASHBOARD] ${client.name} marked skill-evo ${id} ${resolution}`);
+    return { ok: true, id, status: resolution };
+  }
+
+  async function handle({ method, pathname, query, body = {}, client }) {
+    let parts;
+    try { parts = pathname.split('/').slice(2).map(decodeURIComponent); } catch { throw httpError(400, 'bad_request'); }
+    const [section, id, action] = parts;
+    if (method === 'GET') {
+      if (section === 'session' && parts.length === 1) {
+        return { client: client.name, role: client.role, can_review: canReview(client) };
+      }
+      if (section === 'facts' && parts.length === 1) return listFacts(query);
+      if (section === 'facts' && parts.length === 2) return factHistory(id);
+      if (section === 'wiki' && parts.length === 1) {
+        const project = String(query.get('project') || '').trim() || null;
+        return { pages: withMemory(() => memory.listWikiPages({ project })) };
+      }
+      if (section === 'wiki' && parts.length === 2) return wikiPage(id);
+      if (section === 'tasks' && parts.length === 1) return listTasks(query);
+      if (section === 'tasks' && parts.length === 3 && action === 'events') {
+        if (!taskBoard) throw httpError(404, 'not_found');
+        return { events: taskBoard.listTaskEvents(id, 50) };
+      }
+      if (section === 'reconcile' && parts.length === 1) return listPlans();
+      if (section === 'skill-evo' && parts.length === 1) {
+        return { items: skillEvolution ? skillEvolution.listQueueItems({ limit: 100 }) : [] };
+      }
+      throw httpError(404, 'not_found');
+    }
+    if (method === 'POST' && parts.length === 3 && ['approve', 'reject'].includes(action)) {
+      if (!canReview(client)) throw httpError(403, 'admin_required');
+      if (section === 'reconcile') return action === 'approve' ? approvePlan(id, body, client) : rejectPlan(id, client);
+      if (section === 'skill-evo') return resolveSkillItem(id, action === 'approve' ? 'installed' : 'dismissed', client);
+    }
+    if (method !== 'GET' && method !== 'POST') throw httpError(405, 'method_not_allowed');
+    throw httpError(404, 'not_found');
+  }
+
+  return { handle };
+}
+
+function createDashboardHost(deps = {}) {
+  const {
+    log = () => {},
+    env = process.env,
+    home = require('os').homedir(),
+  } = deps;
+
+  async function readJson(req) {
+    const text = (await readBody(req, MAX_BODY_BYTES)).toString('utf8').trim();
+    if (!text) return {};
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      throw httpError(400, 'invalid_json');
+    }
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  }
+
+  /**
+   * Binds the page and /api; null when disabled, misconfigured or the port
+   * is taken.
+   * @param {object} config - full daemon config; reads `config.dashboard`
+   */
+  async function startDashboard(config) {
+    let settings;
+    try {
+      settings = normalizeDashboardConfig(config && config.dashboard, { env, home });
+    } catch (err) {
+      log('WARN', `[DASHBOARD] disabled: ${err.message}`);
+      return null;
+    }
+    if (!settings.enabled) return null;
+    const api = createDashboardApi({ home, ...deps, reconcileDir: settings.reconcileDir });
+
+    const listener = await listenHttp(async (req, res) => {
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch {
+        writeJson(res, 400, { error: 'bad_request' });
+        return;
+      }
+      if (!isLoopbackHostHeader(req.headers.host)) {
+        writeJson(res, 403, { error: 'forbidden_host' });
+        return;
+      }
+      const pathname = url.pathname.replace(/\/+$/, '') || '/';
+      if (req.method === 'GET' && pathname === '/') {
+        send(res, 200, 'text/html; charset=utf-8', PAGE_HTML, { 'Content-Security-Policy': PAGE_CSP, 'Referrer-Policy': 'no-referrer' });
+        return;
+      }
+      if (req.method === 'GET' && pathname === '/app.js') {
+        send(res, 200, 'text/javascript; charset=utf-8', PAGE_SCRIPT);
+        return;
+      }
+      if (!pathname.startsWith('/api/')) {
+        writeJson(res, 404, { error: 'not_found' });
+        return;
+      }
+      const client = authenticateClient(settings.clients, req.headers.authorization);
+      if (!client) {
+        writeJson(res, 401, { error: 'unauthorized' }, { 'WWW-Authenticate': 'Bearer realm="metame-dashboard"' });
+        return;
+      }
+      try {
+        const body = req.method === 'POST' ? await readJson(req) : {};
+        writeJson(res, 200, await api.handle({ method: req.method, pathname, query: url.searchParams, body, client }));
+      } catch (err) {
+        if (err.statusCode) {
+          writeJson(res, err.statusCode, { error: err.code || 'error', message: err.message });
+          return;
+        }
+        log('WARN', `[DASHBOARD] ${client.name} ${req.method} ${pathname}: ${err.message}`);
+        writeJson(res, 500, { error: 'internal_error' });
+      }
+    }, { tag: 'DASHBOARD', log, host: settings.host, port: settings.port });
+    if (!listener) return null;
+    log('INFO', `[DASHBOARD] listening on ${listener.address()} (${settings.clients.length} client(s))`);
+    return listener;
+  }
+
+  return { startDashboard };
+}
+
+module.exports = { createDashboardApi, createDashboardHost };
@@ -0,0 +1,245 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createDashboardApi, createDashboardHost } = require('./daemon-dashboard');
+
+const VIEWER = { name: 'me', role: 'viewer' };
+const ADMIN = { name: 'ops', role: 'admin' };
+
+function fakeMemory(calls) {
+  return {
+    acquire: () => calls.push('acquire'),
+    release: () => calls.push('release'),
+    searchFacts: (q, opts) => { calls.push(['searchFacts', q, opts]); return [{ id: 'f1', value: 'uses node 22' }]; },
+    recentFacts: opts => { calls.push(['recentFacts', opts]); return []; },
+    getCognitiveAsset: (type, id, opts) => {
+      calls.push(['asset', type, id, opts]);
+      if (type === 'fact' && id === 'f1') return { type: 'fact_history', requested_id: 'f1', versions: [{ id: 'f0' }, { id: 'f1' }] };
+      if (type === 'wiki' && id === 'runtime') return { type: 'wiki', id: 'runtime', staleness: 0.5, freshness: 'stale' };
+      return null;
+    },
+    listWikiPages: opts => [{ slug: 'runtime', project: opts.project }],
+    listWikiAnnotations: slug => [{ id: 'a1', page_slug: slug, state: 'pending' }],
+  };
+}
+
+function makeApi(overrides = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-dashboard-'));
+  const calls = [];
+  const queue = [
+    { id: 'q1', type: 'workflow_proposal', status: 'pending', workflow_sketch_id: 'ws1' },
+    { id: 'q2', type: 'skill_gap', status: 'notified' },
+  ];
+  const skillEvolution = {
+    listQueueItems: ({ status } = {}) => queue.filter(item => !status || [].concat(status).includes(item.status)),
+    resolveQueueItemById: (id, resolution) => {
+      const item = queue.find(i => i.id === id && ['pending', 'notified'].includes(i.status));
+      if (!item) return false;
+      item.status = resolution;
+      return true;
+    },
+    resetWorkflowSketch: id => calls.push(['resetSketch', id]),
+  };
+  const reconcile = {
+    readPlanFile: file => {
+      const plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!plan.plan_digest) throw new Error('reconcile plan digest mismatch');
+      return plan;
+    },
+    applyReconcilePlan: (db, plan, opts) => {
+      calls.push(['apply', plan.plan_digest, opts]);
+      if (opts.accept.includes('bogus')) throw new Error('unknown reconcile proposal: bogus');
+      return { ok: true, applied: 1, archived_ids: ['m2'], accepted_proposal_ids: opts.accept, stale_artifact_ids: [] };
+    },
+  };
+  const api = createDashboardApi({
+    home,
+    memory: fakeMemory(calls),
+    taskBoard: {
+      listRecentTasks: (limit, status) => [{ task_id: 't1', status: status || 'running' }],
+      listTaskEvents: id => [{ task_id: id, event_type: 'created' }],
+    },
+    listHeartbeatTasks: () => [{ name: 'nightly', interval: '24h' }, { name: 'sync', enabled: false, _project: { key: 'metame' } }],
+    loadState: () => ({ tasks: { nightly: { status: 'error', last_run: '2026-10-19T01:00:00Z', error_code: 'TIMEOUT' } } }),
+    skillEvolution,
+    reconcile,
+    openDb: () => ({ close: () => calls.push('dbClose') }),
+    ...overrides,
+  });
+  const request = (method, pathname, { client = VIEWER, body, query = '' } = {}) =>
+    api.handle({ method, pathname, query: new URLSearchParams(query), body, client });
+  return { api, request, calls, home, queue };
+}
+
+function stagePlan(home, name, plan = { plan_digest: 'd1', generated_at: '2026-10-19', summary: {}, actions: [] }) {
+  const dir = path.join(home, '.metame', 'reconcile');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), JSON.stringify({
+    proposals: [{ id: 'p1', action: 'merge_near_duplicate', survivor: { id: 'm1' }, duplicate: { id: 'm2' }, similarity: { lexical: 0.9 } }],
+    ...plan,
+  }));
+  return dir;
+}
+
+describe('daemon-dashboard api', () => {
+  it('reads facts with history and wiki pages with annotations, releasing memory each time', async () => {
+    const { request, calls } = makeApi();
+    assert.deepEqual(await request('GET', '/api/session'), { client: 'me', role: 'viewer', can_review: false });
+
+    const facts = await request('GET', '/api/facts', { query: 'q=node&project=metame' });
+    assert.equal(facts.facts[0].id, 'f1');
+    assert.deepEqual(calls.find(c => c[0] === 'searchFacts')[2], { limit: 50, project: 'metame', trackSearch: false });
+    assert.equal((await request('GET', '/api/facts/f1')).versions.length, 2);
+    assert.deepEqual(calls.find(c => c[0] === 'asset'), ['asset', 'fact', 'f1', { history: true }]);
+    await assert.rejects(request('GET', '/api/facts/missing'), { statusCode: 404 });
+
+    const page = await request('GET', '/api/wiki/runtime');
+    assert.equal(page.page.freshness, 'stale');
+    assert.deepEqual(page.annotations.map(a => a.id), ['a1']);
+    assert.equal(calls.filter(c => c === 'acquire').length, calls.filter(c => c === 'release').length);
+  });
+
+  it('joins heartbeat config with its last state and the run history log', async () => {
+    const { request, home } = makeApi();
+    const { appendTaskRun, taskRunLogPath } = require('./task-run-log');
+    appendTaskRun(taskRunLogPath(home), { name: 'nightly', status: 'error', finished_at: '2026-10-19T01:00:00Z' });
+    const tasks = await request('GET', '/api/tasks');
+    assert.deepEqual(tasks.board.map(t => t.task_id), ['t1']);
+    assert.deepEqual(tasks.heartbeat.map(t => [t.name, t.project, t.enabled, t.status, t.error_code]), [
+      ['nightly', null, true, 'error', 'TIMEOUT'],
+      ['sync', 'metame', false, null, null],
+    ]);
+    assert.deepEqual(tasks.runs.map(r => r.name), ['nightly']);
+    assert.equal((await request('GET', '/api/tasks/t1/events')).events[0].task_id, 't1');
+  });
+
+  it('keeps review actions admin-only', async () => {
+    const { request, home, queue } = makeApi();
+    stagePlan(home, 'plan.json');
+    await assert.rejects(request('POST', '/api/reconcile/plan.json/approve', { body: {} }), { statusCode: 403 });
+    await assert.rejects(request('POST', '/api/skill-evo/q1/reject', { body: {} }), { statusCode: 403 });
+    assert.equal(queue[0].status, 'pending');
+    assert.ok(fs.existsSync(path.join(home, '.metame', 'reconcile', 'plan.json')));
+  });
+
+  it('applies an approved reconcile plan once and sets rejected plans aside', async () => {
+    const { request, home, calls } = makeApi();
+    const dir = stagePlan(home, 'plan.json');
+    stagePlan(home, 'other.json');
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{}');
+
+    const listed = await request('GET', '/api/reconcile');
+    assert.deepEqual(listed.plans.map(p => p.name).sort(), ['broken.json', 'other.json', 'plan.json']);
+    assert.match(listed.plans.find(p => p.name === 'broken.json').error, /digest/);
+    assert.deepEqual(listed.plans.find(p => p.name === 'plan.json').proposals.map(p => [p.id, p.survivor, p.duplicate]), [['p1', 'm1', 'm2']]);
+
+    await assert.rejects(request('POST', '/api/reconcile/plan.json/approve', { client: ADMIN, body: { accept: 'all' } }), { statusCode: 400 });
+    await assert.rejects(request('POST', '/api/reconcile/plan.json/approve', { client: ADMIN, body: { accept: ['bogus'] } }), { statusCode: 409 });
+    assert.ok(fs.existsSync(path.join(dir, 'plan.json')), 'a failed apply leaves the plan staged');
+    await assert.rejects(request('POST', '/api/reconcile/..%2Fx.json/approve', { client: ADMIN, body: {} }), { statusCode: 400 });
+
+    const applied = await request('POST', '/api/reconcile/plan.json/approve', { client: ADMIN, body: { accept: ['p1'] } });
+    assert.deepEqual(applied.archived_ids, ['m2']);
+    const apply = calls.filter(c => c[0] === 'apply').at(-1);
+    assert.equal(apply[2].lockPath, `${path.join(home, '.metame', 'memory.db')}.reconcile.lock`);
+    assert.ok(calls.includes('dbClose'));
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'applied', 'plan.result.json'), 'utf8')).approved_by, 'ops');
+    await assert.rejects(request('POST', '/api/reconcile/plan.json/approve', { client: ADMIN, body: {} }), { statusCode: 404 });
+
+    await request('POST', '/api/reconcile/other.json/reject', { client: ADMIN, body: {} });
+    assert.ok(fs.existsSync(path.join(dir, 'rejected', 'other.json')));
+    assert.deepEqual((await request('GET', '/api/reconcile')).plans.map(p => p.name), ['broken.json']);
+  });
+
+  it('resolves skill-evolution items like /skill-evo done and dismiss', async () => {
+    const { request, calls, queue } = makeApi();
+    assert.equal((await request('GET', '/api/skill-evo')).items.length, 2);
+    assert.deepEqual(await request('POST', '/api/skill-evo/q2/approve', { client: ADMIN }), { ok: true, id: 'q2', status: 'installed' });
+    await request('POST', '/api/skill-evo/q1/reject', { client: ADMIN });
+    assert.deepEqual(queue.map(i => i.status), ['dismissed', 'installed']);
+    assert.deepEqual(calls.filter(c => c[0] === 'resetSketch'), [['resetSketch', 'ws1']]);
+    await assert.rejects(request('POST', '/api/skill-evo/q1/approve', { client: ADMIN }), { statusCode: 404 });
+
+    const { request: noEvo } = makeApi({ skillEvolution: null });
+    assert.deepEqual(await noEvo('GET', '/api/skill-evo'), { items: [] });
+    await assert.rejects(noEvo('POST', '/api/skill-evo/q1/approve', { client: ADMIN }), { statusCode: 503 });
+  });
+});
+
+describe('daemon-dashboard host', () => {
+  const VIEWER_TOKEN = 'v'.repeat(32);
+  const ADMIN_TOKEN = 'a'.repeat(32);
+  let handle = null;
+
+  afterEach(async () => {
+    if (handle) await handle.stop();
+    handle = null;
+  });
+
+  function rawRequest(pathname, headers) {
+    const url = new URL(handle.address());
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: url.hostname, port: url.port, path: pathname, headers }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  it('stays off unless enabled and fails closed on invalid config', async () => {
+    const logs = [];
+    const host = createDashboardHost({ log: (level, msg) => logs.push(msg) });
+    assert.equal(await host.startDashboard({}), null);
+    assert.equal(await host.startDashboard({ dashboard: { enabled: true, host: '0.0.0.0', clients: [{ name: 'me', token: VIEWER_TOKEN }] } }), null);
+    assert.match(logs[0], /disabled: .*loopback/);
+  });
+
+  it('serves the page without data and gates the api by token and role', async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-dashboard-'));
+    handle = await createDashboardHost({
+      home,
+      memory: fakeMemory([]),
+      reconcile: { readPlanFile: () => { throw new Error('unused'); }, applyReconcilePlan: () => { throw new Error('unused'); } },
+    }).startDashboard({
+      dashboard: {
+        enabled: true,
+        port: 0,
+        clients: [{ name: 'me', token: VIEWER_TOKEN }, { name: 'ops', token: ADMIN_TOKEN, role: 'admin' }],
+      },
+    });
+    assert.ok(handle, 'dashboard should start');
+    const base = handle.address();
+
+    const page = await fetch(`${base}/`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-security-policy'), /script-src 'self'/);
+    assert.match(await page.text(), /<script src="\/app.js"/);
+    assert.equal((await fetch(`${base}/app.js`)).status, 200);
+
+    const unauthorized = await fetch(`${base}/api/session`);
+    assert.equal(unauthorized.status, 401);
+    assert.equal((await fetch(`${base}/api/session`, { headers: { authorization: 'Bearer wrong' } })).status, 401);
+
+    const auth = token => ({ authorization: `Bearer ${token}` });
+    assert.deepEqual(await (await fetch(`${base}/api/session`, { headers: auth(ADMIN_TOKEN) })).json(), {
+      client: 'ops', role: 'admin', can_review: true,
+    });
+    const denied = await fetch(`${base}/api/skill-evo/q1/approve`, { method: 'POST', headers: auth(VIEWER_TOKEN), body: '{}' });
+    assert.equal(denied.status, 403);
+    assert.deepEqual(await denied.json(), { error: 'admin_required', message: 'admin_required' });
+    const badJson = await fetch(`${base}/api/skill-evo/q1/approve`, { method: 'POST', headers: auth(ADMIN_TOKEN), body: '{' });
+    assert.equal(badJson.status, 400);
+    assert.equal((await fetch(`${base}/api/facts/f1`, { method: 'DELETE', headers: auth(ADMIN_TOKEN) })).status, 405);
+
+    assert.equal(await rawRequest('/api/session', { host: 'evil.example', authorization: `Bearer ${ADMIN_TOKEN}` }), 403);
+    assert.equal(await rawRequest('/', { host: 'evil.example' }), 403);
+  });
+});
@@ -32,7 +32,7 @@ describe('daemon embedding queue reconciliation', () => {
     const first = _internal.reconcileEmbeddingQueue(db, {
       backend: 'ollama', model: 'bge-m3', dimensions: 1024,
     });
-    assert.deepEqual(first, { orphaned: 0, invalidated: 1, reset: 1, enqueued: 1 });
+    assert.deepEqual(first, { orphaned: 0, invalidated: 1, restored: 0, reset: 1, enqueued: 1 });
 
     const old = db.prepare('SELECT * FROM content_chunks WHERE id = ?').get('old');
     assert.equal(old.embedding, null);
@@ -47,7 +47,7 @@ describe('daemon embedding queue reconciliation', () => {
     const second = _internal.reconcileEmbeddingQueue(db, {
       backend: 'ollama', model: 'bge-m3', dimensions: 1024,
     });
-    assert.deepEqual(second, { orphaned: 0, invalidated: 0, reset: 0, enqueued: 0 });
+    assert.deepEqual(second, { orphaned: 0, invalidated: 0, restored: 0, reset: 0, enqueued: 0 });
     db.close();
   });
 
@@ -71,4 +71,72 @@ describe('daemon embedding queue reconciliation', () => {
     assert.equal(result.orphaned, 1);
     db.close();
   });
+
+  it('re-embeds stale chunks with the in-process backend after a switch', async () => {
+    const prev = process.env.METAME_EMBEDDING_BACKEND;
+    process.env.METAME_EMBEDDING_BACKEND = 'local';
+    try {
+      const embedding = require('./core/embedding');
+      const backendInfo = embedding.getBackendInfo();
+      assert.equal(backendInfo.model, 'metame-hash-ngram-v1');
+      const db = openDb();
+      db.prepare(`
+        INSERT INTO content_chunks
+          (id, page_slug, chunk_text, chunk_idx, embedding, embedding_model, embedding_dim)
+        VALUES ('stale', 'page', 'deploy the daemon', 0, ?, 'bge-m3', 1024)
+      `).run(Buffer.alloc(1024 * 4));
+
+      assert.equal(_internal.reconcileEmbeddingQueue(db, backendInfo).invalidated, 1);
+      const batch = await _internal.embedPendingBatch(db, embedding, backendInfo);
+      assert.deepEqual(batch, { success: 1, failed: 0, batch_size: 1 });
+
+      const row = db.prepare('SELECT embedding, embedding_model, embedding_dim FROM content_chunks').get();
+      assert.equal(row.embedding_model, 'metame-hash-ngram-v1');
+      assert.equal(db.prepare('SELECT COUNT(*) AS n FROM chunk_embeddings').get().n, 2);
+      assert.equal(row.embedding_dim, backendInfo.dimensions);
+      assert.equal(embedding.bufferToEmbedding(row.embedding).length, backendInfo.dimensions);
+      assert.equal(db.prepare('SELECT COUNT(*) AS n FROM embedding_queue').get().n, 0);
+      db.close();
+    } finally {
+      if (prev === undefined) delete process.env.METAME_EMBEDDING_BACKEND;
+      else process.env.METAME_EMBEDDING_BACKEND = prev;
+    }
+  });
+
+  it('keeps every backend index and restores the mirror when switching back', () => {
+    const db = openDb();
+    const openai = { backend: 'openai', model: 'text-embedding-3-small', dimensions: 512 };
+    const ollama = { backend: 'ollama', model: 'bge-m3', dimensions: 1024 };
+    db.prepare(`
+      INSERT INTO content_chunks
+        (id, page_slug, chunk_text, chunk_idx, embedding, embedding_model, embedding_dim)
+      VALUES ('c1', 'page', 'text', 0, ?, 'text-embedding-3-small', 512)
+    `).run(Buffer.alloc(512 * 4, 1));
+    db.prepare(`
+      INSERT INTO embedding_queue (item_type, item_id, model, target_model)
+      VALUES ('chunk', 'c1', 'metame-hash-ngram-v1', 'metame-hash-ngram-v1')
+    `).run();
+
+    const toOllama = _internal.reconcileEmbeddingQueue(db, ollama);
+    assert.equal(toOllama.invalidated, 1);
+    assert.equal(toOllama.enqueued, 1);
+    const kept = db.prepare('SELECT model, dim FROM chunk_embeddings').all().map(row => ({ ...row }));
+    assert.deepEqual(kept, [{ model: 'text-embedding-3-small', dim: 512 }]);
+
+    const back = _internal.reconcileEmbeddingQueue(db, openai);
+    assert.equal(back.restored, 1);
+    const chunk = db.prepare('SELECT embedding_model, length(embedding) AS bytes FROM content_chunks').get();
+    assert.equal(chunk.embedding_model, 'text-embedding-3-small');
+    assert.equal(chunk.bytes, 512 * 4);
+
+    // The reembed job keeps its target across both switches.
+    const targets = db.prepare(
+      'SELECT target_model FROM embedding_queue WHERE target_model IS NOT NULL',
+    ).all().map(row => row.target_model);
+    assert.deepEqual(targets, ['metame-hash-ngram-v1']);
+
+    db.prepare('DELETE FROM content_chunks').run();
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM chunk_embeddings').get().n, 0);
+    db.close();
+  });
 });
@@ -0,0 +1,89 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { createForgetCommandHandler } = require('./daemon-forget-commands');
+
+describe('daemon-forget-commands', () => {
+  let sent;
+  let calls;
+  let clock;
+  let matches;
+  let handle;
+  const bot = {
+    sendMessage: async (chatId, text) => sent.push({ text }),
+    sendButtons: async (chatId, text, buttons) => sent.push({ text, buttons }),
+  };
+
+  beforeEach(() => {
+    sent = [];
+    calls = [];
+    clock = 1000;
+    matches = [{ id: 'm1', kind: 'profile', preview: 'The wifi password is hunter2.' }];
+    ({ handleForgetCommand: handle } = createForgetCommandHandler({
+      path,
+      HOME: '/home/tester',
+      log: () => {},
+      openDb: () => ({ close() {} }),
+      now: () => clock,
+      forgetMemory(options) {
+        calls.push(options);
+        if (options.expectIds && options.expectIds.join() !== matches.map(item => item.id).join()) {
+          throw new Error('memory changed since the preview; preview again before erasing');
+        }
+        return {
+          items: matches,
+          counts: { content_chunks: 1, recall_audit: 2, knowledge_lineage: 1 },
+          stale_page_slugs: ['home-network'],
+          stale_artifact_ids: [],
+          receipt: options.dryRun ? null : { receipt_id: 'er_1' },
+          receipt_path: options.dryRun ? null : '/home/tester/.metame/erasures/er_1.json',
+        };
+      },
+    }));
+  });
+
+  it('previews with a token button and erases only after confirm', async () => {
+    assert.equal(await handle({ bot, chatId: 'c1', text: '/forget wifi password' }), true);
+    assert.deepEqual(calls[0], { target: 'wifi password', dryRun: true, db: calls[0].db, homeDir: '/home/tester' });
+    assert.match(sent[0].text, /将永久删除 1 条记忆/);
+    assert.match(sent[0].text, /wiki 页面将标记为过期：home-network/);
+    const callback = sent[0].buttons[0][0].callback_data;
+    assert.match(callback, /^\/forget confirm [0-9a-f]{8}$/);
+    assert.doesNotMatch(callback, /wifi/);
+
+    await handle({ bot, chatId: 'c1', text: callback });
+    assert.deepEqual(calls[1].expectIds, ['m1']);
+    assert.equal(calls[1].target, 'wifi password');
+    assert.match(sent.at(-1).text, /已永久删除 1 条记忆/);
+    assert.match(sent.at(-1).text, /er_1\.json/);
+
+    await handle({ bot, chatId: 'c1', text: callback });
+    assert.match(sent.at(-1).text, /确认已失效/);
+    assert.equal(calls.length, 2);
+  });
+
+  it('expires confirmations and refuses when the selection changed', async () => {
+    await handle({ bot, chatId: 'c1', text: '/forget wifi password' });
+    const callback = sent[0].buttons[0][0].callback_data;
+    clock += 11 * 60 * 1000;
+    await handle({ bot, chatId: 'c1', text: callback });
+    assert.match(sent.at(-1).text, /确认已失效/);
+
+    await handle({ bot, chatId: 'c1', text: '/forget wifi password' });
+    matches = [...matches, { id: 'm2', kind: 'profile', preview: 'hunter2 again' }];
+    await handle({ bot, chatId: 'c1', text: sent.at(-1).buttons[0][0].callback_data });
+    assert.match(sent.at(-1).text, /❌ \/forget 失败：memory changed since the preview/);
+  });
+
+  it('blocks read-only users and ignores other commands', async () => {
+    await handle({ bot, chatId: 'c1', text: '/forget wifi', readOnly: true });
+    assert.match(sent.at(-1).text, /只读用户不能删除记忆/);
+    await handle({ bot, chatId: 'c1', text: '/forget' });
+    assert.match(sent.at(-1).text, /用法: \/forget/);
+    assert.equal(calls.length, 0);
+    assert.equal(await handle({ bot, chatId: 'c1', text: '/forgetful' }), false);
+  });
+});
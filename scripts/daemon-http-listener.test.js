@@ -0,0 +1,64 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { listenHttp, readBody, writeJson } = require('./daemon-http-listener');
+
+function postChunked(address, chunks) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(address);
+    const req = http.request({
+      host: url.hostname, port: url.port, path: '/', method: 'POST', headers: { 'Transfer-Encoding': 'chunked' },
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    req.on('error', reject);
+    for (const chunk of chunks) req.write(chunk);
+    req.end();
+  });
+}
+
+describe('daemon-http-listener', () => {
+  it('reads bodies up to the limit and answers 413 past it even without Content-Length', async () => {
+    const logs = [];
+    const listener = await listenHttp((req, res) => {
+      readBody(req, 8)
+        .then(body => writeJson(res, 200, { body: body.toString('utf8') }))
+        .catch(err => writeJson(res, err.statusCode || 500, { error: err.code }));
+    }, { tag: 'TEST', log: (level, msg) => logs.push(`${level} ${msg}`), host: '127.0.0.1', port: 0 });
+    try {
+      assert.match(listener.address(), /^http:\/\/127\.0\.0\.1:\d+$/);
+      const small = await postChunked(listener.address(), ['abc', 'def']);
+      assert.deepEqual([small.status, JSON.parse(small.text)], [200, { body: 'abcdef' }]);
+      assert.equal(small.headers['cache-control'], 'no-store');
+      assert.equal(small.headers['x-content-type-options'], 'nosniff');
+      const big = await postChunked(listener.address(), ['abcdef', 'ghijkl']);
+      assert.deepEqual([big.status, JSON.parse(big.text)], [413, { error: 'payload_too_large' }]);
+
+      const port = Number(new URL(listener.address()).port);
+      assert.equal(await listenHttp(() => {}, { tag: 'TEST', log: (level, msg) => logs.push(`${level} ${msg}`), host: '127.0.0.1', port }), null);
+      assert.ok(logs.some(line => /^WARN \[TEST\] listen failed: .*EADDRINUSE/.test(line)));
+    } finally {
+      await listener.stop();
+    }
+  });
+
+  it('runs beforeClose before cutting open connections on stop', async () => {
+    const order = [];
+    const listener = await listenHttp((req, res) => writeJson(res, 200, {}), {
+      tag: 'TEST',
+      log: () => {},
+      host: '127.0.0.1',
+      port: 0,
+      beforeClose: async () => { order.push('beforeClose'); },
+    });
+    await listener.stop();
+    order.push('stopped');
+    assert.deepEqual(order, ['beforeClose', 'stopped']);
+  });
+});
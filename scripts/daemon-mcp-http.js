@@ -0,0 +1,164 @@
+'use strict';
+/**
+ * daemon-mcp-http.js — opt-in shared MCP endpoint hosted by the daemon
+ *
+ * Instead of every Host spawning its own stdio server (and its own SQLite
+ * handle), Hosts can point at one streamable HTTP endpoint:
+ *
+ *   /mcp         memory / wiki / context tools  (metame-mcp-server.js)
+ *   /mcp/files   file map tools                 (metame-files-mcp-server.js)
+ *
+ *   claude mcp add --transport http metame http://127.0.0.1:8765/mcp \
+ *     --header "Authorization: Bearer <token>"
+ *
+ * Binds to loopback or a Unix socket only. Every request must carry a client
+ * token from `mcp_http.clients`; the client's binding (project / agent) is
+ * the trusted access context, so request fields can never widen scope.
+ * Protocol framing is the official SDK's (metame-mcp-server-sdk.mjs); this
+ * file owns only the node:http listener, authentication and routing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { authenticateClient, normalizeMcpHttpConfig } = require('./core/mcp-http-access');
+const { listenHttp, readBody, writeJson } = require('./daemon-http-listener');
+
+const ROUTES = Object.freeze({ '/mcp': 'memory', '/mcp/files': 'files' });
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function createMcpHttpHost(deps = {}) {
+  const {
+    log = () => {},
+    loadSdk = () => require('./metame-mcp-server').loadSdk(),
+    env = process.env,
+    home = require('os').homedir(),
+  } = deps;
+
+  async function toWebRequest(req) {
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (Array.isArray(value)) value.forEach(item => headers.append(name, item));
+      else if (value !== undefined) headers.set(name, value);
+    }
+    const init = { method: req.method, headers };
+    if (req.method !== 'GET' && req.method !== 'HEAD') init.body = await readBody(req, MAX_BODY_BYTES);
+    return new Request(new URL(req.url, `http://${req.headers.host || 'localhost'}`), init);
+  }
+
+  async function sendWebResponse(res, response) {
+    const headers = {};
+    response.headers.forEach((value, name) => { headers[name] = value; });
+    res.writeHead(response.status, headers);
+    if (!response.body) {
+      res.end();
+      return;
+    }
+    // SSE streams stay open until either side goes away.
+    const body = Readable.fromWeb(response.body);
+    res.on('close', () => body.destroy());
+    body.on('error', () => res.destroy());
+    body.pipe(res);
+  }
+
+  /**
+   * Loads the SDK host and binds the listener; null when disabled, invalid
+   * or the port / socket is taken.
+   * @param {object} config - full daemon config; reads `config.mcp_http`
+   */
+  async function startMcpHttpHost(config) {
+    let settings;
+    try {
+      settings = normalizeMcpHttpConfig(config && config.mcp_http, { env, home });
+    } catch (err) {
+      log('WARN', `[MCP-HTTP] disabled: ${err.message}`);
+      return null;
+    }
+    if (!settings.enabled) return null;
+
+    const sdk = await loadSdk();
+    const host = sdk.createHttpMcpHost({
+      onerror: err => log('DEBUG', `[MCP-HTTP] ${err.message}`),
+    });
+
+    const handler = async (req, res) => {
+      let pathname;
+      try {
+        pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+      } catch {
+        writeJson(res, 400, { error: 'bad_request' });
+        return;
+      }
+      const serverName = ROUTES[pathname];
+      if (!serverName) {
+        writeJson(res, 404, { error: 'not_found' });
+        return;
+      }
+      const client = authenticateClient(settings.clients, req.headers.authorization);
+      if (!client) {
+        writeJson(res, 401, { error: 'unauthorized' }, { 'WWW-Authenticate': 'Bearer realm="metame-mcp"' });
+        return;
+      }
+      if (!client.servers.includes(serverName)) {
+        writeJson(res, 403, { error: 'server_not_allowed', server: serverName });
+        return;
+      }
+      if (Number(req.headers['content-length'] || 0) > MAX_BODY_BYTES) {
+        writeJson(res, 413, { error: 'payload_too_large' });
+        return;
+      }
+      let request;
+      try {
+        request = await toWebRequest(req);
+      } catch (err) {
+        if (err.statusCode === 413) writeJson(res, 413, { error: 'payload_too_large' });
+        else res.destroy();
+        return;
+      }
+      try {
+        const response = await host.fetch(serverName, request, client);
+        await sendWebResponse(res, response);
+      } catch (err) {
+        log('WARN', `[MCP-HTTP] ${client.name} ${req.method} ${pathname}: ${err.message}`);
+        if (!res.headersSent) writeJson(res, 500, { error: 'internal_error' });
+        else res.destroy();
+      }
+    };
+
+    if (settings.socket) {
+      fs.mkdirSync(path.dirname(settings.socket), { recursive: true });
+      try { fs.unlinkSync(settings.socket); } catch { /* no stale socket */ }
+    }
+    const listener = await listenHttp(handler, {
+      tag: 'MCP-HTTP',
+      log,
+      host: settings.host,
+      port: settings.port,
+      socket: settings.socket,
+      beforeClose: () => host.close(),
+    });
+    if (!listener) {
+      await host.close().catch(() => {});
+      return null;
+    }
+    // A Unix socket is only as private as its mode; tokens still apply.
+    if (settings.socket) {
+      try { fs.chmodSync(settings.socket, 0o600); } catch { /* best effort */ }
+    }
+    log('INFO', `[MCP-HTTP] listening on ${listener.address()} (${settings.clients.length} client(s))`);
+
+    return {
+      address: listener.address,
+      async stop() {
+        await listener.stop();
+        if (settings.socket) {
+          try { fs.unlinkSync(settings.socket); } catch { /* already gone */ }
+        }
+      },
+    };
+  }
+
+  return { startMcpHttpHost };
+}
+
+module.exports = { createMcpHttpHost };
@@ -0,0 +1,113 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOpenAiApi } = require('./daemon-openai-api');
+const { resolveRoleCtx, classifyCommandAction, PUBLIC_COMMANDS } = require('./daemon-user-acl');
+
+const ADMIN_TOKEN = 'a'.repeat(24);
+const MEMBER_TOKEN = 'm'.repeat(24);
+
+const userAcl = {
+  loadUsers: () => ({ users: {} }),
+  resolveUserCtx: () => { throw new Error('unregistered users must not resolve by id'); },
+  resolveRoleCtx,
+  classifyCommandAction,
+  PUBLIC_COMMANDS,
+};
+
+describe('daemon-openai-api', () => {
+  let handle;
+  let calls;
+
+  async function start(handleCommand) {
+    calls = [];
+    const config = {
+      projects: { metame: { cwd: '/tmp' }, personal: { cwd: '/tmp' } },
+      openai_api: {
+        enabled: true,
+        port: 0,
+        clients: [
+          { name: 'ops', token: ADMIN_TOKEN, role: 'admin' },
+          { name: 'vscode', token: MEMBER_TOKEN, user: 'ou_unknown', agents: ['metame'] },
+        ],
+      },
+    };
+    handle = await createOpenAiApi({
+      log: () => {},
+      loadConfig: () => config,
+      userAcl,
+      randomId: () => 'abc',
+      handleCommand: async (bot, chatId, text, cfg, exec, senderId, readOnly) => {
+        calls.push({ chatId, text, senderId, readOnly });
+        await handleCommand(bot, chatId, text);
+      },
+    }).startOpenAiApi(config, () => {});
+    assert.ok(handle);
+  }
+
+  function post(token, body) {
+    return fetch(`${handle.address()}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  afterEach(async () => {
+    if (handle) await handle.stop();
+    handle = null;
+  });
+
+  it('answers on the agent virtual chat with the token role applied', async () => {
+    await start(async (bot, chatId, text) => { await bot.sendMarkdown(chatId, `**echo** ${text}`); });
+
+    const res = await post(MEMBER_TOKEN, { model: 'metame', messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.object, 'chat.completion');
+    assert.equal(body.id, 'chatcmpl-abc');
+    assert.deepEqual(body.choices[0].message, { role: 'assistant', content: '**echo** hi' }, 'markdown is kept for editors');
+    assert.deepEqual(calls, [{ chatId: '_agent_metame::openai-vscode', text: 'hi', senderId: null, readOnly: true }]);
+
+    await post(ADMIN_TOKEN, { model: 'personal', messages: [{ role: 'user', content: 'go' }] }).then(r => r.json());
+    assert.equal(calls[1].readOnly, false);
+
+    const models = await fetch(`${handle.address()}/v1/models`, { headers: { authorization: `Bearer ${MEMBER_TOKEN}` } }).then(r => r.json());
+    assert.deepEqual(models.data.map(m => m.id), ['metame']);
+  });
+
+  it('rejects bad tokens, unknown models and commands above the role', async () => {
+    await start(async () => {});
+    assert.equal((await post('n'.repeat(24), { model: 'metame', messages: [{ role: 'user', content: 'hi' }] })).status, 401);
+
+    const missing = await post(MEMBER_TOKEN, { model: 'personal', messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error.code, 'model_not_found');
+
+    const denied = await post(MEMBER_TOKEN, { model: 'metame', messages: [{ role: 'user', content: '/sh ls' }] });
+    assert.equal(denied.status, 403);
+    assert.equal((await denied.json()).error.type, 'permission_error');
+    assert.equal((await post(MEMBER_TOKEN, { model: 'metame' })).status, 400);
+    assert.deepEqual(calls, []);
+  });
+
+  it('streams text deltas as SSE chunks and ends with [DONE]', async () => {
+    await start(async (bot, chatId) => {
+      bot.onStream('__STREAM_TEXT__Hel');
+      bot.onStream('__TOOL_OVERLAY__Hel\n\n> 📖 Read: a.js');
+      bot.onStream('__STREAM_TEXT__Hello');
+      await bot.sendMarkdown(chatId, 'Hello world');
+    });
+    const res = await post(MEMBER_TOKEN, { model: 'metame', stream: true, messages: [{ role: 'user', content: 'hi' }] });
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    const raw = await res.text();
+    assert.match(raw, /^: 📖 Read: a\.js$/m);
+    const events = raw.split('\n\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6));
+    assert.equal(events.pop(), '[DONE]');
+    const chunks = events.map(line => JSON.parse(line));
+    assert.deepEqual(chunks.map(c => c.choices[0].delta.content ?? null), ['', 'Hel', 'lo', ' world', null]);
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+  });
+});
@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * daemon-race.js — /race: best-of-N runs across engines.
+ *
+ * `/race <prompt>` gives every racing engine (core/race.js
+ * `selectRaceEngines`) its own run_race_<id>_<engine> worktree from
+ * daemon-worktrees.js, branched from the chat's checkout HEAD, and runs the
+ * prompt there through the background runner in parallel. Each finished run
+ * is committed on its agent/run_* branch, measured (`git diff --shortstat`
+ * against the base) and tested with `test_command` (project, else daemon),
+ * then one comparison card goes to the chat.
+ *
+ * `/race pick <engine>` squash-merges that branch into the main checkout
+ * and removes every race worktree and branch; `/race cancel` stops and
+ * removes them. Unpicked races expire after RACE_TTL_MS, and worktrees left
+ * by a daemon restart are swept on the next start (`sweepOrphans`).
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createCommandSessionResolver } = require('./daemon-command-session-route');
+const { resolveEngineModel } = require('./daemon-engine-runtime');
+const {
+  RACE_LIMITS,
+  RACE_USAGE,
+  parseRaceCommand,
+  selectRaceEngines,
+  isPickable,
+  formatRaceCard,
+} = require('./core/race');
+const { parseShortstat, resolveTestCommand } = require('./core/worktree-status');
+
+const RACE_PREFIX = 'run_race_';
+const RACE_TTL_MS = 24 * 60 * 60 * 1000;
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+const GIT_TIMEOUT_MS = 30000;
+const RACE_GIT_IDENTITY = ['-c', 'user.name=MetaMe race', '-c', 'user.email=race@metame.local'];
+
+function createRaceManager(deps) {
+  const {
+    path,
+    log,
+    loadConfig,
+    loadState,
+    getSession,
+    getSessionForEngine,
+    backgroundRunner,
+    worktreeUtils,
+    engineRegistry = null,
+    getDefaultEngine = () => 'claude',
+    getDaemonProviderEnv = () => ({}),
+    execFile = require('child_process').execFile,
+    exec = require('child_process').exec,
+    randomHex = n => crypto.randomBytes(n).toString('hex'),
+    now = Date.now,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+  } = deps;
+  const execFileAsync = promisify(execFile);
+  const execAsync = promisify(exec);
+  const { getSessionRoute } = createCommandSessionResolver({
+    path,
+    loadConfig,
+    loadState,
+    getSession,
+    getSessionForEngine,
+    getDefaultEngine,
+  });
+
+  const races = new Map(); // chatId -> race
+
+  async function git(cwd, args) {
+    const { stdout } = await execFileAsync('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 });
+    return String(stdout || '').trim();
+  }
+
+  function isEngineAvailable(engineId) {
+    if (!engineRegistry || typeof engineRegistry.resolve !== 'function') return true;
+    const plugin = engineRegistry.resolve(engineId).plugin;
+    const runtime = plugin && plugin.runtime;
+    return !!runtime && !(typeof runtime.isReady === 'function' && !runtime.isReady());
+  }
+
+  function registeredEngines() {
+    if (!engineRegistry || typeof engineRegistry.list !== 'function') return [];
+    return engineRegistry.list({ includeDisabled: false })
+      .map(plugin => plugin && plugin.descriptor && plugin.descriptor.id)
+      .filter(Boolean);
+  }
+
+  function cleanup(race) {
+    if (race.expiry) clearTimer(race.expiry);
+    for (const entry of race.entries) {
+      if (entry.path && !worktreeUtils.removeRunWorktree(entry.path, { deleteBranch: true })) {
+        log('WARN', `[RACE] ${race.id} could not remove ${entry.path}`);
+      }
+    }
+    if (races.get(race.key) === race) races.delete(race.key);
+  }
+
+  /** Remove race worktrees no live race owns (left behind by a restart). */
+  function sweepOrphans() {
+    const owned = new Set();
+    for (const race of races.values()) race.entries.forEach(entry => entry.path && owned.add(path.resolve(entry.path)));
+    let removed = 0;
+    for (const worktree of worktreeUtils.listRunWorktrees()) {
+      if (!path.basename(worktree.path).startsWith(RACE_PREFIX) || owned.has(path.resolve(worktree.path))) continue;
+      if (worktreeUtils.removeRunWorktree(worktree.path, { deleteBranch: true })) removed += 1;
+    }
+    if (removed) log('INFO', `[RACE] swept ${removed} orphaned race worktree(s)`);
+    return removed;
+  }
+
+  async function runTest(command, cwd) {
+    const startedAt = now();
+    try {
+      const { stdout, stderr } = await execAsync(command, { cwd, timeout: TEST_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 });
+      return { passed: true, durationMs: now() - startedAt, output: `${stdout || ''}${stderr || ''}`.slice(-RACE_LIMITS.testOutputChars) };
+    } catch (err) {
+      const output = `${err.stdout || ''}${err.stderr || ''}` || err.message;
+      return { passed: false, durationMs: now() - startedAt, output: String(output).slice(-RACE_LIMITS.testOutputChars) };
+    }
+  }
+
+  async function runEntry(race, entry, config) {
+    const daemonCfg = (config && config.daemon) || {};
+    const result = await backgroundRunner.startTurn({
+      engine: entry.engine,
+      model: resolveEngineModel(entry.engine, daemonCfg),
+      prompt: race.prompt,
+      cwd: entry.path,
+      sessionRef: { started: false, id: crypto.randomUUID() },
+      readOnly: false,
+      structured: false,
+      daemonCfg,
+      projectKey: race.projectKey,
+      senderId: race.senderId,
+      providerEnv: getDaemonProviderEnv(),
+      signal: race.abort.signal,
+    });
+    if (race.cancelled) return;
+    if (!result.ok) {
+      entry.status = 'failed';
+      entry.error = result.errorCode ? `${result.errorCode} ${result.error || ''}`.trim() : result.error;
+      return;
+    }
+    entry.summary = result.output;
+    await git(entry.path, ['add', '-A']);
+    const staged = await git(entry.path, ['diff', '--cached', '--name-only']);
+    if (staged) await git(entry.path, [...RACE_GIT_IDENTITY, 'commit', '-q', '--no-verify', '-m', `race ${race.id}: ${entry.engine}`]);
+    entry.diff = parseShortstat(await git(entry.path, ['diff', '--shortstat', race.base, 'HEAD']));
+    if (race.testCommand && entry.diff.files > 0) entry.test = await runTest(race.testCommand, entry.path);
+    entry.status = 'done';
+  }
+
+  async function sendResultCard(race) {
+    const text = formatRaceCard(race);
+    const pickable = race.entries.filter(isPickable);
+    if (pickable.length && typeof race.bot.sendButtons === 'function') {
+      await race.bot.sendButtons(race.chatId, text, [
+        pickable.map(entry => ({ text: `✅ 合并 ${entry.engine}`, callback_data: `/race pick ${entry.engine}` })),
+        [{ text: '🗑 全部丢弃', callback_data: '/race cancel' }],
+      ]);
+      return;
+    }
+    await race.bot.sendMessage(race.chatId, text);
+  }
+
+  async function runRace(race, config) {
+    await Promise.all(race.entries.map(entry => runEntry(race, entry, config).catch((err) => {
+      entry.status = 'failed';
+      entry.error = err.message;
+    })));
+    if (race.cancelled) {
+      cleanup(race);
+      return;
+    }
+    race.status = 'ready';
+    log('INFO', `[RACE] ${race.id} finished: ${race.entries.map(entry => `${entry.engine}=${entry.status}`).join(', ')}`);
+    if (!race.entries.some(isPickable)) {
+      cleanup(race);
+    } else {
+      race.expiry = setTimer(() => {
+        log('INFO', `[RACE] ${race.id} expired without a pick`);
+        cleanup(race);
+        race.bot.sendMessage(race.chatId, `⏱ Race ${race.id} 超过 24 小时未选择，worktree 已清理`).catch(() => {});
+      }, RACE_TTL_MS);
+      if (race.expiry && typeof race.expiry.unref === 'function') race.expiry.unref();
+    }
+    await sendResultCard(race);
+  }
+
+  async function startRace({ bot, chatId, senderId, command }) {
+    const key = String(chatId);
+    const current = races.get(key);
+    if (current) return `已有进行中的 Race ${current.id}，先 /race pick <engine> 或 /race cancel`;
+    const config = loadConfig();
+    const daemonCfg = (config && config.daemon) || {};
+    const route = getSessionRoute(chatId);
+    if (!route.cwd) return '❌ 当前会话没有工作目录，先 /cd 到一个 git 仓库';
+    let gitRoot;
+    let base;
+    try {
+      gitRoot = await git(route.cwd, ['rev-parse', '--show-toplevel']);
+      base = await git(gitRoot, ['rev-parse', 'HEAD']);
+    } catch {
+      return `❌ ${route.cwd} 不是有提交记录的 git 仓库，无法开 worktree`;
+    }
+    const projectKey = (route.context && route.context.boundKey) || '';
+    const project = projectKey && config.projects ? config.projects[projectKey] : null;
+    const engines = selectRaceEngines({
+      requested: command.engines,
+      current: route.engine,
+      registered: registeredEngines(),
+      projectKey,
+      project,
+      daemonCfg,
+      defaultEngine: getDefaultEngine(),
+      isAvailable: isEngineAvailable,
+    });
+    if (engines.length < RACE_LIMITS.minEngines) {
+      return `❌ 可参赛的受信任引擎不足 ${RACE_LIMITS.minEngines} 个（当前：${engines.join(', ') || '无'}）`;
+    }
+
+    sweepOrphans();
+    let id = randomHex(3);
+    while ([...races.values()].some(race => race.id === id)) id = randomHex(3);
+    const race = {
+      id,
+      key,
+      chatId,
+      bot,
+      senderId,
+      prompt: command.prompt,
+      projectKey,
+      gitRoot,
+      base,
+      testCommand: resolveTestCommand(config, projectKey),
+      status: 'running',
+      cancelled: false,
+      abort: new AbortController(),
+      expiry: null,
+      createdAt: now(),
+      entries: engines.map(engine => ({ engine, path: null, status: 'running' })),
+    };
+    for (const entry of race.entries) {
+      entry.path = worktreeUtils.getOrCreateWorktree(gitRoot, `${RACE_PREFIX}${id}_${entry.engine}`);
+      if (!entry.path) {
+        cleanup(race);
+        return `❌ 无法为 ${entry.engine} 创建 worktree`;
+      }
+    }
+    races.set(key, race);
+    log('INFO', `[RACE] ${id} started in ${gitRoot}: ${engines.join(' vs ')}`);
+    runRace(race, config).catch((err) => {
+      log('ERROR', `[RACE] ${id} failed: ${err.message}`);
+      cleanup(race);
+      bot.sendMessage(chatId, `❌ Race ${id} 异常结束：${err.message}`).catch(() => {});
+    });
+    return [
+      `🏁 Race ${id} 已开始：${engines.join(' vs ')}`,
+      `每个引擎在独立 worktree 中执行（基于 ${base.slice(0, 7)}），全部完成后发送对比卡片。`,
+      race.testCommand ? `完成后运行测试：${race.testCommand}` : '未配置 test_command，对比卡片不含测试结果。',
+    ].join('\n');
+  }
+
+  async function pickWinner(race, engine) {
+    if (race.status !== 'ready') return `Race ${race.id} 还在运行，完成后再选择`;
+    const entry = race.entries.find(item => item.engine === engine);
+    if (!isPickable(entry)) return `❌ ${engine} 没有可合并的结果（可选：${race.entries.filter(isPickable).map(item => item.engine).join(', ') || '无'}）`;
+    const dirty = await git(race.gitRoot, ['status', '--porcelain', '--untracked-files=no']);
+    if (dirty) return '❌ 主工作区有未提交的改动，先提交或暂存后再 /race pick';
+    const branch = await git(entry.path, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    try {
+      await git(race.gitRoot, ['merge', '--squash', branch]);
+      const others = race.entries.filter(item => item !== entry).map(item => item.engine).join(', ');
+      const subject = race.prompt.replace(/\s+/g, ' ').trim().slice(0, 72);
+      await git(race.gitRoot, ['commit', '-q', '-m', `${subject}\n\nRace ${race.id}: ${engine} (vs ${others})`]);
+    } catch (err) {
+      try { await git(race.gitRoot, ['reset', '--merge']); } catch { /* nothing staged */ }
+      log('WARN', `[RACE] ${race.id} merge of ${engine} failed: ${err.message}`);
+      return `❌ 合并 ${engine} 失败（可能与主工作区冲突），主工作区已恢复；可换一个 /race pick 或 /race cancel\n${String(err.stderr || err.message).slice(0, 300)}`;
+    }
+    const head = await git(race.gitRoot, ['rev-parse', '--short', 'HEAD']);
+    cleanup(race);
+    log('INFO', `[RACE] ${race.id} merged ${engine} as ${head}`);
+    return `✅ 已合并 ${engine} 的结果（${head}），其余 worktree 已清理`;
+  }
+
+  /**
+   * /race, /race <prompt>, /race --engines a,b <prompt>, /race pick <engine>,
+   * /race cancel. Returns false for anything else.
+   */
+  async function handleCommand({ bot, chatId, text, senderId = null, readOnly = false }) {
+    const command = parseRaceCommand(text);
+    if (!command) return false;
+    const key = String(chatId);
+    const race = races.get(key);
+    let reply;
+    if (command.action === 'usage') {
+      reply = RACE_USAGE;
+    } else if (command.action === 'status') {
+      reply = race ? formatRaceCard(race) : RACE_USAGE;
+    } else if (readOnly) {
+      reply = '⛔ 只读用户不能发起或合并 race';
+    } else if (command.action === 'start') {
+      reply = await startRace({ bot, chatId, senderId, command });
+    } else if (!race) {
+      reply = '当前没有进行中的 race';
+    } else if (command.action === 'cancel') {
+      if (race.status === 'running') {
+        race.cancelled = true;
+        race.abort.abort();
+      } else {
+        cleanup(race);
+      }
+      reply = `🗑 Race ${race.id} 已取消，worktree ${race.status === 'running' ? '将在进程退出后' : '已'}清理`;
+    } else {
+      try {
+        reply = await pickWinner(race, command.engine);
+      } catch (err) {
+        reply = `❌ 合并失败：${err.message}`;
+      }
+    }
+    await bot.sendMessage(chatId, reply);
+    return true;
+  }
+
+  return { handleCommand, sweepOrphans };
+}
+
+module.exports = { createRaceManager };
@@ -0,0 +1,118 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const { createWorktreeUtils } = require('./daemon-worktrees');
+const { createRaceManager } = require('./daemon-race');
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd, encoding: 'utf8' }).trim();
+}
+
+async function waitFor(predicate, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for race');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('daemon-race', () => {
+  let home;
+  let repo;
+  let config;
+  let sent;
+  let turns;
+  let race;
+  const bot = {
+    sendMessage: async (chatId, text) => sent.push({ chatId, text }),
+    sendButtons: async (chatId, text, buttons) => sent.push({ chatId, text, buttons }),
+  };
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-race-'));
+    repo = path.join(home, 'repo');
+    fs.mkdirSync(repo);
+    git(repo, 'init', '-q');
+    git(repo, 'config', 'user.name', 'tester');
+    git(repo, 'config', 'user.email', 'tester@example.com');
+    fs.writeFileSync(path.join(repo, 'README.md'), 'base\n');
+    git(repo, 'add', '-A');
+    git(repo, 'commit', '-q', '-m', 'base');
+    config = { daemon: { test_command: 'node -e "process.exit(0)"' }, projects: {} };
+    sent = [];
+    turns = [];
+    const state = { sessions: { chat1: { cwd: repo, engines: { claude: { id: 's1', started: true } } } } };
+    race = createRaceManager({
+      path,
+      log: () => {},
+      loadConfig: () => config,
+      loadState: () => state,
+      getSession: id => state.sessions[id] || null,
+      getSessionForEngine: () => null,
+      worktreeUtils: createWorktreeUtils({ fs, path, log: () => {}, HOME: home }),
+      backgroundRunner: {
+        async startTurn({ engine, cwd, prompt }) {
+          turns.push({ engine, cwd, prompt });
+          if (engine === 'codex') return { ok: false, error: 'usage limit reached', errorCode: 'RATE_LIMIT' };
+          fs.writeFileSync(path.join(cwd, `${engine}.txt`), `${prompt}\n`);
+          return { ok: true, output: `${engine} wrote a file` };
+        },
+      },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('races engines in separate worktrees, posts a comparison card and merges the pick', async () => {
+    assert.equal(await race.handleCommand({ bot, chatId: 'chat1', text: '/race --engines claude,codex add a greeting' }), true);
+    assert.match(sent[0].text, /Race \w+ 已开始：claude vs codex/);
+    await waitFor(() => sent.some(message => message.buttons));
+
+    const worktrees = turns.map(turn => turn.cwd);
+    assert.equal(new Set(worktrees).size, 2);
+    assert.ok(worktrees.every(dir => dir.startsWith(path.join(home, '.metame', 'worktrees')) && path.basename(dir).startsWith('run_race_')));
+    const card = sent.find(message => message.buttons);
+    assert.match(card.text, /1\. claude · ✅ 完成 · 1 个文件 \+1 −0 · 🧪 通过/);
+    assert.match(card.text, /2\. codex · ❌ 失败：RATE_LIMIT/);
+    assert.deepEqual(card.buttons.flat().map(button => button.callback_data), ['/race pick claude', '/race cancel']);
+
+    await race.handleCommand({ bot, chatId: 'chat1', text: '/race pick codex' });
+    assert.match(sent.at(-1).text, /codex 没有可合并的结果/);
+    await race.handleCommand({ bot, chatId: 'chat1', text: '/race pick claude' });
+    assert.match(sent.at(-1).text, /已合并 claude/);
+    assert.equal(fs.readFileSync(path.join(repo, 'claude.txt'), 'utf8'), 'add a greeting\n');
+    assert.match(git(repo, 'log', '-1', '--format=%B'), /^add a greeting\n\nRace \w+: claude \(vs codex\)/);
+    assert.equal(git(repo, 'status', '--porcelain'), '');
+    assert.ok(worktrees.every(dir => !fs.existsSync(dir)));
+    assert.equal(git(repo, 'branch', '--list', 'agent/run_*'), '');
+
+    await race.handleCommand({ bot, chatId: 'chat1', text: '/race cancel' });
+    assert.equal(sent.at(-1).text, '当前没有进行中的 race');
+  });
+
+  it('refuses read-only users and races without two trusted engines', async () => {
+    await race.handleCommand({ bot, chatId: 'chat1', text: '/race fix it', readOnly: true });
+    assert.match(sent.at(-1).text, /只读用户/);
+    await race.handleCommand({ bot, chatId: 'chat1', text: '/race --engines agy,claude fix it' });
+    assert.match(sent.at(-1).text, /受信任引擎不足 2 个（当前：claude）/);
+    assert.equal(turns.length, 0);
+    assert.equal(await race.handleCommand({ bot, chatId: 'chat1', text: '/racetrack' }), false);
+  });
+
+  it('sweeps race worktrees left behind by a restart', () => {
+    const utils = createWorktreeUtils({ fs, path, log: () => {}, HOME: home });
+    const orphan = utils.getOrCreateWorktree(repo, 'run_race_dead00_claude');
+    assert.ok(fs.existsSync(orphan));
+    assert.equal(race.sweepOrphans(), 1);
+    assert.equal(fs.existsSync(orphan), false);
+    assert.equal(git(repo, 'branch', '--list', 'agent/run_*'), '');
+  });
+});
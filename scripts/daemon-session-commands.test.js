@@ -34,9 +34,16 @@ function createHarness(options = {}) {
     createSession: (cid, cwd, name, engine) => {
       const rec = { cid, cwd, name, engine };
       created.push(rec);
+      if (options.persistCreatedSessions) {
+        const existing = state.sessions[cid] || {};
+        state.sessions[cid] = { cwd, engines: { ...(existing.engines || {}), [engine]: { id: 'new-session', started: false } } };
+      }
       return { cwd, id: 'new-session', started: false, engine };
     },
-    getSessionForEngine: () => null,
+    getSessionForEngine: options.getSessionForEngine || (() => null),
+    exportSession: options.exportSession,
+    prepareHandoff: options.prepareHandoff,
+    switchEngine: options.switchEngine || null,
     getCachedFile: () => null,
     getSession: (id) => state.sessions[id] || null,
     listRecentSessions: () => options.sessions || [],
@@ -56,9 +63,10 @@ function createHarness(options = {}) {
   const bot = {
     sendMessage: async (_chatId, text) => { sent.push(String(text)); },
     sendRawCard: async () => {},
+    sendFile: async (_chatId, filePath, caption) => { sent.push({ filePath, caption }); },
   };
 
-  return { handleSessionCommand, bot, chatId, sent, created };
+  return { handleSessionCommand, bot, chatId, sent, created, state };
 }
 
 describe('daemon-session-commands empty session bootstrap', () => {
@@ -196,3 +204,89 @@ describe('daemon-session-commands empty session bootstrap', () => {
     assert.match(h.sent[0], /待接续上下文|pending context/i);
   });
 });
+
+describe('daemon-session-commands /session export', () => {
+  it('exports the current engine session and sends the file', async () => {
+    const exports = [];
+    const h = createHarness({
+      defaultEngine: 'codex',
+      stateSessions: { sess_chat: { cwd: '/repo/codex', engines: { codex: { id: 'thread-1234567890', started: true } } } },
+      getSessionForEngine: (cid, engine) => (cid === 'sess_chat' ? { cwd: '/repo/codex', engine, id: 'thread-1234567890', started: true } : null),
+      exportSession: async (sessionId, options) => {
+        exports.push({ sessionId, options });
+        return { filePath: '/tmp/codex-thread-1.html', format: options.format, engineId: 'codex', sessionId, eventCount: 12 };
+      },
+    });
+
+    assert.equal(await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/session export html' }), true);
+    assert.deepEqual(exports[0].sessionId, 'thread-1234567890');
+    assert.deepEqual([exports[0].options.format, exports[0].options.engine, exports[0].options.cwd], ['html', 'codex', '/repo/codex']);
+    assert.equal(h.sent[1].filePath, '/tmp/codex-thread-1.html');
+    assert.match(h.sent[1].caption, /12 条事件（已脱敏）/);
+  });
+
+  it('accepts an explicit id across engines and reports failures', async () => {
+    const h = createHarness({
+      exportSession: async () => { throw new Error('no session matches "deadbeef"'); },
+    });
+    await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/session export' });
+    assert.match(h.sent[0], /没有可导出的会话/);
+
+    await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/session export deadbeef md' });
+    assert.match(h.sent.at(-1), /❌ 导出失败：no session matches "deadbeef"/);
+  });
+});
+
+describe('daemon-session-commands /handoff', () => {
+  it('seeds a fresh target-engine session with the packet and the lineage parent', async () => {
+    const handoffs = [];
+    const switches = [];
+    const h = createHarness({
+      persistCreatedSessions: true,
+      stateSessions: { sess_chat: { cwd: '/repo/app', engines: { claude: { id: '3f2a9c1e-aaaa', started: true } } } },
+      getSessionForEngine: (cid, engine) => (engine === 'claude' ? { cwd: '/repo/app', engine, id: '3f2a9c1e-aaaa', started: true } : null),
+      prepareHandoff: async (sessionId, options) => {
+        handoffs.push({ sessionId, options });
+        return {
+          engineId: 'claude',
+          sessionId,
+          cwd: '/repo/app',
+          text: '[Handoff from claude session 3f2a9c1e to codex — …]',
+          packet: { files: [{ path: 'a.js', action: 'edited' }], todos: [], dialogue: [{}, {}] },
+        };
+      },
+      switchEngine: (chatId, engine) => {
+        switches.push(engine);
+        return { ok: true, config: {}, message: `✅ 引擎已切换: ${engine}` };
+      },
+    });
+
+    assert.equal(await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/handoff codex' }), true);
+    assert.deepEqual(handoffs[0].sessionId, '3f2a9c1e-aaaa');
+    assert.deepEqual([handoffs[0].options.engine, handoffs[0].options.cwd, handoffs[0].options.toEngine], ['claude', '/repo/app', 'codex']);
+    assert.deepEqual(switches, ['codex']);
+    assert.deepEqual(h.created.map(rec => [rec.cid, rec.cwd, rec.engine]), [['sess_chat', '/repo/app', 'codex']]);
+    const slot = h.state.sessions.sess_chat.engines.codex;
+    assert.equal(slot.compactContext, '[Handoff from claude session 3f2a9c1e to codex — …]');
+    assert.deepEqual([slot.handoffFrom.engine, slot.handoffFrom.id], ['claude', '3f2a9c1e-aaaa']);
+    assert.equal(h.state.sessions.sess_chat.engines.claude.started, true);
+    assert.match(h.sent.at(-1), /已交接：claude 3f2a9c1e → codex/);
+    assert.match(h.sent.at(-1), /文件 1 个 · 待办 0 条 · 对话 2 轮/);
+  });
+
+  it('refuses without a started session, the same engine, or an unknown engine', async () => {
+    const h = createHarness({
+      switchEngine: () => { throw new Error('should not switch'); },
+      prepareHandoff: async () => { throw new Error('should not read'); },
+    });
+    await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/handoff' });
+    assert.match(h.sent.at(-1), /用法: \/handoff <引擎>/);
+    await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/handoff gpt9' });
+    assert.match(h.sent.at(-1), /不支持的引擎: gpt9/);
+    await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/handoff claude' });
+    assert.match(h.sent.at(-1), /当前已经是 claude 引擎/);
+    await h.handleSessionCommand({ bot: h.bot, chatId: h.chatId, text: '/handoff codex' });
+    assert.match(h.sent.at(-1), /当前没有可交接的会话/);
+    assert.equal(h.created.length, 0);
+  });
+});
@@ -82,4 +82,36 @@ describe('daemon-siri-bridge', () => {
       bridge.stop();
     }
   });
+
+  it('replies with TTS audio for format=audio and falls back to text when TTS fails', async () => {
+    const cfg = { siri_bridge: { enabled: true, port: 18202, token: 'secret', chat_id: '_siri_', timeout_ms: 3000 } };
+    let failTts = false;
+    const bridge = createSiriBridge({
+      log: () => {},
+      loadConfig: () => cfg,
+      handleCommand: async (bot, chatId, text) => { await bot.sendMessage(chatId, `reply:${text}`); },
+      voice: {
+        canSpeak: () => true,
+        async synthesize(text) {
+          if (failTts) throw new Error('say missing');
+          return { audio: Buffer.from(`AUDIO:${text}`), mime: 'audio/aiff' };
+        },
+      },
+    }).startSiriBridge(cfg);
+
+    try {
+      const spoken = await request({ port: 18202, path: '/ask?q=hi&token=secret&format=audio' });
+      assert.equal(spoken.statusCode, 200);
+      assert.equal(spoken.headers['content-type'], 'audio/aiff');
+      assert.equal(spoken.body, 'AUDIO:reply:hi');
+      const plain = await request({ port: 18202, path: '/ask?q=hi&token=secret' });
+      assert.equal(plain.body, 'reply:hi', 'text stays the default');
+      failTts = true;
+      const fallback = await request({ port: 18202, path: '/ask?q=hi&token=secret', headers: { Accept: 'audio/*' } });
+      assert.match(String(fallback.headers['content-type']), /^text\/plain/);
+      assert.equal(fallback.body, 'reply:hi');
+    } finally {
+      bridge.stop();
+    }
+  });
 });
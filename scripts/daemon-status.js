@@ -142,6 +142,9 @@ function renderDaemonStatus({
   const budget = state.budget || {};
   const limit = (config.budget && config.budget.daily_limit) || 50000;
   lines.push(`   Budget: ${budget.tokens_used || 0}/${limit} tokens (${budget.date || 'no data'})`);
+  if (Number(budget.cost_used) > 0) {
+    lines.push(`   Cost: ${Number(budget.cost_used).toFixed(2)} ${(config.budget && config.budget.currency) || 'USD'}`);
+  }
 
   const tasks = state.tasks || {};
   const configuredTaskNames = new Set();
@@ -3,7 +3,9 @@
 require('./test-support/env-setup');
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
 const { _private, createTaskScheduler } = require('./daemon-task-scheduler');
+const { readTaskRuns, taskRunLogPath } = require('./task-run-log');
 
 const {
   parseAtTime,
@@ -15,6 +17,8 @@ const {
   mergeTaskScopedState,
   recoverInterruptedClaims,
   finalizeScheduledClaim,
+  queueTaskTrigger,
+  takeTaskTrigger,
   nextRunAfter,
   resolveTaskEngine,
   isModelBackedTask,
@@ -318,6 +322,181 @@ describe('daemon-task-scheduler private helpers', () => {
   });
 });
 
+describe('cron and event schedules', () => {
+  it('builds cron schedules and rejects invalid cron or timezone', () => {
+    const cron = buildTaskSchedule({ name: 'c', cron: '30 9 * * 1-5', timezone: 'Asia/Shanghai' }, () => 3600);
+    assert.equal(cron.ok, true);
+    assert.equal(cron.schedule.mode, 'cron');
+    // 2026-10-19 is a Monday; 09:30 Shanghai is 01:30 UTC.
+    const next = nextRunAfter(cron.schedule, Date.parse('2026-10-19T00:00:00Z'));
+    assert.equal(new Date(next).toISOString(), '2026-10-19T01:30:00.000Z');
+
+    assert.equal(buildTaskSchedule({ name: 'c', cron: '61 * * * *' }, () => 3600).ok, false);
+    assert.match(buildTaskSchedule({ name: 'c', cron: '@daily', timezone: 'Mars/Base' }, () => 3600).error, /unknown timezone/);
+    assert.match(buildTaskSchedule({ name: 'c', cron: '0 0 31 2 *' }, () => 3600).error, /never fires/);
+    assert.match(buildTaskSchedule({ name: 'c', cron: '@daily', at: '09:00' }, () => 3600).error, /cannot be combined/);
+  });
+
+  it('treats a trigger without interval as an event-only schedule', () => {
+    const built = buildTaskSchedule({ name: 'e', trigger: { task: 'upstream' } }, () => 3600);
+    assert.equal(built.schedule.mode, 'event');
+    assert.equal(nextRunAfter(built.schedule, Date.now()), Number.POSITIVE_INFINITY);
+    assert.equal(computeInitialNextRun({ name: 'e' }, built.schedule, { tasks: {} }, Date.now(), 60, 1), Number.POSITIVE_INFINITY);
+
+    const mixed = buildTaskSchedule({ name: 'm', interval: '1h', trigger: { watch: '/tmp' } }, () => 3600);
+    assert.equal(mixed.schedule.mode, 'interval');
+    assert.equal(mixed.schedule.triggers.length, 1);
+  });
+
+  it('queues trigger events with unique claim keys and coalesces repeats', () => {
+    const state = { tasks: { t: { last_claimed_schedule: '2026-10-19T00:00:00.000Z' } } };
+    const at = '2026-10-19T00:00:00.000Z';
+    assert.equal(queueTaskTrigger(state, 't', { kind: 'file_drop', path: '/in/a.md', at }), true);
+    assert.equal(queueTaskTrigger(state, 't', { kind: 'file_drop', path: '/in/a.md', at }), false);
+    assert.equal(queueTaskTrigger(state, 't', { kind: 'file_drop', path: '/in/b.md', at }), true);
+    assert.equal(queueTaskTrigger(state, 't', { kind: 'path_change', path: '/in', at }), true);
+    assert.equal(queueTaskTrigger(state, 't', { kind: 'path_change', path: '/in/c', at }), false);
+
+    const keys = state.tasks.t.pending_triggers.map(e => e.at);
+    assert.equal(new Set([...keys, at]).size, 4);
+    assert.equal(takeTaskTrigger(state, 't').path, '/in/a.md');
+    assert.equal(takeTaskTrigger(state, 't').path, '/in/b.md');
+    assert.equal(takeTaskTrigger(state, 't').kind, 'path_change');
+    assert.equal(takeTaskTrigger(state, 't'), null);
+    assert.equal(state.tasks.t.pending_triggers, undefined);
+  });
+
+  it('runs an event-only task after its upstream task succeeds', async (t) => {
+    let state = { tasks: {} };
+    const runs = [];
+    const scheduler = createTaskScheduler({
+      fs: require('fs'), path: require('path'), HOME: '/tmp/metame-trigger-test',
+      execSync: (cmd, opts) => {
+        runs.push({ cmd, trigger: opts.env.METAME_TRIGGER_TASK || '' });
+        return 'ok';
+      },
+      parseInterval: () => 3600,
+      loadState: () => structuredClone(state),
+      saveState: next => { state = structuredClone(next); },
+      checkBudget: () => true, recordTokens: () => {}, log: () => {},
+      physiologicalHeartbeat: () => {}, isUserIdle: () => false,
+      isInSleepMode: () => false, setSleepMode: () => {},
+    });
+    const timer = scheduler.startHeartbeat({
+      daemon: { heartbeat_check_interval: 0.005 },
+      heartbeat: { tasks: [
+        { name: 'upstream', type: 'script', command: 'echo up', interval: '1h', one_shot: true },
+        { name: 'downstream', type: 'script', command: 'echo down', trigger: { task: 'upstream', status: 'success' } },
+      ] },
+    });
+    t.after(() => clearInterval(timer));
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.deepEqual(runs, [{ cmd: 'echo up', trigger: '' }, { cmd: 'echo down', trigger: 'upstream' }]);
+    assert.equal(state.tasks.downstream.status, 'success');
+    assert.equal(state.tasks.downstream.last_trigger.kind, 'task_complete');
+    assert.equal(state.tasks.downstream.pending_triggers, undefined);
+  });
+  it('runs a webhook-subscribed task with the rendered context in its env', async (t) => {
+    let state = { tasks: {} };
+    const runs = [];
+    const scheduler = createTaskScheduler({
+      fs: require('fs'), path: require('path'), HOME: '/tmp/metame-trigger-test',
+      execSync: (cmd, opts) => {
+        runs.push([opts.env.METAME_TRIGGER_WEBHOOK, opts.env.METAME_TRIGGER_EVENT, opts.env.METAME_TRIGGER_CONTEXT]);
+        return 'ok';
+      },
+      parseInterval: () => 3600,
+      loadState: () => structuredClone(state),
+      saveState: next => { state = structuredClone(next); },
+      checkBudget: () => true, recordTokens: () => {}, log: () => {},
+      physiologicalHeartbeat: () => {}, isUserIdle: () => false,
+      isInSleepMode: () => false, setSleepMode: () => {},
+    });
+    assert.deepEqual(scheduler.fireWebhookTrigger('ci', {}), [], 'no watcher before the heartbeat starts');
+    const timer = scheduler.startHeartbeat({
+      daemon: { heartbeat_check_interval: 0.005 },
+      heartbeat: { tasks: [{ name: 'triage', type: 'script', command: 'echo triage', trigger: { webhook: 'ci' } }] },
+    });
+    t.after(() => clearInterval(timer));
+    assert.deepEqual(scheduler.fireWebhookTrigger('ci', { event: 'push', delivery: 'd1', context: 'CI failed' }), ['triage']);
+    scheduler.fireWebhookTrigger('ci', { event: 'push', delivery: 'd1', context: 'CI failed' });
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.deepEqual(runs, [['ci', 'push', 'CI failed']], 'a repeated delivery id runs once');
+    assert.equal(state.tasks.triage.last_trigger.kind, 'webhook');
+  });
+});
+
+describe('task dependency graphs', () => {
+  function startGraph(tasks, fail = new Set()) {
+    let state = { tasks: {} };
+    const runs = [];
+    const scheduler = createTaskScheduler({
+      fs: require('fs'), path: require('path'), HOME: '/tmp/metame-graph-test',
+      execSync: (cmd, opts) => {
+        runs.push({ cmd, upstream: opts.env.METAME_TRIGGER_TASK || '' });
+        if (fail.has(cmd)) throw new Error(`${cmd} failed`);
+        return 'ok';
+      },
+      parseInterval: () => 3600,
+      loadState: () => structuredClone(state),
+      saveState: next => { state = structuredClone(next); },
+      checkBudget: () => true, recordTokens: () => {}, log: () => {},
+      physiologicalHeartbeat: () => {}, isUserIdle: () => false,
+      isInSleepMode: () => false, setSleepMode: () => {},
+    });
+    const timer = scheduler.startHeartbeat({
+      daemon: { heartbeat_check_interval: 0.005 },
+      heartbeat: { tasks },
+    });
+    return { timer, runs, getState: () => state };
+  }
+
+  const workflow = [
+    { name: 'extract', type: 'script', command: 'echo extract', interval: '1h', one_shot: true },
+    { name: 'gc', type: 'script', command: 'echo gc', after: ['extract'] },
+    { name: 'publish', type: 'script', command: 'echo publish', after: ['gc'] },
+    { name: 'alert', type: 'script', command: 'echo alert', on_failure: ['gc'] },
+  ];
+
+  it('runs a workflow as one graph run', async (t) => {
+    const { timer, runs, getState } = startGraph(workflow);
+    t.after(() => clearInterval(timer));
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.deepEqual(runs.map(r => r.cmd), ['echo extract', 'echo gc', 'echo publish']);
+    assert.equal(runs[1].upstream, 'extract');
+    const run = getState().task_graphs.extract;
+    assert.equal(run.status, 'success');
+    assert.deepEqual(run.nodes, { extract: 'success', gc: 'success', publish: 'success', alert: 'not_needed' });
+  });
+
+  it('skips dependents of a failed task and runs its failure handler', async (t) => {
+    const { timer, runs, getState } = startGraph(workflow, new Set(['echo gc']));
+    t.after(() => clearInterval(timer));
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.deepEqual(runs.map(r => r.cmd), ['echo extract', 'echo gc', 'echo alert']);
+    const state = getState();
+    assert.equal(state.task_graphs.extract.status, 'failed');
+    assert.equal(state.task_graphs.extract.nodes.publish, 'upstream_failed');
+    assert.equal(state.tasks.publish.status, 'skipped');
+    assert.equal(state.tasks.publish.skip_reason, 'upstream_failed: gc');
+  });
+
+  it('disables dependent tasks when the graph is invalid', async (t) => {
+    const { timer, runs } = startGraph([
+      { name: 'root', type: 'script', command: 'echo root', interval: '1h', one_shot: true },
+      { name: 'a', type: 'script', command: 'echo a', after: ['root', 'b'] },
+      { name: 'b', type: 'script', command: 'echo b', after: ['a'] },
+    ]);
+    t.after(() => clearInterval(timer));
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepEqual(runs.map(r => r.cmd), ['echo root']);
+  });
+});
+
 describe('checkPrecondition logging semantics', () => {
   function makeScheduler() {
     const logs = [];
@@ -503,6 +682,34 @@ describe('background runtime integration', () => {
     assert.equal(calls[0].model, 'Claude Sonnet 4.6 (Thinking)');
   });
 
+  it('fails a quota-limited heartbeat task over to the next engine_fallback engine', async () => {
+    const calls = [];
+    const state = { tasks: {} };
+    const scheduler = createTaskScheduler({
+      fs: require('fs'), path: require('path'), HOME: require('os').homedir(),
+      execSync: () => '', parseInterval: () => 60, loadState: () => state, saveState: () => {},
+      checkBudget: () => true, recordTokens: () => {}, buildProfilePreamble: () => '',
+      getDistillModel: () => 'haiku', getDistillEngine: () => 'claude', log: () => {},
+      backgroundRunner: {
+        startTurn: async (options) => {
+          calls.push(options);
+          if (options.engine === 'claude') return { ok: false, error: 'quota', errorCode: 'RATE_LIMIT' };
+          return { ok: true, output: 'codex done', sessionId: 'thread-9' };
+        },
+      },
+    });
+
+    const completed = await scheduler.executeTask({
+      name: 'daily-brief', prompt: 'brief', persistent_session: true, engine_fallback: ['codex'],
+    }, {});
+
+    assert.equal(completed.success, true);
+    assert.equal(completed.engine, 'codex');
+    assert.deepEqual(calls.map(call => call.engine), ['claude', 'codex']);
+    assert.notEqual(calls[1].sessionRef.id, calls[0].sessionRef.id);
+    assert.notEqual(state.tasks['daily-brief'].session_id, 'thread-9');
+  });
+
   it('routes a Codex heartbeat task through the shared background runner', async () => {
     const calls = [];
     const state = { tasks: {} };
@@ -606,6 +813,8 @@ describe('subconscious retry and notification integration', () => {
   it('retries twice, then sends one success notice to the admin channel', async (t) => {
     let attempts = 0;
     const notifications = [];
+    const runLog = taskRunLogPath('/tmp/metame-retry-test');
+    fs.rmSync(runLog, { force: true });
     const { timer, store } = startModelTask(() => {
       attempts++;
       if (attempts < 3) throw Object.assign(new Error('temporary timeout'), { code: 'TIMEOUT' });
@@ -618,6 +827,11 @@ describe('subconscious retry and notification integration', () => {
     assert.equal(notifications.length, 1);
     assert.match(notifications[0], /AGY 潜意识任务完成/);
     assert.match(notifications[0], /尝试 3\/3/);
+    assert.deepEqual(readTaskRuns(runLog).map(run => [run.name, run.status, run.attempt]), [
+      ['memory-extract', 'success', 3],
+      ['memory-extract', 'retry_pending', 2],
+      ['memory-extract', 'retry_pending', 1],
+    ]);
   });
 
   it('retries twice, then sends one terminal failure notice to the admin channel', async (t) => {
@@ -0,0 +1,151 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createTaskTriggerWatcher,
+  normalizeTaskTriggers,
+  describeTrigger,
+  parseDurationMs,
+} = require('./daemon-task-triggers');
+
+function waitFor(predicate, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting for trigger'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+describe('normalizeTaskTriggers', () => {
+  it('accepts one trigger or a list and expands ~', () => {
+    const single = normalizeTaskTriggers({ name: 'a', trigger: { drop_folder: '~/inbox', pattern: '*.pdf' } }, { HOME: '/home/u' });
+    assert.deepEqual(single.triggers, [{ kind: 'file_drop', path: '/home/u/inbox', pattern: '*.pdf', settleMs: 1000 }]);
+
+    const list = normalizeTaskTriggers({ name: 'b', trigger: [{ watch: '/tmp/x', debounce: '500ms' }, { task: 'a' }] });
+    assert.deepEqual(list.triggers.map(describeTrigger), ['on change /tmp/x', 'after a success']);
+    assert.equal(list.triggers[0].debounceMs, 500);
+  });
+
+  it('rejects ambiguous, self-referencing and unknown-status triggers', () => {
+    assert.equal(normalizeTaskTriggers({ name: 'a', trigger: { watch: '/x', task: 'b' } }).ok, false);
+    assert.equal(normalizeTaskTriggers({ name: 'a', trigger: { task: 'a' } }).ok, false);
+    assert.match(normalizeTaskTriggers({ name: 'a', trigger: { task: 'b', status: 'done' } }).error, /invalid trigger.status/);
+    assert.deepEqual(normalizeTaskTriggers({ name: 'a' }), { ok: true, triggers: [] });
+    assert.match(normalizeTaskTriggers({ name: 'a', trigger: { webhook: 'ci/failed' } }).error, /invalid trigger.webhook/);
+  });
+
+  it('accepts a webhook endpoint trigger', () => {
+    const result = normalizeTaskTriggers({ name: 'triage', trigger: { webhook: 'ci-failed' } });
+    assert.deepEqual(result.triggers, [{ kind: 'webhook', endpoint: 'ci-failed' }]);
+    assert.equal(describeTrigger(result.triggers[0]), 'on webhook ci-failed');
+  });
+
+  it('parses short durations', () => {
+    assert.equal(parseDurationMs('2s', 0), 2000);
+    assert.equal(parseDurationMs('1m', 0), 60000);
+    assert.equal(parseDurationMs('bogus', 7), 7);
+  });
+});
+
+describe('createTaskTriggerWatcher', () => {
+  it('fires task-complete listeners only for the configured status', () => {
+    const events = [];
+    const watcher = createTaskTriggerWatcher({
+      fs, path, log: () => {}, onTrigger: (name, event) => events.push({ name, event }),
+    });
+    watcher.watchTask('wiki-sync', [{ kind: 'task_complete', task: 'memory-extract', status: 'success' }]);
+    watcher.watchTask('alert', [{ kind: 'task_complete', task: 'memory-extract', status: 'error' }]);
+    watcher.taskFinished('memory-extract', 'success');
+    watcher.close();
+    watcher.taskFinished('memory-extract', 'error');
+    assert.deepEqual(events.map(e => [e.name, e.event.kind, e.event.status]), [['wiki-sync', 'task_complete', 'success']]);
+  });
+
+  it('fans a webhook delivery out to every task on that endpoint', () => {
+    const events = [];
+    const watcher = createTaskTriggerWatcher({
+      fs, path, log: () => {}, onTrigger: (name, event) => events.push({ name, event }),
+    });
+    watcher.watchTask('triage', [{ kind: 'webhook', endpoint: 'ci-failed' }]);
+    watcher.watchTask('digest', [{ kind: 'webhook', endpoint: 'ci-failed' }]);
+    watcher.watchTask('deploy', [{ kind: 'webhook', endpoint: 'release' }]);
+    assert.deepEqual(watcher.webhookReceived('ci-failed', { event: 'workflow_run', delivery: 'd1' }), ['triage', 'digest']);
+    const { at, ...event } = events[0].event;
+    assert.ok(at);
+    assert.deepEqual(event, { event: 'workflow_run', delivery: 'd1', kind: 'webhook', endpoint: 'ci-failed' });
+    assert.deepEqual(watcher.webhookReceived('unknown', {}), []);
+    watcher.close();
+    assert.deepEqual(watcher.webhookReceived('ci-failed', {}), []);
+  });
+
+  it('fires once per file landing in a drop folder and ignores partial files', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-drop-'));
+    const events = [];
+    const watcher = createTaskTriggerWatcher({
+      fs, path, log: () => {}, onTrigger: (name, event) => events.push({ name, event }),
+    });
+    t.after(() => watcher.close());
+    watcher.watchTask('ingest', [{ kind: 'file_drop', path: dir, pattern: '*.md', settleMs: 20 }]);
+    fs.writeFileSync(path.join(dir, 'note.md.part'), 'x');
+    fs.writeFileSync(path.join(dir, 'skip.txt'), 'x');
+    fs.writeFileSync(path.join(dir, 'note.md'), 'hello');
+    await waitFor(() => events.length >= 1);
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event.kind, 'file_drop');
+    assert.equal(events[0].event.path, path.join(dir, 'note.md'));
+  });
+
+  it('replays files that landed after the last run', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-drop-'));
+    const old = path.join(dir, 'old.md');
+    fs.writeFileSync(old, 'old');
+    fs.utimesSync(old, new Date('2026-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z'));
+    fs.writeFileSync(path.join(dir, 'new.md'), 'new');
+    const events = [];
+    const watcher = createTaskTriggerWatcher({
+      fs, path, log: () => {}, onTrigger: (name, event) => events.push(event),
+    });
+    t.after(() => watcher.close());
+    watcher.watchTask('ingest', [{ kind: 'file_drop', path: dir, pattern: '', settleMs: 20 }], {
+      since: new Date('2026-06-01T00:00:00Z').getTime(),
+    });
+    assert.deepEqual(events.map(e => path.basename(e.path)), ['new.md']);
+  });
+
+  it('debounces bursts of changes under a watched path', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-watch-'));
+    const events = [];
+    const watcher = createTaskTriggerWatcher({
+      fs, path, log: () => {}, onTrigger: (name, event) => events.push(event),
+    });
+    t.after(() => watcher.close());
+    watcher.watchTask('reindex', [{ kind: 'path_change', path: dir, debounceMs: 50 }]);
+    fs.writeFileSync(path.join(dir, 'a.txt'), '1');
+    fs.writeFileSync(path.join(dir, 'b.txt'), '2');
+    await waitFor(() => events.length >= 1);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(events.length, 1);
+    assert.equal(events[0].kind, 'path_change');
+    assert.equal(events[0].watched, dir);
+  });
+
+  it('logs and skips a path that cannot be watched', () => {
+    const logs = [];
+    const watcher = createTaskTriggerWatcher({
+      fs, path, log: (level, msg) => logs.push(msg), onTrigger: () => {},
+    });
+    watcher.watchTask('x', [{ kind: 'path_change', path: '/nonexistent/metame/trigger', debounceMs: 0 }]);
+    watcher.close();
+    assert.match(logs[0], /cannot watch/);
+  });
+});
@@ -152,3 +152,29 @@ test('/user role/grant/revoke/remove parsing works', () => {
     assert.equal(acl.loadUsers().users.ou_member_456, undefined);
   });
 });
+
+test('Matrix user ids bootstrap per platform and round-trip through users.yaml', () => {
+  withTempHome(({ acl }) => {
+    acl.saveUsers({ default_role: 'stranger', users: { ou_admin0001: { role: 'admin', name: 'seed' } } });
+    const first = acl.resolveUserCtx('@alice:example.org', {});
+    assert.equal(first.role, 'admin');
+    assert.deepEqual(acl.loadUsers().users['@alice:example.org'], { role: 'admin', name: 'le.org' });
+
+    const second = acl.resolveUserCtx('@bob:example.org', {});
+    assert.equal(second.role, 'stranger');
+    assert.equal(acl.handleUserCommand('/user add @bob:example.org member', first).handled, true);
+    assert.equal(acl.loadUsers().users['@bob:example.org'].role, 'member');
+  });
+});
+
+test('resolveRoleCtx builds a role context without touching users.yaml', () => {
+  withTempHome(({ acl, tempHome }) => {
+    const member = acl.resolveRoleCtx('member', { name: 'vscode', allowedActions: ['status', 'system'] });
+    assert.deepEqual(member.allowedActions, ['query', 'status']);
+    assert.equal(member.readOnly, true);
+    assert.equal(member.name, 'vscode');
+    assert.equal(acl.resolveRoleCtx('admin').can('system'), true);
+    assert.equal(acl.resolveRoleCtx('root').role, 'stranger');
+    assert.equal(fs.existsSync(path.join(tempHome, '.metame', 'users.yaml')), false);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * daemon-voice.js — local speech-to-text for voice messages and
+ * text-to-speech for the Siri bridge.
+ *
+ * Bridges hand over a voice attachment's `download(destPath)`; the file is
+ * fetched into a private temp dir, optionally decoded to 16 kHz wav, passed
+ * to the configured STT executable and removed again. Config rules live in
+ * core/voice-config.js; the `voice` section is re-read on every call so
+ * edits apply without a restart.
+ */
+
+const { execFile: nodeExecFile } = require('child_process');
+const {
+  normalizeVoiceConfig,
+  fillArgs,
+  convertArgs,
+  cleanTranscript,
+  audioMime,
+} = require('./core/voice-config');
+
+function createVoice(deps) {
+  const {
+    fs,
+    path,
+    os = require('os'),
+    log = () => {},
+    loadConfig,
+    HOME = os.homedir(),
+    execFile = nodeExecFile,
+  } = deps;
+
+  function settings() {
+    return normalizeVoiceConfig((loadConfig() || {}).voice, { home: HOME });
+  }
+
+  function run(command, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, {
+        timeout: timeoutMs,
+        maxBuffer: 4 * 1024 * 1024,
+        windowsHide: true,
+      }, (err, stdout, stderr) => {
+        if (err) {
+          const detail = String(stderr || '').trim().split('\n').pop() || err.message;
+          reject(new Error(err.killed ? `${path.basename(command)} timed out` : `${path.basename(command)}: ${detail}`));
+          return;
+        }
+        resolve(String(stdout || ''));
+      });
+    });
+  }
+
+  async function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-voice-'));
+    try {
+      return await fn(dir);
+    } finally {
+      try { fs.rmSync(dir, { recursive: true, force: true }); } catch { /* temp dir */ }
+    }
+  }
+
+  /**
+   * @param {{ name: string, download: (destPath: string) => Promise<any> }} voice
+   * @returns {Promise<string>} the transcript ('' when nothing was recognised)
+   */
+  async function transcribe(voice) {
+    const cfg = settings();
+    if (!cfg.enabled) throw new Error('voice STT is not enabled');
+    return withTempDir(async (dir) => {
+      const ext = path.extname(String(voice.name || '')).toLowerCase() || '.audio';
+      const source = path.join(dir, `voice${ext}`);
+      await voice.download(source);
+      const size = fs.statSync(source).size;
+      if (size > cfg.maxBytes) {
+        throw new Error(`voice message too large (${Math.round(size / 1024 / 1024)} MB)`);
+      }
+      let input = source;
+      if (cfg.convert && ext !== '.wav') {
+        input = path.join(dir, 'voice.wav');
+        await run(cfg.convert, convertArgs(source, input), cfg.stt.timeoutMs);
+      }
+      const output = path.join(dir, 'transcript');
+      const stdout = await run(cfg.stt.command, fillArgs(cfg.stt.args, { input, output }), cfg.stt.timeoutMs);
+      const written = `${output}.txt`;
+      const raw = fs.existsSync(written) ? fs.readFileSync(written, 'utf8') : stdout;
+      const transcript = cleanTranscript(raw);
+      log('INFO', `[VOICE] transcribed ${Math.round(size / 1024)} KB → ${transcript.length} chars`);
+      return transcript;
+    });
+  }
+
+  /**
+   * @returns {Promise<{ audio: Buffer, mime: string }|null>} null when no TTS is configured
+   */
+  async function synthesize(text) {
+    const cfg = settings();
+    if (!cfg.tts || !String(text || '').trim()) return null;
+    return withTempDir(async (dir) => {
+      const input = path.join(dir, 'reply.txt');
+      const output = path.join(dir, `reply.${cfg.tts.format}`);
+      fs.writeFileSync(input, String(text), 'utf8');
+      await run(cfg.tts.command, fillArgs(cfg.tts.args, { input, output }), cfg.tts.timeoutMs);
+      return { audio: fs.readFileSync(output), mime: audioMime(cfg.tts.format) };
+    });
+  }
+
+  return {
+    isEnabled: () => settings().enabled,
+    echoTranscript: () => settings().echoTranscript,
+    canSpeak: () => !!settings().tts,
+    transcribe,
+    synthesize,
+  };
+}
+
+module.exports = { createVoice };
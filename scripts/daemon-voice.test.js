@@ -0,0 +1,84 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createVoice } = require('./daemon-voice');
+
+// Stand-in STT: echoes the input file's contents, optionally into {output}.txt.
+const FAKE_STT = `
+const fs = require('fs');
+const [input, output] = process.argv.slice(1);
+const text = '[00:00:00.000 --> 00:00:01.000] ' + fs.readFileSync(input, 'utf8');
+if (output) fs.writeFileSync(output + '.txt', text + ' (file)');
+else process.stdout.write(text);
+`;
+const FAKE_TTS = `
+const fs = require('fs');
+const [input, output] = process.argv.slice(1);
+fs.writeFileSync(output, 'AUDIO:' + fs.readFileSync(input, 'utf8'));
+`;
+
+describe('daemon-voice', () => {
+  let home;
+  let config;
+  let voice;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-voice-test-'));
+    config = {
+      voice: {
+        enabled: true,
+        convert: null,
+        stt: { command: process.execPath, args: ['-e', FAKE_STT, '{input}'] },
+      },
+    };
+    voice = createVoice({ fs, path, loadConfig: () => config, HOME: home });
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const note = (content, name = 'voice_1.ogg') => ({
+    name,
+    download: async (destPath) => { fs.writeFileSync(destPath, content); },
+  });
+
+  it('downloads, runs the STT command and returns the cleaned stdout transcript', async () => {
+    assert.equal(voice.isEnabled(), true);
+    assert.equal(await voice.transcribe(note('部署到测试环境')), '部署到测试环境');
+  });
+
+  it('prefers {output}.txt when the tool writes one and removes its temp files', async () => {
+    config.voice.stt.args = ['-e', FAKE_STT, '{input}', '{output}'];
+    const before = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('metame-voice-')).length;
+    assert.equal(await voice.transcribe(note('hello')), 'hello (file)');
+    const after = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('metame-voice-')).length;
+    assert.equal(after, before);
+  });
+
+  it('rejects oversized notes and surfaces tool failures', async () => {
+    config.voice.max_mb = 0.000001;
+    await assert.rejects(voice.transcribe(note('too long for the cap')), /too large/);
+    delete config.voice.max_mb;
+    config.voice.stt.args = ['-e', 'process.stderr.write("model missing\\n"); process.exit(3)', '{input}'];
+    await assert.rejects(voice.transcribe(note('x')), /model missing/);
+    config.voice.enabled = false;
+    assert.equal(voice.isEnabled(), false);
+    await assert.rejects(voice.transcribe(note('x')), /not enabled/);
+  });
+
+  it('synthesizes speech through the TTS command when configured', async () => {
+    assert.equal(voice.canSpeak(), false);
+    assert.equal(await voice.synthesize('hi'), null);
+    config.voice.tts = { command: process.execPath, args: ['-e', FAKE_TTS, '{input}', '{output}'], format: 'mp3' };
+    assert.equal(voice.canSpeak(), true);
+    const speech = await voice.synthesize('完成了');
+    assert.equal(speech.mime, 'audio/mpeg');
+    assert.equal(speech.audio.toString('utf8'), 'AUDIO:完成了');
+  });
+});
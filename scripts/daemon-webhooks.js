@@ -0,0 +1,162 @@
+'use strict';
+/**
+ * daemon-webhooks.js — opt-in local webhook listener
+ *
+ *   POST /hooks/<endpoint>   signed delivery from GitHub / GitLab / anything
+ *   GET  /health             liveness probe for the tunnel in front
+ *
+ * Each endpoint in `webhooks.endpoints` wakes an agent (its reply streams to
+ * that project's chat, like any dispatch) and/or fires heartbeat tasks that
+ * declare `trigger: { webhook: <endpoint> }`. Signature rules, payload
+ * parsing and prompt templating live in core/webhooks.js; this file owns
+ * routing, body limits and retry / replay dedupe.
+ */
+
+const {
+  WEBHOOK_REPLAY_WINDOW_MS,
+  normalizeWebhooksConfig,
+  verifyWebhookSignature,
+  webhookEventName,
+  webhookDeliveryId,
+  webhookReplayKey,
+  parseWebhookPayload,
+  buildWebhookPrompt,
+} = require('./core/webhooks');
+const { listenHttp, readBody, writeJson } = require('./daemon-http-listener');
+
+const DELIVERY_MEMORY = 500;
+
+function createWebhookServer(deps = {}) {
+  const {
+    log = () => {},
+    dispatchToAgent,
+    triggerTasks = () => [],
+    env = process.env,
+    now = Date.now,
+  } = deps;
+
+  /**
+   * Binds the listener; null when disabled, when any endpoint is invalid, or
+   * when the port is taken.
+   * @param {object} config - full daemon config; reads `config.webhooks`
+   */
+  async function startWebhookServer(config) {
+    let settings;
+    try {
+      settings = normalizeWebhooksConfig(config && config.webhooks, { env });
+    } catch (err) {
+      log('WARN', `[WEBHOOK] disabled: ${err.message}`);
+      return null;
+    }
+    if (!settings.enabled) return null;
+
+    // Senders retry on timeouts with the same delivery id, and a captured
+    // generic delivery stays valid for the replay window; remember recent
+    // keys so neither wakes the agent twice.
+    const seenDeliveries = new Map(); // key -> first seen (ms)
+    function seen(key) {
+      const cutoff = now() - WEBHOOK_REPLAY_WINDOW_MS;
+      for (const [stale, at] of seenDeliveries) {
+        if (at >= cutoff && seenDeliveries.size <= DELIVERY_MEMORY) break;
+        seenDeliveries.delete(stale);
+      }
+      if (seenDeliveries.has(key)) return true;
+      seenDeliveries.set(key, now());
+      return false;
+    }
+
+    async function deliver(endpoint, { event, delivery, payload }) {
+      const prompt = buildWebhookPrompt(endpoint, { event, payload });
+      const result = { endpoint: endpoint.name, event: event || null };
+      if (endpoint.agent) {
+        const dispatched = await dispatchToAgent(endpoint.agent, prompt, { endpoint: endpoint.name, event, delivery });
+        result.agent = endpoint.agent;
+        result.dispatched = !!(dispatched && dispatched.success);
+        if (!result.dispatched) result.error = (dispatched && dispatched.error) || 'dispatch_failed';
+      }
+      result.tasks = triggerTasks(endpoint.name, { event, delivery, context: prompt }) || [];
+      return result;
+    }
+
+    async function handle(req, res) {
+      let pathname;
+      try {
+        pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+      } catch {
+        writeJson(res, 400, { error: 'bad_request' });
+        return;
+      }
+      if (pathname === '/health' && req.method === 'GET') {
+        writeJson(res, 200, { ok: true });
+        return;
+      }
+      const m = /^\/hooks\/([^/]+)$/.exec(pathname);
+      const endpoint = m ? settings.endpoints.get(decodeURIComponent(m[1])) : null;
+      if (!endpoint) {
+        writeJson(res, 404, { error: 'not_found' });
+        return;
+      }
+      if (req.method !== 'POST') {
+        writeJson(res, 405, { error: 'method_not_allowed' });
+        return;
+      }
+      if (Number(req.headers['content-length'] || 0) > settings.maxBodyBytes) {
+        writeJson(res, 413, { error: 'payload_too_large' });
+        return;
+      }
+      const raw = await readBody(req, settings.maxBodyBytes);
+      const verdict = verifyWebhookSignature(endpoint, req.headers, raw, { now: now() });
+      if (!verdict.ok) {
+        log('WARN', `[WEBHOOK] ${endpoint.name}: rejected (${verdict.reason})`);
+        writeJson(res, 401, { error: 'invalid_signature' });
+        return;
+      }
+      const parsed = parseWebhookPayload(req.headers['content-type'], raw);
+      if (!parsed.ok) {
+        writeJson(res, 400, { error: parsed.error });
+        return;
+      }
+      const event = webhookEventName(endpoint.style, req.headers, parsed.payload);
+      if (endpoint.events.length > 0 && !endpoint.events.includes(event)) {
+        writeJson(res, 202, { ignored: true, reason: 'event_filtered', event });
+        return;
+      }
+      const delivery = webhookDeliveryId(endpoint.style, req.headers);
+      const replayKey = webhookReplayKey(endpoint.style, req.headers);
+      if (replayKey && seen(`${endpoint.name}:${replayKey}`)) {
+        writeJson(res, 200, { duplicate: true, delivery });
+        return;
+      }
+      log('INFO', `[WEBHOOK] ${endpoint.name}${event ? ` (${event})` : ''}${delivery ? ` #${delivery.slice(0, 12)}` : ''}`);
+      const result = await deliver(endpoint, { event, delivery, payload: parsed.payload });
+      if (!endpoint.agent && result.tasks.length === 0) {
+        writeJson(res, 409, { ...result, error: 'no_target' });
+        return;
+      }
+      if (endpoint.agent && !result.dispatched && result.tasks.length === 0) {
+        writeJson(res, 503, result);
+        return;
+      }
+      writeJson(res, 202, result);
+    }
+
+    const listener = await listenHttp((req, res) => {
+      handle(req, res).catch((err) => {
+        if (err.statusCode === 413) {
+          if (!res.headersSent) writeJson(res, 413, { error: 'payload_too_large' });
+          return;
+        }
+        log('WARN', `[WEBHOOK] ${req.method} ${req.url}: ${err.message}`);
+        if (!res.headersSent) writeJson(res, 500, { error: 'internal_error' });
+        else res.destroy();
+      });
+    }, { tag: 'WEBHOOK', log, host: settings.host, port: settings.port });
+    if (!listener) return null;
+    log('INFO', `[WEBHOOK] listening on ${listener.address()} (${settings.endpoints.size} endpoint(s))`);
+    return listener;
+  }
+
+  return { startWebhookServer };
+}
+
+module.exports = { createWebhookServer };
@@ -0,0 +1,120 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createWebhookServer } = require('./daemon-webhooks');
+
+const SECRET = 'a-long-enough-secret';
+const sign = body => `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+const signGeneric = (body, ts = String(Math.floor(Date.now() / 1000))) => ({
+  'x-metame-timestamp': ts,
+  'x-metame-signature': sign(`${ts}.${body}`),
+});
+
+describe('daemon-webhooks', () => {
+  let handle;
+  let dispatched;
+  let triggered;
+  let dispatchResult;
+
+  async function start(endpoints, extra = {}) {
+    handle = await createWebhookServer({
+      dispatchToAgent: async (agent, prompt, meta) => { dispatched.push({ agent, prompt, meta }); return dispatchResult; },
+      triggerTasks: (endpoint, detail) => { triggered.push({ endpoint, detail }); return endpoint === 'ci' ? ['triage'] : []; },
+    }).startWebhookServer({ webhooks: { enabled: true, port: 0, endpoints, ...extra } });
+    assert.ok(handle, 'server should start');
+  }
+
+  async function post(pathname, body, headers = {}) {
+    const res = await fetch(`${handle.address()}${pathname}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body,
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  beforeEach(() => {
+    handle = null;
+    dispatched = [];
+    triggered = [];
+    dispatchResult = { success: true };
+  });
+
+  afterEach(async () => {
+    if (handle) await handle.stop();
+  });
+
+  it('stays off unless enabled and fails closed on invalid config', async () => {
+    const logs = [];
+    const server = createWebhookServer({ log: (level, msg) => logs.push(msg), dispatchToAgent: async () => ({}) });
+    assert.equal(await server.startWebhookServer({}), null);
+    assert.equal(await server.startWebhookServer({ webhooks: { enabled: true, endpoints: { ci: { secret: 'short' } } } }), null);
+    assert.match(logs[0], /disabled: .*at least 16/);
+  });
+
+  it('wakes the agent and fires tasks for a signed GitHub delivery, once per signed body', async () => {
+    await start({ ci: { style: 'github', secret: SECRET, agent: 'metame', prompt: 'CI {{payload.run}} failed' } });
+    const body = JSON.stringify({ run: 'build' });
+    const headers = { 'x-hub-signature-256': sign(body), 'x-github-event': 'workflow_run', 'x-github-delivery': 'd-1' };
+
+    const first = await post('/hooks/ci', body, headers);
+    assert.equal(first.status, 202);
+    assert.deepEqual(first.json, { endpoint: 'ci', event: 'workflow_run', agent: 'metame', dispatched: true, tasks: ['triage'] });
+    assert.equal(dispatched.length, 1);
+    assert.match(dispatched[0].prompt, /^\[Webhook ci · workflow_run — external event.*\]\nCI build failed$/);
+    assert.deepEqual(triggered[0].detail, { event: 'workflow_run', delivery: 'd-1', context: dispatched[0].prompt });
+
+    const retry = await post('/hooks/ci', body, headers);
+    assert.deepEqual([retry.status, retry.json.duplicate], [200, true]);
+    const replay = await post('/hooks/ci', body, { ...headers, 'x-github-delivery': 'd-2' });
+    assert.deepEqual([replay.status, replay.json.duplicate], [200, true], 'the delivery id is not signed');
+    assert.equal(dispatched.length, 1);
+    assert.equal(triggered.length, 1);
+  });
+
+  it('requires a timestamp on generic deliveries and drops replays of the same signature', async () => {
+    await start({ alert: { secret: SECRET, agent: 'metame' } });
+    const body = JSON.stringify({ type: 'disk_full' });
+    assert.equal((await post('/hooks/alert', body, { 'x-metame-signature': sign(body) })).status, 401);
+
+    const headers = signGeneric(body);
+    assert.equal((await post('/hooks/alert', body, headers)).status, 202);
+    const replay = await post('/hooks/alert', body, { ...headers, 'x-metame-delivery': 'fresh-id' });
+    assert.deepEqual([replay.status, replay.json.duplicate], [200, true]);
+    assert.equal(dispatched.length, 1);
+
+    const later = signGeneric(body, String(Number(headers['x-metame-timestamp']) + 1));
+    assert.equal((await post('/hooks/alert', body, later)).status, 202, 'a new timestamp is a new delivery');
+    assert.equal(dispatched.length, 2);
+  });
+
+  it('rejects bad signatures, unknown endpoints, oversized bodies and filtered events', async () => {
+    await start({
+      ci: { style: 'github', secret: SECRET, agent: 'metame', events: ['workflow_run'] },
+      lonely: { secret: SECRET },
+    }, { max_body_kb: 1 });
+    const body = '{"a":1}';
+
+    assert.equal((await post('/hooks/ci', body, { 'x-hub-signature-256': sign('{}') })).status, 401);
+    assert.equal((await post('/hooks/nope', body)).status, 404);
+    assert.equal((await fetch(`${handle.address()}/hooks/ci`)).status, 405);
+    const big = JSON.stringify({ pad: 'x'.repeat(2048) });
+    assert.equal((await post('/hooks/ci', big, { 'x-hub-signature-256': sign(big) })).status, 413);
+
+    const push = await post('/hooks/ci', body, { 'x-hub-signature-256': sign(body), 'x-github-event': 'push' });
+    assert.deepEqual([push.status, push.json.reason], [202, 'event_filtered']);
+    assert.equal(dispatched.length, 0);
+
+    const lonely = await post('/hooks/lonely', body, signGeneric(body));
+    assert.deepEqual([lonely.status, lonely.json.error], [409, 'no_target']);
+
+    dispatchResult = { success: false, error: 'target_guard_user_only' };
+    const guarded = await post('/hooks/ci', body, { 'x-hub-signature-256': sign(body), 'x-github-event': 'workflow_run' });
+    assert.equal(guarded.status, 202, 'the subscribed task still ran');
+    assert.deepEqual([guarded.json.dispatched, guarded.json.error], [false, 'target_guard_user_only']);
+    assert.equal((await fetch(`${handle.address()}/health`)).status, 200);
+  });
+});
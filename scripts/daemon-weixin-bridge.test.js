@@ -4,7 +4,7 @@ require('./test-support/env-setup');
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const { createWeixinBridge, createContextTokenStore, describeFetchError } = require('./daemon-weixin-bridge');
+const { createWeixinBridge, createContextTokenStore, describeFetchError, findVoiceItem } = require('./daemon-weixin-bridge');
 
 test('weixin bridge routes inbound text through pipeline and caches context token', async () => {
   const handled = [];
@@ -232,3 +232,35 @@ test('weixin bridge keeps retrying until an account is linked', async () => {
   assert.equal(sent.length, 1);
   assert.equal(sent[0].contextToken, 'ctx-late');
 });
+
+test('weixin bridge echoes the server-side voice transcript before routing it', async () => {
+  const handled = [];
+  const sent = [];
+  const batches = [[
+    { from_user_id: 'alice@im.wechat', context_token: 'ctx-1', item_list: [{ type: 3, voice_item: { text: '查一下天气' } }] },
+    { from_user_id: 'alice@im.wechat', context_token: 'ctx-1', item_list: [{ type: 3, voice_item: { playtime: 2000 } }] },
+  ]];
+  const bridge = createWeixinBridge({
+    log: () => {},
+    loadConfig: () => ({ weixin: { enabled: true } }),
+    pipeline: { async processMessage(chatId, text) { handled.push({ chatId, text }); } },
+    apiClient: {
+      async getUpdates() { return { msgs: batches.shift() || [], get_updates_buf: 'cursor-1' }; },
+      async sendTextMessage(params) { sent.push(params.text); return { ret: 0 }; },
+    },
+    authStore: {
+      listAccounts: () => ['bot@im.bot'],
+      loadAccount: () => ({ accountId: 'bot@im.bot', token: 'token-1', baseUrl: 'https://ilinkai.weixin.qq.com' }),
+    },
+    tokenStore: createContextTokenStore(),
+  });
+
+  const running = await bridge.startWeixinBridge({ weixin: { enabled: true } }, async () => {});
+  await new Promise(resolve => setTimeout(resolve, 30));
+  running.stop();
+
+  assert.deepEqual(handled, [{ chatId: 'alice@im.wechat', text: '查一下天气' }]);
+  assert.equal(sent[0], '🎤 查一下天气');
+  assert.match(sent[1], /没有识别出这条语音/);
+  assert.equal(findVoiceItem([{ type: 1, text_item: { text: 'hi' } }, { type: 3, voice_item: {} }]), null, 'typed text wins');
+});
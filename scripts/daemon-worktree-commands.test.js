@@ -0,0 +1,179 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const { createWorktreeUtils } = require('./daemon-worktrees');
+const { createWorktreeCommandHandler } = require('./daemon-worktree-commands');
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+function commitFile(cwd, file, content, message) {
+  fs.writeFileSync(path.join(cwd, file), content);
+  git(cwd, 'add', '-A');
+  git(cwd, 'commit', '-q', '-m', message);
+}
+
+async function waitFor(predicate, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('daemon-worktree-commands', () => {
+  let home;
+  let repo;
+  let config;
+  let sent;
+  let turns;
+  let clock;
+  let utils;
+  let handle;
+  const bot = {
+    sendMessage: async (chatId, text) => sent.push({ text }),
+    sendButtons: async (chatId, text, buttons) => sent.push({ text, buttons }),
+  };
+  const run = text => handle({ bot, chatId: 'chat1', text });
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-worktree-cmd-'));
+    repo = path.join(home, 'repo');
+    fs.mkdirSync(repo);
+    git(repo, 'init', '-q', '-b', 'main');
+    git(repo, 'config', 'user.name', 'tester');
+    git(repo, 'config', 'user.email', 'tester@example.com');
+    commitFile(repo, 'README.md', 'line one\n', 'base');
+    config = { daemon: {}, projects: {} };
+    sent = [];
+    turns = [];
+    clock = Date.now();
+    utils = createWorktreeUtils({ fs, path, log: () => {}, HOME: home });
+    const state = { sessions: { chat1: { cwd: repo, engines: { claude: { id: 's1', started: true } } } } };
+    ({ handleWorktreeCommand: handle } = createWorktreeCommandHandler({
+      fs,
+      path,
+      log: () => {},
+      loadConfig: () => config,
+      loadState: () => state,
+      getSession: id => state.sessions[id] || null,
+      getSessionForEngine: () => null,
+      worktreeUtils: utils,
+      now: () => clock,
+      backgroundRunner: {
+        async startTurn({ engine, cwd, prompt }) {
+          turns.push({ engine, cwd, prompt });
+          fs.writeFileSync(path.join(cwd, 'README.md'), 'line one\nboth\n');
+          git(cwd, 'add', '-A');
+          git(cwd, 'commit', '-q', '--no-edit');
+          return { ok: true, output: 'resolved' };
+        },
+      },
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('reports status and merges an agent branch after the pre-merge test passes', async () => {
+    const yi = utils.getOrCreateWorktree(repo, 'yi');
+    commitFile(yi, 'feature.txt', 'feature\n', 'add feature');
+    fs.writeFileSync(path.join(yi, 'notes.txt'), 'uncommitted\n');
+
+    await run('/worktree');
+    assert.match(sent.at(-1).text, /父分支 main/);
+    assert.match(sent.at(-1).text, /• yi · agent\/yi\n {2}领先 1 · 落后 0 · 1 个文件 \+1 −0 · 未提交 1 个/);
+
+    config.daemon.test_command = 'node -e "process.exit(1)"';
+    await run('/worktree merge yi');
+    assert.match(sent.at(-1).text, /测试未通过，未合并 agent\/yi/);
+    assert.equal(fs.existsSync(path.join(repo, 'feature.txt')), false);
+
+    config.projects = {};
+    config.daemon.test_command = 'node -e "process.exit(0)"';
+    await run('/worktree merge yi');
+    assert.match(sent.at(-2).text, /合并前测试/);
+    assert.match(sent.at(-1).text, /✅ 已合并 agent\/yi → main/);
+    assert.ok(fs.existsSync(path.join(repo, 'feature.txt')));
+    assert.ok(fs.existsSync(path.join(repo, 'notes.txt')));
+    assert.equal(git(repo, 'log', '-1', '--format=%s'), 'Merge agent/yi into main');
+  });
+
+  it('hands merge conflicts to a resolution turn in the agent worktree', async () => {
+    const yi = utils.getOrCreateWorktree(repo, 'yi');
+    commitFile(yi, 'README.md', 'line one\nagent\n', 'agent edit');
+    commitFile(repo, 'README.md', 'line one\nparent\n', 'parent edit');
+
+    await run('/worktree merge yi');
+    const conflict = sent.find(message => /冲突：README\.md/.test(message.text));
+    assert.ok(conflict);
+    assert.match(conflict.text, /<<<<<<< HEAD/);
+    assert.equal(git(repo, 'status', '--porcelain'), '');
+    await waitFor(() => sent.some(message => /已解决冲突/.test(message.text)));
+    assert.equal(turns.length, 1);
+    assert.equal(turns[0].cwd, yi);
+    assert.match(turns[0].prompt, /Merging main into your branch agent\/yi stopped on conflicts in: README\.md/);
+
+    await run('/worktree merge yi');
+    assert.match(sent.at(-1).text, /✅ 已合并 agent\/yi → main/);
+    assert.equal(fs.readFileSync(path.join(repo, 'README.md'), 'utf8'), 'line one\nboth\n');
+  });
+
+  it('rebases, discards after confirmation and prunes stale worktrees without unmerged work', async () => {
+    const yi = utils.getOrCreateWorktree(repo, 'yi');
+    const er = utils.getOrCreateWorktree(repo, 'er');
+    commitFile(yi, 'yi.txt', 'yi\n', 'yi work');
+    commitFile(repo, 'main.txt', 'main\n', 'main moves on');
+
+    await run('/worktree rebase yi');
+    assert.match(sent.at(-1).text, /已变基到 main（之前落后 1 个提交）/);
+    assert.ok(fs.existsSync(path.join(yi, 'main.txt')));
+
+    clock += 30 * 24 * 60 * 60 * 1000;
+    await run('/worktree prune');
+    assert.match(sent.at(-1).text, /已清理：er/);
+    assert.match(sent.at(-1).text, /保留：yi/);
+    assert.equal(fs.existsSync(er), false);
+    assert.equal(git(repo, 'branch', '--list', 'agent/er'), '');
+
+    await run('/worktree discard yi');
+    assert.deepEqual(sent.at(-1).buttons, [[{ text: '🗑 确认删除', callback_data: '/worktree discard yi confirm' }]]);
+    assert.ok(fs.existsSync(yi));
+    await run('/worktree discard yi confirm');
+    assert.match(sent.at(-1).text, /已删除 yi 及分支 agent\/yi/);
+    assert.equal(fs.existsSync(yi), false);
+    assert.equal(git(repo, 'branch', '--list', 'agent/*'), '');
+  });
+
+  it('refuses to prune while the main checkout is on a detached HEAD', async () => {
+    const yi = utils.getOrCreateWorktree(repo, 'yi');
+    commitFile(yi, 'yi.txt', 'yi\n', 'unmerged yi work');
+    git(repo, 'checkout', '-q', '--detach');
+
+    clock += 30 * 24 * 60 * 60 * 1000;
+    await run('/worktree');
+    assert.match(sent.at(-1).text, /领先 \? · 落后 \?/);
+    assert.match(sent.at(-1).text, /已过期，但有未合并工作/);
+    await run('/worktree prune');
+    assert.match(sent.at(-1).text, /分离 HEAD，无法判断哪些提交未合并，未清理/);
+    assert.ok(fs.existsSync(yi));
+    assert.match(git(repo, 'branch', '--list', 'agent/yi'), /agent\/yi/);
+  });
+
+  it('keeps read-only users to status and diff', async () => {
+    utils.getOrCreateWorktree(repo, 'yi');
+    await handle({ bot, chatId: 'chat1', text: '/worktree merge yi', readOnly: true });
+    assert.match(sent.at(-1).text, /只读用户只能查看/);
+    await handle({ bot, chatId: 'chat1', text: '/worktree diff yi', readOnly: true });
+    assert.match(sent.at(-1).text, /agent\/yi 相对 main/);
+    assert.equal(await handle({ bot, chatId: 'chat1', text: '/workflow' }), false);
+  });
+});
@@ -108,6 +108,9 @@ const {
   normalizeUsageCategory,
 } = require('./usage-classifier');
 const { createAudit } = require('./core/audit');
+const budgetPolicy = require('./core/budget-policy');
+const { validateTaskGraphConfig } = require('./core/task-graph');
+const { validateBridgePluginConfig } = require('./daemon-bridge-registry');
 const { createControlDb } = require('./control-db');
 const { createTaskBoard } = require('./task-board');
 const taskEnvelope = require('./daemon-task-envelope');
@@ -119,7 +122,7 @@ const { createSessionCommandHandler } = require('./daemon-session-commands');
 const { createSessionStore } = require('./daemon-session-store');
 const { createCheckpointUtils } = require('./daemon-checkpoints');
 const { createWorktreeUtils } = require('./daemon-worktrees');
-const { createBridgeStarter } = require('./daemon-bridges');
+const { createBridgeStarter, BUILTIN_BRIDGE_IDS } = require('./daemon-bridges');
 const { buildTeamRosterHint, buildEnrichedPrompt } = require('./daemon-team-dispatch');
 const {
   resolveDispatchTarget,
@@ -131,6 +134,15 @@ const {
   sendDispatchTaskCard,
 } = require('./daemon-dispatch-cards');
 const { createFileBrowser } = require('./daemon-file-browser');
+const { createMcpHttpHost } = require('./daemon-mcp-http');
+const { createDashboardHost } = require('./daemon-dashboard');
+const { createWebhookServer } = require('./daemon-webhooks');
+const { createApprovalGate } = require('./daemon-approval-gate');
+const { createRaceManager } = require('./daemon-race');
+const { createWorktreeCommandHandler } = require('./daemon-worktree-commands');
+const { createForgetCommandHandler } = require('./daemon-forget-commands');
+const { createVoice } = require('./daemon-voice');
+const { createAttachmentStore } = require('./daemon-attachments');
 const { createPidManager, setupRuntimeWatchers } = require('./daemon-runtime-lifecycle');
 const { repairAgentLayer } = require('./agent-layer');
 const { createNotifier } = require('./daemon-notify');
@@ -220,13 +232,17 @@ function loadConfigStrict() {
     const embeddingBackend = parsed.daemon && parsed.daemon.embedding
       ? parsed.daemon.embedding.backend
       : null;
-    if (embeddingBackend === 'openai' || embeddingBackend === 'ollama' || embeddingBackend === 'auto') {
+    if (['openai', 'ollama', 'local', 'auto'].includes(embeddingBackend)) {
       process.env.METAME_EMBEDDING_BACKEND = embeddingBackend;
     }
     const openwikiMode = parsed.wiki?.external?.openwiki?.recall_mode;
     if (openwikiMode === 'off' || openwikiMode === 'shadow' || openwikiMode === 'on') {
       process.env.METAME_OPENWIKI_RECALL_MODE = openwikiMode;
     }
+    const taskGraph = validateTaskGraphConfig(parsed);
+    if (!taskGraph.ok) return { ok: false, error: taskGraph.error };
+    const bridgePlugins = validateBridgePluginConfig(parsed);
+    if (!bridgePlugins.ok) return { ok: false, error: bridgePlugins.error };
     return { ok: true, config: parsed };
   } catch (e) {
     return { ok: false, error: `YAML parse error: ${e.message}` };
@@ -339,28 +355,35 @@ function buildProfilePreamble() {
 // ---------------------------------------------------------
 // BUDGET TRACKING
 // ---------------------------------------------------------
-function checkBudget(config, state) {
+// Global daily limit plus optional project/agent/task scopes (core/budget-policy).
+// `scope` is { projectKey, agentKey, taskName }; a scope over its hard limit
+// pauses only runs charged to it.
+function checkBudget(config, state, scope = null) {
   state = ensureStateShape(state);
   const today = new Date().toISOString().slice(0, 10);
-  if (state.budget.date !== today) {
-    state.budget.date = today;
-    state.budget.tokens_used = 0;
+  if (budgetPolicy.rolloverBudgetState(state.budget, today)) saveState(state);
+  const budgetCfg = budgetPolicy.normalizeBudgetConfig(config);
+  const scopes = scope ? budgetPolicy.resolveBudgetScopes({ config, ...scope }) : [];
+  const verdict = budgetPolicy.evaluateBudget(budgetCfg, state.budget, scopes);
+  const warned = Array.isArray(state.budget.warned) ? state.budget.warned : [];
+  const fresh = verdict.warnings.filter(w => !warned.includes(w.scope));
+  if (fresh.length > 0) {
+    for (const w of fresh) log('WARN', `[BUDGET] soft threshold reached: ${budgetPolicy.describeFinding(w, budgetCfg.currency)}`);
+    state.budget.warned = [...warned, ...fresh.map(w => w.scope)];
     saveState(state);
   }
-  const limit = (config.budget && config.budget.daily_limit) || 50000;
-  return state.budget.tokens_used < limit;
+  for (const b of verdict.blocked) log('WARN', `[BUDGET] hard limit reached: ${budgetPolicy.describeFinding(b, budgetCfg.currency)}`);
+  return verdict.allowed;
 }
 
+// meta: { category, projectKey, agentKey, taskName, model, engine, inputTokens, outputTokens }
 function recordTokens(state, tokens, meta = null) {
   const amount = Math.max(0, Math.floor(Number(tokens) || 0));
   if (!amount) return;
 
   const liveState = ensureStateShape(loadState());
   const today = new Date().toISOString().slice(0, 10);
-  if (liveState.budget.date !== today) {
-    liveState.budget.date = today;
-    liveState.budget.tokens_used = 0;
-  }
+  budgetPolicy.rolloverBudgetState(liveState.budget, today);
   liveState.budget.tokens_used += amount;
 
   const category = normalizeUsageCategory(meta && meta.category, {
@@ -368,6 +391,15 @@ function recordTokens(state, tokens, meta = null) {
   });
   ensureUsageShape(liveState);
 
+  const cfg = loadConfig();
+  const budgetCfg = budgetPolicy.normalizeBudgetConfig(cfg);
+  budgetPolicy.applyBudgetUsage(liveState.budget, {
+    scopes: meta ? budgetPolicy.resolveBudgetScopes({ config: cfg, ...meta }) : [],
+    tokens: amount,
+    cost: budgetPolicy.estimateCost(budgetCfg, { tokens: amount, ...(meta || {}) }),
+    category,
+  });
+
   if (!liveState.usage.categories[category] || typeof liveState.usage.categories[category] !== 'object') {
     liveState.usage.categories[category] = { total: 0 };
   }
@@ -1142,7 +1174,8 @@ function handleDispatchItem(item, config) {
   // 安全护栏：禁止 agent 主动 dispatch 到 personal（防止 LLM 幻觉乱发消息给小美）
   // personal 只允许用户本人触发，或来源为 user/unknown 的系统任务
   const _agentSources = new Set(Object.keys((config.projects) || {}));
-  const isFromAgent = _agentSources.has(item.from) || item.from === '_claude_session';
+  // Webhook deliveries are external input and get the same treatment as agents.
+  const isFromAgent = _agentSources.has(item.from) || item.from === '_claude_session' || item.from === 'webhook';
   const targetProject = config.projects?.[targetKey] || {};
   if (isFromAgent && targetProject.guard === 'user-only') {
     log('WARN', `dispatch: blocked agent "${item.from}" → "${targetKey}" (user-only guard)`);
@@ -1873,6 +1906,7 @@ const {
   getAllTasks,
   findTask,
   startHeartbeat,
+  fireWebhookTrigger,
 } = createTaskScheduler({
   fs,
   path,
@@ -1899,8 +1933,37 @@ const {
   getWakeRecoveryHook: () => wakeRecoveryHook,
   skillEvolution,
   backgroundRunner,
+  engineRegistry: getEngineRuntime.registry,
 });
 
+const raceManager = createRaceManager({
+  path,
+  log,
+  loadConfig,
+  loadState,
+  getSession,
+  getSessionForEngine,
+  backgroundRunner,
+  worktreeUtils,
+  engineRegistry: getEngineRuntime.registry,
+  getDefaultEngine,
+  getDaemonProviderEnv,
+});
+const { handleWorktreeCommand } = createWorktreeCommandHandler({
+  fs,
+  path,
+  log,
+  loadConfig,
+  loadState,
+  getSession,
+  getSessionForEngine,
+  worktreeUtils,
+  backgroundRunner,
+  getDefaultEngine,
+  getDaemonProviderEnv,
+});
+const { handleForgetCommand } = createForgetCommandHandler({ path, HOME, log });
+
 
 // Pending /agent bind flows: waiting for user to pick a directory
 const pendingBinds = new Map(); // chatId -> agentName
@@ -1958,7 +2021,7 @@ pendingActivations.delete = function (k) { const r = _origPendingDelete(k); _per
 pendingActivations.clear = function () { const r = _origPendingClear(); _persistPendingActivations(); return r; };
 _restorePendingActivations();
 
-const { handleAdminCommand } = createAdminCommandHandler({
+const { handleAdminCommand, switchEngine } = createAdminCommandHandler({
   fs,
   yaml,
   execSync,
@@ -1991,6 +2054,13 @@ const { handleAdminCommand } = createAdminCommandHandler({
 // Must be created before createSessionCommandHandler so releaseWarmPool can be passed in.
 const warmPool = createWarmPool({ log });
 
+// Remote tool approval (approval_policy): hook socket + approve/deny cards.
+// Policy is read per request, so config edits apply without a restart.
+const approvalGate = createApprovalGate({ fs, path, log, loadConfig, metameDir: METAME_DIR });
+const voice = createVoice({ fs, path, log, loadConfig, HOME });
+// Bridge uploads live per chat under ~/.metame/attachments, outside project trees.
+const attachmentStore = createAttachmentStore({ fs, path, log, loadConfig, metameDir: METAME_DIR, HOME });
+
 const { handleSessionCommand } = createSessionCommandHandler({
   fs,
   path,
@@ -2006,6 +2076,7 @@ const { handleSessionCommand } = createSessionCommandHandler({
   createSession,
   getCachedFile,
   getSession,
+  getSessionForEngine,
   listRecentSessions,
   findAttachableSession,
   getSessionFileMtime,
@@ -2020,6 +2091,7 @@ const { handleSessionCommand } = createSessionCommandHandler({
   getSessionRecentDialogue,
   sessionLabel,
   getDefaultEngine,
+  switchEngine,
   releaseWarmPool: (key) => warmPool.releaseWarm(key),
 });
 
@@ -2075,6 +2147,8 @@ const { spawnClaudeAsync, askClaude } = createClaudeEngine({
   getEngineRuntime,
   getDefaultEngine,
   warmPool,
+  approvalGate,
+  attachmentStore,
 });
 
 const agentTools = createAgentTools({
@@ -2228,6 +2302,10 @@ const { handleCommand } = createCommandRouter({
   pendingActivations,
   agentFlowTtlMs: getAgentFlowTtlMs,
   getDefaultEngine,
+  attachmentStore,
+  raceManager,
+  handleWorktreeCommand,
+  handleForgetCommand,
 });
 
 // Bind handleCommand for agent dispatch (must come after handleCommand definition)
@@ -2245,7 +2323,7 @@ _pipelineRef.current = pipeline;
 // ---------------------------------------------------------
 // BOT BRIDGES
 // ---------------------------------------------------------
-const { startTelegramBridge, startFeishuBridge, startWeixinBridge, startImessageBridge, startSiriBridge } = createBridgeStarter({
+const bridgeStarter = createBridgeStarter({
   fs,
   path,
   HOME,
@@ -2265,6 +2343,9 @@ const { startTelegramBridge, startFeishuBridge, startWeixinBridge, startImessage
   sendRemoteDispatch,
   handleRemoteDispatchMessage,
   getOrCreateWorktree,
+  approvalGate,
+  voice,
+  attachmentStore,
 });
 
 const { killExistingDaemon, writePid, cleanPid } = createPidManager({
@@ -2383,7 +2464,9 @@ async function main() {
   }
 
   // Config validation: warn on unknown/suspect fields
-  const KNOWN_SECTIONS = ['daemon', 'telegram', 'feishu', 'weixin', 'heartbeat', 'budget', 'projects', 'imessage', 'siri_bridge', 'hooks', 'wiki'];
+  // Local bridge plugins own a config section named by their descriptor.
+  bridgeStarter.loadLocalPlugins(config);
+  const KNOWN_SECTIONS = ['daemon', 'telegram', 'feishu', 'weixin', 'heartbeat', 'budget', 'projects', 'imessage', 'siri_bridge', 'mcp_http', 'dashboard', 'webhooks', 'voice', 'attachments', 'hooks', 'wiki', 'bridges', ...bridgeStarter.registry.configKeys()];
   const KNOWN_DAEMON = [
     'model',          // legacy (still valid as fallback)
     'models',         // per-engine model map: { claude, codex }
@@ -2393,6 +2476,7 @@ async function main() {
     'heartbeat_check_interval',
     'session_allowed_tools',
     'dangerously_skip_permissions',
+    'approval_policy',       // remote tool approval; projects.<key>.approval_policy overrides
     'cooldown_seconds',
     'agent_flow_ttl_ms',
     'agent_bind_ttl_ms',
@@ -2458,6 +2542,7 @@ async function main() {
   // Hourly heartbeat so daemon.log stays fresh even when idle (visible aliveness check)
   setInterval(() => {
     log('INFO', `Daemon heartbeat — uptime: ${Math.round(process.uptime() / 60)}m, active sessions: ${activeProcesses.size}`);
+    try { attachmentStore.prune(); } catch (e) { log('WARN', `[ATTACH] retention sweep failed: ${e.message}`); }
   }, 60 * 60 * 1000);
 
   // Task executor lookup (always reads fresh config)
@@ -2471,6 +2556,8 @@ async function main() {
   let telegramBridge = null;
   let feishuBridge = null;
   let weixinBridge = null;
+  let matrixBridge = null;
+  let bridgeHandles = new Map(); // every running bridge, built-in and local plugins
   let lastWakeBridgeRecoveryAt = 0;
 
   const notifier = createNotifier({
@@ -2484,6 +2571,36 @@ async function main() {
 
   // Start dispatch socket server (low-latency IPC, fallback: file polling still works)
   const dispatchSocket = startDispatchSocket(() => config);
+  approvalGate.start();
+  raceManager.sweepOrphans();
+
+  // Opt-in shared MCP endpoint (mcp_http); read once at boot, restart to apply changes.
+  let mcpHttpHandle = null;
+  createMcpHttpHost({ log }).startMcpHttpHost(config)
+    .then((handle) => { mcpHttpHandle = handle; })
+    .catch(e => log('WARN', `[MCP-HTTP] start failed: ${e.message}`));
+
+  // Opt-in local dashboard (dashboard); read once at boot, restart to apply changes.
+  let dashboardHandle = null;
+  createDashboardHost({
+    log,
+    taskBoard,
+    skillEvolution,
+    loadState,
+    listHeartbeatTasks: () => getAllTasks(config).all,
+  }).startDashboard(config)
+    .then((handle) => { dashboardHandle = handle; })
+    .catch(e => log('WARN', `[DASHBOARD] start failed: ${e.message}`));
+
+  // Opt-in webhook listener (webhooks); endpoints wake agents or fire task triggers.
+  let webhookHandle = null;
+  createWebhookServer({
+    log,
+    dispatchToAgent: (agent, prompt) => handleDispatchItem({ target: agent, prompt, from: 'webhook' }, loadConfig()),
+    triggerTasks: (endpoint, detail) => fireWebhookTrigger(endpoint, detail),
+  }).startWebhookServer(config)
+    .then((handle) => { webhookHandle = handle; })
+    .catch(e => log('WARN', `[WEBHOOK] start failed: ${e.message}`));
 
   wakeRecoveryHook = async ({ sleepSeconds }) => {
     const now = Date.now();
@@ -2505,6 +2622,15 @@ async function main() {
       log('INFO', `[WAKE-DETECT] reconnecting Weixin bridge after ${sleepSeconds}s sleep`);
       tasks.push(Promise.resolve().then(() => weixinBridge.reconnect()));
     }
+    if (matrixBridge && typeof matrixBridge.reconnect === 'function') {
+      log('INFO', `[WAKE-DETECT] reconnecting Matrix bridge after ${sleepSeconds}s sleep`);
+      tasks.push(Promise.resolve().then(() => matrixBridge.reconnect()));
+    }
+    for (const [id, handle] of bridgeHandles) {
+      if (BUILTIN_BRIDGE_IDS.includes(id) || typeof handle.reconnect !== 'function') continue;
+      log('INFO', `[WAKE-DETECT] reconnecting ${id} bridge after ${sleepSeconds}s sleep`);
+      tasks.push(Promise.resolve().then(() => handle.reconnect()));
+    }
     await Promise.allSettled(tasks);
   };
 
@@ -2570,11 +2696,11 @@ async function main() {
   global._metameReload = runtimeWatchers.reloadConfig;
 
   // Start bridges (both can run simultaneously)
-  telegramBridge = await startTelegramBridge(config, executeTaskByName);
-  feishuBridge = await startFeishuBridge(config, executeTaskByName);
-  weixinBridge = await startWeixinBridge(config, executeTaskByName);
-  await startImessageBridge(config, executeTaskByName);
-  await startSiriBridge(config, executeTaskByName);
+  bridgeHandles = await bridgeStarter.startBridges(config, executeTaskByName);
+  telegramBridge = bridgeHandles.get('telegram') || null;
+  feishuBridge = bridgeHandles.get('feishu') || null;
+  weixinBridge = bridgeHandles.get('weixin') || null;
+  matrixBridge = bridgeHandles.get('matrix') || null;
   if (feishuBridge) _dispatchBridgeRef = feishuBridge; // store bridge, not bot, so .bot stays live after reconnects
 
   // Notify once on startup (single message, no duplicates)
@@ -2588,6 +2714,10 @@ async function main() {
     if (feishuBridge && feishuBridge.bot) bots.push(feishuBridge.bot);
     if (telegramBridge && telegramBridge.bot) bots.push(telegramBridge.bot);
     if (weixinBridge && weixinBridge.bot) bots.push(weixinBridge.bot);
+    if (matrixBridge && matrixBridge.bot) bots.push(matrixBridge.bot);
+    for (const [id, handle] of bridgeHandles) {
+      if (!BUILTIN_BRIDGE_IDS.includes(id) && handle.bot) bots.push(handle.bot);
+    }
     if (bots.length === 0) return;
     const notifs = [];
     for (const [cid] of activeProcesses) {
@@ -2617,9 +2747,13 @@ async function main() {
     backgroundRunner.shutdown('SIGKILL');
     if (dispatchSocket) try { dispatchSocket.close(); } catch { }
     try { fs.unlinkSync(SOCK_PATH); } catch { }
-    if (telegramBridge) telegramBridge.stop();
-    if (feishuBridge) feishuBridge.stop();
-    if (weixinBridge) weixinBridge.stop();
+    approvalGate.stop();
+    if (mcpHttpHandle) await mcpHttpHandle.stop().catch(() => {});
+    if (dashboardHandle) await dashboardHandle.stop().catch(() => {});
+    if (webhookHandle) await webhookHandle.stop().catch(() => {});
+    for (const handle of bridgeHandles.values()) {
+      try { handle.stop(); } catch { /* already stopped */ }
+    }
     // Stop QMD semantic search daemon if it was started
     try { require('./qmd-client').stopDaemon(); } catch { /* ignore */ }
     // Release warm pool processes before killing active ones
@@ -134,6 +134,7 @@ function createAgyCliAdapter(deps = {}) {
       outputSchema: false,
       projectMcp: 'probe-required',
       projectSkills: 'probe-required',
+      imageInput: false,
     },
     structuredOutput: Object.freeze({ schema: 'none', format: '', buffer: 'prefix', unstructuredBuffer: 'prefix' }),
     buildArgs: (options = {}) => buildAgyArgs({ ...options, adapterPath }),
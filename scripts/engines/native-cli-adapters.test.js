@@ -249,6 +249,62 @@ test('Claude adapter owns streaming and persistent CLI protocol flags', () => {
   assert.ok(args.includes('--verbose'));
 });
 
+test('Claude adapter threads the approval hook settings and run token only into writable turns', () => {
+  const claude = createRegistry().get('claude');
+  const approval = {
+    approvalSettings: '{"hooks":{"PreToolUse":[]}}',
+    approvalEnv: { METAME_APPROVAL_SOCKET: '/tmp/a.sock', METAME_APPROVAL_TOKEN: 't0k' },
+  };
+  const args = claude.buildArgs(approval);
+  assert.ok(args.includes('--dangerously-skip-permissions'));
+  assert.deepEqual(args.slice(args.indexOf('--settings'), args.indexOf('--settings') + 2), ['--settings', approval.approvalSettings]);
+  assert.equal(claude.buildArgs({ ...approval, readOnly: true }).includes('--settings'), false);
+  assert.equal(claude.buildArgs({}).includes('--settings'), false);
+
+  const env = claude.buildEnv(approval);
+  assert.equal(env.METAME_APPROVAL_TOKEN, 't0k');
+  assert.equal(env.METAME_APPROVAL_SOCKET, '/tmp/a.sock');
+  const previous = process.env.METAME_APPROVAL_TOKEN;
+  process.env.METAME_APPROVAL_TOKEN = 'inherited';
+  try {
+    assert.equal(claude.buildEnv({}).METAME_APPROVAL_TOKEN, undefined, 'ungated runs never inherit a token');
+  } finally {
+    if (previous === undefined) delete process.env.METAME_APPROVAL_TOKEN;
+    else process.env.METAME_APPROVAL_TOKEN = previous;
+  }
+});
+
+test('Image turns reach Claude as stream-json image blocks and Codex as --image flags', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-image-turn-'));
+  try {
+    const image = path.join(dir, 'shot.png');
+    fs.writeFileSync(image, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    const images = [{ path: image, mediaType: 'image/png' }];
+
+    const claude = createClaudeCliAdapter();
+    assert.equal(claude.capabilities.imageInput, true);
+    const oneshot = claude.buildInvocation({ streaming: true, input: 'what is this?', images });
+    assert.deepEqual(oneshot.args.slice(oneshot.args.indexOf('--input-format'), oneshot.args.indexOf('--input-format') + 2), ['--input-format', 'stream-json']);
+    const line = JSON.parse(oneshot.input);
+    assert.equal(line.type, 'user');
+    assert.deepEqual(line.message.content, [
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw==' } },
+      { type: 'text', text: 'what is this?' },
+    ]);
+    const warm = claude.buildInvocation({ streaming: true, persistent: true, input: 'again', images });
+    assert.ok(Array.isArray(warm.input), 'the warm pool wraps the content array itself');
+    assert.equal(claude.buildInvocation({ streaming: true, input: 'plain' }).input, 'plain');
+    assert.equal(claude.buildArgs({ streaming: true }).includes('--input-format'), false);
+
+    const codex = createCodexCliAdapter({ fs, path });
+    assert.equal(codex.capabilities.imageInput, true);
+    const args = codex.buildArgs({ images });
+    assert.deepEqual(args.slice(-2), [`--image=${image}`, '-']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
 test('Codex adapter owns AGENTS.md context projection without following symlinks', () => {
   const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-codex-context-'));
   const adapter = createCodexCliAdapter({ fs, path });
@@ -337,6 +337,7 @@ function createPiCliAdapter(deps = {}) {
       outputSchema: false,
       projectMcp: true,
       projectSkills: true,
+      imageInput: false,
     },
     structuredOutput: Object.freeze({ schema: 'none', format: '', buffer: 'prefix', unstructuredBuffer: 'prefix' }),
     isReady,
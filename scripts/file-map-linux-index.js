@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * file-map-linux-index.js — MetaMe's own file index for Linux hosts without
+ * plocate (and for size-based scans, which plocate cannot answer).
+ *
+ * A bounded walk fills a private SQLite table (path, name, ext, size, mtime);
+ * afterwards one inotify watch per indexed directory (plain fs.watch — Node's
+ * recursive mode on Linux stats and watches every FILE) keeps it current
+ * while the server runs. Directories past maxWatches, or any watch the kernel
+ * refuses (fs.inotify.max_user_watches), fall back to TTL re-walks.
+ *
+ * Hidden entries and exclude globs are skipped, matching collectCandidates().
+ * Owns fs + SQLite side effects; matching rules live in core/file-map-linux.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { shouldExclude } = require('./core/file-map-protect');
+const { KIND_EXTENSIONS, extensionOf } = require('./core/file-map-linux');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS files (
+    path TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    ext TEXT NOT NULL DEFAULT '',
+    is_dir INTEGER NOT NULL DEFAULT 0,
+    size INTEGER NOT NULL DEFAULT 0,
+    mtime_ms INTEGER NOT NULL DEFAULT 0,
+    generation INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_files_size ON files(size);
+  CREATE TABLE IF NOT EXISTS roots (
+    root TEXT PRIMARY KEY,
+    indexed_at INTEGER NOT NULL,
+    entries INTEGER NOT NULL DEFAULT 0,
+    truncated INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+/** Key range of every path strictly below `root` ('0' sorts right after '/'). */
+function subtreeRange(root) {
+  const base = root === '/' ? '' : root.replace(/\/+$/, '');
+  return [`${base}/`, `${base}0`];
+}
+
+function likeTerm(term) {
+  return `%${String(term).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dbPath
+ * @param {object} [opts.fsx]
+ * @param {() => number} [opts.now]
+ * @param {number} [opts.ttlMs]        - re-walk an unwatched root after this long
+ * @param {number} [opts.maxEntries]   - per walk
+ * @param {number} [opts.budgetMs]     - per walk
+ * @param {number} [opts.maxWatches]   - inotify directory watches; 0 disables watching
+ * @param {string[]} [opts.excludePatterns]
+ */
+function createLinuxFileIndex({
+  dbPath,
+  fsx = fs,
+  now = Date.now,
+  ttlMs = 24 * 3600 * 1000,
+  maxEntries = 500000,
+  budgetMs = 30000,
+  maxWatches = 4096,
+  excludePatterns = [],
+} = {}) {
+  const { DatabaseSync } = require('node:sqlite');
+  fsx.mkdirSync(path.dirname(dbPath), { recursive: true, mode: 0o700 });
+  const db = new DatabaseSync(dbPath);
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA busy_timeout = 3000');
+  db.exec(SCHEMA);
+  try { fsx.chmodSync(dbPath, 0o600); } catch { /* best effort */ }
+
+  const upsert = db.prepare(`
+    INSERT INTO files (path, name, ext, is_dir, size, mtime_ms, generation) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(path) DO UPDATE SET
+      name = excluded.name, ext = excluded.ext, is_dir = excluded.is_dir,
+      size = excluded.size, mtime_ms = excluded.mtime_ms, generation = excluded.generation
+  `);
+  const removeOne = db.prepare('DELETE FROM files WHERE path = ?');
+  const removeBelow = db.prepare('DELETE FROM files WHERE path >= ? AND path < ?');
+
+  const watchers = new Map();
+  const watchedRoots = new Set();
+  let watchRefused = false;
+
+  function excluded(p, name) {
+    return name.startsWith('.') || shouldExclude(p, excludePatterns);
+  }
+
+  function record(p, st, generation) {
+    upsert.run(p, path.basename(p), st.isDirectory() ? '' : extensionOf(p), st.isDirectory() ? 1 : 0,
+      st.isDirectory() ? 0 : st.size, Math.floor(st.mtimeMs), generation);
+  }
+
+  function watchDir(dir) {
+    if (watchers.has(dir)) return;
+    if (watchers.size >= maxWatches) {
+      watchRefused = true;
+      return;
+    }
+    let watcher;
+    try {
+      watcher = fsx.watch(dir, { persistent: false }, (_event, filename) => {
+        if (filename) onChange(dir, String(filename));
+      });
+    } catch {
+      watchRefused = true; // ENOSPC (kernel watch limit): TTL re-walks cover it
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, watcher);
+  }
+
+  function unwatchBelow(p) {
+    for (const [dir, watcher] of watchers) {
+      if (dir === p || dir.startsWith(`${p}/`)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  }
+
+  /** Walk `root` into the index. Complete walks drop rows that vanished. */
+  function walk(root, { watch = false, limit = maxEntries } = {}) {
+    const started = now();
+    const generation = started;
+    let entries = 0;
+    let truncated = false;
+    const stack = [root];
+    db.exec('BEGIN');
+    try {
+      while (stack.length) {
+        const dir = stack.pop();
+        if (watch) watchDir(dir);
+        let list;
+        try { list = fsx.readdirSync(dir, { withFileTypes: true }); } catch { continue; }
+        for (const entry of list) {
+          const p = dir === '/' ? `/${entry.name}` : `${dir}/${entry.name}`;
+          if (!entry.isDirectory() && !entry.isFile()) continue;
+          if (excluded(p, entry.name)) continue;
+          if (++entries > limit || now() - started > budgetMs) {
+            truncated = true;
+            break;
+          }
+          let st;
+          try { st = fsx.lstatSync(p); } catch { continue; }
+          record(p, st, generation);
+          if (entry.isDirectory()) stack.push(p);
+        }
+        if (truncated) break;
+      }
+      if (!truncated) db.prepare('DELETE FROM files WHERE path >= ? AND path < ? AND generation < ?').run(...subtreeRange(root), generation);
+      db.exec('COMMIT');
+    } catch (err) {
+      try { db.exec('ROLLBACK'); } catch { /* not in a transaction */ }
+      throw err;
+    }
+    return { entries: Math.min(entries, limit), truncated, duration_ms: now() - started };
+  }
+
+  function onChange(dir, filename) {
+    const p = path.join(dir, filename);
+    if (filename.split('/').some(part => part.startsWith('.')) || shouldExclude(p, excludePatterns)) return;
+    let st = null;
+    try { st = fsx.lstatSync(p); } catch { /* removed or renamed away */ }
+    try {
+      if (!st || (!st.isFile() && !st.isDirectory())) {
+        removeOne.run(p);
+        removeBelow.run(...subtreeRange(p));
+        unwatchBelow(p);
+      } else if (st.isDirectory()) {
+        record(p, st, now());
+        walk(p, { watch: true, limit: 10000 });
+      } else {
+        record(p, st, now());
+      }
+    } catch {
+      // Database busy: the next TTL walk reconciles.
+    }
+  }
+
+  function coveringRoot(root) {
+    return db.prepare(`
+      SELECT root, indexed_at, entries, truncated FROM roots
+      WHERE root = ? OR (? >= root || '/' AND ? < root || '0')
+      ORDER BY truncated, indexed_at DESC LIMIT 1
+    `).get(root, root, root);
+  }
+
+  /**
+   * Make sure `root` is indexed: reuse a covering root that is watched or
+   * younger than ttlMs, otherwise walk it (and start watching it).
+   * @returns {{ root: string, indexed_at: string, partial: boolean, watched: boolean, walked: boolean }}
+   */
+  function ensure(root) {
+    const cover = coveringRoot(root);
+    const watched = [...watchedRoots].some(r => root === r || root.startsWith(`${r}/`));
+    if (cover && !cover.truncated && (watched || now() - cover.indexed_at < ttlMs)) {
+      return { root: cover.root, indexed_at: new Date(cover.indexed_at).toISOString(), partial: false, watched, walked: false };
+    }
+    const watch = maxWatches > 0;
+    watchRefused = false;
+    const result = walk(root, { watch });
+    db.prepare(`
+      INSERT INTO roots (root, indexed_at, entries, truncated) VALUES (?, ?, ?, ?)
+      ON CONFLICT(root) DO UPDATE SET indexed_at = excluded.indexed_at, entries = excluded.entries, truncated = excluded.truncated
+    `).run(root, now(), result.entries, result.truncated ? 1 : 0);
+    if (watch && !result.truncated && !watchRefused) watchedRoots.add(root);
+    return { root, indexed_at: new Date(now()).toISOString(), partial: result.truncated, watched: watchedRoots.has(root), walked: true };
+  }
+
+  /**
+   * @param {object} q
+   * @param {string} q.root
+   * @param {string[]} [q.terms]        - case-insensitive name substrings (AND)
+   * @param {string} [q.kind]
+   * @param {number} [q.minSizeBytes]
+   * @param {number} [q.modifiedAfterMs]
+   * @param {number} [q.modifiedBeforeMs]
+   * @param {'path'|'size'} [q.order]
+   * @param {number} [q.limit]
+   * @param {number} [q.offset]
+   * @returns {{ paths: string[], total: number }}
+   */
+  function query({ root, terms = [], kind, minSizeBytes = 0, modifiedAfterMs = 0, modifiedBeforeMs = 0, order = 'path', limit = 50, offset = 0 }) {
+    const where = ['path >= ?', 'path < ?'];
+    const params = [...subtreeRange(root)];
+    for (const term of terms) {
+      where.push("name LIKE ? ESCAPE '\\'");
+      params.push(likeTerm(term));
+    }
+    if (kind === 'folder') {
+      where.push('is_dir = 1');
+    } else if (kind && KIND_EXTENSIONS[kind]) {
+      where.push(`is_dir = 0 AND ext IN (${KIND_EXTENSIONS[kind].map(() => '?').join(', ')})`);
+      params.push(...KIND_EXTENSIONS[kind]);
+    }
+    if (minSizeBytes > 0) { where.push('is_dir = 0 AND size > ?'); params.push(Math.floor(minSizeBytes)); }
+    if (modifiedAfterMs > 0) { where.push('mtime_ms >= ?'); params.push(Math.floor(modifiedAfterMs)); }
+    if (modifiedBeforeMs > 0) { where.push('mtime_ms < ?'); params.push(Math.floor(modifiedBeforeMs)); }
+    const sql = where.join(' AND ');
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM files WHERE ${sql}`).get(...params).n;
+    const rows = db.prepare(`
+      SELECT path FROM files WHERE ${sql}
+      ORDER BY ${order === 'size' ? 'size DESC, path' : 'path'} LIMIT ? OFFSET ?
+    `).all(...params, Math.max(0, limit), Math.max(0, offset));
+    return { paths: rows.map(row => row.path), total };
+  }
+
+  function close() {
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+    watchedRoots.clear();
+    db.close();
+  }
+
+  return { ensure, query, close, watchCount: () => watchers.size };
+}
+
+module.exports = { createLinuxFileIndex, _internal: { subtreeRange, likeTerm } };
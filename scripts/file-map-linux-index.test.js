@@ -0,0 +1,143 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createLinuxFileIndex, _internal } = require('./file-map-linux-index');
+
+function write(p, bytes) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, Buffer.alloc(bytes));
+}
+
+async function waitFor(check, ms = 3000) {
+  const deadline = Date.now() + ms;
+  while (Date.now() < deadline) {
+    if (check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return check();
+}
+
+describe('file-map-linux-index', () => {
+  let work;
+  let root;
+
+  before(() => {
+    work = fs.mkdtempSync(path.join(os.tmpdir(), 'fm-linux-index-'));
+    root = path.join(work, 'home');
+    write(path.join(root, 'Videos/Trip Report.mp4'), 3000);
+    write(path.join(root, 'Docs/report_2024.pdf'), 200);
+    write(path.join(root, 'Docs/notes.txt'), 10);
+    write(path.join(root, 'node_modules/pkg/report.js'), 5000);
+    write(path.join(root, '.cache/report.bin'), 9000);
+  });
+
+  after(() => {
+    fs.rmSync(work, { recursive: true, force: true });
+  });
+
+  it('subtree ranges and LIKE terms escape correctly', () => {
+    assert.deepEqual(_internal.subtreeRange('/home/u/'), ['/home/u/', '/home/u0']);
+    assert.deepEqual(_internal.subtreeRange('/'), ['/', '0']);
+    assert.equal(_internal.likeTerm('50%_off'), '%50\\%\\_off%');
+  });
+
+  it('walks a root, skips hidden/excluded entries and answers name, kind and size queries', () => {
+    const index = createLinuxFileIndex({
+      dbPath: path.join(work, 'walk.db'), maxWatches: 0, excludePatterns: ['**/node_modules/**'],
+    });
+    try {
+      const first = index.ensure(root);
+      assert.equal(first.walked, true);
+      assert.equal(first.partial, false);
+      assert.equal(first.watched, false);
+
+      const hits = index.query({ root, terms: ['REPORT'] });
+      assert.deepEqual(hits.paths, [path.join(root, 'Docs/report_2024.pdf'), path.join(root, 'Videos/Trip Report.mp4')]);
+      assert.equal(hits.total, 2);
+      assert.deepEqual(index.query({ root, terms: ['report'], kind: 'video' }).paths, [path.join(root, 'Videos/Trip Report.mp4')]);
+      assert.deepEqual(index.query({ root, kind: 'folder' }).paths, [path.join(root, 'Docs'), path.join(root, 'Videos')]);
+      assert.deepEqual(index.query({ root, terms: ['report_'] }).total, 1, '_ is literal, not a wildcard');
+
+      const large = index.query({ root, minSizeBytes: 100, order: 'size', limit: 1 });
+      assert.deepEqual(large.paths, [path.join(root, 'Videos/Trip Report.mp4')]);
+      assert.equal(large.total, 2);
+
+      const again = index.ensure(path.join(root, 'Docs'));
+      assert.equal(again.walked, false, 'a fresh covering root is reused');
+      assert.equal(again.root, root);
+    } finally {
+      index.close();
+    }
+  });
+
+  it('re-walks after the TTL and drops rows for files that vanished', () => {
+    let clock = 1_000_000;
+    const index = createLinuxFileIndex({
+      dbPath: path.join(work, 'ttl.db'), maxWatches: 0, ttlMs: 1000, now: () => clock,
+    });
+    const gone = path.join(root, 'Docs/gone.md');
+    write(gone, 1);
+    try {
+      index.ensure(root);
+      assert.equal(index.query({ root, terms: ['gone'] }).total, 1);
+      fs.rmSync(gone);
+      assert.equal(index.ensure(root).walked, false);
+      clock += 5000;
+      assert.equal(index.ensure(root).walked, true);
+      assert.equal(index.query({ root, terms: ['gone'] }).total, 0);
+    } finally {
+      index.close();
+    }
+  });
+
+  it('marks truncated walks partial and never treats them as covering', () => {
+    const index = createLinuxFileIndex({ dbPath: path.join(work, 'cap.db'), maxWatches: 0, maxEntries: 2 });
+    try {
+      assert.equal(index.ensure(root).partial, true);
+      assert.equal(index.ensure(root).walked, true);
+    } finally {
+      index.close();
+    }
+  });
+
+  it('follows inotify events for new, changed and removed files', async () => {
+    const index = createLinuxFileIndex({ dbPath: path.join(work, 'watch.db') });
+    try {
+      const state = index.ensure(root);
+      assert.equal(state.watched, true);
+      assert.ok(index.watchCount() >= 3);
+
+      const added = path.join(root, 'Docs/fresh-report.odt');
+      write(added, 42);
+      assert.ok(await waitFor(() => index.query({ root, terms: ['fresh-report'] }).total === 1));
+
+      write(path.join(root, 'Music/new album/track.flac'), 7);
+      assert.ok(await waitFor(() => index.query({ root, kind: 'audio' }).total === 1), 'new directories are walked');
+
+      fs.rmSync(added);
+      assert.ok(await waitFor(() => index.query({ root, terms: ['fresh-report'] }).total === 0));
+      fs.rmSync(path.join(root, 'Music'), { recursive: true });
+      assert.ok(await waitFor(() => index.query({ root, kind: 'audio' }).total === 0));
+      assert.equal(index.ensure(root).walked, false, 'a watched root is not re-walked');
+    } finally {
+      index.close();
+    }
+    assert.equal(index.watchCount(), 0);
+  });
+
+  it('does not claim a root is watched once the watch cap is hit', () => {
+    const index = createLinuxFileIndex({ dbPath: path.join(work, 'few.db'), maxWatches: 1 });
+    try {
+      const state = index.ensure(root);
+      assert.equal(state.watched, false);
+      assert.equal(index.watchCount(), 1);
+    } finally {
+      index.close();
+    }
+  });
+});
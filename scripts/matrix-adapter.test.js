@@ -0,0 +1,204 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { mkdtempForTest } = require('./test-support/test-utils');
+
+// The user ACL persists first-seen senders under ~/.metame: keep it in a temp HOME.
+process.env.HOME = mkdtempForTest('metame-matrix-home-');
+
+const { createBot, isMatrixRoomId, markdownToHtml } = require('./matrix-adapter');
+const { createBridgeStarter } = require('./daemon-bridges');
+const { buildThreadChatId } = require('./core/thread-chat-id');
+const { startMatrixHomeserver } = require('./test-support/matrix-homeserver');
+
+const ROOM = '!agents:test';
+
+async function withHomeserver(run) {
+  const hs = await startMatrixHomeserver();
+  try {
+    return await run(hs);
+  } finally {
+    await hs.close();
+  }
+}
+
+describe('matrix-adapter', () => {
+  it('recognises room ids and renders markdown as Matrix HTML', () => {
+    assert.equal(isMatrixRoomId('!abc:example.org'), true);
+    assert.equal(isMatrixRoomId('oc_123'), false);
+    assert.equal(isMatrixRoomId(12345), false);
+    assert.equal(
+      markdownToHtml('# Title\n**bold** and `a<b>`\n> quoted'),
+      '<h1>Title</h1><strong>bold</strong> and <code>a&lt;b&gt;</code><br><blockquote>quoted</blockquote>'
+    );
+  });
+
+  it('sends, edits via m.replace and posts into threads', async () => {
+    await withHomeserver(async (hs) => {
+      const bot = createBot({ homeserver: hs.url, accessToken: hs.accessToken });
+      assert.equal((await bot.whoami()).user_id, '@metame:test');
+
+      const first = await bot.sendMessage(ROOM, 'thinking…');
+      assert.match(first.message_id, /^\$ev/);
+      await bot.editMessage(ROOM, first.message_id, 'done **now**');
+      const edit = hs.sent[1];
+      assert.equal(edit.roomId, ROOM);
+      assert.deepEqual(edit.content['m.relates_to'], { rel_type: 'm.replace', event_id: first.message_id });
+      assert.equal(edit.content['m.new_content'].body, 'done **now**');
+      assert.equal(edit.content['m.new_content'].formatted_body, 'done <strong>now</strong>');
+
+      await bot.sendMarkdown(buildThreadChatId(ROOM, '$root'), 'in thread');
+      const threaded = hs.sent[2];
+      assert.equal(threaded.roomId, ROOM);
+      assert.equal(threaded.content['m.relates_to'].rel_type, 'm.thread');
+      assert.equal(threaded.content['m.relates_to'].event_id, '$root');
+    });
+  });
+
+  it('seeds one reaction per button and resolves reactions to callbacks', async () => {
+    await withHomeserver(async (hs) => {
+      const bot = createBot({ homeserver: hs.url, accessToken: hs.accessToken });
+      const buttons = [[{ text: '继续', callback_data: '/continue' }], [{ text: '停止', callback_data: '/stop' }]];
+      const msg = await bot.sendButtons(ROOM, '选择操作', buttons);
+      assert.equal(hs.sent[0].content.body, '选择操作\n1️⃣ 继续\n2️⃣ 停止');
+      const reactions = hs.sent.filter(e => e.type === 'm.reaction');
+      assert.deepEqual(reactions.map(e => e.content['m.relates_to'].key), ['1️⃣', '2️⃣']);
+      assert.equal(bot.resolveReaction(ROOM, msg.message_id, '2️⃣'), '/stop');
+      assert.equal(bot.resolveReaction('!other:test', msg.message_id, '2️⃣'), null);
+      assert.equal(bot.resolveReaction(ROOM, msg.message_id, '👍'), null);
+    });
+  });
+
+  it('uploads files for send-to-user and downloads mxc media', async () => {
+    await withHomeserver(async (hs) => {
+      const dir = mkdtempForTest('metame-matrix-files-');
+      const bot = createBot({ homeserver: hs.url, accessToken: hs.accessToken });
+      const src = path.join(dir, 'report.md');
+      fs.writeFileSync(src, '# report');
+      await bot.sendFile(ROOM, src, '本周报告');
+      const [fileEvent, caption] = hs.sent;
+      assert.equal(fileEvent.content.msgtype, 'm.file');
+      assert.equal(fileEvent.content.body, 'report.md');
+      assert.match(fileEvent.content.url, /^mxc:\/\/test\//);
+      assert.equal(caption.content.body, '本周报告');
+
+      const dest = path.join(dir, 'copy.md');
+      await bot.downloadFile(fileEvent.content.url, dest);
+      assert.equal(fs.readFileSync(dest, 'utf8'), '# report');
+      await assert.rejects(bot.downloadFile('https://not-mxc', dest), /Invalid Matrix media URL/);
+    });
+  });
+});
+
+describe('Matrix bridge', () => {
+  function starterFor(hs, config) {
+    const home = process.env.HOME;
+    const state = { sessions: {}, msg_sessions: {}, team_sticky: {} };
+    const processed = [];
+    const starter = createBridgeStarter({
+      fs,
+      path,
+      HOME: home,
+      log: () => {},
+      sleep: async () => {},
+      loadConfig: () => config,
+      loadState: () => state,
+      saveState: (next) => Object.assign(state, next),
+      getSession: () => null,
+      restoreSessionFromReply: () => null,
+      handleCommand: async () => {},
+      pipeline: {
+        processMessage: async (chatId, text, ctx) => { processed.push({ chatId, text, senderId: ctx.senderId }); },
+        isActive: () => false,
+        interruptActive: () => false,
+        clearQueue: () => {},
+      },
+      pendingActivations: new Map(),
+    });
+    return { starter, processed, home };
+  }
+
+  it('long-polls sync and routes messages, reactions, threads and invites', async () => {
+    await withHomeserver(async (hs) => {
+      const config = {
+        matrix: {
+          enabled: true,
+          homeserver: hs.url,
+          access_token: hs.accessToken,
+          allowed_inviters: ['@owner:test'],
+          allowed_chat_ids: [ROOM],
+        },
+      };
+      const { starter, processed, home } = starterFor(hs, config);
+      const handle = await starter.startBridge('matrix', config, async () => {});
+      assert.ok(handle, 'bridge started');
+      try {
+        // The first sync only records the position; messages arrive on the long-poll.
+        await hs.waitFor(() => hs.pollers > 0);
+        hs.pushTimeline(ROOM, { type: 'm.room.message', sender: '@owner:test', content: { msgtype: 'm.text', body: 'hello' } });
+        await hs.waitFor(() => processed.length === 1);
+        assert.deepEqual(processed[0], { chatId: ROOM, text: 'hello', senderId: '@owner:test' });
+
+        hs.pushInvite('!new-agent:test', '@owner:test');
+        hs.pushInvite('!spam:test', '@stranger:test');
+        await hs.waitFor(() => hs.joined.length === 1);
+        assert.deepEqual(hs.joined, ['!new-agent:test']);
+
+        const menu = await handle.bot.sendButtons(ROOM, '选择', [[{ text: '继续', callback_data: '/continue' }]]);
+        hs.pushTimeline(ROOM, {
+          type: 'm.reaction',
+          sender: '@owner:test',
+          content: { 'm.relates_to': { rel_type: 'm.annotation', event_id: menu.message_id, key: '1️⃣' } },
+        });
+        await hs.waitFor(() => processed.length === 2);
+        assert.equal(processed[1].text, '/continue');
+
+        hs.pushTimeline(ROOM, {
+          type: 'm.room.message',
+          sender: '@owner:test',
+          content: { msgtype: 'm.text', body: 'in topic', 'm.relates_to': { rel_type: 'm.thread', event_id: '$root' } },
+        });
+        await hs.waitFor(() => processed.length === 3);
+        assert.equal(processed[2].chatId, buildThreadChatId(ROOM, '$root'));
+
+        const mxc = hs.addMedia('notes.txt', 'hello');
+        hs.pushTimeline(ROOM, {
+          type: 'm.room.message',
+          sender: '@owner:test',
+          content: { msgtype: 'm.file', body: 'notes.txt', url: mxc },
+        });
+        await hs.waitFor(() => processed.length === 4);
+        const uploaded = path.join(home, 'upload', 'notes.txt');
+        assert.equal(fs.readFileSync(uploaded, 'utf8'), 'hello');
+        assert.ok(processed[3].text.includes(uploaded));
+
+        // Own echoes and edits are ignored; strangers get the activation hint.
+        const before = hs.sent.length;
+        hs.pushTimeline(ROOM, { type: 'm.room.message', sender: '@metame:test', content: { msgtype: 'm.text', body: 'echo' } });
+        hs.pushTimeline(ROOM, {
+          type: 'm.room.message',
+          sender: '@owner:test',
+          content: { msgtype: 'm.text', body: '* fixed', 'm.relates_to': { rel_type: 'm.replace', event_id: '$x' } },
+        });
+        hs.pushTimeline('!unknown:test', { type: 'm.room.message', sender: '@owner:test', content: { msgtype: 'm.text', body: 'hi' } });
+        await hs.waitFor(() => hs.sent.length > before);
+        assert.equal(hs.sent[before].roomId, '!unknown:test');
+        assert.match(hs.sent[before].content.body, /未授权/);
+        assert.equal(processed.length, 4);
+      } finally {
+        await handle.stop();
+      }
+      assert.equal(handle.isAlive(), false);
+    });
+  });
+
+  it('does not start without credentials', async () => {
+    const config = { matrix: { enabled: true, homeserver: 'http://127.0.0.1:9' } };
+    const { starter } = starterFor(null, config);
+    assert.equal(await starter.startBridge('matrix', config, async () => {}), null);
+  });
+});
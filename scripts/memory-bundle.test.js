@@ -0,0 +1,173 @@
+'use strict';
+
+require('./test-support/env-setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { DatabaseSync } = require('node:sqlite');
+const { applyWikiSchema } = require('./memory-wiki-schema');
+const { main, parseArgs, readBundleFile } = require('./memory-bundle');
+
+function hash(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function createStore(root, name, rows = []) {
+  const dbPath = path.join(root, `${name}.db`);
+  const db = new DatabaseSync(dbPath);
+  db.exec(`
+    CREATE TABLE memory_items (
+      id TEXT PRIMARY KEY, kind TEXT NOT NULL, state TEXT NOT NULL,
+      title TEXT, content TEXT NOT NULL, project TEXT DEFAULT '*', scope TEXT,
+      agent_key TEXT, task_key TEXT, canonical_key TEXT, supersedes_id TEXT,
+      source_id TEXT, source_type TEXT, origin_class TEXT DEFAULT 'primary',
+      provenance_root_id TEXT, archive_reason TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  applyWikiSchema(db);
+  const insert = db.prepare(`INSERT INTO memory_items
+    (id,kind,state,content,project,scope,agent_key,canonical_key,created_at)
+    VALUES (?,?,?,?,?,?,?,?,?)`);
+  for (const row of rows) insert.run(...row);
+  db.close();
+  return dbPath;
+}
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+function fixture() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-memory-bundle-'));
+  const sourceHome = path.join(root, 'source-home');
+  const targetHome = path.join(root, 'target-home');
+  const sourceDb = createStore(root, 'source', [
+    ['release-tests', 'convention', 'active', 'Run the full test suite before every release.', 'metame', 'core', null, 'metame.release.tests', '2026-08-10 09:00:00'],
+    ['release-port', 'convention', 'active', 'The dashboard listens on port 8080.', 'metame', 'core', null, 'metame.dashboard.port', '2026-08-11 09:00:00'],
+    ['fresh-claim', 'insight', 'active', 'Worktrees are pruned after two idle weeks.', 'metame', 'core', 'yi', 'metame.worktree.prune', '2026-08-12 09:00:00'],
+    ['other-project', 'convention', 'active', 'Use pnpm for the web app.', 'web', 'core', null, 'web.package.manager', '2026-08-12 09:00:00'],
+    ['old-claim', 'convention', 'archived', 'An archived rule.', 'metame', 'core', null, 'metame.old', '2026-08-01 09:00:00'],
+  ]);
+  const db = new DatabaseSync(sourceDb);
+  db.prepare(`INSERT INTO knowledge_lineage (child_kind,child_id,parent_kind,parent_id,transform,role)
+    VALUES ('memory_item','release-tests','session_source','session-1','test','evidence')`).run();
+  db.close();
+  writeFile(path.join(sourceHome, '.claude_profile.yaml'), 'identity:\n  name: tester\n');
+  writeFile(path.join(sourceHome, '.metame', 'agents', 'metame', 'soul.md'), '# metame soul\n');
+  writeFile(path.join(sourceHome, '.metame', 'agents', 'web', 'soul.md'), '# web soul\n');
+  const targetDb = createStore(root, 'target', [
+    ['local-tests', 'convention', 'active', 'Run the full test suite before every release.', 'metame', 'core', null, 'metame.release.tests', '2026-08-09 09:00:00'],
+    ['local-port', 'convention', 'active', 'The dashboard listens on port 3000.', 'metame', 'core', null, 'metame.dashboard.port', '2026-08-09 09:00:00'],
+  ]);
+  writeFile(path.join(targetHome, '.metame', 'agents', 'metame', 'soul.md'), '# local metame soul\n');
+  return { root, sourceHome, targetHome, sourceDb, targetDb };
+}
+
+function rows(dbPath) {
+  const db = new DatabaseSync(dbPath, { readOnly: true });
+  try {
+    return Object.fromEntries(db.prepare('SELECT id, state FROM memory_items ORDER BY id').all().map(row => [row.id, row.state]));
+  } finally { db.close(); }
+}
+
+test('CLI parser separates export scope from import options', () => {
+  const args = parseArgs(['export', '--project', 'metame', '--since', '2026-08-01', '--encrypt']);
+  assert.equal(args.encrypt, true);
+  assert.deepEqual(args.scope, { project: 'metame', agent: null, since: '2026-08-01', until: null });
+  assert.equal(parseArgs(['import', 'bundle.json', '--dry-run', '--keep-state']).keepState, true);
+  assert.throws(() => parseArgs(['import']), /requires a bundle path/);
+  assert.throws(() => parseArgs(['import', 'b.json', '--project', 'x']), /unknown option: --project/);
+  assert.throws(() => parseArgs(['export', '--since', 'soon']), /must be a date/);
+  assert.throws(() => parseArgs(['sync']), /usage: metame memory export/);
+});
+
+test('export is read-only and import admits claims through the Claim Contract', () => {
+  const f = fixture();
+  const before = hash(f.sourceDb);
+  const out = path.join(f.root, 'bundle.json');
+  const exported = main(['export', '--out', out], { dbPath: f.sourceDb, homeDir: f.sourceHome, print: false, now: '2026-08-20T00:00:00Z' });
+  assert.equal(hash(f.sourceDb), before);
+  assert.equal(fs.statSync(out).mode & 0o777, 0o600);
+  assert.deepEqual(exported.omitted_sections, []);
+  assert.equal(exported.counts.memory_items, 5);
+  assert.equal(exported.counts.agent_souls, 2);
+  assert.throws(() => main(['export', '--out', out], { dbPath: f.sourceDb, homeDir: f.sourceHome, print: false }), /EEXIST/);
+
+  const report = main(['import', out], { dbPath: f.targetDb, homeDir: f.targetHome, print: false });
+  assert.deepEqual(report.memory_items, { duplicate: 1, conflict: 1, complementary: 2, skipped_archived: 1 });
+  assert.deepEqual(rows(f.targetDb), {
+    'fresh-claim': 'candidate',
+    'local-port': 'active',
+    'local-tests': 'active',
+    'other-project': 'candidate',
+    'release-port': 'conflict',
+  });
+  assert.deepEqual(report.conflicts.find(conflict => conflict.section === 'memory_items'), {
+    section: 'memory_items', id: 'release-port', outcome: 'conflict', existing_ids: ['local-port'],
+  });
+
+  const db = new DatabaseSync(f.targetDb, { readOnly: true });
+  const lineage = db.prepare("SELECT parent_kind, parent_id FROM knowledge_lineage WHERE child_id='local-tests' ORDER BY parent_kind").all();
+  db.close();
+  assert.deepEqual(lineage.map(row => row.parent_kind), ['memory_bundle', 'session_source']);
+  assert.equal(lineage[0].parent_id, exported.bundle_digest);
+
+  assert.equal(fs.readFileSync(path.join(f.targetHome, '.claude_profile.yaml'), 'utf8'), 'identity:\n  name: tester\n');
+  assert.equal(fs.readFileSync(path.join(f.targetHome, '.metame', 'agents', 'metame', 'soul.md'), 'utf8'), '# local metame soul\n');
+  assert.equal(fs.readFileSync(path.join(report.staged_dir, 'agents', 'metame', 'soul.md'), 'utf8'), '# metame soul\n');
+  assert.deepEqual(report.agent_souls, { conflict: 1, created: 1 });
+
+  const again = main(['import', out], { dbPath: f.targetDb, homeDir: f.targetHome, print: false });
+  assert.deepEqual(again.memory_items, { duplicate: 1, unchanged: 3, skipped_archived: 1 });
+  assert.deepEqual(again.profile, { unchanged: 1 });
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
+
+test('scoped export omits the profile and --dry-run writes nothing', () => {
+  const f = fixture();
+  const out = path.join(f.root, 'scoped.json');
+  main(['export', '--out', out, '--project', 'metame', '--since', '2026-08-10', '--until', '2026-08-11'], {
+    dbPath: f.sourceDb, homeDir: f.sourceHome, print: false,
+  });
+  const bundle = readBundleFile(out);
+  assert.deepEqual(bundle.omitted_sections, ['profile', 'agent_souls']);
+  assert.deepEqual(bundle.sections.memory_items.map(row => row.id), ['release-port', 'release-tests']);
+  assert.equal('profile' in bundle.sections, false);
+
+  const agentOut = path.join(f.root, 'agent.json');
+  main(['export', '--out', agentOut, '--agent', 'yi'], { dbPath: f.sourceDb, homeDir: f.sourceHome, print: false });
+  assert.deepEqual(readBundleFile(agentOut).sections.memory_items.map(row => row.id), ['fresh-claim']);
+
+  const before = hash(f.targetDb);
+  const report = main(['import', out, '--dry-run'], { dbPath: f.targetDb, homeDir: f.targetHome, print: false });
+  assert.equal(report.dry_run, true);
+  assert.deepEqual(report.memory_items, { conflict: 1, duplicate: 1 });
+  assert.equal(hash(f.targetDb), before);
+  assert.equal(fs.existsSync(path.join(f.targetHome, '.metame', 'imports')), false);
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
+
+test('encrypted bundles need the passphrase and tampering is rejected', () => {
+  const f = fixture();
+  const out = path.join(f.root, 'sealed.json');
+  assert.throws(() => main(['export', '--out', out, '--encrypt'], { dbPath: f.sourceDb, homeDir: f.sourceHome, print: false, passphrase: null }), /METAME_BUNDLE_PASSPHRASE/);
+  main(['export', '--out', out, '--encrypt'], { dbPath: f.sourceDb, homeDir: f.sourceHome, print: false, passphrase: 'open sesame' });
+  assert.doesNotMatch(fs.readFileSync(out, 'utf8'), /full test suite/);
+  assert.throws(() => main(['import', out], { dbPath: f.targetDb, homeDir: f.targetHome, print: false, passphrase: 'nope' }), /decryption failed/);
+  const report = main(['import', out, '--keep-state'], { dbPath: f.targetDb, homeDir: f.targetHome, print: false, passphrase: 'open sesame' });
+  assert.equal(rows(f.targetDb)['fresh-claim'], 'active');
+  assert.equal(report.memory_items.complementary, 2);
+
+  const plain = path.join(f.root, 'plain.json');
+  main(['export', '--out', plain], { dbPath: f.sourceDb, homeDir: f.sourceHome, print: false });
+  const tampered = JSON.parse(fs.readFileSync(plain, 'utf8'));
+  tampered.sections.memory_items[0].content = 'Skip the tests.';
+  fs.writeFileSync(plain, JSON.stringify(tampered));
+  assert.throws(() => main(['import', plain], { dbPath: f.targetDb, homeDir: f.targetHome, print: false }), /checksum mismatch: memory_items/);
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
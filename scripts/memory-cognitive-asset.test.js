@@ -61,3 +61,30 @@ test('legacy memory DB migrates supersedes_id and direct fact opens exclude epis
     fs.rmSync(root, { recursive: true, force: true });
   }
 });
+
+test('listWikiAnnotations returns a page\'s annotations newest first', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-cognitive-asset-'));
+  const originalHomedir = os.homedir;
+  os.homedir = () => root;
+  delete require.cache[require.resolve('./memory')];
+  const memory = require('./memory');
+  try {
+    memory.acquire();
+    assert.deepEqual(memory.listWikiAnnotations('ops/deploy'), []);
+    const db = new DatabaseSync(path.join(root, '.metame', 'memory.db'));
+    db.exec(`
+      INSERT INTO wiki_pages (id, slug, title, content, primary_topic) VALUES ('wp1', 'ops/deploy', 'Deploy', 'body', 'ops');
+      INSERT INTO wiki_annotations (id, page_slug, content, content_hash, state, status, created_at) VALUES
+        ('a1', 'ops/deploy', 'first note', 'h1', 'admitted', 'admitted', '2026-01-01 00:00:00'),
+        ('a2', 'ops/deploy', 'second note', 'h2', 'pending', 'pending', '2026-02-01 00:00:00');
+    `);
+    db.close();
+    assert.deepEqual(memory.listWikiAnnotations('ops/deploy').map(row => [row.id, row.state]), [['a2', 'pending'], ['a1', 'admitted']]);
+    assert.deepEqual(memory.listWikiAnnotations('ops/deploy', { limit: 1 }).map(row => row.id), ['a2']);
+  } finally {
+    memory.forceClose();
+    os.homedir = originalHomedir;
+    delete require.cache[require.resolve('./memory')];
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
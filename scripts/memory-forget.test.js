@@ -0,0 +1,142 @@
+'use strict';
+
+require('./test-support/env-setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { DatabaseSync } = require('node:sqlite');
+const { applyWikiSchema } = require('./memory-wiki-schema');
+const { verifyErasureReceipt } = require('./core/memory-forget');
+const { forgetMemory, main, parseArgs } = require('./memory-forget');
+
+function fixture() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-memory-forget-'));
+  const dbPath = path.join(root, 'memory.db');
+  const db = new DatabaseSync(dbPath);
+  db.exec(`
+    CREATE TABLE memory_items (
+      id TEXT PRIMARY KEY, kind TEXT NOT NULL, state TEXT NOT NULL,
+      title TEXT, content TEXT NOT NULL, project TEXT DEFAULT '*', scope TEXT,
+      task_key TEXT, canonical_key TEXT, supersedes_id TEXT, tags TEXT DEFAULT '[]',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE VIRTUAL TABLE memory_items_fts USING fts5(title, content, tags, content=memory_items, content_rowid=rowid, tokenize='trigram');
+    CREATE TRIGGER mi_ai AFTER INSERT ON memory_items BEGIN
+      INSERT INTO memory_items_fts(rowid, title, content, tags) VALUES (new.rowid, new.title, new.content, new.tags);
+    END;
+    CREATE TRIGGER mi_ad AFTER DELETE ON memory_items BEGIN
+      INSERT INTO memory_items_fts(memory_items_fts, rowid, title, content, tags) VALUES ('delete', old.rowid, old.title, old.content, old.tags);
+    END;
+  `);
+  applyWikiSchema(db);
+  const insert = db.prepare('INSERT INTO memory_items (id,kind,state,title,content,supersedes_id) VALUES (?,?,?,?,?,?)');
+  insert.run('secret-1', 'profile', 'active', 'Home network', 'The home wifi password is hunter2-salmon.', null);
+  insert.run('secret-old', 'profile', 'archived', 'Home network', 'Old wifi password HUNTER2-SALMON before the reset.', null);
+  insert.run('keeper', 'convention', 'active', 'Deploys', 'Deploy on Tuesdays after the full suite passes.', 'secret-old');
+  db.prepare(`INSERT INTO wiki_pages (id,slug,title,content,primary_topic,staleness) VALUES ('p1','home-network','Home network','wifi: hunter2-salmon','home',0)`).run();
+  db.prepare(`INSERT INTO wiki_pages (id,slug,title,content,primary_topic,staleness,artifact_id) VALUES ('p2','network-playbook','Network playbook','reset router','home',0,'artifact-1')`).run();
+  db.prepare(`INSERT INTO wiki_pages (id,slug,title,content,primary_topic,staleness) VALUES ('p3','deploys','Deploys','Tuesdays','ops',0)`).run();
+  db.prepare("INSERT INTO wiki_page_evidence (page_slug,evidence_type,evidence_id) VALUES ('home-network','memory_item','secret-1')").run();
+  db.prepare("INSERT INTO wiki_page_evidence (page_slug,evidence_type,evidence_id) VALUES ('deploys','memory_item','keeper')").run();
+  const chunk = db.prepare('INSERT INTO content_chunks (id,page_slug,chunk_text,chunk_idx) VALUES (?,?,?,?)');
+  chunk.run('c-home', 'home-network', 'wifi: hunter2-salmon', 0);
+  chunk.run('c-deploy', 'deploys', 'Deploys happen on Tuesdays. Old note: hunter2-salmon', 0);
+  chunk.run('c-clean', 'deploys', 'Tuesdays only.', 1);
+  db.prepare("INSERT INTO chunk_embeddings (chunk_id,model,dim,embedding) VALUES ('c-home','local',1,x'00000000')").run();
+  db.prepare("INSERT INTO chunk_embeddings (chunk_id,model,dim,embedding) VALUES ('c-clean','local',1,x'00000000')").run();
+  db.prepare("INSERT INTO embedding_queue (item_type,item_id) VALUES ('chunk','c-deploy')").run();
+  db.prepare(`INSERT INTO knowledge_artifact_registry
+    (artifact_id,kind,canonical_key,project_key,status,revision,source_path,content_hash,evidence_membership_hash,generator_version)
+    VALUES ('artifact-1','playbook','home.network','home','active',1,'home/network.md','h','m','test')`).run();
+  const lineage = db.prepare('INSERT INTO knowledge_lineage (child_kind,child_id,parent_kind,parent_id,transform,role) VALUES (?,?,?,?,?,?)');
+  lineage.run('knowledge_artifact', 'artifact-1', 'memory_item', 'secret-1', 'test', 'evidence');
+  lineage.run('memory_item', 'secret-1', 'session_source', 'sess-1', 'test', 'evidence');
+  lineage.run('memory_item', 'keeper', 'session_source', 'sess-2', 'test', 'evidence');
+  const audit = db.prepare('INSERT INTO recall_audit (id,phase,source_refs,anchor_labels) VALUES (?,?,?,?)');
+  audit.run('ra-1', 'inject', JSON.stringify(['id:secret-1', 'id:keeper']), JSON.stringify(['hunter2-salmon']));
+  audit.run('ra-2', 'inject', JSON.stringify(['id:keeper']), JSON.stringify(['deploy']));
+  db.prepare("INSERT INTO memory_review_decisions (content_hash,item_id,decision) VALUES ('h1','secret-1','promoted')").run();
+  db.close();
+  return { root, dbPath, home: path.join(root, 'home') };
+}
+
+function query(dbPath, sql, ...params) {
+  const db = new DatabaseSync(dbPath, { readOnly: true });
+  try { return db.prepare(sql).all(...params).map(row => ({ ...row })); } finally { db.close(); }
+}
+
+test('CLI parser joins the query and requires an explicit mode', () => {
+  assert.deepEqual(parseArgs(['wifi', 'password', '--dry-run']), { target: 'wifi password', dryRun: true, yes: false, json: false, db: null });
+  assert.throws(() => parseArgs(['wifi password']), /exactly one of --dry-run/);
+  assert.throws(() => parseArgs(['wifi', '--dry-run', '--yes']), /exactly one of --dry-run/);
+  assert.throws(() => parseArgs(['--dry-run']), /usage: metame memory forget/);
+  assert.throws(() => parseArgs(['wifi', '--force']), /unknown option: --force/);
+});
+
+test('dry-run lists everything the erasure touches and writes nothing', () => {
+  const f = fixture();
+  const before = fs.readFileSync(f.dbPath);
+  const result = main(['hunter2-salmon', '--dry-run'], { dbPath: f.dbPath, homeDir: f.home, print: false });
+  assert.deepEqual(result.items.map(item => item.id), ['secret-1', 'secret-old']);
+  assert.deepEqual(result.chunks.map(chunk => chunk.id).sort(), ['c-deploy', 'c-home']);
+  assert.deepEqual(result.stale_page_slugs, ['deploys', 'home-network', 'network-playbook']);
+  assert.deepEqual(result.stale_artifact_ids, ['artifact-1']);
+  assert.deepEqual(result.counts, {
+    memory_items: 2, content_chunks: 2, chunk_embeddings: 1, embedding_queue: 1, recall_audit: 1,
+    knowledge_lineage: 2, wiki_page_evidence: 1, review_decisions: 1, superseded_refs: 1,
+  });
+  assert.equal(result.receipt, null);
+  assert.equal('selector' in result, false);
+  assert.deepEqual(fs.readFileSync(f.dbPath), before);
+  assert.equal(fs.existsSync(f.home), false);
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
+
+test('--yes hard-deletes, cascades through lineage and writes a signed receipt', () => {
+  const f = fixture();
+  const result = main(['hunter2-salmon', '--yes'], { dbPath: f.dbPath, homeDir: f.home, print: false, now: '2026-09-01T00:00:00Z' });
+  assert.deepEqual(query(f.dbPath, 'SELECT id, supersedes_id FROM memory_items'), [{ id: 'keeper', supersedes_id: null }]);
+  assert.deepEqual(query(f.dbPath, "SELECT rowid FROM memory_items_fts WHERE memory_items_fts MATCH '\"hunter2\"'"), []);
+  assert.deepEqual(query(f.dbPath, 'SELECT id FROM content_chunks').map(row => row.id), ['c-clean']);
+  assert.deepEqual(query(f.dbPath, 'SELECT chunk_id FROM chunk_embeddings').map(row => row.chunk_id), ['c-clean']);
+  assert.deepEqual(query(f.dbPath, 'SELECT COUNT(*) AS n FROM embedding_queue'), [{ n: 0 }]);
+  assert.deepEqual(query(f.dbPath, "SELECT source_refs, anchor_labels FROM recall_audit WHERE id='ra-1'"), [{ source_refs: '["id:keeper"]', anchor_labels: '[]' }]);
+  assert.deepEqual(query(f.dbPath, "SELECT child_id FROM knowledge_lineage WHERE parent_id='secret-1' OR child_id='secret-1'"), []);
+  assert.deepEqual(query(f.dbPath, 'SELECT COUNT(*) AS n FROM memory_review_decisions'), [{ n: 0 }]);
+  assert.deepEqual(query(f.dbPath, "SELECT status FROM knowledge_artifact_registry WHERE artifact_id='artifact-1'"), [{ status: 'stale' }]);
+  assert.deepEqual(query(f.dbPath, 'SELECT slug, staleness, artifact_status FROM wiki_pages ORDER BY slug'), [
+    { slug: 'deploys', staleness: 1, artifact_status: null },
+    { slug: 'home-network', staleness: 1, artifact_status: null },
+    { slug: 'network-playbook', staleness: 1, artifact_status: 'stale' },
+  ]);
+  assert.deepEqual(query(f.dbPath, "SELECT evidence_id FROM wiki_page_evidence").map(row => row.evidence_id), ['keeper']);
+
+  const receipt = JSON.parse(fs.readFileSync(result.receipt_path, 'utf8'));
+  assert.equal(fs.statSync(result.receipt_path).mode & 0o777, 0o600);
+  assert.deepEqual(receipt.memory_item_ids, ['secret-1', 'secret-old']);
+  assert.equal(receipt.counts.stale_pages, 3);
+  assert.doesNotMatch(fs.readFileSync(result.receipt_path, 'utf8'), /hunter2/i);
+  const key = fs.readFileSync(path.join(f.home, '.metame', 'erasure-receipt.key'));
+  assert.equal(verifyErasureReceipt(receipt, key), true);
+
+  const again = main(['hunter2-salmon', '--yes'], { dbPath: f.dbPath, homeDir: f.home, print: false });
+  assert.equal(again.items.length, 0);
+  assert.equal(again.receipt_path, null);
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
+
+test('an exact id erases only that memory and a changed selection aborts', () => {
+  const f = fixture();
+  const db = new DatabaseSync(f.dbPath);
+  try {
+    assert.throws(() => forgetMemory({ db, target: 'hunter2-salmon', expectIds: ['secret-1'], homeDir: f.home }), /changed since the preview/);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM memory_items').get().n, 3);
+    const result = forgetMemory({ db, target: 'secret-1', homeDir: f.home });
+    assert.equal(result.selector_kind, 'id');
+    assert.deepEqual(db.prepare('SELECT id FROM memory_items ORDER BY id').all().map(row => row.id), ['keeper', 'secret-old']);
+    assert.deepEqual(result.chunks.map(chunk => chunk.id), ['c-home']);
+  } finally { db.close(); }
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
@@ -2,6 +2,7 @@
 
 'use strict';
 
+const fs = require('node:fs');
 const os = require('node:os');
 const path = require('node:path');
 const { DatabaseSync } = require('node:sqlite');
@@ -10,8 +11,10 @@ const {
   buildObservabilityResult,
   normalizeDays,
 } = require('./core/cognitive-effectiveness');
+const { collectEmbeddingCoverage } = require('./core/embedding-index');
 
 const DEFAULT_DB_PATH = path.join(os.homedir(), '.metame', 'memory.db');
+const CONFIG_PATH = path.join(os.homedir(), '.metame', 'daemon.yaml');
 
 function tableExists(db, name) {
   return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name=?").get(name);
@@ -69,7 +72,36 @@ function readDroppedCount(db) {
   }
 }
 
-function collectMemoryObservability({ dbPath = DEFAULT_DB_PATH, days = DEFAULT_DAYS, now } = {}) {
+/**
+ * The backend the daemon embeds with: METAME_EMBEDDING_BACKEND, else
+ * daemon.embedding.backend from daemon.yaml (the daemon exports one from the other).
+ */
+function resolveActiveEmbeddingBackend(embedding = require('./core/embedding'), configPath = CONFIG_PATH) {
+  let configured = process.env.METAME_EMBEDDING_BACKEND || '';
+  if (!configured) {
+    try {
+      const yaml = require('./resolve-yaml');
+      const cfg = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+      configured = (cfg.daemon && cfg.daemon.embedding && cfg.daemon.embedding.backend) || '';
+    } catch { /* no config: auto */ }
+  }
+  return embedding.getBackendInfo(configured || 'auto');
+}
+
+function collectEmbeddings(db, activeBackend) {
+  const embedding = require('./core/embedding');
+  const active = activeBackend === undefined ? resolveActiveEmbeddingBackend(embedding) : activeBackend;
+  try {
+    return collectEmbeddingCoverage(db, {
+      backends: embedding.listBackends(),
+      activeModel: active ? active.model : null,
+    });
+  } catch {
+    return { chunks: 0, active: active ? active.model : null, indexes: [] };
+  }
+}
+
+function collectMemoryObservability({ dbPath = DEFAULT_DB_PATH, days = DEFAULT_DAYS, now, activeBackend } = {}) {
   const normalizedDays = normalizeDays(days);
   let db;
   try {
@@ -79,7 +111,7 @@ function collectMemoryObservability({ dbPath = DEFAULT_DB_PATH, days = DEFAULT_D
     const auditRows = allRows(db, 'recall_audit');
     const sessionSources = allRows(db, 'session_sources');
     const extractionRuns = allRows(db, 'extraction_runs');
-    return buildObservabilityResult({
+    const result = buildObservabilityResult({
       days: normalizedDays,
       now,
       memoryRows,
@@ -91,6 +123,8 @@ function collectMemoryObservability({ dbPath = DEFAULT_DB_PATH, days = DEFAULT_D
       lineageIssues: countLineageIssues(db),
       projectionConflicts: countProjectionConflicts(db),
     });
+    result.inventory.embeddings = collectEmbeddings(db, activeBackend);
+    return result;
   } catch (error) {
     return buildObservabilityResult({ days: normalizedDays, now, operationalError: error.message });
   } finally {
@@ -114,6 +148,16 @@ function parseCliArgs(argv = []) {
   return { days, json };
 }
 
+function formatEmbeddings(embeddings) {
+  if (!embeddings || embeddings.indexes.length === 0) return 'embeddings none';
+  const indexes = embeddings.indexes.map((item) => {
+    const name = `${item.backend || 'unknown'}:${item.model}/${item.dimensions || '?'}${item.active ? '*' : ''}`;
+    const coverage = item.coverage === null ? 'n/a' : `${(item.coverage * 100).toFixed(1)}%`;
+    return `${name}=${coverage} (${item.embedded}/${embeddings.chunks} queued=${item.queued} dead=${item.failed})`;
+  });
+  return `embeddings chunks=${embeddings.chunks} active=${embeddings.active || 'none'} indexes[${indexes.join(' ')}]`;
+}
+
 function formatMetrics(result) {
   const { recall, hygiene, efficiency, inventory, pipeline } = result;
   const states = Object.entries(inventory.by_state).map(([key, value]) => `${key}=${value}`).join(' ');
@@ -125,6 +169,7 @@ function formatMetrics(result) {
     `hygiene duplicates=${hygiene.exact_duplicate_groups} conflicts=${hygiene.conflicts} stale=${hygiene.stale} never_consumed=${hygiene.never_consumed}`,
     `recall audit_rows=${recall.audit_rows} unique_traces=${recall.unique_traces} opportunities=${recall.opportunities} injected=${recall.injected} delivered=${recall.delivered} opened=${recall.opened} applied=${recall.applied} validated=${recall.validated} harmful=${recall.harmful} unknown_usage=${recall.unknown_usage} feedback_coverage=${recall.feedback_coverage === null ? 'unknown' : recall.feedback_coverage.toFixed(3)}`,
     `efficiency delivered_items=${efficiency.delivered_items} delivered_chars=${efficiency.delivered_chars} token_count=${efficiency.token_count}`,
+    formatEmbeddings(inventory.embeddings),
     `pipeline session_sources[${Object.entries(pipeline.session_sources).map(([key, value]) => `${key}=${value}`).join(' ') || 'empty'}] extraction_runs[${Object.entries(pipeline.extraction_runs).map(([key, value]) => `${key}=${value}`).join(' ') || 'empty'}] audit_dropped=${pipeline.audit_dropped}`,
   ];
 }
@@ -163,6 +208,7 @@ function runMemoryCommand(mode, argv = process.argv.slice(2), options = {}) {
     dbPath: options.dbPath || DEFAULT_DB_PATH,
     days: parsed.days,
     now: options.now,
+    activeBackend: options.activeBackend,
   });
   const output = parsed.json ? JSON.stringify(result, null, 2)
     : (mode === 'doctor' ? formatDoctor(result) : formatStatus(result));
@@ -180,5 +226,6 @@ module.exports = {
   formatStatus,
   parseCliArgs,
   runMemoryCommand,
-  _internal: { allRows, countLineageIssues, countProjectionConflicts, exitCode, formatMetrics, readDroppedCount, tableExists },
+  resolveActiveEmbeddingBackend,
+  _internal: { allRows, countLineageIssues, countProjectionConflicts, exitCode, formatEmbeddings, formatMetrics, readDroppedCount, tableExists },
 };
@@ -13,7 +13,9 @@
  *     plan:   from core/recall-plan.js (must have shouldRecall=true to do work)
  *     scope:  { project, workspaceScope, agentKey }
  *     budget: { totalChars=4000, perItem? }
- *     search: { ftsOnly=false, trackSearch=false (forced), preferState='active' }
+ *     search: { ftsOnly=false, trackSearch=false (forced), preferState='active',
+ *               asOf=null (facts + sessions valid at that time; wiki and
+ *               working memory are current-only and skipped) }
  *   returns:
  *     {
  *       text,        // recallHint string ('' or '\n\n[Recall context: ...]')
@@ -94,7 +96,7 @@ function _anchorsToQuery(anchors) {
   return tokens.join(' ').trim();
 }
 
-function _searchFacts(query, scope) {
+function _searchFacts(query, scope, asOf = null) {
   if (!query) return [];
   try {
     const rows = memory.searchFacts(query, {
@@ -102,6 +104,7 @@ function _searchFacts(query, scope) {
       project: scope.project || null,
       scope: scope.workspaceScope || null,
       trackSearch: false,
+      ...(asOf ? { asOf } : {}),
     });
     return rows.map(r => ({
       text: [r.entity, r.relation, r.value].filter(Boolean).join(' · '),
@@ -111,7 +114,7 @@ function _searchFacts(query, scope) {
   } catch { return []; }
 }
 
-function _searchSessions(query, scope) {
+function _searchSessions(query, scope, asOf = null) {
   if (!query) return [];
   try {
     const rows = memory.searchSessions(query, {
@@ -119,6 +122,7 @@ function _searchSessions(query, scope) {
       project: scope.project || null,
       scope: scope.workspaceScope || null,
       trackSearch: false,
+      ...(asOf ? { asOf } : {}),
     });
     return rows.map(r => ({
       text: r.summary || r.keywords || '',
@@ -218,6 +222,7 @@ async function assembleRecallContext({ plan, scope = {}, budget = {}, search = {
   // searchFacts/searchSessions internally hard-pin state='active' so we don't
   // expose preferState here. trackSearch is forced false for prompt-bound recall.
   const searchOpts = { ftsOnly: !!search.ftsOnly };
+  const asOf = search.asOf || null;
 
   const query = _anchorsToQuery(plan.anchors);
   const modes = Array.isArray(plan.modes) ? plan.modes : [];
@@ -226,10 +231,10 @@ async function assembleRecallContext({ plan, scope = {}, budget = {}, search = {
   let wikiDropped = false;
   let externalShadowHits = 0;
 
-  if (modes.includes('facts'))    items.facts    = _searchFacts(query, safeScope);
-  if (modes.includes('sessions')) items.sessions = _searchSessions(query, safeScope);
-  if (modes.includes('working'))  items.working  = _searchWorking(safeScope);
-  if (modes.includes('wiki')) {
+  if (modes.includes('facts'))    items.facts    = _searchFacts(query, safeScope, asOf);
+  if (modes.includes('sessions')) items.sessions = _searchSessions(query, safeScope, asOf);
+  if (modes.includes('working') && !asOf) items.working = _searchWorking(safeScope);
+  if (modes.includes('wiki') && !asOf) {
     const wikiResult = await _searchWiki(query, safeScope, searchOpts);
     items.wiki = wikiResult.items;
     wikiDropped = wikiResult.dropped;
@@ -288,6 +293,7 @@ async function assembleRecallContext({ plan, scope = {}, budget = {}, search = {
       manifestChars,
       totalBudgetUsed: allocated.totalUsed + manifestChars + (manifestChars > 0 && allocated.totalUsed > 0 ? 1 : 0),
       externalShadowHits,
+      ...(asOf ? { asOf } : {}),
     },
     wikiDropped,
     externalShadowHits,
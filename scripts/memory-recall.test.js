@@ -109,6 +109,35 @@ test('assembleRecallContext: facts mode populates from active memory_items', asy
   });
 });
 
+test('assembleRecallContext: as-of recall returns the facts valid then and skips current-only tiers', async () => {
+  await withFreshMemoryHome(async (memory, assembleRecallContext) => {
+    memory.saveMemoryItem({
+      id: 'mi_window_old', kind: 'convention', state: 'active', title: 'deploy · window',
+      content: 'deploy window was Tuesday night during the beta', project: 'metame', scope: 'main',
+      valid_from: '2020-01-01', valid_until: '2020-03-01',
+    });
+    memory.saveMemoryItem({
+      id: 'mi_window_new', kind: 'convention', state: 'active', title: 'deploy · window',
+      content: 'deploy window is Thursday morning after the beta', project: 'metame', scope: 'main',
+      valid_from: '2020-03-01',
+    });
+    const dir = path.join(process.env.HOME, '.metame', 'memory', 'now');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'jarvis.md'), 'current task: deploy window review\n');
+    const plan = TRUE_PLAN({ anchors: ['query:deploy window'], modes: ['facts', 'working', 'wiki'] });
+
+    const current = await assembleRecallContext({ plan, scope: SCOPE });
+    assert.match(current.text, /Thursday/);
+    assert.doesNotMatch(current.text, /Tuesday/);
+
+    const past = await assembleRecallContext({ plan, scope: SCOPE, search: { asOf: '2020-02-01 00:00:00' } });
+    assert.match(past.text, /Tuesday/);
+    assert.doesNotMatch(past.text, /Thursday/);
+    assert.equal(past.breakdown.working, 0, 'working memory is current state, not history');
+    assert.equal(past.recallMeta.asOf, '2020-02-01 00:00:00');
+  });
+});
+
 test('default fact recall excludes an active incumbent with an unresolved conflict peer', async () => {
   await withFreshMemoryHome(async memory => {
     memory.saveMemoryItem({
@@ -8,6 +8,7 @@ const path = require('node:path');
 const { DatabaseSync } = require('node:sqlite');
 const {
   buildReconcilePlan,
+  isReconcileCandidate,
   validatePlan,
 } = require('./core/memory-reconcile');
 const {
@@ -18,21 +19,39 @@ const {
 const DEFAULT_DB_PATH = path.join(os.homedir(), '.metame', 'memory.db');
 const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
 const ARCHIVE_REASON = 'reconcile_exact_duplicate';
+const PROPOSAL_ARCHIVE_REASONS = {
+  merge_near_duplicate: 'reconcile_near_duplicate',
+  resolve_contradiction: 'reconcile_contradiction',
+};
+const PROPOSAL_LIST_LIMIT = 20;
+// Every dry-run / stage embeds the candidates afresh, which is a paid call
+// on a remote backend; past this many the plan stays lexical-only.
+const MAX_EMBED_ROWS = 2000;
 
 function parseArgs(argv = []) {
-  const args = { mode: null, path: null, json: false, db: null };
+  const args = { mode: null, path: null, json: false, db: null, accept: [], embed: true };
   for (let index = 0; index < argv.length; index++) {
     const arg = String(argv[index]);
     if (arg === '--json') {
       args.json = true;
       continue;
     }
+    if (arg === '--no-embed') {
+      args.embed = false;
+      continue;
+    }
     if (arg === '--db') {
       const value = argv[++index];
       if (!value || value.startsWith('--')) throw new Error('--db requires a value');
       args.db = value;
       continue;
     }
+    if (arg === '--accept') {
+      const value = argv[++index];
+      if (!value || value.startsWith('--')) throw new Error('--accept requires proposal ids or "all"');
+      args.accept.push(...value.split(',').map(id => id.trim()).filter(Boolean));
+      continue;
+    }
     if (['--dry-run', '--stage', '--apply'].includes(arg)) {
       if (args.mode) throw new Error('choose exactly one reconcile mode');
       args.mode = arg.slice(2);
@@ -45,7 +64,9 @@ function parseArgs(argv = []) {
     }
     throw new Error(`unknown option: ${arg}`);
   }
-  if (!args.mode) throw new Error('usage: memory reconcile --dry-run [--json] | --stage <path> | --apply <path>');
+  if (!args.mode) throw new Error('usage: memory reconcile --dry-run [--json] [--no-embed] | --stage <path> [--no-embed] | --apply <path> [--accept <id,...>|all]');
+  if (args.accept.length && args.mode !== 'apply') throw new Error('--accept only applies to --apply');
+  if (!args.embed && args.mode === 'apply') throw new Error('--no-embed only applies to --dry-run and --stage');
   return args;
 }
 
@@ -177,7 +198,7 @@ function assertPrecondition(db, expected) {
   return row;
 }
 
-function copyDuplicateLineage(db, duplicateId, survivorId) {
+function copyDuplicateLineage(db, duplicateId, survivorId, transform = 'memory-reconcile-v1') {
   const rows = db.prepare(`
     SELECT parent_kind, parent_id, run_id, transform, role
       FROM knowledge_lineage
@@ -199,7 +220,7 @@ function copyDuplicateLineage(db, duplicateId, survivorId) {
     childId: duplicateId,
     parentKind: 'memory_item',
     parentId: survivorId,
-    transform: 'memory-reconcile-v1',
+    transform,
     role: 'superseded',
   });
 }
@@ -228,29 +249,55 @@ function markDependentsStale(db, parentId) {
   return artifacts;
 }
 
-function applyReconcilePlan(db, plan, { lockPath = null } = {}) {
+/**
+ * Proposals the operator accepted by id ("all" accepts every one). Unknown ids
+ * are an error so a typo never silently applies less than intended.
+ */
+function selectAcceptedProposals(plan, accept = []) {
+  const proposals = plan.proposals || [];
+  if (!accept.length) return [];
+  if (accept.includes('all')) return proposals;
+  const known = new Set(proposals.map(proposal => proposal.id));
+  for (const id of accept) {
+    if (!known.has(id)) throw new Error(`unknown reconcile proposal: ${id}`);
+  }
+  return proposals.filter(proposal => accept.includes(proposal.id));
+}
+
+function applyReconcilePlan(db, plan, { lockPath = null, accept = [] } = {}) {
   validatePlan(plan);
-  const release = plan.actions.length
+  const accepted = selectAcceptedProposals(plan, accept);
+  const steps = [
+    ...plan.actions.map(action => ({ action, reason: ARCHIVE_REASON, transform: 'memory-reconcile-v1' })),
+    ...accepted.map(action => ({
+      action,
+      reason: PROPOSAL_ARCHIVE_REASONS[action.action],
+      transform: 'memory-reconcile-semantic-v1',
+    })),
+  ];
+  const release = steps.length
     ? acquireLock(lockPath || `${db.filename || 'memory'}.reconcile.lock`)
     : null;
   try {
     ensureReconcileSchema(db);
     requireApplySchema(db);
-    if (!plan.actions.length) return { ok: true, applied: 0, archived_ids: [], stale_artifact_ids: [] };
+    if (!steps.length) {
+      return { ok: true, applied: 0, archived_ids: [], accepted_proposal_ids: [], stale_artifact_ids: [] };
+    }
     const archivedIds = [];
     const staleArtifactIds = new Set();
     db.exec('PRAGMA busy_timeout = 10000');
     db.exec('BEGIN IMMEDIATE');
     try {
-      for (const action of plan.actions) {
+      for (const { action, reason, transform } of steps) {
         for (const expected of action.preconditions) assertPrecondition(db, expected);
         const survivor = fetchRow(db, action.survivor.id);
         const duplicate = fetchRow(db, action.duplicate.id);
         if (!survivor || !duplicate || survivor.id === duplicate.id) throw new Error('invalid reconcile duplicate action');
-        copyDuplicateLineage(db, duplicate.id, survivor.id);
+        copyDuplicateLineage(db, duplicate.id, survivor.id, transform);
         archiveMemoryItem(db, duplicate.id, {
           supersededBy: survivor.id,
-          reason: ARCHIVE_REASON,
+          reason,
         });
         archivedIds.push(duplicate.id);
         for (const artifactId of markDependentsStale(db, duplicate.id)) staleArtifactIds.add(artifactId);
@@ -264,6 +311,7 @@ function applyReconcilePlan(db, plan, { lockPath = null } = {}) {
       ok: true,
       applied: archivedIds.length,
       archived_ids: archivedIds,
+      accepted_proposal_ids: accepted.map(proposal => proposal.id),
       stale_artifact_ids: [...staleArtifactIds].sort(),
     };
   } finally {
@@ -271,24 +319,62 @@ function applyReconcilePlan(db, plan, { lockPath = null } = {}) {
   }
 }
 
+function formatProposal(proposal) {
+  const kind = proposal.action === 'merge_near_duplicate' ? 'near_duplicate' : 'contradiction';
+  const scores = [`lexical=${proposal.similarity.lexical}`];
+  if (proposal.similarity.embedding !== null) scores.push(`embedding=${proposal.similarity.embedding}`);
+  const values = proposal.values ? ` values ${proposal.values.survivor.join('/')} over ${proposal.values.duplicate.join('/')}` : '';
+  return `  ${proposal.id} ${kind}: keep ${proposal.survivor.id} archive ${proposal.duplicate.id} (${scores.join(' ')}${values})`;
+}
+
 function formatPlan(plan) {
   const { summary } = plan;
-  return [
+  const proposals = plan.proposals || [];
+  const lines = [
     `memory reconcile: ${summary.exact_duplicate_actions} exact duplicate action(s)`,
+    `proposals: near_duplicates=${summary.near_duplicate_proposals} contradictions=${summary.contradiction_proposals} similarity=${plan.semantic.embedding_model || 'lexical-only'}`,
+    ...proposals.slice(0, PROPOSAL_LIST_LIMIT).map(formatProposal),
+  ];
+  if (proposals.length > PROPOSAL_LIST_LIMIT) lines.push(`  ... ${proposals.length - PROPOSAL_LIST_LIMIT} more (--json for all)`);
+  lines.push(
     `review: conflicts=${summary.semantic_conflict_groups} title_duplicates=${summary.title_duplicate_groups} unkeyed=${summary.unkeyed_rows}`,
     `plan_digest=${plan.plan_digest}`,
-  ].join('\n');
+  );
+  if (proposals.length) lines.push('proposals apply only when accepted: --apply <plan> --accept <id,...>|all');
+  return lines.join('\n');
 }
 
 function formatApply(result) {
-  return `memory reconcile applied: archived=${result.applied} stale_artifacts=${result.stale_artifact_ids.length}`;
+  return `memory reconcile applied: archived=${result.applied} accepted_proposals=${result.accepted_proposal_ids.length} stale_artifacts=${result.stale_artifact_ids.length}`;
+}
+
+/**
+ * Embed the reconcile candidates with the active backend. Any failure falls
+ * back to lexical-only similarity rather than blocking the plan; so does a
+ * candidate count above `maxRows`, reported as `skipped`.
+ */
+async function embedCandidates(rows, embedding, { maxRows = MAX_EMBED_ROWS } = {}) {
+  const candidates = rows.filter(isReconcileCandidate);
+  if (!embedding || !candidates.length || !embedding.isEmbeddingAvailable()) return { embeddings: null, model: null };
+  if (candidates.length > maxRows) return { embeddings: null, model: null, skipped: candidates.length };
+  try {
+    const backend = embedding.getBackendInfo();
+    const vectors = await embedding.batchEmbed(candidates.map(row => String(row.content || '')));
+    const embeddings = new Map();
+    candidates.forEach((row, index) => {
+      if (vectors[index]) embeddings.set(String(row.id), vectors[index]);
+    });
+    return embeddings.size ? { embeddings, model: backend ? backend.model : null } : { embeddings: null, model: null };
+  } catch {
+    return { embeddings: null, model: null };
+  }
 }
 
 function resolveDbPath(options = {}, args = {}) {
   return path.resolve(options.dbPath || args.db || process.env.METAME_MEMORY_DB_PATH || DEFAULT_DB_PATH);
 }
 
-function main(argv = process.argv.slice(2), options = {}) {
+async function main(argv = process.argv.slice(2), options = {}) {
   const args = parseArgs(argv);
   const dbPath = resolveDbPath(options, args);
   if (args.mode === 'apply') {
@@ -297,6 +383,7 @@ function main(argv = process.argv.slice(2), options = {}) {
       const plan = readPlanFile(args.path);
       const result = applyReconcilePlan(db, plan, {
         lockPath: options.lockPath || `${dbPath}.reconcile.lock`,
+        accept: args.accept,
       });
       if (options.print !== false) console.log(args.json ? JSON.stringify(result, null, 2) : formatApply(result));
       return result;
@@ -304,13 +391,22 @@ function main(argv = process.argv.slice(2), options = {}) {
   }
 
   const db = new DatabaseSync(dbPath, { readOnly: true });
-  let plan;
+  let rows;
   try {
-    plan = buildReconcilePlan(readMemoryRows(db), {
-      now: options.now || new Date().toISOString(),
-      dbPath,
-    });
+    rows = readMemoryRows(db);
   } finally { db.close(); }
+  let embedding = null;
+  if (args.embed) embedding = options.embedding === undefined ? require('./core/embedding') : options.embedding;
+  const { embeddings, model, skipped } = await embedCandidates(rows, embedding, { maxRows: options.maxEmbedRows });
+  if (skipped && options.print !== false) {
+    process.stderr.write(`memory reconcile: ${skipped} candidates exceed the embedding cap (${options.maxEmbedRows || MAX_EMBED_ROWS}); similarity is lexical-only\n`);
+  }
+  const plan = buildReconcilePlan(rows, {
+    now: options.now || new Date().toISOString(),
+    dbPath,
+    embeddings,
+    embeddingModel: model,
+  });
 
   if (args.mode === 'stage') writePlanFile(args.path, plan);
   if (options.print !== false) {
@@ -321,16 +417,17 @@ function main(argv = process.argv.slice(2), options = {}) {
 }
 
 if (require.main === module) {
-  try { main(); }
-  catch (error) {
+  main().catch((error) => {
     process.stderr.write(`${error.message}\n`);
     process.exitCode = 1;
-  }
+  });
 }
 
 module.exports = {
   ARCHIVE_REASON,
   DEFAULT_DB_PATH,
+  MAX_EMBED_ROWS,
+  PROPOSAL_ARCHIVE_REASONS,
   acquireLock,
   applyReconcilePlan,
   formatApply,
@@ -343,12 +440,14 @@ module.exports = {
     assertPrecondition,
     columns,
     copyDuplicateLineage,
+    embedCandidates,
     markDependentsStale,
     readMemoryRows,
     requireApplySchema,
     ensureReconcileSchema,
     resolveDbPath,
     sameIdentity,
+    selectAcceptedProposals,
     tableExists,
   },
 };
@@ -56,30 +56,34 @@ function fixture() {
 }
 
 test('CLI parser requires one mode and explicit paths', () => {
-  assert.deepEqual(parseArgs(['--dry-run', '--json']), { mode: 'dry-run', path: null, json: true, db: null });
-  assert.deepEqual(parseArgs(['--stage', '/tmp/plan.json']), { mode: 'stage', path: '/tmp/plan.json', json: false, db: null });
-  assert.deepEqual(parseArgs(['--apply', '/tmp/plan.json', '--db', '/tmp/memory.db']), { mode: 'apply', path: '/tmp/plan.json', json: false, db: '/tmp/memory.db' });
+  assert.deepEqual(parseArgs(['--dry-run', '--json']), { mode: 'dry-run', path: null, json: true, db: null, accept: [], embed: true });
+  assert.deepEqual(parseArgs(['--stage', '/tmp/plan.json']), { mode: 'stage', path: '/tmp/plan.json', json: false, db: null, accept: [], embed: true });
+  assert.deepEqual(parseArgs(['--apply', '/tmp/plan.json', '--db', '/tmp/memory.db']), { mode: 'apply', path: '/tmp/plan.json', json: false, db: '/tmp/memory.db', accept: [], embed: true });
   assert.throws(() => parseArgs(['--dry-run', '--apply', '/tmp/plan']), /exactly one/);
   assert.throws(() => parseArgs(['--stage']), /requires a plan path/);
+  assert.deepEqual(parseArgs(['--apply', '/tmp/plan.json', '--accept', 'a1,b2']).accept, ['a1', 'b2']);
+  assert.throws(() => parseArgs(['--dry-run', '--accept', 'all']), /only applies to --apply/);
+  assert.equal(parseArgs(['--stage', '/tmp/plan.json', '--no-embed']).embed, false);
+  assert.throws(() => parseArgs(['--apply', '/tmp/plan.json', '--no-embed']), /only applies to --dry-run and --stage/);
 });
 
-test('dry-run and stage are read-only with a versioned bounded plan', () => {
+test('dry-run and stage are read-only with a versioned bounded plan', async () => {
   const f = fixture();
   const before = hash(f.dbPath);
-  const plan = main(['--dry-run', '--json'], { dbPath: f.dbPath, print: false, now: '2026-08-10T12:00:00Z' });
+  const plan = await main(['--dry-run', '--json'], { dbPath: f.dbPath, print: false, now: '2026-08-10T12:00:00Z', embedding: null });
   assert.equal(plan.actions.length, 1);
   assert.equal(hash(f.dbPath), before);
   const staged = path.join(f.root, 'plan.json');
-  main(['--stage', staged], { dbPath: f.dbPath, print: false, now: '2026-08-10T12:00:00Z' });
+  await main(['--stage', staged], { dbPath: f.dbPath, print: false, now: '2026-08-10T12:00:00Z', embedding: null });
   assert.deepEqual(readPlanFile(staged), JSON.parse(fs.readFileSync(staged, 'utf8')));
   assert.equal(hash(f.dbPath), before);
   fs.rmSync(f.root, { recursive: true, force: true });
 });
 
-test('crafted staged plans cannot detach action snapshots from preconditions', () => {
+test('crafted staged plans cannot detach action snapshots from preconditions', async () => {
   const f = fixture();
   const staged = path.join(f.root, 'plan.json');
-  main(['--stage', staged], { dbPath: f.dbPath, print: false });
+  await main(['--stage', staged], { dbPath: f.dbPath, print: false, embedding: null });
   const forged = readPlanFile(staged);
   const action = forged.actions[0];
   const forgedDigest = 'f'.repeat(64);
@@ -91,10 +95,10 @@ test('crafted staged plans cannot detach action snapshots from preconditions', (
   fs.rmSync(f.root, { recursive: true, force: true });
 });
 
-test('apply archives exact duplicates transactionally, copies lineage, and marks dependents stale', () => {
+test('apply archives exact duplicates transactionally, copies lineage, and marks dependents stale', async () => {
   const f = fixture();
   const staged = path.join(f.root, 'plan.json');
-  main(['--stage', staged], { dbPath: f.dbPath, print: false, now: '2026-08-10T12:00:00Z' });
+  await main(['--stage', staged], { dbPath: f.dbPath, print: false, now: '2026-08-10T12:00:00Z', embedding: null });
   const db = new DatabaseSync(f.dbPath);
   const result = applyReconcilePlan(db, readPlanFile(staged), { lockPath: f.lockPath });
   assert.deepEqual(result.archived_ids, ['duplicate']);
@@ -109,10 +113,10 @@ test('apply archives exact duplicates transactionally, copies lineage, and marks
   fs.rmSync(f.root, { recursive: true, force: true });
 });
 
-test('apply aborts atomically on a stale precondition and respects the concurrency lock', () => {
+test('apply aborts atomically on a stale precondition and respects the concurrency lock', async () => {
   const f = fixture();
   const staged = path.join(f.root, 'plan.json');
-  main(['--stage', staged], { dbPath: f.dbPath, print: false });
+  await main(['--stage', staged], { dbPath: f.dbPath, print: false, embedding: null });
   const db = new DatabaseSync(f.dbPath);
   db.prepare("UPDATE memory_items SET content='A changed value makes this plan stale.' WHERE id='duplicate'").run();
   db.close();
@@ -128,3 +132,71 @@ test('apply aborts atomically on a stale precondition and respects the concurren
   staleDb.close();
   fs.rmSync(f.root, { recursive: true, force: true });
 });
+
+test('semantic proposals apply only when accepted, through the same preconditions and lineage', async () => {
+  const f = fixture();
+  const db = new DatabaseSync(f.dbPath);
+  const insert = db.prepare(`INSERT INTO memory_items
+    (id,kind,state,content,project,scope,canonical_key,source_id,created_at)
+    VALUES (?,?,?,?,?,?,?,?,?)`);
+  insert.run('port-old', 'insight', 'active', 'The dev server uses port 3000.', 'metame', 'core', 'metame.dev.server', 'source-old', '2026-08-01T00:00:00Z');
+  insert.run('port-new', 'insight', 'candidate', 'The dev server moved to port 8080.', 'metame', 'core', 'metame.dev.port', 'source-new', '2026-08-09T00:00:00Z');
+  db.prepare(`INSERT INTO knowledge_lineage
+    (child_kind,child_id,parent_kind,parent_id,transform,role)
+    VALUES ('memory_item','port-old','session_source','source-old','test','evidence')`).run();
+  db.close();
+  const embedding = {
+    isEmbeddingAvailable: () => true,
+    getBackendInfo: () => ({ backend: 'fake', model: 'fake-model', dimensions: 2 }),
+    batchEmbed: async texts => texts.map(text => (/port/.test(text) ? new Float32Array([1, 0.1]) : new Float32Array([0, 1]))),
+  };
+  const staged = path.join(f.root, 'plan.json');
+  const plan = await main(['--stage', staged], { dbPath: f.dbPath, print: false, embedding });
+  assert.equal(plan.semantic.embedding_model, 'fake-model');
+  const port = plan.proposals.find(proposal => proposal.duplicate.id === 'port-old');
+  assert.equal(port.action, 'resolve_contradiction');
+  assert.equal(port.reason, 'conflicting_values');
+  assert.equal(port.survivor.id, 'port-new');
+  assert.deepEqual(port.values, { survivor: ['8080'], duplicate: ['3000'] });
+
+  const untouched = new DatabaseSync(f.dbPath);
+  assert.deepEqual(applyReconcilePlan(untouched, readPlanFile(staged), { lockPath: f.lockPath }).accepted_proposal_ids, []);
+  assert.equal(untouched.prepare("SELECT state FROM memory_items WHERE id='port-old'").get().state, 'active');
+  untouched.close();
+
+  const restaged = path.join(f.root, 'plan-2.json');
+  const replan = await main(['--stage', restaged], { dbPath: f.dbPath, print: false, embedding });
+  assert.equal(replan.actions.length, 0);
+  assert.ok(replan.proposals.some(proposal => proposal.id === port.id));
+  const db2 = new DatabaseSync(f.dbPath);
+  assert.throws(() => applyReconcilePlan(db2, readPlanFile(restaged), { lockPath: f.lockPath, accept: ['nope'] }), /unknown reconcile proposal/);
+  const result = applyReconcilePlan(db2, readPlanFile(restaged), { lockPath: f.lockPath, accept: [port.id] });
+  assert.deepEqual(result.accepted_proposal_ids, [port.id]);
+  assert.deepEqual({ ...db2.prepare("SELECT state,supersedes_id,archive_reason FROM memory_items WHERE id='port-old'").get() }, {
+    state: 'archived', supersedes_id: 'port-new', archive_reason: 'reconcile_contradiction',
+  });
+  assert.equal(db2.prepare("SELECT count(*) AS n FROM knowledge_lineage WHERE child_id='port-new' AND parent_id='source-old'").get().n, 1);
+  assert.equal(db2.prepare("SELECT transform FROM knowledge_lineage WHERE child_id='port-old' AND role='superseded'").get().transform, 'memory-reconcile-semantic-v1');
+  db2.close();
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
+
+test('--no-embed and the embedding cap keep candidates away from the embedding backend', async () => {
+  const f = fixture();
+  const embedded = [];
+  const embedding = {
+    isEmbeddingAvailable: () => true,
+    getBackendInfo: () => ({ backend: 'fake', model: 'fake-model', dimensions: 2 }),
+    batchEmbed: async (texts) => { embedded.push(...texts); return texts.map(() => new Float32Array([1, 0])); },
+  };
+  const skipped = await main(['--dry-run', '--no-embed'], { dbPath: f.dbPath, print: false, embedding });
+  assert.equal(skipped.semantic.embedding_model, null);
+  const capped = await main(['--dry-run'], { dbPath: f.dbPath, print: false, embedding, maxEmbedRows: 2 });
+  assert.equal(capped.semantic.embedding_model, null);
+  assert.deepEqual(embedded, []);
+
+  const embeddedPlan = await main(['--dry-run'], { dbPath: f.dbPath, print: false, embedding });
+  assert.equal(embeddedPlan.semantic.embedding_model, 'fake-model');
+  assert.equal(embedded.length, 3);
+  fs.rmSync(f.root, { recursive: true, force: true });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { DatabaseSync } = require('node:sqlite');
+const { mkdtempForTest } = require('./test-support/test-utils');
+const { applyWikiSchema } = require('./memory-wiki-schema');
+const { main, parseArgs } = require('./memory-reembed');
+const { collectMemoryObservability, formatStatus } = require('./memory-observability');
+const embedding = require('./core/embedding');
+const { _internal: search } = require('./core/hybrid-search');
+
+function fixture() {
+  const dbPath = path.join(mkdtempForTest('metame-reembed-'), 'memory.db');
+  const db = new DatabaseSync(dbPath);
+  applyWikiSchema(db);
+  db.prepare(`
+    INSERT INTO wiki_pages (id, slug, title, content, primary_topic)
+    VALUES ('p1', 'deploy-guide', 'Deploy guide', 'deploy the daemon', 'ops')
+  `).run();
+  const insert = db.prepare(`
+    INSERT INTO content_chunks
+      (id, page_slug, chunk_text, chunk_idx, embedding, embedding_model, embedding_dim)
+    VALUES (?, 'deploy-guide', ?, ?, ?, 'bge-m3', 1024)
+  `);
+  insert.run('c1', 'deploy the daemon with metame deploy', 0, Buffer.alloc(1024 * 4));
+  insert.run('c2', 'restart after changing daemon.yaml', 1, Buffer.alloc(1024 * 4));
+  applyWikiSchema(db); // as on upgrade: backfills chunk_embeddings from the mirror columns
+  db.close();
+  return dbPath;
+}
+
+describe('memory reembed', () => {
+  it('parses the backend and rejects unknown ones', () => {
+    assert.deepEqual(parseArgs(['--backend', 'local', '--json']), { backend: 'local', json: true, db: null });
+    assert.equal(parseArgs(['--backend=OLLAMA']).backend, 'ollama');
+    assert.throws(() => parseArgs([]), /usage: memory reembed/);
+    assert.throws(() => parseArgs(['--backend', 'cohere']), /usage: memory reembed/);
+  });
+
+  it('builds a second index next to the active one, resumably', async () => {
+    const dbPath = fixture();
+    const first = await main(['--backend', 'local'], { dbPath, print: false });
+    assert.deepEqual(first.queued, { enqueued: 2, reset: 0 });
+    assert.equal(first.embedded, 2);
+    assert.equal(first.index.coverage, 1);
+
+    const db = new DatabaseSync(dbPath);
+    try {
+      // The active (bge-m3) mirror and its index are untouched.
+      const models = db.prepare('SELECT model, COUNT(*) AS n FROM chunk_embeddings GROUP BY model ORDER BY model')
+        .all().map(row => ({ ...row }));
+      assert.deepEqual(models, [{ model: 'bge-m3', n: 2 }, { model: 'metame-hash-ngram-v1', n: 2 }]);
+      assert.equal(db.prepare("SELECT COUNT(*) AS n FROM content_chunks WHERE embedding_model = 'bge-m3'").get().n, 2);
+
+      const local = embedding.getBackendInfo('local');
+      const [query] = await embedding.batchEmbed(['how to deploy the daemon'], { backend: 'local' });
+      const hits = search.vectorSearch(db, query, local);
+      assert.equal(hits.length, 2);
+      assert.equal(hits[0].page_slug, 'deploy-guide');
+    } finally {
+      db.close();
+    }
+
+    const again = await main(['--backend', 'local'], { dbPath, print: false });
+    assert.deepEqual(again.queued, { enqueued: 0, reset: 0 });
+    assert.equal(again.embedded, 0);
+  });
+
+  it('reports coverage per backend in memory status', async () => {
+    const dbPath = fixture();
+    const db = new DatabaseSync(dbPath);
+    db.prepare(`
+      INSERT INTO embedding_queue (item_type, item_id, model, target_model)
+      VALUES ('chunk', 'c1', 'metame-hash-ngram-v1', 'metame-hash-ngram-v1')
+    `).run();
+    db.close();
+
+    const result = collectMemoryObservability({
+      dbPath,
+      activeBackend: { backend: 'ollama', model: 'bge-m3', dimensions: 1024 },
+    });
+    assert.equal(result.inventory.embeddings.chunks, 2);
+    const [active, local] = result.inventory.embeddings.indexes;
+    assert.equal(active.model, 'bge-m3');
+    assert.equal(active.active, true);
+    assert.equal(active.coverage, 1);
+    assert.equal(local.backend, 'local');
+    assert.equal(local.embedded, 0);
+    assert.equal(local.queued, 1);
+    assert.match(formatStatus(result), /embeddings chunks=2 active=bge-m3 indexes\[ollama:bge-m3\/1024\*=100\.0% \(2\/2 queued=0 dead=0\) local:metame-hash-ngram-v1\/768=0\.0%/);
+  });
+});
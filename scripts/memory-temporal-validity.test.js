@@ -0,0 +1,129 @@
+'use strict';
+
+require('./test-support/env-setup');
+/**
+ * memory-temporal-validity.test.js — valid_from / valid_until on claims:
+ * the write paths store a normalized window, current reads drop claims
+ * outside it, as-of reads return what was valid then, and nightly GC
+ * archives expired claims.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { DatabaseSync } = require('node:sqlite');
+
+async function withFreshMemoryHome(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-validity-'));
+  const prevHome = process.env.HOME;
+  process.env.HOME = tmpDir;
+  delete require.cache[require.resolve('./memory')];
+  delete require.cache[require.resolve('./memory-wiki-schema')];
+  const memory = require('./memory');
+  try {
+    await fn(memory, tmpDir);
+  } finally {
+    try { memory.forceClose(); } catch { /* ignore */ }
+    process.env.HOME = prevHome;
+    delete require.cache[require.resolve('./memory')];
+    delete require.cache[require.resolve('./memory-wiki-schema')];
+    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch { /* ignore */ }
+  }
+}
+
+function seedDeployWindows(memory) {
+  const base = { kind: 'insight', state: 'active', title: 'MetaMe.deploy · config_fact', project: 'metame' };
+  memory.saveMemoryItem({
+    ...base, id: 'mi_beta', content: 'release window was Tuesday night during the beta',
+    valid_from: '2020-01-01', valid_until: '2020-03-01',
+  });
+  memory.saveMemoryItem({
+    ...base, id: 'mi_ga', content: 'release window is Thursday morning since general availability',
+    valid_from: '2020-03-01',
+  });
+  memory.saveMemoryItem({
+    ...base, id: 'mi_legacy', state: 'archived', content: 'release window was Friday before the beta',
+    valid_from: '2019-06-01', valid_until: '2020-01-01',
+  });
+}
+
+test('writeFact validates and stores the validity window', async () => {
+  await withFreshMemoryHome(async (memory, tmpDir) => {
+    const { writeFact } = require('./memory-write');
+    const fact = {
+      entity: 'MetaMe.deploy', relation: 'config_fact', project: 'metame',
+      value: 'release freeze holds for the whole migration week',
+    };
+    const saved = writeFact({ ...fact, validFrom: '2020-05-01', validUntil: '2020-05-08T12:00:00Z' });
+    assert.equal(saved.ok, true);
+    const bad = writeFact({ ...fact, validFrom: '2020-05-08', validUntil: '2020-05-01' });
+    assert.deepEqual(bad.errors, ['valid-from 必须早于 valid-until']);
+    const garbled = writeFact({ ...fact, validUntil: 'soon' });
+    assert.match(garbled.errors[0], /valid-until 不合法/);
+
+    const db = new DatabaseSync(path.join(tmpDir, '.metame', 'memory.db'), { readOnly: true });
+    try {
+      const rows = db.prepare(`SELECT valid_from, valid_until FROM memory_items WHERE title LIKE 'MetaMe.deploy%'`).all();
+      assert.deepEqual(rows.map(row => ({ ...row })), [{ valid_from: '2020-05-01 00:00:00', valid_until: '2020-05-08 12:00:00' }]);
+    } finally { db.close(); }
+  });
+});
+
+test('searchFacts reads the current window by default and the past window with asOf', async () => {
+  await withFreshMemoryHome(async memory => {
+    seedDeployWindows(memory);
+    const ids = opts => memory.searchFacts('release window', { project: 'metame', trackSearch: false, ...opts })
+      .map(fact => fact.id).sort();
+    assert.deepEqual(ids(), ['mi_ga']);
+    assert.deepEqual(ids({ asOf: '2020-02-01' }), ['mi_beta']);
+    assert.deepEqual(ids({ asOf: '2019-12-01' }), ['mi_legacy'], 'archived claims stay readable for the time before archiving');
+    assert.deepEqual(ids({ asOf: '2020-04-01' }), ['mi_ga']);
+    assert.throws(() => memory.searchFacts('release window', { asOf: 'last spring' }), /asOf must be a date/);
+  });
+});
+
+test('hybridSearchWiki asOf returns facts only', async () => {
+  await withFreshMemoryHome(async memory => {
+    seedDeployWindows(memory);
+    const current = await memory.hybridSearchWiki('release window', { ftsOnly: true, trackSearch: false });
+    assert.deepEqual(current.facts.map(row => row.id), ['mi_ga']);
+    const past = await memory.hybridSearchWiki('release window', { ftsOnly: true, trackSearch: false, asOf: '2020-02-01' });
+    assert.deepEqual(past.facts.map(row => row.id), ['mi_beta']);
+    assert.deepEqual(past.wikiPages, []);
+  });
+});
+
+test('nightly GC archives expired claims and marks their artifacts stale', async () => {
+  await withFreshMemoryHome(async (memory, tmpDir) => {
+    seedDeployWindows(memory);
+    const dbPath = path.join(tmpDir, '.metame', 'memory.db');
+    const db = new DatabaseSync(dbPath);
+    db.prepare(`INSERT INTO knowledge_artifact_registry
+      (artifact_id,kind,canonical_key,project_key,status,revision,source_path,content_hash,evidence_membership_hash,generator_version)
+      VALUES ('artifact-deploy','playbook','metame.deploy','metame','active',1,'metame/deploy.md','h','m','test')`).run();
+    db.prepare(`INSERT INTO knowledge_lineage (child_kind,child_id,parent_kind,parent_id,transform,role)
+      VALUES ('knowledge_artifact','artifact-deploy','memory_item','mi_beta','test','evidence')`).run();
+    db.close();
+    memory.forceClose();
+
+    execFileSync(process.execPath, [path.join(__dirname, 'memory-gc.js')], {
+      env: { ...process.env, HOME: tmpDir },
+      stdio: 'pipe',
+      timeout: 60000,
+    });
+
+    const after = new DatabaseSync(dbPath, { readOnly: true });
+    try {
+      const beta = after.prepare(`SELECT state, archive_reason FROM memory_items WHERE id='mi_beta'`).get();
+      assert.equal(beta.state, 'archived');
+      assert.equal(beta.archive_reason, 'expired');
+      assert.equal(after.prepare(`SELECT state FROM memory_items WHERE id='mi_ga'`).get().state, 'active');
+      assert.equal(after.prepare(`SELECT status FROM knowledge_artifact_registry WHERE artifact_id='artifact-deploy'`).get().status, 'stale');
+    } finally { after.close(); }
+    const log = fs.readFileSync(path.join(tmpDir, '.metame', 'memory_gc_log.jsonl'), 'utf8').trim().split('\n');
+    assert.equal(JSON.parse(log[log.length - 1]).expired, 1);
+  });
+});
@@ -11,12 +11,14 @@
  *   wiki_pages       — topic knowledge pages
  *   wiki_topics      — controlled topic registry
  *   wiki_pages_fts   — FTS5 virtual table (content table, trigram tokenizer)
- *   content_chunks   — chunked page content with optional vector embeddings
+ *   content_chunks   — chunked page content; embedding columns mirror the active backend
+ *   chunk_embeddings — per-backend vectors, so several indexes can coexist
  *   embedding_queue  — durable async queue for embedding generation
  *   wiki_external_sources — rebuildable file-to-page projection state
  *
  * Triggers:
  *   wiki_pages_fts_insert / wiki_pages_fts_update / wiki_pages_fts_delete
+ *   content_chunks_embeddings_delete
  */
 
 /**
@@ -202,6 +204,38 @@ function applyWikiSchema(db) {
       created_at  TEXT DEFAULT (datetime('now'))
     )
   `);
+  // target_model: NULL follows the active backend; set by `memory reembed`
+  // to build one backend's index regardless of which backend is active.
+  try { db.exec('ALTER TABLE embedding_queue ADD COLUMN target_model TEXT'); } catch { /* already exists */ }
+
+  // ── chunk_embeddings (one vector per chunk per embedding model) ─────────────
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chunk_embeddings (
+      chunk_id   TEXT NOT NULL,
+      model      TEXT NOT NULL,
+      dim        INTEGER NOT NULL,
+      embedding  BLOB NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (chunk_id, model)
+    )
+  `);
+  db.exec(`
+    CREATE TRIGGER IF NOT EXISTS content_chunks_embeddings_delete
+      AFTER DELETE ON content_chunks BEGIN
+      DELETE FROM chunk_embeddings WHERE chunk_id = old.id;
+    END
+  `);
+  // One-time backfill from the single-index layout.
+  try {
+    if (!db.prepare('SELECT 1 FROM chunk_embeddings LIMIT 1').get()) {
+      db.exec(`
+        INSERT OR IGNORE INTO chunk_embeddings (chunk_id, model, dim, embedding)
+        SELECT id, embedding_model, embedding_dim, embedding FROM content_chunks
+        WHERE embedding IS NOT NULL AND embedding_model IS NOT NULL
+          AND length(embedding) = embedding_dim * 4
+      `);
+    }
+  } catch { /* read-only handle: daemon-embedding reconciles on its next run */ }
 
   // ── session_sources (raw transcript provenance, L0) ───────────────────────
   db.exec(`
@@ -437,6 +471,10 @@ function applyWikiSchema(db) {
     try { db.exec('ALTER TABLE memory_items ADD COLUMN task_key TEXT'); } catch { /* already exists */ }
     try { db.exec("ALTER TABLE memory_items ADD COLUMN origin_class TEXT DEFAULT 'primary'"); } catch { /* already exists */ }
     try { db.exec('ALTER TABLE memory_items ADD COLUMN provenance_root_id TEXT'); } catch { /* already exists */ }
+    // Optional validity window; nightly GC archives claims past valid_until.
+    try { db.exec('ALTER TABLE memory_items ADD COLUMN valid_from TEXT'); } catch { /* already exists */ }
+    try { db.exec('ALTER TABLE memory_items ADD COLUMN valid_until TEXT'); } catch { /* already exists */ }
+    try { db.exec('CREATE INDEX IF NOT EXISTS idx_mi_valid_until ON memory_items(valid_until)'); } catch { /* partial legacy fixture */ }
     db.exec(`
       UPDATE memory_items
          SET origin_class = CASE
@@ -5,6 +5,7 @@
  * Usage:
  *   node memory-write.js "entity" "relation" "value"
  *   node memory-write.js "entity" "relation" "value" --confidence high --project metame --tags "tag1,tag2"
+ *   node memory-write.js "entity" "relation" "value" --valid-from 2026-01-01 --valid-until 2026-07-01
  *   node memory-write.js --help
  *
  * Reuses memory.js saveFacts() and acquire/release pattern. Zero new dependencies.
@@ -46,11 +47,14 @@ memory-write.js — 主动写入事实到 memory.db
   --confidence <level>   high | medium | low  （默认 medium）
   --project <key>        项目标识（默认从 cwd 推断，推断不到则 '*'）
   --tags <tag1,tag2>     最多 3 个标签，逗号分隔
+  --valid-from <time>    生效时间（YYYY-MM-DD 或 ISO 时间，默认写入时）
+  --valid-until <time>   失效时间；到期后夜间 GC 自动归档，as_of 查询仍可见
   --help                 显示此帮助
 
 示例:
   node memory-write.js "MetaMe.daemon" "bug_lesson" "修复X前必须先Y，否则Z会挂"
   node memory-write.js "MetaMe.bridge" "tech_decision" "飞书回调走 3000 端口，nginx 转发" --confidence high --project metame
+  node memory-write.js "MetaMe.deploy" "config_fact" "灰度期间发布窗口改为每周二晚上 22 点" --valid-until 2026-07-01
 `.trim();
 
 // ── Project inference ─────────────────────────────────────────────────────────
@@ -129,6 +133,20 @@ function validateConfidence(conf) {
   return null;
 }
 
+function validateValidity(validFrom, validUntil) {
+  const { normalizeValidityTime } = require('./core/memory-validity');
+  const bounds = {};
+  for (const [name, raw] of [['valid-from', validFrom], ['valid-until', validUntil]]) {
+    try { bounds[name] = normalizeValidityTime(raw); } catch {
+      return `${name} 不合法："${raw}"，须为 YYYY-MM-DD 或 ISO 时间`;
+    }
+  }
+  if (bounds['valid-from'] && bounds['valid-until'] && bounds['valid-from'] >= bounds['valid-until']) {
+    return 'valid-from 必须早于 valid-until';
+  }
+  return null;
+}
+
 // ── Resolve memory.js (supports both dev and deployed paths) ──────────────────
 function resolveMemory() {
   const candidates = [
@@ -147,12 +165,16 @@ function resolveMemory() {
  * Runs the same validation + candidate-state pipeline as the CLI; never
  * bypasses promotion. Returns { ok, errors?, result? } instead of exiting.
  */
-function writeFact({ entity, relation, value, confidence = 'medium', project = '*', tags = [], sourceType = 'manual' } = {}) {
+function writeFact({
+  entity, relation, value, confidence = 'medium', project = '*', tags = [], sourceType = 'manual',
+  validFrom = null, validUntil = null,
+} = {}) {
   const errors = [
     validateEntity(entity),
     validateRelation(relation),
     validateValue(value),
     validateConfidence(confidence),
+    validateValidity(validFrom, validUntil),
   ].filter(Boolean);
   if (errors.length) return { ok: false, errors };
 
@@ -170,6 +192,8 @@ function writeFact({ entity, relation, value, confidence = 'medium', project = '
         confidence,
         tags: (tags || []).slice(0, 3),
         source_type: sourceType,
+        valid_from: validFrom || null,
+        valid_until: validUntil || null,
         // This CLI is an explicit durable write. Session extraction callers
         // omit lifecycle and therefore fail closed to task Episodes.
         lifecycle: 'project',
@@ -197,7 +221,11 @@ function main() {
   const tagsRaw = opts.tags || '';
   const tags = tagsRaw ? tagsRaw.split(',').map(t => t.trim()).filter(Boolean).slice(0, 3) : [];
 
-  const outcome = writeFact({ entity, relation, value, confidence, project, tags, sourceType: 'manual' });
+  const outcome = writeFact({
+    entity, relation, value, confidence, project, tags, sourceType: 'manual',
+    validFrom: opts['valid-from'] || null,
+    validUntil: opts['valid-until'] || null,
+  });
 
   if (!outcome.ok && outcome.errors) {
     for (const e of outcome.errors) console.error('错误: ' + e);
@@ -220,4 +248,4 @@ function main() {
 
 if (require.main === module) main();
 
-module.exports = { writeFact, _private: { validateEntity, validateRelation, validateValue, validateConfidence } };
+module.exports = { writeFact, _private: { validateEntity, validateRelation, validateValue, validateConfidence, validateValidity } };
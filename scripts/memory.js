@@ -71,6 +71,8 @@ function getDb() {
       source_id       TEXT,
       origin_class    TEXT NOT NULL DEFAULT 'primary',
       provenance_root_id TEXT,
+      valid_from      TEXT,
+      valid_until     TEXT,
       search_count    INTEGER DEFAULT 0,
       last_searched_at TEXT,
       tags            TEXT DEFAULT '[]',
@@ -121,6 +123,11 @@ function getDb() {
   try { _db.exec('ALTER TABLE memory_items ADD COLUMN relation TEXT'); } catch { /* column already exists */ }
   try { _db.exec('CREATE INDEX IF NOT EXISTS idx_mi_relation ON memory_items(relation)'); } catch { }
 
+  // Migration: optional validity window (core/memory-validity.js)
+  try { _db.exec('ALTER TABLE memory_items ADD COLUMN valid_from TEXT'); } catch { /* column already exists */ }
+  try { _db.exec('ALTER TABLE memory_items ADD COLUMN valid_until TEXT'); } catch { /* column already exists */ }
+  try { _db.exec('CREATE INDEX IF NOT EXISTS idx_mi_valid_until ON memory_items(valid_until)'); } catch { }
+
   // Apply wiki schema after memory_items is fully initialized (idempotent, non-fatal)
   try {
     const { applyWikiSchema } = require('./memory-wiki-schema');
@@ -149,12 +156,16 @@ function saveMemoryItem(item) {
   const { classifyOrigin, deriveProvenanceRootId } = require('./core/knowledge-eligibility');
   const originClass = classifyOrigin(item);
   const provenanceRootId = deriveProvenanceRootId(item);
+  const validity = require('./core/memory-validity').normalizeValidity({
+    validFrom: item.valid_from,
+    validUntil: item.valid_until,
+  });
   const stmt = db.prepare(`
     INSERT INTO memory_items (id, kind, state, title, content, summary, confidence,
       project, scope, task_key, session_id, agent_key, canonical_key, supersedes_id,
       source_type, source_id, origin_class, provenance_root_id, relation, search_count, last_searched_at, tags,
-      created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      valid_from, valid_until, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
     ON CONFLICT(id) DO UPDATE SET
       kind=excluded.kind, state=excluded.state, title=excluded.title,
       content=excluded.content, summary=excluded.summary, confidence=excluded.confidence,
@@ -165,6 +176,7 @@ function saveMemoryItem(item) {
       source_id=excluded.source_id, origin_class=excluded.origin_class,
       provenance_root_id=excluded.provenance_root_id,
       relation=excluded.relation, tags=excluded.tags,
+      valid_from=excluded.valid_from, valid_until=excluded.valid_until,
       updated_at=datetime('now')
   `);
   stmt.run(
@@ -190,6 +202,8 @@ function saveMemoryItem(item) {
     item.search_count || 0,
     item.last_searched_at || null,
     typeof item.tags === 'string' ? item.tags : JSON.stringify(Array.isArray(item.tags) ? item.tags : []),
+    validity.valid_from,
+    validity.valid_until,
   );
   return { ok: true, id };
 }
@@ -201,13 +215,26 @@ function saveSessionSource(source) {
 
 function searchMemoryItems(query, {
   kind = null, scope = null, project = null, state = 'active', limit = 20,
-  trackSearch = true, eligibilityChannel = null,
+  trackSearch = true, eligibilityChannel = null, asOf = null,
 } = {}) {
   const db = getDb();
   const conditions = [];
   const params = [];
 
-  if (state) { conditions.push('mi.state = ?'); params.push(state); }
+  // asOf replaces the state filter: it reads what was valid at that time,
+  // including claims archived since. Current active reads drop claims whose
+  // validity window has not started or has already ended.
+  const { normalizeValidityTime, validitySql } = require('./core/memory-validity');
+  const asOfTime = normalizeValidityTime(asOf, 'asOf');
+  if (asOfTime) {
+    const validity = validitySql('mi', { asOf: asOfTime });
+    conditions.push(validity.sql);
+    params.push(...validity.args);
+  } else if (state) {
+    conditions.push('mi.state = ?');
+    params.push(state);
+    if (state === 'active') conditions.push(validitySql('mi').sql);
+  }
   if (kind) { conditions.push('mi.kind = ?'); params.push(kind); }
   if (eligibilityChannel) {
     const { PRIMARY_ONLY_CHANNELS, primarySql } = require('./core/knowledge-eligibility');
@@ -447,6 +474,8 @@ function saveFacts(sessionId, project, facts, { scope = null, source_type = null
       source_id: f.source_id || source_id || sessionId,
       relation: f.relation,
       tags,
+      valid_from: f.valid_from || null,
+      valid_until: f.valid_until || null,
     };
     // Admission is fail-closed: an omitted or unknown lifecycle is a
     // task-local Episode. Durable Claims must opt in with lifecycle=project or
@@ -525,7 +554,7 @@ function saveFactLabels() {
   return { saved: 0, skipped: 0 };
 }
 
-function searchFacts(query, { limit = 5, project = null, scope = null, trackSearch = true } = {}) {
+function searchFacts(query, { limit = 5, project = null, scope = null, trackSearch = true, asOf = null } = {}) {
   if (!query || !query.trim()) return [];
   const rows = searchMemoryItems(query, {
     state: 'active',
@@ -534,6 +563,7 @@ function searchFacts(query, { limit = 5, project = null, scope = null, trackSear
     limit,
     trackSearch,
     eligibilityChannel: 'fact_recall',
+    asOf,
   }).filter(r => r.kind === 'insight' || r.kind === 'convention');
 
   return rows.map(r => ({
@@ -546,6 +576,8 @@ function searchFacts(query, { limit = 5, project = null, scope = null, trackSear
     scope: r.scope,
     tags: _parseTags(r.tags),
     created_at: r.created_at,
+    valid_from: r.valid_from || null,
+    valid_until: r.valid_until || null,
   }));
 }
 
@@ -553,7 +585,7 @@ async function searchFactsAsync(query, opts) {
   return searchFacts(query, opts);
 }
 
-function searchSessions(query, { limit = 5, project = null, scope = null, trackSearch = true } = {}) {
+function searchSessions(query, { limit = 5, project = null, scope = null, trackSearch = true, asOf = null } = {}) {
   if (!query || !query.trim()) return [];
   return searchMemoryItems(query, {
     kind: 'episode',
@@ -562,6 +594,7 @@ function searchSessions(query, { limit = 5, project = null, scope = null, trackS
     scope: scope || null,
     limit,
     trackSearch,
+    asOf,
   }).map(r => ({
     id: r.session_id || r.id,
     project: r.project,
@@ -674,6 +707,7 @@ async function hybridSearchWiki(query, {
   scopeKeys = [],
   projectKey = null,
   artifactKinds = [],
+  asOf = null,
 } = {}) {
   try {
     const { hybridSearchWiki: fn } = require('./core/hybrid-search');
@@ -685,8 +719,10 @@ async function hybridSearchWiki(query, {
       scopeKeys,
       projectKey,
       artifactKinds,
+      asOf,
     });
   } catch {
+    if (asOf) return { wikiPages: [], facts: [], sourceHitCounts: {} };
     const fallback = searchWikiAndFacts(query, { trackSearch });
     const excluded = new Set(excludeSourceTypes);
     return {
@@ -797,6 +833,110 @@ function getCognitiveAsset(type, id, { project = null, history = false } = {}) {
   return { type: 'wiki', ...row, provenance, freshness: Number(row.staleness || 0) >= 0.3 ? 'stale' : 'current' };
 }
 
+/**
+ * Browsable wiki pages: active projections only, managed redirects hidden.
+ * With a project, pages bound to another project are excluded (unbound pages
+ * stay visible), matching getCognitiveAsset('wiki', …).
+ * `revision` changes whenever the page is rebuilt or re-projected.
+ */
+function listWikiPages({ project = null, limit = 200 } = {}) {
+  const db = getDb();
+  const params = [];
+  let scopeSql = '';
+  if (project) {
+    scopeSql = "AND (COALESCE(project_key, '') = '' OR lower(project_key) = lower(?))";
+    params.push(project);
+  }
+  const max = Math.min(Math.max(Number(limit) || 200, 1), 1000);
+  return db.prepare(`
+    SELECT slug, title, page_kind, project_key AS project, staleness, updated_at,
+           COALESCE(projection_hash, '') || ':' || COALESCE(updated_at, '') AS revision
+      FROM wiki_pages
+     WHERE source_type != 'managed_redirect'
+       AND COALESCE(artifact_status, 'active') = 'active' ${scopeSql}
+     ORDER BY slug
+     LIMIT ?
+  `).all(...params, max).map(row => ({
+    ...row,
+    freshness: Number(row.staleness || 0) >= 0.3 ? 'stale' : 'current',
+  }));
+}
+
+/** Human annotations on a wiki page, newest first (empty on pre-annotation schemas). */
+function listWikiAnnotations(slug, { limit = 50 } = {}) {
+  if (!slug) return [];
+  const db = getDb();
+  const max = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  try {
+    return db.prepare(`
+      SELECT id, page_slug, content, claim_key, claim_id, claim_outcome, state,
+             base_projection_hash, source_path, created_at, updated_at
+        FROM wiki_annotations
+       WHERE page_slug = ?
+       ORDER BY created_at DESC, id
+       LIMIT ?
+    `).all(slug, max);
+  } catch { return []; }
+}
+
+const MANIFEST_SYNTHESIS_KINDS = ['decision', 'playbook', 'project_dossier'];
+const MANIFEST_CANDIDATE_LIMIT = 64;
+
+function pageExcerpt(content, max = 280) {
+  const body = String(content || '').split('\n')
+    .filter(line => line.trim() && !/^\s*(#|---|>)/.test(line))
+    .join(' ').replace(/\s+/g, ' ').trim();
+  return body.length > max ? body.slice(0, max) : body;
+}
+
+/**
+ * Candidate assets for a Project Context Manifest (core/context-manifest.js):
+ * canonical Claims that may apply to `project` (project-local or global) and
+ * the project's synthesis pages. Selection, privacy and budgeting stay in the
+ * pure core; this only supplies bounded rows.
+ */
+function listContextManifestAssets(project) {
+  if (!project) return [];
+  const db = getDb();
+  const { unresolvedConflictSql } = require('./core/knowledge-eligibility');
+  const claims = db.prepare(`
+    SELECT id, kind, state, title, content, summary, project, scope, task_key, agent_key,
+           canonical_key, source_type, source_id, origin_class, provenance_root_id,
+           relation, created_at, updated_at,
+           CASE WHEN ${unresolvedConflictSql('memory_items')} THEN 0 ELSE 1 END AS conflicted
+      FROM memory_items
+     WHERE kind IN ('convention','insight') AND state = 'active'
+       AND canonical_key IS NOT NULL
+       AND (lower(project) = lower(?) OR project = '*' OR COALESCE(trim(project), '') = '')
+     ORDER BY updated_at DESC, id
+     LIMIT ?
+  `).all(project, MANIFEST_CANDIDATE_LIMIT).map(({ conflicted, ...row }) => ({
+    ...row,
+    type: 'claim',
+    has_unresolved_conflict: conflicted === 1,
+  }));
+  let pages = [];
+  try {
+    pages = db.prepare(`
+      SELECT slug, title, content, page_kind, project_key, staleness, artifact_status,
+             artifact_revision, source_membership_hash, source_path, updated_at
+        FROM wiki_pages
+       WHERE page_kind IN (${MANIFEST_SYNTHESIS_KINDS.map(() => '?').join(',')})
+         AND lower(project_key) = lower(?)
+         AND COALESCE(artifact_status, 'active') = 'active'
+       ORDER BY updated_at DESC, slug
+       LIMIT ?
+    `).all(...MANIFEST_SYNTHESIS_KINDS, project, MANIFEST_CANDIDATE_LIMIT).map(({ content, ...row }) => ({
+      ...row,
+      id: row.slug,
+      type: 'synthesis',
+      status: row.artifact_status || 'active',
+      summary: pageExcerpt(content) || row.title,
+    }));
+  } catch { /* artifact columns may not exist on a pre-migration read */ }
+  return [...claims, ...pages];
+}
+
 module.exports = {
   // core
   saveMemoryItem,
@@ -813,6 +953,9 @@ module.exports = {
   getWikiPageScopes,
   getWikiTopicTags,
   getCognitiveAsset,
+  listWikiPages,
+  listWikiAnnotations,
+  listContextManifestAssets,
   // compatibility
   saveSession,
   saveFacts,
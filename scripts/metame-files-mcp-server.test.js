@@ -801,6 +801,27 @@ describe('cleanup pipeline', () => {
     w.cleanup();
   });
 
+  it('purge on Linux hands the quarantine dir to gio trash', async () => {
+    const w = pipelineWorld();
+    const prop = await callTool('cleanup_propose', { paths: [w.stale1], reason: 'linux purge test' }, w.deps);
+    await callTool('cleanup_execute', { batch_id: prop.batch_id, token: prop.token, confirm: 'USER CONFIRMED' }, w.deps);
+    const gioCalls = [];
+    const deps = {
+      ...w.deps,
+      platform: 'linux',
+      runCapture: async (cmd, args) => { gioCalls.push([cmd, ...args]); return { stdout: '', error: null }; },
+    };
+    w.tick(31 * 24 * 3600 * 1000);
+    const due = await callTool('cleanup_purge', { batch_id: prop.batch_id }, deps);
+    assert.deepEqual(due.purged, [prop.batch_id]);
+    assert.match(due.note, /desktop Trash/);
+    assert.equal(gioCalls.length, 1);
+    assert.deepEqual(gioCalls[0].slice(0, 3), ['gio', 'trash', '--']);
+    assert.match(gioCalls[0][3], new RegExp(`quarantine/${prop.batch_id}$`));
+    assert.equal(w.osascriptCalls.length, 0);
+    w.cleanup();
+  });
+
   it('config failure disables the destructive pipeline entirely', async () => {
     const deps = tempDeps({ loadConfig: () => ({ ok: false, error: 'bad yaml', config: normalizeConfig(null, HOME) }) });
     const prop = await callTool('cleanup_propose', { paths: ['/x/y'], reason: 'should not run' }, deps);
@@ -844,6 +865,110 @@ describe('scan_stale', () => {
   });
 });
 
+describe('linux backend', () => {
+  const linuxConfig = (linux_index = {}) => () => ({ ok: true, source: 'test', config: normalizeConfig({ linux_index }, HOME) });
+
+  function stubIndex(paths, calls = []) {
+    return () => ({
+      ensure: root => ({ root, indexed_at: '2026-07-17T00:00:00.000Z', partial: false, watched: true, walked: false }),
+      query: (q) => { calls.push(q); return { paths: paths.slice(0, q.limit ?? 50), total: paths.length }; },
+    });
+  }
+
+  function linuxFsx(files, xbel = null) {
+    return {
+      statSync: (p) => {
+        if (p.endsWith('recently-used.xbel') && xbel !== null) return { size: xbel.length };
+        if (!(p in files)) throw new Error('ENOENT');
+        const f = files[p];
+        return { size: f.size, mtimeMs: f.mtimeMs ?? OLD, atimeMs: f.atimeMs ?? f.mtimeMs ?? OLD, isDirectory: () => false };
+      },
+      readFileSync: (p) => {
+        if (p.endsWith('recently-used.xbel') && xbel !== null) return xbel;
+        throw new Error('ENOENT');
+      },
+    };
+  }
+
+  it('file_search uses plocate for plain name lookups and the walk index for filtered ones', async () => {
+    const spawned = [];
+    const indexCalls = [];
+    const deps = tempDeps({
+      platform: 'linux',
+      loadConfig: linuxConfig(),
+      fsx: linuxFsx({ '/home/u/a/report.pdf': { size: 9 } }),
+      runCapture: async (cmd, args) => { spawned.push([cmd, ...args]); return { stdout: 'plocate 1.1.19\n', error: null }; },
+      runLines: async (cmd, args) => { spawned.push([cmd, ...args]); return { lines: ['/home/u/a/report.pdf'], truncated: false, error: null }; },
+      linuxIndex: stubIndex(['/home/u/a/report.pdf'], indexCalls),
+    });
+    const plain = await callTool('file_search', { query: 'report' }, deps);
+    assert.equal(plain.ok, true);
+    assert.equal(plain.index, 'plocate');
+    assert.equal(plain.results[0].path, '/home/u/a/report.pdf');
+    assert.deepEqual(spawned[1].slice(0, 4), ['plocate', '-0', '-i', '--regex']);
+    assert.equal(indexCalls.length, 0);
+
+    const filtered = await callTool('file_search', { query: 'report', kind: 'document', min_size_mb: 1 }, deps);
+    assert.equal(filtered.index, 'walk');
+    assert.equal(filtered.index_root, '/home/u');
+    assert.deepEqual(indexCalls[0].terms, ['report']);
+    assert.equal(indexCalls[0].kind, 'document');
+    assert.equal(indexCalls[0].minSizeBytes, 1024 * 1024);
+
+    const spotlightOnly = await callTool('file_search', { query: 'kMDItemFSSize > 1' }, deps);
+    assert.equal(spotlightOnly.ok, false);
+    assert.match(spotlightOnly.error, /not available on Linux/);
+  });
+
+  it('file_search falls back to the walk index without plocate unless plocate is required', async () => {
+    const missing = async () => ({ stdout: '', error: 'spawn plocate ENOENT' });
+    const base = {
+      platform: 'linux',
+      fsx: linuxFsx({}),
+      runCapture: missing,
+      linuxIndex: stubIndex(['/home/u/x.txt', '/home/u/y.txt']),
+    };
+    const counted = await callTool('file_search', { query: 'txt', count_only: true }, tempDeps({ ...base, loadConfig: linuxConfig() }));
+    assert.deepEqual(counted, {
+      ok: true, count: 2, index: 'walk', index_root: '/home/u', indexed_at: '2026-07-17T00:00:00.000Z', index_partial: undefined,
+    });
+    const required = await callTool('file_search', { query: 'txt' }, tempDeps({ ...base, loadConfig: linuxConfig({ backend: 'plocate' }) }));
+    assert.equal(required.ok, false);
+    assert.match(required.error, /plocate is not installed/);
+  });
+
+  it('file_last_used and scan_stale read recently-used.xbel and atime', async () => {
+    const DAY = 24 * 3600 * 1000;
+    const files = {
+      '/home/u/opened.iso': { size: 500, mtimeMs: OLD - 10 * DAY },
+      '/home/u/read.mkv': { size: 400, mtimeMs: OLD - 10 * DAY, atimeMs: OLD },
+      '/home/u/untouched.bin': { size: 300 },
+      '/home/u/recent.mov': { size: 200, mtimeMs: OLD - 10 * DAY, atimeMs: NOW - DAY },
+    };
+    const xbel = `<xbel><bookmark href="file:///home/u/opened.iso" visited="${new Date(OLD + DAY).toISOString()}"/></xbel>`;
+    const deps = tempDeps({
+      platform: 'linux',
+      loadConfig: linuxConfig(),
+      fsx: linuxFsx(files, xbel),
+      linuxIndex: stubIndex(Object.keys(files)),
+    });
+
+    const used = await callTool('file_last_used', { paths: ['/home/u/opened.iso', '/home/u/read.mkv', '/home/u/untouched.bin'] }, deps);
+    assert.deepEqual(used.items.map(i => i.last_used_source), ['recently_used', 'atime', undefined]);
+    assert.deepEqual(used.items.map(i => i.last_used_known), [true, true, false]);
+
+    const stale = await callTool('scan_stale', { root: '~' }, deps);
+    assert.equal(stale.ok, true);
+    assert.deepEqual(stale.results.map(r => [r.path, r.confidence]), [
+      ['/home/u/opened.iso', 'confirmed_stale'],
+      ['/home/u/read.mkv', 'confirmed_stale'],
+      ['/home/u/untouched.bin', 'never_recorded'],
+    ], 'recently read file excluded');
+    assert.equal(stale.index, 'walk');
+    assert.match(stale.note, /recently-used\.xbel/);
+  });
+});
+
 describe('storage_assess', () => {
   it('reports disk baseline, categorized sizes, guards and a review-only target plan', async () => {
     const present = new Set([
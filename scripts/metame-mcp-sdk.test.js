@@ -89,3 +89,70 @@ test('no-npm plugin copy starts from its bundled official SDK transport', () =>
   assert.equal(probe.protocol_verified, true);
   assert.equal(probe.client_verified, true);
 });
+
+test('wiki resource subscriptions poll revisions only while subscribed', async () => {
+  const { createResourceWatcher } = await import('./metame-mcp-server-sdk.mjs');
+  const updated = [];
+  let listChanged = 0;
+  const server = {
+    server: { sendResourceUpdated: async ({ uri }) => { updated.push(uri); } },
+    sendResourceListChanged: () => { listChanged += 1; },
+  };
+  let state = [['wiki://a', 'h1'], ['wiki://b', 'h1']];
+  let polls = 0;
+  const watcher = createResourceWatcher(server, {
+    revisions: async () => { polls += 1; return new Map(state); },
+    intervalMs: 60000,
+  });
+  await watcher.subscribe('wiki://a');
+  assert.equal(polls, 1, 'first subscription takes the baseline');
+  state = [['wiki://a', 'h2'], ['wiki://b', 'h2']];
+  await watcher.poll();
+  assert.deepEqual(updated, ['wiki://a'], 'only subscribed URIs are notified');
+  state = [['wiki://a', 'h2'], ['wiki://b', 'h2'], ['wiki://c', 'h1']];
+  await watcher.poll();
+  assert.equal(listChanged, 1);
+  watcher.unsubscribe('wiki://a');
+  assert.equal(watcher.subscribed.size, 0);
+  watcher.stop();
+});
+
+test('official SDK server serves wiki:// resources and accepts subscriptions', () => {
+  const home = mkdtempForTest('metame-mcp-resources-');
+  const { applyWikiSchema } = require('./memory-wiki-schema');
+  const { DatabaseSync } = require('node:sqlite');
+  fs.mkdirSync(path.join(home, '.metame'), { recursive: true });
+  const db = new DatabaseSync(path.join(home, '.metame', 'memory.db'));
+  db.exec(`CREATE TABLE memory_items (id TEXT PRIMARY KEY, kind TEXT NOT NULL, state TEXT NOT NULL DEFAULT 'candidate', content TEXT NOT NULL)`);
+  applyWikiSchema(db);
+  db.prepare(`
+    INSERT INTO wiki_pages (id,slug,title,content,primary_topic,project_key,projection_hash)
+    VALUES ('wp-1','ops/deploy','Deploy','# Deploy','deploy','metame','h1')
+  `).run();
+  db.close();
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'metame-mcp-server.js')], {
+    input: `${[
+      {
+        jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2025-11-25', capabilities: {}, clientInfo: { name: 'test', version: '1' } },
+      },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'resources/templates/list', params: {} },
+      { jsonrpc: '2.0', id: 3, method: 'resources/list', params: {} },
+      { jsonrpc: '2.0', id: 4, method: 'resources/read', params: { uri: 'wiki://ops/deploy' } },
+      { jsonrpc: '2.0', id: 5, method: 'resources/subscribe', params: { uri: 'wiki://ops/deploy' } },
+    ].map(line => JSON.stringify(line)).join('\n')}\n`,
+    encoding: 'utf8',
+    timeout: 10000,
+    maxBuffer: 1024 * 1024,
+    env: { ...process.env, HOME: home },
+  });
+  assert.equal(result.status, 0, result.stderr);
+  const replies = responses(result.stdout);
+  const byId = id => replies.find(reply => reply.id === id);
+  assert.deepEqual(byId(1).result.capabilities.resources, { subscribe: true, listChanged: true });
+  assert.deepEqual(byId(2).result.resourceTemplates.map(item => item.uriTemplate), ['wiki://{+slug}']);
+  assert.deepEqual(byId(3).result.resources.map(item => item.uri), ['wiki://ops/deploy']);
+  assert.equal(byId(4).result.contents[0].text, '# Deploy');
+  assert.deepEqual(byId(5).result, {});
+});
@@ -6,7 +6,9 @@ const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const os = require('node:os');
 const path = require('node:path');
-const { TOOLS, callTool, handleMessage } = require('./metame-mcp-server');
+const { DatabaseSync } = require('node:sqlite');
+const { TOOLS, callTool, handleMessage, resources } = require('./metame-mcp-server');
+const { applyWikiSchema } = require('./memory-wiki-schema');
 
 function tempDeps(overrides = {}) {
   return {
@@ -14,6 +16,8 @@ function tempDeps(overrides = {}) {
     planRecall: () => { throw new Error('planRecall not stubbed'); },
     assembleRecallContext: () => { throw new Error('assemble not stubbed'); },
     writeFact: () => { throw new Error('writeFact not stubbed'); },
+    submitWikiAnnotation: () => require('./wiki-annotation').submitWikiAnnotation,
+    buildManifest: () => require('./core/context-manifest').buildManifest,
     recordAudit: () => () => {},
     skillsDir: '/nonexistent',
     agentsDir: '/nonexistent',
@@ -30,7 +34,10 @@ describe('metame-mcp-server protocol', () => {
 
     const list = await handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
     const names = list.result.tools.map(t => t.name).sort();
-    assert.deepEqual(names, ['agent_context', 'memory_feedback', 'memory_get', 'memory_recall', 'memory_search', 'memory_write', 'profile_get', 'skill_get', 'skill_list']);
+    assert.deepEqual(names, [
+      'agent_context', 'context_manifest', 'memory_feedback', 'memory_get', 'memory_recall', 'memory_search',
+      'memory_write', 'profile_get', 'skill_get', 'skill_list', 'wiki_annotate', 'wiki_get', 'wiki_list',
+    ]);
     for (const tool of list.result.tools) {
       assert.ok(tool.description.length > 20, `${tool.name} needs a real description`);
       assert.equal(tool.inputSchema.type, 'object');
@@ -51,6 +58,11 @@ describe('metame-mcp-server protocol', () => {
   it('unknown tool is a protocol-level error', async () => {
     await assert.rejects(() => callTool('no_such_tool', {}, tempDeps()), /unknown tool/);
   });
+
+  it('non-wiki resource URIs are protocol-level not-found errors', async () => {
+    const reply = await handleMessage({ jsonrpc: '2.0', id: 4, method: 'resources/read', params: { uri: 'file:///etc/passwd' } });
+    assert.equal(reply.error.code, -32002);
+  });
 });
 
 describe('metame-mcp-server tools', () => {
@@ -168,6 +180,53 @@ describe('metame-mcp-server tools', () => {
     assert.deepEqual(recallScope, { project: null, agentKey: 'jia-private' });
   });
 
+  it('memory_search and memory_recall pass a normalized as_of and reject invalid ones', async () => {
+    let searchOpts = null;
+    let recallSearch;
+    const deps = tempDeps({
+      memory: () => ({
+        hybridSearchWiki: async (q, opts) => {
+          searchOpts = opts;
+          return { facts: [{ id: 'old', title: 'A.b', content: 'beta config', state: 'archived', valid_until: '2026-03-01 00:00:00' }], wikiPages: [] };
+        },
+      }),
+      planRecall: () => () => ({ shouldRecall: false }),
+      assembleRecallContext: () => async ({ search }) => {
+        recallSearch = search;
+        return { text: '', sources: [] };
+      },
+      recordAudit: () => () => {},
+    });
+    const found = await callTool('memory_search', { query: 'config', as_of: '2026-02-01' }, deps);
+    assert.equal(searchOpts.asOf, '2026-02-01 00:00:00');
+    assert.equal(found.as_of, '2026-02-01 00:00:00');
+    assert.equal(found.results[0].freshness, 'historical');
+    assert.equal(found.results[0].valid_until, '2026-03-01 00:00:00');
+
+    const recalled = await callTool('memory_recall', { text: 'incident', as_of: '2026-02-01T09:00:00Z' }, deps);
+    assert.deepEqual(recallSearch, { asOf: '2026-02-01 09:00:00' });
+    assert.equal(recalled.as_of, '2026-02-01 09:00:00');
+
+    await callTool('memory_recall', { text: 'incident' }, deps);
+    assert.equal(recallSearch, undefined, 'current recall keeps the default search options');
+
+    const bad = await callTool('memory_search', { query: 'config', as_of: 'yesterday-ish' }, deps);
+    assert.deepEqual(bad.results, []);
+    assert.match(bad.error, /as_of must be a date/);
+    const badRecall = await callTool('memory_recall', { text: 'incident', as_of: 'yesterday-ish' }, deps);
+    assert.equal(badRecall.recalled, false);
+  });
+
+  it('memory_write forwards the validity window to writeFact', async () => {
+    let written = null;
+    const deps = tempDeps({ writeFact: () => (args) => { written = args; return { ok: true, result: { saved: 1, skipped: 0 } }; } });
+    await callTool('memory_write', {
+      entity: 'A.b', relation: 'config_fact', value: 'x'.repeat(30), valid_from: '2026-01-01', valid_until: '2026-07-01',
+    }, deps);
+    assert.equal(written.validFrom, '2026-01-01');
+    assert.equal(written.validUntil, '2026-07-01');
+  });
+
   it('memory_write tags source mcp and surfaces validation errors', async () => {
     let written = null;
     const deps = tempDeps({ writeFact: () => (args) => { written = args; return { ok: true, result: { saved: 1, skipped: 0 } }; } });
@@ -307,3 +366,140 @@ describe('metame-mcp-server tools', () => {
     assert.ok(reply.result, 'DB-missing must degrade to an in-band tool error');
   });
 });
+
+describe('metame-mcp-server wiki and context manifest', () => {
+  const PAGE = { type: 'wiki', id: 'ops/deploy', title: 'Deploy', content: '# Deploy\n\nRun the checklist.', project: 'metame' };
+
+  function wikiMemory(pages = [PAGE]) {
+    return {
+      listWikiPages: ({ project }) => pages
+        .filter(page => !project || !page.project || page.project === project)
+        .map(page => ({ slug: page.id, title: page.title, page_kind: 'playbook', project: page.project, freshness: 'current', revision: 'h1:t1' })),
+      getCognitiveAsset: (type, id, { project }) => pages
+        .find(page => type === 'wiki' && page.id === id && (!project || !page.project || page.project === project)) || null,
+    };
+  }
+
+  function annotationDb() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-wiki-annotate-'));
+    const dbPath = path.join(dir, 'memory.db');
+    const db = new DatabaseSync(dbPath);
+    applyWikiSchema(db);
+    db.prepare(`
+      INSERT INTO wiki_pages (id,slug,title,content,primary_topic,project_key,projection_hash)
+      VALUES ('wp-1','ops/deploy','Deploy','generated','deploy','metame','base-hash')
+    `).run();
+    db.close();
+    return { dir, dbPath };
+  }
+
+  it('wiki_list and wiki_get expose project-visible pages with wiki:// URIs and audit', async () => {
+    const audits = [];
+    const deps = tempDeps({
+      memory: () => wikiMemory([PAGE, { ...PAGE, id: 'other/page', project: 'other' }]),
+      recordAudit: () => row => audits.push(row),
+    });
+    const listed = await callTool('wiki_list', { project: 'metame', host: 'codex' }, deps);
+    assert.deepEqual(listed.pages.map(page => page.uri), ['wiki://ops/deploy']);
+    assert.equal('revision' in listed.pages[0], false);
+    assert.deepEqual(audits[0].source_refs, ['wiki:ops/deploy']);
+    assert.equal(audits[0].engine, 'codex');
+
+    const opened = await callTool('wiki_get', { slug: 'ops/deploy', trace_id: 'trace-w' }, deps);
+    assert.equal(opened.found, true);
+    assert.equal(opened.page.content, PAGE.content);
+    assert.equal(audits[1].consumer_stage, 'opened');
+    assert.equal(audits[1].trace_id, 'trace-w');
+    assert.deepEqual(await callTool('wiki_get', { slug: 'other/page', project: 'metame' }, deps), { found: false });
+  });
+
+  it('wiki_annotate stores a pending annotation through the wiki annotate flow', async () => {
+    const fixture = annotationDb();
+    const deps = tempDeps({ memory: () => wikiMemory(), dbPath: fixture.dbPath });
+    const saved = await callTool('wiki_annotate', { slug: 'ops/deploy', content: 'Checklist lives in docs/release.md', host: 'co dex!' }, deps);
+    assert.equal(saved.saved, true);
+    assert.equal(saved.state, 'pending');
+    assert.equal(saved.uri, 'wiki://ops/deploy');
+    const again = await callTool('wiki_annotate', { slug: 'ops/deploy', content: 'Checklist lives in docs/release.md', host: 'codex' }, deps);
+    assert.equal(again.idempotent, true);
+    const db = new DatabaseSync(fixture.dbPath, { readOnly: true });
+    const row = db.prepare('SELECT page_slug, base_projection_hash, source_path FROM wiki_annotations').get();
+    db.close();
+    assert.deepEqual({ ...row }, { page_slug: 'ops/deploy', base_projection_hash: 'base-hash', source_path: 'mcp:codex' });
+
+    const invalid = await callTool('wiki_annotate', { slug: 'ops/deploy', content: 'too short', claim_key: 'metame.review' }, deps);
+    assert.equal(invalid.saved, false);
+    assert.match(invalid.error, /20-300 characters/);
+    fs.rmSync(fixture.dir, { recursive: true, force: true });
+  });
+
+  it('wiki_annotate cannot reach pages outside a trusted project binding', async () => {
+    const fixture = annotationDb();
+    const bound = project => tempDeps({
+      memory: () => wikiMemory(),
+      dbPath: fixture.dbPath,
+      accessContext: () => ({ principal: 'managed:daemon', project, agent_id: 'jia', host: 'codex', scopes: ['project'], trust: 'managed' }),
+    });
+    const refused = await callTool('wiki_annotate', { slug: 'ops/deploy', content: 'A note from another project.', project: 'metame' }, bound('other'));
+    assert.deepEqual(refused, { saved: false, error: 'wiki page not found: ops/deploy' });
+    assert.deepEqual(
+      await callTool('wiki_annotate', { slug: 'ops/deploy', content: 'A note.' }, bound(null)),
+      { saved: false, error: 'project_scope_unavailable' },
+    );
+    fs.rmSync(fixture.dir, { recursive: true, force: true });
+  });
+
+  it('context_manifest builds the bounded manifest from stored claims and synthesis pages', async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-manifest-home-'));
+    const previousHome = process.env.HOME;
+    const memoryPath = require.resolve('./memory');
+    process.env.HOME = home;
+    delete require.cache[memoryPath];
+    const memory = require('./memory');
+    try {
+      const claim = { kind: 'convention', state: 'active', project: 'metame', scope: 'metame', source_type: 'test', source_id: 'fixture' };
+      memory.saveMemoryItem({ ...claim, id: 'c-review', canonical_key: 'metame.release.review', content: 'Releases need a second reviewer.' });
+      memory.saveMemoryItem({ ...claim, id: 'c-legacy', canonical_key: null, content: 'Legacy rows stay out of the manifest.' });
+      memory.saveMemoryItem({ ...claim, id: 'c-other', project: 'other', scope: 'other', canonical_key: 'other.rule', content: 'Other project rule.' });
+      memory.saveMemoryItem({ ...claim, id: 'c-candidate', state: 'candidate', canonical_key: 'metame.candidate', content: 'Not yet accepted.' });
+      const db = new DatabaseSync(memory.DB_PATH);
+      db.prepare(`
+        INSERT INTO wiki_pages (id,slug,title,content,primary_topic,project_key,page_kind,projection_hash)
+        VALUES ('wp-1','metame/release-playbook','Release playbook',?, 'release','metame','playbook','h1')
+      `).run(`# Release playbook
+
+${'Tag, build, verify and publish. '.repeat(200)}`);
+      db.close();
+
+      const audits = [];
+      const deps = tempDeps({ memory: () => memory, recordAudit: () => row => audits.push(row) });
+      const out = await callTool('context_manifest', { project: 'metame', host: 'codex' }, deps);
+      assert.equal(out.manifest.project, 'metame');
+      assert.deepEqual(out.manifest.entries.map(entry => `${entry.type}:${entry.id}`), ['claim:c-review', 'synthesis:metame/release-playbook']);
+      assert.ok(JSON.stringify(out.manifest).length <= out.manifest.budget_chars);
+      assert.deepEqual(audits[0].source_refs, ['claim:c-review', 'synthesis:metame/release-playbook']);
+
+      const empty = await callTool('context_manifest', {}, deps);
+      assert.deepEqual(empty.manifest.entries, []);
+      assert.equal(audits.length, 1, 'an empty manifest delivers nothing');
+    } finally {
+      try { memory.forceClose(); } catch { /* best effort */ }
+      delete require.cache[memoryPath];
+      process.env.HOME = previousHome;
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  it('wiki pages are MCP resources with a wiki://{+slug} template', async () => {
+    const deps = tempDeps({ memory: () => wikiMemory() });
+    const listed = await resources.list(deps);
+    assert.deepEqual(listed.resources.map(item => [item.uri, item.mimeType]), [['wiki://ops/deploy', 'text/markdown']]);
+    const read = await resources.read('wiki://ops/deploy', deps);
+    assert.equal(read.contents[0].text, PAGE.content);
+    await assert.rejects(resources.read('wiki://missing', deps), /resource not found/);
+    assert.deepEqual([...(await resources.revisions(deps))], [['wiki://ops/deploy', 'h1:t1']]);
+
+    const templates = await handleMessage({ jsonrpc: '2.0', id: 10, method: 'resources/templates/list' });
+    assert.deepEqual(templates.result.resourceTemplates.map(item => item.uriTemplate), ['wiki://{+slug}']);
+  });
+});
@@ -18,6 +18,14 @@ function socketPath(metameDir) {
   return path.join(metameDir, 'daemon.sock');
 }
 
+/**
+ * Approval gate socket (PreToolUse hook ↔ daemon), kept apart from dispatch.
+ */
+function approvalSocketPath(metameDir) {
+  if (IS_WIN) return `\\\\.\\pipe\\metame-approval-${os.userInfo().username}`;
+  return path.join(metameDir, 'approval.sock');
+}
+
 /**
  * Cross-platform synchronous sleep.
  * On Windows, sleep command doesn't exist; use a busy-wait with Atomics for short durations.
@@ -188,6 +196,7 @@ module.exports = {
   IS_LINUX,
   HOME,
   socketPath,
+  approvalSocketPath,
   sleepSync,
   findProcessesByPattern,
   killProcessTree,
@@ -0,0 +1,60 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createClaudeSessionSourceAdapter } = require('./engines/claude-session-source-adapter');
+const { exportSession } = require('./session-export');
+
+const SESSION_ID = '3f2a9c1e-0000-4000-8000-000000000001';
+
+function writeClaudeSession(projectsRoot, sessionId) {
+  const dir = path.join(projectsRoot, '-repo-app');
+  fs.mkdirSync(dir, { recursive: true });
+  const records = [
+    { type: 'user', sessionId, cwd: '/repo/app', timestamp: '2026-10-18T23:00:00.000Z', message: { role: 'user', content: 'rename the flag, api_key=abcdef123456' } },
+    {
+      type: 'assistant', sessionId, cwd: '/repo/app', timestamp: '2026-10-18T23:00:05.000Z',
+      message: { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: '/repo/app/flags.js', old_string: 'OLD_FLAG', new_string: 'NEW_FLAG' } }] },
+    },
+    { type: 'user', sessionId, cwd: '/repo/app', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'updated' }] } },
+    { type: 'assistant', sessionId, cwd: '/repo/app', message: { role: 'assistant', content: [{ type: 'text', text: 'Renamed.' }] } },
+  ];
+  fs.writeFileSync(path.join(dir, `${sessionId}.jsonl`), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+describe('session-export', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-session-export-'));
+  const projectsRoot = path.join(home, '.claude', 'projects');
+  writeClaudeSession(projectsRoot, SESSION_ID);
+  writeClaudeSession(projectsRoot, '3f2a9c1e-0000-4000-8000-000000000002');
+  const sources = new Map([['claude', createClaudeSessionSourceAdapter({ projectsRoot })]]);
+  const now = () => new Date('2026-10-19T08:00:00.000Z');
+
+  it('writes a redacted markdown transcript with edit diffs under ~/.metame/exports', async () => {
+    const result = await exportSession(SESSION_ID, { home, sources, now });
+    assert.deepEqual(
+      [result.engineId, result.sessionId, result.format, result.eventCount],
+      ['claude', SESSION_ID, 'md', 4],
+    );
+    assert.equal(result.filePath, path.join(home, '.metame', 'exports', 'claude-3f2a9c1e-20261019T080000.md'));
+    const content = fs.readFileSync(result.filePath, 'utf8');
+    assert.match(content, /api_key=<secret>/);
+    assert.doesNotMatch(content, /abcdef123456/);
+    assert.match(content, /```diff\n--- \/repo\/app\/flags\.js\n\+\+\+ \/repo\/app\/flags\.js\n@@\n-OLD_FLAG\n\+NEW_FLAG\n```/);
+    assert.match(content, /### 🤖 Assistant\n\nRenamed\./);
+  });
+
+  it('returns content for --out - and rejects ambiguous prefixes and unknown ids', async () => {
+    const piped = await exportSession(SESSION_ID, { home, sources, now, format: 'jsonl', outPath: '-' });
+    assert.equal(piped.filePath, null);
+    assert.equal(piped.content.trim().split('\n').length, 4);
+
+    await assert.rejects(exportSession('3f2a9c1e-0000', { home, sources }), { code: 'session_ambiguous' });
+    await assert.rejects(exportSession('3f2a', { home, sources }), { code: 'session_not_found' });
+    await assert.rejects(exportSession(SESSION_ID, { home, sources, format: 'pdf' }), { code: 'invalid_format' });
+  });
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * session-handoff.js — continue a session on another engine.
+ *
+ *   metame session handoff <id> --to <engine> [--engine <from>] [--print]
+ *
+ * Reads the session through the Session Source Adapters (session-export.js
+ * `readSessionEvents`), builds the engine-neutral packet of
+ * core/session-handoff.js and opens the target engine's CLI in the same
+ * directory with the packet as its first prompt. When exactly one new target
+ * session appears there, the lineage is recorded (session-lineage.js) so
+ * /sessions shows both halves as one thread. `--print` only prints the packet.
+ *
+ * The mobile /handoff command shares prepareHandoff() and seeds the packet into
+ * the daemon's next session instead of launching a CLI.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const { createBuiltinSessionSourceMap } = require('./engines/session-source-registry');
+const { readSessionEvents, discoverAll } = require('./session-export');
+const { buildHandoffPacket, formatHandoffPacket } = require('./core/session-handoff');
+const { recordSessionLineage } = require('./session-lineage');
+
+// Interactive CLIs that take the first prompt as a positional argument.
+const CLI_LAUNCHERS = Object.freeze({ claude: 'claude', codex: 'codex' });
+const USAGE = 'Usage: metame session handoff <id> --to <engine> [--engine <from>] [--print]';
+
+/**
+ * @param {string} sessionId - native session id or unique prefix
+ * @param {object} options - readSessionEvents options, plus `toEngine`
+ * @returns {Promise<{ packet: object, text: string, engineId: string, sessionId: string, cwd: string|null }>}
+ */
+async function prepareHandoff(sessionId, options = {}) {
+  const { engineId, ref, events } = await readSessionEvents(sessionId, options);
+  const cwd = ref.cwd || options.cwd || null;
+  const packet = buildHandoffPacket(events, { engineId, sessionId: ref.nativeSessionId, cwd });
+  return {
+    packet,
+    text: formatHandoffPacket(packet, { toEngine: options.toEngine }),
+    engineId,
+    sessionId: ref.nativeSessionId,
+    cwd,
+  };
+}
+
+async function sessionIdsIn(source, cwd) {
+  const ids = new Set();
+  if (!source) return ids;
+  try {
+    for await (const ref of discoverAll(source, { includeSubagents: false, cwd })) ids.add(ref.nativeSessionId);
+  } catch {
+    // Nothing discoverable yet for this engine.
+  }
+  return ids;
+}
+
+function parseArgs(argv) {
+  const args = { positional: [], print: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--print') { args.print = true; continue; }
+    const match = /^--(to|engine)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      args.positional.push(argv[i]);
+      continue;
+    }
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return args;
+}
+
+async function main(argv = process.argv.slice(2), deps = {}) {
+  const args = parseArgs(argv);
+  const [subCmd, sessionId] = args.positional;
+  const toEngine = String(args.to || '').trim().toLowerCase();
+  if (subCmd !== 'handoff' || !sessionId || !toEngine) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const home = deps.home || os.homedir();
+  const sources = deps.sources || createBuiltinSessionSourceMap({ home });
+  let handoff;
+  try {
+    handoff = await prepareHandoff(sessionId, { engine: args.engine, toEngine, home, sources });
+  } catch (error) {
+    console.error(`Session handoff failed: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (handoff.engineId === toEngine) {
+    console.error(`Session ${handoff.sessionId} is already a ${toEngine} session.`);
+    process.exitCode = 1;
+    return;
+  }
+  const launcher = CLI_LAUNCHERS[toEngine];
+  if (args.print || !launcher) {
+    if (!args.print) console.error(`No interactive launcher for ${toEngine}; paste this packet into a new ${toEngine} session:\n`);
+    console.log(handoff.text);
+    return;
+  }
+
+  const cwd = handoff.cwd && fs.existsSync(handoff.cwd) ? handoff.cwd : process.cwd();
+  const before = await sessionIdsIn(sources.get(toEngine), cwd);
+  console.log(`Handing off ${handoff.engineId} session ${handoff.sessionId.slice(0, 8)} → ${toEngine} in ${cwd}`);
+  const spawn = deps.spawnSync || spawnSync;
+  const result = spawn(launcher, [handoff.text], { cwd, stdio: 'inherit', env: process.env });
+  if (result.error) {
+    console.error(`Could not start ${launcher}: ${result.error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const created = [...await sessionIdsIn(sources.get(toEngine), cwd)].filter(id => !before.has(id));
+  if (created.length === 1) {
+    recordSessionLineage(created[0], { engine: toEngine, parentEngine: handoff.engineId, parentId: handoff.sessionId }, { home });
+    console.log(`Linked ${toEngine} session ${created[0].slice(0, 8)} to ${handoff.engineId} session ${handoff.sessionId.slice(0, 8)}.`);
+  }
+  process.exitCode = result.status ?? 0;
+}
+
+if (require.main === module) main();
+
+module.exports = { prepareHandoff, main };
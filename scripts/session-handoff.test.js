@@ -0,0 +1,78 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createClaudeSessionSourceAdapter } = require('./engines/claude-session-source-adapter');
+const { loadSessionLineage } = require('./session-lineage');
+const { prepareHandoff, main } = require('./session-handoff');
+
+const SESSION_ID = '3f2a9c1e-0000-4000-8000-000000000001';
+
+function writeSession(projectsRoot, sessionId, cwd) {
+  const dir = path.join(projectsRoot, cwd.replace(/[\\/]/g, '-'));
+  fs.mkdirSync(dir, { recursive: true });
+  const records = [
+    { type: 'user', sessionId, cwd, message: { role: 'user', content: 'rename the flag' } },
+    {
+      type: 'assistant', sessionId, cwd,
+      message: { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: `${cwd}/flags.js`, old_string: 'OLD', new_string: 'NEW' } }] },
+    },
+    { type: 'assistant', sessionId, cwd, message: { role: 'assistant', content: [{ type: 'text', text: 'Renamed.' }] } },
+  ];
+  fs.writeFileSync(path.join(dir, `${sessionId}.jsonl`), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+function captureConsole(fn) {
+  const lines = [];
+  const original = { log: console.log, error: console.error };
+  console.log = (...args) => lines.push(args.join(' '));
+  console.error = (...args) => lines.push(args.join(' '));
+  return Promise.resolve().then(fn).finally(() => Object.assign(console, original)).then(() => lines);
+}
+
+describe('session-handoff', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-session-handoff-'));
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-handoff-cwd-'));
+  const claudeRoot = path.join(home, 'claude-projects');
+  const targetRoot = path.join(home, 'target-projects');
+  writeSession(claudeRoot, SESSION_ID, cwd);
+  // The target engine is modelled with a second transcript root so the test
+  // can observe the session the launched CLI creates.
+  const sources = new Map([
+    ['claude', createClaudeSessionSourceAdapter({ projectsRoot: claudeRoot })],
+    ['codex', createClaudeSessionSourceAdapter({ projectsRoot: targetRoot })],
+  ]);
+
+  it('prepares a packet from the session', async () => {
+    const handoff = await prepareHandoff('3f2a9c1e-0000-4000', { home, sources, toEngine: 'codex' });
+    assert.deepEqual([handoff.engineId, handoff.sessionId, handoff.cwd], ['claude', SESSION_ID, cwd]);
+    assert.deepEqual(handoff.packet.files, [{ path: `${cwd}/flags.js`, action: 'edited' }]);
+    assert.match(handoff.text, /^\[Handoff from claude session 3f2a9c1e to codex/);
+  });
+
+  it('launches the target CLI in the session cwd and records the new session as its child', async () => {
+    const calls = [];
+    const spawnSync = (command, args, options) => {
+      calls.push({ command, prompt: args[0], cwd: options.cwd });
+      writeSession(targetRoot, 'thread-0000-4000-8000-000000000009', cwd);
+      return { status: 0 };
+    };
+    const lines = await captureConsole(() => main(['handoff', SESSION_ID, '--to', 'codex'], { home, sources, spawnSync }));
+    process.exitCode = undefined;
+    assert.deepEqual([calls[0].command, calls[0].cwd], ['codex', cwd]);
+    assert.match(calls[0].prompt, /Goal \(first request\): rename the flag/);
+    assert.match(lines.at(-1), /Linked codex session thread-0 to claude session 3f2a9c1e/);
+    assert.equal(loadSessionLineage({ home })['thread-0000-4000-8000-000000000009'].parentId, SESSION_ID);
+  });
+
+  it('only prints the packet with --print', async () => {
+    const lines = await captureConsole(() => main(['handoff', SESSION_ID, '--to=codex', '--print'], {
+      home, sources, spawnSync: () => { throw new Error('should not launch'); },
+    }));
+    assert.match(lines.join('\n'), /Recent dialogue:\nUser: rename the flag\nAssistant: Renamed\./);
+  });
+});
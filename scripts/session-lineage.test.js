@@ -0,0 +1,37 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadSessionLineage, recordSessionLineage, threadSessions } = require('./session-lineage');
+
+describe('session-lineage', () => {
+  it('records links and ignores self or parentless links', () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-lineage-'));
+    assert.deepEqual(loadSessionLineage({ home }), {});
+    assert.equal(recordSessionLineage('thread-b', { engine: 'codex', parentEngine: 'claude', parentId: 'sess-a', at: '2026-10-19T08:00:00.000Z' }, { home }), true);
+    assert.equal(recordSessionLineage('sess-a', { parentId: 'sess-a' }, { home }), false);
+    assert.equal(recordSessionLineage('thread-c', {}, { home }), false);
+    assert.deepEqual(loadSessionLineage({ home }), {
+      'thread-b': { engine: 'codex', parentEngine: 'claude', parentId: 'sess-a', at: '2026-10-19T08:00:00.000Z' },
+    });
+  });
+
+  it('threads the parent right after its handoff child, even from outside the filtered list', () => {
+    const links = { 'thread-b': { engine: 'codex', parentEngine: 'claude', parentId: 'sess-a' } };
+    const pool = [
+      { sessionId: 'thread-b', engine: 'codex' },
+      { sessionId: 'other', engine: 'codex' },
+      { sessionId: 'sess-a', engine: 'claude' },
+    ];
+    const visible = pool.filter(session => session.engine === 'codex');
+    const threaded = threadSessions(visible, pool, links);
+    assert.deepEqual(threaded.map(session => session.sessionId), ['thread-b', 'sess-a', 'other']);
+    assert.deepEqual(threaded[0].handoffFrom, { engine: 'claude', id: 'sess-a' });
+    assert.deepEqual(threaded[1].handoffTo, { engine: 'codex', id: 'thread-b' });
+    assert.equal(pool[0].handoffFrom, undefined);
+  });
+});
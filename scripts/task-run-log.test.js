@@ -0,0 +1,29 @@
+'use strict';
+
+require('./test-support/env-setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendTaskRun, readTaskRuns, taskRunLogPath } = require('./task-run-log');
+
+describe('task-run-log', () => {
+  it('reads runs newest first, filters by task and trims past the size cap', () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'metame-task-runs-'));
+    const file = taskRunLogPath(home);
+    assert.deepEqual(readTaskRuns(file), []);
+    for (let i = 0; i < 6; i++) {
+      appendTaskRun(file, { name: i % 2 ? 'odd' : 'even', status: 'success', finished_at: `2026-10-19T00:00:0${i}Z` }, { maxBytes: 1e6 });
+    }
+    fs.appendFileSync(file, 'not json\n');
+    assert.deepEqual(readTaskRuns(file, { limit: 2 }).map(run => run.finished_at), ['2026-10-19T00:00:05Z', '2026-10-19T00:00:04Z']);
+    assert.deepEqual(readTaskRuns(file, { name: 'odd' }).map(run => run.finished_at), [
+      '2026-10-19T00:00:05Z', '2026-10-19T00:00:03Z', '2026-10-19T00:00:01Z',
+    ]);
+
+    appendTaskRun(file, { name: 'even', status: 'error', finished_at: '2026-10-19T00:00:06Z' }, { maxBytes: 10, keepLines: 3 });
+    assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 3);
+    assert.equal(readTaskRuns(file)[0].status, 'error');
+  });
+});
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Conformance kit for Chat Bridge Plugins (core/bridge-plugin.js).
+ *
+ * Starts a bridge through the real daemon host with in-memory state, config
+ * and pipeline, then drives it the way a chat platform would:
+ *
+ *   const { runBridgeConformance } = require('./test-support/bridge-conformance');
+ *   const report = await runBridgeConformance(myPlugin);              // fake transport
+ *   const report = await runBridgeConformance(myPlugin, { transport }); // your transport over a fake network
+ *   assert.deepEqual(report.failures, []);
+ *
+ * Inbound messages are injected through the handler the host passes to
+ * `transport.connect`, so any transport can be checked without a network.
+ * Checks run per declared capability; self-managed bridges (`start`) only
+ * get the descriptor check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createBridgePlugin, isBridgePlugin, checkBridgeTransport } = require('../core/bridge-plugin');
+const { buildThreadChatId } = require('../core/thread-chat-id');
+const { mkdtempForTest } = require('./test-utils');
+
+const ALLOWED_CHAT = 'chat-allowed';
+const STRANGER_CHAT = 'chat-stranger';
+
+/** In-memory transport implementing every method the declared capabilities need. */
+function createFakeTransport({ capabilities = ['receive', 'send'] } = {}) {
+  const outbox = [];
+  let nextId = 1;
+  const record = (method, chatId, payload) => {
+    const messageId = `fake-${nextId++}`;
+    outbox.push({ method, chatId, payload, messageId });
+    return { message_id: messageId };
+  };
+  const bot = {
+    async sendMessage(chatId, text) { return record('sendMessage', chatId, text); },
+    async sendMarkdown(chatId, text) { return record('sendMarkdown', chatId, text); },
+    async sendTyping() {},
+  };
+  if (capabilities.includes('edit')) {
+    bot.editMessage = async (chatId, messageId, text) => { record('editMessage', chatId, { messageId, text }); return true; };
+  }
+  if (capabilities.includes('buttons')) {
+    bot.sendButtons = async (chatId, text, buttons) => record('sendButtons', chatId, { text, buttons });
+  }
+  if (capabilities.includes('files')) {
+    bot.sendFile = async (chatId, filePath, caption) => record('sendFile', chatId, { filePath, caption });
+  }
+  const transport = {
+    bot,
+    outbox,
+    connected: false,
+    handler: null,
+    connect(onInbound) {
+      transport.connected = true;
+      transport.handler = onInbound;
+    },
+    disconnect() {
+      transport.connected = false;
+    },
+    deliver(message) {
+      if (!transport.handler) throw new Error('fake transport is not connected');
+      return transport.handler(message);
+    },
+  };
+  return transport;
+}
+
+function createHarness(configKey) {
+  const home = mkdtempForTest('metame-bridge-conformance-');
+  const state = { sessions: {}, msg_sessions: {}, team_sticky: {} };
+  const processed = [];
+  const config = { [configKey]: { enabled: true, allowed_chat_ids: [ALLOWED_CHAT] } };
+  const deps = {
+    fs,
+    path,
+    HOME: home,
+    log: () => {},
+    sleep: async () => {},
+    loadConfig: () => config,
+    loadState: () => state,
+    saveState: (next) => Object.assign(state, next),
+    getSession: () => null,
+    restoreSessionFromReply: () => null,
+    handleCommand: async () => {},
+    pipeline: {
+      processMessage: async (chatId, text, ctx) => { processed.push({ chatId, text, bot: ctx && ctx.bot }); },
+      isActive: () => false,
+      interruptActive: () => false,
+      clearQueue: () => {},
+    },
+    pendingActivations: new Map(),
+  };
+  return { home, config, processed, deps, cleanup: () => fs.rmSync(home, { recursive: true, force: true }) };
+}
+
+/**
+ * Run the conformance checks. Resolves to { ok, results, failures } where
+ * each result is { check, ok, skipped?, detail? }.
+ */
+async function runBridgeConformance(plugin, options = {}) {
+  const results = [];
+  const pass = (check, detail = '') => results.push({ check, ok: true, ...(detail ? { detail } : {}) });
+  const fail = (check, detail) => results.push({ check, ok: false, detail });
+  const skip = (check, reason) => results.push({ check, ok: true, skipped: reason });
+  const report = () => {
+    const failures = results.filter(r => !r.ok).map(r => `${r.check}: ${r.detail}`);
+    return { ok: failures.length === 0, results, failures };
+  };
+
+  let checked;
+  try {
+    checked = isBridgePlugin(plugin) ? plugin : createBridgePlugin(plugin);
+    pass('descriptor');
+  } catch (e) {
+    fail('descriptor', e.message);
+    return report();
+  }
+  const { descriptor, routing } = checked;
+  if (!checked.createTransport) {
+    skip('transport', 'self-managed bridge (start)');
+    return report();
+  }
+
+  const transport = options.transport || createFakeTransport({ capabilities: descriptor.capabilities });
+  const problems = checkBridgeTransport(transport, descriptor.capabilities);
+  if (problems.length > 0) {
+    fail('transport', problems.join('; '));
+    return report();
+  }
+  pass('transport');
+
+  // Observe everything the host sends and capture the inbound handler.
+  const sent = [];
+  let deliver = null;
+  const bot = new Proxy(transport.bot, {
+    get(target, prop) {
+      const orig = target[prop];
+      if (typeof orig !== 'function') return orig;
+      return (...args) => {
+        sent.push({ method: prop, chatId: args[0], args: args.slice(1) });
+        return orig.apply(target, args);
+      };
+    },
+  });
+  const probe = createBridgePlugin({
+    protocolVersion: checked.protocolVersion,
+    descriptor,
+    routing,
+    createTransport: () => ({
+      bot,
+      connect: (onInbound) => {
+        deliver = onInbound;
+        return transport.connect(onInbound);
+      },
+      disconnect: () => transport.disconnect(),
+    }),
+  });
+
+  const harness = createHarness(descriptor.configKey);
+  // Required lazily so the kit can be loaded by tests that mock adapters.
+  const { createBridgeStarter } = require('../daemon-bridges');
+  const starter = createBridgeStarter({ ...harness.deps, bridgePlugins: [probe] });
+  try {
+    const handle = await starter.startBridge(descriptor.id, harness.config, async () => {});
+    if (!handle || !deliver) {
+      fail('connect', 'host did not start the bridge or connect was never called');
+      return report();
+    }
+    pass('connect');
+
+    const lastProcessed = () => harness.processed[harness.processed.length - 1];
+
+    await deliver({ chatId: ALLOWED_CHAT, text: 'conformance hello' });
+    const received = lastProcessed();
+    if (received && received.chatId === ALLOWED_CHAT && received.text === 'conformance hello') pass('receive');
+    else fail('receive', 'allowed chat message did not reach the pipeline');
+
+    if (routing.authorizedByTransport) {
+      skip('allowlist', 'bridge filters chats itself');
+    } else {
+      const before = harness.processed.length;
+      await deliver({ chatId: STRANGER_CHAT, text: 'let me in' });
+      await new Promise(resolve => setImmediate(resolve));
+      const rejected = sent.some(s => String(s.chatId) === STRANGER_CHAT && /未授权/.test(String(s.args[0])));
+      if (harness.processed.length === before && rejected) pass('allowlist');
+      else fail('allowlist', 'unknown chat was not rejected with the activation hint');
+    }
+
+    const reply = await handle.bot.sendMessage(ALLOWED_CHAT, 'conformance send');
+    if (sent.some(s => s.method === 'sendMessage' && s.args[0] === 'conformance send')) pass('send');
+    else fail('send', 'handle.bot.sendMessage did not reach the transport');
+
+    if (descriptor.capabilities.includes('edit')) {
+      try {
+        await handle.bot.editMessage(ALLOWED_CHAT, reply && reply.message_id, 'conformance edit');
+        pass('edit');
+      } catch (e) {
+        fail('edit', e.message);
+      }
+    }
+
+    if (descriptor.capabilities.includes('buttons')) {
+      await deliver({ kind: 'callback', chatId: ALLOWED_CHAT, text: '/conformance-button' });
+      const pressed = lastProcessed();
+      if (pressed && pressed.text === '/conformance-button') pass('buttons');
+      else fail('buttons', 'button callback did not reach the pipeline');
+    }
+
+    if (descriptor.capabilities.includes('files')) {
+      let downloadedTo = '';
+      await deliver({
+        chatId: ALLOWED_CHAT,
+        text: 'see attached',
+        file: {
+          name: 'conformance.txt',
+          download: async (destPath) => {
+            downloadedTo = destPath;
+            fs.writeFileSync(destPath, 'ok');
+          },
+        },
+      });
+      const prompt = lastProcessed();
+      const expected = path.join(harness.home, 'upload', 'conformance.txt');
+      if (downloadedTo === expected && prompt && prompt.text.includes(expected)) pass('files');
+      else fail('files', `upload was not saved to ${expected} and announced to the pipeline`);
+    }
+
+    if (descriptor.capabilities.includes('threads')) {
+      await deliver({ chatId: ALLOWED_CHAT, text: 'in a topic', threadId: 'topic-1' });
+      const threaded = lastProcessed();
+      const expected = buildThreadChatId(ALLOWED_CHAT, 'topic-1');
+      if (threaded && threaded.chatId === expected) pass('threads');
+      else fail('threads', `topic message was not routed to ${expected}`);
+    }
+
+    try {
+      await handle.stop();
+      if (transport.connected === true) fail('stop', 'transport still connected after stop');
+      else pass('stop');
+    } catch (e) {
+      fail('stop', e.message);
+    }
+    return report();
+  } finally {
+    harness.cleanup();
+  }
+}
+
+module.exports = {
+  createFakeTransport,
+  runBridgeConformance,
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Stand-in Matrix homeserver for tests: the slice of the client-server API
+ * that matrix-adapter.js uses, on 127.0.0.1 over plain http.
+ *
+ *   const hs = await startMatrixHomeserver({ userId: '@metame:test' });
+ *   const bot = createBot({ homeserver: hs.url, accessToken: hs.accessToken });
+ *   hs.pushTimeline('!room:test', { type: 'm.room.message', sender: '@me:test', content: { msgtype: 'm.text', body: 'hi' } });
+ *   await hs.waitFor(() => hs.sent.length > 0);
+ *   await hs.close();
+ *
+ * Every event a client sends is recorded in `sent` ({ roomId, type, content,
+ * eventId }); `/sync` long-polls until something is pushed.
+ */
+
+const http = require('http');
+
+async function startMatrixHomeserver({ userId = '@metame:test', accessToken = 'test-token' } = {}) {
+  const sent = [];
+  const joined = [];
+  const redacted = [];
+  const media = new Map();
+  let batch = 0;
+  let pending = { join: {}, invite: {} };
+  let waiting = [];
+  let nextEventId = 1;
+
+  const hasPending = () => Object.keys(pending.join).length > 0 || Object.keys(pending.invite).length > 0;
+
+  function flushSync(res) {
+    batch += 1;
+    const body = { next_batch: `s${batch}`, rooms: pending };
+    pending = { join: {}, invite: {} };
+    sendJson(res, 200, body);
+  }
+
+  function wakeSyncs() {
+    if (!hasPending()) return;
+    const sleepers = waiting;
+    waiting = [];
+    for (const sleeper of sleepers) {
+      clearTimeout(sleeper.timer);
+      flushSync(sleeper.res);
+    }
+  }
+
+  function sendJson(res, status, body) {
+    if (res.writableEnded) return;
+    const payload = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+    res.end(payload);
+  }
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const parts = url.pathname.split('/').map(decodeURIComponent);
+    const raw = await readBody(req);
+    if (req.headers.authorization !== `Bearer ${accessToken}`) {
+      sendJson(res, 401, { errcode: 'M_UNKNOWN_TOKEN', error: 'Invalid access token' });
+      return;
+    }
+    const json = () => (raw.length ? JSON.parse(raw.toString('utf8')) : {});
+
+    if (url.pathname === '/_matrix/client/v3/account/whoami') {
+      sendJson(res, 200, { user_id: userId });
+    } else if (url.pathname === '/_matrix/client/v3/sync') {
+      const timeout = Number(url.searchParams.get('timeout') || 0);
+      if (hasPending() || timeout === 0) {
+        flushSync(res);
+        return;
+      }
+      const sleeper = { res, timer: null };
+      sleeper.timer = setTimeout(() => {
+        waiting = waiting.filter(s => s !== sleeper);
+        flushSync(res);
+      }, timeout);
+      waiting.push(sleeper);
+      req.on('close', () => {
+        clearTimeout(sleeper.timer);
+        waiting = waiting.filter(s => s !== sleeper);
+      });
+    } else if (parts[4] === 'rooms' && parts[6] === 'send' && req.method === 'PUT') {
+      const eventId = `$ev${nextEventId++}`;
+      sent.push({ roomId: parts[5], type: parts[7], content: json(), eventId });
+      sendJson(res, 200, { event_id: eventId });
+    } else if (parts[4] === 'rooms' && parts[6] === 'typing') {
+      sendJson(res, 200, {});
+    } else if (parts[4] === 'rooms' && parts[6] === 'join') {
+      joined.push(parts[5]);
+      sendJson(res, 200, { room_id: parts[5] });
+    } else if (parts[4] === 'rooms' && parts[6] === 'redact') {
+      redacted.push({ roomId: parts[5], eventId: parts[7] });
+      sendJson(res, 200, { event_id: `$ev${nextEventId++}` });
+    } else if (url.pathname === '/_matrix/media/v3/upload' && req.method === 'POST') {
+      const mediaId = `m${media.size + 1}`;
+      media.set(mediaId, { name: url.searchParams.get('filename'), data: raw });
+      sendJson(res, 200, { content_uri: `mxc://test/${mediaId}` });
+    } else if (url.pathname.startsWith('/_matrix/client/v1/media/download/test/')) {
+      const item = media.get(parts[parts.length - 1]);
+      if (!item) {
+        sendJson(res, 404, { errcode: 'M_NOT_FOUND', error: 'Not found' });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': item.data.length });
+      res.end(item.data);
+    } else {
+      sendJson(res, 404, { errcode: 'M_UNRECOGNIZED', error: `Unrecognized request ${req.method} ${url.pathname}` });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    accessToken,
+    userId,
+    sent,
+    joined,
+    redacted,
+    media,
+    /** Number of /sync long-polls currently held open. */
+    get pollers() { return waiting.length; },
+
+    /** Queue a timeline event for the next /sync; returns its event id. */
+    pushTimeline(roomId, event) {
+      const eventId = event.event_id || `$in${nextEventId++}`;
+      if (!pending.join[roomId]) pending.join[roomId] = { timeline: { events: [] } };
+      pending.join[roomId].timeline.events.push({ origin_server_ts: Date.now(), ...event, event_id: eventId });
+      wakeSyncs();
+      return eventId;
+    },
+
+    /** Queue an invite of the bot into roomId from inviter. */
+    pushInvite(roomId, inviter) {
+      pending.invite[roomId] = {
+        invite_state: { events: [{ type: 'm.room.member', state_key: userId, sender: inviter, content: { membership: 'invite' } }] },
+      };
+      wakeSyncs();
+    },
+
+    /** Store a media file and return its mxc:// URI. */
+    addMedia(name, data) {
+      const mediaId = `m${media.size + 1}`;
+      media.set(mediaId, { name, data: Buffer.from(data) });
+      return `mxc://test/${mediaId}`;
+    },
+
+    async waitFor(predicate, timeoutMs = 3000) {
+      const deadline = Date.now() + timeoutMs;
+      while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('matrix homeserver: condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    },
+
+    close() {
+      for (const sleeper of waiting) {
+        clearTimeout(sleeper.timer);
+        sendJson(sleeper.res, 200, { next_batch: `s${batch}`, rooms: {} });
+      }
+      waiting = [];
+      if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { startMatrixHomeserver };
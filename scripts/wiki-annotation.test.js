@@ -8,7 +8,7 @@ const os = require('node:os');
 const path = require('node:path');
 const { DatabaseSync } = require('node:sqlite');
 const { applyWikiSchema } = require('./memory-wiki-schema');
-const { importWikiAnnotation } = require('./wiki-annotation');
+const { importWikiAnnotation, submitWikiAnnotation } = require('./wiki-annotation');
 
 function fixture() {
   const db = new DatabaseSync(':memory:');
@@ -100,3 +100,20 @@ test('annotation requires a baseline and rejects traversal', () => {
   db.close();
   fs.rmSync(notes.dir, { recursive: true, force: true });
 });
+
+test('inline submission shares bounds, baseline and idempotent identity with file import', () => {
+  const db = fixture();
+  const content = 'Host note: the deploy step needs the release checklist.\r\n';
+  const first = submitWikiAnnotation({ db, slug: 'topics/test', content, sourcePath: 'mcp:codex' });
+  const again = submitWikiAnnotation({ db, slug: 'topics/test', content, sourcePath: 'mcp:codex' });
+  assert.equal(first.state, 'pending');
+  assert.equal(again.idempotent, true);
+  assert.equal(again.id, first.id);
+  const row = db.prepare('SELECT source_path,content FROM wiki_annotations').get();
+  assert.equal(row.source_path, 'mcp:codex');
+  assert.equal(row.content.includes('\r'), false);
+  assert.throws(() => submitWikiAnnotation({ db, slug: 'topics/test', content: '  \n', sourcePath: 'mcp:codex' }), /empty/);
+  assert.throws(() => submitWikiAnnotation({ db, slug: 'topics/test', content: 'x'.repeat(70 * 1024), sourcePath: 'mcp:codex' }), /exceeds/);
+  assert.throws(() => submitWikiAnnotation({ db, slug: 'topics/test', content, sourcePath: '' }), /source path/);
+  db.close();
+});